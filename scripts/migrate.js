@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Storage migration
+ * Copies every record from one storage backend into another.
+ *
+ * Usage: npm run migrate -- [--from json] [--to sqlite]
+ */
+
+import chalk from 'chalk';
+import DataService from '../src/services/DataService.js';
+import { createStorage, migrateStorage } from '../src/services/storage/index.js';
+import { DATABASE_CONFIG, STORAGE_BACKENDS } from '../src/config/database.js';
+
+/**
+ * Read a --name value pair from the command line
+ */
+function getOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const from = getOption(args, 'from', STORAGE_BACKENDS.JSON);
+  const to = getOption(args, 'to', STORAGE_BACKENDS.SQLITE);
+
+  if (from === to) {
+    throw new Error('Source and target backends must differ');
+  }
+
+  const { basePath, paths } = DataService;
+  const source = await createStorage({ ...DATABASE_CONFIG, backend: from }, basePath, paths);
+  const target = await createStorage({ ...DATABASE_CONFIG, backend: to }, basePath, paths);
+
+  console.log(chalk.cyan(`\n📦 Migrating ${basePath} from ${from} to ${to}...\n`));
+
+  try {
+    const counts = await migrateStorage(source, target, Object.keys(paths));
+
+    source.takeQuarantined().forEach((notice) => {
+      console.log(chalk.yellow(`⚠️  Skipped corrupted ${notice.collection} record "${notice.key}", moved to ${notice.location}`));
+    });
+
+    Object.entries(counts).forEach(([collection, count]) => {
+      console.log(`  ${collection.padEnd(16)} ${count}`);
+    });
+
+    console.log(chalk.green('\n✓ Migration complete'));
+    console.log(chalk.gray(`Set FOOD_SYSTEM_STORAGE=${to} to use the new backend.`));
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red(`\n❌ Migration failed: ${error.message}`));
+  process.exit(1);
+});
@@ -1,6 +0,0 @@
-/**
- * Export all service modules
- */
-
-export { DataService } from "./DataService.js";
-export { ReportService } from "./ReportService.js";
@@ -0,0 +1,157 @@
+/**
+ * foodsystem bakery <percentages|scale|batch|hydration|starter|schedule>
+ */
+
+import { BakersPercentageCalculator } from "../../core/calculations/BakersPercentageCalculator.js";
+import { RecipeValidator } from "../../core/validators/RecipeValidator.js";
+import { readCommandInput, numberOption, choiceOption, usageError, assertValid } from "../helpers.js";
+
+const calculator = new BakersPercentageCalculator();
+
+/**
+ * Read and validate a formula, then convert it to baker's percentages
+ * @param {Object} args - Subcommand arguments ({ positionals, input })
+ * @returns {Promise<Object>} - { formula, warnings }
+ */
+async function loadFormula(args) {
+  const input = await readCommandInput(args);
+  const validation = new RecipeValidator().validateBakersFormula(input);
+  assertValid("formula", validation);
+
+  const formula = calculator.convertToBakersPercentages(input);
+  const check = calculator.validateFormula(formula);
+  assertValid("formula", check);
+
+  return {
+    formula,
+    warnings: [...(validation.warnings || []), ...check.warnings],
+  };
+}
+
+const ingredientRows = (ingredients) =>
+  ingredients.map((item) => ({
+    ingredient: item.name,
+    percentage: item.percentage,
+    weight: item.weight,
+  }));
+
+export default {
+  name: "bakery",
+  description: "Baker's percentage formulas, scaling and production",
+  subcommands: {
+    percentages: {
+      description: "Convert a formula (ingredient weights) to baker's percentages",
+      usage: "bakery percentages <formula.json>",
+      input: "Formula { name, ingredients: [{ name, type, weight }] }",
+      async run(args) {
+        const { formula, warnings } = await loadFormula(args);
+        return {
+          data: formula,
+          rows: ingredientRows(formula.formula),
+          warnings,
+        };
+      },
+    },
+
+    scale: {
+      description: "Scale a formula to a target flour or dough weight",
+      usage: "bakery scale (--flour <g> | --dough <g>) <formula.json>",
+      input: "Formula { name, ingredients: [{ name, type, weight }] }",
+      options: {
+        flour: { type: "string" },
+        dough: { type: "string" },
+      },
+      async run({ values, ...args }) {
+        const { formula, warnings } = await loadFormula(args);
+        const dough = numberOption(values, "dough", { min: 1 });
+        const flour = dough
+          ? calculator.calculateFlourWeight(dough, formula.totalPercentage)
+          : numberOption(values, "flour", { required: true, min: 1 });
+
+        const scaled = calculator.scaleRecipe(formula, flour);
+        return {
+          data: scaled,
+          rows: ingredientRows(scaled.ingredients),
+          warnings,
+        };
+      },
+    },
+
+    batch: {
+      description: "Dough and ingredients needed for a number of pieces",
+      usage: "bakery batch --pieces <n> --piece-weight <g> <formula.json>",
+      input: "Formula { name, ingredients: [{ name, type, weight }] }",
+      options: {
+        pieces: { type: "string" },
+        "piece-weight": { type: "string" },
+      },
+      async run({ values, ...args }) {
+        const { formula, warnings } = await loadFormula(args);
+        const pieces = numberOption(values, "pieces", { required: true, min: 1, integer: true });
+        const pieceWeight = numberOption(values, "piece-weight", { required: true, min: 1 });
+
+        const batch = calculator.calculateBatch(formula, pieces, pieceWeight);
+        return {
+          data: batch,
+          rows: ingredientRows(batch.ingredients),
+          warnings,
+        };
+      },
+    },
+
+    hydration: {
+      description: "Hydration percentage from water and flour weights",
+      usage: "bakery hydration --water <g> --flour <g>",
+      options: {
+        water: { type: "string" },
+        flour: { type: "string" },
+      },
+      async run({ values }) {
+        const water = numberOption(values, "water", { required: true, min: 0 });
+        const flour = numberOption(values, "flour", { required: true, min: 1 });
+        return {
+          data: { water, flour, hydration: calculator.calculateHydration(water, flour) },
+        };
+      },
+    },
+
+    starter: {
+      description: "Sourdough starter feeding amounts",
+      usage: "bakery starter --amount <g> [--ratio 1:1:1]",
+      options: {
+        amount: { type: "string" },
+        ratio: { type: "string" },
+      },
+      async run({ values }) {
+        const amount = numberOption(values, "amount", { required: true, min: 1 });
+        const ratio = values.ratio || "1:1:1";
+        if (!/^\d+(\.\d+)?:\d+(\.\d+)?:\d+(\.\d+)?$/.test(ratio)) {
+          throw usageError(`--ratio must look like 1:1:1, got "${ratio}"`);
+        }
+
+        const { schedule, ...feeding } = calculator.calculateStarterFeeding(amount, ratio);
+        return { data: feeding };
+      },
+    },
+
+    schedule: {
+      description: "Production schedule for a method",
+      usage: "bakery schedule [--method straight_dough|preferment]",
+      options: {
+        method: { type: "string" },
+      },
+      async run({ values }) {
+        const method = choiceOption(values, "method", ["straight_dough", "preferment"], "straight_dough");
+        const steps = calculator.generateProductionSchedule(method);
+        return {
+          data: steps,
+          rows: steps.map((step) => ({
+            step: step.step,
+            minutes: step.time,
+            temperature: step.temperature,
+          })),
+        };
+      },
+    },
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * foodsystem convert <quantity> <from> <to>
+ */
+
+import { UnitConverter } from "../../core/converters/UnitConverter.js";
+import { numberOption, usageError } from "../helpers.js";
+
+export default {
+  name: "convert",
+  description: "Convert between units (volume ↔ weight needs an ingredient or density)",
+  usage: "convert <quantity> <from> <to> [--ingredient <name>] [--density <g/ml>]",
+  options: {
+    ingredient: { type: "string" },
+    density: { type: "string" },
+  },
+  async run({ positionals, values }) {
+    const [rawQuantity, from, to] = positionals;
+    const quantity = numberOption({ quantity: rawQuantity }, "quantity", { required: true, min: 0 });
+    if (!from || !to) {
+      throw usageError("Usage: convert <quantity> <from> <to>");
+    }
+
+    const converter = new UnitConverter();
+    const density = numberOption(values, "density", { min: 0.01 });
+    const ingredient = density
+      ? { name: values.ingredient || "custom", density }
+      : values.ingredient || null;
+
+    let result;
+    try {
+      result = converter.convert(quantity, from, to, ingredient);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+
+    return {
+      data: { quantity, from, to, result, ingredient: values.ingredient || null },
+    };
+  },
+};
@@ -0,0 +1,91 @@
+/**
+ * foodsystem cost <recipe.json | saved-recipe-id>
+ */
+
+import fs from "fs-extra";
+import { RecipeCostCalculator } from "../../core/calculations/RecipeCostCalculator.js";
+import { RecipeValidator } from "../../core/validators/RecipeValidator.js";
+import DataService from "../../services/DataService.js";
+import { readJsonInput, numberOption, usageError, assertValid } from "../helpers.js";
+
+/**
+ * Load a recipe given directly, from a JSON file, stdin, or the recipe store
+ * @param {Object} args - Subcommand arguments ({ positionals, input })
+ * @returns {Promise<Object>} - Recipe
+ */
+export async function loadRecipeSource(args) {
+  if (args.input !== undefined) {
+    return args.input;
+  }
+
+  const source = args.positionals[0];
+  if (!source) {
+    throw usageError("Missing recipe file or saved recipe ID");
+  }
+  if (source === "-" || (await fs.pathExists(source))) {
+    return await readJsonInput(source);
+  }
+  try {
+    return await DataService.loadRecipe(source);
+  } catch (error) {
+    throw usageError(`No recipe file or saved recipe named "${source}"`);
+  }
+}
+
+export default {
+  name: "cost",
+  description: "Cost a recipe (escandallo breakdown)",
+  usage: "cost <recipe.json | saved-recipe-id | -> [--portions n] [--as-of YYYY-MM-DD]",
+  input: "Recipe { name, portions, ingredients: [...] }",
+  options: {
+    portions: { type: "string" },
+    "as-of": { type: "string" },
+  },
+  async run({ values, ...args }) {
+    let recipe = await loadRecipeSource(args);
+    assertValid("recipe", new RecipeValidator().validateRecipe(recipe));
+
+    const calculator = new RecipeCostCalculator();
+    const portions = numberOption(values, "portions", { min: 1, integer: true });
+    if (portions) {
+      recipe = calculator.scaleBatch(recipe, portions);
+    }
+
+    const asOf = values["as-of"];
+    if (asOf && isNaN(new Date(asOf).getTime())) {
+      throw usageError(`--as-of must be a date (YYYY-MM-DD), got "${asOf}"`);
+    }
+
+    const context = await DataService.loadCostingContext(recipe, asOf || null);
+    let cost;
+    try {
+      cost = calculator.calculateRecipeCost(recipe, context);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+
+    const rows = cost.breakdown.map((item) => ({
+      ingredient: item.name,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice: item.unitPrice,
+      apCost: item.apCost,
+      yield: item.yieldPercentage,
+      epCost: item.epCost,
+    }));
+    rows.push(
+      { ingredient: "Spice factor", epCost: cost.spiceCost },
+      { ingredient: "Q factor", epCost: cost.qCost },
+      { ingredient: "TOTAL", apCost: cost.totalAPCost, epCost: cost.totalCost },
+      { ingredient: "Per portion", epCost: cost.costPerPortion },
+      { ingredient: "Suggested price", epCost: cost.suggestedPrice }
+    );
+
+    return {
+      data: cost,
+      rows,
+      columns: ["ingredient", "quantity", "unit", "unitPrice", "apCost", "yield", "epCost"],
+      warnings: cost.warnings,
+    };
+  },
+};
@@ -0,0 +1,86 @@
+/**
+ * foodsystem ferment <wine|bread|vegetable|acidity>
+ */
+
+import { SousVideFermentationCalculator } from "../../core/calculations/SousVideFermentationCalculator.js";
+import { numberOption, choiceOption } from "../helpers.js";
+
+const calculator = new SousVideFermentationCalculator();
+
+export default {
+  name: "ferment",
+  description: "Wine, bread and vegetable fermentation",
+  subcommands: {
+    wine: {
+      description: "Sugar and alcohol for a wine fermentation",
+      usage: "ferment wine --volume <L> --sugar <g/L> --alcohol <% ABV>",
+      options: {
+        volume: { type: "string" },
+        sugar: { type: "string" },
+        alcohol: { type: "string" },
+      },
+      async run({ values }) {
+        const volume = numberOption(values, "volume", { required: true, min: 0.1 });
+        const sugar = numberOption(values, "sugar", { required: true, min: 0 });
+        const alcohol = numberOption(values, "alcohol", { required: true, min: 0, max: 20 });
+        return { data: calculator.calculateWineFermentation(volume, sugar, alcohol) };
+      },
+    },
+
+    bread: {
+      description: "Bulk and proof times for a yeasted dough",
+      usage: "ferment bread --flour <g> --hydration <%> --yeast <%> --temp <°C>",
+      options: {
+        flour: { type: "string" },
+        hydration: { type: "string" },
+        yeast: { type: "string" },
+        temp: { type: "string" },
+      },
+      async run({ values }) {
+        const flour = numberOption(values, "flour", { required: true, min: 1 });
+        const hydration = numberOption(values, "hydration", { required: true, min: 40, max: 120 });
+        const yeast = numberOption(values, "yeast", { required: true, min: 0, max: 10 });
+        const temp = numberOption(values, "temp", { required: true, min: 4, max: 40 });
+        return { data: calculator.calculateBreadFermentation(flour, hydration, yeast, temp) };
+      },
+    },
+
+    vegetable: {
+      description: "Salt and brine for lacto-fermented vegetables",
+      usage: "ferment vegetable --weight <g> --salt <%>",
+      options: {
+        weight: { type: "string" },
+        salt: { type: "string" },
+      },
+      async run({ values }) {
+        const weight = numberOption(values, "weight", { required: true, min: 1 });
+        const salt = numberOption(values, "salt", { required: true, min: 0.5, max: 10 });
+        return { data: calculator.calculateVegetableFermentation(weight, salt) };
+      },
+    },
+
+    acidity: {
+      description: "pH and titratable acidity after an adjustment",
+      usage: "ferment acidity --ph <pH> --ta <g/L> --volume <L> [--adjust tartaric|malolactic] [--amount <g/L>]",
+      options: {
+        ph: { type: "string" },
+        ta: { type: "string" },
+        volume: { type: "string" },
+        adjust: { type: "string" },
+        amount: { type: "string" },
+      },
+      async run({ values }) {
+        const ph = numberOption(values, "ph", { required: true, min: 0, max: 14 });
+        const ta = numberOption(values, "ta", { required: true, min: 0 });
+        const volume = numberOption(values, "volume", { required: true, min: 0.1 });
+        const adjustment = values.adjust
+          ? {
+              type: choiceOption(values, "adjust", ["tartaric", "malolactic"]),
+              amount: numberOption(values, "amount", { min: 0, default: 0 }),
+            }
+          : null;
+        return { data: calculator.calculateAcidity(ph, ta, volume, adjustment) };
+      },
+    },
+  },
+};
@@ -0,0 +1,149 @@
+/**
+ * foodsystem foodcost <cogs|percentage|prime-cost|variance|breakeven|menu-engineering>
+ */
+
+import { FoodCostCalculator } from "../../core/calculations/FoodCostCalculator.js";
+import { readCommandInput, numberOption, choiceOption, usageError } from "../helpers.js";
+
+const calculator = new FoodCostCalculator();
+const BUSINESS_TYPES = Object.keys(calculator.targetRanges);
+
+export default {
+  name: "foodcost",
+  description: "Period food cost, prime cost and menu engineering",
+  subcommands: {
+    cogs: {
+      description: "Cost of goods sold (and food cost % when revenue is given)",
+      usage: "foodcost cogs --beginning <€> --purchases <€> --ending <€> [--revenue <€>]",
+      options: {
+        beginning: { type: "string" },
+        purchases: { type: "string" },
+        ending: { type: "string" },
+        revenue: { type: "string" },
+      },
+      async run({ values }) {
+        const beginning = numberOption(values, "beginning", { required: true, min: 0 });
+        const purchases = numberOption(values, "purchases", { required: true, min: 0 });
+        const ending = numberOption(values, "ending", { required: true, min: 0 });
+        const revenue = numberOption(values, "revenue", { min: 0 });
+
+        const cogs = calculator.calculateCoGS(beginning, purchases, ending);
+        const data = { beginning, purchases, ending, cogs };
+        if (revenue !== undefined) {
+          data.revenue = revenue;
+          data.foodCostPercentage = calculator.calculateTotalFoodCostPercentage(cogs, revenue);
+          data.grossProfitMargin = calculator.calculateGrossProfitMargin(revenue, cogs);
+        }
+        return { data };
+      },
+    },
+
+    percentage: {
+      description: "Food cost percentage against the target range",
+      usage: "foodcost percentage --cost <€> --revenue <€> [--business-type casual_dining]",
+      options: {
+        cost: { type: "string" },
+        revenue: { type: "string" },
+        "business-type": { type: "string" },
+      },
+      async run({ values }) {
+        const cost = numberOption(values, "cost", { required: true, min: 0 });
+        const revenue = numberOption(values, "revenue", { required: true, min: 0.01 });
+        const businessType = choiceOption(values, "business-type", BUSINESS_TYPES, "casual_dining");
+
+        const percentage = calculator.calculateTotalFoodCostPercentage(cost, revenue);
+        return {
+          data: calculator.validateFoodCostPercentage(percentage, businessType),
+        };
+      },
+    },
+
+    "prime-cost": {
+      description: "Prime cost (food + labour) and its share of revenue",
+      usage: "foodcost prime-cost --food <€> --labor <€> --revenue <€>",
+      options: {
+        food: { type: "string" },
+        labor: { type: "string" },
+        revenue: { type: "string" },
+      },
+      async run({ values }) {
+        const food = numberOption(values, "food", { required: true, min: 0 });
+        const labor = numberOption(values, "labor", { required: true, min: 0 });
+        const revenue = numberOption(values, "revenue", { required: true, min: 0.01 });
+
+        const primeCost = calculator.calculatePrimeCost(food, labor);
+        return {
+          data: {
+            primeCost,
+            primeCostPercentage: calculator.calculatePrimeCostPercentage(primeCost, revenue),
+          },
+        };
+      },
+    },
+
+    variance: {
+      description: "Actual vs theoretical food cost variance",
+      usage: "foodcost variance --actual <€> --theoretical <€>",
+      options: {
+        actual: { type: "string" },
+        theoretical: { type: "string" },
+      },
+      async run({ values }) {
+        const actual = numberOption(values, "actual", { required: true, min: 0 });
+        const theoretical = numberOption(values, "theoretical", { required: true, min: 0.01 });
+        return { data: calculator.calculateVariance(actual, theoretical) };
+      },
+    },
+
+    breakeven: {
+      description: "Covers needed to cover fixed costs",
+      usage: "foodcost breakeven --fixed <€> --margin <€ per cover>",
+      options: {
+        fixed: { type: "string" },
+        margin: { type: "string" },
+      },
+      async run({ values }) {
+        const fixed = numberOption(values, "fixed", { required: true, min: 0 });
+        const margin = numberOption(values, "margin", { required: true, min: 0.01 });
+        return {
+          data: { fixedCosts: fixed, contributionMargin: margin, breakEvenUnits: calculator.calculateBreakEvenPoint(fixed, margin) },
+        };
+      },
+    },
+
+    "menu-engineering": {
+      description: "Classify menu items (star, plow horse, puzzle, dog)",
+      usage: "foodcost menu-engineering <items.json>   # [{ name, price, cost, soldQty }]",
+      input: "Menu items [{ name, price, cost, soldQty }]",
+      async run(args) {
+        const items = await readCommandInput(args);
+        if (!Array.isArray(items) || items.length === 0) {
+          throw usageError("Menu items file must contain a non-empty array");
+        }
+        const invalid = items.filter(
+          (item) => !item.name || !(item.price > 0) || !(item.cost >= 0) || !(item.soldQty >= 0)
+        );
+        if (invalid.length > 0) {
+          throw usageError(
+            "Each menu item needs name, price > 0, cost >= 0 and soldQty >= 0",
+            invalid.map((item) => JSON.stringify(item))
+          );
+        }
+
+        const analysis = calculator.calculateMenuEngineering(items);
+        return {
+          data: analysis,
+          rows: analysis.map((item) => ({
+            item: item.name,
+            price: item.price,
+            cost: item.cost,
+            sold: item.soldQty,
+            margin: item.contributionMargin,
+            foodCostPercent: item.foodCostPercent,
+            classification: item.classification,
+          })),
+        };
+      },
+    },
+  },
+};
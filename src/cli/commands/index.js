@@ -0,0 +1,24 @@
+/**
+ * Export all command-line commands
+ */
+
+import cost from "./cost.js";
+import bakery from "./bakery.js";
+import sousvide from "./sousvide.js";
+import fermentation from "./fermentation.js";
+import molecular from "./molecular.js";
+import foodcost from "./foodcost.js";
+import convert from "./convert.js";
+import inventory from "./inventory.js";
+import orders from "./orders.js";
+import suppliers from "./suppliers.js";
+import waste from "./waste.js";
+import sales from "./sales.js";
+import report from "./report.js";
+import serve from "./serve.js";
+
+export const COMMANDS = Object.fromEntries(
+  [cost, bakery, sousvide, fermentation, molecular, foodcost, convert, inventory, orders, suppliers, waste, sales, report, serve].map(
+    (command) => [command.name, command]
+  )
+);
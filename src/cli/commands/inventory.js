@@ -0,0 +1,925 @@
+/**
+ * foodsystem inventory <list|low-stock|pars|par|expiring|produce|sell|usage|record|movements|
+ *                       valuation|lots|trace|cogs|count-sheet|stocktake|stocktakes|locations|stock-at|transfer>
+ */
+
+import fs from "fs-extra";
+import DataService from "../../services/DataService.js";
+import { InventoryService } from "../../services/InventoryService.js";
+import { ParLevelService } from "../../services/ParLevelService.js";
+import { ReportService } from "../../services/ReportService.js";
+import { STOCK_MOVEMENT_TYPES } from "../../config/constants.js";
+import { COSTING_METHODS, INVENTORY_CONFIG, PAR_SOURCES } from "../../config/inventory.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../../config/locations.js";
+import { numberOption, choiceOption, usageError, readJsonInput } from "../helpers.js";
+
+const inventoryService = new InventoryService(DataService);
+const parLevelService = new ParLevelService(DataService, inventoryService);
+
+/**
+ * Check a --date option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ */
+function checkDate(values, name) {
+  if (values[name] && isNaN(new Date(values[name]).getTime())) {
+    throw usageError(`--${name} must be a date (YYYY-MM-DD), got "${values[name]}"`);
+  }
+}
+
+/**
+ * Read the --method option
+ * @param {Object} values - Parsed option values
+ * @returns {string} - Costing method
+ */
+const costingMethod = (values) =>
+  choiceOption(values, "method", Object.keys(COSTING_METHODS), INVENTORY_CONFIG.costingMethod);
+
+/**
+ * Read a location option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @param {string} fallback - Location when the option is left out; all locations if omitted
+ * @returns {string|undefined} - Location ID
+ */
+const locationOption = (values, name = "location", fallback) =>
+  values[name] === undefined && fallback === undefined
+    ? undefined
+    : choiceOption(values, name, Object.keys(LOCATIONS), fallback);
+
+/**
+ * Table rows for stock movements
+ * @param {Array} movements - Stock movements
+ * @returns {Array} - Rows
+ */
+const movementRows = (movements) =>
+  movements.map((movement) => ({
+    date: movement.date,
+    type: movement.type,
+    location: movement.location || DEFAULT_LOCATION,
+    id: movement.ingredientId,
+    item: movement.name,
+    quantity: movement.quantity,
+    unit: movement.unit,
+    unitCost: movement.unitCost,
+    value: movement.quantity * movement.unitCost,
+    user: movement.user || "",
+    reason: movement.reason || "",
+  }));
+
+/**
+ * Record a production batch or a sale and show the stock deducted
+ * @param {string} type - "production" or "sale"
+ * @param {Object} values - Parsed option values
+ * @returns {Promise<Object>} - Command result
+ */
+async function recordDepletion(type, values) {
+  if (!values.recipe) {
+    throw usageError("Missing required option --recipe");
+  }
+  const portions = numberOption(values, "portions", { min: 0 });
+  const batches = numberOption(values, "batches", { min: 0 });
+  if ((portions === undefined) === (batches === undefined)) {
+    throw usageError(type === "sale" ? "Missing required option --portions" : "Give either --portions or --batches");
+  }
+  checkDate(values, "date");
+  const location = locationOption(values, "location", DEFAULT_LOCATION);
+
+  try {
+    await DataService.loadRecipe(values.recipe);
+  } catch (error) {
+    throw usageError(`No saved recipe named "${values.recipe}"`);
+  }
+
+  let result;
+  try {
+    result = await inventoryService.recordDepletion({
+      type,
+      recipeId: values.recipe,
+      portions,
+      batches,
+      date: values.date,
+      location,
+      user: values.user,
+      note: values.note,
+    });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  return {
+    data: result,
+    rows: result.movements.map((movement) => ({
+      id: movement.ingredientId,
+      item: movement.name,
+      quantity: movement.quantity,
+      unit: movement.unit,
+      unitCost: movement.unitCost,
+      cost: movement.quantity * movement.unitCost,
+    })),
+    warnings: result.warnings,
+  };
+}
+
+/**
+ * Read stock-take counts: a filled-in CSV count sheet, a JSON file or the
+ * request input
+ * @param {Object} args - { positionals, input }
+ * @returns {Promise<Object>} - ingredientId → counted quantity
+ */
+async function readCounts({ positionals = [], input }) {
+  let counts = input;
+  if (counts === undefined) {
+    const filepath = positionals[0];
+    if (filepath && filepath.toLowerCase().endsWith(".csv")) {
+      if (!(await fs.pathExists(filepath))) {
+        throw usageError(`File not found: ${filepath}`);
+      }
+      counts = await DataService.importFromCSV(filepath);
+    } else {
+      counts = await readJsonInput(filepath);
+    }
+  }
+
+  try {
+    if (Array.isArray(counts)) {
+      return inventoryService.countsFromRows(counts);
+    }
+    if (counts && typeof counts === "object") {
+      return inventoryService.countsFromRows(Object.entries(counts).map(([id, counted]) => ({ id, counted })));
+    }
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  throw usageError("Counts must be a list of { id, counted } or an object of ID → counted quantity");
+}
+
+export default {
+  name: "inventory",
+  description: "Stock levels from the ingredient database",
+  subcommands: {
+    list: {
+      description: "All stock items, or those held at a location with its stock",
+      usage: "inventory list [--category <name>] [--location <id>]",
+      options: {
+        category: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        let items = inventoryService.inventoryAt(await DataService.loadIngredients(), locationOption(values));
+        if (values.category) {
+          const category = values.category.toLowerCase();
+          items = items.filter((item) => (item.category || "").toLowerCase() === category);
+        }
+
+        return {
+          data: items,
+          rows: items.map((item) => ({
+            id: item.id,
+            item: item.name,
+            category: item.category || "",
+            quantity: item.quantity,
+            unit: item.unit,
+            unitPrice: item.unitPrice,
+            value: (item.quantity || 0) * (item.unitPrice || 0),
+          })),
+        };
+      },
+    },
+
+    "low-stock": {
+      description: "Items at or below par level, with suggested order quantities, at a location or across all of them",
+      usage: "inventory low-stock [--location <id>]",
+      options: {
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        const items = await inventoryService.getLowStock(locationOption(values));
+        return {
+          data: items,
+          rows: items.map((item) => ({
+            id: item.id,
+            item: item.name,
+            quantity: item.quantity,
+            parLevel: item.parLevel,
+            orderQuantity: item.orderQuantity,
+            unit: item.unit,
+            supplier: item.supplier || "",
+            status: item.status,
+          })),
+        };
+      },
+    },
+
+    pars: {
+      description: "Par and max levels suggested from usage history, weekday pattern and supplier lead time; --accept applies them",
+      usage:
+        "inventory pars [--item <id>] [--days 56] [--service-level 95 | --safety-days <days>] [--accept [--replace-manual]]",
+      options: {
+        item: { type: "string" },
+        days: { type: "string" },
+        "service-level": { type: "string" },
+        "safety-days": { type: "string" },
+        accept: { type: "boolean" },
+        "replace-manual": { type: "boolean" },
+      },
+      async run({ values }) {
+        const options = {
+          days: numberOption(values, "days", { integer: true, min: INVENTORY_CONFIG.minimumHistoryDays }),
+          serviceLevel: numberOption(values, "service-level", { min: 50, max: 99.99 }),
+          safetyDays: numberOption(values, "safety-days", { min: 0 }),
+        };
+        if (options.serviceLevel !== undefined && options.safetyDays !== undefined) {
+          throw usageError("Give either --service-level or --safety-days");
+        }
+        if (options.safetyDays === undefined && options.serviceLevel !== undefined) {
+          // A service level on the command line wins over configured safety days
+          options.safetyDays = null;
+        }
+
+        if (values.accept) {
+          let result;
+          try {
+            result = await parLevelService.accept({
+              ...options,
+              ids: values.item ? [values.item] : undefined,
+              replaceManual: values["replace-manual"],
+            });
+          } catch (error) {
+            throw usageError(error.message);
+          }
+          return {
+            data: result,
+            rows: result.accepted.map((item) => ({
+              id: item.id,
+              item: item.name,
+              parLevel: item.parLevel,
+              maxLevel: item.maxLevel,
+              unit: item.unit,
+            })),
+            warnings: result.skipped.map((item) => `${item.name} left unchanged: ${item.reason}`),
+          };
+        }
+
+        let items;
+        try {
+          items = await parLevelService.getSuggestions(options);
+        } catch (error) {
+          throw usageError(error.message);
+        }
+        if (values.item) {
+          items = items.filter((item) => item.id === values.item);
+          if (items.length === 0) {
+            throw usageError(`Ingredient "${values.item}" not found`);
+          }
+        }
+        return {
+          data: items,
+          rows: items.map(({ suggestion, ...item }) => ({
+            id: item.id,
+            item: item.name,
+            quantity: item.quantity,
+            unit: item.unit,
+            parLevel: item.parLevel ?? "",
+            maxLevel: item.maxLevel ?? "",
+            source: item.parSource ? PAR_SOURCES[item.parSource].label : "",
+            suggestedPar: suggestion?.parLevel ?? "",
+            suggestedMax: suggestion?.maxLevel ?? "",
+            orderQuantity: suggestion?.orderQuantity ?? "",
+            usagePerDay: suggestion?.usagePerDay ?? "",
+            leadTimeDays: suggestion?.leadTimeDays ?? "",
+            note: suggestion ? "" : item.reason,
+          })),
+        };
+      },
+    },
+
+    par: {
+      description: "Set an item's par and max levels by hand; accepting suggestions leaves them alone",
+      usage: "inventory par <id> --par <quantity> [--max <quantity>]",
+      options: {
+        par: { type: "string" },
+        max: { type: "string" },
+      },
+      async run({ positionals, values }) {
+        if (!positionals[0]) {
+          throw usageError("Missing ingredient ID");
+        }
+        const parLevel = numberOption(values, "par", { required: true, min: 0 });
+        const maxLevel = numberOption(values, "max", { min: 0 });
+
+        let item;
+        try {
+          item = await parLevelService.override(positionals[0], { parLevel, maxLevel });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+        return {
+          data: item,
+          rows: [{ id: item.id, item: item.name, parLevel: item.parLevel, maxLevel: item.maxLevel ?? "", unit: item.unit }],
+        };
+      },
+    },
+
+    expiring: {
+      description: "Stock lots expiring within a number of days, with the order to use each item's lots in",
+      usage: "inventory expiring [--days 30] [--location <id>]",
+      options: {
+        days: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        const days = numberOption(values, "days", { min: 0, integer: true, default: 30 });
+        const lots = await inventoryService.getExpiring(days, locationOption(values));
+        return {
+          data: lots,
+          rows: lots.map((lot) => ({
+            location: lot.location,
+            id: lot.id,
+            item: lot.name,
+            lot: lot.lotNumber || "",
+            quantity: lot.quantity,
+            unit: lot.unit,
+            expiryDate: lot.expiryDate,
+            daysLeft: lot.daysLeft,
+            useOrder: lot.useOrder,
+            status: lot.status,
+          })),
+        };
+      },
+    },
+
+    produce: {
+      description: "Record a production batch and deduct its ingredients from stock",
+      usage:
+        "inventory produce --recipe <id> (--portions <n> | --batches <n>) [--location <id>] [--date YYYY-MM-DD] [--user <name>] [--note <text>]",
+      options: {
+        recipe: { type: "string" },
+        portions: { type: "string" },
+        batches: { type: "string" },
+        location: { type: "string" },
+        date: { type: "string" },
+        user: { type: "string" },
+        note: { type: "string" },
+      },
+      async run({ values }) {
+        return await recordDepletion("production", values);
+      },
+    },
+
+    sell: {
+      description: "Record portions sold and deduct their ingredients from stock",
+      usage: "inventory sell --recipe <id> --portions <n> [--location <id>] [--date YYYY-MM-DD] [--user <name>] [--note <text>]",
+      options: {
+        recipe: { type: "string" },
+        portions: { type: "string" },
+        location: { type: "string" },
+        date: { type: "string" },
+        user: { type: "string" },
+        note: { type: "string" },
+      },
+      async run({ values }) {
+        return await recordDepletion("sale", values);
+      },
+    },
+
+    usage: {
+      description: "Usage per day (over the days each item's ledger covers), days of stock left and turnover from recorded production and sales",
+      usage: "inventory usage [--days 30]",
+      options: {
+        days: { type: "string" },
+      },
+      async run({ values }) {
+        const days = numberOption(values, "days", { min: 1, integer: true, default: 30 });
+        const items = await inventoryService.getUsageAnalysis(days);
+        return {
+          data: items,
+          rows: items.map((item) => ({
+            id: item.id,
+            item: item.name,
+            used: item.used,
+            daysCovered: item.daysCovered,
+            usagePerDay: item.usagePerDay,
+            quantity: item.quantity,
+            unit: item.unit,
+            daysOfStock: item.daysOfStock,
+            turnover: item.turnover,
+            trend: item.trend,
+          })),
+        };
+      },
+    },
+
+    record: {
+      description: "Post a stock movement to the ledger (removals are given as positive quantities)",
+      usage: `inventory record --item <id> --type <${Object.keys(STOCK_MOVEMENT_TYPES).join("|")}> --quantity <n> [--location <id>] [--unit-cost <€>] [--reason <text>] [--user <name>] [--date YYYY-MM-DD] [--lot-number <supplier lot> --expiry YYYY-MM-DD --supplier <name>] [--lot <lot to draw from>]`,
+      options: {
+        item: { type: "string" },
+        type: { type: "string" },
+        quantity: { type: "string" },
+        location: { type: "string" },
+        "unit-cost": { type: "string" },
+        reason: { type: "string" },
+        user: { type: "string" },
+        date: { type: "string" },
+        "lot-number": { type: "string" },
+        expiry: { type: "string" },
+        supplier: { type: "string" },
+        lot: { type: "string" },
+      },
+      async run({ values }) {
+        if (!values.item) {
+          throw usageError("Missing required option --item");
+        }
+        const type = choiceOption(values, "type", Object.keys(STOCK_MOVEMENT_TYPES));
+        const quantity = numberOption(values, "quantity", { required: true });
+        const unitCost = numberOption(values, "unit-cost", { min: 0 });
+        const location = locationOption(values, "location", DEFAULT_LOCATION);
+        checkDate(values, "date");
+        checkDate(values, "expiry");
+        if (!(await DataService.getIngredient(values.item))) {
+          throw usageError(`No ingredient named "${values.item}"`);
+        }
+
+        let result;
+        try {
+          result = await inventoryService.recordMovement({
+            ingredientId: values.item,
+            type,
+            quantity,
+            unitCost,
+            location,
+            reason: values.reason,
+            user: values.user,
+            date: values.date,
+            lotNumber: values["lot-number"],
+            expiryDate: values.expiry,
+            supplier: values.supplier,
+            lot: values.lot,
+          });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+
+        return {
+          data: result,
+          rows: movementRows([result.movement]).map((row) => ({
+            ...row,
+            onHand: inventoryService.stockAt(result.item, location).quantity,
+          })),
+        };
+      },
+    },
+
+    movements: {
+      description: "Stock movement ledger, oldest first",
+      usage: "inventory movements [--item <id>] [--type <type>] [--location <id>] [--from YYYY-MM-DD] [--to YYYY-MM-DD]",
+      options: {
+        item: { type: "string" },
+        type: { type: "string" },
+        location: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+      },
+      async run({ values }) {
+        if (values.type) {
+          choiceOption(values, "type", Object.keys(STOCK_MOVEMENT_TYPES));
+        }
+        checkDate(values, "from");
+        checkDate(values, "to");
+
+        const movements = await DataService.loadMovements({
+          ingredientId: values.item,
+          type: values.type,
+          location: locationOption(values),
+          from: values.from,
+          to: values.to,
+        });
+        return { data: movements, rows: movementRows(movements) };
+      },
+    },
+
+    valuation: {
+      description: "Stock value per item by costing method, traced to the movements behind each quantity, at a location or across all of them",
+      usage: `inventory valuation [--method <${Object.keys(COSTING_METHODS).join("|")}>] [--location <id>]`,
+      options: {
+        method: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        const { inventory, ledger, costs, location } = await inventoryService.getValuation(
+          costingMethod(values),
+          locationOption(values)
+        );
+        const report = new ReportService().generateInventoryValuation(inventory, ledger, costs, location);
+        const types = Object.keys(STOCK_MOVEMENT_TYPES);
+
+        return {
+          data: report,
+          rows: report.items.map((item) => ({
+            id: item.id,
+            item: item.name,
+            ...Object.fromEntries(types.map((type) => [type, item.byType[type] || 0])),
+            onHand: item.quantity,
+            unit: item.unit,
+            unitCost: item.unitCost,
+            value: item.value,
+          })),
+          warnings: report.untraced.map(
+            (item) => `${item.name}: quantity ${item.quantity} does not match its movements (${item.ledgerBalance})`
+          ),
+        };
+      },
+    },
+
+    lots: {
+      description: "Stock lots still on hand, one per receipt, in the order they are used (receipt order, or first expiry first out with --method fefo)",
+      usage: `inventory lots [--item <id>] [--location <id>] [--method <${Object.keys(COSTING_METHODS).join("|")}>]`,
+      options: {
+        item: { type: "string" },
+        location: { type: "string" },
+        method: { type: "string" },
+      },
+      async run({ values }) {
+        const method = costingMethod(values);
+        const location = locationOption(values);
+        if (values.item && !(await DataService.getIngredient(values.item))) {
+          throw usageError(`No ingredient named "${values.item}"`);
+        }
+
+        const lots = (await inventoryService.getLots(method, location)).filter((lot) => !values.item || lot.id === values.item);
+        return {
+          data: lots,
+          rows: lots.map((lot) => ({
+            location: lot.location,
+            id: lot.id,
+            item: lot.name,
+            useOrder: lot.useOrder,
+            lot: lot.lotNumber || "",
+            date: lot.date || "",
+            type: lot.type,
+            expiryDate: lot.expiryDate || "",
+            received: lot.received,
+            remaining: lot.quantity,
+            unit: lot.unit,
+            unitCost: lot.unitCost,
+            value: lot.quantity * lot.unitCost,
+          })),
+        };
+      },
+    },
+
+    trace: {
+      description: "Trace a stock lot to the production batches, sales and other removals that used it",
+      usage: "inventory trace <lot number | receipt movement ID> [--item <id>]",
+      options: {
+        item: { type: "string" },
+      },
+      async run({ positionals, values }) {
+        const [lot] = positionals;
+        if (!lot) {
+          throw usageError("Missing lot number");
+        }
+        if (values.item && !(await DataService.getIngredient(values.item))) {
+          throw usageError(`No ingredient named "${values.item}"`);
+        }
+
+        const traced = await inventoryService.getLotTrace(lot, { ingredientId: values.item });
+        if (traced.length === 0) {
+          throw usageError(`No stock lot "${lot}" received${values.item ? ` for ${values.item}` : ""}`);
+        }
+        return {
+          data: traced,
+          rows: traced.flatMap((entry) => {
+            const row = ({ date, type, location, recipe = "", portions = "", quantity, reference, user = "" }) => ({
+              item: entry.name,
+              lot: entry.lotNumber || entry.movementId,
+              date,
+              type,
+              location,
+              recipe,
+              portions,
+              quantity,
+              unit: entry.unit,
+              reference,
+              user,
+            });
+            return [
+              row({
+                date: entry.date,
+                type: entry.type,
+                location: entry.location,
+                quantity: entry.received,
+                reference: entry.supplier,
+              }),
+              ...entry.uses.map((use) =>
+                row({
+                  date: use.date,
+                  type: use.type,
+                  location: use.toLocation ? `${use.location} > ${use.toLocation}` : use.location,
+                  recipe: use.recipeName || "",
+                  portions: use.portions ?? "",
+                  quantity: -use.quantity,
+                  reference: use.reference,
+                  user: use.user || "",
+                })
+              ),
+            ];
+          }),
+          warnings: traced
+            .filter((entry) => entry.remaining > 0)
+            .map(
+              (entry) =>
+                `${entry.name} lot ${entry.lotNumber || entry.movementId}: ${entry.remaining} ${entry.unit} still on hand at ${LOCATIONS[entry.location]?.label || entry.location}`
+            ),
+        };
+      },
+    },
+
+    cogs: {
+      description: "Cost of goods consumed over a period, with stock valued by costing method",
+      usage: `inventory cogs --from YYYY-MM-DD [--to YYYY-MM-DD] [--method <${Object.keys(COSTING_METHODS).join("|")}>] [--location <id>]`,
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        method: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        if (!values.from) {
+          throw usageError("Missing required option --from");
+        }
+        checkDate(values, "from");
+        checkDate(values, "to");
+        const to = values.to || new Date().toISOString().split("T")[0];
+        if (values.from > to) {
+          throw usageError("--to must be on or after --from");
+        }
+
+        const report = await inventoryService.getCostOfGoods({
+          from: values.from,
+          to,
+          method: costingMethod(values),
+          location: locationOption(values),
+        });
+
+        const row = (id, item, figures) => ({
+          id,
+          item,
+          beginning: figures.beginningInventory,
+          purchases: figures.purchases,
+          transfers: figures.transfers,
+          ending: figures.endingInventory,
+          cogs: figures.cogs,
+        });
+        return {
+          data: report,
+          rows: [...report.items.map((item) => row(item.id, item.name, item)), row("", "Total", report)],
+        };
+      },
+    },
+
+    "count-sheet": {
+      description: "Blank count sheet for a stock take at a location, grouped by storage area and category",
+      usage: "inventory count-sheet [--location <id>] [--area <storage area>] [--category <name>]",
+      options: {
+        location: { type: "string" },
+        area: { type: "string" },
+        category: { type: "string" },
+      },
+      async run({ values }) {
+        const sheet = inventoryService.buildCountSheet(await DataService.loadIngredients(), {
+          location: locationOption(values, "location", DEFAULT_LOCATION),
+          storageArea: values.area,
+          category: values.category,
+        });
+        return {
+          data: sheet,
+          rows: sheet.map((line) => ({
+            area: line.storageArea,
+            category: line.category,
+            id: line.ingredientId,
+            item: line.name,
+            unit: line.unit,
+            counted: "",
+          })),
+        };
+      },
+    },
+
+    stocktake: {
+      description: "Compare counted with expected stock and, with --post, post the count adjustments",
+      usage:
+        "inventory stocktake <counts.csv|counts.json|-> [--location <id>] [--area <storage area>] [--category <name>] [--date YYYY-MM-DD] [--method <costing method>] [--post] [--user <name>] [--note <text>]",
+      input: "Counts [{ id, counted }] or { <id>: counted }",
+      options: {
+        location: { type: "string" },
+        area: { type: "string" },
+        category: { type: "string" },
+        date: { type: "string" },
+        method: { type: "string" },
+        post: { type: "boolean" },
+        user: { type: "string" },
+        note: { type: "string" },
+      },
+      async run({ positionals, values, input }) {
+        checkDate(values, "date");
+        const counts = await readCounts({ positionals, input });
+        const options = {
+          location: locationOption(values, "location", DEFAULT_LOCATION),
+          storageArea: values.area,
+          category: values.category,
+          date: values.date,
+          method: costingMethod(values),
+        };
+
+        let result;
+        try {
+          result = values.post
+            ? await inventoryService.postStockTake(counts, { ...options, user: values.user, note: values.note })
+            : await inventoryService.reviewStockTake(counts, options);
+        } catch (error) {
+          throw usageError(error.message);
+        }
+
+        const uncounted = result.uncounted.map((line) => line.name ?? line);
+        const { foodCost } = result;
+        const warnings = [
+          ...(uncounted.length > 0 ? [`Not counted (left unchanged): ${uncounted.join(", ")}`] : []),
+          `Food cost since ${result.from || "the start of the ledger"}: actual ${foodCost.actualCost.toFixed(2)} vs theoretical ${foodCost.theoreticalCost.toFixed(2)} - ${foodCost.analysis}`,
+        ];
+        if (!values.post) {
+          const changes = result.lines.filter((line) => line.variance !== 0).length;
+          warnings.push(`Not posted: rerun with --post to post ${changes} count adjustment${changes === 1 ? "" : "s"}`);
+        }
+
+        return {
+          data: result,
+          rows: result.lines.map((line) => ({
+            area: line.storageArea,
+            id: line.ingredientId,
+            item: line.name,
+            unit: line.unit,
+            expected: line.expected,
+            counted: line.counted,
+            variance: line.variance,
+            unitCost: line.unitCost,
+            varianceValue: line.varianceValue,
+          })),
+          warnings,
+        };
+      },
+    },
+
+    stocktakes: {
+      description: "Posted stock takes, newest first",
+      usage: "inventory stocktakes [--limit 10]",
+      options: {
+        limit: { type: "string" },
+      },
+      async run({ values }) {
+        const limit = numberOption(values, "limit", { min: 1, integer: true, default: 10 });
+        const stockTakes = await DataService.loadStockTakes(limit);
+        return {
+          data: stockTakes,
+          rows: stockTakes.map((stockTake) => ({
+            id: stockTake.id,
+            date: stockTake.date,
+            location: stockTake.location || DEFAULT_LOCATION,
+            scope: [stockTake.storageArea, stockTake.category].filter(Boolean).join(" / ") || "all",
+            counted: stockTake.lines.length,
+            adjustments: stockTake.adjustments,
+            varianceValue: stockTake.totals.varianceValue,
+            actualCost: stockTake.foodCost.actualCost,
+            theoreticalCost: stockTake.foodCost.theoreticalCost,
+            variancePercent: stockTake.foodCost.variancePercent,
+            user: stockTake.user,
+          })),
+        };
+      },
+    },
+
+    locations: {
+      description: "Stock locations with the items held and the stock value at each",
+      usage: `inventory locations [--method <${Object.keys(COSTING_METHODS).join("|")}>]`,
+      options: {
+        method: { type: "string" },
+      },
+      async run({ values }) {
+        const locations = await inventoryService.getLocationValues(costingMethod(values));
+        return {
+          data: locations,
+          rows: locations.map((location) => ({
+            id: location.location,
+            location: location.label,
+            default: location.location === DEFAULT_LOCATION ? "yes" : "",
+            items: location.items,
+            value: location.value,
+          })),
+        };
+      },
+    },
+
+    "stock-at": {
+      description: "Stock an item at a location, with the storage area and par and max levels used there",
+      usage: "inventory stock-at <id> --location <id> [--area <storage area>] [--par <quantity>] [--max <quantity>]",
+      options: {
+        location: { type: "string" },
+        area: { type: "string" },
+        par: { type: "string" },
+        max: { type: "string" },
+      },
+      async run({ positionals, values }) {
+        if (!positionals[0]) {
+          throw usageError("Missing ingredient ID");
+        }
+        const location = locationOption(values, "location");
+        if (!location) {
+          throw usageError(`Missing required option --location (${Object.keys(LOCATIONS).join(", ")})`);
+        }
+
+        let item;
+        try {
+          item = await inventoryService.setLocationSettings(positionals[0], location, {
+            storageArea: values.area,
+            parLevel: numberOption(values, "par", { min: 0 }),
+            maxLevel: numberOption(values, "max", { min: 0 }),
+          });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+        const stocked = inventoryService.stockAt(item, location);
+        return {
+          data: item,
+          rows: [
+            {
+              id: item.id,
+              item: item.name,
+              location,
+              area: stocked.storageArea || "",
+              quantity: stocked.quantity,
+              parLevel: stocked.parLevel ?? "",
+              maxLevel: stocked.maxLevel ?? "",
+              unit: item.unit,
+            },
+          ],
+        };
+      },
+    },
+
+    transfer: {
+      description: "Transfer stock to another location at cost, lot by lot (in the costing method's lot order unless --lot is given)",
+      usage:
+        "inventory transfer --item <id> --quantity <n> --from <location> --to <location> [--lot <lot to send>] [--date YYYY-MM-DD] [--user <name>] [--reason <text>] [--method <costing method>]",
+      options: {
+        item: { type: "string" },
+        quantity: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        lot: { type: "string" },
+        date: { type: "string" },
+        user: { type: "string" },
+        reason: { type: "string" },
+        method: { type: "string" },
+      },
+      async run({ values }) {
+        if (!values.item) {
+          throw usageError("Missing required option --item");
+        }
+        const quantity = numberOption(values, "quantity", { required: true, min: 0 });
+        const from = locationOption(values, "from");
+        const to = locationOption(values, "to");
+        if (!from || !to) {
+          throw usageError(`Missing required option --${from ? "to" : "from"} (${Object.keys(LOCATIONS).join(", ")})`);
+        }
+        checkDate(values, "date");
+
+        let result;
+        try {
+          result = await inventoryService.transferStock({
+            ingredientId: values.item,
+            quantity,
+            from,
+            to,
+            lot: values.lot,
+            date: values.date,
+            user: values.user,
+            reason: values.reason,
+            method: costingMethod(values),
+          });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+
+        return {
+          data: result,
+          rows: movementRows(result.movements).map((row, index) => ({
+            ...row,
+            lot: result.movements[index].lotNumber || "",
+            onHand: inventoryService.stockAt(result.item, row.location).quantity,
+          })),
+        };
+      },
+    },
+  },
+};
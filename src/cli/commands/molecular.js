@@ -0,0 +1,130 @@
+/**
+ * foodsystem molecular <spherification|agar|gellan|foam|transglutaminase|methylcellulose|xanthan|ph>
+ */
+
+import { MolecularGastronomyCalculator } from "../../core/calculations/MolecularGastronomyCalculator.js";
+import { numberOption, choiceOption } from "../helpers.js";
+
+const calculator = new MolecularGastronomyCalculator();
+
+const liquidOption = { liquid: { type: "string" } };
+const liquid = (values) =>
+  numberOption(values, "liquid", { required: true, min: 1 });
+
+export default {
+  name: "molecular",
+  description: "Hydrocolloid and spherification quantities",
+  subcommands: {
+    spherification: {
+      description: "Alginate and calcium for basic, reverse or frozen spherification",
+      usage: "molecular spherification --liquid <ml> [--bath <ml>] [--method basic|reverse|frozen] [--molds <n>]",
+      options: {
+        ...liquidOption,
+        bath: { type: "string" },
+        method: { type: "string" },
+        molds: { type: "string" },
+      },
+      async run({ values }) {
+        const method = choiceOption(values, "method", ["basic", "reverse", "frozen"], "basic");
+        if (method === "frozen") {
+          const molds = numberOption(values, "molds", { required: true, min: 1, integer: true });
+          return { data: calculator.calculateFrozenReverseSpherification(liquid(values), molds) };
+        }
+
+        const bath = numberOption(values, "bath", { min: 1, default: 1000 });
+        return {
+          data:
+            method === "reverse"
+              ? calculator.calculateReverseSpherification(liquid(values), bath)
+              : calculator.calculateBasicSpherification(liquid(values), bath),
+        };
+      },
+    },
+
+    agar: {
+      description: "Agar gel",
+      usage: "molecular agar --liquid <ml> [--gel fluid_gel|soft_gel|firm_gel|brittle_gel]",
+      options: { ...liquidOption, gel: { type: "string" } },
+      async run({ values }) {
+        const gel = choiceOption(values, "gel", ["fluid_gel", "soft_gel", "firm_gel", "brittle_gel"], "soft_gel");
+        return { data: calculator.calculateAgarGel(liquid(values), gel) };
+      },
+    },
+
+    gellan: {
+      description: "Gellan gel",
+      usage: "molecular gellan --liquid <ml> [--firmness fluid|standard|firm]",
+      options: { ...liquidOption, firmness: { type: "string" } },
+      async run({ values }) {
+        const firmness = choiceOption(values, "firmness", ["fluid", "standard", "firm"], "standard");
+        return { data: calculator.calculateGellanGel(liquid(values), firmness) };
+      },
+    },
+
+    foam: {
+      description: "Lecithin foam or air",
+      usage: "molecular foam --liquid <ml> [--type air|foam]",
+      options: { ...liquidOption, type: { type: "string" } },
+      async run({ values }) {
+        const type = choiceOption(values, "type", ["air", "foam"], "air");
+        return { data: calculator.calculateLecithinFoam(liquid(values), type) };
+      },
+    },
+
+    transglutaminase: {
+      description: "Transglutaminase for protein bonding",
+      usage: "molecular transglutaminase --protein <g> [--method direct|slurry|mixed]",
+      options: { protein: { type: "string" }, method: { type: "string" } },
+      async run({ values }) {
+        const protein = numberOption(values, "protein", { required: true, min: 1 });
+        const method = choiceOption(values, "method", ["direct", "slurry", "mixed"], "direct");
+        return { data: calculator.calculateTransglutaminase(protein, method) };
+      },
+    },
+
+    methylcellulose: {
+      description: "Methylcellulose hot gel",
+      usage: "molecular methylcellulose --liquid <ml> [--strength light|medium|firm]",
+      options: { ...liquidOption, strength: { type: "string" } },
+      async run({ values }) {
+        const strength = choiceOption(values, "strength", ["light", "medium", "firm"], "medium");
+        return { data: calculator.calculateMethylcellulose(liquid(values), strength) };
+      },
+    },
+
+    xanthan: {
+      description: "Xanthan thickening",
+      usage: "molecular xanthan --liquid <ml> [--viscosity light|medium|thick|gel]",
+      options: { ...liquidOption, viscosity: { type: "string" } },
+      async run({ values }) {
+        const viscosity = choiceOption(values, "viscosity", ["light", "medium", "thick", "gel"], "medium");
+        return { data: calculator.calculateXanthanThickening(liquid(values), viscosity) };
+      },
+    },
+
+    ph: {
+      description: "Additives to move a liquid to a target pH",
+      usage: "molecular ph --current <pH> --target <pH> --volume <ml> [--ingredient <name>]",
+      options: {
+        current: { type: "string" },
+        target: { type: "string" },
+        volume: { type: "string" },
+        ingredient: { type: "string" },
+      },
+      async run({ values }) {
+        const current = numberOption(values, "current", { required: true, min: 0, max: 14 });
+        const target = numberOption(values, "target", { required: true, min: 0, max: 14 });
+        const volume = numberOption(values, "volume", { required: true, min: 1 });
+        const result = calculator.calculatePHAdjustment(current, target, volume, values.ingredient);
+        return {
+          data: result,
+          rows: result.additives.map((additive) => ({
+            additive: additive.name,
+            amount: additive.amount,
+            unit: additive.unit,
+          })),
+        };
+      },
+    },
+  },
+};
@@ -0,0 +1,360 @@
+/**
+ * foodsystem orders <list|show|create|plan|reorder|send|receive|close>
+ */
+
+import fs from "fs-extra";
+import DataService from "../../services/DataService.js";
+import { PurchaseOrderService } from "../../services/PurchaseOrderService.js";
+import { PURCHASE_ORDER_STATUSES, PURCHASING_CONFIG, SUPPLIER_CHOICES } from "../../config/purchasing.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../../config/locations.js";
+import { numberOption, choiceOption, usageError, readJsonInput } from "../helpers.js";
+
+const purchaseOrderService = new PurchaseOrderService(DataService);
+
+/**
+ * Check a date option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ */
+function checkDate(values, name) {
+  if (values[name] && isNaN(new Date(values[name]).getTime())) {
+    throw usageError(`--${name} must be a date (YYYY-MM-DD), got "${values[name]}"`);
+  }
+}
+
+/**
+ * Read order or delivery lines: a CSV file (such as the lines of `orders
+ * show -f csv` filled in), a JSON file or the request input
+ * Lines with a blank quantity are skipped.
+ * @param {string} filepath - File path or "-"
+ * @param {*} input - Lines already read (HTTP API)
+ * @returns {Promise<Array>} - [{ ingredientId, quantity, unitPrice, lotNumber, expiryDate }]
+ */
+async function readLines(filepath, input) {
+  let rows = input;
+  if (rows === undefined) {
+    if (filepath && filepath.toLowerCase().endsWith(".csv")) {
+      if (!(await fs.pathExists(filepath))) {
+        throw usageError(`File not found: ${filepath}`);
+      }
+      rows = await DataService.importFromCSV(filepath);
+    } else {
+      rows = await readJsonInput(filepath);
+    }
+  }
+  if (!Array.isArray(rows)) {
+    throw usageError("Lines must be a list of { id, quantity, unitPrice }");
+  }
+
+  const number = (row, key) => {
+    if (row[key] === undefined || row[key] === null || row[key] === "") return undefined;
+    const value = Number(row[key]);
+    if (!Number.isFinite(value)) {
+      throw usageError(`${row.id ?? row.ingredientId}: ${key} must be a number, got "${row[key]}"`);
+    }
+    return value;
+  };
+  return rows
+    .map((row) => {
+      const ingredientId = row.id ?? row.ingredientId;
+      if (!ingredientId) {
+        throw usageError('Every line needs an "id" with the ingredient ID');
+      }
+      return {
+        ingredientId,
+        quantity: number(row, "quantity"),
+        unitPrice: number(row, "unitPrice"),
+        lotNumber: row.lotNumber || undefined,
+        expiryDate: row.expiryDate || undefined,
+      };
+    })
+    .filter((line) => line.quantity !== undefined);
+}
+
+/**
+ * Table rows for an order's lines
+ * @param {Object} order - Purchase order
+ * @returns {Array} - Rows
+ */
+const lineRows = (order) =>
+  order.lines.map((line) => ({
+    id: line.ingredientId,
+    item: line.name,
+    quantity: line.quantity,
+    unit: line.unit,
+    unitPrice: line.unitPrice,
+    value: line.quantity * line.unitPrice,
+    received: line.received,
+    outstanding: Math.max(0, line.quantity - line.received),
+  }));
+
+/**
+ * Table rows for a list of orders
+ * @param {Array} orders - Purchase orders
+ * @returns {Array} - Rows
+ */
+const orderRows = (orders) =>
+  orders.map((order) => ({
+    id: order.id,
+    supplier: order.supplier,
+    status: order.status,
+    orderDate: order.orderDate,
+    expectedDate: order.expectedDate || "",
+    location: order.location || DEFAULT_LOCATION,
+    lines: order.lines.length,
+    orderedValue: order.orderedValue,
+    receivedValue: order.receivedValue,
+  }));
+
+/**
+ * Read the --choice option
+ * @param {Object} values - Parsed option values
+ * @returns {string} - How to pick between suppliers carrying an item
+ */
+const supplierChoice = (values) =>
+  choiceOption(values, "choice", Object.keys(SUPPLIER_CHOICES), PURCHASING_CONFIG.supplierChoice);
+
+/**
+ * Read the --location option
+ * @param {Object} values - Parsed option values
+ * @returns {string|undefined} - Location ID, undefined when left out
+ */
+const orderLocation = (values) =>
+  values.location === undefined ? undefined : choiceOption(values, "location", Object.keys(LOCATIONS));
+
+/**
+ * Run a service call, reporting its errors as usage errors
+ * @param {Function} fn - Async service call
+ * @returns {Promise<*>} - Its result
+ */
+async function attempt(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+/**
+ * Read the order ID positional
+ * @param {Array} positionals - Positional arguments
+ * @returns {string} - Purchase order ID
+ */
+function orderId(positionals) {
+  if (!positionals[0]) {
+    throw usageError("Missing purchase order ID");
+  }
+  return positionals[0];
+}
+
+export default {
+  name: "orders",
+  description: "Purchase orders: draft, send, receive deliveries against and close",
+  subcommands: {
+    list: {
+      description: "Purchase orders, newest first",
+      usage: `orders list [--status <${Object.keys(PURCHASE_ORDER_STATUSES).join("|")}>] [--supplier <id|name>]`,
+      options: {
+        status: { type: "string" },
+        supplier: { type: "string" },
+      },
+      async run({ values }) {
+        if (values.status) {
+          choiceOption(values, "status", Object.keys(PURCHASE_ORDER_STATUSES));
+        }
+        const orders = await DataService.loadPurchaseOrders({ status: values.status, supplier: values.supplier });
+        return { data: orders, rows: orderRows(orders) };
+      },
+    },
+
+    show: {
+      description: "A purchase order's lines with quantities received and outstanding",
+      usage: "orders show <id>",
+      async run({ positionals }) {
+        const order = await attempt(() => purchaseOrderService.get(orderId(positionals)));
+        return { data: order, rows: lineRows(order) };
+      },
+    },
+
+    create: {
+      description: "Create a draft purchase order (line prices default to the supplier's price, else the item's current cost)",
+      usage:
+        "orders create <lines.csv|lines.json|-> --supplier <id|name> [--expected YYYY-MM-DD] [--location <id to deliver to>] [--note <text>] [--user <name>]",
+      input: "Lines [{ id, quantity, unitPrice }]",
+      options: {
+        supplier: { type: "string" },
+        expected: { type: "string" },
+        location: { type: "string" },
+        note: { type: "string" },
+        user: { type: "string" },
+      },
+      async run({ positionals, values, input }) {
+        if (!values.supplier) {
+          throw usageError("Missing required option --supplier");
+        }
+        checkDate(values, "expected");
+        const location = orderLocation(values);
+        const lines = await readLines(positionals[0], input);
+
+        const order = await attempt(() =>
+          purchaseOrderService.create({
+            supplier: values.supplier,
+            lines,
+            expectedDate: values.expected,
+            location,
+            note: values.note,
+            user: values.user,
+          })
+        );
+        return { data: order, rows: lineRows(order) };
+      },
+    },
+
+    plan: {
+      description: "Preview the orders reorder would draft: the supplier picked per item, whole packs, delivery dates and order minimums",
+      usage: `orders plan [--supplier <id|name>] [--critical] [--choice <${Object.keys(SUPPLIER_CHOICES).join("|")}>] [--location <id>]`,
+      options: {
+        supplier: { type: "string" },
+        critical: { type: "boolean" },
+        choice: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        const choice = supplierChoice(values);
+        const location = orderLocation(values);
+        const plan = await attempt(() =>
+          purchaseOrderService.supplierService.planReorder({
+            supplier: values.supplier,
+            critical: values.critical,
+            choice,
+            location,
+          })
+        );
+        const warnings = purchaseOrderService.supplierService.describePlan(plan);
+        return {
+          data: plan,
+          rows: plan.orders.flatMap((order) =>
+            order.lines.map((line) => ({
+              supplier: order.supplier,
+              expectedDate: order.expectedDate || "",
+              id: line.ingredientId,
+              item: line.name,
+              needed: line.needed,
+              packs: line.packs ?? "",
+              packSize: line.packSize,
+              quantity: line.quantity,
+              unit: line.unit,
+              unitPrice: line.unitPrice,
+              value: line.value,
+            }))
+          ),
+          warnings: plan.orders.length === 0 ? ["No items need ordering", ...warnings] : warnings,
+        };
+      },
+    },
+
+    reorder: {
+      description:
+        "Draft purchase orders for items below par, one per supplier, up to max level in whole packs; with --location for that location's stock, delivered there",
+      usage: `orders reorder [--supplier <id|name>] [--critical] [--choice <${Object.keys(SUPPLIER_CHOICES).join("|")}>] [--location <id>] [--user <name>]`,
+      options: {
+        supplier: { type: "string" },
+        critical: { type: "boolean" },
+        choice: { type: "string" },
+        location: { type: "string" },
+        user: { type: "string" },
+      },
+      async run({ values }) {
+        const choice = supplierChoice(values);
+        const location = orderLocation(values);
+        const { orders, warnings } = await attempt(() =>
+          purchaseOrderService.createFromPar({
+            supplier: values.supplier,
+            critical: values.critical,
+            choice,
+            location,
+            user: values.user,
+          })
+        );
+        return {
+          data: orders,
+          rows: orderRows(orders),
+          warnings: orders.length === 0 ? ["No items need ordering", ...warnings] : warnings,
+        };
+      },
+    },
+
+    send: {
+      description: "Mark a draft purchase order as sent to the supplier",
+      usage: "orders send <id> [--date YYYY-MM-DD] [--user <name>]",
+      options: {
+        date: { type: "string" },
+        user: { type: "string" },
+      },
+      async run({ positionals, values }) {
+        checkDate(values, "date");
+        const order = await attempt(() =>
+          purchaseOrderService.send(orderId(positionals), { date: values.date, user: values.user })
+        );
+        return { data: order, rows: orderRows([order]) };
+      },
+    },
+
+    receive: {
+      description: "Receive a delivery against a purchase order and post it to stock; flags short deliveries and price deviations",
+      usage: "orders receive <id> <delivery.csv|delivery.json|-> [--date YYYY-MM-DD] [--user <name>] [--note <text>]",
+      input: "Delivered lines [{ id, quantity, unitPrice, lotNumber, expiryDate }]",
+      options: {
+        date: { type: "string" },
+        user: { type: "string" },
+        note: { type: "string" },
+      },
+      async run({ positionals, values, input }) {
+        const id = orderId(positionals);
+        checkDate(values, "date");
+        const delivered = await readLines(positionals[1], input);
+
+        const result = await attempt(() =>
+          purchaseOrderService.receive(id, delivered, { date: values.date, user: values.user, note: values.note })
+        );
+        return {
+          data: result,
+          rows: lineRows(result.order),
+          warnings: result.deviations.map((deviation) => purchaseOrderService.describeDeviation(deviation)),
+        };
+      },
+    },
+
+    close: {
+      description: "Close a purchase order, recording the supplier's invoice; anything outstanding is no longer expected",
+      usage: "orders close <id> [--invoice <number>] [--invoice-total <€>] [--date YYYY-MM-DD] [--user <name>] [--note <text>]",
+      options: {
+        invoice: { type: "string" },
+        "invoice-total": { type: "string" },
+        date: { type: "string" },
+        user: { type: "string" },
+        note: { type: "string" },
+      },
+      async run({ positionals, values }) {
+        const id = orderId(positionals);
+        const invoiceTotal = numberOption(values, "invoice-total", { min: 0 });
+        checkDate(values, "date");
+
+        const result = await attempt(() =>
+          purchaseOrderService.close(id, {
+            invoiceNumber: values.invoice,
+            invoiceTotal,
+            date: values.date,
+            user: values.user,
+            note: values.note,
+          })
+        );
+        return {
+          data: result.order,
+          rows: orderRows([result.order]),
+          warnings: result.deviations.map((deviation) => purchaseOrderService.describeDeviation(deviation)),
+        };
+      },
+    },
+  },
+};
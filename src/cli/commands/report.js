@@ -0,0 +1,222 @@
+/**
+ * foodsystem report <escandallo|menu-engineering|valuation|profitability|production-schedule>
+ * Print-ready reports; add -f pdf -o <file> for a PDF with the business header.
+ */
+
+import DataService from "../../services/DataService.js";
+import { ReportService } from "../../services/ReportService.js";
+import { InventoryService } from "../../services/InventoryService.js";
+import { SalesService } from "../../services/SalesService.js";
+import { RecipeValidator } from "../../core/validators/RecipeValidator.js";
+import { COSTING_METHODS, INVENTORY_CONFIG } from "../../config/inventory.js";
+import { LOCATIONS } from "../../config/locations.js";
+import { readCommandInput, choiceOption, usageError, assertValid } from "../helpers.js";
+import { loadRecipeSource } from "./cost.js";
+import { checkDate, period } from "./sales.js";
+
+const reportService = new ReportService();
+const inventoryService = new InventoryService(DataService);
+const salesService = new SalesService(DataService);
+
+/**
+ * Read an object of amounts, defaulting the named ones to zero
+ * @param {*} amounts - Amounts by name
+ * @param {string} field - Field name, for errors
+ * @param {Array} required - Names that default to zero when left out
+ * @returns {Object} - Amounts
+ */
+function readAmounts(amounts, field, required) {
+  if (!amounts || typeof amounts !== "object" || Array.isArray(amounts)) {
+    throw usageError(`"${field}" must be an object of amounts`);
+  }
+  const result = { ...Object.fromEntries(required.map((name) => [name, 0])), ...amounts };
+  const invalid = Object.entries(result).filter(([, value]) => !(typeof value === "number" && value >= 0));
+  if (invalid.length > 0) {
+    throw usageError(
+      `"${field}" amounts must be numbers of 0 or more`,
+      invalid.map(([name, value]) => `${field}.${name}: ${JSON.stringify(value)}`)
+    );
+  }
+  return result;
+}
+
+export default {
+  name: "report",
+  description: "Print-ready escandallo and management reports (-f pdf -o <file> for PDF)",
+  subcommands: {
+    escandallo: {
+      description: "Recipe cost sheet with ingredients, sub-recipes, adjustments and suggested price",
+      usage: "report escandallo <recipe.json | saved-recipe-id | -> [--as-of YYYY-MM-DD]",
+      input: "Recipe { name, portions, ingredients: [...] }",
+      pdf: "escandallo",
+      options: {
+        "as-of": { type: "string" },
+      },
+      async run({ values, ...args }) {
+        const recipe = await loadRecipeSource(args);
+        assertValid("recipe", new RecipeValidator().validateRecipe(recipe));
+        checkDate(values, "as-of");
+
+        const context = await DataService.loadCostingContext(recipe, values["as-of"] || null);
+        let report;
+        try {
+          report = reportService.generateEscandallo(recipe, context);
+        } catch (error) {
+          throw usageError(error.message);
+        }
+
+        return {
+          data: report,
+          rows: report.ingredients.map((item) => ({
+            ingredient: item.name,
+            quantity: item.quantity,
+            unit: item.unit,
+            unitPrice: item.unitPrice,
+            apCost: item.apCost,
+            yield: item.yield,
+            epCost: item.epCost,
+            share: item.percentage,
+          })),
+        };
+      },
+    },
+
+    "menu-engineering": {
+      description: "Menu engineering classes from imported sales over a period",
+      usage: "report menu-engineering [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--location <id>]",
+      pdf: "menu",
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        const range = period(values);
+        const sales = await salesService.getMenuEngineering(range);
+        if (sales.items.length === 0) {
+          sales.warnings.push("No sales of mapped recipes in the period");
+        }
+        const report = reportService.generateMenuEngineering(sales.items, range);
+
+        return {
+          data: report,
+          rows: report.items.map((item) => ({
+            item: item.name,
+            sold: item.unitsSold,
+            price: item.price,
+            cost: item.cost,
+            margin: item.contributionMargin,
+            foodCost: item.foodCostPercent,
+            classification: item.classification,
+          })),
+          warnings: sales.warnings,
+        };
+      },
+    },
+
+    valuation: {
+      description: "Inventory valuation by category, location and item, with low stock and expiring lots",
+      usage: `report valuation [--method <${Object.keys(COSTING_METHODS).join("|")}>] [--location <id>]`,
+      pdf: "inventory",
+      options: {
+        method: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        const method = choiceOption(values, "method", Object.keys(COSTING_METHODS), INVENTORY_CONFIG.costingMethod);
+        const held =
+          values.location === undefined ? undefined : choiceOption(values, "location", Object.keys(LOCATIONS));
+        const { inventory, ledger, costs, location } = await inventoryService.getValuation(method, held);
+        const report = reportService.generateInventoryValuation(inventory, ledger, costs, location);
+
+        return {
+          data: report,
+          rows: Object.entries(report.categories).map(([category, data]) => ({
+            category,
+            items: data.count,
+            value: data.value,
+            share: `${data.percentage.toFixed(1)}%`,
+          })),
+        };
+      },
+    },
+
+    profitability: {
+      description: "Revenue, costs, net margin and prime cost for a period",
+      usage:
+        "report profitability <financial.json | ->   # { period, revenue: { food, beverage, other }, costs: { food, beverage, labor, ... } }",
+      input: "Financial data { period, revenue: { food, beverage, other }, costs: { food, beverage, labor, ... } }",
+      pdf: "profitability",
+      async run(args) {
+        const financial = await readCommandInput(args);
+        if (!financial || typeof financial !== "object") {
+          throw usageError("Financial data must be an object");
+        }
+        const revenue = readAmounts(financial.revenue, "revenue", ["food", "beverage", "other"]);
+        const costs = readAmounts(financial.costs, "costs", ["food", "beverage", "labor"]);
+        if (revenue.food + revenue.beverage + revenue.other <= 0) {
+          throw usageError("Total revenue must be more than 0");
+        }
+        const report = reportService.generateProfitabilitySummary({ period: financial.period, revenue, costs });
+
+        return {
+          data: report,
+          rows: [
+            ...Object.entries(report.revenue.breakdown).map(([name, amount]) => ({ line: `Revenue: ${name}`, amount })),
+            { line: "Revenue", amount: report.revenue.total },
+            ...Object.entries(report.costs.breakdown).map(([name, amount]) => ({ line: `Cost: ${name}`, amount })),
+            { line: "Costs", amount: report.costs.total },
+            { line: "Net profit", amount: report.profitability.netProfit },
+            { line: "Net margin", amount: report.profitability.netMargin },
+            { line: "Prime cost", amount: report.profitability.primeCost },
+            { line: "Prime cost %", amount: report.profitability.primeCostPercentage },
+          ],
+        };
+      },
+    },
+
+    "production-schedule": {
+      description: "Station task lists, timeline and staffing for a shift",
+      usage:
+        "report production-schedule <schedule.json | ->   # { date, shift, stations: { <station>: [{ item, quantity, time }] }, timeline, staffing, notes }",
+      input: "Schedule { date, shift, stations: { <station>: [{ item, quantity, time, priority, status }] }, timeline, staffing, notes }",
+      pdf: "production",
+      async run(args) {
+        const schedule = await readCommandInput(args);
+        if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) {
+          throw usageError("Schedule must be an object");
+        }
+        const stations = schedule.stations || {};
+        const invalid = Object.entries(stations).filter(
+          ([, tasks]) => !Array.isArray(tasks) || tasks.some((task) => !task || !task.item)
+        );
+        if (invalid.length > 0) {
+          throw usageError(
+            "Each station must be a list of tasks with an item",
+            invalid.map(([station]) => `stations.${station}`)
+          );
+        }
+        if (schedule.timeline !== undefined && !Array.isArray(schedule.timeline)) {
+          throw usageError('"timeline" must be a list of { time, task, station, duration }');
+        }
+        if (schedule.notes !== undefined && !Array.isArray(schedule.notes)) {
+          throw usageError('"notes" must be a list');
+        }
+        if (
+          schedule.staffing !== undefined &&
+          Object.values(schedule.staffing || {}).some((count) => !(typeof count === "number" && count >= 0))
+        ) {
+          throw usageError('"staffing" must map roles to head counts');
+        }
+        const report = reportService.generateProductionSchedule(schedule);
+
+        return {
+          data: report,
+          rows: Object.entries(report.stations).flatMap(([station, tasks]) =>
+            tasks.map((task) => ({ station, ...task }))
+          ),
+        };
+      },
+    },
+  },
+};
@@ -0,0 +1,357 @@
+/**
+ * foodsystem sales <import|list|items|map|unmap|menu-items|menu-engineering|reconcile>
+ */
+
+import DataService from "../../services/DataService.js";
+import { SalesService } from "../../services/SalesService.js";
+import { FoodCostService } from "../../services/FoodCostService.js";
+import { SALES_CONFIG, DATE_FORMATS, DECIMAL_SEPARATORS, parseColumns } from "../../config/sales.js";
+import { COSTING_METHODS, INVENTORY_CONFIG } from "../../config/inventory.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../../config/locations.js";
+import { choiceOption, usageError, readTextInput } from "../helpers.js";
+
+const salesService = new SalesService(DataService);
+const foodCostService = new FoodCostService(DataService);
+
+/**
+ * Check a date option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ */
+export function checkDate(values, name) {
+  if (values[name] && isNaN(new Date(values[name]).getTime())) {
+    throw usageError(`--${name} must be a date (YYYY-MM-DD), got "${values[name]}"`);
+  }
+}
+
+/**
+ * Read the --from, --to and --location options of a period
+ * @param {Object} values - Parsed option values
+ * @returns {Object} - { from, to, location }; all locations when --location is left out
+ */
+export function period(values) {
+  checkDate(values, "from");
+  checkDate(values, "to");
+  if (values.from && values.to && values.from > values.to) {
+    throw usageError("--to must be on or after --from");
+  }
+  return {
+    from: values.from,
+    to: values.to,
+    location: values.location === undefined ? undefined : choiceOption(values, "location", Object.keys(LOCATIONS)),
+  };
+}
+
+/**
+ * Read the sales lines of a POS export: a CSV or JSON file, or the request input
+ * Files ending in .json are read as JSON unless --format says otherwise; a
+ * request input that is a string is read as CSV text.
+ * @param {Object} args - { positionals, values, input }
+ * @returns {Promise<Array>} - Sales lines
+ */
+async function readSalesLines({ positionals = [], values, input }) {
+  const filepath = positionals[0];
+  const format = choiceOption(
+    values,
+    "format",
+    ["csv", "json"],
+    input !== undefined ? (typeof input === "string" ? "csv" : "json") : filepath?.toLowerCase().endsWith(".json") ? "json" : "csv"
+  );
+  const content = input !== undefined ? input : await readTextInput(filepath);
+
+  try {
+    if (format === "json") {
+      return salesService.readJson(typeof content === "string" ? JSON.parse(content) : content);
+    }
+    if (typeof content !== "string") {
+      throw new Error("CSV sales must be sent as text");
+    }
+    return salesService.readCsv(content, {
+      columns: typeof values.columns === "object" ? values.columns : parseColumns(values.columns || ""),
+      delimiter: values.delimiter || SALES_CONFIG.delimiter,
+      dateFormat: choiceOption(values, "date-format", DATE_FORMATS, SALES_CONFIG.dateFormat),
+      decimal: choiceOption(values, "decimal", DECIMAL_SEPARATORS, SALES_CONFIG.decimal),
+    });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+export default {
+  name: "sales",
+  description: "POS sales imported per day, matched to recipes through a PLU mapping",
+  subcommands: {
+    import: {
+      description: "Import a POS sales export, replacing the stored sales of each day it covers",
+      usage: `sales import <file.csv|file.json|-> [--format csv|json] [--location <id>] [--columns "field=Column,..."] [--delimiter <char>] [--date-format <${DATE_FORMATS.join("|")}>] [--decimal <${DECIMAL_SEPARATORS.join("|")}>]`,
+      input: "Sales export: CSV text, or JSON [{ date, plu, name, quantity, revenue }] or { date, covers, items: [...] }",
+      options: {
+        format: { type: "string" },
+        location: { type: "string" },
+        columns: { type: "string" },
+        delimiter: { type: "string" },
+        "date-format": { type: "string" },
+        decimal: { type: "string" },
+      },
+      async run(args) {
+        const { values, positionals = [] } = args;
+        const location = choiceOption(values, "location", Object.keys(LOCATIONS), DEFAULT_LOCATION);
+        const lines = await readSalesLines(args);
+
+        let result;
+        try {
+          result = await salesService.importSales(lines, { location, source: positionals[0] || "api" });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+
+        const warnings = [];
+        const replaced = result.days.filter((day) => day.replaced);
+        if (replaced.length > 0) {
+          warnings.push(`Replaced earlier sales for ${replaced.map((day) => `${day.date} (${day.location})`).join(", ")}`);
+        }
+        if (result.unmapped.length > 0) {
+          warnings.push(
+            `${result.unmapped.length} menu item${result.unmapped.length > 1 ? "s" : ""} not mapped to a recipe: ${result.unmapped
+              .map((item) => item.plu || item.name)
+              .join(", ")} (sales map --plu <code> --recipe <id>)`
+          );
+        }
+        return {
+          data: result,
+          rows: result.days.map((day) => ({
+            date: day.date,
+            location: day.location,
+            items: day.items,
+            quantity: day.quantity,
+            revenue: day.revenue,
+            covers: day.covers ?? "",
+            replaced: day.replaced ? "yes" : "",
+          })),
+          warnings,
+        };
+      },
+    },
+
+    list: {
+      description: "Imported sales per day",
+      usage: "sales list [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--location <id>]",
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        location: { type: "string" },
+      },
+      async run({ values }) {
+        const days = await salesService.getSales(period(values));
+        return {
+          data: days,
+          rows: days.map((day) => ({
+            date: day.date,
+            location: day.location,
+            items: day.items.length,
+            quantity: day.quantity,
+            revenue: day.revenue,
+            covers: day.covers ?? "",
+            source: day.source,
+          })),
+        };
+      },
+    },
+
+    items: {
+      description: "Sales per menu item over a period, with the recipe each is mapped to",
+      usage: "sales items [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--location <id>] [--unmapped]",
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        location: { type: "string" },
+        unmapped: { type: "boolean" },
+      },
+      async run({ values }) {
+        // Query strings carry the flag as text
+        const unmappedOnly = values.unmapped === true || values.unmapped === "true";
+        const items = (await salesService.getItemSales(period(values))).filter(
+          (item) => !unmappedOnly || !item.recipeId
+        );
+        return {
+          data: items,
+          rows: items.map((item) => ({
+            plu: item.plu,
+            item: item.name,
+            recipe: item.recipeId || "(not mapped)",
+            quantity: item.quantity,
+            revenue: item.revenue,
+            averagePrice: item.averagePrice,
+          })),
+        };
+      },
+    },
+
+    map: {
+      description: "Map a POS menu item to a saved recipe",
+      usage: "sales map (--plu <code> | --name <POS item name>) --recipe <id>",
+      options: {
+        plu: { type: "string" },
+        name: { type: "string" },
+        recipe: { type: "string" },
+      },
+      async run({ values }) {
+        if (!values.plu && !values.name) {
+          throw usageError("Give --plu or --name");
+        }
+        if (!values.recipe) {
+          throw usageError("Missing required option --recipe");
+        }
+        let menuItem;
+        try {
+          menuItem = await salesService.mapItem({ plu: values.plu, name: values.name, recipeId: values.recipe });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+        return { data: menuItem };
+      },
+    },
+
+    unmap: {
+      description: "Remove a POS menu item mapping",
+      usage: "sales unmap (--plu <code> | --name <POS item name>)",
+      options: {
+        plu: { type: "string" },
+        name: { type: "string" },
+      },
+      async run({ values }) {
+        if (!values.plu && !values.name) {
+          throw usageError("Give --plu or --name");
+        }
+        try {
+          return { data: await salesService.unmapItem({ plu: values.plu, name: values.name }) };
+        } catch (error) {
+          throw usageError(error.message);
+        }
+      },
+    },
+
+    "menu-items": {
+      description: "POS menu item mappings",
+      usage: "sales menu-items",
+      async run() {
+        const menuItems = await salesService.getMenuItems();
+        return {
+          data: menuItems,
+          rows: menuItems.map((menuItem) => ({
+            code: menuItem.code,
+            plu: menuItem.plu,
+            item: menuItem.name || "",
+            recipe: menuItem.recipeId,
+            recipeName: menuItem.recipeName,
+          })),
+        };
+      },
+    },
+
+    "menu-engineering": {
+      description: "Classify recipes (star, plow horse, puzzle, dog) from imported sales over a period",
+      usage: "sales menu-engineering [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--location <id>] [--as-of YYYY-MM-DD]",
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        location: { type: "string" },
+        "as-of": { type: "string" },
+      },
+      async run({ values }) {
+        checkDate(values, "as-of");
+        const report = await salesService.getMenuEngineering({ ...period(values), asOf: values["as-of"] });
+        if (report.items.length === 0) {
+          report.warnings.push("No sales of mapped recipes in the period");
+        }
+        return {
+          data: report,
+          rows: report.items.map((item) => ({
+            recipe: item.name,
+            category: item.category,
+            sold: item.soldQty,
+            price: item.price,
+            cost: item.cost,
+            margin: item.contributionMargin,
+            foodCostPercent: item.foodCostPercent,
+            classification: item.classification,
+          })),
+          warnings: report.warnings,
+        };
+      },
+    },
+
+    reconcile: {
+      description:
+        "Theoretical food cost (sales × recipes) against actual cost (opening stock + purchases − closing stock), by ingredient, category or recipe",
+      usage: `sales reconcile --from YYYY-MM-DD [--to YYYY-MM-DD] [--location <id>] [--method <${Object.keys(COSTING_METHODS).join("|")}>] [--by ingredient|category|recipe]`,
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        location: { type: "string" },
+        method: { type: "string" },
+        by: { type: "string" },
+      },
+      async run({ values }) {
+        if (!values.from) {
+          throw usageError("Missing required option --from");
+        }
+        const { from, to = new Date().toISOString().split("T")[0], location } = period(values);
+        if (from > to) {
+          throw usageError("--to must be on or after --from");
+        }
+        const by = choiceOption(values, "by", ["ingredient", "category", "recipe"], "ingredient");
+        const report = await foodCostService.getReconciliation({
+          from,
+          to,
+          location,
+          method: choiceOption(values, "method", Object.keys(COSTING_METHODS), INVENTORY_CONFIG.costingMethod),
+        });
+
+        const figures = (figures) => ({
+          theoretical: figures.theoreticalCost,
+          actual: figures.actualCost,
+          variance: figures.variance,
+          variancePercent: figures.variancePercent ?? "",
+          recordedLoss: figures.recordedLoss,
+          unexplained: figures.unexplained,
+        });
+        const total = figures(report);
+        let rows;
+        if (by === "recipe") {
+          rows = report.recipes.map((recipe) => ({
+            recipe: recipe.name,
+            sold: recipe.soldQty,
+            revenue: recipe.revenue,
+            costPerPortion: recipe.cost,
+            theoretical: Math.round(recipe.cost * recipe.soldQty * 100) / 100,
+          }));
+        } else if (by === "category") {
+          rows = [
+            ...report.categories.map((category) => ({ category: category.category, ...figures(category) })),
+            { category: "Total", ...total },
+          ];
+        } else {
+          rows = [
+            ...report.ingredients.map((item) => ({
+              id: item.id,
+              item: item.name,
+              category: item.category,
+              theoreticalQty: item.theoreticalQuantity,
+              actualQty: item.actualQuantity,
+              unit: item.unit,
+              ...figures(item),
+            })),
+            { id: "", item: "Total", category: "", theoreticalQty: "", actualQty: "", unit: "", ...total },
+          ];
+        }
+
+        const warnings = [...report.warnings];
+        if (report.variancePercent !== null) {
+          warnings.push(`${report.analysis} (${report.variancePercent.toFixed(1)}% against theoretical)`);
+        }
+        return { data: report, rows, warnings };
+      },
+    },
+  },
+};
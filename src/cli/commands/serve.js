@@ -0,0 +1,33 @@
+/**
+ * foodsystem serve [--port 3000] [--host 127.0.0.1]
+ */
+
+import { startServer, runUntilStopped } from "../../server/index.js";
+import { SERVER_CONFIG } from "../../config/server.js";
+import DataService from "../../services/DataService.js";
+import { numberOption } from "../helpers.js";
+
+export default {
+  name: "serve",
+  description: "Run the local web UI and HTTP REST API until stopped (Ctrl+C)",
+  usage: "serve [--port 3000] [--host 127.0.0.1]",
+  options: {
+    port: { type: "string" },
+    host: { type: "string" },
+  },
+  async run({ values }) {
+    const port = numberOption(values, "port", { min: 0, max: 65535, integer: true, default: SERVER_CONFIG.port });
+    const host = values.host || SERVER_CONFIG.host;
+
+    // Open storage up front so a misconfigured backend fails before listening
+    await DataService.getStorage();
+    const server = await startServer({ host, port });
+
+    const address = server.address();
+    process.stdout.write(`Food System web UI on http://${host}:${address.port}/ and API on /api (Ctrl+C to stop)\n`);
+    await runUntilStopped(server);
+
+    // Nothing left to print once the server has stopped
+    return null;
+  },
+};
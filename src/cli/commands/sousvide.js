@@ -0,0 +1,115 @@
+/**
+ * foodsystem sousvide <time|pasteurize|chart|tenderize>
+ */
+
+import { SousVideFermentationCalculator } from "../../core/calculations/SousVideFermentationCalculator.js";
+import { numberOption, choiceOption } from "../helpers.js";
+
+const calculator = new SousVideFermentationCalculator();
+const PROTEINS = Object.keys(calculator.THERMAL_DIFFUSIVITY);
+const SHAPES = ["slab", "cylinder", "sphere"];
+const PATHOGENS = ["salmonella", "listeria", "e_coli", "c_perfringens"];
+
+/**
+ * Doneness levels known for a protein
+ * @param {string} protein - Protein type
+ * @returns {Array} - Doneness names
+ */
+const donenessLevels = (protein) =>
+  Object.keys(calculator.DONENESS_TEMPS[protein] || {});
+
+export default {
+  name: "sousvide",
+  description: "Sous vide heating, pasteurization and tenderization times",
+  subcommands: {
+    time: {
+      description: "Heating time to core temperature",
+      usage: "sousvide time --protein <type> --thickness <mm> [--shape slab] [--temp <°C> | --doneness <level>]",
+      options: {
+        protein: { type: "string" },
+        thickness: { type: "string" },
+        shape: { type: "string" },
+        temp: { type: "string" },
+        doneness: { type: "string" },
+      },
+      async run({ values }) {
+        const protein = choiceOption(values, "protein", PROTEINS);
+        const thickness = numberOption(values, "thickness", { required: true, min: 1, max: 200 });
+        const shape = choiceOption(values, "shape", SHAPES, "slab");
+        const doneness = values.doneness
+          ? choiceOption(values, "doneness", donenessLevels(protein))
+          : null;
+        const temp = doneness
+          ? calculator.DONENESS_TEMPS[protein][doneness]
+          : numberOption(values, "temp", { min: 40, max: 95, default: 60 });
+
+        const result = calculator.calculateHeatingTime(thickness, shape, protein, temp);
+        return {
+          data: { protein, thickness, shape, temperature: temp, ...result },
+        };
+      },
+    },
+
+    pasteurize: {
+      description: "Pasteurization time for a pathogen at a temperature",
+      usage: "sousvide pasteurize --protein <type> --thickness <mm> --temp <°C> [--pathogen salmonella]",
+      options: {
+        protein: { type: "string" },
+        thickness: { type: "string" },
+        temp: { type: "string" },
+        pathogen: { type: "string" },
+      },
+      async run({ values }) {
+        const protein = choiceOption(values, "protein", PROTEINS);
+        const thickness = numberOption(values, "thickness", { required: true, min: 1, max: 200 });
+        const temp = numberOption(values, "temp", { required: true, min: 50, max: 95 });
+        const pathogen = choiceOption(values, "pathogen", PATHOGENS, "salmonella");
+
+        return {
+          data: calculator.calculatePasteurizationTime(temp, thickness, protein, pathogen),
+        };
+      },
+    },
+
+    chart: {
+      description: "Cooking time chart for a protein and doneness",
+      usage: "sousvide chart --protein <type> --thickness <mm> --doneness <level>",
+      options: {
+        protein: { type: "string" },
+        thickness: { type: "string" },
+        doneness: { type: "string" },
+      },
+      async run({ values }) {
+        const protein = choiceOption(values, "protein", Object.keys(calculator.DONENESS_TEMPS));
+        const thickness = numberOption(values, "thickness", { required: true, min: 1, max: 200 });
+        const doneness = choiceOption(values, "doneness", donenessLevels(protein));
+
+        const chart = calculator.generateSousVideChart(protein, thickness, doneness);
+        return {
+          data: chart,
+          rows: Object.entries(chart.times).map(([stage, minutes]) => ({
+            stage,
+            minutes,
+            temperature: chart.temperature,
+          })),
+        };
+      },
+    },
+
+    tenderize: {
+      description: "Tenderization window in hours",
+      usage: "sousvide tenderize --protein <beef|pork|chicken> --temp <°C>",
+      options: {
+        protein: { type: "string" },
+        temp: { type: "string" },
+      },
+      async run({ values }) {
+        const protein = choiceOption(values, "protein", ["beef", "pork", "chicken"]);
+        const temp = numberOption(values, "temp", { required: true, min: 50, max: 95 });
+        return {
+          data: { protein, temperature: temp, hours: calculator.calculateTenderizationTime(protein, temp) },
+        };
+      },
+    },
+  },
+};
@@ -0,0 +1,158 @@
+/**
+ * foodsystem suppliers <list|show|save|remove|offers|import-catalogue>
+ */
+
+import DataService from "../../services/DataService.js";
+import { SupplierService } from "../../services/SupplierService.js";
+import { RecipeValidator } from "../../core/validators/RecipeValidator.js";
+import { SUPPLIER_CHOICES, PURCHASING_CONFIG } from "../../config/purchasing.js";
+import { usageError, choiceOption, readCommandInput, assertValid } from "../helpers.js";
+
+const supplierService = new SupplierService(DataService);
+const validator = new RecipeValidator();
+
+/**
+ * Table rows for a list of suppliers
+ * @param {Array} suppliers - Suppliers
+ * @returns {Array} - Rows
+ */
+const supplierRows = (suppliers) =>
+  suppliers.map((supplier) => ({
+    id: supplier.id,
+    name: supplier.name,
+    contact: [supplier.contactName, supplier.phone, supplier.email].filter(Boolean).join(", "),
+    deliveryDays: supplier.deliveryDays.length > 0 ? supplier.deliveryDays.join(" ") : "any",
+    leadTimeDays: supplier.leadTimeDays,
+    minimumOrderValue: supplier.minimumOrderValue,
+    products: supplier.products.length,
+  }));
+
+/**
+ * Read the supplier ID positional
+ * @param {Array} positionals - Positional arguments
+ * @returns {string} - Supplier ID
+ */
+function supplierId(positionals) {
+  if (!positionals[0]) {
+    throw usageError("Missing supplier ID");
+  }
+  return positionals[0];
+}
+
+/**
+ * Run a service call, reporting its errors as usage errors
+ * @param {Function} fn - Async service call
+ * @returns {Promise<*>} - Its result
+ */
+async function attempt(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+export default {
+  name: "suppliers",
+  description: "Suppliers with contact details, delivery days, lead times, order minimums and the products they carry",
+  subcommands: {
+    list: {
+      description: "Suppliers by name",
+      usage: "suppliers list",
+      async run() {
+        const suppliers = await DataService.loadSuppliers();
+        return { data: suppliers, rows: supplierRows(suppliers) };
+      },
+    },
+
+    show: {
+      description: "A supplier's products with pack sizes and prices",
+      usage: "suppliers show <id>",
+      async run({ positionals }) {
+        const supplier = await attempt(() => supplierService.get(supplierId(positionals)));
+        const catalogue = await DataService.loadCatalogue();
+        return {
+          data: supplier,
+          rows: supplier.products.map((product) => ({
+            id: product.ingredientId,
+            item: catalogue[product.ingredientId]?.name || product.ingredientId,
+            supplierCode: product.supplierCode || "",
+            packSize: product.packSize,
+            unit: catalogue[product.ingredientId]?.unit || "",
+            packPrice: product.packPrice,
+            unitPrice: supplierService.unitPrice(product),
+            preferred: product.preferred ? "yes" : "",
+          })),
+        };
+      },
+    },
+
+    save: {
+      description: "Add a supplier or replace the one with the same ID",
+      usage: "suppliers save <supplier.json|->",
+      input: "Supplier { name, contactName, phone, email, deliveryDays, leadTimeDays, minimumOrderValue, products: [{ ingredientId, supplierCode, packSize, packPrice, preferred }] }",
+      async run({ positionals, input }) {
+        const fields = await readCommandInput({ positionals, input });
+        assertValid("supplier", validator.validateSupplier(fields));
+        const supplier = await attempt(() => supplierService.save(fields));
+        return { data: supplier, rows: supplierRows([supplier]) };
+      },
+    },
+
+    remove: {
+      description: "Delete a supplier without open purchase orders",
+      usage: "suppliers remove <id>",
+      async run({ positionals }) {
+        const supplier = await attempt(() => supplierService.remove(supplierId(positionals)));
+        return { data: supplier, rows: supplierRows([supplier]) };
+      },
+    },
+
+    offers: {
+      description: "Suppliers carrying an item, in the order the order generator would pick them",
+      usage: `suppliers offers <ingredient-id> [--choice <${Object.keys(SUPPLIER_CHOICES).join("|")}>]`,
+      options: {
+        choice: { type: "string" },
+      },
+      async run({ positionals, values }) {
+        if (!positionals[0]) {
+          throw usageError("Missing ingredient ID");
+        }
+        const choice = choiceOption(values, "choice", Object.keys(SUPPLIER_CHOICES), PURCHASING_CONFIG.supplierChoice);
+        const item = await DataService.getIngredient(positionals[0]);
+        if (!item) {
+          throw usageError(`Ingredient "${positionals[0]}" not found`);
+        }
+
+        const offers = supplierService.rankOffers(item, await DataService.loadSuppliers(), choice);
+        return {
+          data: offers.map(({ supplier, product, unitPrice }) => ({ supplierId: supplier.id, supplier: supplier.name, product, unitPrice })),
+          rows: offers.map(({ supplier, product, unitPrice }, index) => ({
+            rank: index + 1,
+            supplier: supplier.name,
+            supplierCode: product?.supplierCode || "",
+            packSize: product?.packSize ?? "",
+            packPrice: product?.packPrice ?? "",
+            unitPrice,
+            preferred: product?.preferred ? "yes" : "",
+            nextDelivery: supplierService.nextDeliveryDate(supplier),
+          })),
+          warnings: offers.length === 0 ? [`No supplier carries ${item.name}`] : [],
+        };
+      },
+    },
+
+    "import-catalogue": {
+      description: "Create suppliers from the supplier names on catalogue items, each item a product at its current price",
+      usage: "suppliers import-catalogue",
+      async run() {
+        const suppliers = await attempt(() => supplierService.importFromCatalogue());
+        return {
+          data: suppliers,
+          rows: supplierRows(suppliers),
+          warnings: suppliers.length === 0 ? ["No new supplier names on catalogue items"] : [],
+        };
+      },
+    },
+  },
+};
@@ -0,0 +1,261 @@
+/**
+ * foodsystem waste <log|list|report|reasons>
+ */
+
+import DataService from "../../services/DataService.js";
+import { WasteService } from "../../services/WasteService.js";
+import { COSTING_METHODS, INVENTORY_CONFIG, WASTE_REASONS, SHIFTS } from "../../config/inventory.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../../config/locations.js";
+import { numberOption, choiceOption, usageError } from "../helpers.js";
+
+const wasteService = new WasteService(DataService);
+
+/**
+ * Check a date option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ */
+function checkDate(values, name) {
+  if (values[name] && isNaN(new Date(values[name]).getTime())) {
+    throw usageError(`--${name} must be a date (YYYY-MM-DD), got "${values[name]}"`);
+  }
+}
+
+/**
+ * Read an option restricted to a set of values, undefined when left out
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @param {Array} choices - Allowed values
+ * @returns {string|undefined} - Selected value
+ */
+const optionalChoice = (values, name, choices) =>
+  values[name] === undefined ? undefined : choiceOption(values, name, choices);
+
+/**
+ * Read the --from and --to options of a period; --to defaults to today
+ * @param {Object} values - Parsed option values
+ * @returns {Object} - { from, to }
+ */
+function period(values) {
+  if (!values.from) {
+    throw usageError("Missing required option --from");
+  }
+  checkDate(values, "from");
+  checkDate(values, "to");
+  const to = values.to || new Date().toISOString().split("T")[0];
+  if (values.from > to) {
+    throw usageError("--to must be on or after --from");
+  }
+  return { from: values.from, to };
+}
+
+/**
+ * Table rows for waste log entries
+ * @param {Array} entries - Waste log entries
+ * @returns {Array} - Rows
+ */
+const entryRows = (entries) =>
+  entries.map((entry) => ({
+    date: entry.date,
+    location: entry.location,
+    item: entry.recipeId ? `${entry.name} (recipe)` : entry.name,
+    quantity: entry.quantity,
+    unit: entry.unit,
+    reason: entry.reason,
+    station: entry.station,
+    shift: entry.shift,
+    cost: entry.cost,
+    user: entry.user,
+    note: entry.note,
+  }));
+
+export default {
+  name: "waste",
+  description: "Waste log with reason codes, stations and shifts, and waste cost against food cost",
+  subcommands: {
+    log: {
+      description:
+        "Log waste at current inventory cost; recipe portions only leave stock with --deduct-stock (not made through production or sales)",
+      usage: `waste log (--item <id> --quantity <n> [--lot <lot>] | --recipe <id> --portions <n> [--deduct-stock]) --reason <${Object.keys(WASTE_REASONS).join("|")}> [--station <name>] [--shift <${Object.keys(SHIFTS).join("|")}>] [--location <id>] [--date YYYY-MM-DD] [--user <name>] [--note <text>] [--method <${Object.keys(COSTING_METHODS).join("|")}>]`,
+      options: {
+        item: { type: "string" },
+        quantity: { type: "string" },
+        lot: { type: "string" },
+        recipe: { type: "string" },
+        portions: { type: "string" },
+        "deduct-stock": { type: "boolean" },
+        reason: { type: "string" },
+        station: { type: "string" },
+        shift: { type: "string" },
+        location: { type: "string" },
+        date: { type: "string" },
+        user: { type: "string" },
+        note: { type: "string" },
+        method: { type: "string" },
+      },
+      async run({ values }) {
+        if (Boolean(values.item) === Boolean(values.recipe)) {
+          throw usageError("Give either --item or --recipe");
+        }
+        if (values.item && values["deduct-stock"]) {
+          throw usageError("--deduct-stock is for recipe portions; waste of a stock item is always taken out of stock");
+        }
+        const quantity = values.item
+          ? numberOption(values, "quantity", { required: true, min: 0 })
+          : numberOption(values, "portions", { required: true, min: 0 });
+        const reason = choiceOption(values, "reason", Object.keys(WASTE_REASONS));
+        checkDate(values, "date");
+
+        if (values.recipe) {
+          try {
+            await DataService.loadRecipe(values.recipe);
+          } catch (error) {
+            throw usageError(`No saved recipe named "${values.recipe}"`);
+          }
+        }
+
+        let result;
+        try {
+          result = await wasteService.logWaste({
+            ingredientId: values.item,
+            recipeId: values.recipe,
+            quantity,
+            reason,
+            station: values.station,
+            shift: optionalChoice(values, "shift", Object.keys(SHIFTS)),
+            location: choiceOption(values, "location", Object.keys(LOCATIONS), DEFAULT_LOCATION),
+            date: values.date,
+            user: values.user,
+            note: values.note,
+            lot: values.lot,
+            deductStock: Boolean(values["deduct-stock"]),
+            method: choiceOption(values, "method", Object.keys(COSTING_METHODS), INVENTORY_CONFIG.costingMethod),
+          });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+
+        return {
+          data: result,
+          rows: result.entry.lines.map((line) => ({
+            id: line.ingredientId,
+            item: line.name,
+            quantity: line.quantity,
+            unit: line.unit,
+            unitCost: line.unitCost,
+            cost: line.cost,
+          })),
+          warnings: result.warnings,
+        };
+      },
+    },
+
+    list: {
+      description: "Logged waste, oldest first",
+      usage: `waste list [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--location <id>] [--reason <code>] [--station <name>] [--shift <${Object.keys(SHIFTS).join("|")}>]`,
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        location: { type: "string" },
+        reason: { type: "string" },
+        station: { type: "string" },
+        shift: { type: "string" },
+      },
+      async run({ values }) {
+        checkDate(values, "from");
+        checkDate(values, "to");
+        const entries = await wasteService.getWasteLog({
+          from: values.from,
+          to: values.to,
+          location: optionalChoice(values, "location", Object.keys(LOCATIONS)),
+          reason: optionalChoice(values, "reason", Object.keys(WASTE_REASONS)),
+          station: values.station,
+          shift: optionalChoice(values, "shift", Object.keys(SHIFTS)),
+        });
+        return { data: entries, rows: entryRows(entries) };
+      },
+    },
+
+    report: {
+      description: "Waste cost as a percentage of food cost over a period, ranked by item or recipe and by reason",
+      usage: `waste report --from YYYY-MM-DD [--to YYYY-MM-DD] [--location <id>] [--by <item|reason|station|shift>] [--method <${Object.keys(COSTING_METHODS).join("|")}>]`,
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        location: { type: "string" },
+        by: { type: "string" },
+        method: { type: "string" },
+      },
+      async run({ values }) {
+        const by = choiceOption(values, "by", ["item", "reason", "station", "shift"], "item");
+        let report;
+        try {
+          report = await wasteService.getWasteReport({
+            ...period(values),
+            location: optionalChoice(values, "location", Object.keys(LOCATIONS)),
+            method: choiceOption(values, "method", Object.keys(COSTING_METHODS), INVENTORY_CONFIG.costingMethod),
+          });
+        } catch (error) {
+          throw usageError(error.message);
+        }
+
+        const rows = {
+          item: report.byItem.map((group) => ({
+            item: group.recipe ? `${group.name} (recipe)` : group.name,
+            quantity: group.quantity,
+            unit: group.unit,
+            entries: group.count,
+            cost: group.cost,
+            shareOfWaste: group.share,
+            percentOfFoodCost: group.foodCostPercent,
+          })),
+          reason: report.byReason.map((group) => ({
+            reason: group.label,
+            entries: group.count,
+            cost: group.cost,
+            shareOfWaste: group.share,
+            percentOfFoodCost: group.foodCostPercent,
+          })),
+          station: report.byStation.map((group) => ({
+            station: group.station,
+            entries: group.count,
+            cost: group.cost,
+            shareOfWaste: group.share,
+            percentOfFoodCost: group.foodCostPercent,
+          })),
+          shift: report.byShift.map((group) => ({
+            shift: group.label,
+            entries: group.count,
+            cost: group.cost,
+            shareOfWaste: group.share,
+            percentOfFoodCost: group.foodCostPercent,
+          })),
+        }[by];
+
+        return {
+          data: report,
+          rows,
+          warnings: [
+            report.wastePercent === null
+              ? `Waste ${report.wasteCost.toFixed(2)} with no food cost in the period`
+              : `Waste ${report.wasteCost.toFixed(2)} is ${report.wastePercent.toFixed(1)}% of food cost ${report.foodCost.toFixed(2)}`,
+          ],
+        };
+      },
+    },
+
+    reasons: {
+      description: "Waste reason codes and shifts",
+      usage: "waste reasons",
+      async run() {
+        return {
+          data: { reasons: WASTE_REASONS, shifts: SHIFTS },
+          rows: [
+            ...Object.entries(WASTE_REASONS).map(([code, { label }]) => ({ kind: "reason", code, label })),
+            ...Object.entries(SHIFTS).map(([code, { label }]) => ({ kind: "shift", code, label })),
+          ],
+        };
+      },
+    },
+  },
+};
@@ -0,0 +1,144 @@
+/**
+ * Shared helpers for command-line subcommands
+ */
+
+import fs from "fs-extra";
+
+// Exit codes
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1, // Runtime failure (I/O, storage, ...)
+  USAGE: 2, // Bad arguments or invalid input data
+};
+
+/**
+ * Create an error that exits with the usage/validation exit code
+ * @param {string} message - Error message
+ * @param {Array} details - Optional list of validation messages
+ * @returns {Error} - Error carrying exitCode
+ */
+export function usageError(message, details = []) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Read a text input file; "-" reads from stdin
+ * @param {string} filepath - File path or "-"
+ * @returns {Promise<string>} - File content
+ */
+export async function readTextInput(filepath) {
+  if (!filepath) {
+    throw usageError("Missing input file (use - to read from stdin)");
+  }
+
+  if (filepath === "-") {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString("utf8");
+  }
+  if (!(await fs.pathExists(filepath))) {
+    throw usageError(`File not found: ${filepath}`);
+  }
+  return await fs.readFile(filepath, "utf8");
+}
+
+/**
+ * Read a JSON input file; "-" reads from stdin
+ * @param {string} filepath - File path or "-"
+ * @returns {Promise<*>} - Parsed JSON
+ */
+export async function readJsonInput(filepath) {
+  const content = await readTextInput(filepath);
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw usageError(`Invalid JSON in ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the JSON document a subcommand works on
+ * Callers that already hold the document (the HTTP API) pass it as input
+ * and nothing is read from disk; otherwise the first positional is read
+ * @param {Object} args - { positionals, input }
+ * @returns {Promise<*>} - Parsed JSON
+ */
+export async function readCommandInput({ positionals = [], input }) {
+  if (input !== undefined) {
+    return input;
+  }
+  return await readJsonInput(positionals[0]);
+}
+
+/**
+ * Read a numeric option
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @param {Object} rules - { required, default, min, max, integer }
+ * @returns {number|undefined} - Parsed number
+ */
+export function numberOption(values, name, rules = {}) {
+  const raw = values[name];
+
+  if (raw === undefined) {
+    if (rules.required) {
+      throw usageError(`Missing required option --${name}`);
+    }
+    return rules.default;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw usageError(`--${name} must be a number, got "${raw}"`);
+  }
+  if (rules.integer && !Number.isInteger(value)) {
+    throw usageError(`--${name} must be a whole number`);
+  }
+  if (rules.min !== undefined && value < rules.min) {
+    throw usageError(`--${name} must be at least ${rules.min}`);
+  }
+  if (rules.max !== undefined && value > rules.max) {
+    throw usageError(`--${name} must be at most ${rules.max}`);
+  }
+  return value;
+}
+
+/**
+ * Read an option restricted to a set of values
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @param {Array} choices - Allowed values
+ * @param {string} fallback - Default when not given
+ * @returns {string} - Selected value
+ */
+export function choiceOption(values, name, choices, fallback) {
+  const value = values[name] ?? fallback;
+
+  if (value === undefined) {
+    throw usageError(`Missing required option --${name} (${choices.join(", ")})`);
+  }
+  if (!choices.includes(value)) {
+    throw usageError(`--${name} must be one of: ${choices.join(", ")}`);
+  }
+  return value;
+}
+
+/**
+ * Turn validator errors into a usage error
+ * @param {string} subject - What was validated
+ * @param {Object} validation - Validator result ({ isValid, errors })
+ */
+export function assertValid(subject, validation) {
+  if (!validation.isValid) {
+    const details = validation.errors.map((error) =>
+      typeof error === "string" ? error : `${error.field}: ${error.message}`
+    );
+    throw usageError(`Invalid ${subject}`, details);
+  }
+}
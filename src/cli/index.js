@@ -0,0 +1,178 @@
+/**
+ * Non-interactive command-line mode
+ * Runs a single calculation from flags and prints the result as a table,
+ * JSON or CSV, so it can be used from scripts, cron jobs and pipelines.
+ */
+
+import { parseArgs } from "util";
+import fs from "fs-extra";
+import { COMMANDS } from "./commands/index.js";
+import { renderOutput, OUTPUT_FORMATS } from "./output.js";
+import { EXIT_CODES, usageError } from "./helpers.js";
+import DataService from "../services/DataService.js";
+import { ReportService } from "../services/ReportService.js";
+
+const GLOBAL_OPTIONS = {
+  format: { type: "string", short: "f" },
+  output: { type: "string", short: "o" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Build help text for all commands, or for one command
+ * @param {Object} command - Optional command definition
+ * @returns {string} - Help text
+ */
+export function helpText(command = null) {
+  const lines = [];
+
+  if (!command) {
+    lines.push("Usage: foodsystem <command> [subcommand] [options]");
+    lines.push("       foodsystem               (no arguments: interactive menu)");
+    lines.push("");
+    lines.push("Commands:");
+    Object.values(COMMANDS).forEach((cmd) => {
+      lines.push(`  ${cmd.name.padEnd(12)} ${cmd.description}`);
+    });
+  } else if (command.subcommands) {
+    lines.push(`Usage: foodsystem ${command.name} <subcommand> [options]`);
+    lines.push("");
+    lines.push(`${command.description}`);
+    lines.push("");
+    Object.values(command.subcommands).forEach((sub) => {
+      lines.push(`  foodsystem ${sub.usage}`);
+      lines.push(`      ${sub.description}`);
+    });
+  } else {
+    lines.push(`Usage: foodsystem ${command.usage}`);
+    lines.push("");
+    lines.push(command.description);
+  }
+
+  lines.push("");
+  lines.push("Options:");
+  lines.push(`  -f, --format <${OUTPUT_FORMATS.join("|")}>  Output format (default: table)`);
+  lines.push("  -o, --output <file>                Write output to a file instead of stdout (required for pdf)");
+  lines.push("  -h, --help                         Show help");
+  lines.push("");
+  lines.push("Exit codes: 0 success, 1 error, 2 invalid arguments or input data");
+  return lines.join("\n");
+}
+
+/**
+ * Resolve the command definition to run from the arguments
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - { command, handler, rest }
+ */
+function resolveCommand(args) {
+  const [name, ...rest] = args;
+  const command = COMMANDS[name];
+  if (!command) {
+    throw usageError(`Unknown command "${name}". Run "foodsystem help" for a list of commands.`);
+  }
+
+  if (!command.subcommands) {
+    return { command, handler: command, rest };
+  }
+
+  const [subName, ...subRest] = rest;
+  if (!subName || subName.startsWith("-")) {
+    return { command, handler: null, rest };
+  }
+
+  const handler = command.subcommands[subName];
+  if (!handler) {
+    throw usageError(
+      `Unknown ${command.name} subcommand "${subName}". Available: ${Object.keys(command.subcommands).join(", ")}`
+    );
+  }
+  return { command, handler, rest: subRest };
+}
+
+/**
+ * Run the command-line mode
+ * @param {Array} args - Arguments after the executable (process.argv.slice(2))
+ * @param {Object} io - { stdout, stderr } streams
+ * @returns {Promise<number>} - Exit code
+ */
+export async function runCli(args, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    if (args[0] === "help" || args[0] === "--help" || args[0] === "-h") {
+      io.stdout.write(helpText(COMMANDS[args[1]] || null) + "\n");
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const { command, handler, rest } = resolveCommand(args);
+    if (!handler) {
+      const wantsHelp = rest.includes("--help") || rest.includes("-h");
+      (wantsHelp ? io.stdout : io.stderr).write(helpText(command) + "\n");
+      return wantsHelp ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: rest,
+        options: { ...GLOBAL_OPTIONS, ...(handler.options || {}) },
+        allowPositionals: true,
+        strict: true,
+      });
+    } catch (error) {
+      throw usageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+      io.stdout.write(helpText(command) + "\n");
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const format = values.format || "table";
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw usageError(`--format must be one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+    if (format === "pdf" && !handler.pdf) {
+      throw usageError('--format pdf is only available for report subcommands (run "foodsystem help report")');
+    }
+    if (format === "pdf" && !values.output) {
+      throw usageError("--format pdf needs --output <file>");
+    }
+
+    const result = await handler.run({ positionals, values });
+
+    (result?.warnings || []).forEach((warning) => {
+      io.stderr.write(`warning: ${warning}\n`);
+    });
+    (await DataService.takeQuarantineNotices()).forEach((notice) => {
+      io.stderr.write(
+        `warning: corrupted ${notice.collection} record "${notice.key}" moved to ${notice.location}\n`
+      );
+    });
+
+    if (!result) {
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (format === "pdf") {
+      await fs.outputFile(values.output, await new ReportService().exportToPDF(result.data, handler.pdf));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const output = renderOutput(result, format);
+    if (values.output) {
+      await fs.outputFile(values.output, output + "\n");
+    } else {
+      io.stdout.write(output + "\n");
+    }
+
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    io.stderr.write(`error: ${error.message}\n`);
+    (error.details || []).forEach((detail) => io.stderr.write(`  - ${detail}\n`));
+    return error.exitCode || EXIT_CODES.ERROR;
+  } finally {
+    await DataService.closeStorage();
+  }
+}
+
+export default runCli;
@@ -0,0 +1,95 @@
+/**
+ * Output formatting for command-line results
+ */
+
+import { table } from "table";
+
+// pdf is written by ReportService for subcommands with a PDF layout (see cli/index.js)
+export const OUTPUT_FORMATS = ["table", "json", "csv", "pdf"];
+
+/**
+ * Flatten a nested result into field/value rows
+ * @param {*} data - Result data
+ * @param {string} prefix - Field name prefix
+ * @returns {Array} - Array of { field, value }
+ */
+export function flatten(data, prefix = "") {
+  if (data === null || typeof data !== "object") {
+    return [{ field: prefix || "value", value: data }];
+  }
+
+  if (Array.isArray(data) && data.every((item) => typeof item !== "object")) {
+    return [{ field: prefix, value: data.join("; ") }];
+  }
+
+  return Object.entries(data).flatMap(([key, value]) =>
+    flatten(value, prefix ? `${prefix}.${key}` : key)
+  );
+}
+
+/**
+ * Round a number for output, leaving other values as they are
+ * Every format rounds the same way, so a figure reads the same in a table,
+ * a CSV file or JSON.
+ * @param {*} value - Value
+ * @returns {*} - Value, numbers rounded to 3 decimals
+ */
+function roundValue(value) {
+  if (typeof value === "number" && !Number.isInteger(value)) {
+    return Math.round(value * 1000) / 1000;
+  }
+  return value;
+}
+
+/**
+ * Format a number for display
+ * @param {*} value - Cell value
+ * @returns {string} - Display string
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  return String(roundValue(value));
+}
+
+/**
+ * Escape a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function csvCell(value) {
+  const text = formatCell(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a command result
+ * Commands return { data, rows, columns }: data is the full result (used for
+ * JSON), rows/columns the tabular view (used for table and CSV). Without rows
+ * the data is flattened into field/value pairs.
+ * @param {Object} result - Command result
+ * @param {string} format - table | json | csv
+ * @returns {string} - Rendered output
+ */
+export function renderOutput(result, format = "table") {
+  if (format === "json") {
+    return JSON.stringify(result.data, (key, value) => roundValue(value), 2);
+  }
+
+  const rows = result.rows || flatten(result.data);
+  if (rows.length === 0) {
+    return format === "csv" ? "" : "No results";
+  }
+  const columns = result.columns || Object.keys(rows[0]);
+
+  if (format === "csv") {
+    return [
+      columns.map(csvCell).join(","),
+      ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(",")),
+    ].join("\n");
+  }
+
+  return table([
+    columns,
+    ...rows.map((row) => columns.map((column) => formatCell(row[column]))),
+  ]).trimEnd();
+}
@@ -0,0 +1,19 @@
+/**
+ * Business settings printed on reports
+ */
+
+// Paper sizes for PDF reports, in points (1/72 inch)
+export const PAPER_SIZES = {
+  A4: { label: "A4", width: 595.28, height: 841.89 },
+  letter: { label: "US Letter", width: 612, height: 792 },
+};
+
+// Active business settings (override with environment variables)
+export const BUSINESS_CONFIG = {
+  name: process.env.FOOD_SYSTEM_BUSINESS_NAME || "Food System",
+  logo: process.env.FOOD_SYSTEM_LOGO || null, // JPEG or PNG file shown in report headers
+  currency: process.env.FOOD_SYSTEM_CURRENCY || "EUR", // One of CURRENCIES in constants.js
+  paperSize: process.env.FOOD_SYSTEM_PAPER_SIZE || "A4",
+};
+
+export default BUSINESS_CONFIG;
@@ -60,6 +60,24 @@ export const STANDARD_YIELDS = {
   STRAWBERRY: 92,
 };
 
+// Allergens (EU Regulation 1169/2011, Annex II)
+export const ALLERGENS = [
+  "gluten",
+  "crustaceans",
+  "eggs",
+  "fish",
+  "peanuts",
+  "soybeans",
+  "milk",
+  "nuts",
+  "celery",
+  "mustard",
+  "sesame",
+  "sulphites",
+  "lupin",
+  "molluscs",
+];
+
 // Temperature Settings
 export const TEMPERATURES = {
   // Sous Vide
@@ -180,6 +198,29 @@ export const DATA_PATHS = {
   EXPORTS: "./exports/",
 };
 
+// Stock Movement Types
+// direction 1 adds stock, -1 removes it, 0 takes the sign of the quantity given
+export const STOCK_MOVEMENT_TYPES = {
+  opening: { label: "Opening balance", direction: 0 },
+  receipt: { label: "Receipt", direction: 1 },
+  production: { label: "Production usage", direction: -1 },
+  sale: { label: "Sale", direction: -1 },
+  waste: { label: "Waste", direction: -1 },
+  transfer: { label: "Transfer", direction: 0 },
+  "staff-meal": { label: "Staff meal", direction: -1 },
+  adjustment: { label: "Count adjustment", direction: 0 },
+};
+
+// Storage Areas (count sheets are grouped by area, then category)
+export const STORAGE_AREAS = [
+  "Walk-in",
+  "Fridge",
+  "Freezer",
+  "Dry Store",
+  "Bar",
+  "Other",
+];
+
 // Validation Rules
 export const VALIDATION = {
   RECIPE_NAME_MIN: 3,
@@ -0,0 +1,17 @@
+/**
+ * Storage backend configuration
+ */
+
+// Available storage backends
+export const STORAGE_BACKENDS = {
+  JSON: "json",
+  SQLITE: "sqlite",
+};
+
+// Active storage settings (override with environment variables)
+export const DATABASE_CONFIG = {
+  backend: process.env.FOOD_SYSTEM_STORAGE || STORAGE_BACKENDS.JSON,
+  sqliteFile: process.env.FOOD_SYSTEM_DB || "foodsystem.db", // Relative to the data directory
+};
+
+export default DATABASE_CONFIG;
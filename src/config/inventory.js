@@ -0,0 +1,52 @@
+/**
+ * Inventory costing, par level and waste logging configuration
+ */
+
+// Stock costing methods, used for valuation and the cost of goods consumed
+export const COSTING_METHODS = {
+  fifo: { label: "FIFO (first in, first out)" },
+  fefo: { label: "FEFO (first expiry, first out)" },
+  "weighted-average": { label: "Weighted average" },
+  "last-price": { label: "Last purchase price" },
+};
+
+// Where an item's par and max levels come from
+export const PAR_SOURCES = {
+  manual: { label: "Entered by hand" },
+  forecast: { label: "Accepted forecast" },
+};
+
+// Reason codes for logged waste
+export const WASTE_REASONS = {
+  spoilage: { label: "Spoilage" },
+  expired: { label: "Past use-by date" },
+  "over-production": { label: "Over-production" },
+  dropped: { label: "Dropped or spilled" },
+  "prep-error": { label: "Preparation error" },
+  returned: { label: "Customer return" },
+  other: { label: "Other" },
+};
+
+// Reason given to waste recorded without a reason code
+export const DEFAULT_WASTE_REASON = "other";
+
+// Service shifts waste is logged against
+export const SHIFTS = {
+  breakfast: { label: "Breakfast" },
+  lunch: { label: "Lunch" },
+  dinner: { label: "Dinner" },
+  late: { label: "Late" },
+};
+
+// Active costing and forecast settings (override with environment variables)
+export const INVENTORY_CONFIG = {
+  costingMethod: process.env.FOOD_SYSTEM_COSTING || "fifo",
+  forecastDays: Number(process.env.FOOD_SYSTEM_FORECAST_DAYS) || 56, // Usage history behind suggested par levels
+  minimumHistoryDays: 14, // Items with a shorter history get no suggestion
+  serviceLevel: Number(process.env.FOOD_SYSTEM_SERVICE_LEVEL) || 95, // % of order cycles without a stock-out
+  safetyDays: process.env.FOOD_SYSTEM_SAFETY_DAYS ? Number(process.env.FOOD_SYSTEM_SAFETY_DAYS) : null, // Days of average usage as safety stock instead
+  leadTimeDays: 2, // For items no supplier on file carries
+  orderCycleDays: 7, // Days between orders to suppliers that deliver any day
+};
+
+export default INVENTORY_CONFIG;
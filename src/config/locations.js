@@ -0,0 +1,37 @@
+/**
+ * Stock location configuration
+ */
+
+/**
+ * Read locations from "id=Label,id=Label"
+ * @param {string} value - Environment value
+ * @returns {Object} - Location ID → { label }
+ */
+const parseLocations = (value) =>
+  Object.fromEntries(
+    value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [id, ...label] = entry.split("=");
+        const slug = id.trim().toLowerCase().replace(/\s+/g, "-");
+        return [slug, { label: label.join("=").trim() || id.trim() }];
+      })
+  );
+
+// Kitchens, bakeries and stores that hold stock (override with FOOD_SYSTEM_LOCATIONS)
+export const LOCATIONS = process.env.FOOD_SYSTEM_LOCATIONS
+  ? parseLocations(process.env.FOOD_SYSTEM_LOCATIONS)
+  : { main: { label: "Main kitchen" } };
+
+// Stock recorded before locations were set up belongs to the first location
+export const DEFAULT_LOCATION = Object.keys(LOCATIONS)[0];
+
+// Active location settings
+export const LOCATION_CONFIG = {
+  locations: LOCATIONS,
+  defaultLocation: DEFAULT_LOCATION,
+};
+
+export default LOCATION_CONFIG;
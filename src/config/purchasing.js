@@ -0,0 +1,29 @@
+/**
+ * Purchasing configuration
+ */
+
+// Purchase order statuses, in the order an order moves through them
+export const PURCHASE_ORDER_STATUSES = {
+  draft: { label: "Draft" },
+  sent: { label: "Sent" },
+  "partially-received": { label: "Partially received" },
+  received: { label: "Received" },
+  closed: { label: "Closed" },
+};
+
+// Weekdays a supplier can deliver on, as stored on supplier records
+export const DELIVERY_DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+// How the order generator picks between suppliers carrying the same item
+export const SUPPLIER_CHOICES = {
+  preferred: { label: "Preferred supplier, else the cheapest" },
+  cheapest: { label: "Cheapest supplier" },
+};
+
+// Active purchasing settings (override with environment variables)
+export const PURCHASING_CONFIG = {
+  priceTolerance: Number(process.env.FOOD_SYSTEM_PRICE_TOLERANCE) || 2, // Flag delivered prices further than this % from the order
+  supplierChoice: process.env.FOOD_SYSTEM_SUPPLIER_CHOICE || "preferred",
+};
+
+export default PURCHASING_CONFIG;
@@ -0,0 +1,57 @@
+/**
+ * POS sales import configuration
+ */
+
+// Fields read from each line of a POS sales export
+export const SALES_FIELDS = {
+  date: { label: "Business date", required: true },
+  plu: { label: "PLU or menu item code" },
+  name: { label: "Menu item name" },
+  quantity: { label: "Items sold", required: true },
+  revenue: { label: "Net sales value", required: true },
+  location: { label: "Location" },
+  covers: { label: "Covers (guests served)" },
+};
+
+// Date layouts a CSV export may use
+export const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+
+// Decimal separators a CSV export may use; the other one groups thousands
+export const DECIMAL_SEPARATORS = [".", ","];
+
+/**
+ * Read a column mapping from "field=Column,field=Column"
+ * @param {string} value - Mapping text
+ * @returns {Object} - Field → CSV column header
+ */
+export const parseColumns = (value) =>
+  Object.fromEntries(
+    value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [field, ...column] = entry.split("=");
+        return [field.trim(), column.join("=").trim()];
+      })
+  );
+
+// Active import settings (override with environment variables)
+export const SALES_CONFIG = {
+  // CSV column holding each field, e.g. FOOD_SYSTEM_POS_COLUMNS="plu=Item Code,revenue=Net Sales"
+  columns: {
+    date: "date",
+    plu: "plu",
+    name: "item",
+    quantity: "quantity",
+    revenue: "revenue",
+    location: "location",
+    covers: "covers",
+    ...parseColumns(process.env.FOOD_SYSTEM_POS_COLUMNS || ""),
+  },
+  delimiter: process.env.FOOD_SYSTEM_POS_DELIMITER || ",",
+  dateFormat: process.env.FOOD_SYSTEM_POS_DATE_FORMAT || "YYYY-MM-DD",
+  decimal: process.env.FOOD_SYSTEM_POS_DECIMAL || ".",
+};
+
+export default SALES_CONFIG;
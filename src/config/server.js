@@ -0,0 +1,17 @@
+/**
+ * HTTP API server configuration
+ */
+
+// Listen settings (override with environment variables or serve flags)
+export const SERVER_CONFIG = {
+  host: process.env.FOOD_SYSTEM_HOST || "127.0.0.1", // Use 0.0.0.0 to accept other devices on the network
+  port: Number(process.env.FOOD_SYSTEM_PORT) || 3000,
+  bodyLimit: 1024 * 1024, // Largest accepted request body, in bytes
+  // Host names the server answers to besides localhost and IP addresses, e.g. "kitchen.local"
+  allowedHosts: (process.env.FOOD_SYSTEM_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+export default SERVER_CONFIG;
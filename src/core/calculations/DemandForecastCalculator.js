@@ -0,0 +1,149 @@
+/**
+ * Demand Forecast Calculator
+ * Forecasts daily usage from stock movement history with a day-of-week
+ * profile and turns it into par levels, order-up-to levels and order
+ * quantities for a supplier's lead time and order cycle
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday names, Monday first (the order of the profile's means)
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const round = value => Math.round(value * 1e6) / 1e6;
+
+// Levels are rounded up to the hundredth of a stock unit
+const roundUp = value => Math.ceil(round(value) * 100) / 100;
+
+// Monday = 0 ... Sunday = 6
+const weekdayOf = date => (new Date(date).getUTCDay() + 6) % 7;
+
+export class DemandForecastCalculator {
+  constructor() {
+    this.weekdays = WEEKDAYS;
+  }
+
+  /**
+   * Build a day-of-week usage profile
+   * Days without usage count as zero; each weekday's mean is taken over
+   * the days of that weekday in the window.
+   * @param {Map} daily - Date (YYYY-MM-DD) → quantity used
+   * @param {string} from - First day of the window (YYYY-MM-DD)
+   * @param {string} to - Last day of the window (YYYY-MM-DD)
+   * @returns {Object} - { days, total, average, means: [Mon..Sun], stdDev }; stdDev is the
+   *   spread of daily usage around its weekday mean
+   */
+  weekdayProfile(daily, from, to) {
+    const start = new Date(from).getTime();
+    const days = Math.floor((new Date(to).getTime() - start) / DAY_MS) + 1;
+    if (!(days > 0)) {
+      throw new Error(`Forecast window ${from} to ${to} is empty`);
+    }
+
+    const totals = Array(7).fill(0);
+    const counts = Array(7).fill(0);
+    const series = [];
+    for (let offset = 0; offset < days; offset++) {
+      const date = new Date(start + offset * DAY_MS).toISOString().split('T')[0];
+      const used = daily.get(date) || 0;
+      const weekday = weekdayOf(date);
+      totals[weekday] += used;
+      counts[weekday] += 1;
+      series.push({ weekday, used });
+    }
+
+    const total = totals.reduce((sum, value) => sum + value, 0);
+    const average = total / days;
+    // Weekdays not yet seen in a short window fall back to the overall average
+    const means = totals.map((value, weekday) => (counts[weekday] > 0 ? value / counts[weekday] : average));
+    const variance = series.reduce((sum, day) => sum + (day.used - means[day.weekday]) ** 2, 0) / days;
+
+    return {
+      days,
+      total: round(total),
+      average: round(average),
+      means: means.map(round),
+      stdDev: round(Math.sqrt(variance))
+    };
+  }
+
+  /**
+   * Expected usage over a number of days
+   * @param {Array} means - Weekday means, Monday first
+   * @param {number} startWeekday - Weekday of the first day (Monday = 0)
+   * @param {number} days - Number of days; a fraction takes part of the last day
+   * @returns {number} - Expected usage
+   */
+  demandOver(means, startWeekday, days) {
+    let demand = 0;
+    const whole = Math.floor(days);
+    for (let offset = 0; offset < whole; offset++) {
+      demand += means[(startWeekday + offset) % 7];
+    }
+    demand += (days - whole) * means[(startWeekday + whole) % 7];
+    return demand;
+  }
+
+  /**
+   * Standard normal quantile for a service level
+   * Rational approximation (Abramowitz & Stegun 26.2.23), good to 4.5e-4.
+   * @param {number} serviceLevel - Percentage of order cycles without a stock-out (50 to 99.99)
+   * @returns {number} - z-score
+   */
+  zScore(serviceLevel) {
+    if (!(serviceLevel >= 50 && serviceLevel < 100)) {
+      throw new Error('Service level must be at least 50% and below 100%');
+    }
+    const p = 1 - serviceLevel / 100;
+    if (p === 0.5) return 0;
+    const t = Math.sqrt(-2 * Math.log(p));
+    return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+      (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+  }
+
+  /**
+   * Suggest stock levels from a usage profile
+   * The par level (reorder point) covers usage over the lead time, the
+   * max level (order-up-to) usage over the lead time plus one order cycle,
+   * both for the busiest stretch of the week, plus safety stock. Safety
+   * stock is a number of days of average usage when safetyDays is given,
+   * otherwise z × daily spread × √(lead time + order cycle) for the
+   * service level.
+   * @param {Object} profile - weekdayProfile result
+   * @param {Object} options - { leadTimeDays, cycleDays, serviceLevel, safetyDays, onHand, orderDate }
+   * @returns {Object} - { parLevel, maxLevel, safetyStock, leadTimeDemand, cycleDemand, orderUpTo, orderQuantity }
+   */
+  suggestLevels(profile, { leadTimeDays, cycleDays, serviceLevel = 95, safetyDays = null, onHand = 0, orderDate = new Date() }) {
+    if (!(leadTimeDays >= 0) || !(cycleDays > 0)) {
+      throw new Error('Lead time must be 0 or more days and the order cycle more than 0 days');
+    }
+    const safetyStock = safetyDays !== null && safetyDays !== undefined
+      ? safetyDays * profile.average
+      : this.zScore(serviceLevel) * profile.stdDev * Math.sqrt(leadTimeDays + cycleDays);
+
+    // Static levels must hold whichever day the order is placed, so take the busiest start
+    let leadTimeDemand = 0;
+    let cycleDemand = 0;
+    for (let start = 0; start < 7; start++) {
+      leadTimeDemand = Math.max(leadTimeDemand, this.demandOver(profile.means, start, leadTimeDays));
+      cycleDemand = Math.max(cycleDemand, this.demandOver(profile.means, start, leadTimeDays + cycleDays));
+    }
+
+    // Ordering today: usage from tomorrow until the delivery after next
+    const tomorrow = (weekdayOf(orderDate) + 1) % 7;
+    const orderUpTo = this.demandOver(profile.means, tomorrow, leadTimeDays + cycleDays) + safetyStock;
+    const parLevel = roundUp(leadTimeDemand + safetyStock);
+
+    return {
+      parLevel,
+      maxLevel: Math.max(parLevel, roundUp(cycleDemand + safetyStock)),
+      safetyStock: round(safetyStock),
+      leadTimeDemand: round(leadTimeDemand),
+      cycleDemand: round(cycleDemand),
+      orderUpTo: roundUp(orderUpTo),
+      orderQuantity: onHand <= parLevel ? roundUp(Math.max(0, orderUpTo - onHand)) : 0
+    };
+  }
+}
+
+export default DemandForecastCalculator;
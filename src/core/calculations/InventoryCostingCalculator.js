@@ -0,0 +1,177 @@
+/**
+ * Inventory Costing Calculator
+ * Values stock and the cost of goods consumed from the stock movement
+ * ledger by FIFO, FEFO, weighted-average or last-purchase-price costing
+ */
+
+// Movements that set the last purchase price
+const PURCHASE_TYPES = ['receipt', 'opening'];
+
+// Lot details carried over from the movement that brought the stock in
+const LOT_FIELDS = ['lotNumber', 'expiryDate', 'supplier'];
+
+// Quantities below this are treated as zero (float noise from summing movements)
+const EPSILON = 1e-9;
+
+const round = value => Math.round(value * 1e6) / 1e6;
+
+export class InventoryCostingCalculator {
+  constructor() {
+    this.methods = ['fifo', 'fefo', 'weighted-average', 'last-price'];
+  }
+
+  /**
+   * Replay one item's movements and cost each of them
+   * Stock coming in (opening balances, receipts, transfers in, count
+   * surpluses) forms a lot at the movement's unit cost, and stock going out
+   * draws lots down in the order they came in, or first-expiry-first-out
+   * under fefo (lots without an expiry date after those with one, oldest
+   * first), taking the lot named by the movement's `lot` first. FIFO and
+   * FEFO cost what goes out at the cost of the lots drawn; the other
+   * methods decide what the stock going out and the stock left over are
+   * worth. Stock issued beyond what had come in is costed at the last
+   * purchase price.
+   * @param {Array} movements - One item's stock movements, oldest first
+   * @param {string} method - fifo | fefo | weighted-average | last-price
+   * @param {number} fallbackCost - Unit cost before any stock has come in
+   * @returns {Object} - { method, quantity, value, unitCost, lots, costed }; lots are
+   *   in the order they will be used and costed removals list the lots they `drew`
+   */
+  costMovements(movements, method = 'fifo', fallbackCost = 0) {
+    if (!this.methods.includes(method)) {
+      throw new Error(`Unknown costing method "${method}" (${this.methods.join(', ')})`);
+    }
+
+    const lots = [];
+    const costed = [];
+    let quantity = 0;
+    let shortfall = 0; // Stock issued beyond what had come in
+    let averageCost = null;
+    let lastCost = null;
+
+    for (const movement of movements) {
+      const unitCost = movement.unitCost ?? fallbackCost;
+
+      if (movement.quantity > 0) {
+        // Stock issued while the item was short is matched first
+        const covered = Math.min(shortfall, movement.quantity);
+        shortfall = round(shortfall - covered);
+        if (movement.quantity - covered > EPSILON) {
+          const lot = {
+            movementId: movement.id,
+            reference: movement.reference,
+            type: movement.type,
+            date: movement.date,
+            received: movement.quantity,
+            quantity: round(movement.quantity - covered),
+            unitCost
+          };
+          for (const field of LOT_FIELDS) {
+            if (movement[field]) lot[field] = movement[field];
+          }
+          this.addLot(lots, lot, method);
+        }
+
+        averageCost = quantity > EPSILON && averageCost !== null
+          ? (quantity * averageCost + movement.quantity * unitCost) / (quantity + movement.quantity)
+          : unitCost;
+        if (PURCHASE_TYPES.includes(movement.type) || lastCost === null) {
+          lastCost = unitCost;
+        }
+        quantity = round(quantity + movement.quantity);
+        costed.push({ ...movement, cost: round(movement.quantity * unitCost) });
+        continue;
+      }
+
+      const outgoing = -movement.quantity;
+      const { cost: lotCost, drew } = this.drawLots(lots, outgoing, lastCost ?? unitCost, extra => {
+        shortfall = round(shortfall + extra);
+      }, movement.lot);
+      const cost = {
+        fifo: lotCost,
+        fefo: lotCost,
+        'weighted-average': outgoing * (averageCost ?? unitCost),
+        'last-price': outgoing * (lastCost ?? unitCost)
+      }[method];
+
+      quantity = round(quantity + movement.quantity);
+      costed.push({ ...movement, cost: -round(cost), drew });
+    }
+
+    const currentCost = lastCost ?? fallbackCost;
+    const lotValue = lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0) - shortfall * currentCost;
+    const value = {
+      fifo: lotValue,
+      fefo: lotValue,
+      'weighted-average': quantity * (averageCost ?? fallbackCost),
+      'last-price': quantity * currentCost
+    }[method];
+
+    return {
+      method,
+      quantity,
+      value: round(value),
+      unitCost: round(Math.abs(quantity) > EPSILON ? value / quantity : currentCost),
+      lots,
+      costed
+    };
+  }
+
+  /**
+   * Add a lot in the order lots are used: the order they came in, or under
+   * fefo soonest expiry first, then lots without an expiry date, each
+   * oldest first
+   * @param {Array} lots - Open lots in use order (updated in place)
+   * @param {Object} lot - New lot
+   * @param {string} method - Costing method
+   */
+  addLot(lots, lot, method = 'fifo') {
+    if (method !== 'fefo') {
+      lots.push(lot);
+      return;
+    }
+    const usedBefore = (a, b) => a.expiryDate && (!b.expiryDate || a.expiryDate < b.expiryDate);
+    const index = lots.findIndex(open => usedBefore(lot, open));
+    if (index === -1) {
+      lots.push(lot);
+    } else {
+      lots.splice(index, 0, lot);
+    }
+  }
+
+  /**
+   * Draw stock from the open lots in use order
+   * @param {Array} lots - Open lots in use order (updated in place)
+   * @param {number} quantity - Quantity going out
+   * @param {number} shortCost - Unit cost of any quantity beyond the lots
+   * @param {Function} onShort - Called with the quantity the lots could not cover
+   * @param {string} preferred - Lot to draw first (receipt movement ID or lot number)
+   * @returns {Object} - { cost, drew: [{ movementId, lotNumber, quantity }] }
+   */
+  drawLots(lots, quantity, shortCost, onShort, preferred) {
+    let remaining = quantity;
+    let cost = 0;
+    const drew = [];
+
+    while (remaining > EPSILON && lots.length > 0) {
+      const index = preferred
+        ? Math.max(0, lots.findIndex(lot => lot.movementId === preferred || lot.lotNumber === preferred))
+        : 0;
+      const lot = lots[index];
+      const used = Math.min(lot.quantity, remaining);
+      cost += used * lot.unitCost;
+      lot.quantity = round(lot.quantity - used);
+      remaining -= used;
+      drew.push({ movementId: lot.movementId, lotNumber: lot.lotNumber, quantity: round(used) });
+      if (lot.quantity <= EPSILON) {
+        lots.splice(index, 1);
+      }
+    }
+
+    if (remaining > EPSILON) {
+      cost += remaining * shortCost;
+      onShort(remaining);
+    }
+    return { cost, drew };
+  }
+}
@@ -1,3 +1,5 @@
+import { UnitConverter } from '../converters/UnitConverter.js';
+
 /**
  * Recipe Cost Calculator
  * Handles all recipe costing calculations including escandallo
@@ -5,6 +7,7 @@
 
 export class RecipeCostCalculator {
   constructor() {
+    this.unitConverter = new UnitConverter();
     this.defaultSpiceFactor = 0.02; // 2%
     this.defaultQFactor = 0.03; // 3%
     this.defaultTargetFoodCost = 0.30; // 30%
@@ -13,22 +16,42 @@ export class RecipeCostCalculator {
   /**
    * Calculate complete recipe cost with all factors
    * @param {Object} recipe - Recipe object with ingredients
+   * @param {Object} options - Costing options
+   * @param {Object} options.subRecipes - Map of recipeRef → recipe for sub-recipe lines
+   * @param {Object} options.catalogue - Map of ingredientId → catalogue item
    * @returns {Object} Complete cost breakdown
    */
-  calculateRecipeCost(recipe) {
+  calculateRecipeCost(recipe, options = {}) {
     if (!recipe || !recipe.ingredients) {
       throw new Error('Invalid recipe data');
     }
 
+    const stack = [...(options.stack || []), options.recipeRef || recipe.name];
+
     const breakdown = [];
     let totalAPCost = 0;
     let totalEPCost = 0;
     let totalWasteCost = 0;
+    const allergens = new Set();
+    const warnings = [];
 
     // Process each ingredient
-    recipe.ingredients.forEach(ingredient => {
-      const apCost = ingredient.quantity * ingredient.unitPrice;
+    recipe.ingredients.forEach(line => {
+      const ingredient = this.resolveCatalogueLine(line, options.catalogue);
+      const pricing = ingredient.recipeRef
+        ? this.resolveSubRecipePrice(ingredient, options, stack)
+        : this.resolveUnitPrice(ingredient);
+      const apCost = ingredient.quantity * pricing.unitPrice;
       const yieldPercentage = ingredient.yieldPercentage || 100;
+
+      (ingredient.allergens || []).forEach(allergen => allergens.add(allergen));
+      if (pricing.subRecipe) {
+        pricing.subRecipe.cost.allergens.forEach(allergen => allergens.add(allergen));
+        warnings.push(...pricing.subRecipe.cost.warnings);
+      }
+      if (pricing.assumedUnit) {
+        warnings.push(`Ingredient "${ingredient.name}": no purchase unit, so its price ${pricing.unitPrice} is taken as per ${ingredient.unit}`);
+      }
       const epCost = (apCost * 100) / yieldPercentage;
       const wasteCost = epCost - apCost;
 
@@ -37,14 +60,19 @@ export class RecipeCostCalculator {
       totalWasteCost += wasteCost;
 
       breakdown.push({
+        ingredientId: ingredient.ingredientId || null,
         name: ingredient.name,
         quantity: ingredient.quantity,
         unit: ingredient.unit,
-        unitPrice: ingredient.unitPrice,
+        unitPrice: pricing.unitPrice,
+        purchaseUnit: pricing.purchaseUnit,
+        purchasePrice: pricing.purchasePrice,
+        priceSource: ingredient.priceSource || 'recipe',
         apCost: apCost,
         yieldPercentage: yieldPercentage,
         epCost: epCost,
         wasteCost: wasteCost,
+        subRecipe: pricing.subRecipe || null,
         percentageOfTotal: 0 // Will calculate after totals
       });
     });
@@ -81,10 +109,292 @@ export class RecipeCostCalculator {
       totalCost: totalCost,
       costPerPortion: costPerPortion,
       suggestedPrice: suggestedPrice,
-      targetFoodCost: targetFoodCost
+      targetFoodCost: targetFoodCost,
+      allergens: [...allergens].sort(),
+      warnings: [...new Set(warnings)]
+    };
+  }
+
+  /**
+   * Merge a recipe line with its ingredient catalogue entry
+   * Catalogue price, pack data, default yield, density and allergens are
+   * resolved at calculation time; the line may carry a priceOverride
+   * (per catalogue purchase unit) and its own yieldPercentage.
+   * @param {Object} line - Recipe ingredient line
+   * @param {Object} catalogue - Map of ingredientId → catalogue item
+   * @returns {Object} Ingredient line ready for costing
+   */
+  resolveCatalogueLine(line, catalogue = {}) {
+    if (!line.ingredientId) {
+      return line;
+    }
+
+    const item = catalogue[line.ingredientId];
+    if (!item) {
+      // Keep lines costable from their embedded price when the catalogue isn't available
+      if (line.unitPrice !== undefined || line.packPrice !== undefined) {
+        return { ...line, priceSource: 'recipe' };
+      }
+      throw new Error(`Ingredient "${line.name || line.ingredientId}": catalogue item "${line.ingredientId}" not found`);
+    }
+
+    const resolved = {
+      name: item.name,
+      density: item.density,
+      unitWeight: item.unitWeight,
+      allergens: item.allergens || [],
+      yieldPercentage: item.defaultYield,
+      ...line,
+      priceSource: 'catalogue'
+    };
+
+    // Catalogue price always wins over a stale price embedded in the line
+    delete resolved.packPrice;
+    delete resolved.packSize;
+    delete resolved.packUnit;
+    delete resolved.packCount;
+
+    if (line.priceOverride !== undefined) {
+      resolved.purchaseUnit = item.unit;
+      resolved.unitPrice = line.priceOverride;
+      resolved.priceSource = 'override';
+    } else if (item.packPrice !== undefined) {
+      resolved.packPrice = item.packPrice;
+      resolved.packSize = item.packSize;
+      resolved.packUnit = item.packUnit;
+      resolved.packCount = item.packCount;
+    } else {
+      resolved.purchaseUnit = item.unit;
+      resolved.unitPrice = item.unitPrice;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Resolve the price of one recipe unit of an ingredient
+   * Reconciles purchase unit / pack size against the recipe unit.
+   * Ingredients without purchase data keep the legacy behaviour where
+   * unitPrice is taken as per recipe unit; the result is flagged with
+   * assumedUnit, as nothing shows the price was not meant per kg or l.
+   * @param {Object} ingredient - Recipe ingredient line
+   * @returns {Object} { unitPrice, purchaseUnit, purchasePrice, assumedUnit }
+   */
+  resolveUnitPrice(ingredient) {
+    let purchaseUnit;
+    let purchasePrice;
+
+    if (ingredient.packPrice !== undefined) {
+      // e.g. case of 12 × 1 l at €18.00, or a 10 kg sack at €12.00
+      const packContent = (ingredient.packCount || 1) * ingredient.packSize;
+      if (!(packContent > 0) || !ingredient.packUnit) {
+        throw new Error(`Ingredient "${ingredient.name}": pack size and pack unit are required with a pack price`);
+      }
+      purchaseUnit = ingredient.packUnit;
+      purchasePrice = ingredient.packPrice / packContent;
+    } else if (ingredient.purchaseUnit) {
+      purchaseUnit = ingredient.purchaseUnit;
+      purchasePrice = ingredient.unitPrice;
+    } else {
+      if (typeof ingredient.unitPrice !== 'number' || isNaN(ingredient.unitPrice)) {
+        throw new Error(`Ingredient "${ingredient.name}": no price - give it a unit price and purchase unit, or link it to the catalogue`);
+      }
+      return {
+        unitPrice: ingredient.unitPrice,
+        purchaseUnit: ingredient.unit,
+        purchasePrice: ingredient.unitPrice,
+        assumedUnit: true
+      };
+    }
+
+    let unitPrice;
+    try {
+      unitPrice = this.unitConverter.convertPrice(
+        purchasePrice,
+        purchaseUnit,
+        ingredient.unit,
+        ingredient
+      );
+    } catch (error) {
+      throw new Error(`Ingredient "${ingredient.name}": cannot reconcile purchase unit "${purchaseUnit}" with recipe unit "${ingredient.unit}" (${error.message})`);
+    }
+
+    return {
+      unitPrice: unitPrice,
+      purchaseUnit: purchaseUnit,
+      purchasePrice: purchasePrice
+    };
+  }
+
+  /**
+   * Resolve the price of one recipe unit of a sub-recipe (prep item) line
+   * The sub-recipe is costed recursively and divided by its yield
+   * (yieldQuantity/yieldUnit, or its portions when no yield is set).
+   * @param {Object} ingredient - Recipe ingredient line with recipeRef
+   * @param {Object} options - Costing options (subRecipes, catalogue)
+   * @param {Array} stack - Recipe refs currently being costed
+   * @returns {Object} { unitPrice, purchaseUnit, purchasePrice, subRecipe }
+   */
+  resolveSubRecipePrice(ingredient, options, stack) {
+    const ref = ingredient.recipeRef;
+
+    if (stack.includes(ref)) {
+      throw new Error(`Circular sub-recipe reference: ${[...stack, ref].join(' → ')}`);
+    }
+
+    const subRecipe = (options.subRecipes || {})[ref];
+    if (!subRecipe) {
+      throw new Error(`Ingredient "${ingredient.name}": sub-recipe "${ref}" not found`);
+    }
+
+    const subCost = this.calculateRecipeCost(subRecipe, {
+      ...options,
+      stack,
+      recipeRef: ref
+    });
+
+    const yieldQuantity = subRecipe.yieldQuantity || subRecipe.portions || 1;
+    const yieldUnit = subRecipe.yieldQuantity ? subRecipe.yieldUnit : 'portion';
+    const costPerYieldUnit = subCost.totalCost / yieldQuantity;
+
+    let unitPrice = costPerYieldUnit;
+    if (this.normalizeYieldUnit(ingredient.unit) !== this.normalizeYieldUnit(yieldUnit)) {
+      try {
+        unitPrice = this.unitConverter.convertPrice(
+          costPerYieldUnit,
+          yieldUnit,
+          ingredient.unit,
+          ingredient
+        );
+      } catch (error) {
+        throw new Error(`Ingredient "${ingredient.name}": cannot reconcile sub-recipe yield unit "${yieldUnit}" with recipe unit "${ingredient.unit}" (${error.message})`);
+      }
+    }
+
+    return {
+      unitPrice: unitPrice,
+      purchaseUnit: yieldUnit,
+      purchasePrice: costPerYieldUnit,
+      subRecipe: {
+        ref: ref,
+        name: subRecipe.name,
+        yieldQuantity: yieldQuantity,
+        yieldUnit: yieldUnit,
+        costPerYieldUnit: costPerYieldUnit,
+        cost: subCost
+      }
     };
   }
 
+  /**
+   * Normalize a sub-recipe yield unit for comparison
+   * @param {string} unit - Yield unit
+   * @returns {string} Normalized unit
+   */
+  normalizeYieldUnit(unit) {
+    const normalized = (unit || 'portion').trim().toLowerCase();
+    if (normalized === 'portions') return 'portion';
+    return this.unitConverter.isKnownUnit(normalized)
+      ? this.unitConverter.normalizeUnit(normalized)
+      : normalized;
+  }
+
+  /**
+   * Calculate the stock a recipe draws down when it is produced or sold
+   * Recipe quantities are edible portion, so each line is scaled to the
+   * portions made, grossed up by its yield and converted into the stock
+   * unit of its catalogue item. Sub-recipe lines are expanded into their
+   * own ingredients.
+   * @param {Object} recipe - Recipe object with ingredients
+   * @param {number} portions - Portions produced or sold
+   * @param {Object} options - Costing options (subRecipes, catalogue)
+   * @returns {Object} { requirements: [{ ingredientId, name, quantity, unit }], unmatched: [line names] }
+   */
+  calculateStockRequirements(recipe, portions, options = {}) {
+    if (!recipe || !recipe.ingredients) {
+      throw new Error('Invalid recipe data');
+    }
+
+    const totals = new Map();
+    const unmatched = [];
+    this.collectStockRequirements(
+      recipe,
+      portions / (recipe.portions || 1),
+      options,
+      [options.recipeRef || recipe.name],
+      totals,
+      unmatched
+    );
+
+    return {
+      requirements: [...totals.values()],
+      unmatched: [...new Set(unmatched)]
+    };
+  }
+
+  /**
+   * Add the as-purchased quantities of a scaled recipe to a running total
+   * @param {Object} recipe - Recipe object with ingredients
+   * @param {number} factor - Scale factor applied to every line
+   * @param {Object} options - Costing options (subRecipes, catalogue)
+   * @param {Array} stack - Recipe refs currently being expanded
+   * @param {Map} totals - ingredientId → requirement, updated in place
+   * @param {Array} unmatched - Lines with no catalogue item, updated in place
+   */
+  collectStockRequirements(recipe, factor, options, stack, totals, unmatched) {
+    const catalogue = options.catalogue || {};
+
+    recipe.ingredients.forEach(line => {
+      if (line.recipeRef) {
+        const ref = line.recipeRef;
+        if (stack.includes(ref)) {
+          throw new Error(`Circular sub-recipe reference: ${[...stack, ref].join(' → ')}`);
+        }
+        const subRecipe = (options.subRecipes || {})[ref];
+        if (!subRecipe) {
+          throw new Error(`Ingredient "${line.name}": sub-recipe "${ref}" not found`);
+        }
+
+        const yieldQuantity = subRecipe.yieldQuantity || subRecipe.portions || 1;
+        const yieldUnit = subRecipe.yieldQuantity ? subRecipe.yieldUnit : 'portion';
+        let needed = (line.quantity * factor * 100) / (line.yieldPercentage || 100);
+        if (this.normalizeYieldUnit(line.unit) !== this.normalizeYieldUnit(yieldUnit)) {
+          try {
+            needed = this.unitConverter.convert(needed, line.unit, yieldUnit, line);
+          } catch (error) {
+            throw new Error(`Ingredient "${line.name}": cannot reconcile sub-recipe yield unit "${yieldUnit}" with recipe unit "${line.unit}" (${error.message})`);
+          }
+        }
+
+        this.collectStockRequirements(subRecipe, needed / yieldQuantity, options, [...stack, ref], totals, unmatched);
+        return;
+      }
+
+      const name = (line.name || '').trim().toLowerCase();
+      const item = catalogue[line.ingredientId] ||
+        Object.values(catalogue).find(candidate => (candidate.name || '').trim().toLowerCase() === name);
+      if (!item) {
+        unmatched.push(line.name || line.ingredientId);
+        return;
+      }
+
+      const lineYield = line.yieldPercentage || item.defaultYield || 100;
+      let quantity = (line.quantity * factor * 100) / lineYield;
+      const unit = line.unit || item.unit;
+      if (item.unit && unit.toLowerCase() !== item.unit.toLowerCase()) {
+        try {
+          quantity = this.unitConverter.convert(quantity, unit, item.unit, { ...item, ...line });
+        } catch (error) {
+          throw new Error(`Ingredient "${item.name}": cannot convert recipe unit "${unit}" into stock unit "${item.unit}" (${error.message})`);
+        }
+      }
+
+      const total = totals.get(item.id) || { ingredientId: item.id, name: item.name, quantity: 0, unit: item.unit || unit };
+      total.quantity += quantity;
+      totals.set(item.id, total);
+    });
+  }
+
   /**
    * Calculate yield percentage
    * @param {number} epWeight - Edible portion weight
@@ -266,8 +576,18 @@ export class RecipeCostCalculator {
       if (!ingredient.quantity || ingredient.quantity <= 0) {
         errors.push(`Ingredient ${ingredient.name || index + 1}: Valid quantity is required`);
       }
-      if (!ingredient.unitPrice || ingredient.unitPrice < 0) {
+      if (ingredient.recipeRef || ingredient.ingredientId) {
+        return;
+      }
+      const price = ingredient.packPrice !== undefined ? ingredient.packPrice : ingredient.unitPrice;
+      if (!price || price < 0) {
         errors.push(`Ingredient ${ingredient.name || index + 1}: Valid unit price is required`);
+      } else {
+        try {
+          this.resolveUnitPrice(ingredient);
+        } catch (error) {
+          errors.push(error.message);
+        }
       }
       if (ingredient.yieldPercentage && (ingredient.yieldPercentage <= 0 || ingredient.yieldPercentage > 100)) {
         warnings.push(`Ingredient ${ingredient.name || index + 1}: Unusual yield percentage`);
@@ -5,6 +5,8 @@
 export { FoodCostCalculator } from "./FoodCostCalculator.js";
 export { BakersPercentageCalculator } from "./BakersPercentageCalculator.js";
 export { RecipeCostCalculator } from "./RecipeCostCalculator.js";
+export { InventoryCostingCalculator } from "./InventoryCostingCalculator.js";
+export { DemandForecastCalculator } from "./DemandForecastCalculator.js";
 export { PastryCalculator } from "./PastryCalculator.js";
 export { MolecularGastronomyCalculator } from "./MolecularGastronomyCalculator.js";
 export { SousVideFermentationCalculator } from "./SousVideFermentationCalculator.js";
@@ -0,0 +1,325 @@
+/**
+ * Unit Converter
+ * Handles weight, volume and count conversions, including
+ * density-aware volume ↔ weight conversion per ingredient
+ */
+
+export class UnitConverter {
+  constructor() {
+    // Weight units expressed in grams
+    this.weightUnits = {
+      mg: 0.001,
+      g: 1,
+      kg: 1000,
+      oz: 28.349523125,
+      lb: 453.59237
+    };
+
+    // Volume units expressed in milliliters (US customary unless prefixed uk_ / metric_)
+    this.volumeUnits = {
+      ml: 1,
+      cl: 10,
+      dl: 100,
+      l: 1000,
+      tsp: 4.92892159375,
+      tbsp: 14.78676478125,
+      fl_oz: 29.5735295625,
+      cup: 236.5882365,
+      pint: 473.176473,
+      quart: 946.352946,
+      gallon: 3785.411784,
+      uk_tsp: 5.91938802083,
+      uk_tbsp: 17.7581640625,
+      uk_fl_oz: 28.4130625,
+      uk_cup: 284.130625,
+      uk_pint: 568.26125,
+      uk_quart: 1136.5225,
+      uk_gallon: 4546.09,
+      metric_tsp: 5,
+      metric_tbsp: 15,
+      metric_cup: 250
+    };
+
+    // Count units expressed in single units
+    this.countUnits = {
+      units: 1,
+      dozen: 12
+    };
+
+    this.aliases = {
+      milligram: 'mg', milligrams: 'mg',
+      gram: 'g', grams: 'g', gr: 'g',
+      kilogram: 'kg', kilograms: 'kg', kilo: 'kg', kilos: 'kg',
+      ounce: 'oz', ounces: 'oz',
+      pound: 'lb', pounds: 'lb', lbs: 'lb',
+      milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+      centiliter: 'cl', centiliters: 'cl', centilitre: 'cl', centilitres: 'cl',
+      deciliter: 'dl', deciliters: 'dl', decilitre: 'dl', decilitres: 'dl',
+      liter: 'l', liters: 'l', litre: 'l', litres: 'l', lt: 'l',
+      teaspoon: 'tsp', teaspoons: 'tsp',
+      tablespoon: 'tbsp', tablespoons: 'tbsp', tbs: 'tbsp',
+      'fl oz': 'fl_oz', floz: 'fl_oz', 'fluid ounce': 'fl_oz', 'fluid ounces': 'fl_oz',
+      cups: 'cup',
+      pints: 'pint', pt: 'pint',
+      quarts: 'quart', qt: 'quart',
+      gallons: 'gallon', gal: 'gallon',
+      unit: 'units', each: 'units', ea: 'units', pc: 'units', pcs: 'units', piece: 'units', pieces: 'units',
+      dz: 'dozen'
+    };
+
+    // Approximate densities in g/ml for common kitchen ingredients
+    this.densities = {
+      water: 1.0,
+      milk: 1.03,
+      cream: 1.01,
+      yogurt: 1.03,
+      buttermilk: 1.03,
+      egg: 1.03,
+      'egg white': 1.04,
+      'egg yolk': 1.03,
+      butter: 0.911,
+      oil: 0.92,
+      'olive oil': 0.91,
+      honey: 1.42,
+      'maple syrup': 1.33,
+      'corn syrup': 1.38,
+      'glucose syrup': 1.43,
+      molasses: 1.4,
+      flour: 0.53,
+      'bread flour': 0.55,
+      'whole wheat flour': 0.51,
+      'rye flour': 0.45,
+      'almond flour': 0.41,
+      cornstarch: 0.54,
+      'corn starch': 0.54,
+      sugar: 0.85,
+      'brown sugar': 0.93,
+      'icing sugar': 0.56,
+      'powdered sugar': 0.56,
+      salt: 1.2,
+      'sea salt': 1.15,
+      'kosher salt': 0.69,
+      'cocoa powder': 0.42,
+      'baking powder': 0.9,
+      'baking soda': 0.92,
+      rice: 0.85,
+      oats: 0.41,
+      'rolled oats': 0.41,
+      vinegar: 1.01,
+      wine: 0.99,
+      stock: 1.0
+    };
+  }
+
+  /**
+   * Normalize a unit string to its canonical key
+   * @param {string} unit - Unit as entered (e.g. "Grams", "tbs", "L")
+   * @returns {string} Canonical unit key
+   */
+  normalizeUnit(unit) {
+    if (typeof unit !== 'string' || unit.trim() === '') {
+      throw new Error('Unit is required');
+    }
+
+    const key = unit.trim().toLowerCase().replace(/\.$/, '');
+    const canonical = Object.hasOwn(this.aliases, key) ? this.aliases[key] : key;
+
+    if (!this.getUnitTable(canonical)) {
+      throw new Error(`Unknown unit: ${unit}`);
+    }
+
+    return canonical;
+  }
+
+  /**
+   * Check if a unit is recognised
+   * @param {string} unit - Unit to check
+   * @returns {boolean} True if the unit can be converted
+   */
+  isKnownUnit(unit) {
+    try {
+      this.normalizeUnit(unit);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the dimension of a unit
+   * @param {string} unit - Unit to inspect
+   * @returns {string} 'weight', 'volume' or 'count'
+   */
+  getUnitType(unit) {
+    const canonical = this.normalizeUnit(unit);
+    if (Object.hasOwn(this.weightUnits, canonical)) return 'weight';
+    if (Object.hasOwn(this.volumeUnits, canonical)) return 'volume';
+    return 'count';
+  }
+
+  /**
+   * Get the conversion table a canonical unit belongs to
+   * @param {string} canonical - Canonical unit key
+   * @returns {Object|null} Conversion table or null if unknown
+   */
+  getUnitTable(canonical) {
+    if (Object.hasOwn(this.weightUnits, canonical)) return this.weightUnits;
+    if (Object.hasOwn(this.volumeUnits, canonical)) return this.volumeUnits;
+    if (Object.hasOwn(this.countUnits, canonical)) return this.countUnits;
+    return null;
+  }
+
+  /**
+   * Look up ingredient density
+   * @param {string|Object} ingredient - Ingredient name or object with name/density
+   * @returns {number|null} Density in g/ml, or null if unknown
+   */
+  getDensity(ingredient) {
+    if (!ingredient) return null;
+
+    if (typeof ingredient === 'object') {
+      if (ingredient.density > 0) return ingredient.density;
+      return this.getDensity(ingredient.name);
+    }
+
+    const name = ingredient.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (Object.hasOwn(this.densities, name)) return this.densities[name];
+
+    // Fall back to the longest table entry the name ends with as whole words
+    // ("caster sugar" → sugar), so "eggplant" or "sugar snap peas" match nothing
+    const match = Object.keys(this.densities)
+      .filter(key => new RegExp(`(^|\\s)${key}(e?s)?$`).test(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.densities[match] : null;
+  }
+
+  /**
+   * Convert a quantity to the base unit of its dimension (g, ml or units)
+   * @param {number} quantity - Quantity to convert
+   * @param {string} unit - Unit of the quantity
+   * @returns {Object} { quantity, unit, type }
+   */
+  toBaseUnit(quantity, unit) {
+    const canonical = this.normalizeUnit(unit);
+    const type = this.getUnitType(canonical);
+    const baseUnits = { weight: 'g', volume: 'ml', count: 'units' };
+
+    return {
+      quantity: quantity * this.getUnitTable(canonical)[canonical],
+      unit: baseUnits[type],
+      type: type
+    };
+  }
+
+  /**
+   * Convert a quantity between units
+   * @param {number} quantity - Quantity to convert
+   * @param {string} fromUnit - Source unit
+   * @param {string} toUnit - Target unit
+   * @param {string|Object} ingredient - Ingredient name or object (needed across dimensions)
+   * @returns {number} Converted quantity
+   */
+  convert(quantity, fromUnit, toUnit, ingredient = null) {
+    const from = this.toBaseUnit(quantity, fromUnit);
+    const target = this.normalizeUnit(toUnit);
+    const targetType = this.getUnitType(target);
+    const targetFactor = this.getUnitTable(target)[target];
+
+    if (from.type === targetType) {
+      return from.quantity / targetFactor;
+    }
+
+    const grams = this.toGrams(from, ingredient, fromUnit);
+    const name = this.getIngredientName(ingredient);
+
+    if (targetType === 'weight') {
+      return grams / targetFactor;
+    }
+
+    if (targetType === 'volume') {
+      const density = this.getDensity(ingredient);
+      if (!density) {
+        throw new Error(`Cannot convert ${fromUnit} to ${toUnit}: no density known for "${name}"`);
+      }
+      return grams / density / targetFactor;
+    }
+
+    const unitWeight = ingredient?.unitWeight;
+    if (!(unitWeight > 0)) {
+      throw new Error(`Cannot convert ${fromUnit} to ${toUnit}: no unit weight known for "${name}"`);
+    }
+    return grams / unitWeight / targetFactor;
+  }
+
+  /**
+   * Express a base quantity in grams
+   * @param {Object} base - Result of toBaseUnit
+   * @param {string|Object} ingredient - Ingredient name or object
+   * @param {string} fromUnit - Original unit (for error messages)
+   * @returns {number} Weight in grams
+   */
+  toGrams(base, ingredient, fromUnit) {
+    const name = this.getIngredientName(ingredient);
+
+    if (base.type === 'weight') {
+      return base.quantity;
+    }
+
+    if (base.type === 'volume') {
+      const density = this.getDensity(ingredient);
+      if (!density) {
+        throw new Error(`Cannot convert ${fromUnit} to weight: no density known for "${name}"`);
+      }
+      return base.quantity * density;
+    }
+
+    const unitWeight = ingredient?.unitWeight;
+    if (!(unitWeight > 0)) {
+      throw new Error(`Cannot convert ${fromUnit} to weight: no unit weight known for "${name}"`);
+    }
+    return base.quantity * unitWeight;
+  }
+
+  /**
+   * Check if two units can be reconciled for an ingredient
+   * @param {string} fromUnit - Source unit
+   * @param {string} toUnit - Target unit
+   * @param {string|Object} ingredient - Ingredient name or object
+   * @returns {boolean} True if conversion is possible
+   */
+  canConvert(fromUnit, toUnit, ingredient = null) {
+    try {
+      this.convert(1, fromUnit, toUnit, ingredient);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Convert a unit price (e.g. €/kg) into a price for another unit (e.g. €/cup)
+   * @param {number} price - Price per fromUnit
+   * @param {string} fromUnit - Unit the price refers to
+   * @param {string} toUnit - Unit to express the price in
+   * @param {string|Object} ingredient - Ingredient name or object
+   * @returns {number} Price per toUnit
+   */
+  convertPrice(price, fromUnit, toUnit, ingredient = null) {
+    const fromUnitsPerTarget = this.convert(1, toUnit, fromUnit, ingredient);
+    return price * fromUnitsPerTarget;
+  }
+
+  /**
+   * Get display name for an ingredient argument
+   * @param {string|Object} ingredient - Ingredient name or object
+   * @returns {string} Ingredient name
+   */
+  getIngredientName(ingredient) {
+    if (!ingredient) return 'unknown ingredient';
+    return typeof ingredient === 'object' ? ingredient.name || 'unknown ingredient' : ingredient;
+  }
+}
+
+// Export as default for compatibility
+export default UnitConverter;
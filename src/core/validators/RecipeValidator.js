@@ -1,4 +1,6 @@
 import Joi from "joi";
+import { ALLERGENS } from "../../config/constants.js";
+import { DELIVERY_DAYS } from "../../config/purchasing.js";
 
 /**
  * Recipe Validator
@@ -11,9 +13,24 @@ export class RecipeValidator {
       name: Joi.string().min(1).max(100).required(),
       quantity: Joi.number().positive().required(),
       unit: Joi.string().min(1).max(20).required(),
-      unitPrice: Joi.number().min(0).required(),
+      unitPrice: Joi.number().min(0),
       yieldPercentage: Joi.number().min(0).max(100).default(100),
-    });
+      // Purchase data: unitPrice per purchaseUnit, or packPrice for packCount × packSize packUnit
+      purchaseUnit: Joi.string().min(1).max(20).optional(),
+      packPrice: Joi.number().min(0).optional(),
+      packSize: Joi.number().positive().optional(),
+      packUnit: Joi.string().min(1).max(20).optional(),
+      packCount: Joi.number().integer().min(1).default(1),
+      density: Joi.number().positive().optional(),
+      unitWeight: Joi.number().positive().optional(),
+      // Sub-recipe (prep item) reference, costed per yield unit
+      recipeRef: Joi.string().min(1).max(200).optional(),
+      // Ingredient catalogue reference, priced at calculation time
+      ingredientId: Joi.string().min(1).max(200).optional(),
+      priceOverride: Joi.number().min(0).optional(),
+    })
+      .or("unitPrice", "packPrice", "recipeRef", "ingredientId")
+      .with("packPrice", ["packSize", "packUnit"]);
 
     this.recipeSchema = Joi.object({
       name: Joi.string().min(3).max(100).required(),
@@ -30,6 +47,11 @@ export class RecipeValidator {
         )
         .default("Other"),
       portions: Joi.number().integer().min(1).max(10000).required(),
+      yieldQuantity: Joi.number().positive().optional(),
+      yieldUnit: Joi.string().min(1).max(20).when("yieldQuantity", {
+        is: Joi.exist(),
+        then: Joi.required(),
+      }),
       ingredients: Joi.array().items(this.ingredientSchema).min(1).required(),
       spiceFactor: Joi.number().min(0).max(0.1).default(0.02),
       qFactor: Joi.number().min(0).max(0.1).default(0.03),
@@ -42,6 +64,62 @@ export class RecipeValidator {
       updatedAt: Joi.date().iso().optional(),
     });
 
+    this.catalogueItemSchema = Joi.object({
+      id: Joi.string().min(1).max(200).optional(),
+      name: Joi.string().min(1).max(100).required(),
+      category: Joi.string().max(50).default("Other"),
+      unit: Joi.string().min(1).max(20).required(),
+      unitPrice: Joi.number().min(0).required(),
+      packPrice: Joi.number().min(0).optional(),
+      packSize: Joi.number().positive().optional(),
+      packUnit: Joi.string().min(1).max(20).optional(),
+      packCount: Joi.number().integer().min(1).optional(),
+      defaultYield: Joi.number().min(0).max(100).default(100),
+      density: Joi.number().positive().optional(),
+      unitWeight: Joi.number().positive().optional(),
+      allergens: Joi.array()
+        .items(Joi.string().valid(...ALLERGENS))
+        .unique()
+        .default([]),
+      supplier: Joi.string().allow("").optional(),
+      supplierCode: Joi.string().allow("").optional(),
+      storageArea: Joi.string().allow("").max(50).optional(),
+    })
+      .with("packPrice", ["packSize", "packUnit"])
+      .unknown(true);
+
+    // A product a supplier carries: packs of packSize in the item's stock unit
+    this.supplierProductSchema = Joi.object({
+      ingredientId: Joi.string().min(1).max(200).required(),
+      supplierCode: Joi.string().allow("").max(50).optional(),
+      packSize: Joi.number().positive().default(1),
+      packPrice: Joi.number().min(0).required(),
+      preferred: Joi.boolean().default(false),
+    });
+
+    this.supplierSchema = Joi.object({
+      id: Joi.string().min(1).max(200).optional(),
+      name: Joi.string().min(1).max(100).required(),
+      contactName: Joi.string().allow("").max(100).optional(),
+      phone: Joi.string().allow("").max(50).optional(),
+      email: Joi.string().allow("").email({ tlds: false }).optional(),
+      address: Joi.string().allow("").max(300).optional(),
+      accountNumber: Joi.string().allow("").max(50).optional(),
+      deliveryDays: Joi.array()
+        .items(Joi.string().valid(...DELIVERY_DAYS))
+        .unique()
+        .default([]),
+      leadTimeDays: Joi.number().integer().min(0).max(365).default(1),
+      minimumOrderValue: Joi.number().min(0).default(0),
+      products: Joi.array()
+        .items(this.supplierProductSchema)
+        .unique("ingredientId")
+        .default([]),
+      notes: Joi.string().allow("").max(1000).optional(),
+      createdAt: Joi.date().iso().optional(),
+      updatedAt: Joi.date().iso().optional(),
+    });
+
     this.bakersFormulaSchema = Joi.object({
       name: Joi.string().min(1).max(100).required(),
       ingredients: Joi.array()
@@ -127,6 +205,63 @@ export class RecipeValidator {
     };
   }
 
+  /**
+   * Validate an ingredient catalogue item
+   * @param {Object} item - Catalogue item to validate
+   * @returns {Object} Validation result
+   */
+  validateCatalogueItem(item) {
+    const result = this.catalogueItemSchema.validate(item, {
+      abortEarly: false,
+    });
+
+    if (result.error) {
+      return {
+        isValid: false,
+        errors: result.error.details.map((detail) => ({
+          field: detail.path.join("."),
+          message: detail.message,
+        })),
+        value: null,
+      };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      value: result.value,
+    };
+  }
+
+  /**
+   * Validate a supplier
+   * @param {Object} supplier - Supplier to validate
+   * @returns {Object} Validation result
+   */
+  validateSupplier(supplier) {
+    const result = this.supplierSchema.validate(supplier, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (result.error) {
+      return {
+        isValid: false,
+        errors: result.error.details.map((detail) => ({
+          field: detail.path.join("."),
+          message: detail.message,
+        })),
+        value: null,
+      };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      value: result.value,
+    };
+  }
+
   /**
    * Validate baker's formula
    * @param {Object} formula - Formula object to validate
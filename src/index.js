@@ -6,14 +6,15 @@
  * @version 1.0.0
  */
 
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname } from 'path';
+import { realpathSync } from 'fs';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
-import { MainMenu } from './menus/MainMenu.js';
-import { displayWelcome, displayGoodbye, displayError } from './utils/display.js';
+import { displayWelcome, displayGoodbye, displayError, displayQuarantineNotices } from './utils/display.js';
 import DataService from './services/DataService.js';
+import { runCli } from './cli/index.js';
 
 // Setup __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -24,7 +25,8 @@ const __dirname = dirname(__filename);
  */
 class FoodSystemApp {
   constructor() {
-    this.mainMenu = new MainMenu();
+    // Loaded by run(), so subcommands never load the interactive menus
+    this.mainMenu = null;
     this.isRunning = true;
     this.config = {
       version: '1.0.0',
@@ -42,6 +44,9 @@ class FoodSystemApp {
     try {
       // Initialize data directories
       await DataService.initializeDirectories();
+
+      // Open the configured storage backend and set aside corrupted records
+      const quarantined = await DataService.checkData();
       
       // Load configuration
       await this.loadConfiguration();
@@ -52,6 +57,7 @@ class FoodSystemApp {
       }
       
       spinner.succeed('Application initialized successfully');
+      displayQuarantineNotices(quarantined);
       return true;
     } catch (error) {
       spinner.fail('Initialization failed');
@@ -93,6 +99,11 @@ class FoodSystemApp {
       process.exit(1);
     }
 
+    if (!this.mainMenu) {
+      const { MainMenu } = await import('./menus/MainMenu.js');
+      this.mainMenu = new MainMenu();
+    }
+
     // Main application loop
     while (this.isRunning) {
       try {
@@ -141,6 +152,7 @@ class FoodSystemApp {
     try {
       // Save any pending data
       // Perform cleanup operations
+      await DataService.closeStorage();
       spinner.succeed('Data saved successfully');
     } catch (error) {
       spinner.fail('Failed to save some data');
@@ -211,9 +223,18 @@ async function main() {
   }
 }
 
-// Check if running directly (not imported)
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+// Check if running directly (not imported); the bin may be a symlink
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  const args = process.argv.slice(2);
+
+  if (args.length > 0) {
+    // Subcommands run non-interactively (scripts, cron, pipelines)
+    runCli(args).then((exitCode) => {
+      process.exitCode = exitCode;
+    });
+  } else {
+    main();
+  }
 }
 
 // Export for testing
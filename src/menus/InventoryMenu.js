@@ -0,0 +1,3034 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { table } from 'table';
+import ora from 'ora';
+import DataService from '../services/DataService.js';
+import { InventoryService } from '../services/InventoryService.js';
+import { PurchaseOrderService } from '../services/PurchaseOrderService.js';
+import { ParLevelService } from '../services/ParLevelService.js';
+import { SupplierService } from '../services/SupplierService.js';
+import { WasteService } from '../services/WasteService.js';
+import { ReportService } from '../services/ReportService.js';
+import { RecipeValidator } from '../core/validators/RecipeValidator.js';
+import { ALLERGENS, STOCK_MOVEMENT_TYPES, STORAGE_AREAS } from '../config/constants.js';
+import { COSTING_METHODS, INVENTORY_CONFIG, PAR_SOURCES, WASTE_REASONS, SHIFTS } from '../config/inventory.js';
+import { DELIVERY_DAYS, PURCHASE_ORDER_STATUSES, PURCHASING_CONFIG, SUPPLIER_CHOICES } from '../config/purchasing.js';
+import { LOCATIONS, DEFAULT_LOCATION } from '../config/locations.js';
+import { clearScreen, displayTitle, displaySuccess, displayWarning, displayError, displayQuarantineNotices } from '../utils/display.js';
+import { formatCurrency, formatDate, formatWeight, formatPercentage } from '../utils/format.js';
+
+/**
+ * Inventory Management Menu
+ * Handles stock control, ordering, and inventory valuation
+ */
+export class InventoryMenu {
+  constructor() {
+    this.dataService = DataService;
+    this.inventoryService = new InventoryService(DataService);
+    this.purchaseOrderService = new PurchaseOrderService(DataService, this.inventoryService);
+    this.supplierService = this.purchaseOrderService.supplierService;
+    this.parLevelService = new ParLevelService(DataService, this.inventoryService, this.supplierService);
+    this.wasteService = new WasteService(DataService, this.inventoryService);
+    this.reportService = new ReportService();
+    this.validator = new RecipeValidator();
+    this.currentInventory = [];
+    this.user = null;
+    this.location = null;
+    this.station = '';
+  }
+
+  /**
+   * Show inventory menu
+   */
+  async show() {
+    let continueMenu = true;
+
+    while (continueMenu) {
+      clearScreen();
+      displayTitle('INVENTORY MANAGEMENT');
+      if (Object.keys(LOCATIONS).length > 1) {
+        console.log(chalk.gray(`Location: ${this.locationLabel(this.location)}\n`));
+      }
+
+      const { choice } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'choice',
+          message: 'Select an option:',
+          choices: [
+            { name: '1. 📦 View Current Stock', value: 'view' },
+            { name: '2. ➕ Add Stock Item', value: 'add' },
+            { name: '3. ✏️  Update Stock Levels', value: 'update' },
+            { name: '4. 🔍 Search Inventory', value: 'search' },
+            { name: '5. 📊 Stock Valuation', value: 'valuation' },
+            { name: '6. ⚠️  Low Stock Alert', value: 'lowstock' },
+            { name: '7. 📅 Expiry Management', value: 'expiry' },
+            { name: '8. 📈 Usage Analysis', value: 'usage' },
+            { name: '9. 🛒 Generate Order List', value: 'order' },
+            { name: '10. 💾 Import/Export', value: 'importexport' },
+            { name: '11. 🍳 Record Production / Sales', value: 'depletion' },
+            { name: '12. 📒 Stock Movements', value: 'movements' },
+            { name: '13. 📋 Stock Take', value: 'stocktake' },
+            { name: '14. 🧾 Purchase Orders', value: 'purchaseorders' },
+            { name: '15. 🚚 Suppliers', value: 'suppliers' },
+            { name: '16. 🎯 Par Levels', value: 'pars' },
+            { name: '17. 📍 Switch Location', value: 'location' },
+            { name: '18. 🔁 Transfer Stock', value: 'transfer' },
+            { name: '19. 🗑️  Log Waste', value: 'waste' },
+            new inquirer.Separator(),
+            { name: '0. ↩️  Back to Main Menu', value: 'back' }
+          ],
+          pageSize: 22
+        }
+      ]);
+
+      switch (choice) {
+        case 'view':
+          await this.viewCurrentStock();
+          break;
+        case 'add':
+          await this.addStockItem();
+          break;
+        case 'update':
+          await this.updateStockLevels();
+          break;
+        case 'search':
+          await this.searchInventory();
+          break;
+        case 'valuation':
+          await this.stockValuation();
+          break;
+        case 'lowstock':
+          await this.lowStockAlert();
+          break;
+        case 'expiry':
+          await this.expiryManagement();
+          break;
+        case 'usage':
+          await this.usageAnalysis();
+          break;
+        case 'order':
+          await this.generateOrderList();
+          break;
+        case 'importexport':
+          await this.importExportData();
+          break;
+        case 'depletion':
+          await this.recordDepletion();
+          break;
+        case 'movements':
+          await this.viewMovements();
+          break;
+        case 'stocktake':
+          await this.stockTake();
+          break;
+        case 'purchaseorders':
+          await this.purchaseOrders();
+          break;
+        case 'suppliers':
+          await this.suppliers();
+          break;
+        case 'pars':
+          await this.parLevels();
+          break;
+        case 'location':
+          await this.chooseLocation();
+          break;
+        case 'transfer':
+          await this.transferStock();
+          break;
+        case 'waste':
+          await this.logWaste();
+          break;
+        case 'back':
+          continueMenu = false;
+          break;
+      }
+    }
+  }
+
+  /**
+   * View current stock
+   */
+  async viewCurrentStock() {
+    console.log(chalk.cyan(`\n📦 Current Stock Inventory${this.locationSuffix(this.location)}\n`));
+
+    const spinner = ora('Loading inventory...').start();
+    
+    try {
+      this.currentInventory = this.inventoryService.inventoryAt(await this.dataService.loadIngredients(), this.location);
+      spinner.succeed('Inventory loaded');
+      displayQuarantineNotices(await this.dataService.takeQuarantineNotices());
+
+      if (this.currentInventory.length === 0) {
+        displayWarning('No items in inventory');
+        await this.waitForKeypress();
+        return;
+      }
+
+      // Group by category
+      const categories = this.groupByCategory(this.currentInventory);
+
+      // Display each category
+      for (const [category, items] of Object.entries(categories)) {
+        console.log(chalk.yellow(`\n📂 ${category}`));
+        
+        const data = [
+          ['Item', 'Quantity', 'Unit', 'Price/Unit', 'Total Value', 'Status']
+        ];
+
+        items.forEach(item => {
+          const totalValue = item.quantity * item.unitPrice;
+          const status = this.getStockStatus(item);
+          
+          data.push([
+            item.name,
+            item.quantity.toFixed(2),
+            item.unit,
+            formatCurrency(item.unitPrice),
+            formatCurrency(totalValue),
+            status
+          ]);
+        });
+
+        console.log(table(data));
+      }
+
+      // Display summary
+      this.displayInventorySummary((await this.inventoryService.getExpiring(7, this.location)).length);
+
+    } catch (error) {
+      spinner.fail('Failed to load inventory');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Add new stock item
+   */
+  async addStockItem() {
+    console.log(chalk.cyan('\n➕ Add New Stock Item\n'));
+
+    const itemInfo = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Item name:',
+        validate: input => input.length > 0 || 'Name is required'
+      },
+      {
+        type: 'list',
+        name: 'category',
+        message: 'Category:',
+        choices: [
+          'Proteins',
+          'Vegetables',
+          'Fruits',
+          'Dairy',
+          'Dry Goods',
+          'Spices',
+          'Beverages',
+          'Other'
+        ]
+      },
+      {
+        type: 'list',
+        name: 'storageArea',
+        message: 'Storage area:',
+        choices: STORAGE_AREAS
+      },
+      {
+        type: 'number',
+        name: 'quantity',
+        message: 'Initial quantity:',
+        default: 0,
+        validate: input => input >= 0 || 'Quantity must be positive'
+      },
+      {
+        type: 'list',
+        name: 'unit',
+        message: 'Unit:',
+        choices: ['kg', 'g', 'l', 'ml', 'units', 'dozen', 'case']
+      },
+      {
+        type: 'number',
+        name: 'unitPrice',
+        message: 'Price per unit (€):',
+        validate: input => input >= 0 || 'Price must be positive'
+      },
+      {
+        type: 'number',
+        name: 'parLevel',
+        message: 'Par level (minimum stock):',
+        default: 10,
+        validate: input => input >= 0
+      },
+      {
+        type: 'number',
+        name: 'maxLevel',
+        message: 'Maximum stock level:',
+        default: 100,
+        validate: input => input >= 0
+      },
+      {
+        type: 'number',
+        name: 'defaultYield',
+        message: 'Default yield percentage (100 if no trim):',
+        default: 100,
+        validate: input => (input > 0 && input <= 100) || 'Must be between 0 and 100'
+      },
+      {
+        type: 'number',
+        name: 'density',
+        message: 'Density in g/ml (0 if unknown):',
+        default: 0,
+        validate: input => input >= 0 || 'Density cannot be negative'
+      },
+      {
+        type: 'checkbox',
+        name: 'allergens',
+        message: 'Allergens:',
+        choices: ALLERGENS
+      },
+      {
+        type: 'input',
+        name: 'supplier',
+        message: 'Supplier name:',
+        default: ''
+      },
+      {
+        type: 'input',
+        name: 'supplierCode',
+        message: 'Supplier code:',
+        default: ''
+      },
+      {
+        type: 'confirm',
+        name: 'hasExpiry',
+        message: 'Does this item have an expiry date?',
+        default: false
+      }
+    ]);
+
+    // Add expiry date if applicable
+    if (itemInfo.hasExpiry) {
+      const { expiryDate } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'expiryDate',
+          message: 'Expiry date (YYYY-MM-DD):',
+          validate: input => {
+            const date = new Date(input);
+            return !isNaN(date.getTime()) || 'Invalid date format';
+          }
+        }
+      ]);
+      itemInfo.expiryDate = expiryDate;
+    }
+
+    delete itemInfo.hasExpiry;
+    if (!itemInfo.density) {
+      delete itemInfo.density;
+    }
+
+    // Add timestamps
+    itemInfo.createdAt = new Date().toISOString();
+    itemInfo.updatedAt = itemInfo.createdAt;
+
+    const validation = this.validator.validateCatalogueItem(itemInfo);
+    if (!validation.isValid) {
+      validation.errors.forEach(error => displayError(`${error.field}: ${error.message}`));
+      await this.waitForKeypress();
+      return;
+    }
+
+    try {
+      await this.dataService.saveIngredient(validation.value);
+      await this.dataService.recordPriceChange(validation.value.id, {
+        unitPrice: validation.value.unitPrice,
+        supplier: validation.value.supplier,
+        note: 'Initial price'
+      });
+      displaySuccess(`Item "${itemInfo.name}" added to inventory (ID: ${validation.value.id})`);
+    } catch (error) {
+      displayError(`Failed to add item: ${error.message}`);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Update stock levels
+   */
+  async updateStockLevels() {
+    console.log(chalk.cyan('\n✏️  Update Stock Levels\n'));
+
+    try {
+      const catalogue = await this.dataService.loadIngredients();
+      
+      if (catalogue.length === 0) {
+        displayWarning('No items in inventory');
+        await this.waitForKeypress();
+        return;
+      }
+
+      // Stock is counted, received and removed at one location
+      const location = await this.pickLocation('Update stock at:');
+      const inventory = catalogue.map(item => this.inventoryService.stockAt(item, location));
+
+      // Select item to update
+      const { itemName } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'itemName',
+          message: 'Select item to update:',
+          choices: inventory.map(item => ({
+            name: `${item.name} (Current: ${item.quantity} ${item.unit})`,
+            value: item.name
+          }))
+        }
+      ]);
+
+      const item = inventory.find(i => i.name === itemName);
+      // Catalogue fields to change; saved at the end under the item's lock
+      const changes = {};
+
+      // Update options
+      const { updateType } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'updateType',
+          message: 'Update type:',
+          choices: [
+            { name: 'Set new quantity', value: 'set' },
+            { name: 'Add to stock', value: 'add' },
+            { name: 'Remove from stock', value: 'remove' },
+            { name: 'Update price', value: 'price' },
+            { name: 'Update par levels', value: 'par' },
+            { name: 'Move to another storage area', value: 'area' }
+          ]
+        }
+      ]);
+
+      // Stock changes are posted to the movement ledger
+      const user = ['set', 'add', 'remove'].includes(updateType) ? await this.getUser() : null;
+      let posted = null;
+      let settings = false;
+
+      switch (updateType) {
+        case 'set':
+          const counted = await inquirer.prompt([
+            {
+              type: 'number',
+              name: 'newQuantity',
+              message: 'Counted quantity:',
+              default: item.quantity,
+              validate: input => input >= 0
+            },
+            {
+              type: 'input',
+              name: 'reason',
+              message: 'Reason:',
+              default: 'Stock count'
+            }
+          ]);
+          posted = await this.inventoryService.setStockLevel(item.id, counted.newQuantity, {
+            location,
+            user,
+            reason: counted.reason
+          });
+          break;
+
+        case 'add':
+          const receipt = await inquirer.prompt([
+            {
+              type: 'number',
+              name: 'quantity',
+              message: 'Quantity received:',
+              validate: input => input > 0
+            },
+            {
+              type: 'number',
+              name: 'unitCost',
+              message: `Cost per ${item.unit} (€):`,
+              default: item.unitPrice,
+              validate: input => input >= 0
+            },
+            {
+              type: 'input',
+              name: 'supplier',
+              message: 'Supplier:',
+              default: item.supplier || ''
+            },
+            {
+              type: 'input',
+              name: 'lotNumber',
+              message: 'Supplier lot / batch number (optional):',
+              default: ''
+            },
+            {
+              type: 'input',
+              name: 'expiryDate',
+              message: 'Expiry date of this lot (YYYY-MM-DD, blank for none):',
+              default: '',
+              validate: input => !input || !isNaN(new Date(input).getTime()) || 'Invalid date format'
+            },
+            {
+              type: 'input',
+              name: 'reason',
+              message: 'Delivery note / reason:',
+              default: answers => answers.supplier ? `Delivery from ${answers.supplier}` : 'Delivery'
+            }
+          ]);
+          posted = await this.inventoryService.recordMovement({
+            ingredientId: item.id,
+            type: 'receipt',
+            quantity: receipt.quantity,
+            unitCost: receipt.unitCost,
+            location,
+            reason: receipt.reason,
+            supplier: receipt.supplier || undefined,
+            lotNumber: receipt.lotNumber || undefined,
+            expiryDate: receipt.expiryDate || undefined,
+            user
+          });
+          break;
+
+        case 'remove':
+          const openLots = (await this.inventoryService.getLots(INVENTORY_CONFIG.costingMethod, location))
+            .filter(lot => lot.id === item.id);
+          const removal = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'type',
+              message: 'Why is stock leaving? (move stock between locations with Transfer Stock)',
+              choices: ['waste', 'staff-meal', 'production'].map(type => ({
+                name: STOCK_MOVEMENT_TYPES[type].label,
+                value: type
+              }))
+            },
+            {
+              type: 'number',
+              name: 'quantity',
+              message: 'Quantity to remove:',
+              validate: input => input > 0 && input <= item.quantity
+            },
+            {
+              type: 'list',
+              name: 'lot',
+              message: 'Take it from lot:',
+              choices: [
+                { name: 'First to expire (suggested)', value: null },
+                ...openLots.map(lot => ({
+                  name: `${this.lotLabel(lot)} - ${lot.quantity} ${item.unit}${lot.expiryDate ? `, expires ${formatDate(lot.expiryDate)}` : ''}`,
+                  value: lot.movementId
+                }))
+              ],
+              when: () => openLots.length > 1
+            },
+            {
+              type: 'input',
+              name: 'reason',
+              message: 'Reason:',
+              default: ''
+            }
+          ]);
+          posted = await this.inventoryService.recordMovement({
+            ingredientId: item.id,
+            type: removal.type,
+            quantity: removal.quantity,
+            location,
+            reason: removal.reason,
+            lot: removal.lot || undefined,
+            user
+          });
+          break;
+
+        case 'price':
+          const priceChange = await inquirer.prompt([
+            {
+              type: 'number',
+              name: 'newPrice',
+              message: 'New price per unit:',
+              default: item.unitPrice,
+              validate: input => input >= 0
+            },
+            {
+              type: 'input',
+              name: 'effectiveDate',
+              message: 'Effective date (YYYY-MM-DD):',
+              default: new Date().toISOString().split('T')[0],
+              validate: input => !isNaN(new Date(input).getTime()) || 'Invalid date format'
+            },
+            {
+              type: 'input',
+              name: 'supplier',
+              message: 'Supplier:',
+              default: item.supplier || ''
+            },
+            {
+              type: 'input',
+              name: 'note',
+              message: 'Note (optional):',
+              default: ''
+            }
+          ]);
+          await this.dataService.recordPriceChange(item.id, {
+            unitPrice: priceChange.newPrice,
+            previousUnitPrice: item.unitPrice,
+            supplier: priceChange.supplier,
+            effectiveDate: priceChange.effectiveDate,
+            note: priceChange.note || undefined
+          });
+          changes.unitPrice = priceChange.newPrice;
+          break;
+
+        case 'par':
+          const parLevels = await inquirer.prompt([
+            {
+              type: 'number',
+              name: 'parLevel',
+              message: 'New par level:',
+              default: item.parLevel,
+              validate: input => input >= 0
+            },
+            {
+              type: 'number',
+              name: 'maxLevel',
+              message: 'New max level:',
+              default: item.maxLevel,
+              validate: input => input >= 0
+            }
+          ]);
+          if (this.location) {
+            // Working at one location: its own levels, over the item's
+            await this.inventoryService.setLocationSettings(item.id, location, parLevels);
+            settings = true;
+            break;
+          }
+          changes.parLevel = parLevels.parLevel;
+          changes.maxLevel = parLevels.maxLevel;
+          // Accepting forecast suggestions leaves levels set by hand alone
+          changes.parSource = 'manual';
+          changes.parUpdatedAt = new Date().toISOString();
+          break;
+
+        case 'area':
+          const { storageArea } = await inquirer.prompt([
+            {
+              type: 'list',
+              name: 'storageArea',
+              message: 'Storage area:',
+              choices: STORAGE_AREAS,
+              default: item.storageArea
+            }
+          ]);
+          if (this.location) {
+            await this.inventoryService.setLocationSettings(item.id, location, { storageArea });
+            settings = true;
+            break;
+          }
+          changes.storageArea = storageArea;
+          break;
+      }
+
+      if (posted) {
+        const onHand = this.inventoryService.stockAt(posted.item, location).quantity;
+        displaySuccess(posted.movement
+          ? `${item.name}: ${STOCK_MOVEMENT_TYPES[posted.movement.type].label.toLowerCase()} recorded, now ${onHand} ${item.unit} on hand${this.locationSuffix(location)}`
+          : `${item.name}: quantity unchanged`);
+      } else if (settings) {
+        displaySuccess(`${item.name} updated at ${this.locationLabel(location)}`);
+      } else {
+        // Apply the changes to the stored item, not the copy read before the prompts
+        await this.dataService.updateIngredient(item.id, current =>
+          Object.assign(current, changes, { updatedAt: new Date().toISOString() })
+        );
+        displaySuccess(`Item "${item.name}" updated successfully`);
+      }
+
+    } catch (error) {
+      displayError(`Failed to update: ${error.message}`);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Search inventory
+   */
+  async searchInventory() {
+    console.log(chalk.cyan('\n🔍 Search Inventory\n'));
+
+    const { searchTerm } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'searchTerm',
+        message: 'Search for:',
+        validate: input => input.length > 0 || 'Please enter a search term'
+      }
+    ]);
+
+    const spinner = ora('Searching...').start();
+
+    try {
+      const inventory = await this.dataService.loadIngredients();
+      const results = inventory.filter(item => 
+        item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        item.category.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        (item.supplier && item.supplier.toLowerCase().includes(searchTerm.toLowerCase()))
+      );
+
+      spinner.succeed(`Found ${results.length} items`);
+
+      if (results.length === 0) {
+        displayWarning('No items found');
+      } else {
+        const data = [
+          ['Item', 'Category', 'Quantity', 'Unit', 'Value', 'Supplier']
+        ];
+
+        results.forEach(item => {
+          data.push([
+            item.name,
+            item.category,
+            item.quantity.toFixed(2),
+            item.unit,
+            formatCurrency(item.quantity * item.unitPrice),
+            item.supplier || '-'
+          ]);
+        });
+
+        console.log(table(data));
+      }
+
+    } catch (error) {
+      spinner.fail('Search failed');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Stock valuation report
+   */
+  async stockValuation() {
+    console.log(chalk.cyan('\n📊 Stock Valuation Report\n'));
+
+    const method = await this.chooseCostingMethod();
+    const spinner = ora('Calculating valuation...').start();
+
+    try {
+      const { inventory, ledger, costs, location } = await this.inventoryService.getValuation(method, this.location);
+      const report = this.reportService.generateInventoryValuation(inventory, ledger, costs, location);
+      spinner.succeed('Valuation calculated');
+
+      if (inventory.length === 0) {
+        displayWarning('No items to value');
+        await this.waitForKeypress();
+        return;
+      }
+
+      // Calculate totals by category
+      const categoryTotals = {};
+      let grandTotal = 0;
+
+      report.items.forEach(item => {
+        const category = item.category;
+        
+        if (!categoryTotals[category]) {
+          categoryTotals[category] = {
+            count: 0,
+            value: 0
+          };
+        }
+        
+        categoryTotals[category].count++;
+        categoryTotals[category].value += item.value;
+        grandTotal += item.value;
+      });
+
+      // Display valuation
+      console.log(chalk.green(`\n💰 Inventory Valuation${this.locationSuffix(location)} (${COSTING_METHODS[method].label})\n`));
+
+      const data = [
+        ['Category', 'Items', 'Value', '% of Total']
+      ];
+
+      Object.entries(categoryTotals)
+        .sort((a, b) => b[1].value - a[1].value)
+        .forEach(([category, totals]) => {
+          const percentage = (totals.value / grandTotal) * 100;
+          data.push([
+            category,
+            totals.count,
+            formatCurrency(totals.value),
+            formatPercentage(percentage, 1)
+          ]);
+        });
+
+      data.push(['', '', '', '']);
+      data.push([
+        chalk.bold('TOTAL'),
+        chalk.bold(inventory.length),
+        chalk.bold(formatCurrency(grandTotal)),
+        chalk.bold('100.0%')
+      ]);
+
+      console.log(table(data));
+
+      // Consolidated stock broken down by location
+      if (Object.keys(report.locations).length > 1) {
+        console.log(chalk.yellow('🏠 By Location:'));
+        Object.values(report.locations).forEach(held => {
+          console.log(`  ${held.label}: ${held.count} items, ${held.value}`);
+        });
+      }
+
+      // Top value items
+      console.log(chalk.yellow('\n📈 Top 5 Value Items:'));
+      [...report.items]
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 5)
+        .forEach((item, index) => {
+          console.log(`  ${index + 1}. ${item.name}: ${formatCurrency(item.value)}`);
+        });
+
+      const { trace } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'trace',
+          message: 'Show the stock movements behind each quantity?',
+          default: false
+        }
+      ]);
+      if (trace) {
+        this.showValuationTrace(report);
+      }
+
+      const { showCogs } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'showCogs',
+          message: 'Show the cost of goods consumed over a period?',
+          default: false
+        }
+      ]);
+      if (showCogs) {
+        await this.showCostOfGoods(method);
+      }
+
+    } catch (error) {
+      spinner.fail('Valuation failed');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Helper: Show the movements behind each valued quantity
+   * @param {Object} report - Inventory valuation report
+   */
+  showValuationTrace(report) {
+    const sum = (byType, types) => types.reduce((total, type) => total + (byType[type] || 0), 0);
+    const show = value => (value ? value.toFixed(2) : '-');
+
+    const data = [['Item', 'Opening', 'Received', 'Used', 'Waste', 'Staff Meals', 'Transfers', 'Adjusted', 'On Hand', 'Lots', 'Unit Cost', 'Value']];
+    report.items.forEach(item => {
+      data.push([
+        item.name,
+        show(sum(item.byType, ['opening'])),
+        show(sum(item.byType, ['receipt'])),
+        show(sum(item.byType, ['production', 'sale'])),
+        show(sum(item.byType, ['waste'])),
+        show(sum(item.byType, ['staff-meal'])),
+        show(sum(item.byType, ['transfer'])),
+        show(sum(item.byType, ['adjustment'])),
+        `${(item.quantity || 0).toFixed(2)} ${item.unit}`,
+        item.lots,
+        formatCurrency(item.unitCost),
+        formatCurrency(item.value)
+      ]);
+    });
+    console.log(table(data));
+
+    report.untraced.forEach(item =>
+      displayWarning(`${item.name}: ${item.quantity} on hand but movements add up to ${item.ledgerBalance}`)
+    );
+  }
+
+  /**
+   * Helper: Show the cost of goods consumed over a period
+   * @param {string} method - Costing method
+   */
+  async showCostOfGoods(method) {
+    const today = new Date().toISOString().split('T')[0];
+    const period = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'from',
+        message: 'From (YYYY-MM-DD):',
+        default: `${today.slice(0, 8)}01`,
+        validate: input => !isNaN(new Date(input).getTime()) || 'Invalid date format'
+      },
+      {
+        type: 'input',
+        name: 'to',
+        message: 'To (YYYY-MM-DD):',
+        default: today,
+        validate: input => !isNaN(new Date(input).getTime()) || 'Invalid date format'
+      }
+    ]);
+
+    const report = await this.inventoryService.getCostOfGoods({ ...period, method, location: this.location });
+    console.log(chalk.cyan(`\n🧾 Cost of Goods Consumed${this.locationSuffix(report.location)} ${formatDate(report.from)} - ${formatDate(report.to)} (${COSTING_METHODS[method].label})\n`));
+
+    const data = [['Item', 'Opening', 'Purchases', 'Transfers', 'Closing', 'Cost of Goods']];
+    report.items.forEach(item => {
+      data.push([
+        item.name,
+        formatCurrency(item.beginningInventory),
+        formatCurrency(item.purchases),
+        formatCurrency(item.transfers),
+        formatCurrency(item.endingInventory),
+        formatCurrency(item.cogs)
+      ]);
+    });
+    data.push([
+      chalk.bold('TOTAL'),
+      chalk.bold(formatCurrency(report.beginningInventory)),
+      chalk.bold(formatCurrency(report.purchases)),
+      chalk.bold(formatCurrency(report.transfers)),
+      chalk.bold(formatCurrency(report.endingInventory)),
+      chalk.bold(formatCurrency(report.cogs))
+    ]);
+    console.log(table(data));
+
+    Object.entries(report.consumed).forEach(([type, cost]) => {
+      console.log(`  ${STOCK_MOVEMENT_TYPES[type]?.label || type}: ${formatCurrency(cost)}`);
+    });
+  }
+
+  /**
+   * Helper: Ask which costing method to value stock by
+   * @returns {Promise<string>} - Costing method
+   */
+  async chooseCostingMethod() {
+    const { method } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'method',
+        message: 'Costing method:',
+        choices: Object.entries(COSTING_METHODS).map(([value, { label }]) => ({ name: label, value })),
+        default: INVENTORY_CONFIG.costingMethod
+      }
+    ]);
+    return method;
+  }
+
+  /**
+   * Low stock alert
+   */
+  async lowStockAlert() {
+    console.log(chalk.cyan('\n⚠️  Low Stock Alert\n'));
+
+    const spinner = ora('Checking stock levels...').start();
+
+    try {
+      const lowStockItems = await this.inventoryService.getLowStock(this.location);
+
+      spinner.succeed(`Found ${lowStockItems.length} low stock items${this.locationSuffix(this.location)}`);
+
+      if (lowStockItems.length === 0) {
+        displaySuccess('All items are adequately stocked');
+      } else {
+        console.log(chalk.red(`\n🚨 Items Below Par Level${this.locationSuffix(this.location)}:\n`));
+
+        const data = [
+          ['Item', 'Current', 'Par Level', 'Order Qty', 'Supplier', 'Status']
+        ];
+
+        lowStockItems.forEach(item => {
+          const status = ['OUT OF STOCK', 'CRITICAL'].includes(item.status)
+            ? chalk.red(item.status)
+            : chalk.yellow(item.status);
+
+          data.push([
+            item.name,
+            `${item.quantity} ${item.unit}`,
+            `${item.parLevel} ${item.unit}`,
+            `${item.orderQuantity.toFixed(0)} ${item.unit}`,
+            item.supplier || '-',
+            status
+          ]);
+        });
+
+        console.log(table(data));
+
+        // Offer to generate order
+        const { generateOrder } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'generateOrder',
+            message: 'Generate order list for these items?',
+            default: true
+          }
+        ]);
+
+        if (generateOrder) {
+          await this.generateOrderFromLowStock(lowStockItems);
+        }
+      }
+
+    } catch (error) {
+      spinner.fail('Check failed');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Expiry management
+   * Expiry is tracked per lot; each item's lots are numbered in the order
+   * they are used (receipt order, or first expiry first out under fefo).
+   */
+  async expiryManagement() {
+    console.log(chalk.cyan('\n📅 Expiry Management\n'));
+
+    const spinner = ora('Checking expiry dates...').start();
+
+    try {
+      const expiringLots = await this.inventoryService.getExpiring(30, this.location);
+
+      spinner.succeed(`Found ${expiringLots.length} expiring lots${this.locationSuffix(this.location)}`);
+
+      if (expiringLots.length === 0) {
+        displaySuccess('No lots expiring in the next 30 days');
+      } else {
+        console.log(chalk.yellow('\n⏰ Lots Expiring Soon:\n'));
+
+        const data = [
+          ['Item', 'Location', 'Lot', 'Received', 'Quantity', 'Expiry Date', 'Days Left', 'Use', 'Status']
+        ];
+
+        expiringLots.forEach(lot => {
+          const status = lot.daysLeft <= 3
+            ? chalk.red(lot.status)
+            : chalk.yellow(lot.status);
+
+          data.push([
+            lot.name,
+            this.locationLabel(lot.location),
+            this.lotLabel(lot),
+            lot.date ? formatDate(lot.date) : '-',
+            `${lot.quantity} ${lot.unit}`,
+            formatDate(lot.expiryDate),
+            lot.daysLeft < 0 ? 'Expired' : `${lot.daysLeft} days`,
+            lot.useOrder === 1 ? chalk.green('next') : `#${lot.useOrder}`,
+            status
+          ]);
+        });
+
+        console.log(table(data));
+        console.log(chalk.gray(`Use: the order each item's lots are used in at its location - ${COSTING_METHODS[INVENTORY_CONFIG.costingMethod].label}`));
+      }
+
+    } catch (error) {
+      spinner.fail('Check failed');
+      displayError(error.message);
+    }
+
+    const { trace } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'trace',
+        message: 'Trace a lot (which productions and sales used it)?',
+        default: false
+      }
+    ]);
+    if (trace) {
+      await this.traceLot();
+      return;
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Trace a lot to the production batches, sales and other removals that
+   * drew on it, for a food-safety recall
+   */
+  async traceLot() {
+    const { lot } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'lot',
+        message: 'Supplier lot / batch number:',
+        validate: input => input.trim() !== '' || 'Enter a lot number'
+      }
+    ]);
+
+    try {
+      const traced = await this.inventoryService.getLotTrace(lot.trim());
+      if (traced.length === 0) {
+        displayWarning(`No stock lot "${lot.trim()}" has been received`);
+      }
+
+      traced.forEach(entry => {
+        console.log(chalk.yellow(`\n🔎 ${entry.name} - lot ${this.lotLabel(entry)}${this.locationSuffix(entry.location)}`));
+        console.log(`  ${entry.type === 'transfer' ? 'Transferred in' : 'Received'}: ${entry.received} ${entry.unit} on ${formatDate(entry.date)}${entry.supplier ? ` from ${entry.supplier}` : ''}`);
+        if (entry.expiryDate) {
+          console.log(`  Expires: ${formatDate(entry.expiryDate)}`);
+        }
+
+        if (entry.uses.length === 0) {
+          console.log(chalk.gray('  Not used yet'));
+        } else {
+          const data = [['Date', 'Type', 'Recipe', 'Portions', 'Quantity', 'Reference', 'User']];
+          entry.uses.forEach(use => {
+            data.push([
+              formatDate(use.date),
+              use.toLocation
+                ? `Transfer to ${this.locationLabel(use.toLocation)}`
+                : STOCK_MOVEMENT_TYPES[use.type]?.label || use.type,
+              use.recipeName || '-',
+              use.portions ?? '-',
+              `${use.quantity} ${entry.unit}`,
+              use.reference,
+              use.user || ''
+            ]);
+          });
+          console.log(table(data));
+        }
+
+        if (entry.recipes.length > 0) {
+          console.log(`  Used in: ${entry.recipes.join(', ')}`);
+        }
+        if (entry.remaining > 0) {
+          console.log(chalk.red(`  Still on hand: ${entry.remaining} ${entry.unit}${this.locationSuffix(entry.location)}`));
+        }
+      });
+    } catch (error) {
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Record a production batch or items sold
+   * Stock is deducted from the recipe's ingredients
+   */
+  async recordDepletion() {
+    console.log(chalk.cyan('\n🍳 Record Production / Sales\n'));
+
+    let recipes;
+    try {
+      recipes = await this.dataService.listRecipes();
+    } catch (error) {
+      displayError(error.message);
+      await this.waitForKeypress();
+      return;
+    }
+
+    if (recipes.length === 0) {
+      displayWarning('No saved recipes - save a recipe in Recipe Costing first');
+      await this.waitForKeypress();
+      return;
+    }
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'type',
+        message: 'What happened?',
+        choices: [
+          { name: 'Production batch made', value: 'production' },
+          { name: 'Items sold', value: 'sale' }
+        ]
+      },
+      {
+        type: 'list',
+        name: 'recipeId',
+        message: 'Recipe:',
+        choices: recipes.map(recipe => ({
+          name: `${recipe.name} (${recipe.portions || 1} portions)`,
+          value: recipe.id
+        })),
+        pageSize: 15
+      },
+      {
+        type: 'list',
+        name: 'measure',
+        message: 'Quantity in:',
+        choices: [
+          { name: 'Batches of the recipe', value: 'batches' },
+          { name: 'Portions', value: 'portions' }
+        ],
+        when: answers => answers.type === 'production'
+      },
+      {
+        type: 'number',
+        name: 'quantity',
+        message: answers => answers.measure === 'batches' ? 'Batches made:' : answers.type === 'sale' ? 'Portions sold:' : 'Portions made:',
+        validate: input => input > 0 || 'Must be greater than zero'
+      },
+      {
+        type: 'input',
+        name: 'date',
+        message: 'Date (YYYY-MM-DD):',
+        default: new Date().toISOString().split('T')[0],
+        validate: input => !isNaN(new Date(input).getTime()) || 'Invalid date format'
+      },
+      {
+        type: 'input',
+        name: 'note',
+        message: 'Note (optional):',
+        default: ''
+      }
+    ]);
+
+    const location = await this.pickLocation(answers.type === 'sale' ? 'Sold at:' : 'Made at:');
+    const user = await this.getUser();
+    const spinner = ora('Deducting stock...').start();
+
+    try {
+      const result = await this.inventoryService.recordDepletion({
+        user,
+        type: answers.type,
+        recipeId: answers.recipeId,
+        [answers.measure || 'portions']: answers.quantity,
+        date: answers.date,
+        location,
+        note: answers.note
+      });
+      spinner.succeed(`Recorded ${result.portions} portions of ${result.recipe}${this.locationSuffix(location)}`);
+
+      const data = [['Item', 'Deducted', 'Unit Cost', 'Cost']];
+      let totalCost = 0;
+      result.movements.forEach(movement => {
+        const cost = -movement.quantity * movement.unitCost;
+        totalCost += cost;
+        data.push([
+          movement.name,
+          `${(-movement.quantity).toFixed(3)} ${movement.unit}`,
+          formatCurrency(movement.unitCost),
+          formatCurrency(cost)
+        ]);
+      });
+      data.push(['TOTAL', '', '', formatCurrency(totalCost)]);
+      console.log(table(data));
+
+      result.warnings.forEach(warning => displayWarning(warning));
+    } catch (error) {
+      spinner.fail('Failed to record');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Log waste
+   * Spoilage, over-production, dropped plates and returns, of a stock item
+   * or of recipe portions, taken out of stock at current inventory cost
+   */
+  async logWaste() {
+    console.log(chalk.cyan('\n🗑️  Log Waste\n'));
+
+    let inventory;
+    let recipes;
+    try {
+      [inventory, recipes] = await Promise.all([this.dataService.loadIngredients(), this.dataService.listRecipes()]);
+    } catch (error) {
+      displayError(error.message);
+      await this.waitForKeypress();
+      return;
+    }
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'kind',
+        message: 'What was wasted?',
+        choices: [
+          { name: 'A stock item', value: 'item' },
+          ...(recipes.length > 0 ? [{ name: 'Portions of a recipe', value: 'recipe' }] : [])
+        ]
+      },
+      {
+        type: 'list',
+        name: 'ingredientId',
+        message: 'Item:',
+        choices: inventory.map(item => ({ name: `${item.name} (${item.unit})`, value: item.id })),
+        pageSize: 15,
+        when: answers => answers.kind === 'item'
+      },
+      {
+        type: 'list',
+        name: 'recipeId',
+        message: 'Recipe:',
+        choices: recipes.map(recipe => ({ name: recipe.name, value: recipe.id })),
+        pageSize: 15,
+        when: answers => answers.kind === 'recipe'
+      },
+      {
+        type: 'number',
+        name: 'quantity',
+        message: answers => answers.kind === 'recipe'
+          ? 'Portions wasted:'
+          : `Quantity wasted (${inventory.find(item => item.id === answers.ingredientId).unit}):`,
+        validate: input => input > 0 || 'Must be greater than zero'
+      },
+      {
+        type: 'confirm',
+        name: 'recorded',
+        message: 'Were these portions already recorded as production or sales?',
+        default: true,
+        when: answers => answers.kind === 'recipe'
+      },
+      {
+        type: 'list',
+        name: 'reason',
+        message: 'Reason:',
+        choices: Object.entries(WASTE_REASONS).map(([value, { label }]) => ({ name: label, value }))
+      },
+      {
+        type: 'input',
+        name: 'station',
+        message: 'Station (e.g. grill, pastry; optional):',
+        default: this.station
+      },
+      {
+        type: 'list',
+        name: 'shift',
+        message: 'Shift:',
+        choices: [
+          ...Object.entries(SHIFTS).map(([value, { label }]) => ({ name: label, value })),
+          { name: 'Not recorded', value: null }
+        ]
+      },
+      {
+        type: 'input',
+        name: 'date',
+        message: 'Date (YYYY-MM-DD):',
+        default: new Date().toISOString().split('T')[0],
+        validate: input => !isNaN(new Date(input).getTime()) || 'Invalid date format'
+      },
+      {
+        type: 'input',
+        name: 'note',
+        message: 'Note (optional):',
+        default: ''
+      }
+    ]);
+
+    const location = await this.pickLocation('Wasted at:');
+    const user = await this.getUser();
+    this.station = answers.station.trim();
+    const spinner = ora('Logging waste...').start();
+
+    try {
+      const { entry, warnings } = await this.wasteService.logWaste({
+        ingredientId: answers.ingredientId,
+        recipeId: answers.recipeId,
+        quantity: answers.quantity,
+        reason: answers.reason,
+        station: this.station,
+        shift: answers.shift || undefined,
+        location,
+        date: answers.date,
+        user,
+        note: answers.note,
+        // Portions made from stock that was already deducted only need valuing
+        deductStock: answers.kind === 'recipe' && !answers.recorded
+      });
+      spinner.succeed(
+        `Logged ${entry.quantity} ${entry.unit} of ${entry.name} (${WASTE_REASONS[entry.reason].label.toLowerCase()})${this.locationSuffix(location)}`
+      );
+
+      const data = [['Item', 'Wasted', 'Unit Cost', 'Cost']];
+      entry.lines.forEach(line => {
+        data.push([
+          line.name,
+          `${line.quantity.toFixed(3)} ${line.unit}`,
+          formatCurrency(line.unitCost),
+          formatCurrency(line.cost)
+        ]);
+      });
+      data.push(['TOTAL', '', '', formatCurrency(entry.cost)]);
+      console.log(table(data));
+
+      warnings.forEach(warning => displayWarning(warning));
+    } catch (error) {
+      spinner.fail('Failed to log waste');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Usage analysis
+   * Built from the production and sales recorded against recipes
+   */
+  async usageAnalysis() {
+    console.log(chalk.cyan('\n📈 Usage Analysis\n'));
+
+    const { days } = await inquirer.prompt([
+      {
+        type: 'number',
+        name: 'days',
+        message: 'Analyse the last how many days?',
+        default: 30,
+        validate: input => (Number.isInteger(input) && input > 0) || 'Enter a whole number of days'
+      }
+    ]);
+
+    const spinner = ora('Analysing usage...').start();
+
+    try {
+      const items = await this.inventoryService.getUsageAnalysis(days);
+      spinner.stop();
+
+      if (items.length === 0) {
+        displayWarning(`No production or sales recorded in the last ${days} days`);
+        console.log(chalk.gray('  Record them with "Record Production / Sales" to see usage.'));
+        await this.waitForKeypress();
+        return;
+      }
+
+      const data = [
+        ['Item', 'Used', 'Over', 'Usage/Day', 'In Stock', 'Days Stock', 'Turnover', 'Trend']
+      ];
+
+      items.forEach(item => {
+        data.push([
+          item.name,
+          `${item.used.toFixed(2)} ${item.unit}`,
+          `${item.daysCovered} days`,
+          `${item.usagePerDay.toFixed(2)} ${item.unit}`,
+          `${(item.quantity || 0).toFixed(2)} ${item.unit}`,
+          item.daysOfStock === null ? '-' : `${item.daysOfStock.toFixed(1)} days`,
+          item.turnover === null ? '-' : `${item.turnover.toFixed(1)}x/month`,
+          this.formatTrend(item.trend)
+        ]);
+      });
+
+      console.log(table(data));
+
+      const insights = [];
+      items
+        .filter(item => item.daysOfStock !== null && item.daysOfStock < 3)
+        .forEach(item => insights.push(`${item.name}: only ${item.daysOfStock.toFixed(1)} days of stock left - reorder now`));
+      items
+        .filter(item => item.trend !== null && Math.abs(item.trend) >= 15)
+        .forEach(item => insights.push(`${item.name}: usage ${item.trend > 0 ? 'up' : 'down'} ${formatPercentage(Math.abs(item.trend), 0)} - review par level`));
+
+      if (insights.length > 0) {
+        console.log(chalk.yellow('\n💡 Insights:'));
+        insights.forEach(insight => console.log(`  • ${insight}`));
+      }
+      console.log(chalk.gray(`\nTrend compares the second half of the last ${days} days with the first half.`));
+    } catch (error) {
+      spinner.fail('Analysis failed');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * View the stock movement ledger
+   */
+  async viewMovements() {
+    console.log(chalk.cyan('\n📒 Stock Movements\n'));
+
+    try {
+      const inventory = await this.dataService.loadIngredients();
+      const filter = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'ingredientId',
+          message: 'Item:',
+          choices: [
+            { name: 'All items', value: '' },
+            ...inventory.map(item => ({ name: item.name, value: item.id }))
+          ],
+          pageSize: 15
+        },
+        {
+          type: 'list',
+          name: 'type',
+          message: 'Movement type:',
+          choices: [
+            { name: 'All types', value: '' },
+            ...Object.entries(STOCK_MOVEMENT_TYPES).map(([type, { label }]) => ({ name: label, value: type }))
+          ]
+        },
+        {
+          type: 'number',
+          name: 'days',
+          message: 'Last how many days?',
+          default: 30,
+          validate: input => (Number.isInteger(input) && input > 0) || 'Enter a whole number of days'
+        }
+      ]);
+
+      const from = new Date(Date.now() - (filter.days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const movements = await this.dataService.loadMovements({
+        ingredientId: filter.ingredientId || undefined,
+        type: filter.type || undefined,
+        location: this.location || undefined,
+        from
+      });
+
+      if (movements.length === 0) {
+        displayWarning('No stock movements in that period');
+        await this.waitForKeypress();
+        return;
+      }
+
+      const data = [['Date', 'Type', 'Location', 'Item', 'Quantity', 'Unit Cost', 'Value', 'User', 'Reason']];
+      movements.forEach(movement => {
+        const quantity = `${movement.quantity > 0 ? '+' : ''}${movement.quantity.toFixed(3)} ${movement.unit}`;
+        data.push([
+          movement.date,
+          STOCK_MOVEMENT_TYPES[movement.type]?.label || movement.type,
+          this.locationLabel(this.inventoryService.locationOf(movement)),
+          movement.name,
+          movement.quantity > 0 ? chalk.green(quantity) : chalk.red(quantity),
+          formatCurrency(movement.unitCost),
+          formatCurrency(movement.quantity * movement.unitCost),
+          movement.user || '',
+          movement.reason || movement.recipeName || ''
+        ]);
+      });
+
+      console.log(table(data));
+      console.log(chalk.gray(`${movements.length} movements since ${formatDate(from)}${this.locationSuffix(this.location)}`));
+    } catch (error) {
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Stock take: count sheets, counts, variance review and posting
+   */
+  async stockTake() {
+    console.log(chalk.cyan('\n📋 Stock Take\n'));
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Select action:',
+        choices: [
+          { name: 'Print / export count sheet', value: 'sheet' },
+          { name: 'Enter counts', value: 'enter' },
+          { name: 'Import counts from a filled-in CSV count sheet', value: 'import' },
+          { name: 'Stock take history', value: 'history' },
+          { name: 'Cancel', value: 'cancel' }
+        ]
+      }
+    ]);
+
+    if (action === 'cancel') {
+      return;
+    }
+
+    try {
+      if (action === 'history') {
+        await this.showStockTakeHistory();
+        await this.waitForKeypress();
+        return;
+      }
+
+      const inventory = await this.dataService.loadIngredients();
+      const scope = await this.chooseCountScope(inventory);
+      const sheet = this.inventoryService.buildCountSheet(inventory, scope);
+      if (sheet.length === 0) {
+        displayWarning('No stock items to count');
+        await this.waitForKeypress();
+        return;
+      }
+
+      switch (action) {
+        case 'sheet':
+          await this.exportCountSheet(sheet, scope);
+          break;
+
+        case 'enter':
+          await this.reviewStockTake(await this.enterCounts(sheet), scope);
+          break;
+
+        case 'import':
+          const { filepath } = await inquirer.prompt([
+            {
+              type: 'input',
+              name: 'filepath',
+              message: 'Count sheet CSV file:',
+              validate: input => input.trim().length > 0 || 'File path is required'
+            }
+          ]);
+          const rows = await this.dataService.importFromCSV(filepath.trim());
+          await this.reviewStockTake(this.inventoryService.countsFromRows(rows), scope);
+          break;
+      }
+    } catch (error) {
+      displayError(`Stock take failed: ${error.message}`);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Helper: Choose the location, storage area and category a count covers
+   * @param {Array} inventory - Inventory items
+   * @returns {Promise<Object>} - { location, storageArea, category }; undefined area or category means all
+   */
+  async chooseCountScope(inventory) {
+    const location = await this.pickLocation('Count stock at:');
+    const sheet = this.inventoryService.buildCountSheet(inventory, { location });
+    const areas = [...new Set(sheet.map(line => line.storageArea))];
+    const { storageArea } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'storageArea',
+        message: 'Storage area:',
+        choices: [{ name: 'All areas', value: '' }, ...areas]
+      }
+    ]);
+
+    const categories = [...new Set(
+      sheet.filter(line => !storageArea || line.storageArea === storageArea).map(line => line.category)
+    )];
+    const { category } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'category',
+        message: 'Category:',
+        choices: [{ name: 'All categories', value: '' }, ...categories]
+      }
+    ]);
+
+    return { location, storageArea: storageArea || undefined, category: category || undefined };
+  }
+
+  /**
+   * Helper: Export a count sheet as CSV (to fill in and import) and as printable text
+   * @param {Array} sheet - Count sheet lines
+   * @param {Object} scope - { location, storageArea, category }
+   */
+  async exportCountSheet(sheet, scope) {
+    const date = new Date().toISOString().split('T')[0];
+    const suffix = [this.locationSuffix(scope.location) && scope.location, scope.storageArea, scope.category]
+      .filter(Boolean)
+      .map(part => `_${this.dataService.toSlug(part)}`)
+      .join('');
+    const filename = `count_sheet_${date}${suffix}`;
+
+    const csvPath = await this.dataService.exportToCSV(
+      sheet.map(line => ({
+        area: line.storageArea,
+        category: line.category,
+        id: line.ingredientId,
+        item: line.name,
+        unit: line.unit,
+        counted: ''
+      })),
+      filename
+    );
+    const textPath = await this.dataService.exportText(
+      this.reportService.countSheetToText(sheet, { ...scope, date }),
+      filename
+    );
+
+    displaySuccess(`Count sheet for ${sheet.length} items exported`);
+    console.log(`  Printable: ${textPath}`);
+    console.log(`  CSV:       ${csvPath}`);
+    console.log(chalk.gray('\nFill in the "counted" column and use "Import counts" to review and post it.'));
+  }
+
+  /**
+   * Helper: Prompt for a count of every item on the sheet
+   * @param {Array} sheet - Count sheet lines
+   * @returns {Promise<Object>} - ingredientId → counted quantity
+   */
+  async enterCounts(sheet) {
+    console.log(chalk.gray('Enter decimals or fractions for partial units (2.5 or 2 1/2); leave blank to skip an item.'));
+    const counts = {};
+    let heading = null;
+
+    for (const line of sheet) {
+      const group = `${line.storageArea} / ${line.category}`;
+      if (group !== heading) {
+        heading = group;
+        console.log(chalk.yellow(`\n${group}`));
+      }
+
+      const { counted } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'counted',
+          message: `${line.name} (${line.unit}):`,
+          validate: input => {
+            try {
+              this.inventoryService.parseCount(input);
+              return true;
+            } catch (error) {
+              return error.message;
+            }
+          }
+        }
+      ]);
+      const quantity = this.inventoryService.parseCount(counted);
+      if (quantity !== null) {
+        counts[line.ingredientId] = quantity;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Helper: Show counted vs expected stock and post the adjustments once confirmed
+   * @param {Object} counts - ingredientId → counted quantity
+   * @param {Object} scope - { location, storageArea, category }
+   */
+  async reviewStockTake(counts, scope) {
+    const { date } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'date',
+        message: 'Stock take date (YYYY-MM-DD):',
+        default: new Date().toISOString().split('T')[0],
+        validate: input => !isNaN(new Date(input).getTime()) || 'Invalid date format'
+      }
+    ]);
+
+    const review = await this.inventoryService.reviewStockTake(counts, { ...scope, date });
+    if (review.lines.length === 0) {
+      displayWarning('No counts entered');
+      return;
+    }
+
+    console.log(chalk.cyan(`\n📋 Counted vs Expected${this.locationSuffix(review.location)} - ${formatDate(review.date)}\n`));
+    const data = [['Area', 'Item', 'Expected', 'Counted', 'Variance', 'Var %', 'Value']];
+    review.lines.forEach(line => {
+      const colour = line.variance < 0 ? chalk.red : line.variance > 0 ? chalk.green : chalk.gray;
+      data.push([
+        line.storageArea,
+        line.name,
+        `${line.expected} ${line.unit}`,
+        `${line.counted} ${line.unit}`,
+        colour(`${line.variance > 0 ? '+' : ''}${line.variance} ${line.unit}`),
+        line.variancePercent === null ? '-' : colour(formatPercentage(line.variancePercent)),
+        colour(formatCurrency(line.varianceValue))
+      ]);
+    });
+    console.log(table(data));
+
+    console.log(`Expected value: ${formatCurrency(review.totals.expectedValue)}`);
+    console.log(`Counted value:  ${formatCurrency(review.totals.countedValue)}`);
+    console.log(chalk.bold(`Variance:       ${formatCurrency(review.totals.varianceValue)}`));
+    if (review.uncounted.length > 0) {
+      displayWarning(`${review.uncounted.length} items not counted; their stock is left unchanged`);
+    }
+
+    const { foodCost } = review;
+    console.log(chalk.cyan(`\n🍽️  Food Cost since ${review.from ? formatDate(review.from) : 'the first movement'}\n`));
+    console.log(`Theoretical (production & sales): ${formatCurrency(foodCost.theoreticalCost)}`);
+    console.log(`Recorded waste & staff meals:     ${formatCurrency(foodCost.recordedLoss)}`);
+    console.log(`Missing at count:                 ${formatCurrency(foodCost.countLoss)}`);
+    console.log(chalk.bold(`Actual:                           ${formatCurrency(foodCost.actualCost)}`));
+    if (foodCost.variancePercent !== null) {
+      console.log(`Variance: ${formatCurrency(foodCost.variance)} (${formatPercentage(foodCost.variancePercent)})`);
+    }
+    const analysisColour = foodCost.variancePercent > 5 ? chalk.red : foodCost.variancePercent > 2 ? chalk.yellow : chalk.gray;
+    console.log(analysisColour(foodCost.analysis));
+
+    const changes = review.lines.filter(line => line.variance !== 0).length;
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Post the stock take (${changes} count adjustments)?`,
+        default: true
+      }
+    ]);
+    if (!confirm) {
+      displayWarning('Stock take not posted');
+      return;
+    }
+
+    const user = await this.getUser();
+    const posted = await this.inventoryService.postStockTake(counts, { ...scope, date, user });
+    displaySuccess(`Stock take posted: ${posted.lines.length} items counted, ${posted.adjustments} adjustments`);
+  }
+
+  /**
+   * Helper: List recent stock takes with their variances
+   */
+  async showStockTakeHistory() {
+    const stockTakes = await this.dataService.loadStockTakes(10);
+    if (stockTakes.length === 0) {
+      displayWarning('No stock takes posted yet');
+      return;
+    }
+
+    const data = [['Date', 'Scope', 'Counted', 'Adjustments', 'Variance', 'Actual', 'Theoretical', 'Food Cost Var', 'By']];
+    stockTakes.forEach(stockTake => {
+      const { foodCost } = stockTake;
+      data.push([
+        formatDate(stockTake.date),
+        [
+          this.locationSuffix(stockTake.location) && this.locationLabel(stockTake.location || DEFAULT_LOCATION),
+          stockTake.storageArea,
+          stockTake.category
+        ].filter(Boolean).join(' / ') || 'All stock',
+        stockTake.lines.length,
+        stockTake.adjustments,
+        formatCurrency(stockTake.totals.varianceValue),
+        formatCurrency(foodCost.actualCost),
+        formatCurrency(foodCost.theoreticalCost),
+        foodCost.variancePercent === null ? '-' : formatPercentage(foodCost.variancePercent),
+        stockTake.user
+      ]);
+    });
+    console.log(table(data));
+  }
+
+  /**
+   * Format a usage trend
+   * @param {number|null} trend - Percentage change, or null if unknown
+   * @returns {string} - Arrow and percentage
+   */
+  formatTrend(trend) {
+    if (trend === null) return chalk.gray('new');
+    if (Math.abs(trend) < 5) return '→ stable';
+    return trend > 0
+      ? chalk.yellow(`↑ +${trend.toFixed(0)}%`)
+      : chalk.cyan(`↓ ${trend.toFixed(0)}%`);
+  }
+
+  /**
+   * Generate order list
+   * Each item goes to the supplier picked for it (preferred or cheapest),
+   * rounded up to whole packs, with the supplier's next delivery date and
+   * a warning where an order falls below the supplier's minimum.
+   */
+  async generateOrderList() {
+    console.log(chalk.cyan('\n🛒 Generate Order List\n'));
+
+    const { orderType, choice } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'orderType',
+        message: 'Order type:',
+        choices: [
+          { name: 'Auto-generate from par levels', value: 'auto' },
+          { name: 'Manual selection', value: 'manual' },
+          { name: 'By supplier', value: 'supplier' },
+          { name: 'Critical items only', value: 'critical' }
+        ]
+      },
+      {
+        type: 'list',
+        name: 'choice',
+        message: 'Pick suppliers by:',
+        choices: Object.entries(SUPPLIER_CHOICES).map(([value, { label }]) => ({ name: label, value })),
+        default: PURCHASING_CONFIG.supplierChoice,
+        when: answers => answers.orderType !== 'manual'
+      }
+    ]);
+
+    if (orderType === 'manual') {
+      // Manual selection would be implemented here
+      displayWarning('Manual selection coming soon');
+      await this.waitForKeypress();
+      return;
+    }
+
+    let supplier;
+    if (orderType === 'supplier') {
+      const inventory = await this.dataService.loadIngredients();
+      const onFile = await this.dataService.loadSuppliers();
+      const named = [...new Set(inventory.map(i => i.supplier).filter(Boolean))]
+        .filter(name => !this.supplierService.find(name, onFile));
+
+      if (onFile.length === 0 && named.length === 0) {
+        displayWarning('No suppliers found');
+        await this.waitForKeypress();
+        return;
+      }
+
+      ({ supplier } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'supplier',
+          message: 'Select supplier:',
+          choices: [
+            ...onFile.map(entry => ({ name: entry.name, value: entry.id })),
+            ...named.map(name => ({ name: `${name} (not on file)`, value: name }))
+          ]
+        }
+      ]));
+    }
+
+    const spinner = ora('Generating order list...').start();
+
+    try {
+      const plan = await this.supplierService.planReorder({
+        supplier,
+        critical: orderType === 'critical',
+        choice,
+        location: this.location || undefined
+      });
+
+      spinner.succeed('Order list generated');
+
+      if (plan.orders.length === 0) {
+        displayWarning('No items need ordering');
+      } else {
+        console.log(chalk.green(`\n📋 Order List${this.locationSuffix(this.location)}\n`));
+        this.showOrderPlan(plan);
+
+        const { next } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'next',
+            message: 'What next?',
+            choices: [
+              { name: 'Save as draft purchase orders (one per supplier)', value: 'draft' },
+              { name: 'Export order list to CSV', value: 'export' },
+              { name: 'Nothing', value: 'none' }
+            ]
+          }
+        ]);
+
+        if (next === 'draft') {
+          await this.saveOrderDrafts(plan.orders, this.location);
+        } else if (next === 'export') {
+          await this.exportOrderList(
+            plan.orders.flatMap(order => order.lines.map(line => ({
+              supplier: order.supplier,
+              expectedDate: order.expectedDate || '',
+              ...line
+            })))
+          );
+        }
+      }
+
+    } catch (error) {
+      spinner.fail('Generation failed');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Par levels
+   * Suggests par and max levels from usage history, weekday pattern and
+   * supplier lead time; suggestions can be accepted or overridden by hand.
+   */
+  async parLevels() {
+    let continueMenu = true;
+
+    while (continueMenu) {
+      console.log(chalk.cyan('\n🎯 Par Levels\n'));
+
+      const spinner = ora('Forecasting usage...').start();
+      let items;
+      try {
+        items = await this.parLevelService.getSuggestions();
+        spinner.stop();
+      } catch (error) {
+        spinner.fail('Forecast failed');
+        displayError(error.message);
+        await this.waitForKeypress();
+        return;
+      }
+
+      const safety = INVENTORY_CONFIG.safetyDays !== null
+        ? `${INVENTORY_CONFIG.safetyDays} days of safety stock`
+        : `${INVENTORY_CONFIG.serviceLevel}% service level`;
+      console.log(chalk.gray(`Last ${INVENTORY_CONFIG.forecastDays} days of usage by weekday, ${safety}\n`));
+
+      const data = [['Item', 'On Hand', 'Par / Max', 'Source', 'Suggested', 'Order Now', 'Lead Time']];
+      items.forEach(item => {
+        const { suggestion } = item;
+        const current = item.parLevel !== null ? `${item.parLevel} / ${item.maxLevel ?? '-'}` : '-';
+        data.push([
+          item.name,
+          `${item.quantity ?? 0} ${item.unit}`,
+          current,
+          item.parSource ? PAR_SOURCES[item.parSource].label : '-',
+          suggestion ? `${suggestion.parLevel} / ${suggestion.maxLevel}` : chalk.gray(item.reason),
+          suggestion && suggestion.orderQuantity > 0 ? chalk.yellow(`${suggestion.orderQuantity} ${item.unit}`) : '-',
+          suggestion ? `${suggestion.leadTimeDays} days${suggestion.supplier ? ` (${suggestion.supplier})` : ''}` : '-'
+        ]);
+      });
+      console.log(table(data));
+
+      const suggested = items.filter(item => item.suggestion);
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Select an option:',
+          choices: [
+            ...(suggested.length > 0
+              ? [
+                { name: 'Accept all suggestions (levels set by hand are kept)', value: 'acceptAll' },
+                { name: 'Accept the suggestion for one item', value: 'acceptOne' }
+              ]
+              : []),
+            { name: 'Set an item\'s levels by hand', value: 'override' },
+            { name: 'Back', value: 'back' }
+          ]
+        }
+      ]);
+
+      try {
+        switch (action) {
+          case 'acceptAll':
+            const result = await this.parLevelService.accept();
+            displaySuccess(`Par levels updated for ${result.accepted.length} items`);
+            result.skipped.forEach(item => displayWarning(`${item.name} left unchanged: ${item.reason}`));
+            await this.waitForKeypress();
+            break;
+
+          case 'acceptOne':
+            const { acceptId } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'acceptId',
+                message: 'Item:',
+                choices: suggested.map(item => ({
+                  name: `${item.name}: ${item.suggestion.parLevel} / ${item.suggestion.maxLevel} ${item.unit}`,
+                  value: item.id
+                })),
+                pageSize: 15
+              }
+            ]);
+            const { accepted } = await this.parLevelService.accept({ ids: [acceptId] });
+            displaySuccess(`${accepted[0].name}: par ${accepted[0].parLevel}, max ${accepted[0].maxLevel} ${accepted[0].unit}`);
+            break;
+
+          case 'override':
+            const { overrideId } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'overrideId',
+                message: 'Item:',
+                choices: items.map(item => ({ name: item.name, value: item.id })),
+                pageSize: 15
+              }
+            ]);
+            const item = items.find(candidate => candidate.id === overrideId);
+            const levels = await inquirer.prompt([
+              {
+                type: 'number',
+                name: 'parLevel',
+                message: `Par level (${item.unit}):`,
+                default: item.suggestion?.parLevel ?? item.parLevel ?? 10,
+                validate: input => input >= 0 || 'Must be 0 or more'
+              },
+              {
+                type: 'number',
+                name: 'maxLevel',
+                message: `Max level (${item.unit}):`,
+                default: answers => Math.max(answers.parLevel, item.suggestion?.maxLevel ?? item.maxLevel ?? 100),
+                validate: (input, answers) => input >= answers.parLevel || 'Must be at least the par level'
+              }
+            ]);
+            const saved = await this.parLevelService.override(overrideId, levels);
+            displaySuccess(`${saved.name}: par ${saved.parLevel}, max ${saved.maxLevel} ${saved.unit} (kept when suggestions are accepted)`);
+            break;
+
+          case 'back':
+            continueMenu = false;
+            break;
+        }
+      } catch (error) {
+        displayError(error.message);
+      }
+    }
+  }
+
+  /**
+   * Import/Export data
+   */
+  async importExportData() {
+    console.log(chalk.cyan('\n💾 Import/Export Inventory Data\n'));
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Select action:',
+        choices: [
+          { name: 'Export inventory to CSV', value: 'export_csv' },
+          { name: 'Export inventory to JSON', value: 'export_json' },
+          { name: 'Import from CSV', value: 'import_csv' },
+          { name: 'Import from JSON', value: 'import_json' },
+          { name: 'Cancel', value: 'cancel' }
+        ]
+      }
+    ]);
+
+    if (action === 'cancel') {
+      return;
+    }
+
+    const spinner = ora('Processing...').start();
+
+    try {
+      switch (action) {
+        case 'export_csv':
+          const inventory = await this.dataService.loadIngredients();
+          const filename = `inventory_${new Date().toISOString().split('T')[0]}`;
+          const filepath = await this.dataService.exportToCSV(inventory, filename);
+          spinner.succeed(`Exported to: ${filepath}`);
+          break;
+
+        case 'export_json':
+          // Implementation for JSON export
+          spinner.succeed('Exported to JSON');
+          break;
+
+        case 'import_csv':
+        case 'import_json':
+          displayWarning('Import functionality coming soon');
+          spinner.stop();
+          break;
+      }
+
+    } catch (error) {
+      spinner.fail('Operation failed');
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Helper: Group inventory by category
+   */
+  groupByCategory(inventory) {
+    const grouped = {};
+    
+    inventory.forEach(item => {
+      const category = item.category || 'Other';
+      if (!grouped[category]) {
+        grouped[category] = [];
+      }
+      grouped[category].push(item);
+    });
+
+    return grouped;
+  }
+
+  /**
+   * Helper: Get stock status
+   */
+  getStockStatus(item) {
+    if (!(item.parLevel > 0)) {
+      return item.quantity > 0 ? chalk.gray('NO PAR') : chalk.red('OUT');
+    }
+    const percentage = (Math.max(0, item.quantity) / item.parLevel) * 100;
+    
+    if (percentage === 0) {
+      return chalk.red('OUT');
+    } else if (percentage < 25) {
+      return chalk.red('CRITICAL');
+    } else if (percentage < 50) {
+      return chalk.yellow('LOW');
+    } else if (percentage < 100) {
+      return chalk.yellow('BELOW PAR');
+    } else if (percentage > 200) {
+      return chalk.green('OVERSTOCKED');
+    } else {
+      return chalk.green('OK');
+    }
+  }
+
+  /**
+   * Helper: Name a lot by its supplier lot number, or by where it came from
+   * @param {Object} lot - Stock lot
+   * @returns {string} - Label
+   */
+  lotLabel(lot) {
+    if (lot.lotNumber) return lot.lotNumber;
+    if (!lot.movementId) return 'on hand';
+    return `${STOCK_MOVEMENT_TYPES[lot.type]?.label || lot.type} ${lot.date}`;
+  }
+
+  /**
+   * Helper: Name a location
+   * @param {string} location - Location ID; null for all locations
+   * @returns {string} - Label
+   */
+  locationLabel(location) {
+    if (!location) return 'All locations';
+    return LOCATIONS[location]?.label || location;
+  }
+
+  /**
+   * Helper: " at <location>" for headings, only when there is more than one location
+   * @param {string} location - Location ID
+   * @returns {string} - Suffix, or '' when there is nothing to tell apart
+   */
+  locationSuffix(location) {
+    if (!location || Object.keys(LOCATIONS).length < 2) return '';
+    return ` at ${this.locationLabel(location)}`;
+  }
+
+  /**
+   * Helper: The location a movement is recorded at
+   * The chosen location is used when set, and a single location is used
+   * without asking.
+   * @param {string} message - Prompt
+   * @returns {Promise<string>} - Location ID
+   */
+  async pickLocation(message) {
+    if (this.location) return this.location;
+    const locations = Object.entries(LOCATIONS);
+    if (locations.length === 1) return locations[0][0];
+
+    const { location } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'location',
+        message,
+        choices: locations.map(([value, { label }]) => ({ name: label, value })),
+        default: DEFAULT_LOCATION
+      }
+    ]);
+    return location;
+  }
+
+  /**
+   * Switch location
+   * Stock views, low stock, valuation and orders then show the chosen
+   * location only; "All locations" consolidates them again.
+   */
+  async chooseLocation() {
+    console.log(chalk.cyan('\n📍 Switch Location\n'));
+
+    let values;
+    try {
+      values = await this.inventoryService.getLocationValues();
+    } catch (error) {
+      displayError(error.message);
+      await this.waitForKeypress();
+      return;
+    }
+
+    const { location } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'location',
+        message: 'Show stock for:',
+        choices: [
+          { name: 'All locations', value: null },
+          ...values.map(entry => ({
+            name: `${entry.label} (${entry.items} items, ${formatCurrency(entry.value)})`,
+            value: entry.location
+          }))
+        ],
+        default: this.location
+      }
+    ]);
+
+    this.location = location;
+    displaySuccess(`Showing ${this.locationLabel(location)}`);
+  }
+
+  /**
+   * Transfer stock
+   * Moves stock between locations at cost, lot by lot, in the costing
+   * method's lot order unless a lot is picked.
+   */
+  async transferStock() {
+    console.log(chalk.cyan('\n🔁 Transfer Stock\n'));
+
+    if (Object.keys(LOCATIONS).length < 2) {
+      displayWarning('Only one location is set up (see FOOD_SYSTEM_LOCATIONS)');
+      await this.waitForKeypress();
+      return;
+    }
+
+    try {
+      const from = await this.pickLocation('Transfer from:');
+      const { to } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'to',
+          message: 'Transfer to:',
+          choices: Object.entries(LOCATIONS)
+            .filter(([location]) => location !== from)
+            .map(([value, { label }]) => ({ name: label, value }))
+        }
+      ]);
+
+      const stock = this.inventoryService
+        .inventoryAt(await this.dataService.loadIngredients(), from)
+        .filter(item => item.quantity > 0);
+      if (stock.length === 0) {
+        displayWarning(`No stock on hand at ${this.locationLabel(from)}`);
+        await this.waitForKeypress();
+        return;
+      }
+
+      const { itemId } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'itemId',
+          message: 'Item:',
+          choices: stock.map(item => ({ name: `${item.name} (${item.quantity} ${item.unit})`, value: item.id })),
+          pageSize: 15
+        }
+      ]);
+      const item = stock.find(entry => entry.id === itemId);
+      const lots = (await this.inventoryService.getLots(undefined, from)).filter(lot => lot.id === itemId);
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'quantity',
+          message: `Quantity (${item.unit}):`,
+          validate: input => (input > 0 && input <= item.quantity) || `Enter a quantity up to ${item.quantity}`
+        },
+        {
+          type: 'list',
+          name: 'lot',
+          message: 'Take from lot:',
+          choices: [
+            { name: INVENTORY_CONFIG.costingMethod === 'fefo' ? 'First expiry first out' : 'First in first out', value: null },
+            ...lots.filter(lot => lot.movementId).map(lot => ({
+              name: `${this.lotLabel(lot)} - ${lot.quantity} ${item.unit}${lot.expiryDate ? `, use by ${formatDate(lot.expiryDate)}` : ''}`,
+              value: lot.movementId
+            }))
+          ],
+          when: () => lots.filter(lot => lot.movementId).length > 1
+        },
+        {
+          type: 'input',
+          name: 'reason',
+          message: 'Reason (optional):'
+        }
+      ]);
+
+      const result = await this.inventoryService.transferStock({
+        ingredientId: itemId,
+        quantity: answers.quantity,
+        from,
+        to,
+        lot: answers.lot || undefined,
+        reason: answers.reason.trim(),
+        user: await this.getUser()
+      });
+
+      const data = [['Lot', 'Quantity', 'Unit Cost', 'Value']];
+      result.movements.filter(movement => movement.quantity > 0).forEach(movement => {
+        data.push([
+          movement.lotNumber || '-',
+          `${movement.quantity} ${item.unit}`,
+          formatCurrency(movement.unitCost),
+          formatCurrency(movement.quantity * movement.unitCost)
+        ]);
+      });
+      console.log(table(data));
+      displaySuccess(
+        `${result.quantity} ${item.unit} of ${item.name} moved from ${this.locationLabel(from)} to ${this.locationLabel(to)} at ${formatCurrency(result.value)}`
+      );
+    } catch (error) {
+      displayError(error.message);
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Helper: Display inventory summary
+   * @param {number} expiringCount - Lots expiring within 7 days
+   */
+  displayInventorySummary(expiringCount) {
+    const totalValue = this.currentInventory.reduce((sum, item) => 
+      sum + (item.quantity * item.unitPrice), 0
+    );
+    
+    const lowStockCount = this.inventoryService.findLowStock(this.currentInventory).length;
+
+    console.log(chalk.green('\n📊 Inventory Summary'));
+    console.log(chalk.gray('─'.repeat(40)));
+    console.log(`  Total Items: ${this.currentInventory.length}`);
+    console.log(`  Total Value: ${formatCurrency(totalValue)}`);
+    console.log(`  Low Stock Items: ${lowStockCount}`);
+    console.log(`  Expiring Soon: ${expiringCount}`);
+  }
+
+  /**
+   * Helper: Generate order from low stock items
+   */
+  async generateOrderFromLowStock(lowStockItems) {
+    const plan = this.supplierService.planOrders(lowStockItems, await this.dataService.loadSuppliers());
+    const totalCost = plan.orders.reduce((sum, order) => sum + order.value, 0);
+
+    console.log(chalk.green('\n📋 Generated Order List\n'));
+    console.log(`Total Items: ${plan.orders.reduce((sum, order) => sum + order.lines.length, 0)}`);
+    console.log(`Total Cost: ${formatCurrency(totalCost)}`);
+
+    console.log(chalk.yellow('\n📦 Orders by Supplier:'));
+    plan.orders.forEach(order => {
+      const delivery = order.expectedDate ? `, delivery ${formatDate(order.expectedDate)}` : '';
+      console.log(`\n  ${order.supplier}: ${order.lines.length} items - ${formatCurrency(order.value)}${delivery}`);
+    });
+    this.supplierService.describePlan(plan).forEach(message => displayWarning(message));
+  }
+
+  /**
+   * Helper: Show planned orders, one table per supplier
+   * @param {Object} plan - SupplierService.planOrders result
+   */
+  showOrderPlan(plan) {
+    let totalOrderValue = 0;
+
+    plan.orders.forEach(order => {
+      const delivery = order.expectedDate ? ` - delivery ${formatDate(order.expectedDate)}` : '';
+      console.log(chalk.yellow(`\n📦 ${order.supplier}${delivery}`));
+
+      const data = [
+        ['Item', 'Current', 'Needed', 'Order', 'Unit Price', 'Total']
+      ];
+
+      order.lines.forEach(line => {
+        data.push([
+          line.supplierCode ? `${line.name} (${line.supplierCode})` : line.name,
+          `${line.onHand} ${line.unit}`,
+          `${line.needed.toFixed(0)} ${line.unit}`,
+          line.packs ? `${line.packs} × ${line.packSize} ${line.unit}` : `${line.quantity.toFixed(0)} ${line.unit}`,
+          formatCurrency(line.unitPrice),
+          formatCurrency(line.value)
+        ]);
+      });
+
+      data.push(['', '', '', '', chalk.bold('Subtotal:'), chalk.bold(formatCurrency(order.value))]);
+      console.log(table(data));
+
+      totalOrderValue += order.value;
+    });
+
+    this.supplierService.describePlan(plan).forEach(message => displayWarning(message));
+    console.log(chalk.green(`\n💰 Total Order Value: ${formatCurrency(totalOrderValue)}`));
+  }
+
+  /**
+   * Helper: Save planned orders as draft purchase orders
+   * @param {Array} orders - Planned orders (SupplierService.planOrders)
+   * @param {string} location - Location to deliver to; the default location when not set
+   */
+  async saveOrderDrafts(orders, location) {
+    const user = await this.getUser();
+    for (const planned of orders) {
+      try {
+        const [order] = await this.purchaseOrderService.createFromPlan([planned], { user, location: location || undefined });
+        displaySuccess(`Draft purchase order ${order.id} saved for ${order.supplier}`);
+      } catch (error) {
+        displayError(`${planned.supplier}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Purchase orders
+   * Orders move draft → sent → partially received → received → closed;
+   * deliveries received against them are posted as stock receipts.
+   */
+  async purchaseOrders() {
+    let continueMenu = true;
+
+    while (continueMenu) {
+      console.log(chalk.cyan('\n🧾 Purchase Orders\n'));
+
+      let open;
+      try {
+        open = (await this.dataService.loadPurchaseOrders()).filter(order => order.status !== 'closed');
+      } catch (error) {
+        displayError(error.message);
+        await this.waitForKeypress();
+        return;
+      }
+
+      if (open.length === 0) {
+        displayWarning('No open purchase orders');
+      } else {
+        const data = [['Order', 'Supplier', 'Status', 'Ordered', 'Lines', 'Value', 'Received']];
+        open.forEach(order => {
+          data.push([
+            order.id,
+            order.supplier,
+            PURCHASE_ORDER_STATUSES[order.status].label,
+            formatDate(order.orderDate),
+            order.lines.length,
+            formatCurrency(order.orderedValue),
+            formatCurrency(order.receivedValue)
+          ]);
+        });
+        console.log(table(data));
+      }
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Select an option:',
+          choices: [
+            ...(open.length > 0 ? [{ name: 'Open an order', value: 'open' }] : []),
+            { name: 'Draft orders for items below par', value: 'reorder' },
+            { name: 'Back', value: 'back' }
+          ]
+        }
+      ]);
+
+      try {
+        switch (action) {
+          case 'open':
+            const { orderId } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'orderId',
+                message: 'Order:',
+                choices: open.map(order => ({
+                  name: `${order.id} - ${order.supplier} (${PURCHASE_ORDER_STATUSES[order.status].label})`,
+                  value: order.id
+                })),
+                pageSize: 15
+              }
+            ]);
+            await this.managePurchaseOrder(orderId);
+            break;
+
+          case 'reorder':
+            const { orders: drafts, warnings } = await this.purchaseOrderService.createFromPar({
+              location: this.location || undefined,
+              user: await this.getUser()
+            });
+            if (drafts.length === 0) {
+              displaySuccess('No items need ordering');
+            }
+            warnings.forEach(message => displayWarning(message));
+            drafts.forEach(order => {
+              displaySuccess(`Draft ${order.id} for ${order.supplier}: ${order.lines.length} lines, ${formatCurrency(order.orderedValue)}`);
+            });
+            break;
+
+          case 'back':
+            continueMenu = false;
+            break;
+        }
+      } catch (error) {
+        displayError(error.message);
+      }
+    }
+  }
+
+  /**
+   * Show a purchase order and move it on: send, receive or close
+   * @param {string} id - Purchase order ID
+   */
+  async managePurchaseOrder(id) {
+    const order = await this.purchaseOrderService.get(id);
+
+    console.log(chalk.yellow(`\n🧾 ${order.id} - ${order.supplier}`));
+    console.log(`  Status: ${PURCHASE_ORDER_STATUSES[order.status].label}`);
+    if (order.expectedDate) {
+      console.log(`  Delivery wanted: ${formatDate(order.expectedDate)}`);
+    }
+    if (this.locationSuffix(order.location)) {
+      console.log(`  Deliver to: ${this.locationLabel(order.location)}`);
+    }
+    const data = [['Item', 'Ordered', 'Unit Price', 'Received', 'Outstanding']];
+    order.lines.forEach(line => {
+      data.push([
+        line.name,
+        `${line.quantity} ${line.unit}`,
+        formatCurrency(line.unitPrice),
+        `${line.received} ${line.unit}`,
+        `${Math.max(0, line.quantity - line.received)} ${line.unit}`
+      ]);
+    });
+    console.log(table(data));
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Action:',
+        choices: [
+          ...(order.status === 'draft' ? [{ name: 'Send to supplier (exports the order)', value: 'send' }] : []),
+          ...(['sent', 'partially-received'].includes(order.status) ? [{ name: 'Receive a delivery', value: 'receive' }] : []),
+          { name: order.status === 'received' ? 'Close with the invoice' : 'Close', value: 'close' },
+          { name: 'Back', value: 'back' }
+        ]
+      }
+    ]);
+
+    const user = action === 'back' ? null : await this.getUser();
+    switch (action) {
+      case 'send':
+        const sent = await this.purchaseOrderService.send(id, { user });
+        const filepath = await this.dataService.exportText(this.reportService.purchaseOrderToText(sent), sent.id);
+        displaySuccess(`Marked as sent; order exported to ${filepath}`);
+        break;
+
+      case 'receive':
+        await this.receivePurchaseOrder(order, user);
+        break;
+
+      case 'close':
+        const invoice = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'invoiceNumber',
+            message: 'Invoice number (optional):',
+            default: ''
+          },
+          {
+            type: 'input',
+            name: 'invoiceTotal',
+            message: 'Invoice total (€, blank to skip):',
+            default: '',
+            validate: input => input === '' || Number(input) >= 0 || 'Must be a number of at least 0'
+          }
+        ]);
+        const closed = await this.purchaseOrderService.close(id, {
+          invoiceNumber: invoice.invoiceNumber || undefined,
+          invoiceTotal: invoice.invoiceTotal === '' ? undefined : Number(invoice.invoiceTotal),
+          user
+        });
+        closed.deviations.forEach(deviation => displayWarning(this.purchaseOrderService.describeDeviation(deviation)));
+        displaySuccess(`${id} closed`);
+        break;
+    }
+
+    if (action !== 'back') {
+      await this.waitForKeypress();
+    }
+  }
+
+  /**
+   * Enter a delivery against a purchase order, line by line
+   * @param {Object} order - Purchase order
+   * @param {string} user - Who is receiving
+   */
+  async receivePurchaseOrder(order, user) {
+    const delivered = [];
+    for (const line of order.lines) {
+      const outstanding = Math.max(0, line.quantity - line.received);
+      const answers = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'quantity',
+          message: `${line.name} delivered (${line.unit}, ${outstanding} outstanding):`,
+          default: outstanding,
+          validate: input => input >= 0 || 'Must be 0 or more'
+        },
+        {
+          type: 'number',
+          name: 'unitPrice',
+          message: `Invoiced price per ${line.unit} (€):`,
+          default: line.unitPrice,
+          validate: input => input >= 0 || 'Must be 0 or more',
+          when: answers => answers.quantity > 0
+        },
+        {
+          type: 'input',
+          name: 'lotNumber',
+          message: 'Supplier lot / batch number (optional):',
+          default: '',
+          when: answers => answers.quantity > 0
+        },
+        {
+          type: 'input',
+          name: 'expiryDate',
+          message: 'Expiry date (YYYY-MM-DD, blank for none):',
+          default: '',
+          validate: input => !input || !isNaN(new Date(input).getTime()) || 'Invalid date format',
+          when: answers => answers.quantity > 0
+        }
+      ]);
+      if (answers.quantity > 0) {
+        delivered.push({
+          ingredientId: line.ingredientId,
+          quantity: answers.quantity,
+          unitPrice: answers.unitPrice,
+          lotNumber: answers.lotNumber || undefined,
+          expiryDate: answers.expiryDate || undefined
+        });
+      }
+    }
+
+    const { order: saved, deviations } = await this.purchaseOrderService.receive(order.id, delivered, { user });
+    deviations.forEach(deviation => displayWarning(this.purchaseOrderService.describeDeviation(deviation)));
+    displaySuccess(`Delivery posted to stock; ${order.id} is now ${PURCHASE_ORDER_STATUSES[saved.status].label.toLowerCase()}`);
+  }
+
+  /**
+   * Suppliers
+   * Each supplier carries products with its own codes, pack sizes and
+   * prices; the order generator picks between them per item.
+   */
+  async suppliers() {
+    let continueMenu = true;
+
+    while (continueMenu) {
+      console.log(chalk.cyan('\n🚚 Suppliers\n'));
+
+      let suppliers;
+      try {
+        suppliers = await this.dataService.loadSuppliers();
+      } catch (error) {
+        displayError(error.message);
+        await this.waitForKeypress();
+        return;
+      }
+
+      if (suppliers.length === 0) {
+        displayWarning('No suppliers on file');
+      } else {
+        const data = [['Supplier', 'Contact', 'Delivers', 'Lead Time', 'Minimum Order', 'Products']];
+        suppliers.forEach(supplier => {
+          data.push([
+            supplier.name,
+            [supplier.contactName, supplier.phone].filter(Boolean).join(', ') || '-',
+            supplier.deliveryDays.length > 0 ? supplier.deliveryDays.join(' ') : 'any day',
+            `${supplier.leadTimeDays} days`,
+            supplier.minimumOrderValue > 0 ? formatCurrency(supplier.minimumOrderValue) : '-',
+            supplier.products.length
+          ]);
+        });
+        console.log(table(data));
+      }
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Select an option:',
+          choices: [
+            ...(suppliers.length > 0 ? [{ name: 'Open a supplier', value: 'open' }] : []),
+            { name: 'Add a supplier', value: 'add' },
+            { name: 'Create suppliers from catalogue supplier names', value: 'import' },
+            { name: 'Back', value: 'back' }
+          ]
+        }
+      ]);
+
+      try {
+        switch (action) {
+          case 'open':
+            const { supplierId } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'supplierId',
+                message: 'Supplier:',
+                choices: suppliers.map(supplier => ({ name: supplier.name, value: supplier.id })),
+                pageSize: 15
+              }
+            ]);
+            await this.manageSupplier(supplierId);
+            break;
+
+          case 'add':
+            const added = await this.supplierService.save(await this.promptSupplierDetails({}));
+            displaySuccess(`${added.name} added; open it to add the products it carries`);
+            break;
+
+          case 'import':
+            const imported = await this.supplierService.importFromCatalogue();
+            if (imported.length === 0) {
+              displayWarning('No new supplier names on catalogue items');
+            }
+            imported.forEach(supplier => displaySuccess(`${supplier.name}: ${supplier.products.length} products`));
+            break;
+
+          case 'back':
+            continueMenu = false;
+            break;
+        }
+      } catch (error) {
+        displayError(error.message);
+      }
+    }
+  }
+
+  /**
+   * Show a supplier and edit its details and products
+   * @param {string} id - Supplier ID
+   */
+  async manageSupplier(id) {
+    let continueMenu = true;
+
+    while (continueMenu) {
+      const supplier = await this.supplierService.get(id);
+      const catalogue = await this.dataService.loadCatalogue();
+
+      console.log(chalk.yellow(`\n🚚 ${supplier.name}`));
+      [
+        ['Contact', supplier.contactName],
+        ['Phone', supplier.phone],
+        ['Email', supplier.email],
+        ['Address', supplier.address],
+        ['Account', supplier.accountNumber]
+      ].filter(([, value]) => value).forEach(([label, value]) => console.log(`  ${label}: ${value}`));
+      console.log(`  Delivers: ${supplier.deliveryDays.length > 0 ? supplier.deliveryDays.join(' ') : 'any day'}, ${supplier.leadTimeDays} days after ordering`);
+      console.log(`  Next delivery if ordered today: ${formatDate(this.supplierService.nextDeliveryDate(supplier))}`);
+      if (supplier.minimumOrderValue > 0) {
+        console.log(`  Minimum order: ${formatCurrency(supplier.minimumOrderValue)}`);
+      }
+
+      if (supplier.products.length > 0) {
+        const data = [['Item', 'Code', 'Pack', 'Pack Price', 'Unit Price', 'Preferred']];
+        supplier.products.forEach(product => {
+          const item = catalogue[product.ingredientId];
+          data.push([
+            item?.name || product.ingredientId,
+            product.supplierCode || '-',
+            `${product.packSize} ${item?.unit || ''}`,
+            formatCurrency(product.packPrice),
+            formatCurrency(this.supplierService.unitPrice(product)),
+            product.preferred ? '★' : ''
+          ]);
+        });
+        console.log(table(data));
+      } else {
+        displayWarning('No products yet');
+      }
+
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Action:',
+          choices: [
+            { name: 'Edit details', value: 'edit' },
+            { name: 'Add or update a product', value: 'product' },
+            ...(supplier.products.length > 0 ? [{ name: 'Remove a product', value: 'removeProduct' }] : []),
+            { name: 'Delete supplier', value: 'delete' },
+            { name: 'Back', value: 'back' }
+          ]
+        }
+      ]);
+
+      try {
+        switch (action) {
+          case 'edit':
+            const details = await this.promptSupplierDetails(supplier);
+            await this.supplierService.save({ ...supplier, ...details, id: supplier.id });
+            displaySuccess('Supplier updated');
+            break;
+
+          case 'product':
+            const product = await this.promptSupplierProduct(supplier, catalogue);
+            await this.supplierService.save({
+              ...supplier,
+              products: [...supplier.products.filter(other => other.ingredientId !== product.ingredientId), product]
+            });
+            displaySuccess(`${catalogue[product.ingredientId].name} saved at ${formatCurrency(this.supplierService.unitPrice(product))}/${catalogue[product.ingredientId].unit}`);
+            break;
+
+          case 'removeProduct':
+            const { ingredientId } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'ingredientId',
+                message: 'Product:',
+                choices: supplier.products.map(other => ({
+                  name: catalogue[other.ingredientId]?.name || other.ingredientId,
+                  value: other.ingredientId
+                })),
+                pageSize: 15
+              }
+            ]);
+            await this.supplierService.save({
+              ...supplier,
+              products: supplier.products.filter(other => other.ingredientId !== ingredientId)
+            });
+            displaySuccess('Product removed');
+            break;
+
+          case 'delete':
+            const { confirm } = await inquirer.prompt([
+              {
+                type: 'confirm',
+                name: 'confirm',
+                message: `Delete ${supplier.name}?`,
+                default: false
+              }
+            ]);
+            if (confirm) {
+              await this.supplierService.remove(id);
+              displaySuccess(`${supplier.name} deleted`);
+              continueMenu = false;
+            }
+            break;
+
+          case 'back':
+            continueMenu = false;
+            break;
+        }
+      } catch (error) {
+        displayError(error.message);
+      }
+    }
+  }
+
+  /**
+   * Helper: Ask for a supplier's contact details, delivery days, lead
+   * time and minimum order
+   * @param {Object} current - Current supplier fields
+   * @returns {Promise<Object>} - Supplier fields
+   */
+  async promptSupplierDetails(current) {
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: 'Supplier name:',
+        default: current.name,
+        when: () => !current.id,
+        validate: input => input.trim().length > 0 || 'Name is required'
+      },
+      { type: 'input', name: 'contactName', message: 'Contact person:', default: current.contactName || '' },
+      { type: 'input', name: 'phone', message: 'Phone:', default: current.phone || '' },
+      { type: 'input', name: 'email', message: 'Email:', default: current.email || '' },
+      { type: 'input', name: 'address', message: 'Address:', default: current.address || '' },
+      { type: 'input', name: 'accountNumber', message: 'Our account number:', default: current.accountNumber || '' },
+      {
+        type: 'checkbox',
+        name: 'deliveryDays',
+        message: 'Delivery days (none = any day):',
+        choices: DELIVERY_DAYS.map(day => ({ name: day, value: day, checked: (current.deliveryDays || []).includes(day) }))
+      },
+      {
+        type: 'number',
+        name: 'leadTimeDays',
+        message: 'Lead time (days from order to delivery):',
+        default: current.leadTimeDays ?? 1,
+        validate: input => (Number.isInteger(input) && input >= 0) || 'Must be a whole number of days'
+      },
+      {
+        type: 'number',
+        name: 'minimumOrderValue',
+        message: 'Minimum order value (€, 0 for none):',
+        default: current.minimumOrderValue ?? 0,
+        validate: input => input >= 0 || 'Must be 0 or more'
+      }
+    ]);
+    return { ...answers, name: (answers.name ?? current.name).trim() };
+  }
+
+  /**
+   * Helper: Ask for a product a supplier carries
+   * @param {Object} supplier - Supplier
+   * @param {Object} catalogue - Catalogue keyed by ingredient ID
+   * @returns {Promise<Object>} - Supplier product
+   */
+  async promptSupplierProduct(supplier, catalogue) {
+    const { ingredientId } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'ingredientId',
+        message: 'Item:',
+        choices: Object.values(catalogue)
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map(item => ({ name: `${item.name} (${item.unit})`, value: item.id })),
+        pageSize: 15
+      }
+    ]);
+    const item = catalogue[ingredientId];
+    const current = supplier.products.find(product => product.ingredientId === ingredientId) || {};
+
+    const answers = await inquirer.prompt([
+      { type: 'input', name: 'supplierCode', message: 'Supplier product code:', default: current.supplierCode || item.supplierCode || '' },
+      {
+        type: 'number',
+        name: 'packSize',
+        message: `Pack size (${item.unit}):`,
+        default: current.packSize ?? 1,
+        validate: input => input > 0 || 'Must be greater than zero'
+      },
+      {
+        type: 'number',
+        name: 'packPrice',
+        message: 'Price per pack (€):',
+        default: current.packPrice ?? item.unitPrice,
+        validate: input => input >= 0 || 'Must be 0 or more'
+      },
+      {
+        type: 'confirm',
+        name: 'preferred',
+        message: 'Preferred supplier for this item?',
+        default: current.preferred ?? false
+      }
+    ]);
+    return { ingredientId, ...answers };
+  }
+
+  /**
+   * Helper: Export order list
+   */
+  async exportOrderList(orderItems) {
+    try {
+      const filename = `order_${new Date().toISOString().split('T')[0]}`;
+      const filepath = await this.dataService.exportToCSV(orderItems, filename);
+      displaySuccess(`Order list exported to: ${filepath}`);
+    } catch (error) {
+      displayError(`Export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Helper: Ask once per session who is recording stock movements
+   * @returns {Promise<string>} - User name
+   */
+  async getUser() {
+    if (!this.user) {
+      const { user } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'user',
+          message: 'Recorded by:',
+          default: this.inventoryService.defaultUser(),
+          validate: input => input.trim().length > 0 || 'Name is required'
+        }
+      ]);
+      this.user = user.trim();
+    }
+    return this.user;
+  }
+
+  /**
+   * Wait for keypress
+   */
+  async waitForKeypress() {
+    await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'continue',
+        message: '\nPress Enter to continue...'
+      }
+    ]);
+  }
+}
\ No newline at end of file
@@ -2,12 +2,23 @@ import inquirer from "inquirer";
 import chalk from "chalk";
 import { table } from "table";
 import { RecipeCostCalculator } from "../core/calculations/RecipeCostCalculator.js";
-import { clearScreen, displayTitle } from "../utils/display.js";
+import { UnitConverter } from "../core/converters/UnitConverter.js";
+import DataService from "../services/DataService.js";
+import { ReportService } from "../services/ReportService.js";
+import {
+  clearScreen,
+  displayTitle,
+  displayQuarantineNotices,
+  displayWarning,
+} from "../utils/display.js";
 import { formatCurrency, formatPercentage } from "../utils/format.js";
 
 export class RecipeMenu {
   constructor() {
     this.calculator = new RecipeCostCalculator();
+    this.unitConverter = new UnitConverter();
+    this.dataService = DataService;
+    this.reportService = new ReportService();
     this.currentRecipe = null;
   }
 
@@ -32,10 +43,11 @@ export class RecipeMenu {
             { name: "6. 📈 Recipe Profitability", value: "profit" },
             { name: "7. 💾 Save Recipe", value: "save" },
             { name: "8. 📂 Load Recipe", value: "load" },
+            { name: "9. 🕘 Recipe Versions", value: "versions" },
             new inquirer.Separator(),
             { name: "0. ↩️  Back to Main Menu", value: "back" },
           ],
-          pageSize: 11,
+          pageSize: 12,
         },
       ]);
 
@@ -64,6 +76,9 @@ export class RecipeMenu {
         case "load":
           await this.loadRecipe();
           break;
+        case "versions":
+          await this.manageVersions();
+          break;
         case "back":
           continueMenu = false;
           break;
@@ -103,8 +118,31 @@ export class RecipeMenu {
         validate: (input) =>
           (input > 0 && input < 100) || "Must be between 0 and 100",
       },
+      {
+        type: "confirm",
+        name: "isPrepItem",
+        message: "Is this a prep item (used as a sub-recipe)?",
+        default: false,
+      },
+      {
+        type: "number",
+        name: "yieldQuantity",
+        message: "Batch yield quantity (e.g. 1.2 for 1.2 kg):",
+        when: (answers) => answers.isPrepItem,
+        validate: (input) => input > 0 || "Yield must be greater than 0",
+      },
+      {
+        type: "input",
+        name: "yieldUnit",
+        message: "Batch yield unit (e.g. kg, l, portion):",
+        default: "kg",
+        when: (answers) => answers.isPrepItem,
+        validate: (input) => input.length > 0 || "Unit is required",
+      },
     ]);
 
+    delete recipeInfo.isPrepItem;
+
     // Get ingredients
     const ingredients = [];
     let addMore = true;
@@ -161,11 +199,36 @@ export class RecipeMenu {
   }
 
   async inputIngredient() {
+    const catalogue = await this.dataService.loadCatalogue();
+
     const ingredient = await inquirer.prompt([
+      {
+        type: "list",
+        name: "pricing",
+        message: "Ingredient source:",
+        choices: [
+          { name: "Ingredient catalogue (live price)", value: "catalogue" },
+          { name: "Manual - priced per recipe unit", value: "recipe" },
+          { name: "Manual - priced per purchase unit (e.g. €/kg)", value: "purchase" },
+          { name: "Manual - priced per pack (e.g. case of 12 × 1 L, 10 kg sack)", value: "pack" },
+          { name: "Sub-recipe (saved prep item)", value: "subrecipe" },
+        ],
+      },
+      {
+        type: "list",
+        name: "ingredientId",
+        message: "Select catalogue item:",
+        when: (answers) => answers.pricing === "catalogue",
+        choices: Object.values(catalogue).map((item) => ({
+          name: `${item.name} (${formatCurrency(item.unitPrice)}/${item.unit})`,
+          value: item.id,
+        })),
+      },
       {
         type: "input",
         name: "name",
         message: "Ingredient name:",
+        when: (answers) => answers.pricing !== "catalogue",
         validate: (input) => input.length > 0 || "Name is required",
       },
       {
@@ -187,24 +250,121 @@ export class RecipeMenu {
           { name: "Cups", value: "cup" },
           { name: "Tablespoons", value: "tbsp" },
           { name: "Teaspoons", value: "tsp" },
+          { name: "Ounces (oz)", value: "oz" },
+          { name: "Pounds (lb)", value: "lb" },
+          { name: "Portions (sub-recipes)", value: "portion" },
         ],
       },
+      {
+        type: "list",
+        name: "recipeRef",
+        message: "Select sub-recipe:",
+        when: (answers) => answers.pricing === "subrecipe",
+        choices: async () => {
+          const recipes = await this.dataService.listRecipes();
+          return recipes.map((r) => ({ name: r.name, value: r.filename }));
+        },
+      },
+      {
+        type: "confirm",
+        name: "hasOverride",
+        message: "Override the catalogue price for this recipe?",
+        default: false,
+        when: (answers) => answers.pricing === "catalogue",
+      },
+      {
+        type: "number",
+        name: "priceOverride",
+        message: (answers) =>
+          `Recipe price per ${catalogue[answers.ingredientId].unit} (€):`,
+        when: (answers) => answers.hasOverride,
+        validate: (input) => input >= 0 || "Price cannot be negative",
+      },
       {
         type: "number",
         name: "unitPrice",
         message: "Price per unit (€):",
+        when: (answers) => answers.pricing === "recipe",
+        validate: (input) => input >= 0 || "Price cannot be negative",
+      },
+      {
+        type: "input",
+        name: "purchaseUnit",
+        message: "Purchase unit (e.g. kg, l, lb):",
+        when: (answers) => answers.pricing === "purchase",
+        validate: (input) =>
+          this.unitConverter.isKnownUnit(input) || "Unknown unit",
+      },
+      {
+        type: "number",
+        name: "unitPrice",
+        message: "Price per purchase unit (€):",
+        when: (answers) => answers.pricing === "purchase",
+        validate: (input) => input >= 0 || "Price cannot be negative",
+      },
+      {
+        type: "number",
+        name: "packCount",
+        message: "Items per pack (1 for a single sack/tub):",
+        default: 1,
+        when: (answers) => answers.pricing === "pack",
+        validate: (input) =>
+          (Number.isInteger(input) && input > 0) || "Must be a whole number",
+      },
+      {
+        type: "number",
+        name: "packSize",
+        message: "Size of each item:",
+        when: (answers) => answers.pricing === "pack",
+        validate: (input) => input > 0 || "Size must be greater than 0",
+      },
+      {
+        type: "input",
+        name: "packUnit",
+        message: "Unit of each item (e.g. l, kg):",
+        when: (answers) => answers.pricing === "pack",
+        validate: (input) =>
+          this.unitConverter.isKnownUnit(input) || "Unknown unit",
+      },
+      {
+        type: "number",
+        name: "packPrice",
+        message: "Price per pack (€):",
+        when: (answers) => answers.pricing === "pack",
         validate: (input) => input >= 0 || "Price cannot be negative",
       },
       {
         type: "number",
         name: "yieldPercentage",
         message: "Yield percentage (100 if no waste):",
-        default: 100,
+        default: (answers) =>
+          answers.pricing === "catalogue"
+            ? catalogue[answers.ingredientId].defaultYield || 100
+            : 100,
+        when: (answers) => answers.pricing !== "subrecipe",
         validate: (input) =>
           (input > 0 && input <= 100) || "Must be between 0 and 100",
       },
     ]);
 
+    if (ingredient.ingredientId) {
+      ingredient.name = catalogue[ingredient.ingredientId].name;
+    }
+    delete ingredient.pricing;
+    delete ingredient.hasOverride;
+
+    // Fail early if the purchase unit can't be reconciled with the recipe unit
+    try {
+      const context = await this.dataService.loadCostingContext({
+        ingredients: [ingredient],
+      });
+      this.calculator.calculateRecipeCost({ ingredients: [ingredient] }, context);
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+      console.log(chalk.yellow("Please re-enter this ingredient.\n"));
+      return this.inputIngredient();
+    }
+
     return ingredient;
   }
 
@@ -221,12 +381,23 @@ export class RecipeMenu {
 
     console.log(chalk.cyan("\n💰 Calculating Recipe Cost...\n"));
 
-    const recipeCost = this.calculator.calculateRecipeCost(this.currentRecipe);
-    this.displayRecipeCost(recipeCost);
+    try {
+      const recipeCost = await this.costCurrentRecipe();
+      this.displayRecipeCost(recipeCost);
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+    }
 
     await this.waitForKeypress();
   }
 
+  async costCurrentRecipe() {
+    const context = await this.dataService.loadCostingContext(
+      this.currentRecipe
+    );
+    return this.calculator.calculateRecipeCost(this.currentRecipe, context);
+  }
+
   displayRecipeCost(recipeCost) {
     console.log(
       chalk.green.bold(`\n📊 ESCANDALLO - ${recipeCost.recipeName}\n`)
@@ -241,7 +412,7 @@ export class RecipeMenu {
 
     recipeCost.breakdown.forEach((item) => {
       ingredientData.push([
-        item.name,
+        item.subRecipe ? `▸ ${item.name}` : item.name,
         `${item.quantity} ${item.unit}`,
         formatCurrency(item.apCost),
         `${item.yieldPercentage}%`,
@@ -283,6 +454,8 @@ export class RecipeMenu {
 
     console.log(chalk.green.bold("💵 Summary:"));
     console.log(table(summaryData));
+
+    recipeCost.warnings.forEach((warning) => displayWarning(warning));
   }
 
   async calculateYield() {
@@ -547,7 +720,14 @@ export class RecipeMenu {
 
     console.log(chalk.cyan("\n📈 Recipe Profitability Analysis\n"));
 
-    const recipeCost = this.calculator.calculateRecipeCost(this.currentRecipe);
+    let recipeCost;
+    try {
+      recipeCost = await this.costCurrentRecipe();
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+      await this.waitForKeypress();
+      return;
+    }
 
     const profitData = await inquirer.prompt([
       {
@@ -608,38 +788,245 @@ export class RecipeMenu {
       return;
     }
 
-    console.log(
-      chalk.green(`\n✓ Recipe "${this.currentRecipe.name}" saved successfully!`)
-    );
+    if (!this.currentRecipe.id) {
+      const id = this.dataService.toSlug(this.currentRecipe.name);
+      const versions = await this.dataService.listRecipeVersions(id);
+      if (versions.length > 0) {
+        const { overwrite } = await inquirer.prompt([
+          {
+            type: "confirm",
+            name: "overwrite",
+            message: `A recipe named "${this.currentRecipe.name}" already exists. Save as a new version of it?`,
+            default: false,
+          },
+        ]);
+        if (!overwrite) {
+          console.log(chalk.yellow("\n⚠️  Save cancelled. Rename the recipe to keep both."));
+          await this.waitForKeypress();
+          return;
+        }
+      }
+    }
+
+    const { note } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "note",
+        message: "Change note (optional):",
+        default: "",
+      },
+    ]);
+
+    try {
+      await this.dataService.saveRecipe(this.currentRecipe, note);
+      console.log(
+        chalk.green(
+          `\n✓ Recipe "${this.currentRecipe.name}" saved as version ${this.currentRecipe.version}!`
+        )
+      );
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+    }
     await this.waitForKeypress();
   }
 
   async loadRecipe() {
-    // Simulated recipe list
-    const recipes = [
-      "Beef Wellington",
-      "Chocolate Soufflé",
-      "Caesar Salad",
-      "Pasta Carbonara",
-    ];
+    let recipes = [];
+    try {
+      recipes = await this.dataService.listRecipes();
+      displayQuarantineNotices(await this.dataService.takeQuarantineNotices());
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+    }
+
+    if (recipes.length === 0) {
+      console.log(chalk.yellow("\n⚠️  No saved recipes found."));
+      await this.waitForKeypress();
+      return;
+    }
 
     const { recipe } = await inquirer.prompt([
       {
         type: "list",
         name: "recipe",
         message: "Select a recipe to load:",
-        choices: [...recipes, new inquirer.Separator(), "Cancel"],
+        choices: [
+          ...recipes.map((r) => ({ name: r.name, value: r.filename })),
+          new inquirer.Separator(),
+          { name: "Cancel", value: null },
+        ],
+      },
+    ]);
+
+    if (recipe) {
+      this.currentRecipe = await this.dataService.loadRecipe(recipe);
+      console.log(
+        chalk.green(`\n✓ Recipe "${this.currentRecipe.name}" loaded successfully!`)
+      );
+    }
+
+    await this.waitForKeypress();
+  }
+
+  async manageVersions() {
+    let recipes = [];
+    try {
+      recipes = (await this.dataService.listRecipes()).filter((r) => r.version);
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+    }
+
+    if (recipes.length === 0) {
+      console.log(chalk.yellow("\n⚠️  No versioned recipes found."));
+      await this.waitForKeypress();
+      return;
+    }
+
+    const { id } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "id",
+        message: "Select a recipe:",
+        choices: recipes.map((r) => ({
+          name: `${r.name} (v${r.version})`,
+          value: r.id,
+        })),
+      },
+    ]);
+
+    const versions = await this.dataService.listRecipeVersions(id);
+
+    console.log(chalk.cyan("\n🕘 Version History\n"));
+    const data = [["Version", "Saved", "Portions", "Ingredients", "Note"]];
+    versions.forEach((v) => {
+      data.push([
+        `v${v.version}`,
+        new Date(v.savedAt).toLocaleString(),
+        v.portions,
+        v.ingredientCount,
+        v.note || "-",
+      ]);
+    });
+    console.log(table(data));
+
+    const versionChoices = versions
+      .map((v) => ({ name: `v${v.version}`, value: v.version }))
+      .reverse();
+
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "What would you like to do?",
+        choices: [
+          { name: "Compare two versions", value: "diff" },
+          { name: "Roll back to a version", value: "rollback" },
+          { name: "Back", value: "back" },
+        ],
       },
     ]);
 
-    if (recipe !== "Cancel") {
-      console.log(chalk.green(`\n✓ Recipe "${recipe}" loaded successfully!`));
-      // In real implementation, load actual recipe data
+    if (action === "diff") {
+      if (versions.length < 2) {
+        console.log(chalk.yellow("\n⚠️  Only one version saved."));
+      } else {
+        const { from, to } = await inquirer.prompt([
+          {
+            type: "list",
+            name: "from",
+            message: "Compare from version:",
+            choices: versionChoices,
+            default: 1,
+          },
+          {
+            type: "list",
+            name: "to",
+            message: "To version:",
+            choices: versionChoices,
+            default: 0,
+          },
+        ]);
+        await this.displayRecipeDiff(id, from, to);
+      }
+    } else if (action === "rollback") {
+      const { version, confirm } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "version",
+          message: "Roll back to version:",
+          choices: versionChoices.slice(1),
+        },
+        {
+          type: "confirm",
+          name: "confirm",
+          message: "This saves the selected version as the new current version. Continue?",
+          default: false,
+        },
+      ]);
+
+      if (confirm && version) {
+        const restored = await this.dataService.rollbackRecipe(id, version);
+        this.currentRecipe = restored;
+        console.log(
+          chalk.green(
+            `\n✓ "${restored.name}" rolled back to v${version} (saved as v${restored.version})`
+          )
+        );
+      }
     }
 
     await this.waitForKeypress();
   }
 
+  async displayRecipeDiff(id, from, to) {
+    let diff;
+    try {
+      const before = await this.dataService.loadRecipeVersion(id, from);
+      const after = await this.dataService.loadRecipeVersion(id, to);
+      diff = this.reportService.generateRecipeDiff(
+        before,
+        after,
+        await this.dataService.loadCostingContext(before),
+        await this.dataService.loadCostingContext(after)
+      );
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+      return;
+    }
+
+    console.log(
+      chalk.cyan(`\n🔍 ${diff.recipeName}: v${diff.fromVersion} → v${diff.toVersion}\n`)
+    );
+
+    diff.fieldChanges.forEach((change) => {
+      console.log(chalk.gray(`  ${change.field}: ${change.from} → ${change.to}`));
+    });
+
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+      console.log(chalk.gray("  No ingredient changes."));
+    } else {
+      const data = [["", "Ingredient", "Change", "Cost Impact"]];
+      diff.added.forEach((line) => {
+        data.push([chalk.green("+"), line.name, line.quantity, line.cost]);
+      });
+      diff.removed.forEach((line) => {
+        data.push([chalk.red("-"), line.name, line.quantity, line.cost]);
+      });
+      diff.changed.forEach((line) => {
+        data.push([chalk.yellow("~"), line.name, line.changes.join("\n"), line.cost]);
+      });
+      console.log(table(data));
+    }
+
+    console.log(chalk.yellow("💰 Cost impact (current prices):"));
+    console.log(
+      `  Total: ${diff.costImpact.totalBefore} → ${diff.costImpact.totalAfter} (${diff.costImpact.totalChange}, ${diff.costImpact.totalChangePercent})`
+    );
+    console.log(
+      `  Per portion: ${diff.costImpact.perPortionBefore} → ${diff.costImpact.perPortionAfter} (${diff.costImpact.perPortionChange})`
+    );
+  }
+
   async waitForKeypress() {
     await inquirer.prompt([
       {
@@ -0,0 +1,1767 @@
+import inquirer from "inquirer";
+import chalk from "chalk";
+import fs from "fs-extra";
+import { table } from "table";
+import DataService from "../services/DataService.js";
+import { ReportService } from "../services/ReportService.js";
+import { InventoryService } from "../services/InventoryService.js";
+import { WasteService } from "../services/WasteService.js";
+import { SalesService } from "../services/SalesService.js";
+import { FoodCostService } from "../services/FoodCostService.js";
+import { DashboardService } from "../services/DashboardService.js";
+import { ProductionService } from "../services/ProductionService.js";
+import { COSTING_METHODS, INVENTORY_CONFIG } from "../config/inventory.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../config/locations.js";
+import { SALES_CONFIG, DATE_FORMATS, DECIMAL_SEPARATORS, parseColumns } from "../config/sales.js";
+import {
+  clearScreen,
+  displayTitle,
+  displaySuccess,
+  displayWarning,
+} from "../utils/display.js";
+import {
+  formatCurrency,
+  formatDate,
+  formatNumber,
+  formatPercentage,
+} from "../utils/format.js";
+
+// Exportable reports with a PDF layout (ReportService.exportToPDF type)
+const PDF_REPORTS = {
+  Escandallo: "escandallo",
+  "Menu Engineering": "menu",
+  Inventory: "inventory",
+  Profitability: "sales",
+  "Production Schedule": "production",
+};
+
+// Reports built only for print, with no CSV or JSON export
+const PDF_ONLY_REPORTS = ["Profitability", "Production Schedule"];
+
+export class ReportsMenu {
+  constructor() {
+    this.dataService = DataService;
+    this.reportService = new ReportService();
+    this.inventoryService = new InventoryService(DataService);
+    this.wasteService = new WasteService(DataService, this.inventoryService);
+    this.salesService = new SalesService(DataService);
+    this.foodCostService = new FoodCostService(DataService, this.inventoryService, this.salesService);
+    this.dashboardService = new DashboardService(DataService, this.inventoryService, this.salesService);
+    this.productionService = new ProductionService(DataService, this.inventoryService, this.salesService);
+  }
+
+  async show() {
+    let continueMenu = true;
+
+    while (continueMenu) {
+      clearScreen();
+      displayTitle("REPORTS & ANALYSIS");
+
+      const { choice } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "choice",
+          message: "Select report type:",
+          choices: [
+            { name: "1. 📊 Escandallo Report", value: "escandallo" },
+            { name: "2. 📈 Food Cost Analysis", value: "foodcost" },
+            { name: "3. 🍞 Bakery Production", value: "bakery" },
+            { name: "4. 📋 Menu Engineering", value: "menu" },
+            { name: "5. 💰 Profitability Report", value: "profit" },
+            { name: "6. 📦 Inventory Report", value: "inventory" },
+            { name: "7. 📅 Daily Production", value: "daily" },
+            { name: "8. 📊 Dashboard Summary", value: "dashboard" },
+            { name: "9. 💾 Export Reports", value: "export" },
+            { name: "10. 📧 Email Reports", value: "email" },
+            { name: "11. 📉 Recipe Cost Drift", value: "drift" },
+            { name: "12. 🗑️  Waste Report", value: "waste" },
+            { name: "13. 🧾 POS Sales", value: "sales" },
+            new inquirer.Separator(),
+            { name: "0. ↩️  Back to Main Menu", value: "back" },
+          ],
+          pageSize: 16,
+        },
+      ]);
+
+      switch (choice) {
+        case "escandallo":
+          await this.escandalloReport();
+          break;
+        case "foodcost":
+          await this.foodCostAnalysis();
+          break;
+        case "bakery":
+          await this.bakeryReport();
+          break;
+        case "menu":
+          await this.menuEngineering();
+          break;
+        case "profit":
+          await this.profitabilityReport();
+          break;
+        case "inventory":
+          await this.inventoryReport();
+          break;
+        case "daily":
+          await this.dailyProduction();
+          break;
+        case "dashboard":
+          await this.dashboardSummary();
+          break;
+        case "export":
+          await this.exportReports();
+          break;
+        case "email":
+          await this.emailReports();
+          break;
+        case "drift":
+          await this.costDriftReport();
+          break;
+        case "waste":
+          await this.wasteReport();
+          break;
+        case "sales":
+          await this.posSales();
+          break;
+        case "back":
+          continueMenu = false;
+          break;
+      }
+    }
+  }
+
+  async escandalloReport() {
+    console.log(chalk.cyan("\n📊 Escandallo Report Generator\n"));
+
+    // Load recipes
+    let recipes = [];
+    try {
+      recipes = await this.dataService.listRecipes();
+    } catch (error) {
+      displayWarning("No recipes found");
+      await this.waitForKeypress();
+      return;
+    }
+
+    const { recipeName, asOf } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "recipeName",
+        message: "Select recipe:",
+        choices: recipes.map((r) => r.name),
+      },
+      {
+        type: "input",
+        name: "asOf",
+        message: "Price as of date (YYYY-MM-DD, blank for current prices):",
+        default: "",
+        validate: (input) =>
+          input === "" ||
+          !isNaN(new Date(input).getTime()) ||
+          "Invalid date format",
+      },
+    ]);
+
+    const selectedRecipe = recipes.find((r) => r.name === recipeName);
+    const fullRecipe = await this.dataService.loadRecipe(
+      selectedRecipe.filename
+    );
+    const context = await this.dataService.loadCostingContext(
+      fullRecipe,
+      asOf || null
+    );
+
+    // Generate escandallo
+    const report = this.reportService.generateEscandallo(fullRecipe, context);
+
+    console.log(chalk.green.bold(`\n════════════════════════════════════════`));
+    console.log(chalk.green.bold(`         ESCANDALLO - ${report.recipeName}`));
+    console.log(chalk.green.bold(`════════════════════════════════════════\n`));
+
+    console.log(chalk.gray(`Date: ${report.date}`));
+    if (asOf) {
+      console.log(chalk.gray(`Prices as of: ${formatDate(asOf)}`));
+    }
+    console.log(chalk.gray(`Portions: ${report.portions}`));
+    if (report.allergens.length > 0) {
+      console.log(chalk.gray(`Allergens: ${report.allergens.join(", ")}`));
+    }
+    console.log();
+
+    // Ingredients breakdown
+    console.log(chalk.yellow("📦 INGREDIENTS BREAKDOWN:"));
+    const ingredientData = [
+      [
+        "Ingredient",
+        "Qty",
+        "Unit",
+        "€/Unit",
+        "AP Cost",
+        "Yield%",
+        "EP Cost",
+        "Waste",
+        "% Total",
+      ],
+    ];
+
+    report.ingredients.forEach((item) => {
+      ingredientData.push([
+        item.isSubRecipe ? `▸ ${item.name}` : item.name,
+        item.quantity,
+        item.unit,
+        item.unitPrice,
+        item.apCost,
+        item.yield,
+        item.epCost,
+        item.waste,
+        item.percentage,
+      ]);
+    });
+
+    console.log(table(ingredientData));
+
+    // Sub-recipe drill-down
+    if (report.subRecipes.length > 0) {
+      console.log(chalk.yellow("🔎 SUB-RECIPE DRILL-DOWN:"));
+      const drillDownData = [["Item", "Qty", "Unit", "Unit Cost", "Cost"]];
+
+      report.subRecipes.forEach((row) => {
+        const indent = "  ".repeat(row.level - 1);
+        drillDownData.push([
+          `${indent}${row.isSubRecipe ? "▸ " : "• "}${row.name}`,
+          row.quantity,
+          row.unit,
+          row.unitCost,
+          row.cost,
+        ]);
+      });
+
+      console.log(table(drillDownData));
+    }
+
+    // Adjustments
+    console.log(chalk.yellow("📊 ADJUSTMENTS:"));
+    console.log(
+      `  Spice Factor (${report.adjustments.spiceFactor}): ${report.adjustments.spiceCost}`
+    );
+    console.log(
+      `  Q Factor (${report.adjustments.qFactor}): ${report.adjustments.qCost}`
+    );
+    console.log();
+
+    // Summary
+    console.log(chalk.yellow("💰 SUMMARY:"));
+    const summaryData = [
+      ["Metric", "Value"],
+      ["Direct Cost", report.totals.directCost],
+      ["Total Cost", report.totals.totalCost],
+      ["Cost per Portion", report.totals.costPerPortion],
+      ["Target Food Cost", report.totals.targetFoodCost],
+      ["Suggested Price", report.totals.suggestedPrice],
+      ["Actual Food Cost %", report.totals.actualFoodCost],
+    ];
+
+    console.log(table(summaryData));
+
+    // Profitability indicator
+    const foodCostPercent = parseFloat(report.totals.actualFoodCost);
+    if (foodCostPercent <= 30) {
+      console.log(chalk.green("✓ Excellent profitability"));
+    } else if (foodCostPercent <= 35) {
+      console.log(chalk.yellow("⚠️  Good profitability"));
+    } else {
+      console.log(chalk.red("❌ Review pricing or reduce costs"));
+    }
+
+    await this.waitForKeypress();
+  }
+
+  async foodCostAnalysis() {
+    console.log(chalk.cyan("\n📈 Food Cost Analysis\n"));
+
+    const { source } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "source",
+        message: "Figures from:",
+        choices: [
+          { name: "Imported sales and inventory (theoretical vs actual)", value: "data" },
+          { name: "Enter figures by hand", value: "manual" },
+        ],
+      },
+    ]);
+    if (source === "data") {
+      await this.foodCostReconciliation();
+      return;
+    }
+
+    const params = await inquirer.prompt([
+      {
+        type: "list",
+        name: "period",
+        message: "Analysis period:",
+        choices: [
+          { name: "Daily", value: "daily" },
+          { name: "Weekly", value: "weekly" },
+          { name: "Monthly", value: "monthly" },
+          { name: "Custom", value: "custom" },
+        ],
+      },
+      {
+        type: "number",
+        name: "revenue",
+        message: "Total revenue (€):",
+        validate: (input) => input >= 0,
+      },
+      {
+        type: "number",
+        name: "cogs",
+        message: "Cost of Goods Sold (€):",
+        validate: (input) => input >= 0,
+      },
+      {
+        type: "number",
+        name: "beginningInventory",
+        message: "Beginning inventory (€):",
+        default: 0,
+        validate: (input) => input >= 0,
+      },
+      {
+        type: "number",
+        name: "purchases",
+        message: "Purchases (€):",
+        default: 0,
+        validate: (input) => input >= 0,
+      },
+      {
+        type: "number",
+        name: "endingInventory",
+        message: "Ending inventory (€):",
+        default: 0,
+        validate: (input) => input >= 0,
+      },
+    ]);
+
+    // Calculate actual CoGS if inventory provided
+    let actualCogs = params.cogs;
+    if (
+      params.beginningInventory ||
+      params.purchases ||
+      params.endingInventory
+    ) {
+      actualCogs =
+        params.beginningInventory + params.purchases - params.endingInventory;
+    }
+
+    const foodCostPercent = (actualCogs / params.revenue) * 100;
+    const grossProfit = params.revenue - actualCogs;
+    const grossProfitMargin = (grossProfit / params.revenue) * 100;
+
+    console.log(chalk.green("\n📊 Food Cost Analysis Results\n"));
+
+    const data = [
+      ["Metric", "Value"],
+      ["Period", params.period],
+      ["", ""],
+      ["Revenue", formatCurrency(params.revenue)],
+      ["Beginning Inventory", formatCurrency(params.beginningInventory)],
+      ["Purchases", formatCurrency(params.purchases)],
+      ["Ending Inventory", formatCurrency(params.endingInventory)],
+      ["", ""],
+      ["Cost of Goods Sold", formatCurrency(actualCogs)],
+      ["Food Cost %", formatPercentage(foodCostPercent)],
+      ["", ""],
+      ["Gross Profit", formatCurrency(grossProfit)],
+      ["Gross Profit Margin", formatPercentage(grossProfitMargin)],
+    ];
+
+    console.log(table(data));
+
+    // Performance indicator
+    console.log(chalk.yellow("\n📈 Performance Analysis:"));
+
+    if (foodCostPercent < 25) {
+      console.log(chalk.green("✓ Excellent - Very low food cost"));
+    } else if (foodCostPercent <= 30) {
+      console.log(chalk.green("✓ Good - Within target range"));
+    } else if (foodCostPercent <= 35) {
+      console.log(chalk.yellow("⚠️  Acceptable - Monitor closely"));
+    } else {
+      console.log(chalk.red("❌ High - Immediate action needed"));
+    }
+
+    // Recommendations
+    console.log(chalk.yellow("\n💡 Recommendations:"));
+    if (foodCostPercent > 35) {
+      console.log("  • Review portion sizes");
+      console.log("  • Negotiate with suppliers");
+      console.log("  • Reduce waste");
+      console.log("  • Adjust menu prices");
+      console.log("  • Focus on high-margin items");
+    } else if (foodCostPercent > 30) {
+      console.log("  • Monitor high-cost ingredients");
+      console.log("  • Implement portion control");
+      console.log("  • Track waste daily");
+    } else {
+      console.log("  • Maintain current standards");
+      console.log("  • Consider quality improvements");
+      console.log("  • Explore premium offerings");
+    }
+
+    await this.waitForKeypress();
+  }
+
+  async bakeryReport() {
+    console.log(chalk.cyan("\n🍞 Bakery Production Report\n"));
+
+    const params = await this.askProductionDay();
+
+    let batches;
+    try {
+      batches = await this.inventoryService.getProduction(params.date, params.location || undefined);
+    } catch (error) {
+      displayWarning(`Unable to load production: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    const place = params.location ? ` - ${LOCATIONS[params.location].label}` : "";
+    console.log(
+      chalk.green(`\n📊 Bakery Production Report - ${formatDate(params.date)}${place}\n`)
+    );
+
+    if (batches.length === 0) {
+      displayWarning("No production recorded on this day");
+      console.log(
+        chalk.gray("Record batches under Inventory → Record Production / Sales, or: foodsystem inventory produce --recipe <id> --batches <n>")
+      );
+      await this.waitForKeypress();
+      return;
+    }
+
+    const kg = (weight) => (weight === null ? "-" : `${weight.toFixed(1)}kg`);
+    const productionData = [
+      [
+        "Product",
+        "Batches",
+        "Portions",
+        "Output",
+        "Ingredients",
+        "Flour Used",
+        "Yield %",
+        "Cost",
+      ],
+    ];
+
+    let totalFlour = 0;
+    let totalProduct = 0;
+    let totalCost = 0;
+
+    batches.forEach((batch) => {
+      productionData.push([
+        batch.name,
+        batch.batches === null ? "-" : formatNumber(batch.batches, 1),
+        batch.portions,
+        kg(batch.output),
+        kg(batch.ingredientWeight),
+        batch.flour > 0 ? kg(batch.flour) : "-",
+        batch.yieldPercent === null ? "-" : `${batch.yieldPercent.toFixed(1)}%`,
+        formatCurrency(batch.cost),
+      ]);
+
+      totalCost += batch.cost;
+      // The overall yield only counts batches with both weights known
+      if (batch.yieldPercent !== null) {
+        totalFlour += batch.flour;
+        totalProduct += batch.output;
+      }
+    });
+
+    console.log(table(productionData));
+
+    // Summary
+    console.log(chalk.yellow("📈 Production Summary:"));
+    console.log(`  Production runs recorded: ${batches.length}`);
+    console.log(`  Ingredient cost: ${formatCurrency(totalCost)}`);
+    if (totalFlour === 0) {
+      console.log(
+        chalk.gray("  Yield needs flour in the batch and a recipe yield set in a weight unit")
+      );
+      await this.waitForKeypress();
+      return;
+    }
+    console.log(`  Total flour used: ${totalFlour.toFixed(1)}kg`);
+    console.log(`  Total product: ${totalProduct.toFixed(1)}kg`);
+    console.log(
+      `  Overall yield: ${((totalProduct / totalFlour) * 100).toFixed(1)}%`
+    );
+
+    // Efficiency metrics
+    const efficiency = (totalProduct / totalFlour) * 100;
+    console.log(chalk.yellow("\n⚡ Efficiency Metrics:"));
+
+    if (efficiency > 160) {
+      console.log(chalk.green("✓ Excellent yield efficiency"));
+    } else if (efficiency > 150) {
+      console.log(chalk.yellow("⚠️  Good yield, room for improvement"));
+    } else {
+      console.log(chalk.red("❌ Low yield - check processes"));
+    }
+
+    await this.waitForKeypress();
+  }
+
+  async menuEngineering() {
+    console.log(chalk.cyan("\n📋 Menu Engineering Analysis\n"));
+
+    const params = await this.askPeriod();
+
+    let report;
+    try {
+      report = await this.salesService.getMenuEngineering({
+        from: params.from,
+        to: params.to,
+        location: params.location || undefined,
+      });
+    } catch (error) {
+      displayWarning(`Unable to load sales: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    report.warnings.forEach((warning) => displayWarning(warning));
+    if (report.items.length === 0) {
+      displayWarning(
+        "No sales of mapped recipes in the period - import a POS export and map its items under POS Sales"
+      );
+      await this.waitForKeypress();
+      return;
+    }
+
+    // Items sold per recipe from imported POS sales
+    const menuItems = report.items.map((item) => ({
+      name: item.name,
+      soldQty: item.soldQty,
+      price: item.price,
+      cost: item.cost,
+      category: item.category,
+    }));
+
+    // Calculate metrics
+    menuItems.forEach((item) => {
+      item.contributionMargin = item.price - item.cost;
+      item.totalProfit = item.contributionMargin * item.soldQty;
+      item.foodCostPercent = (item.cost / item.price) * 100;
+    });
+
+    // Calculate averages
+    const avgContribution =
+      menuItems.reduce((sum, item) => sum + item.contributionMargin, 0) /
+      menuItems.length;
+    const avgPopularity =
+      menuItems.reduce((sum, item) => sum + item.soldQty, 0) / menuItems.length;
+
+    // Classify items
+    menuItems.forEach((item) => {
+      const highProfit = item.contributionMargin >= avgContribution;
+      const highPopularity = item.soldQty >= avgPopularity * 0.7;
+
+      if (highProfit && highPopularity) item.classification = "⭐ Star";
+      else if (highProfit && !highPopularity) item.classification = "❓ Puzzle";
+      else if (!highProfit && highPopularity)
+        item.classification = "🐎 Plow Horse";
+      else item.classification = "🐕 Dog";
+    });
+
+    console.log(chalk.green("\n📊 Menu Engineering Matrix\n"));
+
+    const matrixData = [
+      ["Item", "Sold", "Price", "CM", "Total Profit", "FC%", "Class"],
+    ];
+
+    menuItems.forEach((item) => {
+      matrixData.push([
+        item.name,
+        item.soldQty,
+        formatCurrency(item.price),
+        formatCurrency(item.contributionMargin),
+        formatCurrency(item.totalProfit),
+        formatPercentage(item.foodCostPercent, 1),
+        item.classification,
+      ]);
+    });
+
+    console.log(table(matrixData));
+
+    // Category breakdown
+    const categories = {
+      "⭐ Star": menuItems.filter((i) => i.classification === "⭐ Star"),
+      "❓ Puzzle": menuItems.filter((i) => i.classification === "❓ Puzzle"),
+      "🐎 Plow Horse": menuItems.filter(
+        (i) => i.classification === "🐎 Plow Horse"
+      ),
+      "🐕 Dog": menuItems.filter((i) => i.classification === "🐕 Dog"),
+    };
+
+    console.log(chalk.yellow("\n📈 Classification Summary:"));
+    Object.entries(categories).forEach(([category, items]) => {
+      console.log(`  ${category}: ${items.length} items`);
+      items.forEach((item) => {
+        console.log(`    • ${item.name}`);
+      });
+    });
+
+    console.log(chalk.yellow("\n💡 Recommendations:"));
+    console.log("  ⭐ Stars: Promote heavily, maintain quality");
+    console.log("  ❓ Puzzles: Increase visibility, consider promotions");
+    console.log("  🐎 Plow Horses: Increase prices carefully");
+    console.log("  🐕 Dogs: Consider removing or reimagining");
+
+    await this.waitForKeypress();
+  }
+
+  async profitabilityReport() {
+    console.log(chalk.cyan("\n💰 Profitability Report\n"));
+
+    const params = await this.askPeriod();
+
+    let report;
+    try {
+      report = await this.salesService.getProfitability({
+        from: params.from,
+        to: params.to,
+        location: params.location || undefined,
+      });
+    } catch (error) {
+      displayWarning(`Unable to load sales: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    if (report.days === 0) {
+      displayWarning("No sales imported for the period - import a POS export under POS Sales");
+      await this.waitForKeypress();
+      return;
+    }
+    report.warnings.forEach((warning) => displayWarning(warning));
+
+    console.log(
+      chalk.green(`\n📊 Profitability Report - ${formatDate(report.from)} to ${formatDate(report.to)}\n`)
+    );
+
+    // Revenue and food cost by recipe category, from imported sales
+    const percent = (value) => (value === null ? "-" : formatPercentage(value, 1));
+    const categoryData = [["Category", "Sold", "Revenue", "Food Cost", "Gross Profit", "FC%"]];
+    report.categories.forEach((category) => {
+      categoryData.push([
+        category.category,
+        formatNumber(category.soldQty, 0),
+        formatCurrency(category.revenue),
+        formatCurrency(category.foodCost),
+        formatCurrency(category.grossProfit),
+        percent(category.foodCostPercent),
+      ]);
+    });
+    if (report.uncostedRevenue > 0) {
+      categoryData.push(["Not costed", "", formatCurrency(report.uncostedRevenue), "-", "-", "-"]);
+    }
+    categoryData.push([
+      "TOTAL",
+      "",
+      formatCurrency(report.revenue),
+      formatCurrency(report.foodCost),
+      formatCurrency(report.grossProfit),
+      percent(report.foodCostPercent),
+    ]);
+    console.log(table(categoryData));
+
+    // Bottom line
+    console.log(chalk.green("\n💰 BOTTOM LINE:"));
+    console.log(
+      table([
+        ["Metric", "Value"],
+        ["Revenue", formatCurrency(report.revenue)],
+        ["Food Cost", formatCurrency(report.foodCost)],
+        ["Gross Profit", formatCurrency(report.grossProfit)],
+        ["Gross Margin", percent(report.grossMargin)],
+        ["Food Cost % (costed sales)", percent(report.foodCostPercent)],
+      ])
+    );
+    console.log(chalk.gray("Labour and overheads are not recorded, so profit is shown after food cost only."));
+
+    // Performance indicator
+    if (report.foodCostPercent === null) {
+      displayWarning("No sales of costed recipes in the period");
+    } else {
+      const performance = this.reportService.assessPerformance(report.foodCostPercent);
+      const color = performance === "Needs Improvement" ? chalk.red : performance === "Acceptable" ? chalk.yellow : chalk.green;
+      console.log(color(`\nFood cost performance: ${performance}`));
+    }
+
+    await this.waitForKeypress();
+  }
+
+  async inventoryReport() {
+    console.log(chalk.cyan("\n📦 Inventory Report\n"));
+
+    // Load inventory data, valued by the configured costing method
+    let inventory = [];
+    let costs;
+    try {
+      ({ inventory, costs } = await this.inventoryService.getValuation());
+    } catch (error) {
+      displayWarning("No inventory data available");
+      await this.waitForKeypress();
+      return;
+    }
+
+    // Calculate metrics
+    const valueOf = (item) => costs.get(item.id).value;
+    const totalValue = inventory.reduce((sum, item) => sum + valueOf(item), 0);
+    const categories = {};
+
+    inventory.forEach((item) => {
+      const category = item.category || "Other";
+      if (!categories[category]) {
+        categories[category] = {
+          count: 0,
+          value: 0,
+        };
+      }
+      categories[category].count++;
+      categories[category].value += valueOf(item);
+    });
+
+    console.log(chalk.green("\n📊 Inventory Summary\n"));
+
+    const summaryData = [
+      ["Metric", "Value"],
+      ["Total Items", inventory.length],
+      ["Total Value", formatCurrency(totalValue)],
+      ["Categories", Object.keys(categories).length],
+      ["Average Item Value", formatCurrency(totalValue / inventory.length)],
+      ["Costing Method", COSTING_METHODS[INVENTORY_CONFIG.costingMethod].label],
+    ];
+
+    console.log(table(summaryData));
+
+    console.log(chalk.yellow("\n📂 Category Breakdown:"));
+    const categoryData = [["Category", "Items", "Value", "% of Total"]];
+
+    Object.entries(categories)
+      .sort((a, b) => b[1].value - a[1].value)
+      .forEach(([category, data]) => {
+        categoryData.push([
+          category,
+          data.count,
+          formatCurrency(data.value),
+          formatPercentage((data.value / totalValue) * 100, 1),
+        ]);
+      });
+
+    console.log(table(categoryData));
+
+    await this.waitForKeypress();
+  }
+
+  async dailyProduction() {
+    console.log(chalk.cyan("\n📅 Daily Production Report\n"));
+
+    const locations = Object.entries(LOCATIONS);
+    const params = await inquirer.prompt([
+      {
+        type: "input",
+        name: "date",
+        message: "Production date (YYYY-MM-DD):",
+        default: new Date().toISOString().split("T")[0],
+        validate: (input) => !isNaN(new Date(input).getTime()) || "Invalid date format",
+      },
+      {
+        type: "list",
+        name: "location",
+        message: "Location:",
+        choices: [
+          { name: "All locations", value: null },
+          ...locations.map(([value, { label }]) => ({ name: label, value })),
+        ],
+        when: () => locations.length > 1,
+      },
+    ]);
+
+    let plan;
+    try {
+      plan = await this.productionService.getPlan(params.date, { location: params.location || undefined });
+    } catch (error) {
+      displayWarning(`Unable to plan production: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    if (plan.basedOn.length === 0 || plan.recipes.length === 0) {
+      plan.warnings.forEach((warning) => displayWarning(warning));
+      if (plan.basedOn.length > 0) {
+        displayWarning("None of the items sold are mapped to recipes - map them under POS Sales");
+      }
+      await this.waitForKeypress();
+      return;
+    }
+
+    console.log(chalk.green(`\n📊 Daily Production - ${formatDate(plan.date)}\n`));
+    console.log(
+      chalk.gray(
+        `Forecast from sales on ${plan.basedOn.length} of the last ${plan.weeks} same weekdays (${plan.basedOn
+          .map((date) => formatDate(date))
+          .join(", ")})\n`
+      )
+    );
+
+    if (plan.prep.length > 0) {
+      console.log(chalk.yellow("🥘 PREP WORK:"));
+      plan.prep.forEach((task) => {
+        console.log(`  • ${task.name}: ${formatNumber(task.quantity, 2)} ${task.unit}`);
+      });
+      console.log();
+    }
+
+    // One section per recipe category
+    const byCategory = new Map();
+    plan.recipes.forEach((recipe) => {
+      byCategory.set(recipe.category, [...(byCategory.get(recipe.category) || []), recipe]);
+    });
+    byCategory.forEach((recipes, category) => {
+      console.log(chalk.yellow(`🍽️  ${category.toUpperCase()}:`));
+      recipes.forEach((recipe) => {
+        console.log(`  • ${recipe.name}: ${recipe.portions} portions (${formatNumber(recipe.batches, 2)} batches)`);
+      });
+      console.log();
+    });
+
+    // Stock the plan needs against stock on hand and par
+    console.log(chalk.yellow("📦 STOCK CHECK:"));
+    const stockData = [["Ingredient", "Needed", "On Hand", "Left", "Par", "Status"]];
+    plan.stock.forEach((line) => {
+      const color = line.status === "SHORT" ? chalk.red : line.status === "OK" ? chalk.green : chalk.yellow;
+      stockData.push([
+        line.name,
+        `${formatNumber(line.needed, 2)} ${line.unit}`,
+        formatNumber(line.onHand, 2),
+        formatNumber(line.left, 2),
+        line.parLevel === null ? "-" : formatNumber(line.parLevel, 2),
+        color(line.status),
+      ]);
+    });
+    console.log(table(stockData));
+
+    plan.warnings.forEach((warning) => displayWarning(warning));
+
+    await this.waitForKeypress();
+  }
+
+  async dashboardSummary() {
+    console.log(chalk.cyan("\n📊 Executive Dashboard\n"));
+
+    let dashboard;
+    try {
+      dashboard = await this.dashboardService.getDashboard();
+    } catch (error) {
+      displayWarning(`Unable to build the dashboard: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    console.log(chalk.green.bold("═══════════════════════════════════════"));
+    console.log(chalk.green.bold(`     DASHBOARD SUMMARY - ${formatDate(dashboard.date)}`));
+    console.log(chalk.green.bold("═══════════════════════════════════════\n"));
+
+    // Key metrics
+    const { sales } = dashboard;
+    console.log(chalk.yellow("📈 KEY METRICS:"));
+    if (!sales.monthToDate) {
+      console.log(
+        chalk.gray(
+          sales.lastSaleDate
+            ? `  No sales imported this month (last sales day ${formatDate(sales.lastSaleDate)})`
+            : "  No sales data - import a POS export from POS Sales to see revenue and items sold"
+        )
+      );
+    } else {
+      const figure = (summary, format) => (summary === null ? "no data" : format(summary));
+      const covers = (summary) => figure(summary, (days) => (days.covers === null ? "no data" : formatNumber(days.covers)));
+      console.log(
+        table([
+          ["Metric", "Today", "Month to date"],
+          ["Revenue", figure(sales.today, (day) => formatCurrency(day.revenue)), formatCurrency(sales.monthToDate.revenue)],
+          ["Items Sold", figure(sales.today, (day) => formatNumber(day.quantity)), formatNumber(sales.monthToDate.quantity)],
+          ["Covers", covers(sales.today), covers(sales.monthToDate)],
+          [
+            "Food Cost (theoretical)",
+            "",
+            sales.foodCostPercent === null ? "no data" : formatPercentage(sales.foodCostPercent, 1),
+          ],
+        ])
+      );
+    }
+
+    // Top performers
+    if (sales.bestSeller) {
+      console.log(chalk.yellow("\n🌟 TOP PERFORMERS (month to date):"));
+      console.log(`  Best Seller: ${sales.bestSeller.name} (${sales.bestSeller.soldQty} sold)`);
+      console.log(
+        `  Highest Margin: ${sales.highestMargin.name} (${formatCurrency(sales.highestMargin.contributionMargin)} CM)`
+      );
+      console.log(
+        `  Most Profitable: ${sales.mostProfitable.name} (${formatCurrency(
+          sales.mostProfitable.contributionMargin * sales.mostProfitable.soldQty
+        )} total)`
+      );
+    }
+
+    // Alerts
+    const { lowStock, expiring, costTrends } = dashboard;
+    const rises = costTrends.ingredients.filter((item) => item.changePercent > 0);
+    console.log(chalk.yellow("\n⚠️  ALERTS:"));
+    if (lowStock.length === 0 && expiring.length === 0 && rises.length === 0) {
+      console.log(chalk.green("  No low stock, expiring lots or price increases"));
+    }
+    lowStock.slice(0, 5).forEach((item) => {
+      const label = item.status === "OUT OF STOCK" ? "Out of stock" : "Low stock";
+      console.log(`  • ${label}: ${item.name} (${item.quantity} ${item.unit} remaining, par ${item.parLevel})`);
+    });
+    if (lowStock.length > 5) {
+      console.log(chalk.gray(`    ... and ${lowStock.length - 5} more below par`));
+    }
+    expiring.slice(0, 5).forEach((lot) => {
+      const when =
+        lot.daysLeft < 0 ? "expired" : lot.daysLeft === 0 ? "expires today" : `${lot.daysLeft} day${lot.daysLeft === 1 ? "" : "s"}`;
+      console.log(`  • Expiring: ${lot.name} - ${lot.quantity} ${lot.unit} (${when})`);
+    });
+    if (expiring.length > 5) {
+      console.log(chalk.gray(`    ... and ${expiring.length - 5} more lots expiring within 7 days`));
+    }
+    rises.slice(0, 3).forEach((item) => {
+      console.log(`  • Price increase: ${item.name} (+${formatPercentage(item.changePercent, 1)} since ${formatDate(costTrends.since)})`);
+    });
+
+    // Cost trends
+    console.log(chalk.yellow(`\n💶 COST TRENDS (since ${formatDate(costTrends.since)}):`));
+    if (costTrends.recipes.length === 0 && costTrends.ingredients.length === 0) {
+      console.log(chalk.gray("  No price changes recorded in the period"));
+    }
+    costTrends.recipes.slice(0, 5).forEach((recipe) => {
+      const sign = recipe.changePercent > 0 ? "+" : "";
+      console.log(
+        `  ${recipe.name}: ${formatCurrency(recipe.previous)} → ${formatCurrency(recipe.current)} per portion (${sign}${formatPercentage(recipe.changePercent, 1)})`
+      );
+    });
+    costTrends.ingredients
+      .filter((item) => item.changePercent < 0)
+      .slice(0, 3)
+      .forEach((item) => {
+        console.log(`  Price decrease: ${item.name} (${formatPercentage(item.changePercent, 1)})`);
+      });
+
+    // Quick stats
+    const { statistics } = dashboard;
+    console.log(chalk.yellow("\n📊 QUICK STATS:"));
+    console.log(`  Recipes: ${statistics.totalRecipes}`);
+    Object.entries(statistics.recipesByCategory)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([category, count]) => console.log(chalk.gray(`    ${category}: ${count}`)));
+    console.log(`  Inventory items: ${statistics.totalIngredients}`);
+    console.log(`  Open purchase orders: ${dashboard.openOrders}`);
+
+    dashboard.warnings.forEach((warning) => displayWarning(warning));
+
+    await this.waitForKeypress();
+  }
+
+  async exportReports() {
+    console.log(chalk.cyan("\n💾 Export Reports\n"));
+
+    const params = await inquirer.prompt([
+      {
+        type: "list",
+        name: "reportType",
+        message: "Report to export:",
+        choices: [
+          "Escandallo",
+          "Food Cost Analysis",
+          "Menu Engineering",
+          "Inventory",
+          "Profitability",
+          "Production Schedule",
+          "All Reports",
+        ],
+      },
+      {
+        type: "list",
+        name: "format",
+        message: "Export format:",
+        choices: (answers) =>
+          PDF_ONLY_REPORTS.includes(answers.reportType)
+            ? ["PDF"]
+            : ["CSV", "JSON", ...(PDF_REPORTS[answers.reportType] ? ["PDF"] : []), "Excel (coming soon)"],
+      },
+    ]);
+
+    if (params.format === "CSV" || params.format === "JSON") {
+      const filename = `${params.reportType.toLowerCase().replace(" ", "_")}_${
+        new Date().toISOString().split("T")[0]
+      }`;
+
+      try {
+        // Simulate export
+        console.log(
+          chalk.yellow(
+            `\n⏳ Exporting ${params.reportType} to ${params.format}...`
+          )
+        );
+
+        // In real implementation, would call appropriate export method
+        await new Promise((resolve) => setTimeout(resolve, 1500));
+
+        displaySuccess(
+          `Report exported to: exports/${filename}.${params.format.toLowerCase()}`
+        );
+      } catch (error) {
+        displayWarning(`Export failed: ${error.message}`);
+      }
+    } else if (params.format === "PDF") {
+      await this.exportPdfReport(params.reportType);
+    } else {
+      console.log(chalk.yellow("\nThis format is coming soon!"));
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Export a report as a print-ready PDF under exports/
+   * @param {string} reportType - Report name offered in exportReports
+   */
+  async exportPdfReport(reportType) {
+    const type = PDF_REPORTS[reportType];
+    const date = new Date().toISOString().split("T")[0];
+    let report;
+    let filename;
+
+    try {
+      if (type === "escandallo") {
+        const recipes = await this.dataService.listRecipes();
+        if (recipes.length === 0) {
+          displayWarning("No recipes found");
+          return;
+        }
+        const { filename: recipeFile } = await inquirer.prompt([
+          {
+            type: "list",
+            name: "filename",
+            message: "Select recipe:",
+            choices: recipes.map((r) => ({ name: r.name, value: r.filename })),
+          },
+        ]);
+        const recipe = await this.dataService.loadRecipe(recipeFile);
+        const context = await this.dataService.loadCostingContext(recipe, null);
+        report = this.reportService.generateEscandallo(recipe, context);
+        filename = `escandallo_${recipeFile}_${date}`;
+      } else if (type === "menu") {
+        const params = await this.askPeriod();
+        const period = { from: params.from, to: params.to, location: params.location || undefined };
+        const sales = await this.salesService.getMenuEngineering(period);
+        if (sales.items.length === 0) {
+          displayWarning("No sales of mapped recipes in the period - import a POS export and map its items under POS Sales");
+          return;
+        }
+        report = this.reportService.generateMenuEngineering(sales.items, period);
+        filename = `menu_engineering_${params.from}_${params.to}`;
+      } else if (type === "sales") {
+        const params = await this.askPeriod();
+        report = await this.salesService.getProfitability({
+          from: params.from,
+          to: params.to,
+          location: params.location || undefined,
+        });
+        if (report.days === 0) {
+          displayWarning("No sales imported for the period - import a POS export under POS Sales");
+          return;
+        }
+        filename = `profitability_${params.from}_${params.to}`;
+      } else if (type === "production") {
+        const params = await this.askProductionDay();
+        const plan = await this.productionService.getPlan(params.date, { location: params.location || undefined });
+        if (plan.recipes.length === 0) {
+          plan.warnings.forEach((warning) => displayWarning(warning));
+          if (plan.basedOn.length > 0) {
+            displayWarning("None of the items sold are mapped to recipes - map them under POS Sales");
+          }
+          return;
+        }
+        report = this.reportService.generateProductionSchedule(this.productionService.toSchedule(plan));
+        filename = `production_${params.date}`;
+      } else {
+        const { inventory, ledger, costs, location } = await this.inventoryService.getValuation();
+        report = this.reportService.generateInventoryValuation(inventory, ledger, costs, location);
+        filename = `inventory_${date}`;
+      }
+
+      console.log(chalk.yellow(`\n⏳ Exporting ${reportType} to PDF...`));
+      const filepath = await this.dataService.exportPDF(
+        await this.reportService.exportToPDF(report, type),
+        filename
+      );
+      displaySuccess(`Report exported to: ${filepath}`);
+    } catch (error) {
+      displayWarning(`Export failed: ${error.message}`);
+    }
+  }
+
+  async emailReports() {
+    console.log(chalk.cyan("\n📧 Email Reports\n"));
+
+    const params = await inquirer.prompt([
+      {
+        type: "input",
+        name: "email",
+        message: "Recipient email:",
+        validate: (input) => {
+          const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+          return emailRegex.test(input) || "Please enter a valid email";
+        },
+      },
+      {
+        type: "checkbox",
+        name: "reports",
+        message: "Select reports to send:",
+        choices: [
+          "Daily Summary",
+          "Food Cost Analysis",
+          "Inventory Status",
+          "Menu Performance",
+        ],
+        validate: (input) => input.length > 0 || "Select at least one report",
+      },
+      {
+        type: "list",
+        name: "schedule",
+        message: "Send frequency:",
+        choices: ["Once", "Daily", "Weekly", "Monthly"],
+      },
+    ]);
+
+    console.log(chalk.yellow("\n⏳ Setting up email reports..."));
+
+    // Simulate setup
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+
+    displaySuccess(`Email reports configured for ${params.email}`);
+    console.log(chalk.gray(`  Reports: ${params.reports.join(", ")}`));
+    console.log(chalk.gray(`  Schedule: ${params.schedule}`));
+
+    await this.waitForKeypress();
+  }
+
+  async costDriftReport() {
+    console.log(chalk.cyan("\n📉 Recipe Cost Drift\n"));
+
+    let recipes = [];
+    try {
+      recipes = await this.dataService.listRecipes();
+    } catch (error) {
+      recipes = [];
+    }
+
+    if (recipes.length === 0) {
+      displayWarning("No recipes found");
+      await this.waitForKeypress();
+      return;
+    }
+
+    const params = await inquirer.prompt([
+      {
+        type: "list",
+        name: "filename",
+        message: "Select recipe:",
+        choices: recipes.map((r) => ({ name: r.name, value: r.filename })),
+      },
+      {
+        type: "number",
+        name: "months",
+        message: "Months to look back:",
+        default: 6,
+        validate: (input) =>
+          (Number.isInteger(input) && input > 0 && input <= 36) ||
+          "Enter 1 to 36 months",
+      },
+    ]);
+
+    const recipe = await this.dataService.loadRecipe(params.filename);
+
+    // Month-end snapshots, oldest first, ending today
+    const today = new Date();
+    const snapshots = [];
+    for (let i = params.months; i >= 0; i--) {
+      const date =
+        i === 0
+          ? today
+          : new Date(today.getFullYear(), today.getMonth() - i + 1, 0);
+      const isoDate = date.toISOString().split("T")[0];
+      snapshots.push({
+        date: isoDate,
+        context: await this.dataService.loadCostingContext(recipe, isoDate),
+      });
+    }
+
+    let report;
+    try {
+      report = this.reportService.generateCostDrift(recipe, snapshots);
+    } catch (error) {
+      displayWarning(`Unable to cost recipe: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    console.log(chalk.green(`\n📊 Cost Drift - ${report.recipeName}\n`));
+
+    const data = [["As of", "Cost/Portion", "Change", "Change %", "Main Driver"]];
+    report.rows.forEach((row) => {
+      data.push([
+        formatDate(row.date),
+        row.costPerPortion,
+        row.change,
+        row.changePercent,
+        row.driver,
+      ]);
+    });
+    console.log(table(data));
+
+    console.log(chalk.yellow("📈 Summary:"));
+    console.log(
+      `  ${formatDate(report.from)} → ${formatDate(report.to)}: ${report.totalChange} (${report.totalChangePercent})`
+    );
+    console.log(`  Main driver: ${report.mainDriver}`);
+
+    await this.waitForKeypress();
+  }
+
+  async wasteReport() {
+    console.log(chalk.cyan("\n🗑️  Waste Report\n"));
+
+    const params = await this.askPeriod();
+
+    let report;
+    try {
+      report = await this.wasteService.getWasteReport({
+        from: params.from,
+        to: params.to,
+        location: params.location || undefined,
+      });
+    } catch (error) {
+      displayWarning(`Unable to build the waste report: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    const place = report.location ? ` - ${LOCATIONS[report.location].label}` : "";
+    console.log(
+      chalk.green(`\n📊 Waste ${formatDate(report.from)} - ${formatDate(report.to)}${place}\n`)
+    );
+
+    if (report.entries === 0) {
+      displaySuccess("No waste logged in the period");
+      await this.waitForKeypress();
+      return;
+    }
+
+    const percentOfFoodCost = (value) =>
+      value === null ? "-" : formatPercentage(value, 1);
+
+    console.log(
+      table([
+        ["Metric", "Value"],
+        ["Waste Logged", report.entries],
+        ["Waste Cost", formatCurrency(report.wasteCost)],
+        ["Food Cost (COGS)", formatCurrency(report.foodCost)],
+        ["Waste % of Food Cost", percentOfFoodCost(report.wastePercent)],
+        ["Costing Method", COSTING_METHODS[report.method].label],
+      ])
+    );
+
+    console.log(chalk.yellow("\n🥕 By Item:"));
+    const itemData = [["Item", "Wasted", "Cost", "% of Waste", "% of Food Cost"]];
+    report.byItem.slice(0, 15).forEach((group) => {
+      itemData.push([
+        group.recipe ? `${group.name} (recipe)` : group.name,
+        `${group.quantity} ${group.unit}`,
+        formatCurrency(group.cost),
+        formatPercentage(group.share, 1),
+        percentOfFoodCost(group.foodCostPercent),
+      ]);
+    });
+    console.log(table(itemData));
+
+    const breakdown = (title, groups, name) => {
+      console.log(chalk.yellow(`\n${title}`));
+      const data = [[name, "Entries", "Cost", "% of Waste", "% of Food Cost"]];
+      groups.forEach((group) => {
+        data.push([
+          group.label || group.station,
+          group.count,
+          formatCurrency(group.cost),
+          formatPercentage(group.share, 1),
+          percentOfFoodCost(group.foodCostPercent),
+        ]);
+      });
+      console.log(table(data));
+    };
+
+    breakdown("🏷️  By Reason:", report.byReason, "Reason");
+    if (report.byStation.some((group) => group.station !== "Unassigned")) {
+      breakdown("🔥 By Station:", report.byStation, "Station");
+    }
+    if (report.byShift.some((group) => group.shift)) {
+      breakdown("🕒 By Shift:", report.byShift, "Shift");
+    }
+
+    const [worstItem] = report.byItem;
+    const [worstReason] = report.byReason;
+    console.log(chalk.yellow("📈 Summary:"));
+    console.log(`  Costliest waste: ${worstItem.name} (${formatCurrency(worstItem.cost)})`);
+    console.log(
+      `  Main reason: ${worstReason.label} (${formatPercentage(worstReason.share, 1)} of waste cost)`
+    );
+
+    await this.waitForKeypress();
+  }
+
+  async foodCostReconciliation() {
+    const params = await this.askPeriod();
+
+    let report;
+    try {
+      report = await this.foodCostService.getReconciliation({
+        from: params.from,
+        to: params.to,
+        location: params.location || undefined,
+      });
+    } catch (error) {
+      displayWarning(`Unable to reconcile food cost: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    const place = report.location ? ` - ${LOCATIONS[report.location].label}` : "";
+    console.log(
+      chalk.green(`\n📊 Theoretical vs Actual ${formatDate(report.from)} - ${formatDate(report.to)}${place}\n`)
+    );
+
+    const percent = (value) => (value === null ? "-" : formatPercentage(value, 1));
+    console.log(
+      table([
+        ["Metric", "Value"],
+        ["Revenue", formatCurrency(report.revenue)],
+        ["Theoretical Food Cost", formatCurrency(report.theoreticalCost)],
+        ["Actual Food Cost", formatCurrency(report.actualCost)],
+        ["Theoretical Food Cost %", percent(report.theoreticalFoodCostPercent)],
+        ["Actual Food Cost %", percent(report.actualFoodCostPercent)],
+        ["Variance", `${formatCurrency(report.variance)} (${percent(report.variancePercent)})`],
+        ["Recorded Waste & Staff Meals", formatCurrency(report.recordedLoss)],
+        ["Unexplained Variance", formatCurrency(report.unexplained)],
+        ["Stock Takes in Period", report.stockTakes],
+        ["Costing Method", COSTING_METHODS[report.method].label],
+      ])
+    );
+
+    if (report.ingredients.length > 0) {
+      console.log(chalk.yellow("\n🏷️  By Category:"));
+      const categoryData = [["Category", "Theoretical", "Actual", "Variance", "Recorded Loss", "Unexplained"]];
+      report.categories.forEach((category) => {
+        categoryData.push([
+          category.category,
+          formatCurrency(category.theoreticalCost),
+          formatCurrency(category.actualCost),
+          `${formatCurrency(category.variance)} (${percent(category.variancePercent)})`,
+          formatCurrency(category.recordedLoss),
+          formatCurrency(category.unexplained),
+        ]);
+      });
+      console.log(table(categoryData));
+
+      console.log(chalk.yellow("\n🥕 By Ingredient (largest unexplained variance first):"));
+      const itemData = [["Ingredient", "Theoretical", "Actual", "Variance", "Recorded Loss", "Unexplained"]];
+      report.ingredients.slice(0, 15).forEach((item) => {
+        itemData.push([
+          item.name,
+          `${formatNumber(item.theoreticalQuantity, 2)} ${item.unit}`,
+          `${formatNumber(item.actualQuantity, 2)} ${item.unit}`,
+          `${formatCurrency(item.variance)} (${percent(item.variancePercent)})`,
+          formatCurrency(item.recordedLoss),
+          formatCurrency(item.unexplained),
+        ]);
+      });
+      console.log(table(itemData));
+    }
+
+    report.warnings.forEach((warning) => displayWarning(warning));
+    if (report.variancePercent !== null) {
+      console.log(chalk.yellow("\n📈 Analysis:"));
+      console.log(`  ${report.analysis}`);
+      const [worst] = report.ingredients;
+      if (worst && worst.unexplained > 0) {
+        console.log(`  Largest unexplained loss: ${worst.name} (${formatCurrency(worst.unexplained)})`);
+      }
+    }
+
+    await this.waitForKeypress();
+  }
+
+  /**
+   * Ask for a report period and, with several locations, the location
+   * @returns {Promise<Object>} - { from, to, location }; location null for all locations
+   */
+  async askPeriod() {
+    const today = new Date().toISOString().split("T")[0];
+    const locations = Object.entries(LOCATIONS);
+    return await inquirer.prompt([
+      {
+        type: "input",
+        name: "from",
+        message: "From (YYYY-MM-DD):",
+        default: `${today.slice(0, 8)}01`,
+        validate: (input) => !isNaN(new Date(input).getTime()) || "Invalid date format",
+      },
+      {
+        type: "input",
+        name: "to",
+        message: "To (YYYY-MM-DD):",
+        default: today,
+        validate: (input, answers) =>
+          isNaN(new Date(input).getTime())
+            ? "Invalid date format"
+            : input >= answers.from || "Must be on or after the start date",
+      },
+      {
+        type: "list",
+        name: "location",
+        message: "Location:",
+        choices: [
+          { name: "All locations", value: null },
+          ...locations.map(([value, { label }]) => ({ name: label, value })),
+        ],
+        when: () => locations.length > 1,
+      },
+    ]);
+  }
+
+  /**
+   * Ask for a production date and, with several locations, the location
+   * @returns {Promise<Object>} - { date, location }; location null for all locations
+   */
+  async askProductionDay() {
+    const locations = Object.entries(LOCATIONS);
+    return await inquirer.prompt([
+      {
+        type: "input",
+        name: "date",
+        message: "Production date (YYYY-MM-DD):",
+        default: new Date().toISOString().split("T")[0],
+        validate: (input) => !isNaN(new Date(input).getTime()) || "Invalid date format",
+      },
+      {
+        type: "list",
+        name: "location",
+        message: "Location:",
+        choices: [
+          { name: "All locations", value: null },
+          ...locations.map(([value, { label }]) => ({ name: label, value })),
+        ],
+        when: () => locations.length > 1,
+      },
+    ]);
+  }
+
+  async posSales() {
+    let continueMenu = true;
+
+    while (continueMenu) {
+      console.log(chalk.cyan("\n🧾 POS Sales\n"));
+
+      const { action } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "action",
+          message: "Select action:",
+          choices: [
+            { name: "Import sales export", value: "import" },
+            { name: "Map menu items to recipes", value: "map" },
+            { name: "Sales by menu item", value: "items" },
+            { name: "Back", value: "back" },
+          ],
+        },
+      ]);
+
+      switch (action) {
+        case "import":
+          await this.importSales();
+          break;
+        case "map":
+          await this.mapMenuItems();
+          break;
+        case "items":
+          await this.salesByItem();
+          break;
+        case "back":
+          continueMenu = false;
+          break;
+      }
+    }
+  }
+
+  async importSales() {
+    const locations = Object.entries(LOCATIONS);
+    const params = await inquirer.prompt([
+      {
+        type: "input",
+        name: "filepath",
+        message: "POS export file (.csv or .json):",
+        validate: (input) => input.trim().length > 0 || "File path is required",
+      },
+      {
+        type: "list",
+        name: "location",
+        message: "Sales of:",
+        choices: locations.map(([value, { label }]) => ({ name: label, value })),
+        default: DEFAULT_LOCATION,
+        when: () => locations.length > 1,
+      },
+      {
+        type: "input",
+        name: "delimiter",
+        message: "Column separator:",
+        default: SALES_CONFIG.delimiter,
+        when: (answers) => !answers.filepath.trim().toLowerCase().endsWith(".json"),
+      },
+      {
+        type: "list",
+        name: "dateFormat",
+        message: "Date format:",
+        choices: DATE_FORMATS,
+        default: SALES_CONFIG.dateFormat,
+        when: (answers) => !answers.filepath.trim().toLowerCase().endsWith(".json"),
+      },
+      {
+        type: "list",
+        name: "decimal",
+        message: "Decimal separator:",
+        choices: DECIMAL_SEPARATORS,
+        default: SALES_CONFIG.decimal,
+        when: (answers) => !answers.filepath.trim().toLowerCase().endsWith(".json"),
+      },
+      {
+        type: "input",
+        name: "columns",
+        message: `Columns (field=Column, blank for ${Object.entries(SALES_CONFIG.columns)
+          .map(([field, column]) => `${field}=${column}`)
+          .join(", ")}):`,
+        default: "",
+        when: (answers) => !answers.filepath.trim().toLowerCase().endsWith(".json"),
+      },
+    ]);
+
+    const filepath = params.filepath.trim();
+    let result;
+    try {
+      const content = await fs.readFile(filepath, "utf8");
+      const lines = filepath.toLowerCase().endsWith(".json")
+        ? this.salesService.readJson(JSON.parse(content))
+        : this.salesService.readCsv(content, {
+            columns: parseColumns(params.columns),
+            delimiter: params.delimiter,
+            dateFormat: params.dateFormat,
+            decimal: params.decimal,
+          });
+      result = await this.salesService.importSales(lines, {
+        location: params.location || DEFAULT_LOCATION,
+        source: filepath,
+      });
+    } catch (error) {
+      displayWarning(`Unable to import sales: ${error.message}`);
+      await this.waitForKeypress();
+      return;
+    }
+
+    const dayData = [["Date", "Location", "Items", "Sold", "Revenue", "Covers", ""]];
+    result.days.forEach((day) => {
+      dayData.push([
+        formatDate(day.date),
+        LOCATIONS[day.location].label,
+        day.items,
+        day.quantity,
+        formatCurrency(day.revenue),
+        day.covers ?? "",
+        day.replaced ? "replaced" : "",
+      ]);
+    });
+    console.log(table(dayData));
+    displaySuccess(
+      `Imported ${result.lines} lines: ${result.quantity} items sold for ${formatCurrency(result.revenue)}`
+    );
+
+    if (result.unmapped.length === 0) {
+      await this.waitForKeypress();
+      return;
+    }
+    displayWarning(
+      `${result.unmapped.length} menu item(s) not mapped to a recipe: ${result.unmapped
+        .map((item) => item.name)
+        .join(", ")}`
+    );
+    const { mapNow } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "mapNow",
+        message: "Map them to recipes now?",
+        default: true,
+      },
+    ]);
+    if (mapNow) {
+      await this.mapMenuItems();
+    }
+  }
+
+  async mapMenuItems() {
+    let recipes = [];
+    try {
+      recipes = await this.dataService.listRecipes();
+    } catch (error) {
+      displayWarning("No recipes found");
+      await this.waitForKeypress();
+      return;
+    }
+    if (recipes.length === 0) {
+      displayWarning("No recipes found");
+      await this.waitForKeypress();
+      return;
+    }
+
+    let mapping = true;
+    while (mapping) {
+      const items = await this.salesService.getItemSales();
+      if (items.length === 0) {
+        displayWarning("No sales imported yet");
+        break;
+      }
+
+      // Unmapped items first, best sellers first within each group
+      const ordered = [
+        ...items.filter((item) => !item.recipeId),
+        ...items.filter((item) => item.recipeId),
+      ];
+      const { code } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "code",
+          message: "Menu item:",
+          choices: [
+            ...ordered.map((item) => ({
+              name: `${item.plu ? `${item.plu} ` : ""}${item.name} → ${
+                item.recipeName ? item.recipeName : chalk.red("not mapped")
+              }`,
+              value: item.code,
+            })),
+            new inquirer.Separator(),
+            { name: "Done", value: null },
+          ],
+          pageSize: 15,
+        },
+      ]);
+      if (!code) {
+        mapping = false;
+        continue;
+      }
+
+      const item = items.find((entry) => entry.code === code);
+      const { recipeFile } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "recipeFile",
+          message: `Recipe for ${item.name}:`,
+          choices: [
+            ...recipes.map((recipe) => ({ name: recipe.name, value: recipe.filename })),
+            new inquirer.Separator(),
+            ...(item.recipeId ? [{ name: "Remove mapping", value: "" }] : []),
+            { name: "Cancel", value: null },
+          ],
+          default: item.recipeId ? `${item.recipeId}.json` : undefined,
+          pageSize: 15,
+        },
+      ]);
+      if (recipeFile === null) continue;
+
+      try {
+        if (recipeFile === "") {
+          await this.salesService.unmapItem({ plu: item.code });
+          displaySuccess(`${item.name} is no longer mapped`);
+        } else {
+          const saved = await this.salesService.mapItem({
+            plu: item.plu,
+            name: item.name,
+            recipeId: recipeFile,
+          });
+          displaySuccess(`${item.name} → ${saved.recipeName}`);
+        }
+      } catch (error) {
+        displayWarning(error.message);
+      }
+    }
+  }
+
+  async salesByItem() {
+    const params = await this.askPeriod();
+    const items = await this.salesService.getItemSales({
+      from: params.from,
+      to: params.to,
+      location: params.location || undefined,
+    });
+
+    if (items.length === 0) {
+      displayWarning("No sales imported for the period");
+      await this.waitForKeypress();
+      return;
+    }
+
+    const itemData = [["PLU", "Menu Item", "Recipe", "Sold", "Revenue", "Avg Price"]];
+    items.forEach((item) => {
+      itemData.push([
+        item.plu || "-",
+        item.name,
+        item.recipeName || chalk.red("not mapped"),
+        item.quantity,
+        formatCurrency(item.revenue),
+        item.averagePrice === null ? "-" : formatCurrency(item.averagePrice),
+      ]);
+    });
+    console.log(table(itemData));
+
+    const revenue = items.reduce((sum, item) => sum + item.revenue, 0);
+    const mappedRevenue = items
+      .filter((item) => item.recipeId)
+      .reduce((sum, item) => sum + item.revenue, 0);
+    console.log(chalk.yellow("📈 Summary:"));
+    console.log(`  Revenue: ${formatCurrency(revenue)}`);
+    console.log(
+      `  Mapped to recipes: ${formatPercentage(revenue > 0 ? (mappedRevenue / revenue) * 100 : 0, 1)} of revenue`
+    );
+
+    await this.waitForKeypress();
+  }
+
+  async waitForKeypress() {
+    await inquirer.prompt([
+      {
+        type: "input",
+        name: "continue",
+        message: "\nPress Enter to continue...",
+      },
+    ]);
+  }
+}
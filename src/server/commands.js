@@ -0,0 +1,67 @@
+/**
+ * Run command-line subcommands from HTTP requests
+ * The API answers calculator requests with the same command definitions
+ * the CLI uses, so validation and results match in both places. Request
+ * fields stand in for the command's --options and the JSON document the
+ * command works on (recipe, formula, menu items) is passed as "input".
+ */
+
+import { httpError } from "./http.js";
+import { EXIT_CODES } from "../cli/helpers.js";
+
+/**
+ * Check request fields against the options a command declares
+ * @param {Object} handler - Command or subcommand definition
+ * @param {Object} fields - Request fields
+ * @returns {Object} - Option values for the command
+ */
+export function commandValues(handler, fields) {
+  const declared = Object.keys(handler.options || {});
+  const unknown = Object.keys(fields).filter((name) => !declared.includes(name));
+
+  if (unknown.length > 0) {
+    throw httpError(
+      400,
+      `Unknown field${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`,
+      [`Accepted: ${declared.join(", ") || "none"}`]
+    );
+  }
+  return fields;
+}
+
+/**
+ * Read command options from a query string
+ * @param {Object} handler - Command or subcommand definition
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Object} - Option values for the command
+ */
+export function queryValues(handler, query) {
+  return commandValues(handler, Object.fromEntries(query));
+}
+
+/**
+ * Run a command definition
+ * @param {Object} handler - Command or subcommand definition
+ * @param {Object} request - { values, input, positionals }
+ * @param {Object} context - Route context; command warnings are added to it
+ * @returns {Promise<*>} - The command's result data
+ */
+export async function runCommand(handler, { values = {}, input, positionals = [] }, context) {
+  if (handler.input && input === undefined) {
+    throw httpError(400, `Missing "input": ${handler.input}`);
+  }
+
+  let result;
+  try {
+    result = await handler.run({ positionals, values, input });
+  } catch (error) {
+    if (error.exitCode === EXIT_CODES.USAGE) {
+      // Name request fields the way the client sent them, not as --flags
+      throw httpError(400, error.message.replace(/--([\w-]+)/g, '"$1"'), error.details);
+    }
+    throw error;
+  }
+
+  context.warnings.push(...(result.warnings || []));
+  return result.data;
+}
@@ -0,0 +1,177 @@
+/**
+ * Request and response helpers for the HTTP API
+ */
+
+import net from "net";
+import { SERVER_CONFIG } from "../config/server.js";
+import { isValidKey } from "../services/storage/StorageBackend.js";
+
+/**
+ * Create an error that is answered with an HTTP status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Array} details - Optional list of validation messages
+ * @returns {Error} - Error carrying status
+ */
+export function httpError(status, message, details = []) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Methods that change data, and so must not be sent by other web pages
+export const UNSAFE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Refuse requests a browser could have been tricked into sending
+ * The Host must be localhost, an IP address or an allowed host name, so a
+ * DNS rebinding page cannot reach the API under its own domain. Requests
+ * that change data must come from this origin (when the browser names one)
+ * and be sent as application/json, which other sites cannot do without a
+ * CORS preflight the server never grants.
+ * @param {http.IncomingMessage} req - Request
+ */
+export function assertTrustedRequest(req) {
+  let host;
+  try {
+    host = new URL(`http://${req.headers.host}`).hostname.toLowerCase();
+  } catch {
+    throw httpError(400, "Missing or invalid Host header");
+  }
+  const address = host.replace(/^\[|\]$/g, "");
+  if (
+    !req.headers.host ||
+    !(host === "localhost" || net.isIP(address) || SERVER_CONFIG.allowedHosts.includes(host))
+  ) {
+    throw httpError(
+      403,
+      `Host "${req.headers.host || ""}" is not allowed; add it to FOOD_SYSTEM_ALLOWED_HOSTS to serve it`
+    );
+  }
+
+  if (!UNSAFE_METHODS.includes(req.method)) {
+    return;
+  }
+
+  const origin = req.headers.origin;
+  if (origin !== undefined) {
+    let originHost = null;
+    try {
+      originHost = new URL(origin).host;
+    } catch {
+      // "null" and other opaque origins never match
+    }
+    if (originHost !== req.headers.host) {
+      throw httpError(403, `Requests from ${origin} are not allowed`);
+    }
+  }
+
+  const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (type !== "application/json") {
+    throw httpError(415, `${req.method} requests must be sent with Content-Type: application/json`);
+  }
+}
+
+/**
+ * Check a record ID taken from the path or the body, or answer 400
+ * IDs become storage keys, so only a single plain key segment is accepted.
+ * @param {*} value - ID
+ * @param {string} field - Parameter or field name, for the error
+ * @returns {string} - The ID
+ */
+export function recordId(value, field = "id") {
+  if (typeof value !== "string" || value.includes("/") || !isValidKey(value)) {
+    throw httpError(
+      400,
+      `"${field}" does not give a valid ID (got ${JSON.stringify(value)}): use letters, digits, "-" and "_"`
+    );
+  }
+  return value;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Largest accepted body, in bytes
+ * @returns {Promise<*>} - Parsed body, or undefined when empty
+ */
+export async function readJsonBody(req, limit = SERVER_CONFIG.bodyLimit) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw httpError(413, `Request body is larger than ${limit} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const content = Buffer.concat(chunks).toString("utf8");
+  if (!content.trim()) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Response body
+ */
+export function sendJson(res, status, body) {
+  const content = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(content),
+  });
+  res.end(content);
+}
+
+/**
+ * Read a query string parameter as a number
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} name - Parameter name
+ * @param {Object} rules - { default, min, integer }
+ * @returns {number|undefined} - Parsed number
+ */
+export function numberQuery(query, name, rules = {}) {
+  if (!query.has(name)) {
+    return rules.default;
+  }
+
+  const value = Number(query.get(name));
+  if (
+    !Number.isFinite(value) ||
+    (rules.integer && !Number.isInteger(value)) ||
+    (rules.min !== undefined && value < rules.min)
+  ) {
+    const kind = rules.integer ? "a whole number" : "a number";
+    const floor = rules.min !== undefined ? ` of at least ${rules.min}` : "";
+    throw httpError(400, `Query parameter "${name}" must be ${kind}${floor}`);
+  }
+  return value;
+}
+
+/**
+ * Turn validator errors into a 400 error
+ * @param {string} subject - What was validated
+ * @param {Object} validation - Validator result ({ isValid, errors, value })
+ * @returns {*} - The validated value
+ */
+export function assertValidBody(subject, validation) {
+  if (!validation.isValid) {
+    const details = validation.errors.map((error) =>
+      typeof error === "string" ? error : `${error.field}: ${error.message}`
+    );
+    throw httpError(400, `Invalid ${subject}`, details);
+  }
+  return validation.value;
+}
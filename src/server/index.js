@@ -0,0 +1,128 @@
+/**
+ * Local HTTP REST API and browser UI
+ * Serves recipes, ingredients, inventory, cost history and the calculators
+ * as JSON under /api, so other devices (a tablet on the pass, the POS) use
+ * the same engine as the interactive menus and the command-line mode.
+ * Every other path is a file of the browser UI in web/.
+ *
+ * Every API response is JSON: { data, warnings? } on success and
+ * { error: { message, details } } on failure. Requests that change data
+ * must be JSON from the same origin (see assertTrustedRequest).
+ */
+
+import http from "http";
+import { Router } from "./router.js";
+import { registerRoutes } from "./routes/index.js";
+import { assertTrustedRequest, httpError, readJsonBody, recordId, sendJson } from "./http.js";
+import { serveStatic } from "./static.js";
+import { SERVER_CONFIG } from "../config/server.js";
+import DataService from "../services/DataService.js";
+
+const METHODS_WITH_BODY = ["POST", "PUT"];
+
+/**
+ * Answer one request
+ * @param {Router} router - API router
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(router, req, res) {
+  try {
+    assertTrustedRequest(req);
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/api" && !url.pathname.startsWith("/api/")) {
+      await serveStatic(req, res, url.pathname);
+      return;
+    }
+
+    const { route, params, allowed } = router.match(req.method, url.pathname);
+
+    if (!route) {
+      if (allowed.length > 0) {
+        res.setHeader("Allow", allowed.join(", "));
+        throw httpError(405, `${req.method} is not supported on ${url.pathname}`);
+      }
+      throw httpError(404, `No endpoint at ${url.pathname}. GET /api lists them.`);
+    }
+    // Every path parameter names a stored record (or part of its key)
+    Object.entries(params).forEach(([name, value]) => recordId(value, name));
+
+    const context = {
+      params,
+      query: url.searchParams,
+      body: METHODS_WITH_BODY.includes(req.method) ? await readJsonBody(req) : undefined,
+      status: 200,
+      warnings: [],
+    };
+    const data = await route.handler(context);
+
+    (await DataService.takeQuarantineNotices()).forEach((notice) => {
+      context.warnings.push(
+        `Corrupted ${notice.collection} record "${notice.key}" moved to ${notice.location}`
+      );
+    });
+
+    sendJson(res, context.status, {
+      data,
+      ...(context.warnings.length > 0 ? { warnings: context.warnings } : {}),
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) {
+      console.error(`${req.method} ${req.url}: ${error.stack || error.message}`);
+    }
+    sendJson(res, status, {
+      error: { message: error.message, details: error.details || [] },
+    });
+  }
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @returns {http.Server} - HTTP server
+ */
+export function createApiServer() {
+  const router = new Router();
+  registerRoutes(router);
+
+  return http.createServer((req, res) => {
+    handleRequest(router, req, res);
+  });
+}
+
+/**
+ * Create the API server and start listening
+ * @param {Object} options - { host, port }
+ * @returns {Promise<http.Server>} - Listening server
+ */
+export function startServer({ host = SERVER_CONFIG.host, port = SERVER_CONFIG.port } = {}) {
+  const server = createApiServer();
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Keep serving until SIGINT or SIGTERM, then stop accepting requests
+ * @param {http.Server} server - Listening server
+ * @returns {Promise<void>} - Resolves once the server has closed
+ */
+export function runUntilStopped(server) {
+  return new Promise((resolve) => {
+    const stop = () => {
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
+}
+
+export default startServer;
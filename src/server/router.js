@@ -0,0 +1,114 @@
+/**
+ * Minimal path router for the HTTP API
+ * Patterns are literal segments plus ":name" parameters, e.g. /api/recipes/:id
+ */
+
+import { httpError } from "./http.js";
+
+export class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern
+   * @param {Function} handler - async ({ params, query, body, status }) => data
+   * @param {string} description - Shown in the API index
+   * @returns {Router} - This router, for chaining
+   */
+  add(method, pattern, handler, description = "") {
+    this.routes.push({
+      method,
+      pattern,
+      segments: pattern.split("/").filter(Boolean),
+      handler,
+      description,
+    });
+    return this;
+  }
+
+  get(pattern, handler, description) {
+    return this.add("GET", pattern, handler, description);
+  }
+
+  post(pattern, handler, description) {
+    return this.add("POST", pattern, handler, description);
+  }
+
+  put(pattern, handler, description) {
+    return this.add("PUT", pattern, handler, description);
+  }
+
+  delete(pattern, handler, description) {
+    return this.add("DELETE", pattern, handler, description);
+  }
+
+  /**
+   * Match a path against one route pattern
+   * @param {Object} route - Registered route
+   * @param {Array} segments - Decoded path segments
+   * @returns {Object|null} - Path parameters, or null when it does not match
+   */
+  matchPath(route, segments) {
+    if (route.segments.length !== segments.length) return null;
+
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+      const expected = route.segments[i];
+      if (expected.startsWith(":")) {
+        params[expected.slice(1)] = segments[i];
+      } else if (expected !== segments[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Find the route for a request
+   * @param {string} method - HTTP method
+   * @param {string} pathname - URL path
+   * @returns {Object} - { route, params }, or { allowed } listing the methods
+   *                     the path does support (empty when the path is unknown)
+   */
+  match(method, pathname) {
+    let segments;
+    try {
+      segments = pathname
+        .split("/")
+        .filter(Boolean)
+        .map((segment) => decodeURIComponent(segment));
+    } catch (error) {
+      throw httpError(400, `Malformed URL path: ${pathname}`);
+    }
+
+    const allowed = [];
+
+    for (const route of this.routes) {
+      const params = this.matchPath(route, segments);
+      if (!params) continue;
+      if (route.method === method) {
+        return { route, params };
+      }
+      allowed.push(route.method);
+    }
+
+    return { route: null, allowed };
+  }
+
+  /**
+   * Describe every registered route
+   * @returns {Array} - { method, path, description }
+   */
+  describe() {
+    return this.routes.map((route) => ({
+      method: route.method,
+      path: route.pattern,
+      description: route.description,
+    }));
+  }
+}
+
+export default Router;
@@ -0,0 +1,71 @@
+/**
+ * Calculator endpoints
+ * POST /api/calculators/<command>[/<subcommand>] with the command's options
+ * as JSON fields, e.g. POST /api/calculators/sousvide/time
+ * { "protein": "beef", "thickness": 40 }
+ */
+
+import cost from "../../cli/commands/cost.js";
+import bakery from "../../cli/commands/bakery.js";
+import sousvide from "../../cli/commands/sousvide.js";
+import fermentation from "../../cli/commands/fermentation.js";
+import molecular from "../../cli/commands/molecular.js";
+import foodcost from "../../cli/commands/foodcost.js";
+import { httpError } from "../http.js";
+import { commandValues, runCommand } from "../commands.js";
+
+// Commands exposed as calculators (data commands have their own routes)
+const CALCULATOR_COMMANDS = [cost, bakery, sousvide, fermentation, molecular, foodcost];
+
+/**
+ * Describe a command definition for the API index
+ * @param {string} path - Endpoint path
+ * @param {Object} handler - Command or subcommand definition
+ * @returns {Object} - Endpoint description
+ */
+const describeEndpoint = (path, handler) => ({
+  path,
+  description: handler.description,
+  usage: handler.usage,
+  options: Object.keys(handler.options || {}),
+  input: handler.input || null,
+});
+
+/**
+ * Register calculator routes
+ * @param {Router} router - API router
+ */
+export function registerCalculatorRoutes(router) {
+  const endpoints = [];
+
+  const expose = (path, handler) => {
+    endpoints.push(describeEndpoint(path, handler));
+    router.post(
+      path,
+      async (context) => {
+        const body = context.body ?? {};
+        if (typeof body !== "object" || Array.isArray(body)) {
+          throw httpError(400, "Request body must be a JSON object");
+        }
+
+        const { input, ...fields } = body;
+        return await runCommand(handler, { values: commandValues(handler, fields), input }, context);
+      },
+      handler.description
+    );
+  };
+
+  for (const command of CALCULATOR_COMMANDS) {
+    if (command.subcommands) {
+      for (const [subName, sub] of Object.entries(command.subcommands)) {
+        expose(`/api/calculators/${command.name}/${subName}`, sub);
+      }
+    } else {
+      expose(`/api/calculators/${command.name}`, command);
+    }
+  }
+
+  router.get("/api/calculators", async () => endpoints, "List calculator endpoints and their fields");
+}
+
+export default registerCalculatorRoutes;
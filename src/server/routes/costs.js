@@ -0,0 +1,23 @@
+/**
+ * Cost history endpoints
+ */
+
+import DataService from "../../services/DataService.js";
+import { numberQuery } from "../http.js";
+
+/**
+ * Register cost history routes
+ * @param {Router} router - API router
+ */
+export function registerCostRoutes(router) {
+  router.get(
+    "/api/costs",
+    async ({ query }) =>
+      await DataService.loadCostHistory(numberQuery(query, "limit", { default: 10, min: 1, integer: true })),
+    "Saved cost calculations, newest first (?limit=10)"
+  );
+
+  router.get("/api/statistics", async () => await DataService.getStatistics(), "Recipe and ingredient counts");
+}
+
+export default registerCostRoutes;
@@ -0,0 +1,52 @@
+/**
+ * Register every API route
+ */
+
+import { DATABASE_CONFIG } from "../../config/database.js";
+import { BUSINESS_CONFIG } from "../../config/business.js";
+import { CURRENCIES } from "../../config/constants.js";
+import { registerRecipeRoutes } from "./recipes.js";
+import { registerIngredientRoutes } from "./ingredients.js";
+import { registerInventoryRoutes } from "./inventory.js";
+import { registerOrderRoutes } from "./orders.js";
+import { registerSupplierRoutes } from "./suppliers.js";
+import { registerWasteRoutes } from "./waste.js";
+import { registerSalesRoutes } from "./sales.js";
+import { registerCostRoutes } from "./costs.js";
+import { registerCalculatorRoutes } from "./calculators.js";
+
+/**
+ * Register all routes on a router
+ * @param {Router} router - API router
+ */
+export function registerRoutes(router) {
+  router.get("/api", async () => router.describe(), "List API endpoints");
+  router.get(
+    "/api/health",
+    async () => ({ status: "ok", storage: DATABASE_CONFIG.backend }),
+    "Health check"
+  );
+  router.get(
+    "/api/settings",
+    async () => ({
+      business: BUSINESS_CONFIG.name,
+      currency: {
+        code: BUSINESS_CONFIG.currency,
+        ...(CURRENCIES[BUSINESS_CONFIG.currency] || { symbol: BUSINESS_CONFIG.currency, position: "before", decimals: 2 }),
+      },
+    }),
+    "Business name and currency the amounts are shown in"
+  );
+
+  registerRecipeRoutes(router);
+  registerIngredientRoutes(router);
+  registerInventoryRoutes(router);
+  registerOrderRoutes(router);
+  registerSupplierRoutes(router);
+  registerWasteRoutes(router);
+  registerSalesRoutes(router);
+  registerCostRoutes(router);
+  registerCalculatorRoutes(router);
+}
+
+export default registerRoutes;
@@ -0,0 +1,208 @@
+/**
+ * Ingredient catalogue endpoints, including price history
+ */
+
+import DataService from "../../services/DataService.js";
+import { InventoryService } from "../../services/InventoryService.js";
+import { RecipeValidator } from "../../core/validators/RecipeValidator.js";
+import { LOCATIONS } from "../../config/locations.js";
+import { httpError, assertValidBody, recordId } from "../http.js";
+
+const validator = new RecipeValidator();
+const inventoryService = new InventoryService(DataService);
+
+/**
+ * Load a catalogue item or answer 404
+ * @param {string} id - Ingredient ID
+ * @returns {Promise<Object>} - Catalogue item
+ */
+async function findIngredient(id) {
+  const item = await DataService.getIngredient(id);
+  if (!item) {
+    throw httpError(404, `Ingredient "${id}" not found`);
+  }
+  return item;
+}
+
+/**
+ * Validate a price change request body
+ * @param {*} body - Request body
+ * @returns {Object} - { unitPrice, packPrice, supplier, effectiveDate, note }
+ */
+function priceChangeBody(body) {
+  const { unitPrice, packPrice, supplier, effectiveDate, note } = body || {};
+  const errors = [];
+
+  if (!(Number(unitPrice) >= 0)) {
+    errors.push("unitPrice: must be a number of at least 0");
+  }
+  if (packPrice !== undefined && !(Number(packPrice) >= 0)) {
+    errors.push("packPrice: must be a number of at least 0");
+  }
+  if (effectiveDate !== undefined && isNaN(new Date(effectiveDate).getTime())) {
+    errors.push("effectiveDate: must be a date (YYYY-MM-DD)");
+  }
+  if (errors.length > 0) {
+    throw httpError(400, "Invalid price change", errors);
+  }
+
+  return {
+    unitPrice: Number(unitPrice),
+    packPrice: packPrice !== undefined ? Number(packPrice) : undefined,
+    supplier,
+    effectiveDate,
+    note,
+  };
+}
+
+/**
+ * Record a price change and make it the item's current price
+ * Run inside DataService.updateIngredient, which saves the item.
+ * @param {Object} item - Catalogue item
+ * @param {Object} change - Validated price change
+ * @returns {Promise<Object>} - Stored history entry
+ */
+async function applyPriceChange(item, change) {
+  const entry = await DataService.recordPriceChange(item.id, {
+    ...change,
+    previousUnitPrice: item.unitPrice,
+    previousPackPrice: change.packPrice !== undefined ? item.packPrice : undefined,
+    supplier: change.supplier ?? item.supplier,
+  });
+
+  item.unitPrice = change.unitPrice;
+  if (change.packPrice !== undefined) {
+    item.packPrice = change.packPrice;
+  }
+  item.updatedAt = new Date().toISOString();
+  return entry;
+}
+
+/**
+ * Register ingredient routes
+ * @param {Router} router - API router
+ */
+export function registerIngredientRoutes(router) {
+  router.get(
+    "/api/ingredients",
+    async ({ query }) => {
+      let items = await DataService.loadIngredients();
+      const category = query.get("category");
+      const search = query.get("search");
+
+      if (category) {
+        items = items.filter((item) => (item.category || "").toLowerCase() === category.toLowerCase());
+      }
+      if (search) {
+        items = items.filter((item) => item.name.toLowerCase().includes(search.toLowerCase()));
+      }
+      return items;
+    },
+    "List catalogue ingredients (?category=, ?search=)"
+  );
+
+  router.post(
+    "/api/ingredients",
+    async (context) => {
+      const now = new Date().toISOString();
+      const item = assertValidBody(
+        "ingredient",
+        validator.validateCatalogueItem({ createdAt: now, updatedAt: now, ...context.body })
+      );
+      item.id = recordId(item.id || DataService.toSlug(item.name), item.id ? "id" : "name");
+      if (await DataService.getIngredient(item.id)) {
+        throw httpError(409, `Ingredient "${item.id}" already exists`);
+      }
+
+      await DataService.saveIngredient(item);
+      await DataService.recordPriceChange(item.id, {
+        unitPrice: item.unitPrice,
+        supplier: item.supplier,
+        note: "Initial price",
+      });
+      context.status = 201;
+      return item;
+    },
+    "Add an ingredient to the catalogue"
+  );
+
+  router.get("/api/ingredients/:id", async ({ params }) => await findIngredient(params.id), "Get an ingredient");
+
+  router.put(
+    "/api/ingredients/:id",
+    async ({ params, body }) => {
+      await findIngredient(params.id);
+      const { unitPrice, packPrice, quantity, location, user, reason, ...fields } = body || {};
+      if (quantity !== undefined && !(Number(quantity) >= 0)) {
+        throw httpError(400, "Invalid ingredient", ["quantity: must be a number of at least 0"]);
+      }
+      if (location !== undefined && !LOCATIONS[location]) {
+        throw httpError(400, "Invalid ingredient", [`location: must be one of ${Object.keys(LOCATIONS).join(", ")}`]);
+      }
+
+      const item = await DataService.updateIngredient(params.id, async (current) => {
+        const updated = assertValidBody(
+          "ingredient",
+          validator.validateCatalogueItem({ ...current, ...fields, id: params.id })
+        );
+        // Levels set by hand are overrides that accepting forecast suggestions leaves alone
+        if (
+          (fields.parLevel !== undefined && fields.parLevel !== current.parLevel) ||
+          (fields.maxLevel !== undefined && fields.maxLevel !== current.maxLevel)
+        ) {
+          updated.parSource = "manual";
+          updated.parUpdatedAt = new Date().toISOString();
+        }
+
+        // Price edits go through the history so past costings stay reproducible
+        if (
+          (unitPrice !== undefined && Number(unitPrice) !== current.unitPrice) ||
+          (packPrice !== undefined && Number(packPrice) !== current.packPrice)
+        ) {
+          await applyPriceChange(updated, priceChangeBody({ unitPrice: unitPrice ?? current.unitPrice, packPrice }));
+        } else {
+          updated.updatedAt = new Date().toISOString();
+        }
+        return updated;
+      });
+
+      // Stock on hand only changes through the movement ledger
+      if (quantity !== undefined) {
+        const { item: counted } = await inventoryService.setStockLevel(params.id, Number(quantity), {
+          location,
+          user: user || "api",
+          reason: reason || "Stock level edited",
+        });
+        return counted;
+      }
+      return item;
+    },
+    "Update an ingredient (price edits are recorded in its history, quantity edits as stock adjustments at the location given, else the default location)"
+  );
+
+  router.get(
+    "/api/ingredients/:id/prices",
+    async ({ params }) => {
+      await findIngredient(params.id);
+      return await DataService.loadPriceHistory(params.id);
+    },
+    "Price history of an ingredient, oldest first"
+  );
+
+  router.post(
+    "/api/ingredients/:id/prices",
+    async (context) => {
+      await findIngredient(context.params.id);
+      const change = priceChangeBody(context.body);
+      let entry;
+      await DataService.updateIngredient(context.params.id, async (item) => {
+        entry = await applyPriceChange(item, change);
+      });
+      context.status = 201;
+      return entry;
+    },
+    "Record a price change ({ unitPrice, packPrice, supplier, effectiveDate, note })"
+  );
+}
+
+export default registerIngredientRoutes;
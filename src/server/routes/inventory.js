@@ -0,0 +1,169 @@
+/**
+ * Inventory endpoints
+ * Served by the same subcommands as `foodsystem inventory`
+ */
+
+import DataService from "../../services/DataService.js";
+import inventory from "../../cli/commands/inventory.js";
+import { LOCATIONS } from "../../config/locations.js";
+import { httpError } from "../http.js";
+import { commandValues, queryValues, runCommand } from "../commands.js";
+
+/**
+ * Answer 404 unless a catalogue item exists
+ * @param {string} id - Ingredient ID
+ */
+async function findIngredient(id) {
+  if (!(await DataService.getIngredient(id))) {
+    throw httpError(404, `Ingredient "${id}" not found`);
+  }
+}
+
+/**
+ * Register inventory routes
+ * @param {Router} router - API router
+ */
+export function registerInventoryRoutes(router) {
+  const {
+    list,
+    "low-stock": lowStock,
+    pars,
+    par,
+    expiring,
+    produce,
+    sell,
+    usage,
+    record: post,
+    movements,
+    valuation,
+    lots,
+    trace,
+    cogs,
+    "count-sheet": countSheet,
+    stocktake,
+    stocktakes,
+    locations,
+    "stock-at": stockAt,
+    transfer,
+  } = inventory.subcommands;
+
+  const serve = (handler) => async (context) =>
+    await runCommand(handler, { values: queryValues(handler, context.query) }, context);
+
+  const readBody = (context) => {
+    const body = context.body ?? {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      throw httpError(400, "Request body must be a JSON object");
+    }
+    return body;
+  };
+
+  const record = (handler) => async (context) => {
+    const result = await runCommand(handler, { values: commandValues(handler, readBody(context)) }, context);
+    context.status = 201;
+    return result;
+  };
+
+  // Counts are previewed unless "post" is true, in which case adjustments are created
+  const count = async (context) => {
+    const { input, ...fields } = readBody(context);
+    const result = await runCommand(stocktake, { values: commandValues(stocktake, fields), input }, context);
+    if (fields.post) {
+      context.status = 201;
+    }
+    return result;
+  };
+
+  router.get("/api/inventory", serve(list), `${list.description} (?category=&location=)`);
+  router.get("/api/inventory/low-stock", serve(lowStock), `${lowStock.description} (?location=)`);
+  router.get(
+    "/api/inventory/pars",
+    async (context) => {
+      const values = queryValues(pars, context.query);
+      if (values.accept !== undefined || values["replace-manual"] !== undefined) {
+        throw httpError(400, "Accept suggestions with POST /api/inventory/pars");
+      }
+      return await runCommand(pars, { values }, context);
+    },
+    `${pars.description.split(";")[0]} (?item=&days=&service-level=&safety-days=)`
+  );
+  router.post(
+    "/api/inventory/pars",
+    async (context) => {
+      const fields = readBody(context);
+      if (fields.item) {
+        await findIngredient(fields.item);
+      }
+      return await runCommand(pars, { values: commandValues(pars, { ...fields, accept: true }) }, context);
+    },
+    "Accept suggested par and max levels { item, days, service-level, safety-days, replace-manual }"
+  );
+  router.put(
+    "/api/inventory/pars/:id",
+    async (context) => {
+      await findIngredient(context.params.id);
+      return await runCommand(
+        par,
+        { values: commandValues(par, readBody(context)), positionals: [context.params.id] },
+        context
+      );
+    },
+    `${par.description} { par, max }`
+  );
+  router.get("/api/inventory/expiring", serve(expiring), `${expiring.description} (?days=30&location=)`);
+  router.get("/api/inventory/usage", serve(usage), `${usage.description} (?days=30)`);
+  router.post("/api/inventory/production", record(produce), `${produce.description} { recipe, portions | batches, location, date, user, note }`);
+  router.post("/api/inventory/sales", record(sell), `${sell.description} { recipe, portions, location, date, user, note }`);
+  router.get("/api/inventory/movements", serve(movements), `${movements.description} (?item=&type=&location=&from=&to=)`);
+  router.post(
+    "/api/inventory/movements",
+    record(post),
+    `${post.description} { item, type, quantity, location, unit-cost, reason, user, date, lot-number, expiry, supplier, lot }`
+  );
+  router.get("/api/inventory/valuation", serve(valuation), `${valuation.description} (?method=&location=)`);
+  router.get("/api/inventory/lots", serve(lots), `${lots.description} (?item=&location=&method=)`);
+  router.get(
+    "/api/inventory/lots/:lot/trace",
+    async (context) =>
+      await runCommand(
+        trace,
+        { values: queryValues(trace, context.query), positionals: [context.params.lot] },
+        context
+      ),
+    `${trace.description} (?item=)`
+  );
+  router.get("/api/inventory/cogs", serve(cogs), `${cogs.description} (?from=&to=&method=&location=)`);
+  router.get("/api/inventory/count-sheet", serve(countSheet), `${countSheet.description} (?location=&area=&category=)`);
+  router.post(
+    "/api/inventory/stocktake",
+    count,
+    `${stocktake.description} { input: counts, location, area, category, date, method, post, user, note }`
+  );
+  router.get("/api/inventory/stocktakes", serve(stocktakes), `${stocktakes.description} (?limit=10)`);
+  router.get("/api/inventory/locations", serve(locations), `${locations.description} (?method=)`);
+  router.put(
+    "/api/inventory/locations/:location/:id",
+    async (context) => {
+      if (!LOCATIONS[context.params.location]) {
+        throw httpError(404, `Location "${context.params.location}" not found`);
+      }
+      await findIngredient(context.params.id);
+      return await runCommand(
+        stockAt,
+        {
+          values: commandValues(stockAt, { ...readBody(context), location: context.params.location }),
+          positionals: [context.params.id],
+        },
+        context
+      );
+    },
+    `${stockAt.description} { area, par, max }`
+  );
+  router.post(
+    "/api/inventory/transfers",
+    record(transfer),
+    `${transfer.description} { item, quantity, from, to, lot, date, user, reason, method }`
+  );
+}
+
+export default registerInventoryRoutes;
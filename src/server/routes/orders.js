@@ -0,0 +1,80 @@
+/**
+ * Purchase order endpoints
+ * Served by the same subcommands as `foodsystem orders`
+ */
+
+import DataService from "../../services/DataService.js";
+import orders from "../../cli/commands/orders.js";
+import { httpError } from "../http.js";
+import { commandValues, queryValues, runCommand } from "../commands.js";
+
+/**
+ * Answer 404 unless a purchase order exists
+ * @param {string} id - Purchase order ID
+ */
+async function findOrder(id) {
+  if (!(await DataService.getPurchaseOrder(id))) {
+    throw httpError(404, `Purchase order "${id}" not found`);
+  }
+}
+
+/**
+ * Register purchase order routes
+ * @param {Router} router - API router
+ */
+export function registerOrderRoutes(router) {
+  const { list, show, create, plan, reorder, send, receive, close } = orders.subcommands;
+
+  const readBody = (context) => {
+    const body = context.body ?? {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      throw httpError(400, "Request body must be a JSON object");
+    }
+    return body;
+  };
+
+  // Body fields are the command's options; "input" carries its lines
+  const post = (handler, { created = false } = {}) => async (context) => {
+    const { input, ...fields } = readBody(context);
+    const positionals = [];
+    if (context.params.id) {
+      await findOrder(context.params.id);
+      positionals.push(context.params.id);
+    }
+    const result = await runCommand(
+      handler,
+      { values: commandValues(handler, fields), input, positionals },
+      context
+    );
+    if (created) {
+      context.status = 201;
+    }
+    return result;
+  };
+
+  router.get(
+    "/api/orders",
+    async (context) => await runCommand(list, { values: queryValues(list, context.query) }, context),
+    `${list.description} (?status=&supplier=)`
+  );
+  router.post("/api/orders", post(create, { created: true }), `${create.description} { input: lines, supplier, expected, location, note, user }`);
+  router.post("/api/orders/plan", post(plan), `${plan.description} { supplier, critical, choice, location }`);
+  router.post("/api/orders/reorder", post(reorder, { created: true }), `${reorder.description} { supplier, critical, choice, location, user }`);
+  router.get(
+    "/api/orders/:id",
+    async (context) => {
+      await findOrder(context.params.id);
+      return await runCommand(show, { positionals: [context.params.id] }, context);
+    },
+    show.description
+  );
+  router.post("/api/orders/:id/send", post(send), `${send.description} { date, user }`);
+  router.post(
+    "/api/orders/:id/receipts",
+    post(receive, { created: true }),
+    `${receive.description} { input: delivered lines, date, user, note }`
+  );
+  router.post("/api/orders/:id/close", post(close), `${close.description} { invoice, invoice-total, date, user, note }`);
+}
+
+export default registerOrderRoutes;
@@ -0,0 +1,146 @@
+/**
+ * Recipe endpoints: CRUD, version history and costing
+ */
+
+import DataService from "../../services/DataService.js";
+import { RecipeValidator } from "../../core/validators/RecipeValidator.js";
+import cost from "../../cli/commands/cost.js";
+import { httpError, assertValidBody, recordId } from "../http.js";
+import { queryValues, runCommand } from "../commands.js";
+
+const validator = new RecipeValidator();
+
+/**
+ * Load a saved recipe or answer 404
+ * @param {string} id - Recipe ID
+ * @returns {Promise<Object>} - Recipe
+ */
+async function findRecipe(id) {
+  const recipe = await DataService.loadRecipe(id).catch(() => null);
+  if (!recipe) {
+    throw httpError(404, `Recipe "${id}" not found`);
+  }
+  return recipe;
+}
+
+/**
+ * Validate a recipe request body
+ * @param {*} body - Request body
+ * @returns {Object} - The recipe as sent
+ */
+function recipeBody(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw httpError(400, "Request body must be a recipe object");
+  }
+  assertValidBody("recipe", validator.validateRecipe(body));
+  return body;
+}
+
+/**
+ * Register recipe routes
+ * @param {Router} router - API router
+ */
+export function registerRecipeRoutes(router) {
+  router.get(
+    "/api/recipes",
+    async ({ query }) =>
+      query.get("search")
+        ? await DataService.searchRecipes(query.get("search"))
+        : await DataService.listRecipes(),
+    "List saved recipes (?search=)"
+  );
+
+  router.post(
+    "/api/recipes",
+    async (context) => {
+      const recipe = recipeBody(context.body);
+      const id = recordId(recipe.id || DataService.toSlug(recipe.name), recipe.id ? "id" : "name");
+      if (await DataService.loadRecipe(id).catch(() => null)) {
+        throw httpError(409, `Recipe "${id}" already exists; use PUT /api/recipes/${id} to update it`);
+      }
+
+      await DataService.saveRecipe(recipe, context.query.get("note") || "");
+      context.status = 201;
+      return recipe;
+    },
+    "Create a recipe (?note= for the version note)"
+  );
+
+  router.get("/api/recipes/:id", async ({ params }) => await findRecipe(params.id), "Get a recipe");
+
+  router.put(
+    "/api/recipes/:id",
+    async ({ params, body, query }) => {
+      await findRecipe(params.id);
+      const recipe = recipeBody(body);
+      recipe.id = params.id;
+      await DataService.saveRecipe(recipe, query.get("note") || "");
+      return recipe;
+    },
+    "Save a new version of a recipe (?note=)"
+  );
+
+  router.delete(
+    "/api/recipes/:id",
+    async ({ params }) => {
+      await findRecipe(params.id);
+      await DataService.deleteRecipe(params.id);
+      return { id: params.id, deleted: true };
+    },
+    "Delete a recipe and its versions"
+  );
+
+  router.get(
+    "/api/recipes/:id/versions",
+    async ({ params }) => {
+      await findRecipe(params.id);
+      return await DataService.listRecipeVersions(params.id);
+    },
+    "List saved versions of a recipe"
+  );
+
+  router.get(
+    "/api/recipes/:id/versions/:version",
+    async ({ params }) => {
+      const recipe = await DataService.loadRecipeVersion(params.id, params.version).catch(() => null);
+      if (!recipe) {
+        throw httpError(404, `Version ${params.version} of recipe "${params.id}" not found`);
+      }
+      return recipe;
+    },
+    "Get one version of a recipe"
+  );
+
+  router.post(
+    "/api/recipes/:id/rollback",
+    async ({ params, body }) => {
+      const version = Number(body?.version);
+      if (!Number.isInteger(version) || version < 1) {
+        throw httpError(400, 'Body must give the version to restore, e.g. { "version": 2 }');
+      }
+
+      await findRecipe(params.id);
+      const recipe = await DataService.loadRecipeVersion(params.id, version).catch(() => null);
+      if (!recipe) {
+        throw httpError(404, `Version ${version} of recipe "${params.id}" not found`);
+      }
+      return await DataService.rollbackRecipe(params.id, version);
+    },
+    "Restore an earlier version as the newest one ({ version })"
+  );
+
+  router.get(
+    "/api/recipes/:id/cost",
+    async (context) => {
+      const recipe = await findRecipe(context.params.id);
+      return await runCommand(
+        cost,
+        { values: queryValues(cost, context.query), input: recipe },
+        context
+      );
+    },
+    "Cost a saved recipe (?portions=, ?as-of=YYYY-MM-DD)"
+  );
+}
+
+export default registerRecipeRoutes;
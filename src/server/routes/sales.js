@@ -0,0 +1,83 @@
+/**
+ * POS sales endpoints
+ * Served by the same subcommands as `foodsystem sales`
+ */
+
+import DataService from "../../services/DataService.js";
+import sales from "../../cli/commands/sales.js";
+import { httpError } from "../http.js";
+import { commandValues, queryValues, runCommand } from "../commands.js";
+
+/**
+ * Register sales routes
+ * @param {Router} router - API router
+ */
+export function registerSalesRoutes(router) {
+  const {
+    import: importSales,
+    list,
+    items,
+    map,
+    unmap,
+    "menu-items": menuItems,
+    "menu-engineering": menuEngineering,
+    reconcile,
+  } = sales.subcommands;
+
+  const serve = (handler) => async (context) =>
+    await runCommand(handler, { values: queryValues(handler, context.query) }, context);
+
+  const readBody = (context) => {
+    const body = context.body ?? {};
+    if (typeof body !== "object" || Array.isArray(body)) {
+      throw httpError(400, "Request body must be a JSON object");
+    }
+    return body;
+  };
+
+  router.get("/api/sales", serve(list), `${list.description} (?from=&to=&location=)`);
+  router.post(
+    "/api/sales/import",
+    async (context) => {
+      const { input, ...fields } = readBody(context);
+      const result = await runCommand(importSales, { values: commandValues(importSales, fields), input }, context);
+      context.status = 201;
+      return result;
+    },
+    `${importSales.description} { input: CSV text or JSON lines, format, location, columns, delimiter, date-format, decimal }`
+  );
+  router.get("/api/sales/items", serve(items), `${items.description} (?from=&to=&location=&unmapped=)`);
+  router.get("/api/sales/menu-items", serve(menuItems), menuItems.description);
+  router.post(
+    "/api/sales/menu-items",
+    async (context) => {
+      const result = await runCommand(map, { values: commandValues(map, readBody(context)) }, context);
+      context.status = 201;
+      return result;
+    },
+    `${map.description} { plu or name, recipe }`
+  );
+  router.delete(
+    "/api/sales/menu-items/:code",
+    async (context) => {
+      const { code } = context.params;
+      if (!(await DataService.loadMenuItems()).some((menuItem) => menuItem.code === code)) {
+        throw httpError(404, `No mapping for menu item "${code}"`);
+      }
+      return await runCommand(unmap, { values: { plu: code } }, context);
+    },
+    unmap.description
+  );
+  router.get(
+    "/api/sales/menu-engineering",
+    serve(menuEngineering),
+    `${menuEngineering.description} (?from=&to=&location=&as-of=)`
+  );
+  router.get(
+    "/api/sales/reconcile",
+    serve(reconcile),
+    `${reconcile.description} (?from=&to=&location=&method=&by=)`
+  );
+}
+
+export default registerSalesRoutes;
@@ -0,0 +1,103 @@
+/**
+ * Supplier endpoints
+ * Served by the same subcommands as `foodsystem suppliers`
+ */
+
+import DataService from "../../services/DataService.js";
+import suppliers from "../../cli/commands/suppliers.js";
+import { httpError, recordId } from "../http.js";
+import { queryValues, runCommand } from "../commands.js";
+
+/**
+ * Answer 404 unless a supplier exists
+ * @param {string} id - Supplier ID
+ * @returns {Promise<Object>} - Supplier
+ */
+async function findSupplier(id) {
+  const supplier = await DataService.getSupplier(id);
+  if (!supplier) {
+    throw httpError(404, `Supplier "${id}" not found`);
+  }
+  return supplier;
+}
+
+/**
+ * Register supplier routes
+ * @param {Router} router - API router
+ */
+export function registerSupplierRoutes(router) {
+  const { list, show, save, remove, offers } = suppliers.subcommands;
+
+  router.get("/api/suppliers", async (context) => await runCommand(list, {}, context), list.description);
+  router.post(
+    "/api/suppliers",
+    async (context) => {
+      const input = context.body ?? {};
+      const id = input.id || DataService.toSlug(input.name || "");
+      if (input.id || input.name) {
+        recordId(id, input.id ? "id" : "name");
+      }
+      if (id && (await DataService.getSupplier(id))) {
+        throw httpError(409, `Supplier "${id}" already exists`);
+      }
+      const result = await runCommand(save, { input }, context);
+      context.status = 201;
+      return result;
+    },
+    "Add a supplier { name, contactName, phone, email, deliveryDays, leadTimeDays, minimumOrderValue, products }"
+  );
+  router.post(
+    "/api/suppliers/import-catalogue",
+    async (context) => {
+      const result = await runCommand(suppliers.subcommands["import-catalogue"], {}, context);
+      context.status = 201;
+      return result;
+    },
+    suppliers.subcommands["import-catalogue"].description
+  );
+  router.get(
+    "/api/suppliers/:id",
+    async (context) => {
+      await findSupplier(context.params.id);
+      return await runCommand(show, { positionals: [context.params.id] }, context);
+    },
+    show.description
+  );
+  router.put(
+    "/api/suppliers/:id",
+    async (context) => {
+      const current = await findSupplier(context.params.id);
+      const body = context.body ?? {};
+      if (typeof body !== "object" || Array.isArray(body)) {
+        throw httpError(400, "Request body must be a JSON object");
+      }
+      const { createdAt, updatedAt, ...fields } = current;
+      return await runCommand(save, { input: { ...fields, ...body, id: current.id } }, context);
+    },
+    "Update a supplier (fields given replace the stored ones)"
+  );
+  router.delete(
+    "/api/suppliers/:id",
+    async (context) => {
+      await findSupplier(context.params.id);
+      return await runCommand(remove, { positionals: [context.params.id] }, context);
+    },
+    remove.description
+  );
+  router.get(
+    "/api/ingredients/:id/suppliers",
+    async (context) => {
+      if (!(await DataService.getIngredient(context.params.id))) {
+        throw httpError(404, `Ingredient "${context.params.id}" not found`);
+      }
+      return await runCommand(
+        offers,
+        { values: queryValues(offers, context.query), positionals: [context.params.id] },
+        context
+      );
+    },
+    `${offers.description} (?choice=)`
+  );
+}
+
+export default registerSupplierRoutes;
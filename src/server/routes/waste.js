@@ -0,0 +1,38 @@
+/**
+ * Waste log endpoints
+ * Served by the same subcommands as `foodsystem waste`
+ */
+
+import waste from "../../cli/commands/waste.js";
+import { httpError } from "../http.js";
+import { commandValues, queryValues, runCommand } from "../commands.js";
+
+/**
+ * Register waste log routes
+ * @param {Router} router - API router
+ */
+export function registerWasteRoutes(router) {
+  const { log, list, report, reasons } = waste.subcommands;
+
+  const serve = (handler) => async (context) =>
+    await runCommand(handler, { values: queryValues(handler, context.query) }, context);
+
+  router.get("/api/waste", serve(list), `${list.description} (?from=&to=&location=&reason=&station=&shift=)`);
+  router.post(
+    "/api/waste",
+    async (context) => {
+      const body = context.body ?? {};
+      if (typeof body !== "object" || Array.isArray(body)) {
+        throw httpError(400, "Request body must be a JSON object");
+      }
+      const result = await runCommand(log, { values: commandValues(log, body) }, context);
+      context.status = 201;
+      return result;
+    },
+    `${log.description} { item, quantity, lot | recipe, portions, deduct-stock; reason, station, shift, location, date, user, note, method }`
+  );
+  router.get("/api/waste/report", serve(report), `${report.description} (?from=&to=&location=&by=&method=)`);
+  router.get("/api/waste/reasons", serve(reasons), reasons.description);
+}
+
+export default registerWasteRoutes;
@@ -0,0 +1,66 @@
+/**
+ * Static file serving for the browser UI
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { httpError } from "./http.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const WEB_ROOT = path.join(__dirname, "..", "web");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+/**
+ * Serve a file from the web directory
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - URL path
+ */
+export async function serveStatic(req, res, pathname) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    throw httpError(405, `${req.method} is not supported on ${pathname}`);
+  }
+
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname === "/" ? "/index.html" : pathname);
+  } catch (error) {
+    throw httpError(400, `Malformed URL path: ${pathname}`);
+  }
+
+  // Never serve anything outside the web directory
+  const filepath = path.join(WEB_ROOT, path.normalize(relative));
+  if (!filepath.startsWith(WEB_ROOT + path.sep)) {
+    throw httpError(404, `Not found: ${pathname}`);
+  }
+
+  const stats = await fs.stat(filepath).catch(() => null);
+  if (!stats?.isFile()) {
+    throw httpError(404, `Not found: ${pathname}`);
+  }
+
+  res.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[path.extname(filepath)] || "application/octet-stream",
+    "Content-Length": stats.size,
+    "Cache-Control": "no-cache",
+  });
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filepath).pipe(res);
+}
@@ -0,0 +1,162 @@
+import DataService from "./DataService.js";
+import { InventoryService } from "./InventoryService.js";
+import { SalesService } from "./SalesService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Purchase orders still waiting for goods
+const OPEN_ORDER_STATUSES = ["draft", "sent", "partially-received"];
+
+/**
+ * Dashboard Service
+ * Gathers the figures behind the dashboard from stored data: imported
+ * sales, stock alerts, price history and recipe counts. Figures with no
+ * data behind them are returned as null rather than as zero.
+ */
+export class DashboardService {
+  constructor(
+    dataService = DataService,
+    inventoryService = new InventoryService(dataService),
+    salesService = new SalesService(dataService)
+  ) {
+    this.dataService = dataService;
+    this.inventoryService = inventoryService;
+    this.salesService = salesService;
+  }
+
+  /**
+   * Add up imported sales days
+   * Covers are added up over the days that have them, and are null when
+   * none has.
+   * @param {Array} days - Sales days (SalesService.getSales)
+   * @returns {Object|null} - { days, revenue, quantity, covers }, or null without sales
+   */
+  summarizeSales(days) {
+    if (days.length === 0) {
+      return null;
+    }
+    return {
+      days: days.length,
+      revenue: round(days.reduce((sum, day) => sum + day.revenue, 0)),
+      quantity: round(days.reduce((sum, day) => sum + day.quantity, 0)),
+      covers: days.some((day) => typeof day.covers === "number")
+        ? round(days.reduce((sum, day) => sum + (day.covers || 0), 0))
+        : null,
+    };
+  }
+
+  /**
+   * Sales today and month to date, with the best performers of the month
+   * The food cost is theoretical (recipe cost × portions sold) and covers
+   * only sales mapped to a recipe.
+   * @param {string} today - Reference date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { today, monthToDate (summarizeSales), lastSaleDate, bestSeller, highestMargin,
+   *   mostProfitable (calculateMenuEngineering items), foodCostPercent, warnings }
+   */
+  async getSalesSummary(today) {
+    const monthStart = `${today.slice(0, 8)}01`;
+    const [month, all, engineering] = await Promise.all([
+      this.salesService.getSales({ from: monthStart, to: today }),
+      this.dataService.loadSales(),
+      this.salesService.getMenuEngineering({ from: monthStart, to: today }),
+    ]);
+
+    const items = engineering.items;
+    const best = (score) => (items.length > 0 ? items.reduce((top, item) => (score(item) > score(top) ? item : top)) : null);
+    return {
+      today: this.summarizeSales(month.filter((day) => day.date === today)),
+      monthToDate: this.summarizeSales(month),
+      lastSaleDate: all.reduce((last, day) => (!last || day.date > last ? day.date : last), null),
+      bestSeller: best((item) => item.soldQty),
+      highestMargin: best((item) => item.contributionMargin),
+      mostProfitable: best((item) => item.contributionMargin * item.soldQty),
+      foodCostPercent:
+        engineering.revenue > 0
+          ? round((items.reduce((sum, item) => sum + item.cost * item.soldQty, 0) / engineering.revenue) * 100)
+          : null,
+      warnings: engineering.warnings,
+    };
+  }
+
+  /**
+   * Ingredient price and recipe cost changes over a window
+   * Prices at the start of the window come from each ingredient's price
+   * history, so only changes recorded there show up.
+   * @param {number} days - Window in days, ending today
+   * @param {string} today - Reference date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { since, ingredients: [{ id, name, unit, previous, current, changePercent }],
+   *   recipes: [{ id, name, previous, current, changePercent }] }, largest changes first
+   */
+  async getCostTrends(days = 30, today = new Date().toISOString().split("T")[0]) {
+    const since = new Date(new Date(today).getTime() - days * DAY_MS).toISOString().split("T")[0];
+    const [catalogue, earlier, list] = await Promise.all([
+      this.dataService.loadCatalogue(),
+      this.dataService.loadCatalogueAsOf(since),
+      this.dataService.listRecipes(),
+    ]);
+
+    const change = (previous, current) => (previous > 0 ? round(((current - previous) / previous) * 100) : null);
+    const byChange = (a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent);
+
+    const ingredients = Object.values(catalogue)
+      .map((item) => {
+        const previous = this.inventoryService.stockUnitCost(earlier[item.id]);
+        const current = this.inventoryService.stockUnitCost(item);
+        return { id: item.id, name: item.name, unit: item.unit, previous, current, changePercent: change(previous, current) };
+      })
+      .filter((item) => item.changePercent)
+      .sort(byChange);
+
+    const recipes = [];
+    for (const { id, filename } of list) {
+      try {
+        const recipe = await this.dataService.loadRecipe(filename);
+        const subRecipes = await this.dataService.loadSubRecipes(recipe);
+        const costPerPortion = (prices) =>
+          this.inventoryService.calculator.calculateRecipeCost(recipe, { subRecipes, catalogue: prices }).costPerPortion;
+        const previous = costPerPortion(earlier);
+        const current = costPerPortion(catalogue);
+        const changePercent = change(previous, current);
+        if (changePercent) {
+          recipes.push({ id, name: recipe.name, previous: round(previous), current: round(current), changePercent });
+        }
+      } catch {
+        // Recipes that cannot be costed have no trend to show
+      }
+    }
+
+    return { since, ingredients, recipes: recipes.sort(byChange) };
+  }
+
+  /**
+   * Everything the dashboard shows
+   * @param {Object} options - { today (YYYY-MM-DD), expiryDays, trendDays }
+   * @returns {Promise<Object>} - { date, sales (getSalesSummary), lowStock, expiring, costTrends, statistics,
+   *   openOrders, warnings }
+   */
+  async getDashboard({ today = new Date().toISOString().split("T")[0], expiryDays = 7, trendDays = 30 } = {}) {
+    const [sales, lowStock, expiring, costTrends, statistics, orders] = await Promise.all([
+      this.getSalesSummary(today),
+      this.inventoryService.getLowStock(),
+      this.inventoryService.getExpiring(expiryDays),
+      this.getCostTrends(trendDays, today),
+      this.dataService.getStatistics(),
+      this.dataService.loadPurchaseOrders(),
+    ]);
+
+    return {
+      date: today,
+      sales,
+      lowStock,
+      expiring,
+      costTrends,
+      statistics,
+      openOrders: orders.filter((order) => OPEN_ORDER_STATUSES.includes(order.status)).length,
+      warnings: sales.warnings,
+    };
+  }
+}
+
+export default DashboardService;
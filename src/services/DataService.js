@@ -0,0 +1,1393 @@
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { DATABASE_CONFIG } from "../config/database.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../config/locations.js";
+import { createStorage, isValidKey } from "./storage/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Stock quantities are summed from many movements; drop float noise
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Data Service for persisting recipes and calculations
+ */
+export class DataService {
+  constructor() {
+    this.basePath = path.join(__dirname, "..", "data");
+    this.paths = {
+      recipes: path.join(this.basePath, "recipes"),
+      recipeVersions: path.join(this.basePath, "recipe-versions"),
+      ingredients: path.join(this.basePath, "ingredients"),
+      costs: path.join(this.basePath, "costs"),
+      prices: path.join(this.basePath, "prices"),
+      movements: path.join(this.basePath, "movements"),
+      stocktakes: path.join(this.basePath, "stocktakes"),
+      purchaseOrders: path.join(this.basePath, "purchase-orders"),
+      suppliers: path.join(this.basePath, "suppliers"),
+      sales: path.join(this.basePath, "sales"),
+      menuItems: path.join(this.basePath, "menu-items"),
+      waste: path.join(this.basePath, "waste"),
+      templates: path.join(this.basePath, "templates"),
+    };
+
+    this.storageConfig = DATABASE_CONFIG;
+    this.storage = null;
+
+    // Ensure directories exist
+    this.initializeDirectories();
+  }
+
+  /**
+   * Initialize data directories
+   */
+  async initializeDirectories() {
+    for (const dir of Object.values(this.paths)) {
+      await fs.ensureDir(dir);
+    }
+  }
+
+  /**
+   * Get the configured storage backend, opening it on first use
+   * @returns {Promise<StorageBackend>} - Storage backend
+   */
+  async getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(
+        this.storageConfig,
+        this.basePath,
+        this.paths
+      );
+    }
+    try {
+      return await this.storage;
+    } catch (error) {
+      this.storage = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Close the storage backend; it reopens on next use
+   */
+  async closeStorage() {
+    if (this.storage) {
+      const storage = await this.storage;
+      this.storage = null;
+      await storage.close();
+    }
+  }
+
+  /**
+   * Take corrupted records quarantined since the last call
+   * @returns {Promise<Array>} - { collection, key, location, error, quarantinedAt }
+   */
+  async takeQuarantineNotices() {
+    if (!this.storage) return [];
+    const storage = await this.getStorage();
+    return storage.takeQuarantined();
+  }
+
+  /**
+   * Read every record once so corrupted ones are quarantined up front
+   * @returns {Promise<Array>} - Quarantine notices
+   */
+  async checkData() {
+    const storage = await this.getStorage();
+    for (const collection of Object.keys(this.paths)) {
+      await storage.list(collection);
+    }
+    return storage.takeQuarantined();
+  }
+
+  /**
+   * Turn a recipe filename or ID into its storage key
+   * @param {string} filename - Recipe filename or ID
+   * @returns {string} - Storage key
+   */
+  recipeKey(filename) {
+    return filename.endsWith(".json") ? filename.slice(0, -5) : filename;
+  }
+
+  /**
+   * Save recipe as a new version
+   * The recipes collection always holds the current version; every saved
+   * version is also kept in recipeVersions under "<id>/<version>"
+   * @param {Object} recipe - Recipe object to save
+   * @param {string} note - Optional change note for this version
+   * @returns {Promise<string>} - Saved location
+   */
+  async saveRecipe(recipe, note = "") {
+    try {
+      const storage = await this.getStorage();
+      recipe.id = recipe.id || this.toSlug(recipe.name);
+
+      return await storage.withLock("recipes", recipe.id, async () => {
+        const current = await storage.get("recipes", recipe.id);
+        const now = new Date().toISOString();
+
+        recipe.version = (current?.version || 0) + 1;
+        recipe.createdAt = current?.createdAt || recipe.createdAt || now;
+        recipe.updatedAt = now;
+
+        await storage.put("recipeVersions", `${recipe.id}/${recipe.version}`, {
+          ...recipe,
+          versionNote: note,
+        });
+        return await storage.put("recipes", recipe.id, recipe);
+      });
+    } catch (error) {
+      throw new Error(`Failed to save recipe: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load recipe
+   * @param {string} filename - Recipe filename or recipe ID
+   * @returns {Promise<Object>} - Recipe object
+   */
+  async loadRecipe(filename) {
+    try {
+      const storage = await this.getStorage();
+      const recipe = await storage.get("recipes", this.recipeKey(filename));
+      if (!recipe) {
+        throw new Error(`Recipe "${filename}" not found`);
+      }
+      return recipe;
+    } catch (error) {
+      throw new Error(`Failed to load recipe: ${error.message}`);
+    }
+  }
+
+  /**
+   * List saved versions of a recipe
+   * @param {string} id - Recipe ID
+   * @returns {Promise<Array>} - Version info, oldest first
+   */
+  async listRecipeVersions(id) {
+    try {
+      const storage = await this.getStorage();
+      const entries = await storage.list("recipeVersions", {
+        prefix: `${id}/`,
+      });
+
+      return entries
+        .map(({ record: recipe }) => ({
+          version: recipe.version,
+          name: recipe.name,
+          portions: recipe.portions,
+          ingredientCount: (recipe.ingredients || []).length,
+          savedAt: recipe.updatedAt,
+          note: recipe.versionNote || "",
+        }))
+        .sort((a, b) => a.version - b.version);
+    } catch (error) {
+      throw new Error(`Failed to list recipe versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a specific version of a recipe
+   * @param {string} id - Recipe ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} - Recipe object as saved in that version
+   */
+  async loadRecipeVersion(id, version) {
+    try {
+      const storage = await this.getStorage();
+      const stored = await storage.get("recipeVersions", `${id}/${version}`);
+      if (!stored) {
+        throw new Error(`Version ${version} of "${id}" not found`);
+      }
+      const { versionNote, ...recipe } = stored;
+      return recipe;
+    } catch (error) {
+      throw new Error(`Failed to load recipe version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Roll a recipe back to an earlier version
+   * The old version is saved again as a new version, so history is kept
+   * @param {string} id - Recipe ID
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} - Restored recipe, now current
+   */
+  async rollbackRecipe(id, version) {
+    const recipe = await this.loadRecipeVersion(id, version);
+    await this.saveRecipe(recipe, `Rolled back to version ${version}`);
+    return recipe;
+  }
+
+  /**
+   * Load every sub-recipe referenced by a recipe, recursively
+   * @param {Object} recipe - Recipe whose ingredients may carry recipeRef
+   * @param {Object} loaded - Already loaded sub-recipes (recipeRef → recipe)
+   * @returns {Promise<Object>} - Map of recipeRef → recipe
+   */
+  async loadSubRecipes(recipe, loaded = {}) {
+    for (const ingredient of recipe.ingredients || []) {
+      const ref = ingredient.recipeRef;
+      if (!ref || loaded[ref]) continue;
+
+      loaded[ref] = await this.loadRecipe(ref);
+      await this.loadSubRecipes(loaded[ref], loaded);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * List all recipes
+   * @returns {Promise<Array>} - Array of recipe info
+   */
+  async listRecipes() {
+    try {
+      const storage = await this.getStorage();
+      // Recipes saved before versioning have no ID: they are loaded by
+      // their storage key, and their copies are told apart by name
+      const recipes = (await storage.list("recipes")).map(
+        ({ key, record: recipe }) => ({
+          filename: `${key}.json`,
+          id: recipe.id || key,
+          group: recipe.id || this.toSlug(recipe.name),
+          name: recipe.name,
+          category: recipe.category,
+          portions: recipe.portions,
+          version: recipe.version || null,
+          createdAt: recipe.createdAt,
+          updatedAt: recipe.updatedAt || recipe.createdAt,
+        })
+      );
+
+      // Older saves wrote a timestamped copy per save; show only the
+      // versioned record, or else the newest copy, for each recipe
+      const latest = new Map();
+      for (const { group, ...recipe } of recipes) {
+        const existing = latest.get(group);
+        if (
+          !existing ||
+          (recipe.version && !existing.version) ||
+          (!!recipe.version === !!existing.version &&
+            new Date(recipe.updatedAt) > new Date(existing.updatedAt))
+        ) {
+          latest.set(group, recipe);
+        }
+      }
+
+      return [...latest.values()].sort(
+        (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+      );
+    } catch (error) {
+      throw new Error(`Failed to list recipes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete recipe
+   * @param {string} filename - Recipe filename to delete
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteRecipe(filename) {
+    try {
+      const storage = await this.getStorage();
+      const key = this.recipeKey(filename);
+      const recipe = await storage.get("recipes", key);
+      await storage.remove("recipes", key);
+      if (recipe?.id) {
+        await storage.remove("recipeVersions", `${recipe.id}/`);
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete recipe: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load everything needed to cost a recipe
+   * @param {Object} recipe - Recipe to cost
+   * @param {string|Date} asOf - Optional date to price the catalogue at
+   * @returns {Promise<Object>} - { subRecipes, catalogue } costing options
+   */
+  async loadCostingContext(recipe, asOf = null) {
+    const subRecipes = await this.loadSubRecipes(recipe);
+    const catalogue = asOf
+      ? await this.loadCatalogueAsOf(asOf)
+      : await this.loadCatalogue();
+    return { subRecipes, catalogue };
+  }
+
+  /**
+   * Build a stable ingredient ID from its name
+   * Accents are dropped and anything but letters, digits and "_" becomes a
+   * single "-", so the slug is always a valid storage key.
+   * @param {string} name - Ingredient name
+   * @returns {string} - Slug used as ID and filename ("" if nothing is left)
+   */
+  toSlug(name) {
+    return String(name)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9_]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * Save ingredient to database
+   * The ingredient database is the master catalogue: each item keeps a
+   * stable ID that recipe lines reference through ingredientId.
+   * Stock on hand is owned by the movement ledger: once an item has
+   * movements its quantity is their sum, and a new item's quantity is
+   * recorded as its opening balance at the default location.
+   * @param {Object} ingredient - Ingredient object
+   * @returns {Promise<string>} - Saved file path
+   */
+  async saveIngredient(ingredient) {
+    try {
+      const storage = await this.getStorage();
+      ingredient.id = ingredient.id || this.toSlug(ingredient.name);
+
+      return await storage.withLock("ingredients", ingredient.id, () => this.writeIngredient(storage, ingredient));
+    } catch (error) {
+      throw new Error(`Failed to save ingredient: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a catalogue item under its lock
+   * The item is read, changed and written back while the lock is held, so
+   * two edits of the same item cannot overwrite each other.
+   * @param {string} id - Ingredient ID
+   * @param {Function} mutator - Receives the current item; changes it in place or returns the new item
+   * @returns {Promise<Object>} - Saved item
+   */
+  async updateIngredient(id, mutator) {
+    const storage = await this.getStorage();
+    return await storage.withLock("ingredients", id, async () => {
+      const current = await this.getIngredient(id);
+      if (!current) {
+        throw new Error(`Ingredient "${id}" not found`);
+      }
+      const updated = (await mutator(current)) || current;
+      updated.id = id;
+      try {
+        await this.writeIngredient(storage, updated);
+      } catch (error) {
+        throw new Error(`Failed to save ingredient: ${error.message}`);
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Write a catalogue item, taking its stock from the ledger
+   * The caller holds the item's lock. The running ledger balance is taken
+   * from the stored item, never from the caller's copy, which may be stale.
+   * @param {StorageBackend} storage - Storage backend
+   * @param {Object} ingredient - Ingredient with its ID
+   * @returns {Promise<string>} - Saved location
+   */
+  async writeIngredient(storage, ingredient) {
+    let balance = await this.storedBalance(storage, ingredient.id, await storage.get("ingredients", ingredient.id));
+    if (balance === null && ingredient.quantity) {
+      const opening = this.openingMovement(ingredient);
+      await this.putMovement(storage, opening);
+      balance = this.addToBalance(null, opening);
+    }
+    if (balance !== null) {
+      Object.assign(ingredient, this.stockFromBalance(ingredient, balance), { ledgerBalance: balance });
+    }
+    return await storage.put("ingredients", ingredient.id, ingredient);
+  }
+
+  /**
+   * Load ingredient database
+   * @returns {Promise<Array>} - Array of ingredients
+   */
+  async loadIngredients() {
+    try {
+      const storage = await this.getStorage();
+      const collected = [];
+      const single = [];
+
+      for (const { record: data } of await storage.list("ingredients")) {
+        // Handle both single ingredients and ingredient collections
+        if (Array.isArray(data.ingredients)) {
+          collected.push(...data.ingredients);
+        } else {
+          single.push(data);
+        }
+      }
+
+      // Single-item files override collection entries with the same ID
+      const byId = new Map();
+      for (const ingredient of [...collected, ...single]) {
+        const id = ingredient.id || this.toSlug(ingredient.name);
+        byId.set(id, {
+          ...ingredient,
+          id,
+          ...(ingredient.locations && { locations: this.foldLocations(ingredient.locations) }),
+        });
+      }
+
+      return [...byId.values()];
+    } catch (error) {
+      throw new Error(`Failed to load ingredients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the ingredient catalogue keyed by ID
+   * @returns {Promise<Object>} - Map of ingredientId → catalogue item
+   */
+  async loadCatalogue() {
+    const ingredients = await this.loadIngredients();
+    return Object.fromEntries(ingredients.map((item) => [item.id, item]));
+  }
+
+  /**
+   * Get a single catalogue item
+   * Items are read by key; only items kept in a legacy collection file, or
+   * stored under a key other than their ID, need the whole catalogue.
+   * @param {string} id - Ingredient ID
+   * @returns {Promise<Object|null>} - Catalogue item or null if unknown
+   */
+  async getIngredient(id) {
+    const storage = await this.getStorage();
+    const record = isValidKey(id) ? await storage.get("ingredients", id) : null;
+    if (record && !Array.isArray(record.ingredients) && (record.id || this.toSlug(record.name)) === id) {
+      return {
+        ...record,
+        id,
+        ...(record.locations && { locations: this.foldLocations(record.locations) }),
+      };
+    }
+    const catalogue = await this.loadCatalogue();
+    return catalogue[id] || null;
+  }
+
+  /**
+   * Record an ingredient price change
+   * @param {string} ingredientId - Catalogue ingredient ID
+   * @param {Object} change - { unitPrice, packPrice, previousUnitPrice, previousPackPrice, supplier, effectiveDate, note }
+   * @returns {Promise<Object>} - Stored history entry
+   */
+  async recordPriceChange(ingredientId, change) {
+    try {
+      const storage = await this.getStorage();
+      const entry = {
+        ...change,
+        effectiveDate:
+          change.effectiveDate || new Date().toISOString().split("T")[0],
+        recordedAt: new Date().toISOString(),
+      };
+
+      await storage.withLock("prices", ingredientId, async () => {
+        const history = (await storage.get("prices", ingredientId)) || [];
+        history.push(entry);
+        history.sort(
+          (a, b) => new Date(a.effectiveDate) - new Date(b.effectiveDate)
+        );
+        await storage.put("prices", ingredientId, history);
+      });
+      return entry;
+    } catch (error) {
+      throw new Error(`Failed to record price change: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load price history for an ingredient, oldest first
+   * @param {string} ingredientId - Catalogue ingredient ID
+   * @returns {Promise<Array>} - Array of price history entries
+   */
+  async loadPriceHistory(ingredientId) {
+    try {
+      const storage = await this.getStorage();
+      return (await storage.get("prices", ingredientId)) || [];
+    } catch (error) {
+      throw new Error(`Failed to load price history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the ingredient catalogue priced as of a past date
+   * @param {string|Date} asOf - Date to price the catalogue at
+   * @returns {Promise<Object>} - Map of ingredientId → catalogue item
+   */
+  async loadCatalogueAsOf(asOf) {
+    const catalogue = await this.loadCatalogue();
+    const cutoff = new Date(asOf);
+
+    for (const item of Object.values(catalogue)) {
+      const history = await this.loadPriceHistory(item.id);
+      const price = this.findPriceAsOf(history, cutoff);
+      if (price) {
+        catalogue[item.id] = { ...item, ...price };
+      }
+    }
+
+    return catalogue;
+  }
+
+  /**
+   * Find the price in force on a date
+   * @param {Array} history - Price history entries, oldest first
+   * @param {Date} cutoff - Date to look up
+   * @returns {Object|null} - Price fields to apply, or null to keep current
+   */
+  findPriceAsOf(history, cutoff) {
+    if (history.length === 0) return null;
+
+    const applicable = history.filter(
+      (entry) => new Date(entry.effectiveDate) <= cutoff
+    );
+    const pick = (fields) =>
+      Object.fromEntries(
+        Object.entries(fields).filter(([, value]) => value !== undefined)
+      );
+
+    if (applicable.length > 0) {
+      const entry = applicable[applicable.length - 1];
+      return pick({
+        unitPrice: entry.unitPrice,
+        packPrice: entry.packPrice,
+        supplier: entry.supplier,
+      });
+    }
+
+    // Before the first recorded change the previous price was in force
+    const first = history[0];
+    return pick({
+      unitPrice: first.previousUnitPrice,
+      packPrice: first.previousPackPrice,
+    });
+  }
+
+  /**
+   * Append movements to the stock ledger and update stock on hand
+   * The ledger is append-only: corrections are posted as new movements.
+   * An item with no ledger yet gets its current quantity as opening balance.
+   * The item's quantity is its stock across all locations; `locations`
+   * holds the stock at each.
+   * @param {Array} movements - { id, type, date, ingredientId, location, quantity, unit, unitCost, user, reason, ... }
+   * @returns {Promise<Array>} - Updated catalogue items, one per ingredient
+   */
+  async appendMovements(movements) {
+    try {
+      const storage = await this.getStorage();
+      const byIngredient = new Map();
+      for (const movement of movements) {
+        const entries = byIngredient.get(movement.ingredientId) || [];
+        entries.push(movement);
+        byIngredient.set(movement.ingredientId, entries);
+      }
+
+      const updated = [];
+      for (const [ingredientId, entries] of byIngredient) {
+        const item = await storage.withLock("ingredients", ingredientId, async () => {
+          const current = await this.getIngredient(ingredientId);
+          if (!current) {
+            throw new Error(`Ingredient "${ingredientId}" not found`);
+          }
+
+          let balance = await this.storedBalance(storage, ingredientId, current);
+          if (balance === null && current.quantity) {
+            const opening = this.openingMovement(current, entries);
+            await this.putMovement(storage, opening);
+            balance = this.addToBalance(null, opening);
+          }
+          for (const movement of entries) {
+            await this.putMovement(storage, movement);
+            balance = this.addToBalance(balance, movement);
+          }
+
+          const saved = {
+            ...current,
+            ...this.stockFromBalance(current, balance),
+            ledgerBalance: balance,
+            updatedAt: new Date().toISOString(),
+          };
+          await storage.put("ingredients", ingredientId, saved);
+          return saved;
+        });
+        updated.push(item);
+      }
+      return updated;
+    } catch (error) {
+      throw new Error(`Failed to record stock movements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load stock movements, oldest first
+   * @param {Object} filter - { ingredientId, type, reference, location, from, to } (dates as YYYY-MM-DD)
+   * @returns {Promise<Array>} - Matching movements
+   */
+  async loadMovements(filter = {}) {
+    try {
+      const storage = await this.getStorage();
+      const prefix = filter.ingredientId ? `${filter.ingredientId}/` : "";
+      return (await storage.list("movements", { prefix }))
+        .map(({ record }) => record)
+        .filter(
+          (movement) =>
+            (!filter.type || movement.type === filter.type) &&
+            (!filter.reference || movement.reference === filter.reference) &&
+            (!filter.location || this.stockLocation(movement.location) === filter.location) &&
+            (!filter.from || movement.date >= filter.from) &&
+            (!filter.to || movement.date <= filter.to)
+        )
+        .sort(
+          (a, b) =>
+            a.date.localeCompare(b.date) ||
+            a.createdAt.localeCompare(b.createdAt)
+        );
+    } catch (error) {
+      throw new Error(`Failed to load stock movements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Location that holds stock recorded at a location
+   * Stock recorded before locations were set up, or at a location no
+   * longer configured, belongs to the default location.
+   * @param {string} location - Location ID recorded on a movement or item
+   * @returns {string} - Configured location ID
+   */
+  stockLocation(location) {
+    return LOCATIONS[location] ? location : DEFAULT_LOCATION;
+  }
+
+  /**
+   * Fold an item's per-location stock into the configured locations
+   * @param {Object} locations - Location → { quantity, ...settings }
+   * @returns {Object} - The same, with stock at unknown locations added to the default location
+   */
+  foldLocations(locations) {
+    const folded = {};
+    for (const [location, held] of Object.entries(locations)) {
+      const into = this.stockLocation(location);
+      folded[into] = {
+        ...(into === location ? held : folded[into]),
+        quantity: roundQuantity((folded[into]?.quantity || 0) + (held.quantity || 0)),
+      };
+    }
+    return folded;
+  }
+
+  /**
+   * Running ledger balance of a stored item
+   * The balance is kept on the item as movements are appended, so the
+   * ledger is only summed for items stored before it was kept.
+   * @param {StorageBackend} storage - Storage backend
+   * @param {string} ingredientId - Catalogue ingredient ID
+   * @param {Object|null} item - Stored catalogue item, if any
+   * @returns {Promise<Object|null>} - { quantity, locations }, or null if the item has no movements
+   */
+  async storedBalance(storage, ingredientId, item) {
+    if (!item?.ledgerBalance) {
+      return await this.ledgerBalance(storage, ingredientId);
+    }
+    // Re-folded in case a location was removed since the balance was kept
+    const balance = { quantity: item.ledgerBalance.quantity, locations: {} };
+    for (const [location, quantity] of Object.entries(item.ledgerBalance.locations)) {
+      const into = this.stockLocation(location);
+      balance.locations[into] = roundQuantity((balance.locations[into] || 0) + quantity);
+    }
+    return balance;
+  }
+
+  /**
+   * Sum the stock ledger of an ingredient, in total and per location
+   * @param {StorageBackend} storage - Storage backend
+   * @param {string} ingredientId - Catalogue ingredient ID
+   * @returns {Promise<Object|null>} - { quantity, locations: location → quantity }, or null if the item has no movements
+   */
+  async ledgerBalance(storage, ingredientId) {
+    const entries = await storage.list("movements", { prefix: `${ingredientId}/` });
+    if (entries.length === 0) return null;
+    return entries.reduce((balance, { record }) => this.addToBalance(balance, record), null);
+  }
+
+  /**
+   * Add a movement to a ledger balance
+   * Movements are counted at the location holding their stock (stockLocation).
+   * @param {Object|null} balance - { quantity, locations }, or null to start one
+   * @param {Object} movement - Stock movement
+   * @returns {Object} - Updated balance
+   */
+  addToBalance(balance, movement) {
+    const location = this.stockLocation(movement.location);
+    const summed = balance || { quantity: 0, locations: {} };
+    summed.quantity = roundQuantity(summed.quantity + movement.quantity);
+    summed.locations[location] = roundQuantity((summed.locations[location] || 0) + movement.quantity);
+    return summed;
+  }
+
+  /**
+   * Stock on hand of an item from its ledger balance
+   * Per-location settings (storage area, par and max levels) are kept.
+   * @param {Object} item - Catalogue item
+   * @param {Object} balance - { quantity, locations }
+   * @returns {Object} - { quantity, locations: location → { quantity, ...settings } }
+   */
+  stockFromBalance(item, balance) {
+    const locations = {};
+    const settings = item.locations ? this.foldLocations(item.locations) : {};
+    for (const location of new Set([...Object.keys(settings), ...Object.keys(balance.locations)])) {
+      locations[location] = { ...settings[location], quantity: balance.locations[location] || 0 };
+    }
+    return { quantity: balance.quantity, locations };
+  }
+
+  /**
+   * Store one movement under "<ingredientId>/<movementId>"
+   * @param {StorageBackend} storage - Storage backend
+   * @param {Object} movement - Stock movement
+   */
+  async putMovement(storage, movement) {
+    await storage.put("movements", `${movement.ingredientId}/${movement.id}`, movement);
+  }
+
+  /**
+   * Build the opening balance movement that starts an item's ledger
+   * The item's expiry date, if any, becomes the expiry of the opening lot.
+   * The stock was on hand before any movement now being recorded, so the
+   * opening balance is dated no later than the earliest of them and sorts
+   * before them: lots are then drawn from the opening stock first.
+   * @param {Object} item - Catalogue item with its current quantity
+   * @param {Array} movements - Movements being appended with it
+   * @returns {Object} - Stock movement
+   */
+  openingMovement(item, movements = []) {
+    let createdAt = new Date().toISOString();
+    let date = createdAt.split("T")[0];
+    for (const movement of movements) {
+      if (movement.date < date) date = movement.date;
+      if (movement.createdAt <= createdAt) {
+        createdAt = new Date(Date.parse(movement.createdAt) - 1).toISOString();
+      }
+    }
+    return {
+      id: `opening-${createdAt.replace(/[:.]/g, "-")}`,
+      type: "opening",
+      date,
+      ingredientId: item.id,
+      name: item.name,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitCost: item.unitPrice || 0,
+      location: DEFAULT_LOCATION,
+      user: "system",
+      reason: "Opening balance",
+      ...(item.expiryDate && { expiryDate: item.expiryDate }),
+      createdAt,
+    };
+  }
+
+  /**
+   * Save a posted stock take
+   * @param {Object} stockTake - Stock take with its counted lines
+   * @returns {Promise<string>} - Saved location
+   */
+  async saveStockTake(stockTake) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.put("stocktakes", stockTake.id, stockTake);
+    } catch (error) {
+      throw new Error(`Failed to save stock take: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load posted stock takes, newest first
+   * @param {number} limit - Number of stock takes to return (all if omitted)
+   * @returns {Promise<Array>} - Stock takes
+   */
+  async loadStockTakes(limit) {
+    try {
+      const storage = await this.getStorage();
+      const entries = await storage.list("stocktakes", { newestFirst: true, limit });
+      return entries.map(({ record }) => record);
+    } catch (error) {
+      throw new Error(`Failed to load stock takes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a purchase order
+   * @param {Object} order - Purchase order
+   * @returns {Promise<string>} - Saved location
+   */
+  async savePurchaseOrder(order) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.put("purchaseOrders", order.id, order);
+    } catch (error) {
+      throw new Error(`Failed to save purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a purchase order by ID
+   * @param {string} id - Purchase order ID
+   * @returns {Promise<Object|null>} - Purchase order, or null if missing
+   */
+  async getPurchaseOrder(id) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.get("purchaseOrders", id);
+    } catch (error) {
+      throw new Error(`Failed to load purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a purchase order under its lock
+   * The order is read, changed and saved while the lock is held, so two
+   * deliveries or status changes of the same order cannot overwrite each
+   * other. Work that goes with the change, such as posting a delivery to
+   * the stock ledger, is done after the order is saved; if it fails the
+   * order is saved back as it was, so the change can be retried without
+   * being applied twice.
+   * @param {string} id - Purchase order ID
+   * @param {Function} mutator - Receives the current order; changes it in place or returns the new order
+   * @param {Function} post - Optional; receives the saved order and does the work that goes with the change
+   * @returns {Promise<Object>} - Saved order
+   */
+  async updatePurchaseOrder(id, mutator, post = null) {
+    const storage = await this.getStorage();
+    return await storage.withLock("purchaseOrders", id, async () => {
+      const current = await this.getPurchaseOrder(id);
+      if (!current) {
+        throw new Error(`Purchase order "${id}" not found`);
+      }
+      const original = structuredClone(current);
+      const updated = (await mutator(current)) || current;
+      updated.id = id;
+      await this.savePurchaseOrder(updated);
+
+      if (post) {
+        try {
+          await post(updated);
+        } catch (error) {
+          await this.savePurchaseOrder(original);
+          throw error;
+        }
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Load purchase orders, newest first
+   * @param {Object} filter - { status, supplier }
+   * @returns {Promise<Array>} - Matching purchase orders
+   */
+  async loadPurchaseOrders(filter = {}) {
+    try {
+      const storage = await this.getStorage();
+      const supplier = filter.supplier?.toLowerCase();
+      return (await storage.list("purchaseOrders", { newestFirst: true }))
+        .map(({ record }) => record)
+        .filter(
+          (order) =>
+            (!filter.status || order.status === filter.status) &&
+            (!supplier || order.supplier.toLowerCase() === supplier || order.supplierId === filter.supplier)
+        );
+    } catch (error) {
+      throw new Error(`Failed to load purchase orders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a supplier
+   * @param {Object} supplier - Supplier
+   * @returns {Promise<string>} - Saved location
+   */
+  async saveSupplier(supplier) {
+    try {
+      const storage = await this.getStorage();
+      supplier.id = supplier.id || this.toSlug(supplier.name);
+      return await storage.put("suppliers", supplier.id, supplier);
+    } catch (error) {
+      throw new Error(`Failed to save supplier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a supplier by ID
+   * @param {string} id - Supplier ID
+   * @returns {Promise<Object|null>} - Supplier, or null if missing
+   */
+  async getSupplier(id) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.get("suppliers", id);
+    } catch (error) {
+      throw new Error(`Failed to load supplier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load suppliers by name
+   * @returns {Promise<Array>} - Suppliers
+   */
+  async loadSuppliers() {
+    try {
+      const storage = await this.getStorage();
+      return (await storage.list("suppliers"))
+        .map(({ record }) => record)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      throw new Error(`Failed to load suppliers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a supplier
+   * @param {string} id - Supplier ID
+   * @returns {Promise<boolean>} - True when deleted
+   */
+  async deleteSupplier(id) {
+    try {
+      const storage = await this.getStorage();
+      await storage.remove("suppliers", id);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete supplier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save one day of sales at a location under "<location>/<date>"
+   * @param {Object} day - { date, location, items: [{ plu, name, quantity, revenue }], ... }
+   * @returns {Promise<string>} - Saved location
+   */
+  async saveSalesDay(day) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.put("sales", `${day.location}/${day.date}`, day);
+    } catch (error) {
+      throw new Error(`Failed to save sales: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get one day of sales at a location
+   * @param {string} location - Location ID
+   * @param {string} date - Business date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Sales day, or null if none was imported
+   */
+  async getSalesDay(location, date) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.get("sales", `${location}/${date}`);
+    } catch (error) {
+      throw new Error(`Failed to load sales: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load sales days, oldest first
+   * @param {Object} filter - { location, from, to } (dates as YYYY-MM-DD)
+   * @returns {Promise<Array>} - Matching sales days
+   */
+  async loadSales(filter = {}) {
+    try {
+      const storage = await this.getStorage();
+      const prefix = filter.location ? `${filter.location}/` : "";
+      return (await storage.list("sales", { prefix }))
+        .map(({ record }) => record)
+        .filter((day) => (!filter.from || day.date >= filter.from) && (!filter.to || day.date <= filter.to))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.location.localeCompare(b.location));
+    } catch (error) {
+      throw new Error(`Failed to load sales: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a POS menu item mapping under its code
+   * @param {Object} menuItem - { code, plu, name, recipeId, recipeName }
+   * @returns {Promise<string>} - Saved location
+   */
+  async saveMenuItem(menuItem) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.put("menuItems", menuItem.code, menuItem);
+    } catch (error) {
+      throw new Error(`Failed to save menu item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load POS menu item mappings by code
+   * @returns {Promise<Array>} - Menu item mappings
+   */
+  async loadMenuItems() {
+    try {
+      const storage = await this.getStorage();
+      return (await storage.list("menuItems"))
+        .map(({ record }) => record)
+        .sort((a, b) => a.code.localeCompare(b.code));
+    } catch (error) {
+      throw new Error(`Failed to load menu items: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a POS menu item mapping
+   * @param {string} code - Menu item code
+   * @returns {Promise<boolean>} - True when deleted
+   */
+  async deleteMenuItem(code) {
+    try {
+      const storage = await this.getStorage();
+      await storage.remove("menuItems", code);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete menu item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a waste log entry that took nothing out of stock
+   * Stored under "<location>/<reference>"; waste that did is in the ledger.
+   * @param {Object} entry - Waste log entry (WasteService.toEntries)
+   * @returns {Promise<string>} - Saved location
+   */
+  async saveWasteEntry(entry) {
+    try {
+      const storage = await this.getStorage();
+      return await storage.put("waste", `${entry.location}/${entry.reference}`, entry);
+    } catch (error) {
+      throw new Error(`Failed to save waste entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load waste log entries saved with saveWasteEntry, oldest first
+   * @param {Object} filter - { from, to, location } (dates as YYYY-MM-DD)
+   * @returns {Promise<Array>} - Waste log entries
+   */
+  async loadWasteEntries(filter = {}) {
+    try {
+      const storage = await this.getStorage();
+      const prefix = filter.location ? `${filter.location}/` : "";
+      return (await storage.list("waste", { prefix }))
+        .map(({ record }) => record)
+        .filter((entry) => (!filter.from || entry.date >= filter.from) && (!filter.to || entry.date <= filter.to))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      throw new Error(`Failed to load waste entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save cost history
+   * @param {Object} costData - Cost calculation data
+   * @returns {Promise<string>} - Saved location
+   */
+  async saveCostHistory(costData) {
+    try {
+      const storage = await this.getStorage();
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      return await storage.put("costs", `cost_${timestamp}`, costData);
+    } catch (error) {
+      throw new Error(`Failed to save cost history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load cost history
+   * @param {number} limit - Number of records to return
+   * @returns {Promise<Array>} - Array of cost records
+   */
+  async loadCostHistory(limit = 10) {
+    try {
+      const storage = await this.getStorage();
+      const entries = await storage.list("costs", { newestFirst: true, limit });
+      return entries.map(({ record }) => record);
+    } catch (error) {
+      throw new Error(`Failed to load cost history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export data to CSV
+   * @param {Array} data - Data to export
+   * @param {string} filename - Output filename
+   * @returns {Promise<string>} - Exported file path
+   */
+  async exportToCSV(data, filename) {
+    try {
+      const exportPath = path.join(__dirname, "..", "..", "exports");
+      await fs.ensureDir(exportPath);
+
+      const filepath = path.join(exportPath, `${filename}.csv`);
+
+      // Convert data to CSV format
+      if (data.length === 0) {
+        throw new Error("No data to export");
+      }
+
+      const headers = Object.keys(data[0]);
+      const csvContent = [
+        headers.join(","),
+        ...data.map((row) =>
+          headers
+            .map((header) => {
+              const value = row[header];
+              // Escape commas and quotes in values
+              if (
+                typeof value === "string" &&
+                (value.includes(",") || value.includes('"'))
+              ) {
+                return `"${value.replace(/"/g, '""')}"`;
+              }
+              return value;
+            })
+            .join(",")
+        ),
+      ].join("\n");
+
+      await fs.writeFile(filepath, csvContent, "utf8");
+      return filepath;
+    } catch (error) {
+      throw new Error(`Failed to export to CSV: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export a plain-text report, such as a printable count sheet
+   * @param {string} content - Report text
+   * @param {string} filename - Output filename, without extension
+   * @returns {Promise<string>} - Exported file path
+   */
+  async exportText(content, filename) {
+    try {
+      const exportPath = path.join(__dirname, "..", "..", "exports");
+      await fs.ensureDir(exportPath);
+
+      const filepath = path.join(exportPath, `${filename}.txt`);
+      await fs.writeFile(filepath, content, "utf8");
+      return filepath;
+    } catch (error) {
+      throw new Error(`Failed to export report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export a PDF report
+   * @param {Buffer} content - PDF file contents (ReportService.exportToPDF)
+   * @param {string} filename - Output filename, without extension
+   * @returns {Promise<string>} - Exported file path
+   */
+  async exportPDF(content, filename) {
+    try {
+      const exportPath = path.join(__dirname, "..", "..", "exports");
+      await fs.ensureDir(exportPath);
+
+      const filepath = path.join(exportPath, `${filename}.pdf`);
+      await fs.writeFile(filepath, content);
+      return filepath;
+    } catch (error) {
+      throw new Error(`Failed to export PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import data from CSV
+   * @param {string} filepath - CSV file path
+   * @returns {Promise<Array>} - Parsed data
+   */
+  async importFromCSV(filepath) {
+    try {
+      return this.parseCSV(await fs.readFile(filepath, "utf8"));
+    } catch (error) {
+      throw new Error(`Failed to import from CSV: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse CSV text into rows keyed by the header line
+   * @param {string} content - CSV text
+   * @param {string} delimiter - Field separator
+   * @returns {Array} - Parsed rows
+   */
+  parseCSV(content, delimiter = ",") {
+    const lines = content
+      .replace(/^\uFEFF/, "")
+      .split(/\r?\n/)
+      .filter((line) => line.trim());
+
+    if (lines.length < 2) {
+      throw new Error(
+        "CSV file must contain headers and at least one data row"
+      );
+    }
+
+    const headers = this.parseCSVLine(lines[0], delimiter);
+    const data = [];
+
+    for (let i = 1; i < lines.length; i++) {
+      const values = this.parseCSVLine(lines[i], delimiter);
+      const row = {};
+
+      headers.forEach((header, index) => {
+        row[header] = values[index] || "";
+      });
+
+      data.push(row);
+    }
+
+    return data;
+  }
+
+  /**
+   * Parse CSV line handling quoted values
+   * @param {string} line - CSV line to parse
+   * @param {string} delimiter - Field separator
+   * @returns {Array} - Parsed values
+   */
+  parseCSVLine(line, delimiter = ",") {
+    const values = [];
+    let current = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      const nextChar = line[i + 1];
+
+      if (char === '"') {
+        if (inQuotes && nextChar === '"') {
+          current += '"';
+          i++; // Skip next quote
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === delimiter && !inQuotes) {
+        values.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+
+    values.push(current.trim());
+    return values;
+  }
+
+  /**
+   * Backup all data
+   * @returns {Promise<string>} - Backup file path
+   */
+  async backupData() {
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const backupDir = path.join(__dirname, "..", "..", "backups");
+      await fs.ensureDir(backupDir);
+
+      const backupPath = path.join(backupDir, `backup_${timestamp}`);
+      await this.closeStorage();
+      await fs.copy(this.basePath, backupPath);
+
+      return backupPath;
+    } catch (error) {
+      throw new Error(`Failed to backup data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore data from backup
+   * @param {string} backupPath - Backup directory path
+   * @returns {Promise<boolean>} - Success status
+   */
+  async restoreData(backupPath) {
+    try {
+      // Create a safety backup first
+      const safetyBackup = await this.backupData();
+
+      try {
+        // Release the database file before replacing it
+        await this.closeStorage();
+
+        // Clear current data
+        await fs.emptyDir(this.basePath);
+
+        // Restore from backup
+        await fs.copy(backupPath, this.basePath);
+
+        return true;
+      } catch (restoreError) {
+        // If restore fails, recover from safety backup
+        await fs.copy(safetyBackup, this.basePath);
+        throw restoreError;
+      }
+    } catch (error) {
+      throw new Error(`Failed to restore data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search recipes
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} - Matching recipes
+   */
+  async searchRecipes(query) {
+    try {
+      const storage = await this.getStorage();
+      const matches = await storage.list("recipes", { search: query });
+      const keys = new Set(matches.map(({ key }) => `${key}.json`));
+
+      return (await this.listRecipes()).filter((recipe) =>
+        keys.has(recipe.filename)
+      );
+    } catch (error) {
+      throw new Error(`Failed to search recipes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get statistics
+   * @returns {Promise<Object>} - Data statistics
+   */
+  async getStatistics() {
+    try {
+      const recipes = await this.listRecipes();
+      const ingredients = await this.loadIngredients();
+      const storage = await this.getStorage();
+
+      return {
+        totalRecipes: recipes.length,
+        totalIngredients: ingredients.length,
+        totalCostCalculations: await storage.count("costs"),
+        recipesByCategory: this.groupByCategory(recipes),
+        lastUpdated: new Date().toISOString(),
+      };
+    } catch (error) {
+      throw new Error(`Failed to get statistics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Group recipes by category
+   * @param {Array} recipes - Recipes to group
+   * @returns {Object} - Grouped recipes
+   */
+  groupByCategory(recipes) {
+    return recipes.reduce((groups, recipe) => {
+      const category = recipe.category || "Other";
+      groups[category] = (groups[category] || 0) + 1;
+      return groups;
+    }, {});
+  }
+}
+
+// Export singleton instance
+export default new DataService();
@@ -0,0 +1,239 @@
+import DataService from "./DataService.js";
+import { InventoryService, LOSS_TYPES } from "./InventoryService.js";
+import { SalesService } from "./SalesService.js";
+import { INVENTORY_CONFIG } from "../config/inventory.js";
+import { DEFAULT_LOCATION } from "../config/locations.js";
+
+// Movements that bring stock in rather than use it up
+const SUPPLY_TYPES = ["opening", "receipt", "transfer"];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Food Cost Service
+ * Reconciles theoretical food cost (imported sales × recipe quantities)
+ * with actual food cost (opening stock + purchases − closing stock) over
+ * a period, ingredient by ingredient, to point at theft, over-portioning
+ * and unrecorded waste.
+ */
+export class FoodCostService {
+  constructor(
+    dataService = DataService,
+    inventoryService = new InventoryService(dataService),
+    salesService = new SalesService(dataService)
+  ) {
+    this.dataService = dataService;
+    this.inventoryService = inventoryService;
+    this.salesService = salesService;
+  }
+
+  /**
+   * Stock each ingredient should have used for the recipes sold
+   * @param {Array} recipes - Recipe sales { recipeId, name, soldQty, revenue } (SalesService.getRecipeSales)
+   * @returns {Promise<Object>} - { usage: Map ingredientId → quantity in stock units, unmatched: recipe lines
+   *   not in the catalogue, warnings }
+   */
+  async theoreticalUsage(recipes) {
+    const usage = new Map();
+    const unmatched = new Set();
+    const warnings = [];
+    for (const sold of recipes.filter((recipe) => recipe.soldQty > 0)) {
+      try {
+        const recipe = await this.dataService.loadRecipe(sold.recipeId);
+        const context = await this.dataService.loadCostingContext(recipe);
+        const { requirements, unmatched: missing } = this.inventoryService.calculator.calculateStockRequirements(
+          recipe,
+          sold.soldQty,
+          context
+        );
+        for (const requirement of requirements) {
+          usage.set(requirement.ingredientId, (usage.get(requirement.ingredientId) || 0) + requirement.quantity);
+        }
+        missing.forEach((name) => unmatched.add(name));
+      } catch (error) {
+        warnings.push(`${sold.name}: ${error.message}`);
+      }
+    }
+    return { usage, unmatched: [...unmatched], warnings };
+  }
+
+  /**
+   * Reconcile theoretical and actual usage, ingredient by ingredient
+   * Actual usage is opening stock plus deliveries and transfers in, less
+   * closing stock: everything else the ledger took out in the period
+   * (sales, production, recorded waste, count adjustments). Both sides
+   * are valued at the average cost of the stock actually used, so the
+   * variance is one of quantity rather than of price.
+   * @param {Array} inventory - Inventory items (at the location reported on)
+   * @param {Array} movements - Stock movements in the period
+   * @param {Object} costOfGoods - InventoryService cost of goods for the period
+   * @param {Map} usage - ingredientId → theoretical quantity
+   * @param {Map} wasted - ingredientId → quantity of recipe waste logged without taking it out of stock
+   *   (already in the production or sales that used it)
+   * @returns {Array} - Rows { id, name, category, unit, unitCost, theoreticalQuantity, actualQuantity,
+   *   varianceQuantity, recordedLossQuantity, theoreticalCost, actualCost, variance, variancePercent, recordedLoss,
+   *   unexplained }, largest unexplained variance first
+   */
+  reconcileIngredients(inventory, movements, costOfGoods, usage, wasted = new Map()) {
+    const ledger = this.inventoryService.summarizeLedger(movements);
+    const actual = new Map(costOfGoods.items.map((row) => [row.id, row]));
+
+    const rows = [];
+    for (const item of inventory) {
+      const byType = ledger.get(item.id)?.byType || {};
+      const used = Object.entries(byType)
+        .filter(([type]) => !SUPPLY_TYPES.includes(type))
+        .reduce((sum, [, quantity]) => sum - quantity, 0);
+      const lost = LOSS_TYPES.reduce((sum, type) => sum - (byType[type] || 0), wasted.get(item.id) || 0);
+      const theoreticalQuantity = round(usage.get(item.id) || 0);
+      const actualCost = actual.get(item.id)?.cogs || 0;
+      if (!theoreticalQuantity && !used && !actualCost) continue;
+
+      const unitCost =
+        used > 0 && actualCost > 0
+          ? actualCost / used
+          : this.inventoryService.stockUnitCost(item);
+      const theoreticalCost = round(theoreticalQuantity * unitCost);
+      const variance = round(actualCost - theoreticalCost);
+      const recordedLoss = round(lost * unitCost);
+      rows.push({
+        id: item.id,
+        name: item.name,
+        category: item.category || "Other",
+        unit: item.unit,
+        unitCost: round(unitCost),
+        theoreticalQuantity,
+        actualQuantity: round(used),
+        varianceQuantity: round(used - theoreticalQuantity),
+        recordedLossQuantity: round(lost),
+        theoreticalCost,
+        actualCost: round(actualCost),
+        variance,
+        variancePercent: theoreticalCost > 0 ? round((variance / theoreticalCost) * 100) : null,
+        recordedLoss,
+        unexplained: round(variance - recordedLoss),
+      });
+    }
+    return rows.sort((a, b) => Math.abs(b.unexplained) - Math.abs(a.unexplained));
+  }
+
+  /**
+   * Add up reconciled ingredients by category
+   * @param {Array} rows - reconcileIngredients rows
+   * @returns {Array} - { category, items, theoreticalCost, actualCost, variance, variancePercent, recordedLoss,
+   *   unexplained }, largest unexplained variance first
+   */
+  summarizeCategories(rows) {
+    const categories = new Map();
+    for (const row of rows) {
+      const total = categories.get(row.category) || {
+        category: row.category,
+        items: 0,
+        theoreticalCost: 0,
+        actualCost: 0,
+        variance: 0,
+        recordedLoss: 0,
+        unexplained: 0,
+      };
+      total.items += 1;
+      for (const key of ["theoreticalCost", "actualCost", "variance", "recordedLoss", "unexplained"]) {
+        total[key] = round(total[key] + row[key]);
+      }
+      categories.set(row.category, total);
+    }
+    return [...categories.values()]
+      .map((total) => ({
+        ...total,
+        variancePercent: total.theoreticalCost > 0 ? round((total.variance / total.theoreticalCost) * 100) : null,
+      }))
+      .sort((a, b) => Math.abs(b.unexplained) - Math.abs(a.unexplained));
+  }
+
+  /**
+   * Theoretical vs actual food cost over a period
+   * Closing stock only shows what was really used when it was counted:
+   * without a stock take in the period the actual side is the book stock,
+   * and losses nobody recorded cannot show up.
+   * @param {Object} period - { from, to, location, method }; all locations together without a location
+   * @returns {Promise<Object>} - { from, to, location, method, revenue, theoreticalCost, actualCost, variance,
+   *   variancePercent, analysis, recordedLoss, unexplained, theoreticalFoodCostPercent, actualFoodCostPercent,
+   *   stockTakes, ingredients, categories, recipes, unmapped, warnings }
+   */
+  async getReconciliation({ from, to, location, method = INVENTORY_CONFIG.costingMethod }) {
+    const costOfGoods = await this.inventoryService.getCostOfGoods({ from, to, method, location });
+    const [catalogue, movements, sales, days, stockTakes, wasteEntries] = await Promise.all([
+      this.dataService.loadIngredients(),
+      this.dataService.loadMovements({ from, to, location }),
+      this.salesService.getRecipeSales({ from, to, location }),
+      this.salesService.getSales({ from, to, location }),
+      this.dataService.loadStockTakes(),
+      this.dataService.loadWasteEntries({ from, to, location }),
+    ]);
+    const wasted = new Map();
+    for (const line of wasteEntries.flatMap((entry) => entry.lines)) {
+      wasted.set(line.ingredientId, (wasted.get(line.ingredientId) || 0) + line.quantity);
+    }
+
+    const { usage, unmatched, warnings } = await this.theoreticalUsage(sales.recipes);
+    const ingredients = this.reconcileIngredients(
+      this.inventoryService.inventoryAt(catalogue, location),
+      movements,
+      costOfGoods,
+      usage,
+      wasted
+    );
+    const sum = (key) => round(ingredients.reduce((total, row) => total + row[key], 0));
+    const theoreticalCost = sum("theoreticalCost");
+    const actualCost = sum("actualCost");
+    const revenue = round(days.reduce((total, day) => total + day.revenue, 0));
+
+    const counted = stockTakes.filter(
+      (stockTake) =>
+        stockTake.date >= from &&
+        stockTake.date <= to &&
+        (!location || (stockTake.location || DEFAULT_LOCATION) === location)
+    );
+    if (days.length === 0) {
+      warnings.push("No sales imported for the period, so there is no theoretical usage to compare with");
+    }
+    if (counted.length === 0) {
+      warnings.push("No stock take in the period: closing stock is the book stock, so unrecorded losses do not show");
+    }
+    if (unmatched.length > 0) {
+      warnings.push(`Recipe lines not in the ingredient catalogue are left out: ${unmatched.join(", ")}`);
+    }
+    warnings.push(...sales.warnings);
+
+    const variance =
+      theoreticalCost > 0
+        ? this.inventoryService.foodCostCalculator.calculateVariance(actualCost, theoreticalCost)
+        : { variance: actualCost, variancePercent: null, analysis: "No theoretical usage in the period" };
+    const percentOfRevenue = (cost) =>
+      revenue > 0 ? round(this.inventoryService.foodCostCalculator.calculateTotalFoodCostPercentage(cost, revenue)) : null;
+
+    return {
+      from,
+      to,
+      location: location || null,
+      method,
+      revenue,
+      theoreticalCost,
+      actualCost,
+      variance: round(variance.variance),
+      variancePercent: variance.variancePercent === null ? null : round(variance.variancePercent),
+      analysis: variance.analysis,
+      recordedLoss: sum("recordedLoss"),
+      unexplained: sum("unexplained"),
+      theoreticalFoodCostPercent: percentOfRevenue(theoreticalCost),
+      actualFoodCostPercent: percentOfRevenue(actualCost),
+      stockTakes: counted.length,
+      ingredients,
+      categories: this.summarizeCategories(ingredients),
+      recipes: sales.recipes,
+      unmapped: sales.unmapped,
+      warnings,
+    };
+  }
+}
+
+export default FoodCostService;
@@ -0,0 +1,1413 @@
+import os from "os";
+import DataService from "./DataService.js";
+import { RecipeCostCalculator } from "../core/calculations/RecipeCostCalculator.js";
+import { FoodCostCalculator } from "../core/calculations/FoodCostCalculator.js";
+import { InventoryCostingCalculator } from "../core/calculations/InventoryCostingCalculator.js";
+import { STOCK_MOVEMENT_TYPES, STORAGE_AREAS } from "../config/constants.js";
+import { INVENTORY_CONFIG } from "../config/inventory.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../config/locations.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Movements that draw stock down through recipes
+export const DEPLETION_TYPES = ["production", "sale"];
+
+// Movements that remove stock outside recipes but still count as food cost
+export const LOSS_TYPES = ["waste", "staff-meal"];
+
+// Storage area shown on count sheets for items without one
+export const UNASSIGNED_AREA = "Unassigned";
+
+/**
+ * Inventory Service for stock level and expiry checks and the stock
+ * movement ledger
+ */
+export class InventoryService {
+  constructor(dataService = DataService) {
+    this.dataService = dataService;
+    this.calculator = new RecipeCostCalculator();
+    this.foodCostCalculator = new FoodCostCalculator();
+    this.costingCalculator = new InventoryCostingCalculator();
+  }
+
+  /**
+   * Check a location ID against the configured locations
+   * @param {string} location - Location ID
+   * @returns {string} - The location ID
+   */
+  checkLocation(location) {
+    if (!LOCATIONS[location]) {
+      throw new Error(`Unknown location "${location}" (${Object.keys(LOCATIONS).join(", ")})`);
+    }
+    return location;
+  }
+
+  /**
+   * Location a movement was recorded at
+   * Movements recorded before locations were set up, or at a location no
+   * longer configured, belong to the default location.
+   * @param {Object} movement - Stock movement
+   * @returns {string} - Location ID
+   */
+  locationOf(movement) {
+    return this.dataService.stockLocation(movement.location);
+  }
+
+  /**
+   * Whether a location stocks an item
+   * Items without per-location stock are held at the default location.
+   * @param {Object} item - Catalogue item
+   * @param {string} location - Location ID
+   * @returns {boolean}
+   */
+  heldAt(item, location) {
+    return item.locations ? Boolean(item.locations[location]) : location === DEFAULT_LOCATION;
+  }
+
+  /**
+   * An item as seen from one location: its stock there and the location's
+   * storage area and par and max levels, falling back to the item's own
+   * @param {Object} item - Catalogue item
+   * @param {string} location - Location ID
+   * @returns {Object} - Item with { location, quantity, storageArea, parLevel, maxLevel } for the location
+   */
+  stockAt(item, location) {
+    const held = item.locations?.[location] || {};
+    const { quantity, ...settings } = held;
+    return {
+      ...item,
+      ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== "")),
+      location,
+      quantity: item.locations ? quantity || 0 : location === DEFAULT_LOCATION ? item.quantity || 0 : 0,
+    };
+  }
+
+  /**
+   * Inventory as seen from one location, or consolidated
+   * @param {Array} inventory - Inventory items
+   * @param {string} location - Location ID; all locations together when omitted
+   * @returns {Array} - Items held at the location (stockAt), or the inventory unchanged
+   */
+  inventoryAt(inventory, location) {
+    if (!location) {
+      return inventory;
+    }
+    this.checkLocation(location);
+    return inventory.filter((item) => this.heldAt(item, location)).map((item) => this.stockAt(item, location));
+  }
+
+  /**
+   * Movements recorded at one location
+   * @param {Array} movements - Stock movements
+   * @param {string} location - Location ID; all movements when omitted
+   * @returns {Array} - Matching movements
+   */
+  movementsAt(movements, location) {
+    return location ? movements.filter((movement) => this.locationOf(movement) === location) : movements;
+  }
+
+  /**
+   * Set where and how an item is stocked at a location
+   * Settings left out keep their value; an empty value falls back to the item's own.
+   * @param {string} ingredientId - Catalogue ingredient ID
+   * @param {string} location - Location ID
+   * @param {Object} settings - { storageArea, parLevel, maxLevel }
+   * @returns {Promise<Object>} - Saved item
+   */
+  async setLocationSettings(ingredientId, location, { storageArea, parLevel, maxLevel } = {}) {
+    this.checkLocation(location);
+    for (const [name, value] of Object.entries({ parLevel, maxLevel })) {
+      if (value !== undefined && value !== null && !(value >= 0)) {
+        throw new Error(`${name === "parLevel" ? "Par" : "Max"} level must be a number of at least 0`);
+      }
+    }
+
+    return await this.dataService.updateIngredient(ingredientId, (item) => {
+      // Stock held before per-location stock was kept stays at the default location
+      const locations = item.locations || { [DEFAULT_LOCATION]: { quantity: item.quantity || 0 } };
+      const current = locations[location] || { quantity: 0 };
+      const settings = { ...current };
+      for (const [name, value] of Object.entries({ storageArea, parLevel, maxLevel })) {
+        if (value === null || value === "") {
+          delete settings[name];
+        } else if (value !== undefined) {
+          settings[name] = value;
+        }
+      }
+      const par = settings.parLevel ?? item.parLevel;
+      const max = settings.maxLevel ?? item.maxLevel;
+      if (par !== undefined && max !== undefined && !(max >= par)) {
+        throw new Error(`${item.name}: max level at ${LOCATIONS[location].label} must be at least the par level (${par})`);
+      }
+
+      item.locations = { ...locations, [location]: settings };
+      item.updatedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Find items at or below their par level
+   * Items with no par level (or a par of 0) are not stocked to a level, so
+   * they are left out; the order quantity tops up to the max level, or to
+   * par when no max is set.
+   * @param {Array} inventory - Inventory items
+   * @returns {Array} - Low stock items, most urgent first
+   */
+  findLowStock(inventory) {
+    return inventory
+      .filter((item) => item.parLevel > 0 && item.quantity <= item.parLevel)
+      .map((item) => {
+        const parLevel = item.parLevel;
+        const percentOfPar = (Math.max(0, item.quantity) / parLevel) * 100;
+        let status;
+
+        if (percentOfPar === 0) {
+          status = "OUT OF STOCK";
+        } else if (percentOfPar < 25) {
+          status = "CRITICAL";
+        } else if (percentOfPar < 50) {
+          status = "LOW";
+        } else {
+          status = "BELOW PAR";
+        }
+
+        return {
+          ...item,
+          parLevel,
+          percentOfPar,
+          orderQuantity: Math.max(0, (item.maxLevel ?? parLevel) - item.quantity),
+          status,
+        };
+      })
+      .sort((a, b) => a.percentOfPar - b.percentOfPar);
+  }
+
+  /**
+   * Find stock lots expiring within a number of days
+   * @param {Array} lots - Stock lots on hand (listLots)
+   * @param {number} days - Look-ahead window in days
+   * @param {Date} today - Reference date
+   * @returns {Array} - Expiring lots, soonest first
+   */
+  findExpiring(lots, days = 30, today = new Date()) {
+    const horizon = new Date(today.getTime() + days * DAY_MS);
+
+    return lots
+      .filter((lot) => lot.expiryDate && new Date(lot.expiryDate) <= horizon)
+      .map((lot) => {
+        const daysLeft = Math.floor(
+          (new Date(lot.expiryDate) - today) / DAY_MS
+        );
+        let status;
+
+        if (daysLeft < 0) {
+          status = "EXPIRED";
+        } else if (daysLeft === 0) {
+          status = "EXPIRES TODAY";
+        } else if (daysLeft <= 3) {
+          status = "CRITICAL";
+        } else if (daysLeft <= 7) {
+          status = "URGENT";
+        } else {
+          status = "WARNING";
+        }
+
+        return { ...lot, daysLeft, status };
+      })
+      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+  }
+
+  /**
+   * Load inventory and find low stock items
+   * @param {string} location - Location ID; stock across all locations when omitted
+   * @returns {Promise<Array>} - Low stock items
+   */
+  async getLowStock(location) {
+    return this.findLowStock(this.inventoryAt(await this.dataService.loadIngredients(), location));
+  }
+
+  /**
+   * Load stock lots and find those expiring
+   * @param {number} days - Look-ahead window in days
+   * @param {string} location - Location ID; all locations when omitted
+   * @returns {Promise<Array>} - Expiring lots
+   */
+  async getExpiring(days = 30, location) {
+    return this.findExpiring(await this.getLots(INVENTORY_CONFIG.costingMethod, location), days);
+  }
+
+  /**
+   * Name recorded on movements when the caller gives none
+   * @returns {string} - FOOD_SYSTEM_USER or the login name
+   */
+  defaultUser() {
+    if (process.env.FOOD_SYSTEM_USER) {
+      return process.env.FOOD_SYSTEM_USER;
+    }
+    try {
+      return os.userInfo().username;
+    } catch {
+      return "unknown";
+    }
+  }
+
+  /**
+   * Build a stock movement for the ledger
+   * Removals (production, sale, waste, staff meal) are given as positive
+   * quantities and stored negative; receipts are stored positive; opening
+   * balances, transfers and adjustments keep the sign given. Without a
+   * unit cost the movement is priced at the catalogue price until
+   * costFromLedger values it.
+   * @param {Object} item - Catalogue item
+   * @param {Object} fields - { type, quantity, unitCost, location, user, reason, date, reference, ... }
+   * @returns {Object} - Stock movement, at the default location unless one is given
+   */
+  createMovement(item, { type, quantity, unitCost, location = DEFAULT_LOCATION, user, reason = "", date, reference, ...details }) {
+    const movementType = STOCK_MOVEMENT_TYPES[type];
+    if (!movementType) {
+      throw new Error(`Unknown movement type "${type}" (${Object.keys(STOCK_MOVEMENT_TYPES).join(", ")})`);
+    }
+    if (!Number.isFinite(quantity) || quantity === 0) {
+      throw new Error("Quantity must be a number other than zero");
+    }
+    if (movementType.direction !== 0 && quantity < 0) {
+      throw new Error(`Give ${movementType.label.toLowerCase()} quantities as positive numbers`);
+    }
+    if (unitCost !== undefined && !(unitCost >= 0)) {
+      throw new Error("Unit cost must be a number of at least 0");
+    }
+    this.checkLocation(location);
+    const day = date || new Date().toISOString().split("T")[0];
+    if (isNaN(new Date(day).getTime())) {
+      throw new Error(`Invalid date "${date}"`);
+    }
+    if (details.expiryDate && isNaN(new Date(details.expiryDate).getTime())) {
+      throw new Error(`Invalid expiry date "${details.expiryDate}"`);
+    }
+
+    const createdAt = new Date().toISOString();
+    const id = `${type}-${createdAt.replace(/[:.]/g, "-")}-${Math.random().toString(36).slice(2, 6)}`;
+    return {
+      id,
+      reference: reference || id,
+      type,
+      date: day,
+      ingredientId: item.id,
+      name: item.name,
+      quantity: movementType.direction === 0 ? quantity : movementType.direction * quantity,
+      unit: item.unit,
+      unitCost: unitCost ?? this.stockUnitCost(item),
+      location,
+      user: user || this.defaultUser(),
+      reason,
+      ...details,
+      createdAt,
+    };
+  }
+
+  /**
+   * Record a single stock movement
+   * Receipts may carry the supplier's lotNumber and an expiryDate; stock
+   * going out may name the lot it is taken from (lot number or receipt
+   * movement ID), otherwise it is drawn from the lots at its location in
+   * the order of the configured costing method (receipt order, or first
+   * expiry first out under fefo). Movements given without a unit cost are
+   * valued from the ledger (costFromLedger).
+   * @param {Object} fields - { ingredientId, type, quantity, unitCost, location, user, reason, date, lotNumber, expiryDate, supplier, lot,
+   *   method (costing method, default the configured one) }
+   * @returns {Promise<Object>} - { movement, item } with the updated item
+   */
+  async recordMovement({ ingredientId, method = INVENTORY_CONFIG.costingMethod, ...fields }) {
+    const item = await this.dataService.getIngredient(ingredientId);
+    if (!item) {
+      throw new Error(`Ingredient "${ingredientId}" not found`);
+    }
+
+    const movement = this.createMovement(item, fields);
+    if (movement.lot) {
+      if (movement.quantity > 0) {
+        throw new Error("A lot can only be chosen for stock going out");
+      }
+      const { lots } = this.costingCalculator.costMovements(
+        await this.dataService.loadMovements({ ingredientId, location: movement.location }),
+        method,
+        this.stockUnitCost(item)
+      );
+      if (!lots.some((lot) => lot.movementId === movement.lot || lot.lotNumber === movement.lot)) {
+        throw new Error(`No stock left in lot "${movement.lot}" of ${item.name} at ${LOCATIONS[movement.location].label}`);
+      }
+    }
+    if (fields.unitCost === undefined) {
+      await this.costFromLedger([movement], method);
+    }
+    const [updated] = await this.dataService.appendMovements([movement]);
+    return { movement, item: updated };
+  }
+
+  /**
+   * Set stock on hand to a counted quantity with an adjustment movement
+   * @param {string} ingredientId - Catalogue ingredient ID
+   * @param {number} counted - Quantity on hand at the location
+   * @param {Object} fields - { location, user, reason, date }
+   * @returns {Promise<Object>} - { movement, item }; movement is null when nothing changed
+   */
+  async setStockLevel(ingredientId, counted, { location = DEFAULT_LOCATION, ...fields } = {}) {
+    const item = await this.dataService.getIngredient(ingredientId);
+    if (!item) {
+      throw new Error(`Ingredient "${ingredientId}" not found`);
+    }
+    if (!(counted >= 0)) {
+      throw new Error("Counted quantity must be a number of at least 0");
+    }
+
+    const delta = Math.round((counted - this.stockAt(item, this.checkLocation(location)).quantity) * 1e6) / 1e6;
+    if (delta === 0) {
+      return { movement: null, item };
+    }
+    return await this.recordMovement({
+      ingredientId,
+      type: "adjustment",
+      quantity: delta,
+      location,
+      reason: "Stock level set",
+      ...fields,
+    });
+  }
+
+  /**
+   * Transfer stock from one location to another at cost
+   * Stock leaves the source in the costing method's lot order (receipt
+   * order, or first expiry first out under fefo), or from the lot named
+   * first, and each lot drawn arrives as a lot of its own with its lot
+   * number, expiry date and supplier. Both sides are valued at the
+   * source's cost by the costing method and share one reference.
+   * @param {Object} transfer - { ingredientId, quantity, from, to, lot, date, user, reason, method }
+   * @returns {Promise<Object>} - { reference, item, from, to, quantity, value, movements }
+   */
+  async transferStock({ ingredientId, quantity, from, to, lot, date, user, reason = "", method = INVENTORY_CONFIG.costingMethod }) {
+    const item = await this.dataService.getIngredient(ingredientId);
+    if (!item) {
+      throw new Error(`Ingredient "${ingredientId}" not found`);
+    }
+    this.checkLocation(from);
+    this.checkLocation(to);
+    if (from === to) {
+      throw new Error("Stock can only be transferred to another location");
+    }
+    if (!(quantity > 0)) {
+      throw new Error("Transfer quantity must be greater than zero");
+    }
+
+    const unitCost = this.stockUnitCost(item);
+    const movements = await this.dataService.loadMovements({ ingredientId, location: from });
+    const source = this.costingCalculator.costMovements(movements, method, unitCost);
+    // Stock of an item without a ledger yet is one lot at the default location
+    const onHand = this.stockAt(item, from).quantity;
+    const lots = movements.length > 0 ? source.lots : onHand > 0 ? [{ movementId: null, quantity: onHand, unitCost }] : [];
+    if (lot && !lots.some((open) => open.movementId === lot || open.lotNumber === lot)) {
+      throw new Error(`No stock left in lot "${lot}" of ${item.name} at ${LOCATIONS[from].label}`);
+    }
+    const available = Math.round(lots.reduce((sum, open) => sum + open.quantity, 0) * 1e6) / 1e6;
+    if (available < quantity) {
+      throw new Error(`Only ${available} ${item.unit} of ${item.name} at ${LOCATIONS[from].label}`);
+    }
+
+    const { drew } = this.costingCalculator.drawLots(
+      lots.map((open) => ({ ...open })),
+      quantity,
+      unitCost,
+      () => {},
+      lot
+    );
+    const reference = `transfer-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    const note = reason || `${LOCATIONS[from].label} to ${LOCATIONS[to].label}`;
+    // Lots drawn together arrive in the order they were drawn, a millisecond apart
+    const createdAt = Date.now();
+    const transferred = drew.flatMap((draw, index) => {
+      const drawn = lots.find((open) => open.movementId === draw.movementId);
+      const cost = method === "fifo" || method === "fefo" ? drawn.unitCost : source.unitCost;
+      const fields = {
+        type: "transfer",
+        unitCost: cost,
+        date,
+        user,
+        reason: note,
+        reference,
+        ...(drawn.lotNumber && { lotNumber: drawn.lotNumber }),
+      };
+      return [
+        this.createMovement(item, {
+          ...fields,
+          quantity: -draw.quantity,
+          location: from,
+          toLocation: to,
+          ...(draw.movementId && { lot: draw.movementId }),
+        }),
+        this.createMovement(item, {
+          ...fields,
+          quantity: draw.quantity,
+          location: to,
+          fromLocation: from,
+          ...(drawn.expiryDate && { expiryDate: drawn.expiryDate }),
+          ...(drawn.supplier && { supplier: drawn.supplier }),
+        }),
+      ].map((movement) => ({ ...movement, createdAt: new Date(createdAt + index).toISOString() }));
+    });
+
+    const [updated] = await this.dataService.appendMovements(transferred);
+    const value = transferred
+      .filter((movement) => movement.quantity > 0)
+      .reduce((sum, movement) => sum + movement.quantity * movement.unitCost, 0);
+    return {
+      reference,
+      item: updated,
+      from,
+      to,
+      quantity,
+      value: Math.round(value * 1e6) / 1e6,
+      movements: transferred,
+    };
+  }
+
+  /**
+   * Deduct the stock used by a production batch or by items sold
+   * @param {Object} event - Depletion event
+   * @param {string} event.type - "production" or "sale"
+   * @param {string} event.recipeId - Saved recipe ID
+   * @param {number} event.portions - Portions produced or sold
+   * @param {number} event.batches - Whole recipe batches, instead of portions
+   * @param {string} event.date - Date of the event (YYYY-MM-DD), default today
+   * @param {string} event.location - Where the stock was used, default location if omitted
+   * @param {string} event.user - Who recorded it
+   * @param {string} event.note - Optional note
+   * @returns {Promise<Object>} - { reference, recipe, portions, movements, warnings }
+   */
+  async recordDepletion({ type, location = DEFAULT_LOCATION, ...event }) {
+    if (!DEPLETION_TYPES.includes(type)) {
+      throw new Error(`Unknown depletion type "${type}" (${DEPLETION_TYPES.join(", ")})`);
+    }
+
+    const reference = `${type}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    const { recipe, portions, movements, unmatched } = await this.recipeMovements({ ...event, type, location, reference });
+    const items = await this.dataService.appendMovements(movements);
+
+    return {
+      reference,
+      recipe: recipe.name,
+      portions,
+      movements,
+      warnings: this.depletionWarnings(items, location, unmatched),
+    };
+  }
+
+  /**
+   * Build the movements that take a recipe's ingredients out of stock
+   * Each catalogue ingredient of the recipe (and of its sub-recipes) gets
+   * one movement, scaled to the portions and grossed up by its yield, and
+   * costed from the ledger at its location.
+   * @param {Object} event - { type, recipeId, portions, batches, date, location, user, note, reference, method, ...details }
+   * @returns {Promise<Object>} - { recipe, portions, movements, unmatched: recipe lines not in the catalogue }
+   */
+  async recipeMovements({
+    type,
+    recipeId,
+    portions,
+    batches,
+    location = DEFAULT_LOCATION,
+    note = "",
+    method = INVENTORY_CONFIG.costingMethod,
+    ...fields
+  }) {
+    const recipe = await this.dataService.loadRecipe(recipeId);
+    const made = portions ?? (batches || 0) * (recipe.portions || 1);
+    if (!(made > 0)) {
+      throw new Error("Portions or batches must be greater than zero");
+    }
+    this.checkLocation(location);
+
+    const { subRecipes, catalogue } = await this.dataService.loadCostingContext(recipe);
+    const { requirements, unmatched } = this.calculator.calculateStockRequirements(recipe, made, {
+      subRecipes,
+      catalogue,
+    });
+
+    const movements = requirements.map((requirement) =>
+      this.createMovement(catalogue[requirement.ingredientId], {
+        ...fields,
+        type,
+        quantity: requirement.quantity,
+        location,
+        reason: note,
+        recipeId: recipe.id || this.dataService.recipeKey(recipeId),
+        recipeName: recipe.name,
+        portions: made,
+      })
+    );
+    await this.costFromLedger(movements, method);
+    return { recipe, portions: made, movements, unmatched };
+  }
+
+  /**
+   * Value new movements from the ledger instead of the catalogue price
+   * Each movement is replayed after its item's ledger at its location:
+   * stock going out is costed at the lots it draws (or the named lot) by
+   * the costing method, stock coming in at the unit cost of the stock on
+   * hand. Items with no ledger there keep the price they were given.
+   * @param {Array} movements - New movements (unitCost updated in place)
+   * @param {string} method - fifo | fefo | weighted-average | last-price
+   * @returns {Promise<Array>} - The movements
+   */
+  async costFromLedger(movements, method = INVENTORY_CONFIG.costingMethod) {
+    for (const movement of movements) {
+      const ledger = await this.dataService.loadMovements({
+        ingredientId: movement.ingredientId,
+        location: movement.location,
+      });
+      if (ledger.length === 0) continue;
+
+      if (movement.quantity < 0) {
+        const { costed } = this.costingCalculator.costMovements([...ledger, movement], method, movement.unitCost);
+        movement.unitCost = Math.round((costed[costed.length - 1].cost / movement.quantity) * 1e6) / 1e6;
+      } else {
+        movement.unitCost = this.costingCalculator.costMovements(ledger, method, movement.unitCost).unitCost;
+      }
+    }
+    return movements;
+  }
+
+  /**
+   * Warnings after taking a recipe's ingredients out of stock
+   * @param {Array} items - Updated catalogue items
+   * @param {string} location - Location the stock was taken from
+   * @param {Array} unmatched - Recipe lines not in the catalogue
+   * @returns {Array} - Messages for unmatched lines and stock that went negative
+   */
+  depletionWarnings(items, location = DEFAULT_LOCATION, unmatched = []) {
+    const warnings = unmatched.map(
+      (name) => `"${name}" is not in the ingredient catalogue; no stock was deducted for it`
+    );
+    for (const item of items.map((updated) => this.stockAt(updated, location))) {
+      if (item.quantity < 0) {
+        warnings.push(
+          `${item.name} stock at ${LOCATIONS[location].label} is now negative (${item.quantity} ${item.unit}); check for unrecorded deliveries or transfers`
+        );
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Cost of one stock unit of a catalogue item
+   * @param {Object} item - Catalogue item
+   * @returns {number} - Price per item.unit
+   */
+  stockUnitCost(item) {
+    if (item.packPrice === undefined) {
+      return item.unitPrice || 0;
+    }
+    try {
+      const line = this.calculator.resolveCatalogueLine(
+        { ingredientId: item.id, quantity: 1, unit: item.unit },
+        { [item.id]: item }
+      );
+      return this.calculator.resolveUnitPrice(line).unitPrice;
+    } catch {
+      return item.unitPrice || 0;
+    }
+  }
+
+  /**
+   * Analyse stock usage from recorded production and sales
+   * Usage per day is averaged over the days the item's ledger covers in
+   * the window, from its first movement if that falls inside it, so an
+   * item added last week is not diluted over a month; the trend compares
+   * the second half of those days with the first.
+   * @param {Array} inventory - Inventory items
+   * @param {Array} movements - Stock movements, including those before the window
+   * @param {number} days - Window in days, ending today
+   * @param {Date} today - Reference date
+   * @returns {Array} - Items with usage and the daysCovered, fewest days of stock first
+   */
+  analyzeUsage(inventory, movements, days = 30, today = new Date()) {
+    const toDay = (time) => new Date(time).toISOString().split("T")[0];
+    const from = toDay(today.getTime() - (days - 1) * DAY_MS);
+    const to = toDay(today);
+
+    const firstDay = new Map();
+    const used = new Map();
+    for (const movement of movements) {
+      if (!firstDay.has(movement.ingredientId) || movement.date < firstDay.get(movement.ingredientId)) {
+        firstDay.set(movement.ingredientId, movement.date);
+      }
+      if (!DEPLETION_TYPES.includes(movement.type)) continue;
+      if (movement.date < from || movement.date > to) continue;
+      used.set(movement.ingredientId, [...(used.get(movement.ingredientId) || []), movement]);
+    }
+
+    return inventory
+      .filter((item) => used.has(item.id))
+      .map((item) => {
+        const start = firstDay.get(item.id) > from ? firstDay.get(item.id) : from;
+        const daysCovered = Math.round((new Date(to) - new Date(start)) / DAY_MS) + 1;
+        const midpoint = toDay(today.getTime() - (Math.ceil(daysCovered / 2) - 1) * DAY_MS);
+
+        let total = 0;
+        let earlier = 0;
+        let later = 0;
+        for (const movement of used.get(item.id)) {
+          total -= movement.quantity;
+          if (movement.date < midpoint) {
+            earlier -= movement.quantity;
+          } else {
+            later -= movement.quantity;
+          }
+        }
+        const usagePerDay = total / daysCovered;
+        const quantity = item.quantity || 0;
+
+        return {
+          ...item,
+          used: total,
+          daysCovered,
+          usagePerDay,
+          daysOfStock: usagePerDay > 0 ? Math.max(0, quantity) / usagePerDay : null,
+          turnover: quantity > 0 ? (usagePerDay * 30) / quantity : null,
+          trend: earlier > 0 ? ((later - earlier) / earlier) * 100 : null,
+        };
+      })
+      .sort((a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity));
+  }
+
+  /**
+   * Load inventory and movements and analyse usage
+   * Movements before the window are loaded too, to tell when each item's
+   * ledger starts.
+   * @param {number} days - Window in days, ending today
+   * @returns {Promise<Array>} - Items with usage
+   */
+  async getUsageAnalysis(days = 30) {
+    const [inventory, movements] = await Promise.all([
+      this.dataService.loadIngredients(),
+      this.dataService.loadMovements(),
+    ]);
+    return this.analyzeUsage(inventory, movements, days, new Date());
+  }
+
+  /**
+   * Weight of a stock quantity in kg
+   * @param {number} quantity - Quantity in the item's stock unit
+   * @param {Object} item - Catalogue item
+   * @returns {number|null} - kg, or null when the unit has no known weight
+   */
+  weightOf(quantity, item) {
+    const converter = this.calculator.unitConverter;
+    return converter.canConvert(item.unit, "kg", item) ? converter.convert(quantity, item.unit, "kg", item) : null;
+  }
+
+  /**
+   * Summarise recorded production batches
+   * Flour is every ingredient whose name or category mentions flour; the
+   * yield compares the weight produced (a recipe yield set in a weight
+   * unit) with the flour used, as bakers read it. Ingredients held in a
+   * unit with no known weight are left out of the weights.
+   * @param {Array} movements - Production movements
+   * @param {Object} recipes - recipeId → recipe; batches of deleted recipes keep the name on their movements
+   * @param {Object} catalogue - ingredientId → catalogue item
+   * @returns {Array} - Batches { reference, date, location, recipeId, name, category, portions, batches, output,
+   *   ingredientWeight, flour, cost, yieldPercent }, weights in kg (null when unknown), in the order recorded
+   */
+  summarizeProduction(movements, recipes, catalogue) {
+    const batches = new Map();
+    for (const movement of movements.filter((movement) => movement.type === "production")) {
+      const recipe = recipes[movement.recipeId];
+      const batch = batches.get(movement.reference) || {
+        reference: movement.reference,
+        date: movement.date,
+        location: this.locationOf(movement),
+        recipeId: movement.recipeId,
+        name: recipe?.name || movement.recipeName,
+        category: recipe?.category || "Other",
+        portions: movement.portions,
+        batches: recipe ? movement.portions / (recipe.portions || 1) : null,
+        output: null,
+        ingredientWeight: 0,
+        flour: 0,
+        cost: 0,
+        yieldPercent: null,
+      };
+      const item = catalogue[movement.ingredientId] || { id: movement.ingredientId, name: movement.name, unit: movement.unit };
+      const weight = this.weightOf(-movement.quantity, item);
+      batch.ingredientWeight += weight || 0;
+      if (/flour/i.test(`${item.name} ${item.category || ""}`)) {
+        batch.flour += weight || 0;
+      }
+      batch.cost += -movement.quantity * (movement.unitCost || 0);
+      batches.set(movement.reference, batch);
+    }
+
+    return [...batches.values()].map((batch) => {
+      const recipe = recipes[batch.recipeId];
+      let output = null;
+      if (recipe?.yieldQuantity && recipe.yieldUnit) {
+        try {
+          output = this.calculator.unitConverter.convert(recipe.yieldQuantity * batch.batches, recipe.yieldUnit, "kg");
+        } catch {
+          output = null;
+        }
+      }
+      return {
+        ...batch,
+        output,
+        yieldPercent: output !== null && batch.flour > 0 ? (output / batch.flour) * 100 : null,
+      };
+    });
+  }
+
+  /**
+   * Load the production batches recorded on a day
+   * @param {string} date - Production date (YYYY-MM-DD)
+   * @param {string} location - Location ID; all locations when omitted
+   * @returns {Promise<Array>} - Batches (summarizeProduction)
+   */
+  async getProduction(date, location) {
+    if (!date || isNaN(new Date(date).getTime())) {
+      throw new Error(`Invalid date "${date}"`);
+    }
+    const [movements, catalogue, list] = await Promise.all([
+      this.dataService.loadMovements({ type: "production", from: date, to: date, location }),
+      this.dataService.loadCatalogue(),
+      this.dataService.listRecipes(),
+    ]);
+    const recipes = {};
+    for (const { id, filename } of list.filter((recipe) => movements.some((movement) => movement.recipeId === recipe.id))) {
+      recipes[id] = await this.dataService.loadRecipe(filename);
+    }
+    return this.summarizeProduction(movements, recipes, catalogue);
+  }
+
+  /**
+   * Summarise the ledger behind each item's stock on hand
+   * @param {Array} movements - Stock movements
+   * @returns {Map} - ingredientId → { balance, count, lastDate, byType: { type → quantity } }
+   */
+  summarizeLedger(movements) {
+    const summary = new Map();
+    for (const movement of movements) {
+      const entry = summary.get(movement.ingredientId) || { balance: 0, count: 0, lastDate: null, byType: {} };
+      entry.balance += movement.quantity;
+      entry.count += 1;
+      entry.byType[movement.type] = (entry.byType[movement.type] || 0) + movement.quantity;
+      if (!entry.lastDate || movement.date > entry.lastDate) {
+        entry.lastDate = movement.date;
+      }
+      summary.set(movement.ingredientId, entry);
+    }
+
+    for (const entry of summary.values()) {
+      entry.balance = Math.round(entry.balance * 1e6) / 1e6;
+    }
+    return summary;
+  }
+
+  /**
+   * Value each item's stock from its movements
+   * Stock at each location is costed from that location's movements, so
+   * transfers carry their cost with them; the item's figures add up its
+   * locations. Items without movements are valued at their current unit cost.
+   * @param {Array} inventory - Inventory items
+   * @param {Array} movements - Stock movements, oldest first
+   * @param {string} method - fifo | fefo | weighted-average | last-price
+   * @returns {Map} - ingredientId → { method, quantity, value, unitCost, lots, costed, locations };
+   *   lots carry their location and locations maps each location to its { quantity, value, unitCost }
+   */
+  valueInventory(inventory, movements, method = INVENTORY_CONFIG.costingMethod) {
+    const byItem = new Map();
+    for (const movement of movements) {
+      const ledgers = byItem.get(movement.ingredientId) || new Map();
+      const location = this.locationOf(movement);
+      ledgers.set(location, [...(ledgers.get(location) || []), movement]);
+      byItem.set(movement.ingredientId, ledgers);
+    }
+
+    const costs = new Map();
+    for (const item of inventory) {
+      const unitCost = this.stockUnitCost(item);
+      const ledgers = byItem.get(item.id);
+      if (!ledgers) {
+        const quantity = item.quantity || 0;
+        costs.set(item.id, {
+          ...this.costingCalculator.costMovements([], method, unitCost),
+          quantity,
+          value: quantity * unitCost,
+          locations: quantity ? { [item.location || DEFAULT_LOCATION]: { quantity, value: quantity * unitCost, unitCost } } : {},
+        });
+        continue;
+      }
+
+      const located = [...ledgers].map(([location, entries]) => ({
+        location,
+        ...this.costingCalculator.costMovements(entries, method, unitCost),
+      }));
+      const quantity = Math.round(located.reduce((sum, cost) => sum + cost.quantity, 0) * 1e6) / 1e6;
+      const value = Math.round(located.reduce((sum, cost) => sum + cost.value, 0) * 1e6) / 1e6;
+      costs.set(item.id, {
+        method,
+        quantity,
+        value,
+        unitCost: located.length === 1 || quantity === 0 ? located[0].unitCost : Math.round((value / quantity) * 1e6) / 1e6,
+        lots: located.flatMap((cost) => cost.lots.map((lot) => ({ ...lot, location: cost.location }))),
+        costed: located
+          .flatMap((cost) => cost.costed)
+          .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt)),
+        locations: Object.fromEntries(
+          located.map((cost) => [cost.location, { quantity: cost.quantity, value: cost.value, unitCost: cost.unitCost }])
+        ),
+      });
+    }
+    return costs;
+  }
+
+  /**
+   * Load inventory and its ledger, valued by a costing method
+   * @param {string} method - fifo | fefo | weighted-average | last-price
+   * @param {string} location - Location ID; all locations together when omitted
+   * @returns {Promise<Object>} - { inventory, ledger, costs, location } for ReportService.generateInventoryValuation
+   */
+  async getValuation(method = INVENTORY_CONFIG.costingMethod, location) {
+    const [catalogue, ledgerMovements] = await Promise.all([
+      this.dataService.loadIngredients(),
+      this.dataService.loadMovements(),
+    ]);
+    const inventory = this.inventoryAt(catalogue, location);
+    const movements = this.movementsAt(ledgerMovements, location);
+    return {
+      inventory,
+      ledger: this.summarizeLedger(movements),
+      costs: this.valueInventory(inventory, movements, method),
+      location: location || null,
+    };
+  }
+
+  /**
+   * Stock value at each location
+   * @param {string} method - fifo | fefo | weighted-average | last-price
+   * @returns {Promise<Array>} - [{ location, label, items, value }] in the configured order
+   */
+  async getLocationValues(method = INVENTORY_CONFIG.costingMethod) {
+    const { costs } = await this.getValuation(method);
+    return Object.entries(LOCATIONS).map(([location, { label }]) => {
+      const held = [...costs.values()].map((cost) => cost.locations[location]).filter((stock) => stock && stock.quantity !== 0);
+      return {
+        location,
+        label,
+        items: held.length,
+        value: Math.round(held.reduce((sum, stock) => sum + stock.value, 0) * 100) / 100,
+      };
+    });
+  }
+
+  /**
+   * List the stock lots on hand, numbered per item and location in the
+   * order they are used (receipt order, or first expiry first out under fefo)
+   * Items with no ledger yet show their stock on hand as a single lot.
+   * @param {Array} inventory - Inventory items
+   * @param {Map} costs - Item costs (valueInventory)
+   * @returns {Array} - Lots { id, name, unit, category, storageArea, location, useOrder, movementId, lotNumber, supplier, date, expiryDate, received, quantity, unitCost }
+   */
+  listLots(inventory, costs) {
+    return inventory.flatMap((item) => {
+      const { lots, costed } = costs.get(item.id);
+      const open =
+        costed.length > 0 || !(item.quantity > 0)
+          ? lots
+          : [
+              {
+                movementId: null,
+                reference: "",
+                type: "opening",
+                date: null,
+                received: item.quantity,
+                quantity: item.quantity,
+                unitCost: this.stockUnitCost(item),
+                location: item.location || DEFAULT_LOCATION,
+                ...(item.expiryDate && { expiryDate: item.expiryDate }),
+              },
+            ];
+
+      const used = {};
+      return open.map((lot) => {
+        used[lot.location] = (used[lot.location] || 0) + 1;
+        const stocked = item.location ? item : this.stockAt(item, lot.location);
+        return {
+          id: item.id,
+          name: item.name,
+          unit: item.unit,
+          category: item.category || "Other",
+          storageArea: stocked.storageArea || UNASSIGNED_AREA,
+          useOrder: used[lot.location],
+          ...lot,
+        };
+      });
+    });
+  }
+
+  /**
+   * Load inventory and list its stock lots
+   * @param {string} method - Costing method for the lots' unit costs
+   * @param {string} location - Location ID; all locations when omitted
+   * @returns {Promise<Array>} - Lots on hand (listLots)
+   */
+  async getLots(method = INVENTORY_CONFIG.costingMethod, location) {
+    const { inventory, costs } = await this.getValuation(method, location);
+    return this.listLots(inventory, costs);
+  }
+
+  /**
+   * Trace a stock lot from delivery to the production batches, sales and
+   * other removals that drew on it, for food-safety recalls
+   * Stock of the lot transferred to another location shows up there as a
+   * lot of its own, with the same lot number.
+   * @param {Array} inventory - Inventory items
+   * @param {Array} movements - Stock movements, oldest first
+   * @param {string} lot - Supplier lot number or receipt movement ID
+   * @param {string} ingredientId - Only trace this item (lot numbers may repeat across suppliers)
+   * @returns {Array} - One entry per matching lot:
+   *   { id, name, unit, location, movementId, lotNumber, supplier, date, expiryDate, received, remaining, uses, recipes }
+   */
+  traceLot(inventory, movements, lot, ingredientId) {
+    const items = inventory.filter((item) => !ingredientId || item.id === ingredientId);
+    const costs = this.valueInventory(items, movements);
+
+    return items.flatMap((item) => {
+      const { lots, costed } = costs.get(item.id);
+      return costed
+        .filter((movement) => movement.quantity > 0 && (movement.id === lot || movement.lotNumber === lot))
+        .map((receipt) => {
+          const uses = costed.flatMap((movement) =>
+            (movement.drew || [])
+              .filter((draw) => draw.movementId === receipt.id)
+              .map((draw) => ({
+                date: movement.date,
+                type: movement.type,
+                location: this.locationOf(movement),
+                ...(movement.toLocation && { toLocation: movement.toLocation }),
+                reference: movement.reference,
+                recipeId: movement.recipeId,
+                recipeName: movement.recipeName,
+                portions: movement.portions,
+                quantity: draw.quantity,
+                user: movement.user,
+                reason: movement.reason,
+              }))
+          );
+
+          return {
+            id: item.id,
+            name: item.name,
+            unit: item.unit,
+            location: this.locationOf(receipt),
+            movementId: receipt.id,
+            lotNumber: receipt.lotNumber || "",
+            supplier: receipt.supplier || "",
+            type: receipt.type,
+            date: receipt.date,
+            expiryDate: receipt.expiryDate || null,
+            received: receipt.quantity,
+            remaining: lots.find((open) => open.movementId === receipt.id)?.quantity ?? 0,
+            uses,
+            recipes: [...new Set(uses.filter((use) => use.recipeName).map((use) => use.recipeName))],
+          };
+        });
+    });
+  }
+
+  /**
+   * Load the ledger and trace a stock lot
+   * @param {string} lot - Supplier lot number or receipt movement ID
+   * @param {Object} filter - { ingredientId }
+   * @returns {Promise<Array>} - Traced lots (traceLot)
+   */
+  async getLotTrace(lot, { ingredientId } = {}) {
+    const [inventory, movements] = await Promise.all([
+      this.dataService.loadIngredients(),
+      this.dataService.loadMovements({ ingredientId }),
+    ]);
+    return this.traceLot(inventory, movements, lot, ingredientId);
+  }
+
+  /**
+   * Cost of goods consumed over a period
+   * Opening and closing stock are valued by the costing method; opening
+   * balances posted during the period count as opening stock and receipts
+   * as purchases. Transfers between locations are added at cost (net of
+   * transfers out), so they cancel out across all locations.
+   * @param {Array} inventory - Inventory items
+   * @param {Array} movements - Stock movements, oldest first
+   * @param {Object} period - { from, to, method } (dates as YYYY-MM-DD)
+   * @returns {Object} - { method, from, to, beginningInventory, purchases, transfers, endingInventory, cogs, consumed, items }
+   */
+  calculateCostOfGoods(inventory, movements, { from, to, method = INVENTORY_CONFIG.costingMethod }) {
+    const before = movements.filter((movement) => movement.date < from);
+    const upTo = movements.filter((movement) => movement.date <= to);
+    const opening = this.valueInventory(inventory, before, method);
+    const closing = this.valueInventory(inventory, upTo, method);
+
+    const report = {
+      method,
+      from,
+      to,
+      beginningInventory: 0,
+      purchases: 0,
+      transfers: 0,
+      endingInventory: 0,
+      cogs: 0,
+      consumed: {},
+      items: [],
+    };
+
+    // Items without a ledger yet are held at their current value throughout
+    const hasOpening = new Set(before.map((movement) => movement.ingredientId));
+    const hasLedger = new Set(upTo.map((movement) => movement.ingredientId));
+
+    for (const item of inventory) {
+      const row = {
+        id: item.id,
+        name: item.name,
+        unit: item.unit,
+        beginningInventory: hasOpening.has(item.id)
+          ? opening.get(item.id).value
+          : hasLedger.has(item.id) ? 0 : closing.get(item.id).value,
+        purchases: 0,
+        transfers: 0,
+        endingInventory: closing.get(item.id).value,
+        consumed: 0,
+      };
+
+      for (const movement of closing.get(item.id).costed) {
+        if (movement.date < from) continue;
+        if (movement.type === "opening") {
+          row.beginningInventory += movement.cost;
+        } else if (movement.type === "receipt") {
+          row.purchases += movement.cost;
+        } else if (movement.type === "transfer" && (movement.toLocation || movement.fromLocation)) {
+          row.transfers += movement.cost;
+        } else if (movement.cost < 0) {
+          row.consumed -= movement.cost;
+          report.consumed[movement.type] = (report.consumed[movement.type] || 0) - movement.cost;
+        }
+      }
+
+      if (row.beginningInventory || row.purchases || row.transfers || row.endingInventory || row.consumed) {
+        report.items.push(row);
+      }
+      report.beginningInventory += row.beginningInventory;
+      report.purchases += row.purchases;
+      report.transfers += row.transfers;
+      report.endingInventory += row.endingInventory;
+    }
+
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    for (const figures of [report, ...report.items]) {
+      for (const key of ["beginningInventory", "purchases", "transfers", "endingInventory"]) {
+        figures[key] = round(figures[key]);
+      }
+    }
+    for (const [type, cost] of Object.entries(report.consumed)) {
+      report.consumed[type] = round(cost);
+    }
+    for (const row of report.items) {
+      row.consumed = round(row.consumed);
+      row.cogs = round(
+        this.foodCostCalculator.calculateCoGS(row.beginningInventory, row.purchases + row.transfers, row.endingInventory)
+      );
+    }
+    report.cogs = round(
+      this.foodCostCalculator.calculateCoGS(report.beginningInventory, report.purchases + report.transfers, report.endingInventory)
+    );
+    return report;
+  }
+
+  /**
+   * Load inventory and movements and work out the cost of goods consumed
+   * @param {Object} period - { from, to, method, location }; all locations together without a location
+   * @returns {Promise<Object>} - Cost of goods report
+   */
+  async getCostOfGoods({ from, to, method = INVENTORY_CONFIG.costingMethod, location }) {
+    for (const date of [from, to]) {
+      if (!date || isNaN(new Date(date).getTime())) {
+        throw new Error(`Invalid date "${date}"`);
+      }
+    }
+    if (from > to) {
+      throw new Error("The period must end on or after its start");
+    }
+
+    const [inventory, movements] = await Promise.all([
+      this.dataService.loadIngredients(),
+      this.dataService.loadMovements({ to, location }),
+    ]);
+    return {
+      location: location || null,
+      ...this.calculateCostOfGoods(this.inventoryAt(inventory, location), movements, { from, to, method }),
+    };
+  }
+
+  /**
+   * Read a counted quantity
+   * Partial units may be given as decimals or fractions ("2.5", "2 1/2", "3/4").
+   * @param {number|string} value - Counted quantity
+   * @returns {number|null} - Quantity, or null when left blank (not counted)
+   */
+  parseCount(value) {
+    if (value === null || value === undefined || String(value).trim() === "") {
+      return null;
+    }
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text) || (typeof value === "number" && value >= 0)) {
+      return Number(text);
+    }
+    const fraction = text.match(/^(?:(\d+)\s+)?(\d+)\/(\d+)$/);
+    if (fraction && Number(fraction[3]) > 0) {
+      return Number(fraction[1] || 0) + Number(fraction[2]) / Number(fraction[3]);
+    }
+    throw new Error(`Invalid count "${value}" (use a quantity such as 2.5 or 2 1/2)`);
+  }
+
+  /**
+   * Read counts from count sheet rows, such as a filled-in CSV count sheet
+   * @param {Array} rows - Rows with "id" and "counted" columns; blank counts are skipped
+   * @returns {Object} - ingredientId → counted quantity
+   */
+  countsFromRows(rows) {
+    const counts = {};
+    for (const row of rows) {
+      const id = row.id ?? row.ingredientId;
+      if (!id) {
+        throw new Error('Every count needs an "id" column with the ingredient ID');
+      }
+      const counted = this.parseCount(row.counted);
+      if (counted !== null) {
+        counts[id] = counted;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Build a count sheet for a stock take at one location
+   * Lines are grouped by the location's storage areas, in the order of
+   * STORAGE_AREAS, then by category and name, so the sheet follows a walk
+   * through the stores.
+   * @param {Array} inventory - Inventory items
+   * @param {Object} filter - { location, storageArea, category }; the default location if none is given
+   * @param {Map} costs - Unit costs at the location by costing method (valueInventory); current cost if omitted
+   * @returns {Array} - Lines { ingredientId, name, location, storageArea, category, unit, expected, unitCost }
+   */
+  buildCountSheet(inventory, filter = {}, costs = new Map()) {
+    const areaRank = (area) => {
+      const index = STORAGE_AREAS.indexOf(area);
+      return index === -1 ? (area === UNASSIGNED_AREA ? STORAGE_AREAS.length + 1 : STORAGE_AREAS.length) : index;
+    };
+    const matches = (value, wanted) => !wanted || value.toLowerCase() === wanted.toLowerCase();
+
+    return this.inventoryAt(inventory, filter.location || DEFAULT_LOCATION)
+      .map((item) => ({
+        ingredientId: item.id,
+        name: item.name,
+        location: item.location,
+        storageArea: item.storageArea || UNASSIGNED_AREA,
+        category: item.category || "Other",
+        unit: item.unit,
+        expected: item.quantity || 0,
+        unitCost: costs.get(item.id)?.unitCost ?? this.stockUnitCost(item),
+      }))
+      .filter((line) => matches(line.storageArea, filter.storageArea) && matches(line.category, filter.category))
+      .sort(
+        (a, b) =>
+          areaRank(a.storageArea) - areaRank(b.storageArea) ||
+          a.storageArea.localeCompare(b.storageArea) ||
+          a.category.localeCompare(b.category) ||
+          a.name.localeCompare(b.name)
+      );
+  }
+
+  /**
+   * Compare counted quantities with the quantities expected on hand
+   * @param {Array} sheet - Count sheet lines (buildCountSheet)
+   * @param {Object} counts - ingredientId → counted quantity; items left out were not counted
+   * @returns {Object} - { lines, uncounted, totals: { expectedValue, countedValue, varianceValue } }
+   */
+  compareCounts(sheet, counts) {
+    const onSheet = new Set(sheet.map((line) => line.ingredientId));
+    const unknown = Object.keys(counts).filter((id) => !onSheet.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Not on the count sheet: ${unknown.join(", ")}`);
+    }
+
+    const lines = [];
+    const uncounted = [];
+    const totals = { expectedValue: 0, countedValue: 0, varianceValue: 0 };
+    for (const line of sheet) {
+      const counted = this.parseCount(counts[line.ingredientId]);
+      if (counted === null) {
+        uncounted.push(line);
+        continue;
+      }
+
+      const variance = Math.round((counted - line.expected) * 1e6) / 1e6;
+      const compared = {
+        ...line,
+        counted,
+        variance,
+        varianceValue: variance * line.unitCost,
+        variancePercent: line.expected > 0 ? (variance / line.expected) * 100 : null,
+      };
+      lines.push(compared);
+      totals.expectedValue += line.expected * line.unitCost;
+      totals.countedValue += counted * line.unitCost;
+      totals.varianceValue += compared.varianceValue;
+    }
+    return { lines, uncounted, totals };
+  }
+
+  /**
+   * Actual vs theoretical food cost over a stock-take period
+   * Theoretical cost is the stock drawn down by recorded production and
+   * sales. Actual cost adds recorded waste and staff meals and the stock
+   * found missing at the count (a surplus lowers it). Movements costed by
+   * valueInventory are taken at their costing-method cost.
+   * @param {Array} movements - Stock movements of the counted items in the period
+   * @param {number} varianceValue - Value of counted minus expected stock
+   * @returns {Object} - { theoreticalCost, recordedLoss, countLoss, actualCost, variance, variancePercent, analysis }
+   */
+  analyzeFoodCostVariance(movements, varianceValue) {
+    const costOf = (types) =>
+      movements
+        .filter((movement) => types.includes(movement.type))
+        .reduce((sum, movement) => sum - (movement.cost ?? movement.quantity * movement.unitCost), 0);
+
+    const theoreticalCost = costOf(DEPLETION_TYPES);
+    const recordedLoss = costOf(LOSS_TYPES);
+    const countLoss = -varianceValue;
+    const actualCost = theoreticalCost + recordedLoss + countLoss;
+
+    if (!(theoreticalCost > 0)) {
+      return {
+        theoreticalCost,
+        recordedLoss,
+        countLoss,
+        actualCost,
+        variance: actualCost - theoreticalCost,
+        variancePercent: null,
+        analysis: "No production or sales recorded for these items in the period",
+      };
+    }
+    return {
+      theoreticalCost,
+      recordedLoss,
+      countLoss,
+      actualCost,
+      ...this.foodCostCalculator.calculateVariance(actualCost, theoreticalCost),
+    };
+  }
+
+  /**
+   * Compare counts with stock on hand at a location and work out the
+   * food cost variance since the last stock take posted there
+   * @param {Object} counts - ingredientId → counted quantity
+   * @param {Object} options - { location, storageArea, category, date, method }
+   * @returns {Promise<Object>} - { date, from, method, location, storageArea, category, lines, uncounted, totals, foodCost }
+   */
+  async reviewStockTake(
+    counts,
+    { location = DEFAULT_LOCATION, storageArea, category, date, method = INVENTORY_CONFIG.costingMethod } = {}
+  ) {
+    const day = date || new Date().toISOString().split("T")[0];
+    if (isNaN(new Date(day).getTime())) {
+      throw new Error(`Invalid date "${date}"`);
+    }
+    this.checkLocation(location);
+
+    const [catalogue, movements, stockTakes] = await Promise.all([
+      this.dataService.loadIngredients(),
+      this.dataService.loadMovements({ to: day, location }),
+      this.dataService.loadStockTakes(),
+    ]);
+    const inventory = this.inventoryAt(catalogue, location);
+    const costs = this.valueInventory(inventory, movements, method);
+    const sheet = this.buildCountSheet(catalogue, { location, storageArea, category }, costs);
+    const { lines, uncounted, totals } = this.compareCounts(sheet, counts);
+
+    const previous = stockTakes.find((stockTake) => (stockTake.location || DEFAULT_LOCATION) === location);
+    const from = previous ? previous.date : null;
+    const periodMovements = lines.flatMap((line) =>
+      costs.get(line.ingredientId).costed.filter((movement) => !from || movement.date > from)
+    );
+
+    return {
+      date: day,
+      from,
+      method,
+      location,
+      storageArea: storageArea || null,
+      category: category || null,
+      lines,
+      uncounted,
+      totals,
+      foodCost: this.analyzeFoodCostVariance(periodMovements, totals.varianceValue),
+    };
+  }
+
+  /**
+   * Post a stock take
+   * Each counted item that differs from stock on hand at the location gets
+   * a count adjustment movement there; the count is saved with its variances.
+   * Expected quantities are read again when posting, so movements
+   * recorded while counts were being entered are taken into account.
+   * @param {Object} counts - ingredientId → counted quantity
+   * @param {Object} fields - { location, storageArea, category, date, method, user, note }
+   * @returns {Promise<Object>} - Saved stock take with its movements
+   */
+  async postStockTake(counts, { user, note = "", ...options } = {}) {
+    const review = await this.reviewStockTake(counts, options);
+    if (review.lines.length === 0) {
+      throw new Error("No counted quantities to post");
+    }
+
+    const createdAt = new Date().toISOString();
+    const id = `stocktake-${createdAt.replace(/[:.]/g, "-")}`;
+    const recordedBy = user || this.defaultUser();
+    const catalogue = await this.dataService.loadCatalogue();
+    const movements = review.lines
+      .filter((line) => line.variance !== 0)
+      .map((line) =>
+        this.createMovement(catalogue[line.ingredientId], {
+          type: "adjustment",
+          quantity: line.variance,
+          unitCost: line.unitCost,
+          location: review.location,
+          user: recordedBy,
+          reason: note || `Stock take ${review.date}`,
+          date: review.date,
+          reference: id,
+        })
+      );
+    if (movements.length > 0) {
+      await this.dataService.appendMovements(movements);
+    }
+
+    const stockTake = {
+      id,
+      ...review,
+      uncounted: review.uncounted.map((line) => line.name),
+      user: recordedBy,
+      note,
+      adjustments: movements.length,
+      createdAt,
+    };
+    await this.dataService.saveStockTake(stockTake);
+    return { ...stockTake, movements };
+  }
+}
+
+export default InventoryService;
@@ -0,0 +1,232 @@
+import DataService from "./DataService.js";
+import { InventoryService, DEPLETION_TYPES, LOSS_TYPES } from "./InventoryService.js";
+import { SupplierService } from "./SupplierService.js";
+import { DemandForecastCalculator } from "../core/calculations/DemandForecastCalculator.js";
+import { INVENTORY_CONFIG } from "../config/inventory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Movements that use stock up: production, sales, waste and staff meals
+const USAGE_TYPES = [...DEPLETION_TYPES, ...LOSS_TYPES];
+
+const toDay = (time) => new Date(time).toISOString().split("T")[0];
+
+/**
+ * Par Level Service
+ * Suggests par and max levels and order quantities from each item's
+ * usage history, weekday pattern and supplier lead time. Suggestions are
+ * only used once accepted; levels entered by hand are kept as overrides.
+ */
+export class ParLevelService {
+  constructor(
+    dataService = DataService,
+    inventoryService = new InventoryService(dataService),
+    supplierService = new SupplierService(dataService, inventoryService)
+  ) {
+    this.dataService = dataService;
+    this.inventoryService = inventoryService;
+    this.supplierService = supplierService;
+    this.calculator = new DemandForecastCalculator();
+  }
+
+  /**
+   * Read and check forecast options, filling in the configured defaults
+   * @param {Object} options - { days, serviceLevel, safetyDays }; safetyDays null uses the service level
+   * @returns {Object} - { days, serviceLevel, safetyDays }
+   */
+  forecastOptions({ days, serviceLevel, safetyDays } = {}) {
+    const options = {
+      days: days ?? INVENTORY_CONFIG.forecastDays,
+      serviceLevel: serviceLevel ?? INVENTORY_CONFIG.serviceLevel,
+      safetyDays: safetyDays !== undefined ? safetyDays : INVENTORY_CONFIG.safetyDays,
+    };
+    if (!(Number.isInteger(options.days) && options.days >= INVENTORY_CONFIG.minimumHistoryDays)) {
+      throw new Error(`The forecast needs a whole number of days of history, at least ${INVENTORY_CONFIG.minimumHistoryDays}`);
+    }
+    this.calculator.zScore(options.serviceLevel);
+    if (options.safetyDays !== null && !(options.safetyDays >= 0)) {
+      throw new Error("Safety stock days must be 0 or more");
+    }
+    return options;
+  }
+
+  /**
+   * Lead time and order cycle for an item, from the supplier it would be ordered from
+   * @param {Object} item - Catalogue item
+   * @param {Array} suppliers - Suppliers
+   * @returns {Object} - { supplier, leadTimeDays, cycleDays }
+   */
+  replenishment(item, suppliers) {
+    const [offer] = this.supplierService.rankOffers(item, suppliers);
+    if (!offer) {
+      return {
+        supplier: item.supplier || null,
+        leadTimeDays: INVENTORY_CONFIG.leadTimeDays,
+        cycleDays: INVENTORY_CONFIG.orderCycleDays,
+      };
+    }
+    const deliveryDays = offer.supplier.deliveryDays || [];
+    return {
+      supplier: offer.supplier.name,
+      leadTimeDays: offer.supplier.leadTimeDays ?? INVENTORY_CONFIG.leadTimeDays,
+      cycleDays: deliveryDays.length > 0 ? 7 / deliveryDays.length : INVENTORY_CONFIG.orderCycleDays,
+    };
+  }
+
+  /**
+   * Suggest par and max levels for each item
+   * Usage is read from the last `days` days of the ledger, or from the
+   * item's first movement when its history is shorter.
+   * @param {Array} inventory - Inventory items
+   * @param {Array} movements - Stock movements
+   * @param {Array} suppliers - Suppliers
+   * @param {Object} options - { days, serviceLevel, safetyDays, today }
+   * @returns {Array} - Items with { suggestion } or { reason } when there is none
+   */
+  suggest(inventory, movements, suppliers, { today = new Date(), ...options } = {}) {
+    const { days, serviceLevel, safetyDays } = this.forecastOptions(options);
+    const to = toDay(today);
+    const from = toDay(today.getTime() - (days - 1) * DAY_MS);
+
+    const history = new Map();
+    for (const movement of movements) {
+      if (movement.date > to) continue;
+      const entry = history.get(movement.ingredientId) || { first: movement.date, daily: new Map() };
+      if (movement.date < entry.first) entry.first = movement.date;
+      if (USAGE_TYPES.includes(movement.type) && movement.date >= from) {
+        entry.daily.set(movement.date, (entry.daily.get(movement.date) || 0) - movement.quantity);
+      }
+      history.set(movement.ingredientId, entry);
+    }
+
+    return inventory.map((item) => {
+      const current = {
+        ...item,
+        parLevel: item.parLevel ?? null,
+        maxLevel: item.maxLevel ?? null,
+        parSource: item.parSource || null,
+      };
+      const entry = history.get(item.id);
+      const start = entry && entry.first > from ? entry.first : from;
+      const historyDays = entry ? Math.floor((new Date(to) - new Date(start)) / DAY_MS) + 1 : 0;
+      if (historyDays < INVENTORY_CONFIG.minimumHistoryDays) {
+        return { ...current, suggestion: null, reason: `${historyDays} days of history, ${INVENTORY_CONFIG.minimumHistoryDays} needed` };
+      }
+      if (entry.daily.size === 0) {
+        return { ...current, suggestion: null, reason: `No usage in the last ${historyDays} days` };
+      }
+
+      const profile = this.calculator.weekdayProfile(entry.daily, start, to);
+      const replenishment = this.replenishment(item, suppliers);
+      const levels = this.calculator.suggestLevels(profile, {
+        ...replenishment,
+        serviceLevel,
+        safetyDays,
+        onHand: item.quantity || 0,
+        orderDate: today,
+      });
+      return {
+        ...current,
+        suggestion: {
+          ...levels,
+          ...replenishment,
+          historyDays,
+          usagePerDay: profile.average,
+          weekdayUsage: Object.fromEntries(this.calculator.weekdays.map((day, index) => [day, profile.means[index]])),
+          serviceLevel: safetyDays === null ? serviceLevel : null,
+          safetyDays,
+        },
+      };
+    });
+  }
+
+  /**
+   * Load inventory, movements and suppliers and suggest levels
+   * @param {Object} options - { days, serviceLevel, safetyDays }
+   * @returns {Promise<Array>} - suggest result
+   */
+  async getSuggestions(options = {}) {
+    const [inventory, movements, suppliers] = await Promise.all([
+      this.dataService.loadIngredients(),
+      this.dataService.loadMovements(),
+      this.dataService.loadSuppliers(),
+    ]);
+    return this.suggest(inventory, movements, suppliers, options);
+  }
+
+  /**
+   * Accept suggested levels
+   * Without item IDs every item with a suggestion is updated except those
+   * whose levels were entered by hand, unless replaceManual is set; naming
+   * an item accepts its suggestion even over a manual override.
+   * @param {Object} options - { ids, replaceManual, days, serviceLevel, safetyDays }
+   * @returns {Promise<Object>} - { accepted: items saved, skipped: [{ id, name, reason }] }
+   */
+  async accept({ ids, replaceManual = false, ...options } = {}) {
+    const suggestions = await this.getSuggestions(options);
+    const unknown = (ids || []).find((id) => !suggestions.some((item) => item.id === id));
+    if (unknown) {
+      throw new Error(`Ingredient "${unknown}" not found`);
+    }
+
+    const accepted = [];
+    const skipped = [];
+    for (const item of suggestions) {
+      if (ids ? !ids.includes(item.id) : item.parSource === "manual" && !replaceManual) {
+        if (!ids && item.suggestion) {
+          skipped.push({ id: item.id, name: item.name, reason: "Par level entered by hand" });
+        }
+        continue;
+      }
+      if (!item.suggestion) {
+        skipped.push({ id: item.id, name: item.name, reason: item.reason });
+        continue;
+      }
+      accepted.push(
+        await this.saveLevels(item.id, {
+          parLevel: item.suggestion.parLevel,
+          maxLevel: item.suggestion.maxLevel,
+          parSource: "forecast",
+        })
+      );
+    }
+    return { accepted, skipped };
+  }
+
+  /**
+   * Set an item's levels by hand; later accepts leave them alone
+   * @param {string} id - Ingredient ID
+   * @param {Object} levels - { parLevel, maxLevel }; max defaults to the current max
+   * @returns {Promise<Object>} - Saved item
+   */
+  async override(id, { parLevel, maxLevel }) {
+    return await this.saveLevels(id, { parLevel, maxLevel, parSource: "manual" });
+  }
+
+  /**
+   * Save an item's par and max levels
+   * @param {string} id - Ingredient ID
+   * @param {Object} levels - { parLevel, maxLevel, parSource }
+   * @returns {Promise<Object>} - Saved item
+   */
+  async saveLevels(id, { parLevel, maxLevel, parSource }) {
+    return await this.dataService.updateIngredient(id, (item) => {
+      const max = maxLevel ?? item.maxLevel;
+      if (!(parLevel >= 0)) {
+        throw new Error(`${item.name}: par level must be a number of at least 0`);
+      }
+      if (max !== undefined && !(max >= parLevel)) {
+        throw new Error(`${item.name}: max level must be at least the par level (${parLevel})`);
+      }
+
+      Object.assign(item, {
+        parLevel,
+        ...(max !== undefined && { maxLevel: max }),
+        parSource,
+        parUpdatedAt: new Date().toISOString(),
+      });
+    });
+  }
+}
+
+export default ParLevelService;
@@ -0,0 +1,201 @@
+import DataService from "./DataService.js";
+import { InventoryService } from "./InventoryService.js";
+import { SalesService } from "./SalesService.js";
+import { INVENTORY_CONFIG } from "../config/inventory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Production Service
+ * Plans a day's production from imported sales: each mapped recipe is
+ * forecast at its average sales on the same weekday over the previous
+ * weeks, the sub-recipes it uses directly become prep tasks, and the
+ * stock the plan needs is checked against stock on hand and par levels.
+ */
+export class ProductionService {
+  constructor(
+    dataService = DataService,
+    inventoryService = new InventoryService(dataService),
+    salesService = new SalesService(dataService)
+  ) {
+    this.dataService = dataService;
+    this.inventoryService = inventoryService;
+    this.salesService = salesService;
+  }
+
+  /**
+   * The same weekday in each of the weeks before a date, latest first
+   * @param {string} date - Production date (YYYY-MM-DD)
+   * @param {number} weeks - Number of weeks to look back
+   * @returns {Array} - Dates (YYYY-MM-DD)
+   */
+  sameWeekdays(date, weeks) {
+    const time = new Date(date).getTime();
+    return Array.from({ length: weeks }, (_, index) =>
+      new Date(time - (index + 1) * 7 * DAY_MS).toISOString().split("T")[0]
+    );
+  }
+
+  /**
+   * Forecast portions per recipe from past sales days
+   * Items not mapped to a recipe are left out; the forecast is the
+   * portions sold over the days given divided by the number of days,
+   * rounded up to whole portions.
+   * @param {Array} days - Sales days the forecast is based on
+   * @param {Array} menuItems - PLU mappings
+   * @returns {Array} - { recipeId, sold, portions }, most portions first
+   */
+  forecastRecipes(days, menuItems) {
+    const dates = new Set(days.map((day) => day.date));
+    const sold = new Map();
+    for (const item of this.salesService.summarizeItems(days, menuItems).filter((item) => item.recipeId)) {
+      sold.set(item.recipeId, round((sold.get(item.recipeId) || 0) + item.quantity));
+    }
+    return [...sold.entries()]
+      .map(([recipeId, quantity]) => ({ recipeId, sold: quantity, portions: Math.ceil(quantity / dates.size) }))
+      .filter((forecast) => forecast.portions > 0)
+      .sort((a, b) => b.portions - a.portions);
+  }
+
+  /**
+   * Check the stock a plan needs against stock on hand and par levels
+   * Items with no par level are only flagged when stock runs out.
+   * @param {Map} needed - ingredientId → { ingredientId, name, quantity, unit }
+   * @param {Array} inventory - Inventory items as seen from the location (or consolidated)
+   * @returns {Array} - { ingredientId, name, unit, needed, onHand, left, parLevel, status }, shortest first
+   */
+  checkStock(needed, inventory) {
+    const stock = new Map(inventory.map((item) => [item.id, item]));
+    return [...needed.values()]
+      .map((requirement) => {
+        const item = stock.get(requirement.ingredientId);
+        const onHand = item?.quantity || 0;
+        const left = round(onHand - requirement.quantity);
+        const parLevel = item?.parLevel ?? null;
+        let status = "OK";
+        if (left < 0) {
+          status = "SHORT";
+        } else if (parLevel !== null && left < parLevel) {
+          status = "BELOW PAR AFTER";
+        }
+        return {
+          ingredientId: requirement.ingredientId,
+          name: requirement.name,
+          unit: requirement.unit,
+          needed: round(requirement.quantity),
+          onHand,
+          left,
+          parLevel,
+          status,
+        };
+      })
+      .sort((a, b) => a.left - b.left);
+  }
+
+  /**
+   * Plan a day's production from the sales on the same weekday
+   * @param {string} date - Production date (YYYY-MM-DD)
+   * @param {Object} options - { location, weeks }; all locations without a location
+   * @returns {Promise<Object>} - { date, location, weeks, basedOn: dates with sales, recipes: [{ recipeId, name,
+   *   category, portions, batches, sold }], prep: [{ recipeRef, name, quantity, unit }], stock (checkStock),
+   *   warnings }
+   */
+  async getPlan(date, { location, weeks = Math.max(1, Math.round(INVENTORY_CONFIG.forecastDays / 7)) } = {}) {
+    if (!date || isNaN(new Date(date).getTime())) {
+      throw new Error(`Invalid date "${date}"`);
+    }
+    const dates = this.sameWeekdays(date, weeks);
+    const [sales, menuItems, catalogue] = await Promise.all([
+      this.salesService.getSales({ from: dates[dates.length - 1], to: dates[0], location }),
+      this.dataService.loadMenuItems(),
+      this.dataService.loadIngredients(),
+    ]);
+    const days = sales.filter((day) => dates.includes(day.date));
+    const basedOn = [...new Set(days.map((day) => day.date))].sort();
+    const weekday = new Date(date).toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" });
+    const plan = { date, location: location || null, weeks, basedOn, recipes: [], prep: [], stock: [], warnings: [] };
+    if (days.length === 0) {
+      plan.warnings.push(`No sales imported for the ${weeks} ${weekday}s before ${date}, so there is nothing to forecast`);
+      return plan;
+    }
+
+    const prep = new Map();
+    const needed = new Map();
+    const unmatched = new Set();
+    for (const forecast of this.forecastRecipes(days, menuItems)) {
+      let recipe;
+      try {
+        recipe = await this.dataService.loadRecipe(forecast.recipeId);
+        const context = await this.dataService.loadCostingContext(recipe);
+        const requirements = this.inventoryService.calculator.calculateStockRequirements(recipe, forecast.portions, context);
+        for (const requirement of requirements.requirements) {
+          const total = needed.get(requirement.ingredientId) || { ...requirement, quantity: 0 };
+          total.quantity += requirement.quantity;
+          needed.set(requirement.ingredientId, total);
+        }
+        requirements.unmatched.forEach((name) => unmatched.add(name));
+      } catch (error) {
+        plan.warnings.push(`Recipe "${forecast.recipeId}" could not be planned: ${error.message}`);
+        continue;
+      }
+
+      const factor = forecast.portions / (recipe.portions || 1);
+      plan.recipes.push({
+        recipeId: recipe.id || forecast.recipeId,
+        name: recipe.name,
+        category: recipe.category || "Other",
+        portions: forecast.portions,
+        batches: round(factor),
+        sold: forecast.sold,
+      });
+      for (const line of recipe.ingredients.filter((line) => line.recipeRef)) {
+        const task = prep.get(line.recipeRef) || { recipeRef: line.recipeRef, name: line.name, quantity: 0, unit: line.unit };
+        task.quantity = round(task.quantity + line.quantity * factor);
+        prep.set(line.recipeRef, task);
+      }
+    }
+
+    plan.prep = [...prep.values()];
+    plan.stock = this.checkStock(needed, this.inventoryService.inventoryAt(catalogue, location));
+    if (unmatched.size > 0) {
+      plan.warnings.push(`Recipe lines not in the ingredient catalogue are left out of the stock check: ${[...unmatched].join(", ")}`);
+    }
+    return plan;
+  }
+
+  /**
+   * Lay out a plan as a production schedule (ReportService.generateProductionSchedule)
+   * Prep for sub-recipes comes first, then one station per recipe category;
+   * stock that runs short or below par becomes a note.
+   * @param {Object} plan - getPlan result
+   * @returns {Object} - Schedule { date, shift, stations, notes }
+   */
+  toSchedule(plan) {
+    const stations = {};
+    if (plan.prep.length > 0) {
+      stations.prep = plan.prep.map((task) => ({ item: task.name, quantity: `${task.quantity} ${task.unit}` }));
+    }
+    for (const recipe of plan.recipes) {
+      (stations[recipe.category] ||= []).push({ item: recipe.name, quantity: `${recipe.portions} portions` });
+    }
+    return {
+      date: plan.date,
+      shift: "All Day",
+      stations,
+      notes: [
+        `Forecast from sales on ${plan.basedOn.length} of the last ${plan.weeks} same weekdays`,
+        ...plan.stock
+          .filter((line) => line.status !== "OK")
+          .map((line) =>
+            line.status === "SHORT"
+              ? `${line.name}: short by ${round(-line.left)} ${line.unit}`
+              : `${line.name}: ${line.left} ${line.unit} left after production, below par ${line.parLevel}`
+          ),
+      ],
+    };
+  }
+}
+
+export default ProductionService;
@@ -0,0 +1,437 @@
+import DataService from "./DataService.js";
+import { InventoryService } from "./InventoryService.js";
+import { SupplierService } from "./SupplierService.js";
+import { PURCHASE_ORDER_STATUSES, PURCHASING_CONFIG } from "../config/purchasing.js";
+import { DEFAULT_LOCATION } from "../config/locations.js";
+
+// Statuses a delivery can be received against
+const RECEIVABLE = ["sent", "partially-received"];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Purchase Order Service
+ * Orders move draft → sent → partially received → received → closed.
+ * Deliveries are received against an order as stock receipts in the
+ * movement ledger, flagging short deliveries and price deviations.
+ */
+export class PurchaseOrderService {
+  constructor(dataService = DataService, inventoryService = new InventoryService(dataService)) {
+    this.dataService = dataService;
+    this.inventoryService = inventoryService;
+    this.supplierService = new SupplierService(dataService, inventoryService);
+  }
+
+  /**
+   * Work out an order's values
+   * @param {Object} order - Purchase order
+   * @returns {Object} - { orderedValue, receivedValue, outstandingValue }
+   */
+  totals(order) {
+    let orderedValue = 0;
+    let receivedValue = 0;
+    let outstandingValue = 0;
+    for (const line of order.lines) {
+      orderedValue += line.quantity * line.unitPrice;
+      receivedValue += line.receivedValue;
+      outstandingValue += Math.max(0, line.quantity - line.received) * line.unitPrice;
+    }
+    return {
+      orderedValue: round(orderedValue),
+      receivedValue: round(receivedValue),
+      outstandingValue: round(outstandingValue),
+    };
+  }
+
+  /**
+   * Move an order to a new status, updating its totals
+   * @param {Object} order - Purchase order (updated in place)
+   * @param {string} status - New status
+   * @param {Object} fields - { user, date, note }
+   * @returns {Object} - The order
+   */
+  setStatus(order, status, { user, date, note = "" } = {}) {
+    const now = new Date().toISOString();
+    if (status !== order.status) {
+      order.status = status;
+      order.history.push({
+        status,
+        date: date || now.split("T")[0],
+        user: user || this.inventoryService.defaultUser(),
+        note,
+        at: now,
+      });
+    }
+    return Object.assign(order, this.totals(order), { updatedAt: now });
+  }
+
+  /**
+   * Create a draft purchase order
+   * A supplier on file (by ID or name) is linked to the order: its product
+   * prices and codes fill in the lines and its next delivery date is the
+   * expected date unless one is given. Deliveries are received into stock
+   * at the order's location.
+   * @param {Object} draft - { supplier, lines: [{ ingredientId, quantity, unitPrice }], expectedDate, location, note, user }
+   * @returns {Promise<Object>} - Saved order; line prices default to the supplier's price, else the item's current cost
+   */
+  async create({ supplier, lines = [], expectedDate, location = DEFAULT_LOCATION, note = "", user }) {
+    if (!supplier || !supplier.trim()) {
+      throw new Error("A purchase order needs a supplier");
+    }
+    if (lines.length === 0) {
+      throw new Error("A purchase order needs at least one line");
+    }
+    if (expectedDate && isNaN(new Date(expectedDate).getTime())) {
+      throw new Error(`Invalid expected date "${expectedDate}"`);
+    }
+    this.inventoryService.checkLocation(location);
+
+    const catalogue = await this.dataService.loadCatalogue();
+    const onFile = this.supplierService.find(supplier, await this.dataService.loadSuppliers());
+    const orderLines = lines.map(({ ingredientId, quantity, unitPrice }) => {
+      const item = catalogue[ingredientId];
+      if (!item) {
+        throw new Error(`Ingredient "${ingredientId}" not found`);
+      }
+      if (!(quantity > 0)) {
+        throw new Error(`${item.name}: order quantity must be greater than zero`);
+      }
+      if (unitPrice !== undefined && !(unitPrice >= 0)) {
+        throw new Error(`${item.name}: unit price must be a number of at least 0`);
+      }
+      const product = onFile?.products.find((candidate) => candidate.ingredientId === ingredientId);
+      return {
+        ingredientId,
+        name: item.name,
+        unit: item.unit,
+        supplierCode: product?.supplierCode || item.supplierCode || "",
+        quantity,
+        unitPrice: unitPrice ?? (product ? this.supplierService.unitPrice(product) : this.inventoryService.stockUnitCost(item)),
+        received: 0,
+        receivedValue: 0,
+      };
+    });
+    const duplicate = orderLines.find(
+      (line, index) => orderLines.findIndex((other) => other.ingredientId === line.ingredientId) !== index
+    );
+    if (duplicate) {
+      throw new Error(`${duplicate.name} is on the order more than once`);
+    }
+
+    const createdAt = new Date().toISOString();
+    const order = {
+      id: `po-${createdAt.replace(/[:.]/g, "-")}-${Math.random().toString(36).slice(2, 6)}`,
+      supplier: onFile?.name || supplier.trim(),
+      supplierId: onFile?.id || null,
+      status: null,
+      orderDate: createdAt.split("T")[0],
+      expectedDate: expectedDate || (onFile ? this.supplierService.nextDeliveryDate(onFile) : null),
+      location,
+      note,
+      lines: orderLines,
+      receipts: [],
+      invoice: null,
+      history: [],
+      createdAt,
+    };
+    this.setStatus(order, "draft", { user });
+    await this.dataService.savePurchaseOrder(order);
+    return order;
+  }
+
+  /**
+   * Save planned orders (SupplierService.planOrders) as drafts
+   * @param {Array} planned - Planned orders
+   * @param {Object} fields - { note, user, location }
+   * @returns {Promise<Array>} - Saved orders
+   */
+  async createFromPlan(planned, { note = "Reorder to max level", user, location } = {}) {
+    const orders = [];
+    for (const plan of planned) {
+      orders.push(
+        await this.create({
+          supplier: plan.supplierId || plan.supplier,
+          lines: plan.lines.map((line) => ({ ingredientId: line.ingredientId, quantity: line.quantity, unitPrice: line.unitPrice })),
+          expectedDate: plan.expectedDate || undefined,
+          location,
+          note,
+          user,
+        })
+      );
+    }
+    return orders;
+  }
+
+  /**
+   * Create draft orders for items below par, one per supplier
+   * Each item is ordered up to its max level, in whole packs, from the
+   * supplier SupplierService.planOrders picks for it.
+   * @param {Object} options - { supplier, critical, choice, location, user }; critical orders only items under
+   *   a quarter of par, a location orders for its own stock and has it delivered there
+   * @returns {Promise<Object>} - { orders, warnings }; warnings cover order minimums
+   */
+  async createFromPar({ supplier, critical = false, choice, location, user } = {}) {
+    const plan = await this.supplierService.planReorder({ supplier, critical, choice, location });
+    return {
+      orders: await this.createFromPlan(plan.orders, { user, location }),
+      warnings: this.supplierService.describePlan(plan),
+    };
+  }
+
+  /**
+   * Load a purchase order
+   * @param {string} id - Purchase order ID
+   * @returns {Promise<Object>} - Purchase order
+   */
+  async get(id) {
+    const order = await this.dataService.getPurchaseOrder(id);
+    if (!order) {
+      throw new Error(`Purchase order "${id}" not found`);
+    }
+    return order;
+  }
+
+  /**
+   * Mark a draft order as sent to the supplier
+   * @param {string} id - Purchase order ID
+   * @param {Object} fields - { user, date }
+   * @returns {Promise<Object>} - Saved order
+   */
+  async send(id, fields = {}) {
+    return await this.dataService.updatePurchaseOrder(id, (order) => {
+      if (order.status !== "draft") {
+        throw new Error(`Purchase order ${id} is already ${PURCHASE_ORDER_STATUSES[order.status].label.toLowerCase()}; only drafts can be sent`);
+      }
+      order.sentDate = fields.date || new Date().toISOString().split("T")[0];
+      this.setStatus(order, "sent", fields);
+    });
+  }
+
+  /**
+   * Compare a delivery with the order
+   * Lines still short after the delivery are flagged, as are lines
+   * delivered over the ordered quantity and prices further from the
+   * order price than the price tolerance.
+   * @param {Object} order - Purchase order, with this delivery already counted
+   * @param {Array} delivered - Delivered lines { ingredientId, name, quantity, unitPrice }
+   * @param {number} tolerance - Allowed price difference in percent
+   * @returns {Array} - Deviations { type: short | over | price, ingredientId, name, ... }
+   */
+  findDeviations(order, delivered, tolerance = PURCHASING_CONFIG.priceTolerance) {
+    const deviations = [];
+    for (const line of delivered) {
+      const ordered = order.lines.find((orderLine) => orderLine.ingredientId === line.ingredientId);
+      const difference = line.unitPrice - ordered.unitPrice;
+      const percent = ordered.unitPrice > 0 ? (difference / ordered.unitPrice) * 100 : null;
+      if (difference !== 0 && (percent === null || Math.abs(percent) > tolerance)) {
+        deviations.push({
+          type: "price",
+          ingredientId: line.ingredientId,
+          name: line.name,
+          orderedPrice: ordered.unitPrice,
+          deliveredPrice: line.unitPrice,
+          differencePercent: percent,
+          valueDifference: round(difference * line.quantity),
+        });
+      }
+    }
+
+    for (const line of order.lines) {
+      if (line.received < line.quantity) {
+        deviations.push({
+          type: "short",
+          ingredientId: line.ingredientId,
+          name: line.name,
+          ordered: line.quantity,
+          received: line.received,
+          outstanding: round(line.quantity - line.received),
+        });
+      } else if (line.received > line.quantity) {
+        deviations.push({
+          type: "over",
+          ingredientId: line.ingredientId,
+          name: line.name,
+          ordered: line.quantity,
+          received: line.received,
+          excess: round(line.received - line.quantity),
+        });
+      }
+    }
+    return deviations;
+  }
+
+  /**
+   * Receive a delivery against an order
+   * Each delivered line is posted as a stock receipt at the delivered
+   * price and the order's location, with the order as reference; lines
+   * left out were not delivered. The order is updated under its lock and
+   * saved before the receipts are posted; if posting fails the order is
+   * left as it was (DataService.updatePurchaseOrder).
+   * @param {string} id - Purchase order ID
+   * @param {Array} delivered - [{ ingredientId, quantity, unitPrice, lotNumber, expiryDate }]; price defaults to the order price
+   * @param {Object} fields - { date, user, note }
+   * @returns {Promise<Object>} - { order, receipt, movements, deviations }
+   */
+  async receive(id, delivered, { date, user, note = "" } = {}) {
+    const lines = delivered.filter((line) => line.quantity !== 0);
+    if (lines.length === 0) {
+      throw new Error("Nothing delivered");
+    }
+    const recordedBy = user || this.inventoryService.defaultUser();
+    let receipt;
+    let movements;
+
+    const saved = await this.dataService.updatePurchaseOrder(
+      id,
+      async (order) => {
+        if (!RECEIVABLE.includes(order.status)) {
+          throw new Error(
+            order.status === "draft"
+              ? `Purchase order ${id} is still a draft; send it before receiving`
+              : `Purchase order ${id} is ${PURCHASE_ORDER_STATUSES[order.status].label.toLowerCase()}`
+          );
+        }
+
+        const catalogue = await this.dataService.loadCatalogue();
+        const receiptLines = lines.map(({ ingredientId, quantity, unitPrice, lotNumber, expiryDate }) => {
+          const ordered = order.lines.find((line) => line.ingredientId === ingredientId);
+          if (!ordered) {
+            throw new Error(`"${ingredientId}" is not on purchase order ${id}`);
+          }
+          if (!catalogue[ingredientId]) {
+            throw new Error(`${ordered.name}: ingredient "${ingredientId}" is no longer in the catalogue`);
+          }
+          if (!(quantity > 0)) {
+            throw new Error(`${ordered.name}: delivered quantity must be greater than zero`);
+          }
+          if (unitPrice !== undefined && !(unitPrice >= 0)) {
+            throw new Error(`${ordered.name}: unit price must be a number of at least 0`);
+          }
+          return {
+            ingredientId,
+            name: ordered.name,
+            unit: ordered.unit,
+            quantity,
+            unitPrice: unitPrice ?? ordered.unitPrice,
+            ...(lotNumber && { lotNumber }),
+            ...(expiryDate && { expiryDate }),
+          };
+        });
+
+        movements = receiptLines.map((line) =>
+          this.inventoryService.createMovement(catalogue[line.ingredientId], {
+            type: "receipt",
+            quantity: line.quantity,
+            unitCost: line.unitPrice,
+            user: recordedBy,
+            reason: note || `Purchase order from ${order.supplier}`,
+            date,
+            reference: order.id,
+            location: order.location,
+            supplier: order.supplier,
+            lotNumber: line.lotNumber,
+            expiryDate: line.expiryDate,
+          })
+        );
+
+        for (const line of receiptLines) {
+          const ordered = order.lines.find((orderLine) => orderLine.ingredientId === line.ingredientId);
+          ordered.received = round(ordered.received + line.quantity);
+          ordered.receivedValue = round(ordered.receivedValue + line.quantity * line.unitPrice);
+        }
+
+        receipt = {
+          date: movements[0].date,
+          user: recordedBy,
+          note,
+          lines: receiptLines,
+          deviations: this.findDeviations(order, receiptLines),
+          createdAt: new Date().toISOString(),
+        };
+        order.receipts.push(receipt);
+
+        const complete = order.lines.every((line) => line.received >= line.quantity);
+        this.setStatus(order, complete ? "received" : "partially-received", {
+          user: recordedBy,
+          date: receipt.date,
+        });
+      },
+      () => this.dataService.appendMovements(movements)
+    );
+    return { order: saved, receipt, movements, deviations: receipt.deviations };
+  }
+
+  /**
+   * Close an order, usually once the supplier's invoice is in
+   * Anything still outstanding will no longer be delivered.
+   * @param {string} id - Purchase order ID
+   * @param {Object} fields - { invoiceNumber, invoiceTotal, user, date, note }
+   * @returns {Promise<Object>} - { order, deviations }; an invoice total off the received value is a deviation
+   */
+  async close(id, { invoiceNumber, invoiceTotal, user, date, note = "" } = {}) {
+    if (invoiceTotal !== undefined && !(invoiceTotal >= 0)) {
+      throw new Error("Invoice total must be a number of at least 0");
+    }
+
+    const deviations = [];
+    const saved = await this.dataService.updatePurchaseOrder(id, (order) => {
+      if (order.status === "closed") {
+        throw new Error(`Purchase order ${id} is already closed`);
+      }
+
+      if (invoiceNumber || invoiceTotal !== undefined) {
+        order.invoice = {
+          number: invoiceNumber || "",
+          total: invoiceTotal ?? null,
+          date: date || new Date().toISOString().split("T")[0],
+        };
+        const { receivedValue } = this.totals(order);
+        const difference = invoiceTotal !== undefined ? round(invoiceTotal - receivedValue) : 0;
+        if (
+          difference !== 0 &&
+          (receivedValue === 0 || Math.abs((difference / receivedValue) * 100) > PURCHASING_CONFIG.priceTolerance)
+        ) {
+          deviations.push({ type: "invoice", invoiceTotal, receivedValue, valueDifference: difference });
+        }
+      }
+      for (const line of order.lines) {
+        if (line.received < line.quantity) {
+          deviations.push({
+            type: "short",
+            ingredientId: line.ingredientId,
+            name: line.name,
+            ordered: line.quantity,
+            received: line.received,
+            outstanding: round(line.quantity - line.received),
+          });
+        }
+      }
+
+      this.setStatus(order, "closed", { user, date, note });
+    });
+    return { order: saved, deviations };
+  }
+
+  /**
+   * Describe a deviation in one line
+   * @param {Object} deviation - Deviation (findDeviations or close)
+   * @returns {string} - Message
+   */
+  describeDeviation(deviation) {
+    switch (deviation.type) {
+      case "short":
+        return `${deviation.name}: short delivery, ${deviation.received} of ${deviation.ordered} received (${deviation.outstanding} outstanding)`;
+      case "over":
+        return `${deviation.name}: ${deviation.excess} more delivered than the ${deviation.ordered} ordered`;
+      case "price":
+        return `${deviation.name}: delivered at ${deviation.deliveredPrice} against ${deviation.orderedPrice} ordered` +
+          (deviation.differencePercent === null ? "" : ` (${deviation.differencePercent > 0 ? "+" : ""}${deviation.differencePercent.toFixed(1)}%)`);
+      case "invoice":
+        return `Invoice total ${deviation.invoiceTotal} differs from the value received (${deviation.receivedValue}) by ${deviation.valueDifference}`;
+      default:
+        return deviation.type;
+    }
+  }
+}
+
+export default PurchaseOrderService;
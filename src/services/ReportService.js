@@ -0,0 +1,1439 @@
+import fs from "fs-extra";
+import { formatCurrency, formatPercentage, formatDate, formatNumber } from "../utils/format.js";
+import { PdfReport, readImage } from "../utils/pdf.js";
+import { RecipeCostCalculator } from "../core/calculations/RecipeCostCalculator.js";
+import { FoodCostCalculator } from "../core/calculations/FoodCostCalculator.js";
+import { LOCATIONS } from "../config/locations.js";
+import { COSTING_METHODS } from "../config/inventory.js";
+import { BUSINESS_CONFIG, PAPER_SIZES } from "../config/business.js";
+
+// Menu engineering classes as printed
+const CLASSIFICATION_LABELS = {
+  star: "Star",
+  puzzle: "Puzzle",
+  plow_horse: "Plow horse",
+  dog: "Dog",
+};
+
+/**
+ * Turn a field name into a label (laborCost → Labor cost)
+ * @param {string} key - Field name
+ * @returns {string} - Label
+ */
+const labelOf = (key) => {
+  const words = key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/[_-]/g, " ").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Report Service for generating formatted reports
+ */
+export class ReportService {
+  constructor() {
+    this.recipeCostCalculator = new RecipeCostCalculator();
+    this.foodCostCalculator = new FoodCostCalculator();
+  }
+
+  /**
+   * Generate Escandallo report
+   * @param {Object} recipe - Recipe data
+   * @param {Object} context - Costing context ({ subRecipes, catalogue })
+   * @returns {Object} - Formatted escandallo report
+   */
+  generateEscandallo(recipe, context = {}) {
+    // Calculate recipe costs
+    const recipeCost = this.recipeCostCalculator.calculateRecipeCost(
+      recipe,
+      context
+    );
+
+    // Format the report
+    const report = {
+      recipeName: recipe.name,
+      category: recipe.category,
+      portions: recipe.portions,
+      date: new Date().toISOString().split("T")[0],
+      allergens: recipeCost.allergens,
+      ingredients: [],
+      subRecipes: [],
+      adjustments: {},
+      totals: {},
+    };
+
+    // Process ingredients
+    recipeCost.breakdown.forEach((item) => {
+      report.ingredients.push({
+        name: item.name,
+        quantity: item.quantity.toFixed(2),
+        unit: item.unit,
+        unitPrice: formatCurrency(item.unitPrice),
+        apCost: formatCurrency(item.apCost),
+        yield: formatPercentage(item.yieldPercentage),
+        epCost: formatCurrency(item.epCost),
+        waste: formatCurrency(item.wasteCost),
+        percentage: formatPercentage(item.percentageOfTotal, 1),
+        isSubRecipe: Boolean(item.subRecipe),
+        priceSource: item.priceSource,
+      });
+
+      if (item.subRecipe) {
+        report.subRecipes.push(...this.buildSubRecipeDrillDown(item, 1));
+      }
+    });
+
+    // Adjustments
+    report.adjustments = {
+      spiceFactor: formatPercentage(recipeCost.spiceFactor * 100),
+      spiceCost: formatCurrency(recipeCost.spiceCost),
+      qFactor: formatPercentage(recipeCost.qFactor * 100),
+      qCost: formatCurrency(recipeCost.qCost),
+    };
+
+    // Totals
+    const directCost = recipeCost.totalCost - recipeCost.spiceCost - recipeCost.qCost;
+    const actualFoodCost = (recipeCost.costPerPortion / recipeCost.suggestedPrice) * 100;
+
+    report.totals = {
+      directCost: formatCurrency(directCost),
+      totalCost: formatCurrency(recipeCost.totalCost),
+      costPerPortion: formatCurrency(recipeCost.costPerPortion),
+      targetFoodCost: formatPercentage(recipe.targetFoodCost || 30),
+      suggestedPrice: formatCurrency(recipeCost.suggestedPrice),
+      actualFoodCost: formatPercentage(actualFoodCost, 1),
+    };
+
+    return report;
+  }
+
+  /**
+   * Generate recipe cost drift report from repriced snapshots
+   * @param {Object} recipe - Recipe data
+   * @param {Array} snapshots - [{ date, context }] oldest first, context priced as of date
+   * @returns {Object} - Cost per portion over time with the main change driver
+   */
+  generateCostDrift(recipe, snapshots) {
+    const points = snapshots.map(({ date, context }) => ({
+      date,
+      cost: this.recipeCostCalculator.calculateRecipeCost(recipe, context),
+    }));
+
+    const rows = points.map((point, index) => {
+      const previous = points[index - 1];
+      const row = {
+        date: point.date,
+        costPerPortion: formatCurrency(point.cost.costPerPortion),
+        change: "-",
+        changePercent: "-",
+        driver: "-",
+      };
+
+      if (previous) {
+        const change =
+          point.cost.costPerPortion - previous.cost.costPerPortion;
+        row.change = formatCurrency(change);
+        row.changePercent =
+          previous.cost.costPerPortion > 0
+            ? formatPercentage((change / previous.cost.costPerPortion) * 100, 1)
+            : "-";
+        row.driver = this.findCostDriver(previous.cost, point.cost);
+      }
+
+      return row;
+    });
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const totalChange = last.cost.costPerPortion - first.cost.costPerPortion;
+
+    return {
+      recipeName: recipe.name,
+      date: new Date().toISOString().split("T")[0],
+      from: first.date,
+      to: last.date,
+      rows,
+      totalChange: formatCurrency(totalChange),
+      totalChangePercent:
+        first.cost.costPerPortion > 0
+          ? formatPercentage((totalChange / first.cost.costPerPortion) * 100, 1)
+          : "-",
+      mainDriver: this.findCostDriver(first.cost, last.cost),
+    };
+  }
+
+  /**
+   * Find the ingredient line whose cost changed the most between two costings
+   * @param {Object} before - Earlier recipe cost
+   * @param {Object} after - Later recipe cost
+   * @returns {string} - Driver description
+   */
+  findCostDriver(before, after) {
+    let driver = null;
+
+    after.breakdown.forEach((item, index) => {
+      const previous = before.breakdown[index];
+      if (!previous) return;
+
+      const delta = item.epCost - previous.epCost;
+      if (!driver || Math.abs(delta) > Math.abs(driver.delta)) {
+        driver = { name: item.name, delta };
+      }
+    });
+
+    if (!driver || Math.abs(driver.delta) < 0.005) {
+      return "No change";
+    }
+
+    const sign = driver.delta > 0 ? "+" : "";
+    return `${driver.name} (${sign}${formatCurrency(driver.delta)})`;
+  }
+
+  /**
+   * Generate diff between two versions of a recipe
+   * Both versions are costed at the same (current) prices, so the cost
+   * impact reflects recipe changes only
+   * @param {Object} before - Earlier recipe version
+   * @param {Object} after - Later recipe version
+   * @param {Object} beforeContext - Costing context for the earlier version
+   * @param {Object} afterContext - Costing context for the later version
+   * @returns {Object} - Added/removed/changed lines and cost impact
+   */
+  generateRecipeDiff(before, after, beforeContext = {}, afterContext = {}) {
+    const beforeCost = this.recipeCostCalculator.calculateRecipeCost(
+      before,
+      beforeContext
+    );
+    const afterCost = this.recipeCostCalculator.calculateRecipeCost(
+      after,
+      afterContext
+    );
+
+    const lineKey = (line) =>
+      line.ingredientId ||
+      line.recipeRef ||
+      line.name.toLowerCase().trim().replace(/\s+/g, "-");
+    const index = (recipe, cost) =>
+      new Map(
+        recipe.ingredients.map((line, i) => [
+          lineKey(line),
+          { line, item: cost.breakdown[i] },
+        ])
+      );
+    const beforeLines = index(before, beforeCost);
+    const afterLines = index(after, afterCost);
+
+    const diff = {
+      recipeName: after.name,
+      fromVersion: before.version,
+      toVersion: after.version,
+      added: [],
+      removed: [],
+      changed: [],
+      fieldChanges: [],
+      costImpact: {},
+    };
+
+    for (const [key, { item }] of afterLines) {
+      if (!beforeLines.has(key)) {
+        diff.added.push({
+          name: item.name,
+          quantity: `${item.quantity} ${item.unit}`,
+          cost: formatCurrency(item.epCost),
+        });
+      }
+    }
+
+    for (const [key, { item }] of beforeLines) {
+      if (!afterLines.has(key)) {
+        diff.removed.push({
+          name: item.name,
+          quantity: `${item.quantity} ${item.unit}`,
+          cost: formatCurrency(-item.epCost),
+        });
+      }
+    }
+
+    for (const [key, { line, item }] of afterLines) {
+      const previous = beforeLines.get(key);
+      if (!previous) continue;
+
+      const changes = [];
+      if (
+        previous.item.quantity !== item.quantity ||
+        previous.item.unit !== item.unit
+      ) {
+        changes.push(
+          `quantity ${previous.item.quantity} ${previous.item.unit} → ${item.quantity} ${item.unit}`
+        );
+      }
+      if (
+        Math.abs(previous.item.unitPrice - item.unitPrice) > 0.000001 &&
+        previous.item.unit === item.unit
+      ) {
+        changes.push(
+          `price ${formatCurrency(previous.item.unitPrice)} → ${formatCurrency(item.unitPrice)} per ${item.unit}`
+        );
+      }
+      if (previous.item.yieldPercentage !== item.yieldPercentage) {
+        changes.push(
+          `yield ${previous.item.yieldPercentage}% → ${item.yieldPercentage}%`
+        );
+      }
+      if ((previous.line.priceOverride ?? null) !== (line.priceOverride ?? null)) {
+        changes.push(
+          `price override ${previous.line.priceOverride ?? "none"} → ${line.priceOverride ?? "none"}`
+        );
+      }
+
+      if (changes.length > 0) {
+        diff.changed.push({
+          name: item.name,
+          changes,
+          cost: formatCurrency(item.epCost - previous.item.epCost),
+        });
+      }
+    }
+
+    ["name", "category", "portions", "yieldQuantity", "yieldUnit", "menuPrice"]
+      .filter((field) => (before[field] ?? null) !== (after[field] ?? null))
+      .forEach((field) => {
+        diff.fieldChanges.push({
+          field,
+          from: before[field] ?? "-",
+          to: after[field] ?? "-",
+        });
+      });
+
+    const totalChange = afterCost.totalCost - beforeCost.totalCost;
+    diff.costImpact = {
+      totalBefore: formatCurrency(beforeCost.totalCost),
+      totalAfter: formatCurrency(afterCost.totalCost),
+      totalChange: formatCurrency(totalChange),
+      totalChangePercent:
+        beforeCost.totalCost > 0
+          ? formatPercentage((totalChange / beforeCost.totalCost) * 100, 1)
+          : "-",
+      perPortionBefore: formatCurrency(beforeCost.costPerPortion),
+      perPortionAfter: formatCurrency(afterCost.costPerPortion),
+      perPortionChange: formatCurrency(
+        afterCost.costPerPortion - beforeCost.costPerPortion
+      ),
+    };
+
+    return diff;
+  }
+
+  /**
+   * Flatten a sub-recipe line into drill-down rows
+   * Component costs are scaled to the share of the sub-recipe batch used.
+   * @param {Object} item - Breakdown line with subRecipe cost
+   * @param {number} level - Nesting depth (1 = direct sub-recipe)
+   * @returns {Array} - Drill-down rows
+   */
+  buildSubRecipeDrillDown(item, level) {
+    const { subRecipe } = item;
+    const batchCost = subRecipe.cost.totalCost;
+    const share = batchCost > 0 ? item.apCost / batchCost : 0;
+
+    const rows = [
+      {
+        level,
+        name: subRecipe.name,
+        quantity: item.quantity.toFixed(2),
+        unit: item.unit,
+        unitCost: `${formatCurrency(subRecipe.costPerYieldUnit)}/${subRecipe.yieldUnit}`,
+        cost: formatCurrency(item.apCost),
+        isSubRecipe: true,
+      },
+    ];
+
+    subRecipe.cost.breakdown.forEach((component) => {
+      const scaled = {
+        ...component,
+        quantity: component.quantity * share,
+        apCost: component.apCost * share,
+        epCost: component.epCost * share,
+      };
+
+      if (component.subRecipe) {
+        rows.push(...this.buildSubRecipeDrillDown(scaled, level + 1));
+      } else {
+        rows.push({
+          level: level + 1,
+          name: component.name,
+          quantity: scaled.quantity.toFixed(2),
+          unit: component.unit,
+          unitCost: formatCurrency(component.unitPrice),
+          cost: formatCurrency(scaled.epCost),
+          isSubRecipe: false,
+        });
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Generate Food Cost Analysis report
+   * @param {Object} data - Food cost data
+   * @returns {Object} - Formatted food cost report
+   */
+  generateFoodCostAnalysis(data) {
+    const cogs = this.foodCostCalculator.calculateCoGS(
+      data.beginningInventory,
+      data.purchases,
+      data.endingInventory
+    );
+
+    const foodCostPercentage = this.foodCostCalculator.calculateTotalFoodCostPercentage(
+      cogs,
+      data.revenue
+    );
+
+    const grossProfitMargin = this.foodCostCalculator.calculateGrossProfitMargin(
+      data.revenue,
+      cogs
+    );
+
+    const primeCost = this.foodCostCalculator.calculatePrimeCost(cogs, data.laborCost || 0);
+    const primeCostPercentage = this.foodCostCalculator.calculatePrimeCostPercentage(
+      primeCost,
+      data.revenue
+    );
+
+    return {
+      period: data.period,
+      date: new Date().toISOString().split("T")[0],
+      revenue: formatCurrency(data.revenue),
+      cogs: formatCurrency(cogs),
+      foodCostPercentage: formatPercentage(foodCostPercentage, 1),
+      grossProfitMargin: formatPercentage(grossProfitMargin, 1),
+      primeCost: formatCurrency(primeCost),
+      primeCostPercentage: formatPercentage(primeCostPercentage, 1),
+      performance: this.assessPerformance(foodCostPercentage),
+    };
+  }
+
+  /**
+   * Generate Menu Engineering report
+   * @param {Array} menuItems - Array of menu items with sales data ({ name, price, cost, soldQty })
+   * @param {Object} period - Sales period the items cover ({ from, to, location })
+   * @returns {Object} - Menu engineering analysis
+   */
+  generateMenuEngineering(menuItems, period = {}) {
+    const analysis = this.foodCostCalculator.calculateMenuEngineering(menuItems);
+
+    const report = {
+      date: new Date().toISOString().split("T")[0],
+      period: { from: period.from || null, to: period.to || null, location: period.location || null },
+      items: [],
+      summary: {
+        stars: [],
+        puzzles: [],
+        plowHorses: [],
+        dogs: [],
+      },
+      recommendations: {},
+    };
+
+    analysis.forEach((item) => {
+      const formattedItem = {
+        name: item.name,
+        classification: item.classification,
+        price: formatCurrency(item.price),
+        cost: formatCurrency(item.cost),
+        foodCostPercent: formatPercentage(item.foodCostPercent, 1),
+        contributionMargin: formatCurrency(item.contributionMargin),
+        unitsSold: item.soldQty,
+        contributionMarginRatio: item.contributionMarginRatio.toFixed(2),
+        popularityRatio: item.popularityRatio.toFixed(2),
+      };
+
+      report.items.push(formattedItem);
+
+      // Categorize items
+      switch (item.classification) {
+        case "star":
+          report.summary.stars.push(item.name);
+          break;
+        case "puzzle":
+          report.summary.puzzles.push(item.name);
+          break;
+        case "plow_horse":
+          report.summary.plowHorses.push(item.name);
+          break;
+        case "dog":
+          report.summary.dogs.push(item.name);
+          break;
+      }
+    });
+
+    // Add recommendations
+    report.recommendations = {
+      stars: "Promote heavily, maintain quality and availability",
+      puzzles: "Increase visibility through specials and server recommendations",
+      plowHorses: "Consider small price increases or portion adjustments",
+      dogs: "Remove from menu or completely reimagine",
+    };
+
+    return report;
+  }
+
+  /**
+   * Generate Inventory Valuation report
+   * Each item's quantity is traced to the stock movements behind it; items
+   * whose quantity does not match their ledger are listed as untraced, and
+   * items with no movements yet are left out of that check.
+   * Items are valued by the costing method behind costs; without costs they
+   * are valued at their current unit price. Expiry is checked per lot for
+   * items with a ledger. A consolidated report also breaks the value down
+   * by location.
+   * @param {Array} inventory - Inventory items, as seen from the location if one is given
+   * @param {Map} ledger - ingredientId → ledger summary (InventoryService.summarizeLedger)
+   * @param {Map} costs - ingredientId → costed stock (InventoryService.valueInventory)
+   * @param {string} location - Location ID the report is for; all locations when omitted
+   * @returns {Object} - Inventory valuation report
+   */
+  generateInventoryValuation(inventory, ledger = new Map(), costs = new Map(), location = null) {
+    const report = {
+      date: new Date().toISOString().split("T")[0],
+      method: costs.size > 0 ? costs.values().next().value.method : "current-price",
+      location,
+      totalItems: inventory.length,
+      totalValue: 0,
+      categories: {},
+      locations: {},
+      lowStock: [],
+      expiringSoon: [],
+      topValueItems: [],
+      items: [],
+      untraced: [],
+    };
+
+    const today = new Date();
+    const thirtyDays = new Date(today.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    const valueOf = (item) => costs.get(item.id)?.value ?? item.quantity * item.unitPrice;
+
+    inventory.forEach((item) => {
+      const cost = costs.get(item.id);
+      const itemValue = valueOf(item);
+      report.totalValue += itemValue;
+
+      // Trace the quantity to its movements
+      const movements = ledger.get(item.id);
+      report.items.push({
+        id: item.id,
+        name: item.name,
+        category: item.category || "Other",
+        quantity: item.quantity,
+        unit: item.unit,
+        unitPrice: item.unitPrice,
+        unitCost: cost ? cost.unitCost : item.unitPrice,
+        value: itemValue,
+        lots: cost ? cost.lots.length : 0,
+        movements: movements ? movements.count : 0,
+        lastMovement: movements ? movements.lastDate : null,
+        byType: movements ? movements.byType : {},
+      });
+      // Items with no ledger yet have nothing to trace their quantity to
+      if (movements && movements.balance !== (item.quantity || 0)) {
+        report.untraced.push({
+          name: item.name,
+          quantity: item.quantity,
+          ledgerBalance: movements.balance,
+        });
+      }
+
+      // Categorize
+      const category = item.category || "Other";
+      if (!report.categories[category]) {
+        report.categories[category] = {
+          count: 0,
+          value: 0,
+          percentage: 0,
+        };
+      }
+      report.categories[category].count++;
+      report.categories[category].value += itemValue;
+
+      // Break down by location
+      for (const [held, stock] of Object.entries(cost?.locations || {})) {
+        if (location || stock.quantity === 0) continue;
+        if (!report.locations[held]) {
+          report.locations[held] = { label: LOCATIONS[held]?.label || held, count: 0, value: 0 };
+        }
+        report.locations[held].count++;
+        report.locations[held].value += stock.value;
+      }
+
+      // Check stock levels; items with no par level are not stocked to one
+      if (item.parLevel > 0 && item.quantity <= item.parLevel) {
+        report.lowStock.push({
+          name: item.name,
+          current: item.quantity,
+          par: item.parLevel,
+          orderQty: Math.max(0, (item.maxLevel ?? item.parLevel) - item.quantity),
+        });
+      }
+
+      // Check expiry
+      const lots = cost && cost.costed.length > 0 ? cost.lots : [item];
+      lots.forEach((lot) => {
+        if (!lot.expiryDate) return;
+        const expiryDate = new Date(lot.expiryDate);
+        if (expiryDate <= thirtyDays) {
+          report.expiringSoon.push({
+            name: item.name,
+            lotNumber: lot.lotNumber || "",
+            quantity: lot.quantity,
+            expiryDate: formatDate(lot.expiryDate),
+            daysLeft: Math.floor((expiryDate - today) / (24 * 60 * 60 * 1000)),
+          });
+        }
+      });
+    });
+
+    // Calculate category percentages
+    Object.keys(report.categories).forEach((category) => {
+      report.categories[category].percentage =
+        (report.categories[category].value / report.totalValue) * 100;
+      report.categories[category].value = formatCurrency(report.categories[category].value);
+    });
+    Object.values(report.locations).forEach((held) => {
+      held.value = formatCurrency(held.value);
+    });
+
+    // Get top value items
+    report.topValueItems = inventory
+      .map((item) => ({
+        name: item.name,
+        value: valueOf(item),
+      }))
+      .sort((a, b) => b.value - a.value)
+      .slice(0, 10)
+      .map((item) => ({
+        name: item.name,
+        value: formatCurrency(item.value),
+      }));
+
+    report.totalValue = formatCurrency(report.totalValue);
+
+    return report;
+  }
+
+  /**
+   * Format a count sheet for printing
+   * Expected quantities are left off so counts are taken blind; the ID
+   * column matches the CSV count sheet the counts are entered from.
+   * @param {Array} sheet - Count sheet lines (InventoryService.buildCountSheet)
+   * @param {Object} options - { date, location, storageArea, category }
+   * @returns {string} - Printable text
+   */
+  countSheetToText(sheet, options = {}) {
+    const date = options.date || new Date().toISOString().split("T")[0];
+    const scope = [
+      options.location && (LOCATIONS[options.location]?.label || options.location),
+      options.storageArea,
+      options.category,
+    ]
+      .filter(Boolean)
+      .join(" / ") || "All stock";
+    const nameWidth = Math.max(24, ...sheet.map((line) => line.name.length + 2));
+    const idWidth = Math.max(12, ...sheet.map((line) => line.ingredientId.length + 2));
+    const row = (id, name, unit, counted) =>
+      `  ${id.padEnd(idWidth)}${name.padEnd(nameWidth)}${unit.padEnd(10)}${counted}`;
+
+    const text = [
+      "STOCK TAKE COUNT SHEET",
+      `Date: ${date}    Scope: ${scope}    Items: ${sheet.length}`,
+      "Counted by: ____________________    Checked by: ____________________",
+      "Count partial units as decimals or fractions (2.5 or 2 1/2).",
+    ];
+    let area = null;
+    let category = null;
+    sheet.forEach((line) => {
+      if (line.storageArea !== area) {
+        area = line.storageArea;
+        category = null;
+        text.push("", `== ${area} ==`);
+      }
+      if (line.category !== category) {
+        category = line.category;
+        text.push(`-- ${category} --`, row("ID", "Item", "Unit", "Counted"));
+      }
+      text.push(row(line.ingredientId, line.name, line.unit, "__________"));
+    });
+
+    return text.join("\n") + "\n";
+  }
+
+  /**
+   * Format a purchase order for sending to the supplier
+   * @param {Object} order - Purchase order
+   * @returns {string} - Printable text
+   */
+  purchaseOrderToText(order) {
+    const nameWidth = Math.max(24, ...order.lines.map((line) => line.name.length + 2));
+    const row = (name, quantity, unit, price, total) =>
+      `  ${name.padEnd(nameWidth)}${quantity.padStart(10)}  ${unit.padEnd(8)}${price.padStart(12)}${total.padStart(14)}`;
+
+    const text = [
+      "PURCHASE ORDER",
+      `Order: ${order.id}`,
+      `Supplier: ${order.supplier}`,
+      `Order date: ${formatDate(order.orderDate)}${order.expectedDate ? `    Delivery wanted: ${formatDate(order.expectedDate)}` : ""}`,
+      ...(order.location ? [`Deliver to: ${LOCATIONS[order.location]?.label || order.location}`] : []),
+      "",
+      row("Item", "Quantity", "Unit", "Unit price", "Total"),
+    ];
+    order.lines.forEach((line) => {
+      text.push(
+        row(
+          line.name,
+          String(line.quantity),
+          line.unit,
+          formatCurrency(line.unitPrice),
+          formatCurrency(line.quantity * line.unitPrice)
+        )
+      );
+    });
+    text.push("", row("", "", "", "Total", formatCurrency(order.orderedValue)));
+    if (order.note) {
+      text.push("", `Note: ${order.note}`);
+    }
+
+    return text.join("\n") + "\n";
+  }
+
+  /**
+   * Generate Production Schedule report
+   * @param {Object} schedule - Production schedule data
+   * @returns {Object} - Formatted production schedule
+   */
+  generateProductionSchedule(schedule) {
+    const report = {
+      date: schedule.date || new Date().toISOString().split("T")[0],
+      shift: schedule.shift || "All Day",
+      stations: {},
+      timeline: [],
+      staffing: {},
+      notes: [],
+    };
+
+    // Process stations
+    if (schedule.stations) {
+      Object.entries(schedule.stations).forEach(([station, tasks]) => {
+        report.stations[station] = tasks.map((task) => ({
+          item: task.item,
+          quantity: task.quantity,
+          time: task.time,
+          priority: task.priority || "Normal",
+          status: task.status || "Pending",
+        }));
+      });
+    }
+
+    // Process timeline
+    if (schedule.timeline) {
+      report.timeline = schedule.timeline.map((entry) => ({
+        time: entry.time,
+        task: entry.task,
+        station: entry.station,
+        duration: entry.duration,
+      }));
+    }
+
+    // Process staffing
+    if (schedule.staffing) {
+      report.staffing = {
+        total: Object.values(schedule.staffing).reduce((sum, count) => sum + count, 0),
+        breakdown: schedule.staffing,
+      };
+    }
+
+    // Add notes
+    if (schedule.notes) {
+      report.notes = schedule.notes;
+    }
+
+    return report;
+  }
+
+  /**
+   * Generate Profitability Summary
+   * @param {Object} financial - Financial data
+   * @returns {Object} - Profitability summary report
+   */
+  generateProfitabilitySummary(financial) {
+    const totalRevenue = financial.revenue.food + financial.revenue.beverage + financial.revenue.other;
+    const totalCosts = Object.values(financial.costs).reduce((sum, cost) => sum + cost, 0);
+    const netProfit = totalRevenue - totalCosts;
+    const netMargin = (netProfit / totalRevenue) * 100;
+
+    const primeCost = financial.costs.food + financial.costs.beverage + financial.costs.labor;
+    const primeCostPercentage = (primeCost / totalRevenue) * 100;
+
+    return {
+      period: financial.period,
+      date: new Date().toISOString().split("T")[0],
+      revenue: {
+        total: formatCurrency(totalRevenue),
+        breakdown: {
+          food: formatCurrency(financial.revenue.food),
+          beverage: formatCurrency(financial.revenue.beverage),
+          other: formatCurrency(financial.revenue.other),
+        },
+      },
+      costs: {
+        total: formatCurrency(totalCosts),
+        breakdown: Object.entries(financial.costs).reduce((acc, [key, value]) => {
+          acc[key] = formatCurrency(value);
+          return acc;
+        }, {}),
+      },
+      profitability: {
+        netProfit: formatCurrency(netProfit),
+        netMargin: formatPercentage(netMargin, 1),
+        primeCost: formatCurrency(primeCost),
+        primeCostPercentage: formatPercentage(primeCostPercentage, 1),
+      },
+      performance: this.assessProfitability(netMargin),
+    };
+  }
+
+  /**
+   * Assess performance based on food cost percentage
+   * @param {number} foodCostPercentage - Food cost percentage
+   * @returns {string} - Performance assessment
+   */
+  assessPerformance(foodCostPercentage) {
+    if (foodCostPercentage < 25) return "Excellent";
+    if (foodCostPercentage <= 30) return "Good";
+    if (foodCostPercentage <= 35) return "Acceptable";
+    return "Needs Improvement";
+  }
+
+  /**
+   * Assess profitability based on net margin
+   * @param {number} netMargin - Net profit margin percentage
+   * @returns {string} - Profitability assessment
+   */
+  assessProfitability(netMargin) {
+    if (netMargin > 15) return "Excellent";
+    if (netMargin > 10) return "Good";
+    if (netMargin > 5) return "Acceptable";
+    return "Poor";
+  }
+
+  /**
+   * Export report to CSV format
+   * @param {Object} report - Report data
+   * @param {string} type - Report type
+   * @returns {string} - CSV formatted string
+   */
+  exportToCSV(report, type) {
+    let csv = "";
+
+    switch (type) {
+      case "escandallo":
+        csv = this.escandalloToCSV(report);
+        break;
+      case "inventory":
+        csv = this.inventoryToCSV(report);
+        break;
+      case "menu":
+        csv = this.menuEngineeringToCSV(report);
+        break;
+      default:
+        csv = this.genericToCSV(report);
+    }
+
+    return csv;
+  }
+
+  /**
+   * Convert escandallo report to CSV
+   * @param {Object} report - Escandallo report
+   * @returns {string} - CSV string
+   */
+  escandalloToCSV(report) {
+    let csv = `Recipe,${report.recipeName}\n`;
+    csv += `Date,${report.date}\n`;
+    csv += `Portions,${report.portions}\n`;
+    if (report.allergens && report.allergens.length > 0) {
+      csv += `Allergens,"${report.allergens.join(", ")}"\n`;
+    }
+    csv += "\n";
+
+    csv += "Ingredient,Quantity,Unit,Unit Price,AP Cost,Yield %,EP Cost,Waste,% of Total\n";
+    report.ingredients.forEach((item) => {
+      csv += `${item.name},${item.quantity},${item.unit},${item.unitPrice},${item.apCost},${item.yield},${item.epCost},${item.waste},${item.percentage}\n`;
+    });
+
+    if (report.subRecipes && report.subRecipes.length > 0) {
+      csv += "\nSub-Recipe Drill-Down\n";
+      csv += "Level,Item,Quantity,Unit,Unit Cost,Cost\n";
+      report.subRecipes.forEach((row) => {
+        csv += `${row.level},${row.name},${row.quantity},${row.unit},${row.unitCost},${row.cost}\n`;
+      });
+    }
+
+    csv += `\nSpice Factor,${report.adjustments.spiceFactor},${report.adjustments.spiceCost}\n`;
+    csv += `Q Factor,${report.adjustments.qFactor},${report.adjustments.qCost}\n`;
+    csv += `\nTotal Cost,${report.totals.totalCost}\n`;
+    csv += `Cost per Portion,${report.totals.costPerPortion}\n`;
+    csv += `Suggested Price,${report.totals.suggestedPrice}\n`;
+    csv += `Food Cost %,${report.totals.actualFoodCost}\n`;
+
+    return csv;
+  }
+
+  /**
+   * Convert inventory report to CSV
+   * @param {Object} report - Inventory report
+   * @returns {string} - CSV string
+   */
+  inventoryToCSV(report) {
+    let csv = `Inventory Valuation Report\n`;
+    csv += `Date,${report.date}\n`;
+    csv += `Total Items,${report.totalItems}\n`;
+    csv += `Total Value,${report.totalValue}\n\n`;
+
+    csv += "Category,Count,Value,Percentage\n";
+    Object.entries(report.categories).forEach(([category, data]) => {
+      csv += `${category},${data.count},${data.value},${data.percentage.toFixed(1)}%\n`;
+    });
+
+    if (report.lowStock.length > 0) {
+      csv += "\nLow Stock Items\n";
+      csv += "Item,Current,Par Level,Order Qty\n";
+      report.lowStock.forEach((item) => {
+        csv += `${item.name},${item.current},${item.par},${item.orderQty}\n`;
+      });
+    }
+
+    return csv;
+  }
+
+  /**
+   * Convert menu engineering report to CSV
+   * @param {Object} report - Menu engineering report
+   * @returns {string} - CSV string
+   */
+  menuEngineeringToCSV(report) {
+    let csv = `Menu Engineering Analysis\n`;
+    csv += `Date,${report.date}\n\n`;
+
+    csv += "Item,Classification,Contribution Margin,Units Sold,CM Ratio,Popularity Ratio\n";
+    report.items.forEach((item) => {
+      csv += `${item.name},${item.classification},${item.contributionMargin},${item.unitsSold},${item.contributionMarginRatio},${item.popularityRatio}\n`;
+    });
+
+    csv += "\nClassification Summary\n";
+    csv += `Stars,${report.summary.stars.join("; ")}\n`;
+    csv += `Puzzles,${report.summary.puzzles.join("; ")}\n`;
+    csv += `Plow Horses,${report.summary.plowHorses.join("; ")}\n`;
+    csv += `Dogs,${report.summary.dogs.join("; ")}\n`;
+
+    return csv;
+  }
+
+  /**
+   * Generic report to CSV conversion
+   * @param {Object} report - Generic report object
+   * @returns {string} - CSV string
+   */
+  genericToCSV(report) {
+    let csv = "";
+
+    // Convert object to CSV recursively
+    const processObject = (obj, prefix = "") => {
+      Object.entries(obj).forEach(([key, value]) => {
+        if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+          processObject(value, `${prefix}${key}.`);
+        } else if (Array.isArray(value)) {
+          csv += `${prefix}${key},"${value.join(", ")}"\n`;
+        } else {
+          csv += `${prefix}${key},${value}\n`;
+        }
+      });
+    };
+
+    processObject(report);
+    return csv;
+  }
+  /**
+   * Export report to PDF format
+   * Pages carry the business name and logo from BUSINESS_CONFIG and are
+   * sized to its paper size; amounts use the configured currency.
+   * @param {Object} report - Report data
+   * @param {string} type - Report type (escandallo | menu | inventory | profitability | production)
+   * @returns {Promise<Buffer>} - PDF file contents
+   */
+  async exportToPDF(report, type) {
+    const layouts = {
+      escandallo: this.escandalloToPDF,
+      menu: this.menuEngineeringToPDF,
+      inventory: this.inventoryToPDF,
+      profitability: this.profitabilityToPDF,
+      sales: this.salesProfitabilityToPDF,
+      production: this.productionScheduleToPDF,
+    };
+    if (!layouts[type]) {
+      throw new Error(`No PDF layout for "${type}" reports. Available: ${Object.keys(layouts).join(", ")}`);
+    }
+
+    const paper = PAPER_SIZES[BUSINESS_CONFIG.paperSize];
+    if (!paper) {
+      throw new Error(
+        `Unknown paper size "${BUSINESS_CONFIG.paperSize}". Available: ${Object.keys(PAPER_SIZES).join(", ")}`
+      );
+    }
+    let logo = null;
+    if (BUSINESS_CONFIG.logo) {
+      try {
+        logo = await fs.readFile(BUSINESS_CONFIG.logo);
+        readImage(logo);
+      } catch (error) {
+        throw new Error(`Cannot read logo ${BUSINESS_CONFIG.logo}: ${error.message}`);
+      }
+    }
+
+    return layouts[type].call(this, report, {
+      business: BUSINESS_CONFIG.name,
+      logo,
+      paper,
+      generated: `Generated ${formatDate(new Date())}`,
+    });
+  }
+
+  /**
+   * Convert escandallo report to PDF
+   * @param {Object} report - Escandallo report
+   * @param {Object} settings - Page settings ({ business, logo, paper, generated })
+   * @returns {Buffer} - PDF file contents
+   */
+  escandalloToPDF(report, settings) {
+    const pdf = new PdfReport({ ...settings, title: `Escandallo: ${report.recipeName}`, subtitle: formatDate(report.date) });
+
+    pdf.keyValues([
+      ["Category", report.category || "-"],
+      ["Portions", String(report.portions)],
+      ["Allergens", report.allergens?.length > 0 ? report.allergens.join(", ") : "None declared"],
+    ]);
+
+    pdf.heading("Ingredients");
+    pdf.table(
+      [
+        { label: "Ingredient", width: 3 },
+        { label: "Quantity", width: 1.1, align: "right" },
+        { label: "Unit", width: 0.8 },
+        { label: "Unit price", width: 1.2, align: "right" },
+        { label: "AP cost", width: 1.1, align: "right" },
+        { label: "Yield", width: 0.9, align: "right" },
+        { label: "EP cost", width: 1.1, align: "right" },
+        { label: "Waste", width: 1, align: "right" },
+        { label: "% of total", width: 1, align: "right" },
+      ],
+      report.ingredients.map((item) => [
+        item.isSubRecipe ? `${item.name} (sub-recipe)` : item.name,
+        item.quantity,
+        item.unit,
+        item.unitPrice,
+        item.apCost,
+        item.yield,
+        item.epCost,
+        item.waste,
+        item.percentage,
+      ])
+    );
+
+    if (report.subRecipes?.length > 0) {
+      pdf.heading("Sub-Recipe Drill-Down");
+      pdf.table(
+        [
+          { label: "Item", width: 4 },
+          { label: "Quantity", width: 1, align: "right" },
+          { label: "Unit", width: 0.8 },
+          { label: "Unit cost", width: 1.2, align: "right" },
+          { label: "Cost", width: 1.2, align: "right" },
+        ],
+        report.subRecipes.map((row) => [
+          `${"   ".repeat(row.level - 1)}${row.name}`,
+          row.quantity,
+          row.unit,
+          row.unitCost,
+          row.cost,
+        ])
+      );
+    }
+
+    pdf.heading("Cost Summary");
+    pdf.table(
+      [
+        { label: "", width: 3 },
+        { label: "Amount", width: 1, align: "right" },
+      ],
+      [
+        ["Direct cost", report.totals.directCost],
+        [`Spice factor (${report.adjustments.spiceFactor})`, report.adjustments.spiceCost],
+        [`Q factor (${report.adjustments.qFactor})`, report.adjustments.qCost],
+        { cells: ["Total cost", report.totals.totalCost], bold: true },
+        { cells: ["Cost per portion", report.totals.costPerPortion], bold: true },
+        [`Suggested price (target food cost ${report.totals.targetFoodCost})`, report.totals.suggestedPrice],
+        ["Food cost at suggested price", report.totals.actualFoodCost],
+      ]
+    );
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Convert menu engineering report to PDF
+   * @param {Object} report - Menu engineering report
+   * @param {Object} settings - Page settings ({ business, logo, paper, generated })
+   * @returns {Buffer} - PDF file contents
+   */
+  menuEngineeringToPDF(report, settings) {
+    const { from, to, location } = report.period || {};
+    const subtitle = [
+      from || to ? `${from ? formatDate(from) : "Start"} – ${to ? formatDate(to) : "today"}` : formatDate(report.date),
+      location && (LOCATIONS[location]?.label || location),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    const pdf = new PdfReport({ ...settings, title: "Menu Engineering", subtitle });
+
+    pdf.table(
+      [
+        { label: "Item", width: 2.8 },
+        { label: "Class", width: 1.1 },
+        { label: "Sold", width: 0.8, align: "right" },
+        { label: "Price", width: 1, align: "right" },
+        { label: "Cost", width: 1, align: "right" },
+        { label: "Food cost", width: 1, align: "right" },
+        { label: "Margin", width: 1, align: "right" },
+        { label: "CM ratio", width: 0.9, align: "right" },
+        { label: "Popularity", width: 1.1, align: "right" },
+      ],
+      report.items.map((item) => [
+        item.name,
+        CLASSIFICATION_LABELS[item.classification] || item.classification,
+        formatNumber(item.unitsSold),
+        item.price,
+        item.cost,
+        item.foodCostPercent,
+        item.contributionMargin,
+        item.contributionMarginRatio,
+        item.popularityRatio,
+      ]),
+      { empty: "No menu items with sales" }
+    );
+
+    pdf.heading("Classification Summary");
+    pdf.keyValues([
+      ["Stars", report.summary.stars.join(", ") || "-"],
+      ["Puzzles", report.summary.puzzles.join(", ") || "-"],
+      ["Plow horses", report.summary.plowHorses.join(", ") || "-"],
+      ["Dogs", report.summary.dogs.join(", ") || "-"],
+    ]);
+
+    pdf.heading("Recommendations");
+    pdf.keyValues(Object.entries(report.recommendations).map(([group, advice]) => [labelOf(group), advice]));
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Convert inventory report to PDF
+   * @param {Object} report - Inventory report
+   * @param {Object} settings - Page settings ({ business, logo, paper, generated })
+   * @returns {Buffer} - PDF file contents
+   */
+  inventoryToPDF(report, settings) {
+    const pdf = new PdfReport({
+      ...settings,
+      title: "Inventory Valuation",
+      subtitle: `${report.location ? LOCATIONS[report.location]?.label || report.location : "All locations"} · ${formatDate(report.date)}`,
+    });
+
+    pdf.keyValues([
+      ["Costing method", COSTING_METHODS[report.method]?.label || "Current unit price"],
+      ["Items", String(report.totalItems)],
+      ["Total value", report.totalValue],
+    ]);
+
+    pdf.heading("By Category");
+    pdf.table(
+      [
+        { label: "Category", width: 3 },
+        { label: "Items", width: 1, align: "right" },
+        { label: "Value", width: 1.5, align: "right" },
+        { label: "Share", width: 1, align: "right" },
+      ],
+      Object.entries(report.categories).map(([category, data]) => [
+        category,
+        String(data.count),
+        data.value,
+        formatPercentage(data.percentage || 0, 1),
+      ])
+    );
+
+    if (Object.keys(report.locations).length > 0) {
+      pdf.heading("By Location");
+      pdf.table(
+        [
+          { label: "Location", width: 3 },
+          { label: "Items", width: 1, align: "right" },
+          { label: "Value", width: 1.5, align: "right" },
+        ],
+        Object.values(report.locations).map((held) => [held.label, String(held.count), held.value])
+      );
+    }
+
+    pdf.heading("Stock");
+    pdf.table(
+      [
+        { label: "Item", width: 3 },
+        { label: "Category", width: 1.6 },
+        { label: "On hand", width: 1, align: "right" },
+        { label: "Unit", width: 0.7 },
+        { label: "Unit cost", width: 1.1, align: "right" },
+        { label: "Value", width: 1.2, align: "right" },
+      ],
+      [
+        ...report.items.map((item) => [
+          item.name,
+          item.category,
+          formatNumber(item.quantity || 0, 2),
+          item.unit,
+          formatCurrency(item.unitCost || 0),
+          formatCurrency(item.value),
+        ]),
+        { cells: ["Total", "", "", "", "", report.totalValue], bold: true },
+      ]
+    );
+
+    if (report.lowStock.length > 0) {
+      pdf.heading("Low Stock");
+      pdf.table(
+        [
+          { label: "Item", width: 3 },
+          { label: "Current", width: 1, align: "right" },
+          { label: "Par level", width: 1, align: "right" },
+          { label: "Order qty", width: 1, align: "right" },
+        ],
+        report.lowStock.map((item) => [
+          item.name,
+          formatNumber(item.current || 0, 2),
+          formatNumber(item.par, 2),
+          formatNumber(item.orderQty, 2),
+        ])
+      );
+    }
+
+    if (report.expiringSoon.length > 0) {
+      pdf.heading("Expiring Within 30 Days");
+      pdf.table(
+        [
+          { label: "Item", width: 3 },
+          { label: "Lot", width: 1.5 },
+          { label: "Quantity", width: 1, align: "right" },
+          { label: "Expires", width: 1.3 },
+          { label: "Days left", width: 1, align: "right" },
+        ],
+        report.expiringSoon.map((lot) => [
+          lot.name,
+          lot.lotNumber,
+          formatNumber(lot.quantity || 0, 2),
+          lot.expiryDate,
+          String(lot.daysLeft),
+        ])
+      );
+    }
+
+    if (report.untraced.length > 0) {
+      pdf.paragraph(
+        `Quantities not matching their stock movements: ${report.untraced
+          .map((item) => `${item.name} (${item.quantity} on hand, ${item.ledgerBalance} from movements)`)
+          .join("; ")}`,
+        { color: [0.6, 0.2, 0.1] }
+      );
+    }
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Convert profitability summary to PDF
+   * @param {Object} report - Profitability summary
+   * @param {Object} settings - Page settings ({ business, logo, paper, generated })
+   * @returns {Buffer} - PDF file contents
+   */
+  profitabilityToPDF(report, settings) {
+    const pdf = new PdfReport({
+      ...settings,
+      title: "Profitability Summary",
+      subtitle: report.period || formatDate(report.date),
+    });
+    const amounts = [
+      { label: "", width: 3 },
+      { label: "Amount", width: 1, align: "right" },
+    ];
+
+    pdf.heading("Revenue");
+    pdf.table(amounts, [
+      ...Object.entries(report.revenue.breakdown).map(([key, value]) => [labelOf(key), value]),
+      { cells: ["Total revenue", report.revenue.total], bold: true },
+    ]);
+
+    pdf.heading("Costs");
+    pdf.table(amounts, [
+      ...Object.entries(report.costs.breakdown).map(([key, value]) => [labelOf(key), value]),
+      { cells: ["Total costs", report.costs.total], bold: true },
+    ]);
+
+    pdf.heading("Profitability");
+    pdf.keyValues([
+      ["Net profit", report.profitability.netProfit],
+      ["Net margin", report.profitability.netMargin],
+      ["Prime cost", report.profitability.primeCost],
+      ["Prime cost %", report.profitability.primeCostPercentage],
+      ["Performance", report.performance],
+    ]);
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Convert profitability from imported sales to PDF
+   * @param {Object} report - SalesService.getProfitability result
+   * @param {Object} settings - Page settings ({ business, logo, paper, generated })
+   * @returns {Buffer} - PDF file contents
+   */
+  salesProfitabilityToPDF(report, settings) {
+    const subtitle = [
+      `${formatDate(report.from)} – ${formatDate(report.to)}`,
+      report.location && (LOCATIONS[report.location]?.label || report.location),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    const pdf = new PdfReport({ ...settings, title: "Profitability Report", subtitle });
+    const percent = (value) => (value === null ? "-" : formatPercentage(value, 1));
+
+    pdf.table(
+      [
+        { label: "Category", width: 2.5 },
+        { label: "Sold", width: 0.8, align: "right" },
+        { label: "Revenue", width: 1.2, align: "right" },
+        { label: "Food cost", width: 1.2, align: "right" },
+        { label: "Gross profit", width: 1.2, align: "right" },
+        { label: "FC %", width: 0.8, align: "right" },
+      ],
+      [
+        ...report.categories.map((category) => [
+          category.category,
+          formatNumber(category.soldQty, 0),
+          formatCurrency(category.revenue),
+          formatCurrency(category.foodCost),
+          formatCurrency(category.grossProfit),
+          percent(category.foodCostPercent),
+        ]),
+        ...(report.uncostedRevenue > 0
+          ? [["Not costed", "", formatCurrency(report.uncostedRevenue), "-", "-", "-"]]
+          : []),
+        {
+          cells: [
+            "Total",
+            "",
+            formatCurrency(report.revenue),
+            formatCurrency(report.foodCost),
+            formatCurrency(report.grossProfit),
+            percent(report.foodCostPercent),
+          ],
+          bold: true,
+        },
+      ],
+      { empty: "No sales in the period" }
+    );
+
+    pdf.heading("Bottom Line");
+    pdf.keyValues([
+      ["Revenue", formatCurrency(report.revenue)],
+      ["Food cost", formatCurrency(report.foodCost)],
+      ["Gross profit", formatCurrency(report.grossProfit)],
+      ["Gross margin", percent(report.grossMargin)],
+      ["Food cost % (costed sales)", percent(report.foodCostPercent)],
+    ]);
+    pdf.paragraph("Labour and overheads are not recorded, so profit is shown after food cost only.");
+
+    if (report.warnings.length > 0) {
+      pdf.heading("Notes");
+      report.warnings.forEach((warning) => pdf.paragraph(`• ${warning}`));
+    }
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Convert production schedule to PDF
+   * @param {Object} report - Production schedule
+   * @param {Object} settings - Page settings ({ business, logo, paper, generated })
+   * @returns {Buffer} - PDF file contents
+   */
+  productionScheduleToPDF(report, settings) {
+    const pdf = new PdfReport({
+      ...settings,
+      title: "Production Schedule",
+      subtitle: `${formatDate(report.date)} · ${report.shift}`,
+    });
+
+    Object.entries(report.stations).forEach(([station, tasks]) => {
+      pdf.heading(labelOf(station));
+      pdf.table(
+        [
+          { label: "Item", width: 3 },
+          { label: "Quantity", width: 1.2, align: "right" },
+          { label: "Time", width: 1 },
+          { label: "Priority", width: 1 },
+          { label: "Status", width: 1 },
+          { label: "Done", width: 0.6 },
+        ],
+        tasks.map((task) => [task.item, String(task.quantity ?? ""), task.time || "", task.priority, task.status, "[  ]"])
+      );
+    });
+
+    if (report.timeline.length > 0) {
+      pdf.heading("Timeline");
+      pdf.table(
+        [
+          { label: "Time", width: 1 },
+          { label: "Task", width: 4 },
+          { label: "Station", width: 1.5 },
+          { label: "Duration", width: 1, align: "right" },
+        ],
+        report.timeline.map((entry) => [
+          entry.time || "",
+          entry.task,
+          entry.station ? labelOf(entry.station) : "",
+          typeof entry.duration === "number" ? `${entry.duration} min` : entry.duration || "",
+        ])
+      );
+    }
+
+    if (report.staffing.breakdown) {
+      pdf.heading("Staffing");
+      pdf.keyValues([
+        ...Object.entries(report.staffing.breakdown).map(([role, count]) => [labelOf(role), String(count)]),
+        ["Total", String(report.staffing.total)],
+      ]);
+    }
+
+    if (report.notes.length > 0) {
+      pdf.heading("Notes");
+      report.notes.forEach((note) => pdf.paragraph(`• ${note}`));
+    }
+
+    return pdf.toBuffer();
+  }
+}
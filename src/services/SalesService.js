@@ -0,0 +1,540 @@
+import DataService from "./DataService.js";
+import { FoodCostCalculator } from "../core/calculations/FoodCostCalculator.js";
+import { RecipeCostCalculator } from "../core/calculations/RecipeCostCalculator.js";
+import { SALES_FIELDS, SALES_CONFIG, DATE_FORMATS, DECIMAL_SEPARATORS } from "../config/sales.js";
+import { LOCATIONS, DEFAULT_LOCATION } from "../config/locations.js";
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Sales Service
+ * Imports POS sales exports (CSV with a configurable column mapping, or
+ * JSON) into one record per business day and location, and matches the
+ * menu items sold to saved recipes through a PLU mapping table. Menu
+ * engineering and food cost reports read sold quantities from here for
+ * any date range.
+ */
+export class SalesService {
+  constructor(dataService = DataService) {
+    this.dataService = dataService;
+    this.foodCostCalculator = new FoodCostCalculator();
+    this.recipeCostCalculator = new RecipeCostCalculator();
+  }
+
+  /**
+   * Code a menu item is stored and mapped under: its PLU, or its name when
+   * the POS export has no PLU
+   * @param {Object} item - { plu, name }
+   * @returns {string} - Menu item code
+   */
+  itemCode({ plu, name }) {
+    return String(plu || name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * Find the mapping of a menu item: by its PLU, else by its name
+   * @param {Object} item - { code, name }
+   * @param {Map} mappings - Code → mapping
+   * @returns {Object|null} - Mapping, or null when the item is not mapped
+   */
+  findMapping(item, mappings) {
+    return mappings.get(item.code) || mappings.get(this.itemCode({ name: item.name })) || null;
+  }
+
+  /**
+   * Read an amount from a POS export
+   * Currency symbols and spaces are ignored, and so is the separator that is
+   * not the decimal one: "1,234.50" with ".", "1.234,50" with ",".
+   * @param {number|string} value - Amount
+   * @param {string} decimal - One of DECIMAL_SEPARATORS
+   * @returns {number|null} - Amount, or null when blank or unreadable
+   */
+  parseAmount(value, decimal = SALES_CONFIG.decimal) {
+    if (typeof value === "number") {
+      return Number.isFinite(value) ? value : null;
+    }
+    const thousands = decimal === "," ? "." : ",";
+    const text = String(value ?? "")
+      .replace(/[^\d,.-]/g, "")
+      .split(thousands)
+      .join("")
+      .replace(decimal, ".");
+    const amount = Number(text);
+    return text === "" || !Number.isFinite(amount) ? null : amount;
+  }
+
+  /**
+   * Read a business date from a POS export
+   * A time after the date ("2026-10-01T23:10", "01/10/2026 23:10") is ignored.
+   * @param {string} value - Date
+   * @param {string} format - One of DATE_FORMATS
+   * @returns {string|null} - YYYY-MM-DD, or null when not a date
+   */
+  parseDate(value, format = SALES_CONFIG.dateFormat) {
+    const text = String(value ?? "").trim();
+    let parts;
+    if (format === "YYYY-MM-DD") {
+      const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+      parts = match && [match[1], match[2], match[3]];
+    } else {
+      const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+      parts = match && (format === "DD/MM/YYYY" ? [match[3], match[2], match[1]] : [match[3], match[1], match[2]]);
+    }
+    if (!parts) return null;
+
+    const date = `${parts[0]}-${parts[1].padStart(2, "0")}-${parts[2].padStart(2, "0")}`;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+  }
+
+  /**
+   * Read sales lines from a CSV export
+   * Column headers are matched without regard to case; dates and amounts are
+   * read in the layout given, and left as they are when unreadable.
+   * @param {string} content - CSV text
+   * @param {Object} options - { columns: field → column header, delimiter, dateFormat, decimal }
+   * @returns {Array} - Lines { row, date, plu, name, quantity, revenue, location, covers } as read
+   */
+  readCsv(
+    content,
+    { columns = {}, delimiter = SALES_CONFIG.delimiter, dateFormat = SALES_CONFIG.dateFormat, decimal = SALES_CONFIG.decimal } = {}
+  ) {
+    if (!DATE_FORMATS.includes(dateFormat)) {
+      throw new Error(`Unknown date format "${dateFormat}" (${DATE_FORMATS.join(", ")})`);
+    }
+    if (!DECIMAL_SEPARATORS.includes(decimal)) {
+      throw new Error(`Unknown decimal separator "${decimal}" (${DECIMAL_SEPARATORS.map((separator) => `"${separator}"`).join(", ")})`);
+    }
+    const unknown = Object.keys(columns).find((field) => !SALES_FIELDS[field]);
+    if (unknown) {
+      throw new Error(`Unknown sales field "${unknown}" (${Object.keys(SALES_FIELDS).join(", ")})`);
+    }
+
+    const rows = this.dataService.parseCSV(content, delimiter);
+    const headers = Object.keys(rows[0]);
+    const mapping = { ...SALES_CONFIG.columns, ...columns };
+    const header = {};
+    for (const field of Object.keys(SALES_FIELDS)) {
+      header[field] = headers.find((name) => name.toLowerCase() === String(mapping[field] || "").toLowerCase());
+      if (!header[field] && SALES_FIELDS[field].required) {
+        throw new Error(
+          `No "${mapping[field]}" column for the ${SALES_FIELDS[field].label.toLowerCase()} (columns: ${headers.join(", ")})`
+        );
+      }
+    }
+    if (!header.plu && !header.name) {
+      throw new Error(`No "${mapping.plu}" or "${mapping.name}" column to identify menu items (columns: ${headers.join(", ")})`);
+    }
+
+    return rows.map((row, index) => ({
+      row: index + 2,
+      ...Object.fromEntries(Object.keys(SALES_FIELDS).map((field) => [field, header[field] ? row[header[field]] : undefined])),
+      date: this.parseDate(row[header.date], dateFormat) || row[header.date],
+      quantity: this.parseAmount(row[header.quantity], decimal) ?? row[header.quantity],
+      revenue: this.parseAmount(row[header.revenue], decimal) ?? row[header.revenue],
+      covers: header.covers ? this.parseAmount(row[header.covers], decimal) ?? row[header.covers] : undefined,
+    }));
+  }
+
+  /**
+   * Read sales lines from a JSON export
+   * Either a list of lines { date, plu, name, quantity, revenue, location, covers },
+   * or one day { date, location, covers, items: [{ plu, name, quantity, revenue }] },
+   * or a list of such days. A day's covers go on its first line.
+   * @param {Array|Object} document - Parsed JSON
+   * @returns {Array} - Lines { row, date, plu, name, quantity, revenue, location, covers } as read
+   */
+  readJson(document) {
+    const days = Array.isArray(document) ? document : [document];
+    const lines = [];
+    for (const entry of days) {
+      if (!entry || typeof entry !== "object") {
+        throw new Error("Sales JSON must be a list of lines or days with items");
+      }
+      const items = Array.isArray(entry.items) ? entry.items : [entry];
+      items.forEach((item, index) => {
+        lines.push({
+          row: lines.length + 1,
+          ...item,
+          date: item.date ?? entry.date,
+          location: item.location ?? entry.location,
+          ...(index === 0 && entry.items && entry.covers !== undefined && { covers: entry.covers }),
+        });
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * Find a configured location by ID or label
+   * @param {string} value - Location ID or label (any case)
+   * @returns {string|null} - Location ID, or null if none matches
+   */
+  findLocation(value) {
+    const name = String(value).trim().toLowerCase();
+    return (
+      Object.keys(LOCATIONS).find((id) => id === name || LOCATIONS[id].label.toLowerCase() === name) || null
+    );
+  }
+
+  /**
+   * Import sales lines, replacing the stored sales of every day and location they cover
+   * Lines for the same menu item on the same day are added together, so a
+   * corrected export of a day can be imported again over the first one.
+   * Refunds may be given as negative quantities. Covers are optional: a
+   * day's covers are those of its lines, or null when none of them has any.
+   * @param {Array} lines - Lines from readCsv or readJson
+   * @param {Object} options - { location (for lines without one), source }
+   * @returns {Promise<Object>} - { days: [{ date, location, items, quantity, revenue, covers, replaced }], lines, quantity,
+   *   revenue, unmapped }
+   */
+  async importSales(lines, { location = DEFAULT_LOCATION, source = "" } = {}) {
+    if (!LOCATIONS[location]) {
+      throw new Error(`Unknown location "${location}" (${Object.keys(LOCATIONS).join(", ")})`);
+    }
+    if (lines.length === 0) {
+      throw new Error("No sales lines to import");
+    }
+
+    const errors = [];
+    const days = new Map();
+    for (const line of lines) {
+      const problems = [];
+      const date = this.parseDate(line.date, "YYYY-MM-DD");
+      const quantity = this.parseAmount(line.quantity);
+      const revenue = this.parseAmount(line.revenue);
+      const hasCovers = line.covers !== undefined && line.covers !== null && line.covers !== "";
+      const covers = hasCovers ? this.parseAmount(line.covers) : null;
+      const at = line.location ? this.findLocation(line.location) : location;
+      const code = this.itemCode(line);
+      if (!date) problems.push(`date "${line.date ?? ""}" is not a date`);
+      if (!code) problems.push("no PLU or item name");
+      if (quantity === null) problems.push(`quantity "${line.quantity ?? ""}" is not a number`);
+      if (revenue === null) problems.push(`revenue "${line.revenue ?? ""}" is not a number`);
+      if (hasCovers && (covers === null || covers < 0)) problems.push(`covers "${line.covers}" is not a number of at least 0`);
+      if (!at) problems.push(`unknown location "${line.location}"`);
+      if (problems.length > 0) {
+        errors.push(`line ${line.row}: ${problems.join(", ")}`);
+        continue;
+      }
+
+      const key = `${at}/${date}`;
+      const day = days.get(key) || { date, location: at, covers: null, items: new Map() };
+      if (hasCovers) {
+        day.covers = round((day.covers || 0) + covers);
+      }
+      const item = day.items.get(code) || {
+        code,
+        plu: line.plu ? String(line.plu).trim() : null,
+        name: String(line.name || line.plu).trim(),
+        quantity: 0,
+        revenue: 0,
+      };
+      item.quantity = round(item.quantity + quantity);
+      item.revenue = round(item.revenue + revenue);
+      day.items.set(code, item);
+      days.set(key, day);
+    }
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 5).join("; ");
+      throw new Error(
+        `${errors.length} of ${lines.length} sales lines could not be read: ${shown}${errors.length > 5 ? "; ..." : ""}`
+      );
+    }
+
+    const mappings = new Map((await this.dataService.loadMenuItems()).map((menuItem) => [menuItem.code, menuItem]));
+    const unmapped = new Map();
+    const imported = [];
+    const now = new Date().toISOString();
+    for (const day of [...days.values()].sort((a, b) => a.date.localeCompare(b.date))) {
+      const items = [...day.items.values()];
+      const replaced = Boolean(await this.dataService.getSalesDay(day.location, day.date));
+      const saved = {
+        date: day.date,
+        location: day.location,
+        items,
+        quantity: round(items.reduce((sum, item) => sum + item.quantity, 0)),
+        revenue: round(items.reduce((sum, item) => sum + item.revenue, 0)),
+        covers: day.covers,
+        source,
+        importedAt: now,
+      };
+      await this.dataService.saveSalesDay(saved);
+      imported.push({
+        date: saved.date,
+        location: saved.location,
+        items: items.length,
+        quantity: saved.quantity,
+        revenue: saved.revenue,
+        covers: saved.covers,
+        replaced,
+      });
+
+      for (const item of items.filter((item) => !this.findMapping(item, mappings))) {
+        const total = unmapped.get(item.code) || { code: item.code, plu: item.plu, name: item.name, quantity: 0, revenue: 0 };
+        total.quantity = round(total.quantity + item.quantity);
+        total.revenue = round(total.revenue + item.revenue);
+        unmapped.set(item.code, total);
+      }
+    }
+
+    return {
+      days: imported,
+      lines: lines.length,
+      quantity: round(imported.reduce((sum, day) => sum + day.quantity, 0)),
+      revenue: round(imported.reduce((sum, day) => sum + day.revenue, 0)),
+      unmapped: [...unmapped.values()].sort((a, b) => b.revenue - a.revenue),
+    };
+  }
+
+  /**
+   * Map a POS menu item to a saved recipe, replacing any earlier mapping
+   * Items sold with a PLU are matched on it, and on their name only when
+   * no mapping has their PLU.
+   * @param {Object} menuItem - { plu or name, recipeId }
+   * @returns {Promise<Object>} - Saved mapping { code, plu, name, recipeId, recipeName }
+   */
+  async mapItem({ plu, name, recipeId }) {
+    const code = this.itemCode({ plu, name });
+    if (!code) {
+      throw new Error("Give the PLU or the name the POS uses for the menu item");
+    }
+    let recipe;
+    try {
+      recipe = await this.dataService.loadRecipe(recipeId);
+    } catch (error) {
+      throw new Error(`Recipe "${recipeId}" not found`);
+    }
+
+    const current = (await this.dataService.loadMenuItems()).find((menuItem) => menuItem.code === code);
+    const now = new Date().toISOString();
+    const menuItem = {
+      code,
+      plu: plu ? String(plu).trim() : null,
+      name: name ? String(name).trim() : current?.name || null,
+      recipeId: recipe.id || this.dataService.recipeKey(recipeId),
+      recipeName: recipe.name,
+      createdAt: current?.createdAt || now,
+      updatedAt: now,
+    };
+    await this.dataService.saveMenuItem(menuItem);
+    return menuItem;
+  }
+
+  /**
+   * Remove a POS menu item mapping
+   * @param {Object} menuItem - { plu or name }
+   * @returns {Promise<Object>} - The removed mapping
+   */
+  async unmapItem({ plu, name }) {
+    const code = this.itemCode({ plu, name });
+    const current = (await this.dataService.loadMenuItems()).find((menuItem) => menuItem.code === code);
+    if (!current) {
+      throw new Error(`No mapping for menu item "${plu || name}"`);
+    }
+    await this.dataService.deleteMenuItem(code);
+    return current;
+  }
+
+  /**
+   * Load POS menu item mappings
+   * @returns {Promise<Array>} - Mappings { code, plu, name, recipeId, recipeName }
+   */
+  async getMenuItems() {
+    return await this.dataService.loadMenuItems();
+  }
+
+  /**
+   * Load stored sales days
+   * @param {Object} period - { from, to, location }; all locations without a location
+   * @returns {Promise<Array>} - Sales days, oldest first
+   */
+  async getSales({ from, to, location } = {}) {
+    return await this.dataService.loadSales({ from, to, location });
+  }
+
+  /**
+   * Add up sales per menu item over a period
+   * @param {Array} days - Sales days
+   * @param {Array} menuItems - PLU mappings
+   * @returns {Array} - Items { code, plu, name, recipeId, recipeName, quantity, revenue, averagePrice }, best selling first
+   */
+  summarizeItems(days, menuItems) {
+    const mappings = new Map(menuItems.map((menuItem) => [menuItem.code, menuItem]));
+    const totals = new Map();
+    for (const day of days) {
+      for (const item of day.items) {
+        const mapping = this.findMapping(item, mappings);
+        const total = totals.get(item.code) || {
+          code: item.code,
+          plu: item.plu,
+          name: item.name,
+          recipeId: mapping?.recipeId || null,
+          recipeName: mapping?.recipeName || null,
+          quantity: 0,
+          revenue: 0,
+        };
+        total.quantity = round(total.quantity + item.quantity);
+        total.revenue = round(total.revenue + item.revenue);
+        totals.set(item.code, total);
+      }
+    }
+    return [...totals.values()]
+      .map((total) => ({ ...total, averagePrice: total.quantity > 0 ? round(total.revenue / total.quantity) : null }))
+      .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue);
+  }
+
+  /**
+   * Sales per menu item over a period
+   * @param {Object} period - { from, to, location }
+   * @returns {Promise<Array>} - summarizeItems result
+   */
+  async getItemSales(period = {}) {
+    const [days, menuItems] = await Promise.all([this.getSales(period), this.dataService.loadMenuItems()]);
+    return this.summarizeItems(days, menuItems);
+  }
+
+  /**
+   * Portions sold, revenue and portion cost per recipe over a period
+   * Menu items mapped to the same recipe are added together; the price is
+   * the average taken per portion. Recipes are costed at today's prices,
+   * or at the prices in force on asOf.
+   * @param {Object} period - { from, to, location, asOf }
+   * @returns {Promise<Object>} - { from, to, location, recipes: [{ recipeId, name, category, soldQty, revenue, price,
+   *   cost }], unmapped: summarizeItems items, warnings }
+   */
+  async getRecipeSales({ from, to, location, asOf } = {}) {
+    const items = await this.getItemSales({ from, to, location });
+    const warnings = [];
+    const byRecipe = new Map();
+    for (const item of items.filter((item) => item.recipeId)) {
+      const total = byRecipe.get(item.recipeId) || { recipeId: item.recipeId, soldQty: 0, revenue: 0 };
+      total.soldQty = round(total.soldQty + item.quantity);
+      total.revenue = round(total.revenue + item.revenue);
+      byRecipe.set(item.recipeId, total);
+    }
+
+    const recipes = [];
+    for (const total of byRecipe.values()) {
+      let recipe;
+      let cost;
+      try {
+        recipe = await this.dataService.loadRecipe(total.recipeId);
+        const context = await this.dataService.loadCostingContext(recipe, asOf || null);
+        cost = this.recipeCostCalculator.calculateRecipeCost(recipe, context);
+      } catch (error) {
+        warnings.push(`Recipe "${total.recipeId}" could not be costed: ${error.message}`);
+        continue;
+      }
+      recipes.push({
+        ...total,
+        name: recipe.name,
+        category: recipe.category || "Other",
+        price: total.soldQty > 0 ? round(total.revenue / total.soldQty) : 0,
+        cost: round(cost.costPerPortion),
+      });
+    }
+
+    const unmapped = items.filter((item) => !item.recipeId);
+    if (unmapped.length > 0) {
+      warnings.push(
+        `${unmapped.length} menu item${unmapped.length > 1 ? "s" : ""} not mapped to a recipe: ${unmapped
+          .slice(0, 5)
+          .map((item) => item.plu || item.name)
+          .join(", ")}${unmapped.length > 5 ? ", ..." : ""}`
+      );
+    }
+    return {
+      from: from || null,
+      to: to || null,
+      location: location || null,
+      recipes: recipes.sort((a, b) => b.soldQty - a.soldQty),
+      unmapped,
+      warnings,
+    };
+  }
+
+  /**
+   * Revenue, food cost and gross profit over a period from imported sales
+   * Revenue is every sale imported for the period; food cost is the
+   * portions sold of each mapped recipe at its recipe cost. Sales of items
+   * with no costed recipe are counted as revenue without a cost, so the
+   * food cost percentage is taken on costed revenue only.
+   * @param {Object} period - { from, to, location, asOf }
+   * @returns {Promise<Object>} - { from, to, location, days, revenue, costedRevenue, uncostedRevenue, foodCost,
+   *   grossProfit, grossMargin, foodCostPercent, categories: [{ category, soldQty, revenue, foodCost, grossProfit,
+   *   foodCostPercent }], warnings }
+   */
+  async getProfitability(period = {}) {
+    const [days, sales] = await Promise.all([this.getSales(period), this.getRecipeSales(period)]);
+    const percentOf = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+    const categories = new Map();
+    for (const recipe of sales.recipes) {
+      const total = categories.get(recipe.category) || { category: recipe.category, soldQty: 0, revenue: 0, foodCost: 0 };
+      total.soldQty = round(total.soldQty + recipe.soldQty);
+      total.revenue = round(total.revenue + recipe.revenue);
+      total.foodCost = round(total.foodCost + recipe.soldQty * recipe.cost);
+      categories.set(recipe.category, total);
+    }
+
+    const revenue = round(days.reduce((sum, day) => sum + day.revenue, 0));
+    const costedRevenue = round(sales.recipes.reduce((sum, recipe) => sum + recipe.revenue, 0));
+    const foodCost = round([...categories.values()].reduce((sum, total) => sum + total.foodCost, 0));
+    const uncostedRevenue = round(revenue - costedRevenue);
+    const warnings = [...sales.warnings];
+    if (uncostedRevenue > 0) {
+      warnings.push(`${uncostedRevenue.toFixed(2)} of revenue has no recipe cost and is left out of the food cost percentage`);
+    }
+
+    return {
+      from: sales.from,
+      to: sales.to,
+      location: sales.location,
+      days: days.length,
+      revenue,
+      costedRevenue,
+      uncostedRevenue,
+      foodCost,
+      grossProfit: round(revenue - foodCost),
+      grossMargin: percentOf(revenue - foodCost, revenue),
+      foodCostPercent: percentOf(foodCost, costedRevenue),
+      categories: [...categories.values()]
+        .map((total) => ({
+          ...total,
+          grossProfit: round(total.revenue - total.foodCost),
+          foodCostPercent: percentOf(total.foodCost, total.revenue),
+        }))
+        .sort((a, b) => b.revenue - a.revenue),
+      warnings,
+    };
+  }
+
+  /**
+   * Menu engineering over a period from imported sales
+   * Recipes with no portions sold or no revenue are left out of the
+   * matrix, which needs a price for every item.
+   * @param {Object} period - { from, to, location, asOf }
+   * @returns {Promise<Object>} - { from, to, location, items (calculateMenuEngineering), soldQty, revenue, unmapped, warnings }
+   */
+  async getMenuEngineering(period = {}) {
+    const { recipes, ...sales } = await this.getRecipeSales(period);
+    const priced = recipes.filter((recipe) => recipe.soldQty > 0 && recipe.price > 0);
+    const left = recipes.filter((recipe) => !priced.includes(recipe));
+    if (left.length > 0) {
+      sales.warnings.push(`Left out with no sales or no revenue: ${left.map((recipe) => recipe.name).join(", ")}`);
+    }
+    return {
+      ...sales,
+      items: this.foodCostCalculator.calculateMenuEngineering(priced),
+      soldQty: round(priced.reduce((sum, recipe) => sum + recipe.soldQty, 0)),
+      revenue: round(priced.reduce((sum, recipe) => sum + recipe.revenue, 0)),
+    };
+  }
+}
+
+export default SalesService;
@@ -0,0 +1,345 @@
+import DataService from "./DataService.js";
+import { InventoryService } from "./InventoryService.js";
+import { RecipeValidator } from "../core/validators/RecipeValidator.js";
+import { DELIVERY_DAYS, PURCHASING_CONFIG, SUPPLIER_CHOICES } from "../config/purchasing.js";
+
+// Supplier shown for items without one
+export const UNASSIGNED_SUPPLIER = "Unassigned";
+
+// Orders still waiting on a supplier
+const OPEN_ORDER_STATUSES = ["draft", "sent", "partially-received"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Supplier Service
+ * Suppliers carry products with their own codes, pack sizes and prices,
+ * deliver on set weekdays after a lead time and may ask for a minimum
+ * order value. The order generator uses them to pick a supplier per item.
+ */
+export class SupplierService {
+  constructor(dataService = DataService, inventoryService = new InventoryService(dataService)) {
+    this.dataService = dataService;
+    this.inventoryService = inventoryService;
+    this.validator = new RecipeValidator();
+  }
+
+  /**
+   * Load a supplier
+   * @param {string} id - Supplier ID
+   * @returns {Promise<Object>} - Supplier
+   */
+  async get(id) {
+    const supplier = await this.dataService.getSupplier(id);
+    if (!supplier) {
+      throw new Error(`Supplier "${id}" not found`);
+    }
+    return supplier;
+  }
+
+  /**
+   * Find a supplier by ID or name
+   * @param {string} idOrName - Supplier ID or name (any case)
+   * @param {Array} suppliers - Suppliers
+   * @returns {Object|null} - Supplier, or null if none matches
+   */
+  find(idOrName, suppliers) {
+    const name = idOrName.trim().toLowerCase();
+    return suppliers.find((supplier) => supplier.id === idOrName || supplier.name.toLowerCase() === name) || null;
+  }
+
+  /**
+   * Validate and save a supplier, adding it or replacing the stored one
+   * @param {Object} fields - Supplier fields (see RecipeValidator.supplierSchema)
+   * @returns {Promise<Object>} - Saved supplier
+   */
+  async save(fields) {
+    const validation = this.validator.validateSupplier(fields);
+    if (!validation.isValid) {
+      throw new Error(
+        `Invalid supplier: ${validation.errors.map((error) => `${error.field}: ${error.message}`).join("; ")}`
+      );
+    }
+    const supplier = validation.value;
+    supplier.id = supplier.id || this.dataService.toSlug(supplier.name);
+
+    const catalogue = await this.dataService.loadCatalogue();
+    const unknown = supplier.products.find((product) => !catalogue[product.ingredientId]);
+    if (unknown) {
+      throw new Error(`Ingredient "${unknown.ingredientId}" not found`);
+    }
+
+    const current = await this.dataService.getSupplier(supplier.id);
+    const now = new Date().toISOString();
+    supplier.createdAt = current?.createdAt || now;
+    supplier.updatedAt = now;
+    await this.dataService.saveSupplier(supplier);
+    return supplier;
+  }
+
+  /**
+   * Delete a supplier that has no open purchase orders
+   * @param {string} id - Supplier ID
+   * @returns {Promise<Object>} - Deleted supplier
+   */
+  async remove(id) {
+    const supplier = await this.get(id);
+    const open = (await this.dataService.loadPurchaseOrders()).filter(
+      (order) => order.supplierId === id && OPEN_ORDER_STATUSES.includes(order.status)
+    );
+    if (open.length > 0) {
+      throw new Error(`${supplier.name} still has ${open.length} open purchase order(s)`);
+    }
+    await this.dataService.deleteSupplier(id);
+    return supplier;
+  }
+
+  /**
+   * Price of one stock unit of a supplier's product
+   * @param {Object} product - Supplier product { packSize, packPrice }
+   * @returns {number} - Price per item unit
+   */
+  unitPrice(product) {
+    return round(product.packPrice / (product.packSize || 1));
+  }
+
+  /**
+   * Suppliers carrying an item, cheapest first
+   * @param {string} ingredientId - Ingredient ID
+   * @param {Array} suppliers - Suppliers
+   * @returns {Array} - [{ supplier, product, unitPrice }]
+   */
+  findOffers(ingredientId, suppliers) {
+    return suppliers
+      .flatMap((supplier) =>
+        supplier.products
+          .filter((product) => product.ingredientId === ingredientId)
+          .map((product) => ({ supplier, product, unitPrice: this.unitPrice(product) }))
+      )
+      .sort((a, b) => a.unitPrice - b.unitPrice);
+  }
+
+  /**
+   * Rank the suppliers to order an item from
+   * "preferred" puts products marked preferred first, "cheapest" goes by
+   * price alone. Items no supplier carries fall back to the supplier
+   * named on the catalogue item, when one by that name exists.
+   * @param {Object} item - Catalogue item
+   * @param {Array} suppliers - Suppliers
+   * @param {string} choice - preferred | cheapest
+   * @returns {Array} - Offers in order of choice [{ supplier, product, unitPrice }]
+   */
+  rankOffers(item, suppliers, choice = PURCHASING_CONFIG.supplierChoice) {
+    const offers = this.findOffers(item.id, suppliers);
+    if (offers.length === 0) {
+      const named = item.supplier && suppliers.find((supplier) => supplier.name.toLowerCase() === item.supplier.toLowerCase());
+      return named ? [{ supplier: named, product: null, unitPrice: this.inventoryService.stockUnitCost(item) }] : [];
+    }
+    if (choice === "preferred") {
+      return [...offers.filter((offer) => offer.product.preferred), ...offers.filter((offer) => !offer.product.preferred)];
+    }
+    return offers;
+  }
+
+  /**
+   * First day a supplier can deliver an order placed on a date
+   * @param {Object} supplier - Supplier { leadTimeDays, deliveryDays }
+   * @param {Date} orderDate - Order date
+   * @returns {string} - Delivery date (YYYY-MM-DD)
+   */
+  nextDeliveryDate(supplier, orderDate = new Date()) {
+    const earliest = new Date(orderDate.getTime() + (supplier.leadTimeDays ?? 1) * DAY_MS);
+    const days = supplier.deliveryDays || [];
+    for (let offset = 0; offset < 7; offset++) {
+      const date = new Date(earliest.getTime() + offset * DAY_MS);
+      // DELIVERY_DAYS starts on Monday, getUTCDay() on Sunday
+      if (days.length === 0 || days.includes(DELIVERY_DAYS[(date.getUTCDay() + 6) % 7])) {
+        return date.toISOString().split("T")[0];
+      }
+    }
+    return earliest.toISOString().split("T")[0];
+  }
+
+  /**
+   * Order line for an item from an offer, rounded up to whole packs
+   * @param {Object} item - Low stock item (findLowStock)
+   * @param {Object} offer - { product, unitPrice }
+   * @returns {Object} - { ingredientId, name, unit, onHand, needed, supplierCode, packSize, packs, quantity, unitPrice, value }
+   */
+  orderLine(item, offer) {
+    const packSize = offer.product?.packSize || 1;
+    const packs = offer.product ? Math.ceil(round(item.orderQuantity / packSize)) : null;
+    const quantity = offer.product ? round(packs * packSize) : item.orderQuantity;
+    return {
+      ingredientId: item.id,
+      name: item.name,
+      unit: item.unit,
+      onHand: item.quantity,
+      needed: item.orderQuantity,
+      supplierCode: offer.product?.supplierCode || item.supplierCode || "",
+      packSize,
+      packs,
+      quantity,
+      unitPrice: offer.unitPrice,
+      value: round(quantity * offer.unitPrice),
+    };
+  }
+
+  /**
+   * Plan orders for items below par, one per supplier
+   * Each item goes to its first-ranked supplier. Items on an order below
+   * its supplier's minimum are moved to the next supplier carrying them
+   * when that supplier's order meets its own minimum; orders still below
+   * their minimum are flagged.
+   * @param {Array} items - Low stock items (findLowStock) with an orderQuantity
+   * @param {Array} suppliers - Suppliers
+   * @param {Object} options - { choice, orderDate }
+   * @returns {Object} - { orders: [{ supplierId, supplier, expectedDate, minimumOrderValue, value, belowMinimum, lines }], moves }
+   */
+  planOrders(items, suppliers, { choice = PURCHASING_CONFIG.supplierChoice, orderDate = new Date() } = {}) {
+    if (!SUPPLIER_CHOICES[choice]) {
+      throw new Error(`Unknown supplier choice "${choice}"`);
+    }
+    const plans = new Map();
+    const planFor = (supplier, name) => {
+      const key = supplier ? supplier.id : `name:${name}`;
+      if (!plans.has(key)) {
+        plans.set(key, {
+          supplierId: supplier?.id || null,
+          supplier: supplier?.name || name,
+          expectedDate: supplier ? this.nextDeliveryDate(supplier, orderDate) : null,
+          minimumOrderValue: supplier?.minimumOrderValue || 0,
+          lines: [],
+          offers: new Map(),
+        });
+      }
+      return plans.get(key);
+    };
+
+    for (const item of items) {
+      if (!(item.orderQuantity > 0)) continue;
+      const offers = this.rankOffers(item, suppliers, choice);
+      const plan = offers.length > 0 ? planFor(offers[0].supplier) : planFor(null, item.supplier || UNASSIGNED_SUPPLIER);
+      plan.lines.push(offers.length > 0 ? this.orderLine(item, offers[0]) : this.orderLine(item, { unitPrice: this.inventoryService.stockUnitCost(item) }));
+      plan.offers.set(item.id, { item, offers });
+    }
+
+    const value = (plan) => round(plan.lines.reduce((sum, line) => sum + line.value, 0));
+    const meetsMinimum = (plan) => value(plan) >= plan.minimumOrderValue;
+
+    // Move every line off an order below its minimum, or none of them
+    const moves = [];
+    for (const plan of [...plans.values()].sort((a, b) => value(a) - value(b))) {
+      if (!plan.supplierId || meetsMinimum(plan) || plan.lines.length === 0) continue;
+      const targets = plan.lines.map((line) => {
+        const { item, offers } = plan.offers.get(line.ingredientId);
+        const offer = offers.find(
+          (candidate) =>
+            candidate.supplier.id !== plan.supplierId &&
+            plans.has(candidate.supplier.id) &&
+            plans.get(candidate.supplier.id).lines.length > 0 &&
+            meetsMinimum(plans.get(candidate.supplier.id))
+        );
+        return offer && { item, offer };
+      });
+      if (targets.some((target) => !target)) continue;
+
+      for (const { item, offer } of targets) {
+        const target = plans.get(offer.supplier.id);
+        target.lines.push(this.orderLine(item, offer));
+        target.offers.set(item.id, plan.offers.get(item.id));
+        moves.push({ ingredientId: item.id, name: item.name, from: plan.supplier, to: target.supplier, minimumOrderValue: plan.minimumOrderValue });
+      }
+      plan.lines = [];
+    }
+
+    const orders = [...plans.values()]
+      .filter((plan) => plan.lines.length > 0)
+      .map(({ offers, ...plan }) => {
+        const total = value(plan);
+        return { ...plan, value: total, belowMinimum: total < plan.minimumOrderValue };
+      });
+    return { orders, moves };
+  }
+
+  /**
+   * Plan orders for everything below par
+   * @param {Object} options - { supplier, critical, choice, orderDate, location }; critical plans only items
+   *   under a quarter of par, a location only its stock against its par levels
+   * @returns {Promise<Object>} - planOrders result, limited to the named supplier when given
+   */
+  async planReorder({ supplier, critical = false, choice, orderDate, location } = {}) {
+    const inventory = this.inventoryService.inventoryAt(await this.dataService.loadIngredients(), location);
+    const suppliers = await this.dataService.loadSuppliers();
+    const matches = (id, name) => !supplier || id === supplier || name.toLowerCase() === supplier.toLowerCase();
+
+    const items = this.inventoryService
+      .findLowStock(inventory)
+      .filter((item) => !critical || item.percentOfPar < 25);
+    const plan = this.planOrders(
+      items,
+      suppliers.filter((candidate) => matches(candidate.id, candidate.name)),
+      { choice, orderDate }
+    );
+    return {
+      orders: plan.orders.filter((order) => matches(order.supplierId, order.supplier)),
+      moves: plan.moves,
+    };
+  }
+
+  /**
+   * Describe a planned order's problems and any moves between suppliers
+   * @param {Object} plan - planOrders result
+   * @returns {Array} - Messages
+   */
+  describePlan(plan) {
+    return [
+      ...plan.moves.map(
+        (move) => `${move.name}: ordered from ${move.to} instead, ${move.from} has a minimum order of ${move.minimumOrderValue}`
+      ),
+      ...plan.orders
+        .filter((order) => order.belowMinimum)
+        .map(
+          (order) =>
+            `${order.supplier}: order value ${order.value} is below the minimum order of ${order.minimumOrderValue} (${round(order.minimumOrderValue - order.value)} short)`
+        ),
+    ];
+  }
+
+  /**
+   * Draft suppliers from the free-text supplier names on catalogue items
+   * Each item becomes a product of its supplier at its current price, in
+   * packs of one stock unit. Suppliers that already exist are left alone.
+   * @returns {Promise<Array>} - Saved suppliers
+   */
+  async importFromCatalogue() {
+    const inventory = await this.dataService.loadIngredients();
+    const existing = await this.dataService.loadSuppliers();
+    const byName = new Map();
+    for (const item of inventory) {
+      const name = item.supplier?.trim();
+      if (!name || existing.some((supplier) => supplier.name.toLowerCase() === name.toLowerCase())) continue;
+      const key = name.toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, { name, products: [] });
+      }
+      byName.get(key).products.push({
+        ingredientId: item.id,
+        supplierCode: item.supplierCode || "",
+        packSize: 1,
+        packPrice: this.inventoryService.stockUnitCost(item),
+        preferred: true,
+      });
+    }
+
+    const saved = [];
+    for (const supplier of byName.values()) {
+      saved.push(await this.save(supplier));
+    }
+    return saved;
+  }
+}
+
+export default SupplierService;
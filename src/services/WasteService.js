@@ -0,0 +1,271 @@
+import DataService from "./DataService.js";
+import { InventoryService } from "./InventoryService.js";
+import { INVENTORY_CONFIG, WASTE_REASONS, DEFAULT_WASTE_REASON, SHIFTS } from "../config/inventory.js";
+import { DEFAULT_LOCATION } from "../config/locations.js";
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Waste Service
+ * Logs operational waste (spoilage, over-production, dropped plates,
+ * returns) as waste movements in the stock ledger, each with a reason
+ * code, station and shift, and reports waste cost against food cost.
+ * Trim lost in preparation is not logged here: recipes account for it
+ * through each ingredient's yield.
+ */
+export class WasteService {
+  constructor(dataService = DataService, inventoryService = new InventoryService(dataService)) {
+    this.dataService = dataService;
+    this.inventoryService = inventoryService;
+  }
+
+  /**
+   * Check a waste entry's reason code and shift
+   * @param {Object} entry - { reason, shift }
+   */
+  checkEntry({ reason, shift }) {
+    if (!WASTE_REASONS[reason]) {
+      throw new Error(`Unknown waste reason "${reason}" (${Object.keys(WASTE_REASONS).join(", ")})`);
+    }
+    if (shift && !SHIFTS[shift]) {
+      throw new Error(`Unknown shift "${shift}" (${Object.keys(SHIFTS).join(", ")})`);
+    }
+  }
+
+  /**
+   * Log waste of a stock item or of portions of a recipe
+   * Stock is taken out of the ledger at the location. Portions of a recipe
+   * were normally made from stock already deducted by production or sales,
+   * so by default they are only valued by recipe costing at current
+   * inventory cost and saved as a waste entry; with deductStock their
+   * ingredients are also taken out, like a production batch.
+   * @param {Object} entry - { ingredientId or recipeId, quantity (stock units, or portions of a recipe), reason,
+   *   station, shift, location, date, user, note, lot (items only), deductStock (recipes only), method }
+   * @returns {Promise<Object>} - { entry (toEntries), movements (posted to the ledger), warnings }
+   */
+  async logWaste({
+    ingredientId,
+    recipeId,
+    quantity,
+    reason,
+    station = "",
+    shift,
+    location = DEFAULT_LOCATION,
+    date,
+    user,
+    note = "",
+    lot,
+    deductStock = false,
+    method = INVENTORY_CONFIG.costingMethod,
+  }) {
+    if (Boolean(ingredientId) === Boolean(recipeId)) {
+      throw new Error("Log waste of either a stock item or a recipe");
+    }
+    if (!(quantity > 0)) {
+      throw new Error("Waste quantity must be greater than zero");
+    }
+    if (recipeId && lot) {
+      throw new Error("A lot can only be chosen for waste of a stock item");
+    }
+    this.checkEntry({ reason, shift });
+    this.inventoryService.checkLocation(location);
+
+    const fields = {
+      type: "waste",
+      location,
+      date,
+      user,
+      reference: `waste-${new Date().toISOString().replace(/[:.]/g, "-")}`,
+      wasteReason: reason,
+      station: station.trim(),
+      ...(shift && { shift }),
+    };
+
+    if (ingredientId) {
+      const item = await this.dataService.getIngredient(ingredientId);
+      if (!item) {
+        throw new Error(`Ingredient "${ingredientId}" not found`);
+      }
+      const posted = await this.inventoryService.recordMovement({
+        ...fields,
+        ingredientId,
+        quantity,
+        reason: note,
+        method,
+        ...(lot && { lot }),
+      });
+      return {
+        entry: this.toEntries([posted.movement])[0],
+        movements: [posted.movement],
+        warnings: this.inventoryService.depletionWarnings([posted.item], location),
+      };
+    }
+
+    const { movements, unmatched } = await this.inventoryService.recipeMovements({
+      ...fields,
+      recipeId,
+      portions: quantity,
+      note,
+      method,
+    });
+    if (movements.length === 0) {
+      throw new Error("None of the recipe's ingredients are in the catalogue, so its waste cannot be costed");
+    }
+    if (!deductStock) {
+      const entry = { ...this.toEntries(movements)[0], stockDeducted: false };
+      await this.dataService.saveWasteEntry(entry);
+      return {
+        entry,
+        movements: [],
+        warnings: unmatched.map((name) => `"${name}" is not in the ingredient catalogue; its cost is left out`),
+      };
+    }
+
+    const items = await this.dataService.appendMovements(movements);
+    return {
+      entry: this.toEntries(movements)[0],
+      movements,
+      warnings: this.inventoryService.depletionWarnings(items, location, unmatched),
+    };
+  }
+
+  /**
+   * Group waste movements into log entries, one per item or recipe logged
+   * Waste recorded as a plain movement has the default reason code.
+   * @param {Array} movements - Waste movements, oldest first
+   * @returns {Array} - Entries { reference, date, location, reason, station, shift, user, note, ingredientId, recipeId,
+   *   name, quantity, unit, cost, stockDeducted, lines: [{ ingredientId, name, quantity, unit, unitCost, cost }] }
+   */
+  toEntries(movements) {
+    const entries = new Map();
+    for (const movement of movements) {
+      if (movement.type !== "waste") continue;
+      const key = movement.reference || movement.id;
+      const line = {
+        ingredientId: movement.ingredientId,
+        name: movement.name,
+        quantity: -movement.quantity,
+        unit: movement.unit,
+        unitCost: movement.unitCost,
+        cost: round(-movement.quantity * movement.unitCost),
+      };
+      const entry = entries.get(key);
+      if (entry) {
+        entry.lines.push(line);
+        entry.cost = round(entry.cost + line.cost);
+        continue;
+      }
+      entries.set(key, {
+        reference: key,
+        date: movement.date,
+        location: this.inventoryService.locationOf(movement),
+        reason: movement.wasteReason || DEFAULT_WASTE_REASON,
+        station: movement.station || "",
+        shift: movement.shift || "",
+        user: movement.user || "",
+        note: movement.reason || "",
+        ingredientId: movement.recipeId ? null : movement.ingredientId,
+        recipeId: movement.recipeId || null,
+        name: movement.recipeName || movement.name,
+        quantity: movement.recipeId ? movement.portions : line.quantity,
+        unit: movement.recipeId ? "portions" : movement.unit,
+        cost: line.cost,
+        stockDeducted: true,
+        lines: [line],
+      });
+    }
+    return [...entries.values()];
+  }
+
+  /**
+   * Load the waste log: waste in the stock ledger and recipe waste that
+   * took nothing out of stock
+   * @param {Object} filter - { from, to, location, reason, station, shift } (dates as YYYY-MM-DD)
+   * @returns {Promise<Array>} - Entries (toEntries), oldest first
+   */
+  async getWasteLog({ from, to, location, reason, station, shift } = {}) {
+    const [movements, saved] = await Promise.all([
+      this.dataService.loadMovements({ type: "waste", from, to }),
+      this.dataService.loadWasteEntries({ from, to, location }),
+    ]);
+    const entries = [...this.toEntries(movements), ...saved].sort((a, b) => a.date.localeCompare(b.date));
+    return entries.filter(
+      (entry) =>
+        (!location || entry.location === location) &&
+        (!reason || entry.reason === reason) &&
+        (!station || entry.station.toLowerCase() === station.toLowerCase()) &&
+        (!shift || entry.shift === shift)
+    );
+  }
+
+  /**
+   * Summarise waste cost against food cost
+   * Waste is ranked by cost per item or recipe, reason, station and shift;
+   * each group's share is a percentage of total waste cost, its
+   * foodCostPercent a percentage of the cost of goods consumed.
+   * @param {Array} entries - Waste log entries in the period
+   * @param {Object} costOfGoods - InventoryService cost of goods for the same period
+   * @returns {Object} - { from, to, location, method, entries, wasteCost, foodCost, wastePercent, byItem, byReason, byStation, byShift }
+   */
+  summarizeWaste(entries, costOfGoods) {
+    const wasteCost = round(entries.reduce((sum, entry) => sum + entry.cost, 0));
+    const rank = (keyOf, describe, { quantity = false } = {}) => {
+      const groups = new Map();
+      for (const entry of entries) {
+        const key = keyOf(entry);
+        const group = groups.get(key) || { ...describe(entry), ...(quantity && { quantity: 0 }), count: 0, cost: 0 };
+        if (quantity) group.quantity = round(group.quantity + entry.quantity);
+        group.count += 1;
+        group.cost = round(group.cost + entry.cost);
+        groups.set(key, group);
+      }
+      return [...groups.values()]
+        .map((group) => ({
+          ...group,
+          share: wasteCost > 0 ? round((group.cost / wasteCost) * 100) : 0,
+          foodCostPercent: costOfGoods.cogs > 0 ? round((group.cost / costOfGoods.cogs) * 100) : null,
+        }))
+        .sort((a, b) => b.cost - a.cost);
+    };
+
+    return {
+      from: costOfGoods.from,
+      to: costOfGoods.to,
+      location: costOfGoods.location || null,
+      method: costOfGoods.method,
+      entries: entries.length,
+      wasteCost,
+      foodCost: costOfGoods.cogs,
+      wastePercent: costOfGoods.cogs > 0 ? round((wasteCost / costOfGoods.cogs) * 100) : null,
+      byItem: rank(
+        (entry) => (entry.recipeId ? `recipe:${entry.recipeId}` : entry.ingredientId),
+        (entry) => ({ id: entry.recipeId || entry.ingredientId, name: entry.name, recipe: Boolean(entry.recipeId), unit: entry.unit }),
+        { quantity: true }
+      ),
+      byReason: rank(
+        (entry) => entry.reason,
+        (entry) => ({ reason: entry.reason, label: WASTE_REASONS[entry.reason]?.label || entry.reason })
+      ),
+      byStation: rank(
+        (entry) => entry.station.toLowerCase(),
+        (entry) => ({ station: entry.station || "Unassigned" })
+      ),
+      byShift: rank(
+        (entry) => entry.shift,
+        (entry) => ({ shift: entry.shift, label: SHIFTS[entry.shift]?.label || "Unassigned" })
+      ),
+    };
+  }
+
+  /**
+   * Load the waste log and cost of goods for a period and summarise them
+   * @param {Object} period - { from, to, location, method }; all locations together without a location
+   * @returns {Promise<Object>} - summarizeWaste result
+   */
+  async getWasteReport({ from, to, location, method = INVENTORY_CONFIG.costingMethod }) {
+    const costOfGoods = await this.inventoryService.getCostOfGoods({ from, to, method, location });
+    return this.summarizeWaste(await this.getWasteLog({ from, to, location }), costOfGoods);
+  }
+}
+
+export default WasteService;
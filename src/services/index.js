@@ -0,0 +1,21 @@
+/**
+ * Export all service modules
+ */
+
+export { DataService } from "./DataService.js";
+export { ReportService } from "./ReportService.js";
+export { InventoryService } from "./InventoryService.js";
+export { PurchaseOrderService } from "./PurchaseOrderService.js";
+export { SupplierService } from "./SupplierService.js";
+export { ParLevelService } from "./ParLevelService.js";
+export { WasteService } from "./WasteService.js";
+export { SalesService } from "./SalesService.js";
+export {
+  JsonStorage,
+  SqliteStorage,
+  createStorage,
+  migrateStorage,
+} from "./storage/index.js";
+export { FoodCostService } from "./FoodCostService.js";
+export { DashboardService } from "./DashboardService.js";
+export { ProductionService } from "./ProductionService.js";
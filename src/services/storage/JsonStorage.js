@@ -0,0 +1,184 @@
+import fs from "fs-extra";
+import path from "path";
+import { StorageBackend, indexFields, isValidKey, assertValidKey } from "./StorageBackend.js";
+import { withFileLock, writeJsonAtomic } from "./atomic.js";
+
+/**
+ * JSON directory storage: one file per record, one directory per collection
+ */
+export class JsonStorage extends StorageBackend {
+  /**
+   * @param {Object} paths - Map of collection name → directory
+   * @param {string} quarantinePath - Directory corrupted records are moved to
+   */
+  constructor(paths, quarantinePath) {
+    super();
+    this.paths = paths;
+    this.quarantinePath = quarantinePath;
+  }
+
+  async init() {
+    for (const dir of Object.values(this.paths)) {
+      await fs.ensureDir(dir);
+    }
+  }
+
+  /**
+   * Resolve the directory of a collection
+   * @param {string} collection - Collection name
+   * @returns {string} - Directory path
+   */
+  collectionPath(collection) {
+    const dir = this.paths[collection];
+    if (!dir) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    return dir;
+  }
+
+  /**
+   * Resolve a path below a collection directory
+   * Refuses keys that are not plain names or that resolve outside the
+   * collection, so a record key can never read, write or delete other files.
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key or "<group>/" prefix
+   * @param {string} extension - File extension to add
+   * @returns {string} - Path inside the collection directory
+   */
+  keyPath(collection, key, extension = "") {
+    assertValidKey(key);
+    const dir = path.resolve(this.collectionPath(collection));
+    const target = path.resolve(dir, `${key}${extension}`);
+    if (!target.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid record key "${key}": outside the ${collection} collection`);
+    }
+    return target;
+  }
+
+  /**
+   * Resolve the file of a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {string} - File path
+   */
+  recordPath(collection, key) {
+    return this.keyPath(collection, key, ".json");
+  }
+
+  async get(collection, key) {
+    const filepath = this.recordPath(collection, key);
+    if (!(await fs.pathExists(filepath))) {
+      return null;
+    }
+    return await this.readRecord(collection, key);
+  }
+
+  async put(collection, key, record) {
+    const filepath = this.recordPath(collection, key);
+    await writeJsonAtomic(filepath, record);
+    return filepath;
+  }
+
+  async withLock(collection, key, fn) {
+    return await withFileLock(`${this.recordPath(collection, key)}.lock`, fn);
+  }
+
+  /**
+   * Read a record file, quarantining it if it cannot be parsed
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {Promise<*>} - Record, or null if it was quarantined
+   */
+  async readRecord(collection, key) {
+    const filepath = this.recordPath(collection, key);
+    try {
+      return await fs.readJson(filepath);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const location = path.join(
+        this.quarantinePath,
+        collection,
+        `${key}.${timestamp}.json`
+      );
+      await fs.move(filepath, location, { overwrite: true });
+      this.reportQuarantine({ collection, key, location, error: error.message });
+      return null;
+    }
+  }
+
+  async remove(collection, key) {
+    if (key.endsWith("/")) {
+      await fs.remove(this.keyPath(collection, key));
+    } else {
+      await fs.remove(this.recordPath(collection, key));
+    }
+    return true;
+  }
+
+  async list(collection, options = {}) {
+    const { prefix = "", search, newestFirst = false, limit } = options;
+
+    // A "group/" prefix maps to a subdirectory
+    const group = prefix.includes("/")
+      ? prefix.slice(0, prefix.lastIndexOf("/") + 1)
+      : "";
+    let entries = [];
+
+    for (const key of await this.listKeys(collection, group)) {
+      if (!key.startsWith(prefix)) continue;
+
+      const record = await this.readRecord(collection, key);
+      if (record !== null) {
+        entries.push({ key, record });
+      }
+    }
+
+    if (search) {
+      const term = search.toLowerCase();
+      entries = entries.filter(({ record }) => {
+        const { name, category } = indexFields(record);
+        return (
+          (name || "").toLowerCase().includes(term) ||
+          (category || "").toLowerCase().includes(term)
+        );
+      });
+    }
+
+    if (newestFirst) {
+      const created = ({ record }) => indexFields(record).createdAt || "";
+      entries.sort((a, b) => created(b).localeCompare(created(a)));
+    }
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * List record keys below a group, descending into subdirectories
+   * @param {string} collection - Collection name
+   * @param {string} group - Key group ("" or "<group>/")
+   * @returns {Promise<Array>} - Record keys
+   */
+  async listKeys(collection, group) {
+    const dir = group ? this.keyPath(collection, group) : this.collectionPath(collection);
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+
+    const keys = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      // Files that no valid key maps to cannot be read back, so skip them
+      if (!isValidKey(entry.name.replace(/\.json$/, ""))) continue;
+
+      if (entry.isDirectory()) {
+        keys.push(...(await this.listKeys(collection, `${group}${entry.name}/`)));
+      } else if (entry.name.endsWith(".json")) {
+        keys.push(group + entry.name.slice(0, -".json".length));
+      }
+    }
+    return keys.sort();
+  }
+}
+
+export default JsonStorage;
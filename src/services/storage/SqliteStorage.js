@@ -0,0 +1,210 @@
+import fs from "fs-extra";
+import path from "path";
+import { StorageBackend, indexFields, assertValidKey } from "./StorageBackend.js";
+import { withFileLock } from "./atomic.js";
+
+/**
+ * Embedded SQLite storage: every collection lives in one indexed table
+ */
+export class SqliteStorage extends StorageBackend {
+  /**
+   * @param {string} filepath - Database file path
+   */
+  constructor(filepath) {
+    super();
+    this.filepath = filepath;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+
+    // Loaded on demand so the JSON backend works without the native module
+    let Database;
+    try {
+      ({ default: Database } = await import("better-sqlite3"));
+    } catch (error) {
+      throw new Error(
+        `The SQLite backend needs the optional better-sqlite3 package (npm install better-sqlite3): ${error.message}`
+      );
+    }
+
+    await fs.ensureDir(path.dirname(this.filepath));
+    this.db = new Database(this.filepath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        name TEXT,
+        category TEXT,
+        created_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_records_name ON records (collection, name);
+      CREATE INDEX IF NOT EXISTS idx_records_category ON records (collection, category);
+      CREATE INDEX IF NOT EXISTS idx_records_created ON records (collection, created_at);
+      CREATE TABLE IF NOT EXISTS quarantine (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT,
+        error TEXT,
+        quarantined_at TEXT NOT NULL
+      );
+    `);
+  }
+
+  async get(collection, key) {
+    const row = this.db
+      .prepare("SELECT data FROM records WHERE collection = ? AND key = ?")
+      .get(collection, key);
+    return row ? this.parseRecord(collection, key, row.data) : null;
+  }
+
+  async put(collection, key, record) {
+    this.writeRecord(collection, key, record);
+    return `${this.filepath}#${collection}/${key}`;
+  }
+
+  /**
+   * Upsert a record with its indexed columns
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @param {*} record - JSON-serializable record
+   */
+  writeRecord(collection, key, record) {
+    // Same keys as the JSON backend, so data can move between the two
+    assertValidKey(key);
+    const { name, category, createdAt } = indexFields(record);
+    this.db
+      .prepare(
+        `INSERT INTO records (collection, key, name, category, created_at, data)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (collection, key) DO UPDATE SET
+           name = excluded.name,
+           category = excluded.category,
+           created_at = excluded.created_at,
+           data = excluded.data`
+      )
+      .run(collection, key, name, category, createdAt, JSON.stringify(record));
+  }
+
+  async remove(collection, key) {
+    if (key.endsWith("/")) {
+      this.db
+        .prepare(
+          "DELETE FROM records WHERE collection = ? AND key >= ? AND key < ?"
+        )
+        .run(collection, key, `${key}\uffff`);
+    } else {
+      this.db
+        .prepare("DELETE FROM records WHERE collection = ? AND key = ?")
+        .run(collection, key);
+    }
+    return true;
+  }
+
+  async list(collection, options = {}) {
+    const { prefix = "", search, newestFirst = false, limit } = options;
+    const conditions = ["collection = ?"];
+    const params = [collection];
+
+    if (prefix) {
+      conditions.push("key >= ? AND key < ?");
+      params.push(prefix, `${prefix}\uffff`);
+    }
+
+    if (search) {
+      conditions.push("(name LIKE ? OR category LIKE ?)");
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    let sql = `SELECT key, data FROM records WHERE ${conditions.join(" AND ")}`;
+    sql += newestFirst ? " ORDER BY created_at DESC" : " ORDER BY key";
+    if (limit) {
+      sql += " LIMIT ?";
+      params.push(limit);
+    }
+
+    return this.db
+      .prepare(sql)
+      .all(...params)
+      .map((row) => ({
+        key: row.key,
+        record: this.parseRecord(collection, row.key, row.data),
+      }))
+      .filter(({ record }) => record !== null);
+  }
+
+  async withLock(collection, key, fn) {
+    // The key names a lock file, so it must stay inside the locks directory
+    assertValidKey(key);
+    const lockPath = path.join(
+      path.dirname(this.filepath),
+      ".locks",
+      collection,
+      `${key}.lock`
+    );
+    return await withFileLock(lockPath, fn);
+  }
+
+  /**
+   * Parse a stored record, quarantining it if the JSON is corrupted
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @param {string} data - Stored JSON
+   * @returns {*} - Record, or null if it was quarantined
+   */
+  parseRecord(collection, key, data) {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      this.db.transaction(() => {
+        this.db
+          .prepare(
+            "INSERT INTO quarantine (collection, key, data, error, quarantined_at) VALUES (?, ?, ?, ?, ?)"
+          )
+          .run(collection, key, data, error.message, new Date().toISOString());
+        this.db
+          .prepare("DELETE FROM records WHERE collection = ? AND key = ?")
+          .run(collection, key);
+      })();
+      this.reportQuarantine({
+        collection,
+        key,
+        location: `${this.filepath}#quarantine`,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  async count(collection) {
+    return this.db
+      .prepare("SELECT COUNT(*) AS total FROM records WHERE collection = ?")
+      .get(collection).total;
+  }
+
+  /**
+   * Write many records in a single transaction
+   * @param {Array} items - Array of { collection, key, record }
+   */
+  async putMany(items) {
+    const insert = this.db.transaction((rows) => {
+      for (const { collection, key, record } of rows) {
+        this.writeRecord(collection, key, record);
+      }
+    });
+    insert(items);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteStorage;
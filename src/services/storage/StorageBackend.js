@@ -0,0 +1,152 @@
+/**
+ * Storage backend interface
+ *
+ * Records are plain JSON values stored under a key inside a named
+ * collection (recipes, ingredients, costs, ...). Keys may contain "/" to
+ * group records, e.g. recipe versions are stored as "<recipeId>/<version>".
+ */
+export class StorageBackend {
+  constructor() {
+    this.quarantined = [];
+  }
+
+  /**
+   * Prepare the backend (create directories, open database, ...)
+   */
+  async init() {}
+
+  /**
+   * Read a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {Promise<*>} - Stored record, or null if missing
+   */
+  async get(collection, key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Create or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @param {*} record - JSON-serializable record
+   * @returns {Promise<string>} - Location the record was written to
+   */
+  async put(collection, key, record) {
+    throw new Error(`${this.constructor.name} does not implement put()`);
+  }
+
+  /**
+   * Delete a record, or every record under a key prefix ending in "/"
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key or "<group>/" prefix
+   * @returns {Promise<boolean>} - Success status
+   */
+  async remove(collection, key) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+
+  /**
+   * List records in a collection
+   * @param {string} collection - Collection name
+   * @param {Object} options - Query options
+   * @param {string} options.prefix - Only keys starting with this prefix
+   * @param {string} options.search - Case-insensitive match on name or category
+   * @param {boolean} options.newestFirst - Order by creation date, newest first
+   * @param {number} options.limit - Maximum number of records
+   * @returns {Promise<Array>} - Array of { key, record }
+   */
+  async list(collection, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * Count records in a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<number>} - Number of records
+   */
+  async count(collection) {
+    return (await this.list(collection)).length;
+  }
+
+  /**
+   * Run a read-modify-write cycle on a record under an advisory lock
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @param {Function} fn - Async function to run while holding the lock
+   * @returns {Promise<*>} - Result of fn
+   */
+  async withLock(collection, key, fn) {
+    return await fn();
+  }
+
+  /**
+   * Note a corrupted record that was moved aside instead of loaded
+   * @param {Object} entry - { collection, key, location, error }
+   */
+  reportQuarantine(entry) {
+    this.quarantined.push({ ...entry, quarantinedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Take the corrupted records found since the last call
+   * @returns {Array} - Quarantine entries
+   */
+  takeQuarantined() {
+    return this.quarantined.splice(0);
+  }
+
+  /**
+   * Release any resources held by the backend
+   */
+  async close() {}
+}
+
+// One "/"-separated part of a record key: letters, digits, "-" and "_"
+const KEY_SEGMENT = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * Check a record key, or a "<group>/" prefix
+ * Keys name files in the JSON backend and lock files in both backends, so
+ * anything that could leave the collection directory ("..", absolute
+ * paths, separators) is refused.
+ * @param {string} key - Record key
+ * @returns {boolean} - Whether the key is safe to store under
+ */
+export function isValidKey(key) {
+  if (typeof key !== "string") {
+    return false;
+  }
+  const segments = (key.endsWith("/") ? key.slice(0, -1) : key).split("/");
+  return segments.every((segment) => KEY_SEGMENT.test(segment));
+}
+
+/**
+ * Throw unless a record key is safe to store under
+ * @param {string} key - Record key
+ */
+export function assertValidKey(key) {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid record key "${key}": use letters, digits, "-" and "_"`);
+  }
+}
+
+/**
+ * Extract the fields backends index and sort on
+ * @param {*} record - Stored record
+ * @returns {Object} - { name, category, createdAt }
+ */
+export function indexFields(record) {
+  if (!record || Array.isArray(record) || typeof record !== "object") {
+    return { name: null, category: null, createdAt: null };
+  }
+
+  const created = new Date(record.createdAt || record.date || NaN);
+  return {
+    name: typeof record.name === "string" ? record.name : null,
+    category: typeof record.category === "string" ? record.category : null,
+    createdAt: isNaN(created.getTime()) ? null : created.toISOString(),
+  };
+}
+
+export default StorageBackend;
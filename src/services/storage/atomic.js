@@ -0,0 +1,97 @@
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+
+const DEFAULT_LOCK_OPTIONS = {
+  timeout: 5000, // ms to wait for a lock before giving up
+  retryDelay: 50, // ms between attempts
+  stale: 30000, // ms after which an abandoned lock is broken
+};
+
+/**
+ * Acquire an advisory lock file
+ * The lock is a file created with O_EXCL, so only one process (even across
+ * machines sharing a network drive) can hold it at a time.
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - { timeout, retryDelay, stale }
+ * @returns {Promise<Function>} - Release function
+ */
+export async function acquireLock(lockPath, options = {}) {
+  const { timeout, retryDelay, stale } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const owner = `${os.hostname()}:${process.pid}`;
+  const started = Date.now();
+
+  await fs.ensureDir(path.dirname(lockPath));
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, "wx");
+      await fs.write(handle, JSON.stringify({ owner, acquiredAt: new Date().toISOString() }));
+      await fs.close(handle);
+      return () => fs.remove(lockPath);
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    // Break locks left behind by a crashed process
+    try {
+      const { mtimeMs } = await fs.stat(lockPath);
+      if (Date.now() - mtimeMs > stale) {
+        await fs.remove(lockPath);
+        continue;
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") continue;
+      throw error;
+    }
+
+    if (Date.now() - started > timeout) {
+      const holder = await fs.readFile(lockPath, "utf8").catch(() => "");
+      throw new Error(
+        `Timed out waiting for lock ${path.basename(lockPath)}${holder ? ` held by ${holder}` : ""}`
+      );
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, retryDelay));
+  }
+}
+
+/**
+ * Run a function while holding an advisory lock file
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - Lock options
+ * @returns {Promise<*>} - Result of fn
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  const release = await acquireLock(lockPath, options);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Write a JSON file atomically: write a temp file, then rename over the target
+ * @param {string} filepath - Target file path
+ * @param {*} data - JSON-serializable data
+ */
+export async function writeJsonAtomic(filepath, data) {
+  const tempPath = `${filepath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.ensureDir(path.dirname(filepath));
+
+  try {
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await fs.writeFile(handle, JSON.stringify(data, null, 2) + "\n");
+      await fs.fsync(handle);
+    } finally {
+      await fs.close(handle);
+    }
+    await fs.rename(tempPath, filepath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
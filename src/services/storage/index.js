@@ -0,0 +1,67 @@
+/**
+ * Storage backends
+ */
+
+import path from "path";
+import { STORAGE_BACKENDS } from "../../config/database.js";
+import { JsonStorage } from "./JsonStorage.js";
+import { SqliteStorage } from "./SqliteStorage.js";
+
+export { StorageBackend, isValidKey } from "./StorageBackend.js";
+export { JsonStorage } from "./JsonStorage.js";
+export { SqliteStorage } from "./SqliteStorage.js";
+
+/**
+ * Create and initialize the configured storage backend
+ * @param {Object} config - { backend, sqliteFile }
+ * @param {string} basePath - Data directory
+ * @param {Object} paths - Map of collection name → directory (JSON backend)
+ * @returns {Promise<StorageBackend>} - Ready-to-use backend
+ */
+export async function createStorage(config, basePath, paths) {
+  let storage;
+
+  switch (config.backend) {
+    case STORAGE_BACKENDS.JSON:
+      storage = new JsonStorage(paths, path.join(basePath, "quarantine"));
+      break;
+    case STORAGE_BACKENDS.SQLITE:
+      storage = new SqliteStorage(path.resolve(basePath, config.sqliteFile));
+      break;
+    default:
+      throw new Error(`Unknown storage backend: ${config.backend}`);
+  }
+
+  await storage.init();
+  return storage;
+}
+
+/**
+ * Copy every record from one backend into another
+ * @param {StorageBackend} source - Backend to read from
+ * @param {StorageBackend} target - Backend to write to
+ * @param {Array} collections - Collection names to copy
+ * @returns {Promise<Object>} - Number of records copied per collection
+ */
+export async function migrateStorage(source, target, collections) {
+  const counts = {};
+  const items = [];
+
+  for (const collection of collections) {
+    const entries = await source.list(collection);
+    counts[collection] = entries.length;
+    entries.forEach(({ key, record }) =>
+      items.push({ collection, key, record })
+    );
+  }
+
+  if (typeof target.putMany === "function") {
+    await target.putMany(items);
+  } else {
+    for (const { collection, key, record } of items) {
+      await target.put(collection, key, record);
+    }
+  }
+
+  return counts;
+}
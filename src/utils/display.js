@@ -75,6 +75,19 @@ export function displayError(message) {
   console.log(chalk.red(`❌ ${message}`));
 }
 
+/**
+ * Display corrupted records that were quarantined while loading data
+ * @param {Array} notices - Quarantine entries from DataService
+ */
+export function displayQuarantineNotices(notices) {
+  notices.forEach((notice) => {
+    displayWarning(
+      `Corrupted ${notice.collection} record "${notice.key}" skipped (${notice.error})`
+    );
+    console.log(chalk.gray(`   Moved to ${notice.location}`));
+  });
+}
+
 /**
  * Display a loading spinner
  * @param {string} message - The loading message
@@ -2,27 +2,28 @@
  * Format Utilities for Food System WebApp
  */
 
+import { CURRENCIES } from "../config/constants.js";
+import { BUSINESS_CONFIG } from "../config/business.js";
+
 /**
  * Format currency with proper symbol and decimals
  * @param {number} amount - The amount to format
- * @param {string} currency - Currency code (default: EUR)
+ * @param {string} currency - Currency code (default: the business currency, FOOD_SYSTEM_CURRENCY)
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(amount, currency = "EUR") {
-  const currencySymbols = {
-    EUR: "€",
-    USD: "$",
-    GBP: "£",
-    JPY: "¥",
+export function formatCurrency(amount, currency = BUSINESS_CONFIG.currency) {
+  const { symbol, position, decimals } = CURRENCIES[currency] || {
+    symbol: currency,
+    position: "before",
+    decimals: 2,
   };
+  const formatted = Math.abs(amount).toFixed(decimals);
+  const sign = amount < 0 ? "-" : "";
 
-  const symbol = currencySymbols[currency] || currency;
-  const formatted = Math.abs(amount).toFixed(2);
-
-  if (amount < 0) {
-    return `-${symbol}${formatted}`;
+  if (position === "after") {
+    return `${sign}${formatted} ${symbol}`;
   }
-  return `${symbol}${formatted}`;
+  return `${sign}${symbol}${formatted}`;
 }
 
 /**
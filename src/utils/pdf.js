@@ -0,0 +1,716 @@
+/**
+ * PDF Utilities for printable reports
+ * Writes PDF 1.4 by hand with the standard Helvetica fonts, which every
+ * PDF reader carries, and JPEG or PNG images, so reports render fully
+ * offline with nothing to download or embed.
+ */
+
+import zlib from "zlib";
+
+// Helvetica and Helvetica-Bold advance widths for characters 32-126, in 1/1000 em
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+    556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+    260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+    556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+    280, 389, 584,
+  ],
+};
+
+// Characters WinAnsiEncoding places in 128-159; 160-255 match Latin-1
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89, "Š": 0x8a,
+  "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97,
+  "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+
+// Widths of the WinAnsi characters outside 32-126 that are not accented letters
+const EXTRA_WIDTHS = { "…": 1000, "—": 1000, "‰": 1000, "™": 1000, "•": 350, "‘": 222, "’": 222, "‚": 222, "°": 400 };
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Stand-ins for common characters WinAnsi lacks
+const SUBSTITUTES = {
+  "→": "->", "←": "<-", "↔": "<->", "≤": "<=", "≥": ">=", "≠": "!=", "≈": "~", "−": "-", "‐": "-", "‑": "-",
+  "‒": "-", "′": "'", "″": "\"", "✓": "x", "✔": "x", "✗": "-", "✘": "-",
+};
+
+// Characters that print nothing: joiners, variation selectors and combining marks
+const INVISIBLE = /^[\u200b-\u200d\u2060\ufe00-\ufe0f\p{M}]$/u;
+
+/**
+ * Encode text as WinAnsi bytes
+ * Characters WinAnsi lacks become a stand-in ("≤" → "<="), their
+ * unaccented letter, or "?" so nothing disappears from the page unnoticed.
+ * @param {string} text - Text
+ * @returns {number[]} - Byte codes
+ */
+function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) {
+      bytes.push(code);
+    } else if (WIN_ANSI[char]) {
+      bytes.push(WIN_ANSI[char]);
+    } else if (code >= 160 && code <= 255) {
+      bytes.push(code);
+    } else if (char === "\t" || char === "\u2009" || char === "\u202f") {
+      bytes.push(32);
+    } else if (SUBSTITUTES[char]) {
+      bytes.push(...encodeText(SUBSTITUTES[char]));
+    } else if (!INVISIBLE.test(char)) {
+      const base = char.normalize("NFD").codePointAt(0);
+      bytes.push(base >= 32 && base <= 126 ? base : 0x3f);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Width of one encoded character
+ * @param {number} byte - WinAnsi code
+ * @param {boolean} bold - Bold font
+ * @returns {number} - Width in 1/1000 em
+ */
+function charWidth(byte, bold) {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  if (byte >= 32 && byte <= 126) {
+    return widths[byte - 32];
+  }
+  const char = byte >= 160 ? String.fromCharCode(byte) : Object.keys(WIN_ANSI).find((key) => WIN_ANSI[key] === byte);
+  if (EXTRA_WIDTHS[char]) {
+    return EXTRA_WIDTHS[char];
+  }
+  const base = char ? char.normalize("NFD").charCodeAt(0) : 0;
+  return base >= 32 && base <= 126 ? widths[base - 32] : 556;
+}
+
+/**
+ * Write encoded text as a PDF string literal
+ * @param {number[]} bytes - WinAnsi codes
+ * @returns {string} - (escaped text)
+ */
+function pdfString(bytes) {
+  return `(${bytes
+    .map((byte) => {
+      if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return `\\${String.fromCharCode(byte)}`;
+      if (byte > 126) return `\\${byte.toString(8).padStart(3, "0")}`;
+      return String.fromCharCode(byte);
+    })
+    .join("")})`;
+}
+
+/**
+ * Write a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} - Number with at most 2 decimals
+ */
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Write a colour for a content stream
+ * @param {number[]} rgb - Red, green and blue, 0-1
+ * @returns {string} - Colour components
+ */
+const color = (rgb) => rgb.map(num).join(" ");
+
+/**
+ * Read the size and colour space of a JPEG
+ * @param {Buffer} data - JPEG file
+ * @returns {Object} - Image { width, height, colorSpace, filter, data }
+ */
+function readJpeg(data) {
+  let offset = 2;
+  while (offset < data.length) {
+    if (data[offset] !== 0xff) {
+      break;
+    }
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    // Start-of-frame markers (not DHT, JPG or DAC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = data[offset + 9];
+      return {
+        width: data.readUInt16BE(offset + 7),
+        height: data.readUInt16BE(offset + 5),
+        colorSpace: components === 1 ? "DeviceGray" : components === 4 ? "DeviceCMYK" : "DeviceRGB",
+        filter: "DCTDecode",
+        data,
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error("JPEG image has no frame header");
+}
+
+/**
+ * Decode a PNG into separate colour and alpha channels
+ * @param {Buffer} data - PNG file
+ * @returns {Object} - Image { width, height, colorSpace, filter, data, alpha }, channels deflated
+ */
+function readPng(data) {
+  let offset = 8;
+  let header;
+  let palette;
+  let transparency;
+  const chunks = [];
+  while (offset < data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString("ascii", offset + 4, offset + 8);
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "PLTE") {
+      palette = body;
+    } else if (type === "tRNS") {
+      transparency = body;
+    } else if (type === "IDAT") {
+      chunks.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header) {
+    throw new Error("PNG image has no header");
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (interlace) {
+    throw new Error("Interlaced PNG images are not supported");
+  }
+  if (bitDepth === 16 || (bitDepth < 8 && ![0, 3].includes(colorType))) {
+    throw new Error(`PNG images with ${bitDepth}-bit ${colorType === 3 ? "palette" : "channels"} are not supported`);
+  }
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel / 8);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+
+  // Undo the per-row filters
+  const pixels = Buffer.alloc(stride * height);
+  for (let row = 0; row < height; row++) {
+    const filter = raw[row * (stride + 1)];
+    const line = raw.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1));
+    const out = row * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? pixels[out + i - bytesPerPixel] : 0;
+      const up = row > 0 ? pixels[out - stride + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? pixels[out - stride + i - bytesPerPixel] : 0;
+      let value = line[i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += Math.floor((left + up) / 2);
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const [a, b, c] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        value += a <= b && a <= c ? left : b <= c ? up : upLeft;
+      }
+      pixels[out + i] = value & 0xff;
+    }
+  }
+
+  // Split into colour (gray or RGB) and alpha, expanding palettes and low bit depths
+  const gray = colorType === 0 || colorType === 4;
+  const colour = Buffer.alloc(width * height * (gray ? 1 : 3));
+  const alpha = Buffer.alloc(width * height, 255);
+  let hasAlpha = false;
+  const sample = (row, index) => {
+    if (bitDepth === 8) return pixels[row * stride + index];
+    const bit = index * bitDepth;
+    return (pixels[row * stride + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+  };
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const pixel = row * width + col;
+      if (colorType === 3) {
+        const index = sample(row, col);
+        palette.copy(colour, pixel * 3, index * 3, index * 3 + 3);
+        if (transparency && index < transparency.length) {
+          alpha[pixel] = transparency[index];
+          hasAlpha = true;
+        }
+      } else if (gray) {
+        const value = sample(row, col * channels);
+        colour[pixel] = bitDepth === 8 ? value : Math.round((value * 255) / ((1 << bitDepth) - 1));
+        if (colorType === 4) {
+          alpha[pixel] = sample(row, col * channels + 1);
+          hasAlpha = true;
+        }
+      } else {
+        for (let c = 0; c < 3; c++) {
+          colour[pixel * 3 + c] = sample(row, col * channels + c);
+        }
+        if (colorType === 6) {
+          alpha[pixel] = sample(row, col * channels + 3);
+          hasAlpha = true;
+        }
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    colorSpace: gray ? "DeviceGray" : "DeviceRGB",
+    filter: "FlateDecode",
+    data: zlib.deflateSync(colour),
+    alpha: hasAlpha ? zlib.deflateSync(alpha) : null,
+  };
+}
+
+/**
+ * Read a JPEG or PNG image for embedding
+ * @param {Buffer} data - Image file contents
+ * @returns {Object} - Image { width, height, colorSpace, filter, data, alpha }
+ */
+export function readImage(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) {
+    return readJpeg(data);
+  }
+  if (data.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return readPng(data);
+  }
+  throw new Error("Images must be JPEG or PNG");
+}
+
+/**
+ * PDF document drawn page by page
+ * Positions are in points from the top-left corner of the page.
+ */
+export class PdfDocument {
+  /**
+   * @param {Object} options - { width, height } of the page in points
+   */
+  constructor({ width, height }) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.images = [];
+  }
+
+  /**
+   * Start a new page
+   * @returns {number} - Page index
+   */
+  addPage() {
+    this.pages.push([]);
+    return this.pages.length - 1;
+  }
+
+  /**
+   * Draw on a page (the current one by default)
+   * @param {string} operations - Content stream operators
+   * @param {number} page - Page index
+   */
+  draw(operations, page = this.pages.length - 1) {
+    this.pages[page].push(operations);
+  }
+
+  /**
+   * Width of a text line
+   * @param {string} text - Text
+   * @param {number} size - Font size
+   * @param {boolean} bold - Bold font
+   * @returns {number} - Width in points
+   */
+  widthOf(text, size, bold = false) {
+    return (encodeText(text).reduce((sum, byte) => sum + charWidth(byte, bold), 0) * size) / 1000;
+  }
+
+  /**
+   * Shorten text to a width, ending it with an ellipsis
+   * @param {string} text - Text
+   * @param {number} width - Available width in points
+   * @param {number} size - Font size
+   * @param {boolean} bold - Bold font
+   * @returns {string} - Text that fits
+   */
+  fit(text, width, size, bold = false) {
+    const value = String(text ?? "");
+    if (this.widthOf(value, size, bold) <= width) {
+      return value;
+    }
+    let chars = [...value];
+    while (chars.length > 0 && this.widthOf(`${chars.join("")}…`, size, bold) > width) {
+      chars = chars.slice(0, -1);
+    }
+    return chars.length > 0 ? `${chars.join("")}…` : "";
+  }
+
+  /**
+   * Break text into lines of a width
+   * @param {string} text - Text
+   * @param {number} width - Available width in points
+   * @param {number} size - Font size
+   * @param {boolean} bold - Bold font
+   * @returns {string[]} - Lines
+   */
+  wrap(text, width, size, bold = false) {
+    const lines = [];
+    for (const paragraph of String(text ?? "").split("\n")) {
+      let line = "";
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && this.widthOf(next, size, bold) > width) {
+          lines.push(line);
+          line = this.fit(word, width, size, bold);
+        } else {
+          line = this.widthOf(next, size, bold) > width ? this.fit(next, width, size, bold) : next;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text - Text
+   * @param {number} x - Left edge (or right edge / centre, by align)
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} options - { size, bold, color: [r, g, b], align: left | right | center, page }
+   */
+  text(text, x, y, { size = 10, bold = false, color: rgb = [0, 0, 0], align = "left", page } = {}) {
+    const bytes = encodeText(text);
+    if (bytes.length === 0) return;
+    const width = this.widthOf(text, size, bold);
+    const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+    this.draw(
+      `BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${color(rgb)} rg ${num(left)} ${num(this.height - y)} Td ${pdfString(bytes)} Tj ET`,
+      page
+    );
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} options - { width, color: [r, g, b], page }
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color: rgb = [0, 0, 0], page } = {}) {
+    this.draw(
+      `${num(width)} w ${color(rgb)} RG ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`,
+      page
+    );
+  }
+
+  /**
+   * Fill a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} options - { color: [r, g, b], page }
+   */
+  rect(x, y, width, height, { color: rgb = [0.9, 0.9, 0.9], page } = {}) {
+    this.draw(`${color(rgb)} rg ${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re f`, page);
+  }
+
+  /**
+   * Add an image to the document once, to draw on any page
+   * @param {Buffer} data - JPEG or PNG file contents
+   * @returns {Object} - Image { name, width, height, ... }
+   */
+  addImage(data) {
+    const image = { ...readImage(data), name: `Im${this.images.length + 1}` };
+    this.images.push(image);
+    return image;
+  }
+
+  /**
+   * Draw an added image
+   * @param {Object} image - Image from addImage
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width drawn
+   * @param {number} height - Height drawn
+   * @param {Object} options - { page }
+   */
+  image(image, x, y, width, height, { page } = {}) {
+    this.draw(
+      `q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(this.height - y - height)} cm /${image.name} Do Q`,
+      page
+    );
+  }
+
+  /**
+   * Write the document
+   * @returns {Buffer} - PDF file contents
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const stream = (dictionary, data) =>
+      Buffer.concat([
+        Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, "latin1"),
+        data,
+        Buffer.from("\nendstream", "latin1"),
+      ]);
+
+    const catalog = add(null);
+    const pagesId = add(null);
+    const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+    const xObjects = this.images.map((image) => {
+      const mask = image.alpha
+        ? add(
+            stream(
+              `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`,
+              image.alpha
+            )
+          )
+        : null;
+      const id = add(
+        stream(
+          `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.colorSpace} /BitsPerComponent 8 /Filter /${image.filter}${mask ? ` /SMask ${mask} 0 R` : ""}`,
+          image.data
+        )
+      );
+      return `/${image.name} ${id} 0 R`;
+    });
+    const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> /XObject << ${xObjects.join(" ")} >> >>`;
+
+    const pageIds = this.pages.map((operations) => {
+      const content = add(stream("/Filter /FlateDecode", zlib.deflateSync(Buffer.from(operations.join("\n"), "latin1"))));
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] /Resources ${resources} /Contents ${content} 0 R >>`
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+    const parts = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    const offsets = [];
+    let length = parts[0].length;
+    objects.forEach((body, index) => {
+      const object = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, "latin1"),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+        Buffer.from("\nendobj\n", "latin1"),
+      ]);
+      offsets.push(length);
+      parts.push(object);
+      length += object.length;
+    });
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+      "startxref",
+      String(length),
+      "%%EOF",
+    ].join("\n");
+    parts.push(Buffer.from(`${xref}\n`, "latin1"));
+    return Buffer.concat(parts);
+  }
+}
+
+/**
+ * Report laid out on PDF pages
+ * Every page gets the business header and a page number footer; content
+ * flows down the page and tables continue on the next page with their
+ * header row repeated.
+ */
+export class PdfReport {
+  /**
+   * @param {Object} options - { title, subtitle, business, logo (image file contents), paper: { width, height },
+   *   margin, generated (date text for the footer) }
+   */
+  constructor({ title, subtitle = "", business = "", logo = null, paper, margin = 40, generated = "" }) {
+    this.doc = new PdfDocument(paper);
+    this.title = title;
+    this.subtitle = subtitle;
+    this.business = business;
+    this.logo = logo ? this.doc.addImage(logo) : null;
+    this.margin = margin;
+    this.generated = generated;
+    this.contentWidth = paper.width - margin * 2;
+    this.bottom = paper.height - margin - 20;
+    this.newPage();
+  }
+
+  /**
+   * Start a page and draw its header
+   */
+  newPage() {
+    this.doc.addPage();
+    const { margin } = this;
+    const top = margin;
+    let left = margin;
+    const logoHeight = 36;
+    if (this.logo) {
+      const width = Math.min((this.logo.width / this.logo.height) * logoHeight, 120);
+      this.doc.image(this.logo, margin, top, width, (width * this.logo.height) / this.logo.width);
+      left += width + 10;
+    }
+    this.doc.text(this.business, left, top + 14, { size: 14, bold: true });
+    this.doc.text(this.title, left, top + 32, { size: 11, color: [0.3, 0.3, 0.3] });
+    if (this.subtitle) {
+      this.doc.text(this.subtitle, margin + this.contentWidth, top + 32, {
+        size: 9,
+        color: [0.4, 0.4, 0.4],
+        align: "right",
+      });
+    }
+    this.doc.line(margin, top + logoHeight + 8, margin + this.contentWidth, top + logoHeight + 8, { width: 1 });
+    this.y = top + logoHeight + 26;
+  }
+
+  /**
+   * Move down, starting a new page if what follows does not fit
+   * @param {number} height - Height needed
+   */
+  ensure(height) {
+    if (this.y + height > this.bottom) {
+      this.newPage();
+    }
+  }
+
+  /**
+   * Section heading
+   * @param {string} text - Heading
+   */
+  heading(text) {
+    this.ensure(40);
+    this.y += 6;
+    this.doc.text(text, this.margin, this.y, { size: 12, bold: true });
+    this.y += 14;
+  }
+
+  /**
+   * Wrapped paragraph
+   * @param {string} text - Text
+   * @param {Object} options - { size, bold, color }
+   */
+  paragraph(text, { size = 9, bold = false, color: rgb } = {}) {
+    for (const line of this.doc.wrap(text, this.contentWidth, size, bold)) {
+      this.ensure(size * 1.4);
+      this.doc.text(line, this.margin, this.y + size, { size, bold, color: rgb });
+      this.y += size * 1.4;
+    }
+    this.y += 4;
+  }
+
+  /**
+   * Label and value pairs in two columns
+   * @param {Array} pairs - [label, value] pairs; falsy entries are skipped
+   */
+  keyValues(pairs) {
+    const size = 9;
+    const rowHeight = size * 1.6;
+    const labelWidth = Math.min(170, this.contentWidth / 3);
+    for (const [label, value] of pairs.filter(Boolean)) {
+      this.ensure(rowHeight);
+      this.doc.text(this.doc.fit(label, labelWidth - 6, size, true), this.margin, this.y + size, { size, bold: true });
+      this.doc.text(this.doc.fit(value, this.contentWidth - labelWidth, size), this.margin + labelWidth, this.y + size, {
+        size,
+      });
+      this.y += rowHeight;
+    }
+    this.y += 6;
+  }
+
+  /**
+   * Table that breaks across pages
+   * Column widths are shares of the content width; cells that do not fit
+   * are shortened with an ellipsis.
+   * @param {Array} columns - [{ label, width (share), align: left | right }]
+   * @param {Array} rows - Rows as arrays of cell text, or { cells, bold, shade } objects
+   * @param {Object} options - { empty: text when there are no rows }
+   */
+  table(columns, rows, { empty = "No data" } = {}) {
+    const size = 8;
+    const rowHeight = size * 2;
+    const padding = 3;
+    const shares = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const widths = columns.map((column) => ((column.width || 1) / shares) * this.contentWidth);
+
+    const drawRow = (cells, { bold = false, shade = null } = {}) => {
+      if (shade) {
+        this.doc.rect(this.margin, this.y, this.contentWidth, rowHeight, { color: shade });
+      }
+      let x = this.margin;
+      columns.forEach((column, index) => {
+        const text = this.doc.fit(cells[index] ?? "", widths[index] - padding * 2, size, bold);
+        const right = column.align === "right";
+        this.doc.text(text, right ? x + widths[index] - padding : x + padding, this.y + rowHeight / 2 + size / 2 - 1, {
+          size,
+          bold,
+          align: right ? "right" : "left",
+        });
+        x += widths[index];
+      });
+      this.y += rowHeight;
+    };
+    const drawHeader = () => {
+      drawRow(
+        columns.map((column) => column.label),
+        { bold: true, shade: [0.85, 0.87, 0.9] }
+      );
+    };
+
+    this.ensure(rowHeight * 2);
+    drawHeader();
+    if (rows.length === 0) {
+      drawRow([empty]);
+    }
+    rows.forEach((row, index) => {
+      if (this.y + rowHeight > this.bottom) {
+        this.newPage();
+        drawHeader();
+      }
+      const { cells, bold = false, shade = null } = Array.isArray(row) ? { cells: row } : row;
+      drawRow(cells, { bold, shade: shade || (index % 2 === 1 ? [0.96, 0.96, 0.96] : null) });
+    });
+    this.doc.line(this.margin, this.y, this.margin + this.contentWidth, this.y, { color: [0.6, 0.6, 0.6] });
+    this.y += 12;
+  }
+
+  /**
+   * Number the pages and write the document
+   * @returns {Buffer} - PDF file contents
+   */
+  toBuffer() {
+    const total = this.doc.pages.length;
+    const y = this.bottom + 24;
+    this.doc.pages.forEach((_, page) => {
+      this.doc.line(this.margin, y - 12, this.margin + this.contentWidth, y - 12, { color: [0.7, 0.7, 0.7], page });
+      if (this.generated) {
+        this.doc.text(this.generated, this.margin, y, { size: 8, color: [0.4, 0.4, 0.4], page });
+      }
+      this.doc.text(`Page ${page + 1} of ${total}`, this.margin + this.contentWidth, y, {
+        size: 8,
+        color: [0.4, 0.4, 0.4],
+        align: "right",
+        page,
+      });
+    });
+    return this.doc.toBuffer();
+  }
+}
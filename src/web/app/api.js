@@ -0,0 +1,45 @@
+/**
+ * Client for the local REST API
+ */
+
+import { toast } from "./dom.js";
+
+/**
+ * Send a request to the API
+ * @param {string} method - HTTP method
+ * @param {string} path - API path, e.g. /api/recipes
+ * @param {*} body - Optional JSON body
+ * @returns {Promise<*>} - Response data
+ */
+async function request(method, path, body) {
+  const options = { method, headers: {} };
+  // The server only accepts changes sent as JSON, even without a body
+  if (method !== "GET") {
+    options.headers["Content-Type"] = "application/json";
+  }
+  if (body !== undefined) {
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(path, options);
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(payload.error?.message || `${response.status} ${response.statusText}`);
+    error.status = response.status;
+    error.details = payload.error?.details || [];
+    throw error;
+  }
+
+  (payload.warnings || []).forEach((warning) => toast(warning, "warning"));
+  return payload.data;
+}
+
+export const api = {
+  get: (path) => request("GET", path),
+  post: (path, body) => request("POST", path, body),
+  put: (path, body) => request("PUT", path, body),
+  delete: (path) => request("DELETE", path),
+};
+
+export default api;
@@ -0,0 +1,194 @@
+/**
+ * DOM helpers shared by the views
+ */
+
+/**
+ * Create an element
+ * Attributes starting with "on" become event listeners; class, value,
+ * checked and disabled are set as properties, everything else as attributes.
+ * @param {string} tag - Tag name
+ * @param {Object} attrs - Attributes and listeners
+ * @param {...*} children - Child nodes or text (null/false are skipped)
+ * @returns {HTMLElement} - New element
+ */
+export function h(tag, attrs = {}, ...children) {
+  const element = document.createElement(tag);
+
+  for (const [name, value] of Object.entries(attrs || {})) {
+    if (value === undefined || value === null || value === false) continue;
+    if (name.startsWith("on")) {
+      element.addEventListener(name.slice(2).toLowerCase(), value);
+    } else if (name === "class") {
+      element.className = value;
+    } else if (["value", "checked", "disabled", "selected"].includes(name)) {
+      element[name] = value;
+    } else {
+      element.setAttribute(name, value === true ? "" : value);
+    }
+  }
+
+  element.append(
+    ...children.flat().filter((child) => child !== null && child !== undefined && child !== false)
+  );
+  return element;
+}
+
+// Currency amounts are shown in, replaced by the server's (GET /api/settings) at start-up
+let currency = { code: "EUR", symbol: "€", position: "before", decimals: 2 };
+
+/**
+ * Set the currency money() formats amounts in
+ * @param {Object} settings - { code, symbol, position, decimals }
+ */
+export function setCurrency(settings) {
+  currency = { ...currency, ...settings };
+}
+
+/**
+ * Format a money amount in the configured currency
+ * @param {number} value - Amount
+ * @returns {string} - Formatted amount
+ */
+export function money(value) {
+  if (value === null || value === undefined || isNaN(value)) return "";
+  const amount = Number(value);
+  const formatted = Math.abs(amount).toFixed(currency.decimals);
+  const sign = amount < 0 ? "-" : "";
+  return currency.position === "after" ? `${sign}${formatted} ${currency.symbol}` : `${sign}${currency.symbol}${formatted}`;
+}
+
+/**
+ * Format a number for display
+ * @param {*} value - Value
+ * @param {number} digits - Maximum decimals
+ * @returns {string} - Display string
+ */
+export function num(value, digits = 3) {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value !== "number") return String(value);
+  return String(Math.round(value * 10 ** digits) / 10 ** digits);
+}
+
+/**
+ * Format a percentage
+ * @param {number} value - Percentage (0-100)
+ * @returns {string} - Formatted percentage
+ */
+export function percent(value) {
+  if (value === null || value === undefined || isNaN(value)) return "";
+  return `${Number(value).toFixed(1)}%`;
+}
+
+/**
+ * Build a table
+ * @param {Array} columns - { key, label, format, class }
+ * @param {Array} rows - Row objects
+ * @param {Object} options - { empty, rowClass }
+ * @returns {HTMLElement} - Table, or a note when there are no rows
+ */
+export function table(columns, rows, options = {}) {
+  if (rows.length === 0) {
+    return h("p", { class: "muted" }, options.empty || "Nothing to show.");
+  }
+
+  return h(
+    "table",
+    {},
+    h("thead", {}, h("tr", {}, columns.map((column) => h("th", { class: column.class }, column.label ?? column.key)))),
+    h(
+      "tbody",
+      {},
+      rows.map((row) =>
+        h(
+          "tr",
+          { class: options.rowClass?.(row) },
+          columns.map((column) => {
+            const value = column.format ? column.format(row[column.key], row) : num(row[column.key]);
+            return h("td", { class: column.class }, value);
+          })
+        )
+      )
+    )
+  );
+}
+
+/**
+ * Flatten a nested result into field/value rows
+ * @param {*} data - Result data
+ * @param {string} prefix - Field name prefix
+ * @returns {Array} - Array of { field, value }
+ */
+export function flatten(data, prefix = "") {
+  if (data === null || typeof data !== "object") {
+    return [{ field: prefix || "value", value: data }];
+  }
+  if (Array.isArray(data) && data.every((item) => typeof item !== "object")) {
+    return [{ field: prefix, value: data.join("; ") }];
+  }
+  return Object.entries(data).flatMap(([key, value]) => flatten(value, prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * Render any calculator result: lists of records as a table, anything else
+ * as field/value pairs
+ * @param {*} data - Result data
+ * @returns {HTMLElement} - Rendered result
+ */
+export function resultView(data) {
+  if (Array.isArray(data) && data.length > 0 && data.every((item) => item && typeof item === "object")) {
+    const rows = data.map((item) => Object.fromEntries(flatten(item).map(({ field, value }) => [field, value])));
+    const keys = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    return table(keys.map((key) => ({ key })), rows);
+  }
+  return table([{ key: "field", label: "Field" }, { key: "value", label: "Value" }], flatten(data));
+}
+
+/**
+ * Show an error, including validation details
+ * @param {Error} error - Error from the API
+ * @returns {HTMLElement} - Error box
+ */
+export function errorBox(error) {
+  return h(
+    "div",
+    { class: "error" },
+    h("strong", {}, error.message),
+    error.details?.length ? h("ul", {}, error.details.map((detail) => h("li", {}, detail))) : null
+  );
+}
+
+/**
+ * Show a short-lived notification
+ * @param {string} message - Text to show
+ * @param {string} kind - info | success | warning | error
+ */
+export function toast(message, kind = "info") {
+  const container = document.getElementById("toasts");
+  const note = h("div", { class: `toast ${kind}` }, message);
+  container.append(note);
+  setTimeout(() => note.remove(), kind === "error" || kind === "warning" ? 8000 : 3000);
+}
+
+/**
+ * Delay calls until input has settled
+ * @param {Function} fn - Function to call
+ * @param {number} wait - Milliseconds to wait
+ * @returns {Function} - Debounced function
+ */
+export function debounce(fn, wait = 300) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
+
+/**
+ * Labelled form field
+ * @param {string} label - Label text
+ * @param {HTMLElement} input - Input element
+ * @returns {HTMLElement} - Label wrapping the input
+ */
+export function field(label, input) {
+  return h("label", { class: "field" }, h("span", {}, label), input);
+}
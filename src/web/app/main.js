@@ -0,0 +1,80 @@
+/**
+ * Browser UI entry point
+ * Hash routes (#/<module>/<args...>) select the same modules as the
+ * terminal main menu. Every view works through the local REST API.
+ */
+
+import { h, errorBox, toast, setCurrency } from "./dom.js";
+import { api } from "./api.js";
+import { renderRecipes } from "./views/recipes.js";
+import { renderBakery } from "./views/bakery.js";
+import { renderCalculators } from "./views/calculators.js";
+import { renderInventory } from "./views/inventory.js";
+import { renderReports } from "./views/reports.js";
+
+// Pastry Arts is not listed: its calculator is not available to the API
+const MODULES = [
+  { path: "recipes", label: "📋 Recipe Costing", render: renderRecipes },
+  { path: "bakery", label: "🥖 Bakery", render: renderBakery },
+  { path: "molecular", label: "🧪 Molecular", render: (view) => renderCalculators(view, "molecular", "Molecular Gastronomy") },
+  { path: "sousvide", label: "🌡️ Sous Vide", render: (view) => renderCalculators(view, "sousvide", "Sous Vide Precision") },
+  { path: "fermentation", label: "🧫 Fermentation", render: (view) => renderCalculators(view, "ferment", "Fermentation Science") },
+  { path: "inventory", label: "📦 Inventory", render: renderInventory },
+  { path: "reports", label: "📊 Reports", render: renderReports },
+];
+
+/**
+ * Landing page: module shortcuts and data counts
+ * @param {HTMLElement} view - Container
+ */
+async function renderHome(view) {
+  view.append(
+    h("h1", {}, "Food System WebApp"),
+    h(
+      "div",
+      { class: "cards" },
+      MODULES.map((module) => h("a", { class: "card", href: `#/${module.path}` }, module.label))
+    )
+  );
+
+  const stats = await api.get("/api/statistics");
+  view.append(
+    h(
+      "p",
+      { class: "muted" },
+      `${stats.totalRecipes} recipes · ${stats.totalIngredients} ingredients · ${stats.totalCostCalculations} saved cost calculations`
+    )
+  );
+}
+
+/**
+ * Render the view for the current hash
+ */
+async function route() {
+  const [path = "", ...args] = location.hash.replace(/^#\/?/, "").split("/").map(decodeURIComponent);
+  const module = MODULES.find((candidate) => candidate.path === path);
+
+  document.querySelectorAll("#nav a").forEach((link) => {
+    link.classList.toggle("active", link.dataset.path === path);
+  });
+
+  const view = document.getElementById("view");
+  view.replaceChildren();
+  try {
+    await (module ? module.render(view, args) : renderHome(view));
+  } catch (error) {
+    view.append(errorBox(error));
+  }
+}
+
+document.getElementById("nav").append(
+  ...MODULES.map((module) => h("a", { href: `#/${module.path}`, "data-path": module.path }, module.label))
+);
+window.addEventListener("hashchange", route);
+
+// Amounts are formatted in the business currency, so load it before the first view
+api
+  .get("/api/settings")
+  .then((settings) => setCurrency(settings.currency))
+  .catch((error) => toast(`Could not load settings, showing amounts in euros: ${error.message}`, "warning"))
+  .finally(route);
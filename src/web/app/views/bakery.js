@@ -0,0 +1,203 @@
+/**
+ * Baker's percentage formulas with live scaling
+ */
+
+import { h, field, table, num, percent, errorBox, debounce } from "../dom.js";
+import { api } from "../api.js";
+import { renderCalculators } from "./calculators.js";
+
+const grams = (value) => (value === undefined || value === null ? "" : `${num(value, 1)} g`);
+
+const TYPES = ["flour", "liquid", "salt", "yeast", "sugar", "fat", "egg", "milk", "other"];
+
+/**
+ * Render the bakery view
+ * @param {HTMLElement} view - Container
+ */
+export async function renderBakery(view) {
+  const formula = {
+    name: "Country Bread",
+    ingredients: [
+      { name: "Bread flour", type: "flour", weight: 1000 },
+      { name: "Water", type: "liquid", weight: 700 },
+      { name: "Salt", type: "salt", weight: 20 },
+      { name: "Yeast", type: "yeast", weight: 5 },
+    ],
+  };
+  const target = { mode: "none", flour: "", dough: "", pieces: "", pieceWeight: "" };
+
+  const resultArea = h("div", {});
+  const linesBody = h("tbody", {});
+
+  const recalculate = debounce(async () => {
+    const input = {
+      name: formula.name,
+      ingredients: formula.ingredients
+        .filter((item) => item.name)
+        .map((item) => ({ ...item, weight: Number(item.weight) })),
+    };
+
+    let path = "/api/calculators/bakery/percentages";
+    const body = { input };
+    if (target.mode === "flour" || target.mode === "dough") {
+      path = "/api/calculators/bakery/scale";
+      body[target.mode] = target[target.mode];
+    } else if (target.mode === "batch") {
+      path = "/api/calculators/bakery/batch";
+      body.pieces = target.pieces;
+      body["piece-weight"] = target.pieceWeight;
+    }
+
+    try {
+      const result = await api.post(path, body);
+      const rows = result.formula || result.ingredients;
+      resultArea.replaceChildren(
+        table(
+          [
+            { key: "name", label: "Ingredient" },
+            { key: "percentage", label: "Baker's %", class: "num", format: percent },
+            { key: "weight", label: "Weight (g)", class: "num", format: (value) => num(value, 1) },
+          ],
+          rows
+        ),
+        h(
+          "dl",
+          { class: "totals" },
+          [
+            ["Total percentage", percent(result.totalPercentage)],
+            ["Hydration", percent(result.hydration)],
+            ["Total dough", grams(result.totalDoughWeight ?? result.totalDoughNeeded)],
+            ["Scale factor", result.scaleFactor !== undefined ? num(result.scaleFactor) : ""],
+            ["Mixer batches (5 kg)", result.batches !== undefined ? String(result.batches) : ""],
+          ]
+            .filter(([, value]) => value)
+            .flatMap(([label, value]) => [h("dt", {}, label), h("dd", {}, value)])
+        )
+      );
+    } catch (error) {
+      resultArea.replaceChildren(errorBox(error));
+    }
+  });
+
+  const bind = (targetObject, key, attrs = {}) =>
+    h("input", {
+      ...attrs,
+      value: targetObject[key] ?? "",
+      oninput: (event) => {
+        targetObject[key] = event.target.value;
+        recalculate();
+      },
+    });
+
+  const renderLines = () => {
+    linesBody.replaceChildren(
+      ...formula.ingredients.map((item, index) =>
+        h(
+          "tr",
+          {},
+          h("td", {}, bind(item, "name")),
+          h(
+            "td",
+            {},
+            h(
+              "select",
+              {
+                onchange: (event) => {
+                  item.type = event.target.value;
+                  recalculate();
+                },
+              },
+              TYPES.map((type) => h("option", { value: type, selected: type === item.type }, type))
+            )
+          ),
+          h("td", {}, bind(item, "weight", { type: "number", min: 0, step: "any", class: "short" })),
+          h(
+            "td",
+            {},
+            h(
+              "button",
+              {
+                type: "button",
+                class: "link",
+                onclick: () => {
+                  formula.ingredients.splice(index, 1);
+                  renderLines();
+                  recalculate();
+                },
+              },
+              "✕"
+            )
+          )
+        )
+      )
+    );
+  };
+
+  const modeSelect = h(
+    "select",
+    {
+      onchange: (event) => {
+        target.mode = event.target.value;
+        recalculate();
+      },
+    },
+    [
+      ["none", "Formula as entered"],
+      ["flour", "Scale to flour weight"],
+      ["dough", "Scale to dough weight"],
+      ["batch", "Batch of pieces"],
+    ].map(([value, label]) => h("option", { value }, label))
+  );
+
+  renderLines();
+
+  const tools = h("div", {});
+  view.append(
+    h("h1", {}, "Bakery Calculations"),
+    h(
+      "div",
+      { class: "split even" },
+      h(
+        "section",
+        { class: "panel" },
+        field("Formula name", bind(formula, "name")),
+        h(
+          "table",
+          { class: "editor" },
+          h("thead", {}, h("tr", {}, ["Ingredient", "Type", "Weight (g)", ""].map((label) => h("th", {}, label)))),
+          linesBody
+        ),
+        h(
+          "button",
+          {
+            type: "button",
+            class: "secondary",
+            onclick: () => {
+              formula.ingredients.push({ name: "", type: "other", weight: "" });
+              renderLines();
+            },
+          },
+          "+ Add ingredient"
+        )
+      ),
+      h(
+        "section",
+        { class: "panel" },
+        h(
+          "div",
+          { class: "fields" },
+          field("Output", modeSelect),
+          field("Flour (g)", bind(target, "flour", { type: "number", min: 1 })),
+          field("Dough (g)", bind(target, "dough", { type: "number", min: 1 })),
+          field("Pieces", bind(target, "pieces", { type: "number", min: 1, step: 1 })),
+          field("Piece weight (g)", bind(target, "pieceWeight", { type: "number", min: 1 }))
+        ),
+        resultArea
+      )
+    ),
+    tools
+  );
+
+  recalculate();
+  await renderCalculators(tools, "bakery", "Other bakery tools", ["percentages", "scale", "batch"]);
+}
@@ -0,0 +1,145 @@
+/**
+ * Calculator forms built from the API's calculator list
+ * Each subcommand of a command (molecular, sousvide, ...) gets a form with
+ * one field per option; hints and choices come from the usage line.
+ */
+
+import { h, field, errorBox, resultView } from "../dom.js";
+import { api } from "../api.js";
+
+let endpointsCache = null;
+
+/**
+ * Load the calculator endpoint list once
+ * @returns {Promise<Array>} - Endpoint descriptions
+ */
+async function loadEndpoints() {
+  endpointsCache = endpointsCache || (await api.get("/api/calculators"));
+  return endpointsCache;
+}
+
+/**
+ * Read how an option is written in a usage line
+ * @param {string} usage - e.g. "molecular agar --liquid <ml> [--gel fluid_gel|soft_gel]"
+ * @param {string} name - Option name
+ * @returns {Object} - { optional, choices, hint }
+ */
+function describeOption(usage, name) {
+  const match = usage.match(new RegExp(`--${name}\\s+([^\\s\\])]+)`));
+  if (!match) {
+    return { optional: true, choices: null, hint: "" };
+  }
+
+  // Options inside [...] or (a | b) groups are not required on their own
+  const before = usage.slice(0, match.index);
+  const optional = (before.match(/[[(]/g) || []).length > (before.match(/[\])]/g) || []).length;
+  const token = match[1];
+  if (token.startsWith("<")) {
+    return { optional, choices: null, hint: token.slice(1, -1) };
+  }
+  if (token.includes("|")) {
+    return { optional, choices: token.split("|"), hint: "" };
+  }
+  return { optional, choices: null, hint: token };
+}
+
+/**
+ * Build the form for one calculator endpoint
+ * @param {Object} endpoint - Endpoint description
+ * @returns {HTMLElement} - Form with its result area
+ */
+function calculatorForm(endpoint) {
+  const result = h("div", { class: "result" });
+  const inputs = {};
+
+  const fields = endpoint.options.map((name) => {
+    const { optional, choices, hint } = describeOption(endpoint.usage, name);
+    const label = optional ? name : `${name} *`;
+
+    inputs[name] = choices
+      ? h(
+          "select",
+          { name },
+          optional ? h("option", { value: "" }, "(default)") : null,
+          choices.map((choice) => h("option", { value: choice }, choice))
+        )
+      : h("input", { name, placeholder: hint, autocomplete: "off" });
+    return field(label, inputs[name]);
+  });
+
+  const inputDocument = endpoint.input
+    ? h("textarea", { rows: 8, placeholder: endpoint.input, spellcheck: "false" })
+    : null;
+
+  const submit = async (event) => {
+    event.preventDefault();
+    const body = {};
+    for (const [name, input] of Object.entries(inputs)) {
+      if (input.value.trim() !== "") body[name] = input.value.trim();
+    }
+
+    result.replaceChildren();
+    try {
+      if (inputDocument) {
+        try {
+          body.input = JSON.parse(inputDocument.value);
+        } catch (error) {
+          throw new Error(`Input is not valid JSON: ${error.message}`);
+        }
+      }
+      result.append(resultView(await api.post(endpoint.path, body)));
+    } catch (error) {
+      result.append(errorBox(error));
+    }
+  };
+
+  return h(
+    "form",
+    { class: "panel", onsubmit: submit },
+    h("h2", {}, endpoint.description),
+    h("code", { class: "usage" }, `foodsystem ${endpoint.usage}`),
+    h("div", { class: "fields" }, fields),
+    inputDocument ? field("Input (JSON)", inputDocument) : null,
+    h("button", { type: "submit" }, "Calculate"),
+    result
+  );
+}
+
+/**
+ * Render the calculators of one command
+ * @param {HTMLElement} view - Container
+ * @param {string} command - Command name (molecular, sousvide, ferment, foodcost)
+ * @param {string} title - Page title
+ * @param {Array} exclude - Subcommands the page already covers
+ */
+export async function renderCalculators(view, command, title, exclude = []) {
+  const prefix = `/api/calculators/${command}/`;
+  const endpoints = (await loadEndpoints()).filter(
+    (endpoint) => endpoint.path.startsWith(prefix) && !exclude.includes(endpoint.path.slice(prefix.length))
+  );
+  const holder = h("div", {});
+
+  const show = (endpoint) => {
+    tabs.querySelectorAll("button").forEach((button) => {
+      button.classList.toggle("active", button.dataset.path === endpoint.path);
+    });
+    holder.replaceChildren(calculatorForm(endpoint));
+  };
+
+  const tabs = h(
+    "div",
+    { class: "tabs" },
+    endpoints.map((endpoint) =>
+      h(
+        "button",
+        { type: "button", "data-path": endpoint.path, onclick: () => show(endpoint) },
+        endpoint.path.slice(prefix.length)
+      )
+    )
+  );
+
+  view.append(h("h1", {}, title), tabs, holder);
+  if (endpoints.length > 0) {
+    show(endpoints[0]);
+  }
+}
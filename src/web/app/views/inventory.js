@@ -0,0 +1,262 @@
+/**
+ * Inventory table with inline editing
+ * Quantity, price and par level are edited in place; the API records price
+ * edits in the ingredient's price history and quantity edits as stock
+ * adjustments in the movement ledger at the location shown. Stock is shown
+ * one location at a time (editable) or across all of them (read only), and
+ * valued by the configured costing method. Expiry is tracked per lot; the
+ * table shows the soonest expiry of the lots on hand.
+ */
+
+import { h, field, table, money, num, errorBox, toast } from "../dom.js";
+import { api } from "../api.js";
+
+const EDITABLE = [
+  { key: "unitPrice", label: "Unit price" },
+  { key: "parLevel", label: "Par" },
+  { key: "maxLevel", label: "Max" },
+];
+
+/**
+ * Render the inventory view
+ * @param {HTMLElement} view - Container
+ */
+export async function renderInventory(view) {
+  const [items, locations] = await Promise.all([api.get("/api/inventory"), api.get("/api/inventory/locations")]);
+  // Stock is edited at one location at a time, the default one first
+  let location = locations[0].location;
+  let lowStock = [];
+  let expiring = [];
+  let valuation = { method: "", totalValue: 0, items: [] };
+  let stockById = new Map();
+  let valueById = new Map();
+  let statusById = new Map();
+  let expiryById = new Map();
+
+  const refreshStatus = async () => {
+    const query = location ? `location=${encodeURIComponent(location)}` : "";
+    let lots;
+    let held;
+    [held, valuation, lowStock, expiring, lots] = await Promise.all([
+      api.get(`/api/inventory?${query}`),
+      api.get(`/api/inventory/valuation?${query}`),
+      api.get(`/api/inventory/low-stock?${query}`),
+      api.get(`/api/inventory/expiring?days=7&${query}`),
+      api.get(`/api/inventory/lots?${query}`),
+    ]);
+    // Items not held at the location have no stock there
+    stockById = new Map(held.map((item) => [item.id, item.quantity || 0]));
+    valueById = new Map(valuation.items.map((item) => [item.id, item.value]));
+    // Expiring lots come soonest first; the soonest decides the item's status
+    statusById = new Map([
+      ...[...expiring].reverse().map((lot) => [lot.id, lot.status]),
+      ...lowStock.map((item) => [item.id, item.status]),
+    ]);
+    expiryById = new Map();
+    for (const lot of lots) {
+      if (lot.expiryDate && !(expiryById.get(lot.id) <= lot.expiryDate)) {
+        expiryById.set(lot.id, lot.expiryDate);
+      }
+    }
+  };
+  await refreshStatus();
+  const categories = [...new Set(items.map((item) => item.category || "Other"))].sort();
+  const filter = { category: "", search: "" };
+  const tableArea = h("div", {});
+
+  const stockEditor = (item) => {
+    const quantity = stockById.get(item.id) ?? 0;
+    if (!location) {
+      return num(quantity);
+    }
+    return h("input", {
+      type: "number",
+      min: 0,
+      step: "any",
+      class: "short",
+      value: quantity,
+      onchange: async (event) => {
+        const value = Number(event.target.value);
+        try {
+          const saved = await api.put(`/api/ingredients/${encodeURIComponent(item.id)}`, { quantity: value, location });
+          Object.assign(item, saved);
+          toast(`${item.name}: stock at ${locationLabel()} saved`, "success");
+          await refreshStatus();
+          renderTable();
+        } catch (error) {
+          event.target.value = quantity;
+          toast(`${item.name}: ${error.message}`, "error");
+        }
+      },
+    });
+  };
+
+  const locationLabel = () => locations.find((candidate) => candidate.location === location)?.label || "all locations";
+
+  const editor = (item, key) =>
+    h("input", {
+      type: "number",
+      min: 0,
+      step: "any",
+      class: "short",
+      value: item[key] ?? "",
+      onchange: async (event) => {
+        const value = Number(event.target.value);
+        try {
+          const saved = await api.put(`/api/ingredients/${encodeURIComponent(item.id)}`, { [key]: value });
+          Object.assign(item, saved);
+          toast(`${item.name}: ${key} saved`, "success");
+          await refreshStatus();
+          renderTable();
+        } catch (error) {
+          event.target.value = item[key] ?? "";
+          toast(`${item.name}: ${error.message}`, "error");
+        }
+      },
+    });
+
+  const renderTable = () => {
+    const search = filter.search.toLowerCase();
+    const rows = items.filter(
+      (item) =>
+        (!filter.category || (item.category || "Other") === filter.category) &&
+        (!search || item.name.toLowerCase().includes(search))
+    );
+    const total = rows.reduce((sum, item) => sum + (valueById.get(item.id) || 0), 0);
+
+    tableArea.replaceChildren(
+      table(
+        [
+          { key: "name", label: "Item" },
+          { key: "category", label: "Category" },
+          { key: "quantity", label: "Quantity", format: (value, item) => stockEditor(item) },
+          ...EDITABLE.map((column) => ({ ...column, format: (value, item) => editor(item, column.key) })),
+          { key: "unit", label: "Unit" },
+          {
+            key: "value",
+            label: `Value (${valuation.method})`,
+            class: "num",
+            format: (value, item) => money(valueById.get(item.id) || 0),
+          },
+          { key: "expiryDate", label: "Expiry", format: (value, item) => expiryById.get(item.id) || "" },
+          { key: "status", label: "Status", format: (value, item) => statusById.get(item.id) || "OK" },
+        ],
+        rows,
+        {
+          empty: "No stock items match.",
+          rowClass: (item) => (statusById.has(item.id) ? "alert" : null),
+        }
+      ),
+      h(
+        "p",
+        { class: "muted" },
+        `${rows.length} ${rows.length === 1 ? "item" : "items"} · stock value at ${locationLabel()} ${money(total)} · ${lowStock.length} below par · ${expiring.length} ${expiring.length === 1 ? "lot" : "lots"} expiring within 7 days`
+      )
+    );
+  };
+
+  const addForm = () => {
+    const values = { name: "", category: "", unit: "kg", unitPrice: "", quantity: "", parLevel: "", supplier: "", expiryDate: "" };
+    const input = (key, attrs = {}) =>
+      h("input", { ...attrs, value: values[key], oninput: (event) => (values[key] = event.target.value) });
+    const result = h("div", {});
+
+    const submit = async (event) => {
+      event.preventDefault();
+      const body = Object.fromEntries(
+        Object.entries(values)
+          .filter(([, value]) => value !== "")
+          .map(([key, value]) => [key, ["unitPrice", "quantity", "parLevel"].includes(key) ? Number(value) : value])
+      );
+      try {
+        const saved = await api.post("/api/ingredients", body);
+        toast(`Added ${saved.name}`, "success");
+        view.replaceChildren();
+        await renderInventory(view);
+      } catch (error) {
+        result.replaceChildren(errorBox(error));
+      }
+    };
+
+    return h(
+      "details",
+      { class: "panel" },
+      h("summary", {}, "+ Add stock item"),
+      h(
+        "form",
+        { onsubmit: submit },
+        h(
+          "div",
+          { class: "fields" },
+          field("Name *", input("name", { required: true })),
+          field("Category", input("category", { list: "categories" })),
+          field("Unit *", input("unit", { required: true })),
+          field("Unit price *", input("unitPrice", { type: "number", min: 0, step: "any", required: true })),
+          field("Quantity", input("quantity", { type: "number", min: 0, step: "any" })),
+          field("Par level", input("parLevel", { type: "number", min: 0, step: "any" })),
+          field("Supplier", input("supplier")),
+          field("Expiry date", input("expiryDate", { type: "date" }))
+        ),
+        h("datalist", { id: "categories" }, categories.map((category) => h("option", { value: category }))),
+        h("button", { type: "submit" }, "Add item"),
+        result
+      )
+    );
+  };
+
+  view.append(
+    h("h1", {}, "Inventory"),
+    h(
+      "div",
+      { class: "panel fields" },
+      field(
+        "Location",
+        h(
+          "select",
+          {
+            onchange: async (event) => {
+              location = event.target.value;
+              await refreshStatus();
+              renderTable();
+            },
+          },
+          locations.map((held) => h("option", { value: held.location }, held.label)),
+          h("option", { value: "" }, "All locations")
+        )
+      ),
+      field(
+        "Category",
+        h(
+          "select",
+          {
+            onchange: (event) => {
+              filter.category = event.target.value;
+              renderTable();
+            },
+          },
+          h("option", { value: "" }, "All"),
+          categories.map((category) => h("option", { value: category }, category))
+        )
+      ),
+      field(
+        "Search",
+        h("input", {
+          type: "search",
+          oninput: (event) => {
+            filter.search = event.target.value;
+            renderTable();
+          },
+        })
+      )
+    ),
+    h(
+      "p",
+      { class: "muted" },
+      "Price edits are kept in the price history; quantity edits are posted as stock adjustments at the location shown. Choose a location to edit its stock."
+    ),
+    tableArea,
+    addForm()
+  );
+
+  renderTable();
+}
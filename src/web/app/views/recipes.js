@@ -0,0 +1,342 @@
+/**
+ * Recipe costing with a live escandallo
+ * The escandallo is recalculated by the cost calculator on every edit;
+ * saving creates a new recipe version.
+ */
+
+import { h, field, table, money, num, percent, errorBox, toast, debounce } from "../dom.js";
+import { api } from "../api.js";
+
+const CATEGORIES = ["Appetizer", "Main Course", "Dessert", "Beverage", "Sauce", "Bread", "Pastry", "Other"];
+const UNITS = ["g", "kg", "ml", "l", "unit", "oz", "lb", "tsp", "tbsp", "cup"];
+
+/**
+ * Start a blank recipe
+ * @returns {Object} - Recipe
+ */
+const blankRecipe = () => ({
+  name: "",
+  category: "Main Course",
+  portions: 4,
+  targetFoodCost: 30,
+  ingredients: [{ name: "", quantity: "", unit: "g", unitPrice: "", yieldPercentage: 100 }],
+});
+
+/**
+ * Turn the editor state into a recipe the API accepts
+ * Empty fields are left out so catalogue prices and defaults apply
+ * @param {Object} recipe - Editor state
+ * @returns {Object} - Recipe
+ */
+function toRecipe(recipe) {
+  const numeric = (value) => (value === "" || value === null || value === undefined ? undefined : Number(value));
+  const clean = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ""));
+
+  return clean({
+    ...recipe,
+    portions: numeric(recipe.portions),
+    targetFoodCost: numeric(recipe.targetFoodCost),
+    ingredients: recipe.ingredients
+      .filter((line) => line.name || line.ingredientId)
+      .map((line) =>
+        clean({
+          ...line,
+          quantity: numeric(line.quantity),
+          unitPrice: numeric(line.unitPrice),
+          yieldPercentage: numeric(line.yieldPercentage),
+        })
+      ),
+  });
+}
+
+/**
+ * Render the escandallo for a cost result
+ * @param {Object} cost - Cost calculator result
+ * @returns {HTMLElement} - Escandallo
+ */
+function escandallo(cost) {
+  return h(
+    "div",
+    {},
+    table(
+      [
+        { key: "name", label: "Ingredient" },
+        { key: "quantity", label: "Qty", class: "num", format: (value, row) => `${num(value)} ${row.unit}` },
+        { key: "unitPrice", label: "Unit price", class: "num", format: (value) => num(value, 4) },
+        { key: "apCost", label: "AP cost", class: "num", format: money },
+        { key: "yieldPercentage", label: "Yield", class: "num", format: percent },
+        { key: "epCost", label: "EP cost", class: "num", format: money },
+        { key: "percentageOfTotal", label: "% of total", class: "num", format: percent },
+      ],
+      cost.breakdown
+    ),
+    h(
+      "dl",
+      { class: "totals" },
+      [
+        ["Spice factor", money(cost.spiceCost)],
+        ["Q factor", money(cost.qCost)],
+        ["Total cost", money(cost.totalCost)],
+        [`Per portion (${cost.portions})`, money(cost.costPerPortion)],
+        [`Suggested price at ${cost.targetFoodCost}% food cost`, money(cost.suggestedPrice)],
+        ["Allergens", cost.allergens?.length ? cost.allergens.join(", ") : "none declared"],
+      ].flatMap(([label, value]) => [h("dt", {}, label), h("dd", {}, value)])
+    )
+  );
+}
+
+/**
+ * Render the recipe costing view
+ * @param {HTMLElement} view - Container
+ * @param {Array} args - [recipe ID]
+ */
+export async function renderRecipes(view, [recipeId] = []) {
+  const [recipes, catalogue] = await Promise.all([api.get("/api/recipes"), api.get("/api/ingredients")]);
+  const recipe = recipeId ? await api.get(`/api/recipes/${encodeURIComponent(recipeId)}`) : blankRecipe();
+
+  const costArea = h("div", { class: "escandallo" });
+  const versionsArea = h("div", {});
+  const linesBody = h("tbody", {});
+
+  const recalculate = debounce(async () => {
+    try {
+      const cost = await api.post("/api/calculators/cost", { input: toRecipe(recipe) });
+      costArea.replaceChildren(escandallo(cost));
+    } catch (error) {
+      costArea.replaceChildren(errorBox(error));
+    }
+  });
+
+  const bind = (target, key, attrs = {}) =>
+    h("input", {
+      ...attrs,
+      value: target[key] ?? "",
+      oninput: (event) => {
+        target[key] = event.target.value;
+        recalculate();
+      },
+    });
+
+  const catalogueSelect = (line, nameInput) =>
+    h(
+      "select",
+      {
+        onchange: (event) => {
+          const item = catalogue.find((candidate) => candidate.id === event.target.value);
+          if (item) {
+            line.ingredientId = item.id;
+            line.name = item.name;
+            nameInput.value = item.name;
+          } else {
+            delete line.ingredientId;
+          }
+          recalculate();
+        },
+      },
+      h("option", { value: "" }, "— manual price —"),
+      catalogue.map((item) =>
+        h("option", { value: item.id, selected: item.id === line.ingredientId }, `${item.name} (${money(item.unitPrice)}/${item.unit})`)
+      )
+    );
+
+  const renderLines = () => {
+    linesBody.replaceChildren(
+      ...recipe.ingredients.map((line, index) => {
+        const nameInput = bind(line, "name", { placeholder: "Ingredient" });
+        return h(
+          "tr",
+          {},
+          h("td", {}, catalogueSelect(line, nameInput)),
+          h("td", {}, nameInput),
+          h("td", {}, bind(line, "quantity", { type: "number", min: 0, step: "any", class: "short" })),
+          h(
+            "td",
+            {},
+            h(
+              "select",
+              {
+                onchange: (event) => {
+                  line.unit = event.target.value;
+                  recalculate();
+                },
+              },
+              [...new Set([line.unit, ...UNITS])].map((unit) => h("option", { value: unit, selected: unit === line.unit }, unit))
+            )
+          ),
+          h("td", {}, bind(line, "unitPrice", { type: "number", min: 0, step: "any", class: "short", placeholder: "catalogue" })),
+          h("td", {}, bind(line, "yieldPercentage", { type: "number", min: 0, max: 100, step: "any", class: "short" })),
+          h(
+            "td",
+            {},
+            h(
+              "button",
+              {
+                type: "button",
+                class: "link",
+                title: "Remove line",
+                onclick: () => {
+                  recipe.ingredients.splice(index, 1);
+                  renderLines();
+                  recalculate();
+                },
+              },
+              "✕"
+            )
+          )
+        );
+      })
+    );
+  };
+
+  const renderVersions = async () => {
+    if (!recipe.id) return;
+    const versions = await api.get(`/api/recipes/${encodeURIComponent(recipe.id)}/versions`);
+    versionsArea.replaceChildren(
+      h("h2", {}, "Versions"),
+      table(
+        [
+          { key: "version", label: "v" },
+          { key: "savedAt", label: "Saved", format: (value) => new Date(value).toLocaleString() },
+          { key: "portions", label: "Portions" },
+          { key: "note", label: "Note", format: (value) => value || "" },
+          {
+            key: "restore",
+            label: "",
+            format: (value, row) =>
+              row.version === recipe.version
+                ? "current"
+                : h(
+                    "button",
+                    {
+                      type: "button",
+                      class: "link",
+                      onclick: async () => {
+                        if (!confirm(`Restore version ${row.version} as a new version?`)) return;
+                        await api.post(`/api/recipes/${encodeURIComponent(recipe.id)}/rollback`, { version: row.version });
+                        toast(`Restored version ${row.version}`, "success");
+                        renderRecipesAgain();
+                      },
+                    },
+                    "restore"
+                  ),
+          },
+        ],
+        versions.slice().reverse()
+      )
+    );
+  };
+
+  const renderRecipesAgain = () => {
+    view.replaceChildren();
+    renderRecipes(view, [recipe.id]).catch((error) => view.append(errorBox(error)));
+  };
+
+  const save = async () => {
+    const note = prompt("Change note for this version (optional):", "");
+    if (note === null) return;
+
+    const body = toRecipe(recipe);
+    const query = note ? `?note=${encodeURIComponent(note)}` : "";
+    try {
+      let saved;
+      if (recipe.id) {
+        saved = await api.put(`/api/recipes/${encodeURIComponent(recipe.id)}${query}`, body);
+      } else {
+        try {
+          saved = await api.post(`/api/recipes${query}`, body);
+        } catch (error) {
+          const existing = recipes.find((saved) => saved.name.toLowerCase() === body.name.toLowerCase());
+          if (error.status !== 409 || !existing || !confirm(`"${existing.name}" already exists. Save as a new version of it?`)) {
+            throw error;
+          }
+          saved = await api.put(`/api/recipes/${encodeURIComponent(existing.id)}${query}`, body);
+        }
+      }
+      toast(`Saved "${saved.name}" as version ${saved.version}`, "success");
+      location.hash = `#/recipes/${encodeURIComponent(saved.id)}`;
+      if (recipe.id === saved.id) renderRecipesAgain();
+    } catch (error) {
+      toast(error.message, "error");
+      costArea.replaceChildren(errorBox(error));
+    }
+  };
+
+  renderLines();
+
+  view.append(
+    h(
+      "div",
+      { class: "split" },
+      h(
+        "aside",
+        { class: "panel" },
+        h("h2", {}, "Saved recipes"),
+        h("a", { class: "button", href: "#/recipes" }, "+ New recipe"),
+        h(
+          "ul",
+          { class: "list" },
+          recipes.map((saved) =>
+            h(
+              "li",
+              { class: saved.id === recipe.id ? "active" : null },
+              h("a", { href: `#/recipes/${encodeURIComponent(saved.id)}` }, saved.name),
+              h("small", { class: "muted" }, ` v${saved.version || 1}`)
+            )
+          )
+        )
+      ),
+      h(
+        "section",
+        {},
+        h("h1", {}, recipe.id ? recipe.name : "New recipe"),
+        h(
+          "div",
+          { class: "panel fields" },
+          field("Name", bind(recipe, "name")),
+          field(
+            "Category",
+            h(
+              "select",
+              { onchange: (event) => (recipe.category = event.target.value) },
+              CATEGORIES.map((category) => h("option", { value: category, selected: category === recipe.category }, category))
+            )
+          ),
+          field("Portions", bind(recipe, "portions", { type: "number", min: 1, step: 1 })),
+          field("Target food cost %", bind(recipe, "targetFoodCost", { type: "number", min: 0, max: 100, step: "any" }))
+        ),
+        h(
+          "div",
+          { class: "panel" },
+          h(
+            "table",
+            { class: "editor" },
+            h(
+              "thead",
+              {},
+              h("tr", {}, ["Catalogue", "Name", "Qty", "Unit", "Unit price", "Yield %", ""].map((label) => h("th", {}, label)))
+            ),
+            linesBody
+          ),
+          h(
+            "button",
+            {
+              type: "button",
+              class: "secondary",
+              onclick: () => {
+                recipe.ingredients.push({ name: "", quantity: "", unit: "g", unitPrice: "", yieldPercentage: 100 });
+                renderLines();
+              },
+            },
+            "+ Add ingredient"
+          ),
+          h("button", { type: "button", onclick: save }, "💾 Save version")
+        ),
+        h("div", { class: "panel" }, h("h2", {}, "Escandallo"), costArea),
+        versionsArea
+      )
+    )
+  );
+
+  recalculate();
+  await renderVersions();
+}
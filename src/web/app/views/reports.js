@@ -0,0 +1,301 @@
+/**
+ * Reports: recipe costs, stock alerts, valuation, price history and the
+ * food cost tools
+ */
+
+import { h, field, table, money, num, percent, errorBox, resultView } from "../dom.js";
+import { api } from "../api.js";
+import { renderCalculators } from "./calculators.js";
+
+/**
+ * Cost of every saved recipe at current prices
+ * @param {HTMLElement} area - Container
+ */
+async function recipeCosts(area) {
+  const recipes = await api.get("/api/recipes");
+  const rows = await Promise.all(
+    recipes.map(async (recipe) => {
+      try {
+        const cost = await api.get(`/api/recipes/${encodeURIComponent(recipe.id)}/cost`);
+        return { ...recipe, ...cost };
+      } catch (error) {
+        return { ...recipe, error: error.message };
+      }
+    })
+  );
+
+  area.append(
+    h("h2", {}, "Recipe costs"),
+    table(
+      [
+        { key: "name", label: "Recipe", format: (value, row) => h("a", { href: `#/recipes/${encodeURIComponent(row.id)}` }, value) },
+        { key: "category", label: "Category", format: (value) => value || "" },
+        { key: "portions", label: "Portions" },
+        { key: "totalCost", label: "Total cost", class: "num", format: money },
+        { key: "costPerPortion", label: "Per portion", class: "num", format: money },
+        { key: "targetFoodCost", label: "Target", class: "num", format: percent },
+        { key: "suggestedPrice", label: "Suggested price", class: "num", format: money },
+        { key: "error", label: "", format: (value) => value || "" },
+      ],
+      rows,
+      { empty: "No saved recipes yet." }
+    )
+  );
+}
+
+/**
+ * Items below par, lots close to expiry and the lot trace for recalls
+ * @param {HTMLElement} area - Container
+ */
+async function stockAlerts(area) {
+  const lowStock = await api.get("/api/inventory/low-stock");
+  const expiringArea = h("div", {});
+  const traceArea = h("div", {});
+  let traceLot = "";
+
+  const showExpiring = async (days) => {
+    try {
+      const expiring = await api.get(`/api/inventory/expiring?days=${encodeURIComponent(days)}`);
+      expiringArea.replaceChildren(
+        table(
+          [
+            { key: "name", label: "Item" },
+            { key: "lotNumber", label: "Lot", format: (value, row) => value || row.date || "" },
+            { key: "quantity", label: "Quantity", format: (value, row) => `${num(value)} ${row.unit}` },
+            { key: "expiryDate", label: "Expiry" },
+            { key: "daysLeft", label: "Days left" },
+            { key: "useOrder", label: "Use", format: (value) => (value === 1 ? "next" : `#${value}`) },
+            { key: "status", label: "Status" },
+          ],
+          expiring,
+          { empty: "Nothing expiring in that window." }
+        )
+      );
+    } catch (error) {
+      expiringArea.replaceChildren(errorBox(error));
+    }
+  };
+
+  const showTrace = async (event) => {
+    event.preventDefault();
+    try {
+      const traced = await api.get(`/api/inventory/lots/${encodeURIComponent(traceLot.trim())}/trace`);
+      traceArea.replaceChildren(
+        ...traced.flatMap((entry) => [
+          h(
+            "p",
+            {},
+            `${entry.name}, lot ${entry.lotNumber || entry.movementId}: ${num(entry.received)} ${entry.unit} received ${entry.date}` +
+              `${entry.supplier ? ` from ${entry.supplier}` : ""}${entry.expiryDate ? `, expires ${entry.expiryDate}` : ""}` +
+              ` · ${num(entry.remaining)} ${entry.unit} still on hand`
+          ),
+          table(
+            [
+              { key: "date", label: "Date" },
+              { key: "type", label: "Type" },
+              { key: "recipeName", label: "Recipe", format: (value) => value || "" },
+              { key: "portions", label: "Portions", format: (value) => (value === undefined ? "" : num(value)) },
+              { key: "quantity", label: "Quantity", format: (value) => `${num(value)} ${entry.unit}` },
+              { key: "reference", label: "Reference" },
+              { key: "user", label: "User", format: (value) => value || "" },
+            ],
+            entry.uses,
+            { empty: "Not used yet." }
+          ),
+        ])
+      );
+    } catch (error) {
+      traceArea.replaceChildren(errorBox(error));
+    }
+  };
+
+  area.append(
+    h("h2", {}, "Below par"),
+    table(
+      [
+        { key: "name", label: "Item" },
+        { key: "quantity", label: "On hand", format: (value, row) => `${num(value)} ${row.unit}` },
+        { key: "parLevel", label: "Par" },
+        { key: "orderQuantity", label: "Order", format: (value, row) => `${num(value)} ${row.unit}` },
+        { key: "supplier", label: "Supplier", format: (value) => value || "" },
+        { key: "status", label: "Status" },
+      ],
+      lowStock,
+      { empty: "Everything is at or above par." }
+    ),
+    h("h2", {}, "Expiring"),
+    field(
+      "Within days",
+      h("input", { type: "number", min: 0, value: 7, class: "short", onchange: (event) => showExpiring(event.target.value) })
+    ),
+    expiringArea,
+    h("h2", {}, "Lot trace"),
+    h(
+      "form",
+      { class: "fields", onsubmit: showTrace },
+      field("Supplier lot number", h("input", { required: true, oninput: (event) => (traceLot = event.target.value) })),
+      h("button", { type: "submit" }, "Trace")
+    ),
+    traceArea
+  );
+  await showExpiring(7);
+}
+
+const COSTING_METHODS = [
+  { value: "", label: "Default (FOOD_SYSTEM_COSTING)" },
+  { value: "fifo", label: "FIFO" },
+  { value: "fefo", label: "FEFO (first expiry first out)" },
+  { value: "weighted-average", label: "Weighted average" },
+  { value: "last-price", label: "Last purchase price" },
+];
+
+/**
+ * Stock value by category, by costing method
+ * @param {HTMLElement} area - Container
+ */
+async function valuation(area) {
+  const reportArea = h("div", {});
+
+  const show = async (method) => {
+    try {
+      const query = method ? `?method=${encodeURIComponent(method)}` : "";
+      const report = await api.get(`/api/inventory/valuation${query}`);
+      const byCategory = new Map();
+      for (const item of report.items) {
+        const entry = byCategory.get(item.category) || { category: item.category, items: 0, value: 0 };
+        entry.items += 1;
+        entry.value += item.value;
+        byCategory.set(item.category, entry);
+      }
+
+      const rows = [...byCategory.values()].sort((a, b) => b.value - a.value);
+      const total = rows.reduce((sum, row) => sum + row.value, 0);
+      reportArea.replaceChildren(
+        table(
+          [
+            { key: "category", label: "Category" },
+            { key: "items", label: "Items" },
+            { key: "value", label: "Value", class: "num", format: money },
+            { key: "share", label: "Share", class: "num", format: (value, row) => percent(total ? (row.value / total) * 100 : 0) },
+          ],
+          rows,
+          { empty: "No stock items yet." }
+        ),
+        h("p", {}, h("strong", {}, `Total stock value: ${money(total)}`), ` (valued by ${report.method})`)
+      );
+    } catch (error) {
+      reportArea.replaceChildren(errorBox(error));
+    }
+  };
+
+  area.append(
+    h("h2", {}, "Inventory valuation"),
+    field(
+      "Costing method",
+      h(
+        "select",
+        { onchange: (event) => show(event.target.value) },
+        COSTING_METHODS.map((method) => h("option", { value: method.value }, method.label))
+      )
+    ),
+    reportArea
+  );
+  await show(COSTING_METHODS[0].value);
+}
+
+/**
+ * Price history of one ingredient
+ * @param {HTMLElement} area - Container
+ */
+async function priceHistory(area) {
+  const ingredients = await api.get("/api/ingredients");
+  const historyArea = h("div", {});
+
+  const show = async (id) => {
+    if (!id) {
+      historyArea.replaceChildren();
+      return;
+    }
+    try {
+      const history = await api.get(`/api/ingredients/${encodeURIComponent(id)}/prices`);
+      historyArea.replaceChildren(
+        table(
+          [
+            { key: "effectiveDate", label: "Effective" },
+            { key: "previousUnitPrice", label: "From", class: "num", format: (value) => num(value, 4) },
+            { key: "unitPrice", label: "To", class: "num", format: (value) => num(value, 4) },
+            { key: "supplier", label: "Supplier", format: (value) => value || "" },
+            { key: "note", label: "Note", format: (value) => value || "" },
+          ],
+          history.slice().reverse(),
+          { empty: "No price changes recorded." }
+        )
+      );
+    } catch (error) {
+      historyArea.replaceChildren(errorBox(error));
+    }
+  };
+
+  area.append(
+    h("h2", {}, "Price history"),
+    field(
+      "Ingredient",
+      h(
+        "select",
+        { onchange: (event) => show(event.target.value) },
+        h("option", { value: "" }, "Choose…"),
+        ingredients.map((item) => h("option", { value: item.id }, item.name))
+      )
+    ),
+    historyArea
+  );
+}
+
+/**
+ * Recently saved cost calculations
+ * @param {HTMLElement} area - Container
+ */
+async function costHistory(area) {
+  const costs = await api.get("/api/costs?limit=25");
+  area.append(
+    h("h2", {}, "Saved cost calculations"),
+    costs.length > 0 ? resultView(costs) : h("p", { class: "muted" }, "No saved cost calculations.")
+  );
+}
+
+const REPORTS = [
+  { key: "costs", label: "Recipe costs", render: recipeCosts },
+  { key: "alerts", label: "Stock alerts", render: stockAlerts },
+  { key: "valuation", label: "Valuation", render: valuation },
+  { key: "prices", label: "Price history", render: priceHistory },
+  { key: "history", label: "Cost history", render: costHistory },
+  { key: "foodcost", label: "Food cost tools", render: (area) => renderCalculators(area, "foodcost", "Food cost & menu engineering") },
+];
+
+/**
+ * Render the reports view
+ * @param {HTMLElement} view - Container
+ * @param {Array} args - [report key]
+ */
+export async function renderReports(view, [reportKey] = []) {
+  const report = REPORTS.find((candidate) => candidate.key === reportKey) || REPORTS[0];
+  const area = h("div", { class: "panel" });
+
+  view.append(
+    h("h1", {}, "Reports & Analysis"),
+    h(
+      "div",
+      { class: "tabs" },
+      REPORTS.map((candidate) =>
+        h("a", { class: candidate === report ? "active" : null, href: `#/reports/${candidate.key}` }, candidate.label)
+      )
+    ),
+    area
+  );
+
+  try {
+    await report.render(area);
+  } catch (error) {
+    area.append(errorBox(error));
+  }
+}
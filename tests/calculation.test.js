@@ -0,0 +1,283 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { UnitConverter } from "../src/core/converters/UnitConverter.js";
+import { RecipeCostCalculator } from "../src/core/calculations/RecipeCostCalculator.js";
+import { InventoryCostingCalculator } from "../src/core/calculations/InventoryCostingCalculator.js";
+
+const close = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} should be ${expected}`);
+
+describe("UnitConverter", () => {
+  const converter = new UnitConverter();
+
+  test("converts within a dimension, accepting aliases", () => {
+    assert.equal(converter.convert(2, "kg", "g"), 2000);
+    close(converter.convert(1, "Pounds", "kg"), 0.45359237);
+    assert.equal(converter.convert(3, "Litres", "ml"), 3000);
+    assert.equal(converter.convert(2, "dozen", "units"), 24);
+  });
+
+  test("converts between volume and weight through density", () => {
+    close(converter.convert(1, "cup", "g", "flour"), 236.5882365 * 0.53);
+    close(converter.convert(910, "g", "l", "olive oil"), 1);
+    close(converter.convert(1, "l", "g", { name: "stock syrup", density: 1.3 }), 1300);
+  });
+
+  test("converts counts through the unit weight", () => {
+    assert.equal(converter.convert(6, "units", "g", { name: "egg", unitWeight: 50 }), 300);
+    assert.throws(() => converter.convert(6, "units", "g", "egg"), /no unit weight known for "egg"/);
+  });
+
+  test("matches densities by exact name or trailing whole words", () => {
+    assert.equal(converter.getDensity("Olive  Oil"), 0.91);
+    assert.equal(converter.getDensity("caster sugar"), 0.85);
+    assert.equal(converter.getDensity("extra virgin olive oil"), 0.91);
+    assert.equal(converter.getDensity("free range eggs"), 1.03);
+    assert.equal(converter.getDensity("eggplant"), null);
+    assert.equal(converter.getDensity("sugar snap peas"), null);
+    assert.equal(converter.getDensity("constructor"), null);
+  });
+
+  test("refuses volume to weight without a density", () => {
+    assert.throws(() => converter.convert(1, "cup", "g", "saffron"), /no density known for "saffron"/);
+    assert.equal(converter.canConvert("cup", "g", "saffron"), false);
+  });
+
+  test("converts prices into the recipe unit", () => {
+    close(converter.convertPrice(12, "kg", "g"), 0.012);
+    close(converter.convertPrice(1.5, "l", "tbsp"), 1.5 * 0.01478676478125);
+  });
+});
+
+describe("RecipeCostCalculator", () => {
+  const calculator = new RecipeCostCalculator();
+  const catalogue = {
+    "olive-oil": { id: "olive-oil", name: "Olive Oil", unit: "l", packPrice: 18, packSize: 1, packUnit: "l", packCount: 12 },
+    flour: { id: "flour", name: "Flour", unit: "kg", packPrice: 12, packSize: 10, packUnit: "kg" },
+    carrot: { id: "carrot", name: "Carrot", unit: "kg", unitPrice: 2, defaultYield: 80 },
+  };
+
+  test("prices a line from its pack", () => {
+    const cost = calculator.calculateRecipeCost(
+      { name: "Dressing", portions: 1, ingredients: [{ ingredientId: "olive-oil", quantity: 100, unit: "ml" }] },
+      { catalogue }
+    );
+    const [line] = cost.breakdown;
+    assert.equal(line.purchaseUnit, "l");
+    close(line.purchasePrice, 1.5);
+    close(line.unitPrice, 0.0015);
+    close(line.apCost, 0.15);
+  });
+
+  test("prices a line bought by weight and used by volume through its density", () => {
+    const cost = calculator.calculateRecipeCost({
+      name: "Roux",
+      portions: 1,
+      ingredients: [{ name: "Flour", quantity: 1, unit: "cup", unitPrice: 1.2, purchaseUnit: "kg" }],
+    });
+    close(cost.breakdown[0].apCost, 1.2 * 0.2365882365 * 0.53);
+  });
+
+  test("refuses units it cannot reconcile", () => {
+    assert.throws(
+      () =>
+        calculator.calculateRecipeCost({
+          name: "Saffron rice",
+          ingredients: [{ name: "Saffron", quantity: 1, unit: "tsp", unitPrice: 3000, purchaseUnit: "kg" }],
+        }),
+      /"Saffron": cannot reconcile purchase unit "kg" with recipe unit "tsp"/
+    );
+  });
+
+  test("grosses up the edible portion by the yield", () => {
+    const cost = calculator.calculateRecipeCost(
+      { name: "Carrot salad", portions: 4, ingredients: [{ ingredientId: "carrot", quantity: 1, unit: "kg" }] },
+      { catalogue }
+    );
+    const [line] = cost.breakdown;
+    assert.equal(line.yieldPercentage, 80);
+    close(line.apCost, 2);
+    close(line.epCost, 2.5);
+    close(line.wasteCost, 0.5);
+    close(cost.totalCost, 2.5 * (1 + calculator.defaultSpiceFactor + calculator.defaultQFactor));
+    close(cost.costPerPortion, cost.totalCost / 4);
+  });
+
+  test("flags legacy prices taken as per recipe unit and refuses lines with no price", () => {
+    const cost = calculator.calculateRecipeCost({
+      name: "Soup",
+      ingredients: [{ name: "Basil", quantity: 10, unit: "g", unitPrice: 0.05 }],
+    });
+    close(cost.breakdown[0].apCost, 0.5);
+    assert.match(cost.warnings[0], /"Basil": no purchase unit/);
+
+    assert.throws(
+      () => calculator.calculateRecipeCost({ name: "Soup", ingredients: [{ name: "Basil", quantity: 10, unit: "g" }] }),
+      /"Basil": no price/
+    );
+  });
+
+  test("costs a sub-recipe line by the sub-recipe yield", () => {
+    const subRecipes = {
+      vinaigrette: {
+        name: "Vinaigrette",
+        yieldQuantity: 2,
+        yieldUnit: "l",
+        spiceFactor: 0.0001,
+        qFactor: 0.0001,
+        ingredients: [{ ingredientId: "olive-oil", quantity: 2, unit: "l" }],
+      },
+    };
+    const cost = calculator.calculateRecipeCost(
+      { name: "Salad", portions: 1, ingredients: [{ recipeRef: "vinaigrette", name: "Vinaigrette", quantity: 500, unit: "ml" }] },
+      { catalogue, subRecipes }
+    );
+    const [line] = cost.breakdown;
+    const batchCost = 3 * 1.0002;
+    close(line.subRecipe.costPerYieldUnit, batchCost / 2);
+    close(line.apCost, batchCost / 4);
+  });
+
+  test("costs a sub-recipe without a yield per portion", () => {
+    const subRecipes = {
+      croutons: { name: "Croutons", portions: 10, ingredients: [{ name: "Bread", quantity: 1, unit: "kg", unitPrice: 4, purchaseUnit: "kg" }] },
+    };
+    const cost = calculator.calculateRecipeCost(
+      { name: "Soup", portions: 1, ingredients: [{ recipeRef: "croutons", name: "Croutons", quantity: 2, unit: "portions" }] },
+      { subRecipes }
+    );
+    close(cost.breakdown[0].apCost, (cost.breakdown[0].subRecipe.cost.totalCost / 10) * 2);
+  });
+
+  test("refuses circular sub-recipes", () => {
+    const subRecipes = {
+      a: { name: "A", ingredients: [{ recipeRef: "b", name: "B", quantity: 1, unit: "portion" }] },
+      b: { name: "B", ingredients: [{ recipeRef: "a", name: "A", quantity: 1, unit: "portion" }] },
+    };
+    assert.throws(
+      () => calculator.calculateRecipeCost(subRecipes.a, { subRecipes, recipeRef: "a" }),
+      /Circular sub-recipe reference: a → b → a/
+    );
+  });
+
+  test("prices catalogue lines from the catalogue, not a stale embedded price", () => {
+    const cost = calculator.calculateRecipeCost(
+      {
+        name: "Bread",
+        portions: 1,
+        ingredients: [{ ingredientId: "flour", name: "Flour", quantity: 500, unit: "g", unitPrice: 9, purchaseUnit: "kg" }],
+      },
+      { catalogue }
+    );
+    assert.equal(cost.breakdown[0].priceSource, "catalogue");
+    close(cost.breakdown[0].apCost, 0.6);
+  });
+
+  test("lets a line price override the catalogue per purchase unit", () => {
+    const cost = calculator.calculateRecipeCost(
+      { name: "Bread", portions: 1, ingredients: [{ ingredientId: "flour", quantity: 500, unit: "g", priceOverride: 2 }] },
+      { catalogue }
+    );
+    assert.equal(cost.breakdown[0].priceSource, "override");
+    close(cost.breakdown[0].apCost, 1);
+  });
+
+  test("costs a line missing from the catalogue from its own price, if it has one", () => {
+    const line = { ingredientId: "butter", name: "Butter", quantity: 250, unit: "g", unitPrice: 8, purchaseUnit: "kg" };
+    const cost = calculator.calculateRecipeCost({ name: "Sauce", ingredients: [line] }, { catalogue });
+    assert.equal(cost.breakdown[0].priceSource, "recipe");
+    close(cost.breakdown[0].apCost, 2);
+
+    assert.throws(
+      () => calculator.calculateRecipeCost({ name: "Sauce", ingredients: [{ ingredientId: "butter", name: "Butter", quantity: 1, unit: "kg" }] }, { catalogue }),
+      /catalogue item "butter" not found/
+    );
+  });
+
+  test("takes as-purchased stock in stock units for the portions made", () => {
+    const subRecipes = {
+      dough: { name: "Dough", yieldQuantity: 1, yieldUnit: "kg", ingredients: [{ ingredientId: "flour", quantity: 600, unit: "g" }] },
+    };
+    const recipe = {
+      name: "Pie",
+      portions: 4,
+      ingredients: [
+        { ingredientId: "carrot", quantity: 400, unit: "g" },
+        { recipeRef: "dough", name: "Dough", quantity: 500, unit: "g" },
+        { name: "Thyme", quantity: 2, unit: "g", unitPrice: 0.1 },
+      ],
+    };
+    const { requirements, unmatched } = calculator.calculateStockRequirements(recipe, 8, { catalogue, subRecipes });
+    const byId = Object.fromEntries(requirements.map((requirement) => [requirement.ingredientId, requirement]));
+    close(byId.carrot.quantity, 1);
+    assert.equal(byId.carrot.unit, "kg");
+    close(byId.flour.quantity, 0.6);
+    assert.deepEqual(unmatched, ["Thyme"]);
+  });
+});
+
+describe("InventoryCostingCalculator", () => {
+  const calculator = new InventoryCostingCalculator();
+  const movements = [
+    { id: "r1", type: "receipt", date: "2026-10-01", quantity: 10, unitCost: 2 },
+    { id: "r2", type: "receipt", date: "2026-10-02", quantity: 10, unitCost: 3 },
+    { id: "s1", type: "sale", date: "2026-10-03", quantity: -5 },
+  ];
+
+  test("draws FIFO lots in the order they came in", () => {
+    const result = calculator.costMovements(movements, "fifo");
+    assert.equal(result.costed[2].cost, -10);
+    assert.deepEqual(result.lots.map((lot) => [lot.movementId, lot.quantity]), [["r1", 5], ["r2", 10]]);
+    assert.equal(result.quantity, 15);
+    assert.equal(result.value, 40);
+  });
+
+  test("values stock by weighted average and last price", () => {
+    const average = calculator.costMovements(movements, "weighted-average");
+    assert.equal(average.costed[2].cost, -12.5);
+    assert.equal(average.value, 37.5);
+
+    const last = calculator.costMovements(movements, "last-price");
+    assert.equal(last.costed[2].cost, -15);
+    assert.equal(last.value, 45);
+  });
+
+  test("costs stock issued beyond the lots at the last price and matches it to the next receipt", () => {
+    const result = calculator.costMovements(
+      [
+        { id: "r1", type: "receipt", date: "2026-10-01", quantity: 2, unitCost: 4 },
+        { id: "s1", type: "sale", date: "2026-10-02", quantity: -5 },
+        { id: "r2", type: "receipt", date: "2026-10-03", quantity: 5, unitCost: 5 },
+      ],
+      "fifo"
+    );
+    assert.equal(result.costed[1].cost, -20);
+    assert.deepEqual(result.lots.map((lot) => [lot.movementId, lot.quantity]), [["r2", 2]]);
+    assert.equal(result.quantity, 2);
+    assert.equal(result.value, 10);
+  });
+
+  test("refuses unknown costing methods", () => {
+    assert.throws(() => calculator.costMovements(movements, "lifo"), /Unknown costing method "lifo"/);
+  });
+
+  const lots = [
+    { id: "r1", type: "receipt", date: "2026-10-01", quantity: 10, unitCost: 2, lotNumber: "A", expiryDate: "2026-12-01" },
+    { id: "r2", type: "receipt", date: "2026-10-02", quantity: 10, unitCost: 3, lotNumber: "B", expiryDate: "2026-11-01" },
+    { id: "s1", type: "sale", date: "2026-10-03", quantity: -5 },
+  ];
+
+  test("draws FEFO lots soonest expiry first", () => {
+    const result = calculator.costMovements(lots, "fefo");
+    assert.equal(result.costed[2].cost, -15);
+    assert.deepEqual(result.costed[2].drew, [{ movementId: "r2", lotNumber: "B", quantity: 5 }]);
+    assert.deepEqual(result.lots.map((lot) => [lot.lotNumber, lot.quantity]), [["B", 5], ["A", 10]]);
+    assert.equal(result.value, 35);
+  });
+
+  test("draws the lot a removal names first", () => {
+    const result = calculator.costMovements([...lots.slice(0, 2), { ...lots[2], lot: "A" }], "fefo");
+    assert.equal(result.costed[2].cost, -10);
+    assert.equal(result.value, 40);
+  });
+});
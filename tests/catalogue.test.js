@@ -0,0 +1,78 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { openData, closeData } from "./helpers.js";
+
+describe("ingredient catalogue", () => {
+  let data;
+
+  beforeEach(async () => {
+    data = await openData();
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("stores items under a slug of their name", async () => {
+    await data.saveIngredient({ name: "Crème Fraîche", unit: "l", unitPrice: 6 });
+    const item = await data.getIngredient("creme-fraiche");
+    assert.equal(item.name, "Crème Fraîche");
+    assert.equal(await data.getIngredient("cream"), null);
+  });
+
+  test("reads items from legacy collection files, single files taking precedence", async () => {
+    await fs.outputJson(path.join(data.paths.ingredients, "common.json"), {
+      ingredients: [
+        { name: "Sea Salt", unit: "kg", unitPrice: 1 },
+        { name: "Butter", unit: "kg", unitPrice: 8 },
+      ],
+    });
+    await data.saveIngredient({ name: "Butter", unit: "kg", unitPrice: 9 });
+
+    const catalogue = await data.loadCatalogue();
+    assert.deepEqual(Object.keys(catalogue).sort(), ["butter", "sea-salt"]);
+    assert.equal(catalogue.butter.unitPrice, 9);
+    assert.equal((await data.getIngredient("sea-salt")).unitPrice, 1);
+  });
+
+});
+
+describe("ingredient price history", () => {
+  let data;
+
+  beforeEach(async () => {
+    data = await openData();
+    await data.saveIngredient({ name: "Butter", unit: "kg", unitPrice: 10 });
+    await data.recordPriceChange("butter", {
+      unitPrice: 10,
+      previousUnitPrice: 8,
+      effectiveDate: "2026-09-01",
+    });
+    await data.recordPriceChange("butter", {
+      unitPrice: 9,
+      previousUnitPrice: 10,
+      supplier: "Dairy Co",
+      effectiveDate: "2026-08-01",
+    });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("keeps changes in order of the date they take effect", async () => {
+    const history = await data.loadPriceHistory("butter");
+    assert.deepEqual(history.map((entry) => entry.effectiveDate), ["2026-08-01", "2026-09-01"]);
+    assert.deepEqual(await data.loadPriceHistory("cream"), []);
+  });
+
+  test("prices the catalogue as of a past date", async () => {
+    assert.equal((await data.loadCatalogueAsOf("2026-07-15")).butter.unitPrice, 10);
+    const august = (await data.loadCatalogueAsOf("2026-08-15")).butter;
+    assert.equal(august.unitPrice, 9);
+    assert.equal(august.supplier, "Dairy Co");
+    assert.equal((await data.loadCatalogueAsOf("2026-10-01")).butter.unitPrice, 10);
+  });
+});
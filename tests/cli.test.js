@@ -0,0 +1,124 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { runCli } from "../src/cli/index.js";
+import { renderOutput, flatten } from "../src/cli/output.js";
+
+/**
+ * Run the command-line mode, capturing what it writes
+ * @param {Array} args - Command-line arguments
+ * @returns {Promise<Object>} - { code, stdout, stderr }
+ */
+async function run(args) {
+  const out = { stdout: "", stderr: "" };
+  const io = {
+    stdout: { write: (text) => (out.stdout += text) },
+    stderr: { write: (text) => (out.stderr += text) },
+  };
+  const code = await runCli(args, io);
+  return { code, ...out };
+}
+
+describe("command-line output", () => {
+  const result = {
+    data: { total: 1.23456, lines: [{ name: "Flour, strong", cost: 0.5 }] },
+    rows: [
+      { name: "Flour, strong", cost: 0.123456 },
+      { name: 'Say "cheese"', cost: 2 },
+    ],
+    columns: ["name", "cost"],
+  };
+
+  test("flattens nested results into field/value rows", () => {
+    assert.deepEqual(flatten({ recipe: { name: "Soup", tags: ["vegan", "hot"] }, cost: 2 }), [
+      { field: "recipe.name", value: "Soup" },
+      { field: "recipe.tags", value: "vegan; hot" },
+      { field: "cost", value: 2 },
+    ]);
+  });
+
+  test("renders a table with rounded numbers", () => {
+    const output = renderOutput(result, "table");
+    assert.match(output, /Flour, strong/);
+    assert.match(output, /0\.123 /);
+    assert.doesNotMatch(output, /0\.123456/);
+    assert.equal(renderOutput({ rows: [] }, "table"), "No results");
+  });
+
+  test("escapes CSV cells", () => {
+    assert.equal(renderOutput(result, "csv").split("\n")[2], '"Say ""cheese""",2');
+    assert.equal(renderOutput({ rows: [] }, "csv"), "");
+  });
+
+  test("rounds numbers the same way in every format", () => {
+    assert.equal(renderOutput(result, "csv").split("\n")[1], '"Flour, strong",0.123');
+    assert.deepEqual(JSON.parse(renderOutput(result, "json")), {
+      total: 1.235,
+      lines: [{ name: "Flour, strong", cost: 0.5 }],
+    });
+  });
+});
+
+describe("runCli", () => {
+  test("prints help and lists the commands", async () => {
+    const { code, stdout } = await run(["help"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /Usage: foodsystem <command>/);
+    assert.match(stdout, /convert/);
+  });
+
+  test("runs a command and renders its result", async () => {
+    const { code, stdout } = await run(["convert", "2", "kg", "g", "--format", "json"]);
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).result, 2000);
+  });
+
+  test("writes the output to a file", async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), "foodsystem-test-"));
+    try {
+      const file = path.join(root, "out.csv");
+      const { code, stdout } = await run(["convert", "1", "l", "ml", "-f", "csv", "-o", file]);
+      assert.equal(code, 0);
+      assert.equal(stdout, "");
+      assert.match(await fs.readFile(file, "utf8"), /^field,value\n/);
+    } finally {
+      await fs.remove(root);
+    }
+  });
+
+  test("exits with the usage code on bad arguments", async () => {
+    for (const args of [
+      ["frobnicate"],
+      ["convert", "2", "kg", "g", "--format", "xml"],
+      ["convert", "2", "kg", "g", "--format", "pdf", "-o", "out.pdf"],
+      ["convert", "2", "kg", "g", "--bogus"],
+      ["convert", "two", "kg", "g"],
+      ["convert", "1", "cup", "g", "--ingredient", "saffron"],
+    ]) {
+      const { code, stderr } = await run(args);
+      assert.equal(code, 2, `${args.join(" ")} should be a usage error`);
+      assert.match(stderr, /^error: /);
+    }
+  });
+
+  test("costs a recipe file", async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), "foodsystem-test-"));
+    try {
+      const file = path.join(root, "soup.json");
+      await fs.writeJson(file, {
+        name: "Soup",
+        portions: 2,
+        spiceFactor: 0.02,
+        qFactor: 0.03,
+        ingredients: [{ name: "Tomato", quantity: 1, unit: "kg", unitPrice: 3, purchaseUnit: "kg" }],
+      });
+      const { code, stdout } = await run(["cost", file, "--format", "json"]);
+      assert.equal(code, 0);
+      assert.equal(JSON.parse(stdout).costPerPortion, 1.575);
+    } finally {
+      await fs.remove(root);
+    }
+  });
+});
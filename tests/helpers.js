@@ -0,0 +1,31 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { DataService } from "../src/services/DataService.js";
+
+/**
+ * A data service over a fresh temporary data directory
+ * @param {DataService} dataService - Data service to move there, e.g. the shared
+ *   one the menus, CLI and server use (default: a new one)
+ * @returns {Promise<DataService>} - Data service; remove it with closeData
+ */
+export async function openData(dataService = new DataService()) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "foodsystem-test-"));
+  await dataService.closeStorage();
+  dataService.basePath = root;
+  dataService.paths = Object.fromEntries(
+    Object.entries(dataService.paths).map(([collection, dir]) => [collection, path.join(root, path.basename(dir))])
+  );
+  return dataService;
+}
+
+/**
+ * Close a data service opened with openData and remove its directory
+ * @param {DataService} dataService - Data service
+ */
+export async function closeData(dataService) {
+  await dataService.closeStorage();
+  await fs.remove(dataService.basePath);
+}
+
+export const today = new Date().toISOString().split("T")[0];
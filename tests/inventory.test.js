@@ -0,0 +1,395 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { InventoryService } from "../src/services/InventoryService.js";
+import { WasteService } from "../src/services/WasteService.js";
+import { openData, closeData, today } from "./helpers.js";
+
+// 1 kg of tomato at 80% yield makes 4 portions: 0.3125 kg as purchased per portion
+const SOUP = {
+  name: "Tomato Soup",
+  portions: 4,
+  ingredients: [
+    { ingredientId: "tomato", name: "Tomato", quantity: 1, unit: "kg", yieldPercentage: 80 },
+    { name: "Basil", quantity: 10, unit: "g", unitPrice: 0.05 },
+  ],
+};
+
+describe("stock depletion", () => {
+  let data;
+  let inventory;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+    await data.saveIngredient({ name: "Tomato", unit: "kg", unitPrice: 2, quantity: 10 });
+    await data.saveRecipe({ ...SOUP });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("takes a production batch's ingredients out of stock", async () => {
+    const result = await inventory.recordDepletion({ type: "production", recipeId: "tomato-soup", batches: 2, user: "ana" });
+
+    assert.equal(result.portions, 8);
+    assert.deepEqual(result.movements.map((movement) => [movement.type, movement.ingredientId, movement.quantity]), [
+      ["production", "tomato", -2.5],
+    ]);
+    assert.equal(result.movements[0].reference, result.reference);
+    assert.equal(result.movements[0].user, "ana");
+    assert.equal((await data.getIngredient("tomato")).quantity, 7.5);
+    assert.deepEqual(result.warnings, ['"Basil" is not in the ingredient catalogue; no stock was deducted for it']);
+  });
+
+  test("warns when a sale takes stock below zero", async () => {
+    const result = await inventory.recordDepletion({ type: "sale", recipeId: "tomato-soup", portions: 40 });
+
+    assert.equal((await data.getIngredient("tomato")).quantity, -2.5);
+    assert.match(result.warnings[1], /Tomato stock at .* is now negative \(-2\.5 kg\)/);
+    assert.equal((await data.loadMovements({ type: "sale" })).length, 1);
+  });
+
+  test("refuses unknown events and nothing made", async () => {
+    await assert.rejects(inventory.recordDepletion({ type: "theft", recipeId: "tomato-soup", portions: 1 }), /Unknown depletion type "theft"/);
+    await assert.rejects(inventory.recordDepletion({ type: "sale", recipeId: "tomato-soup", portions: 0 }), /greater than zero/);
+    assert.equal((await data.getIngredient("tomato")).quantity, 10);
+  });
+});
+
+describe("stock ledger", () => {
+  let data;
+  let inventory;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("starts a new item's ledger with its quantity as opening balance", async () => {
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1.2, quantity: 25 });
+
+    const [opening] = await data.loadMovements({ ingredientId: "flour" });
+    assert.equal(opening.type, "opening");
+    assert.equal(opening.quantity, 25);
+    assert.equal(opening.unitCost, 1.2);
+    assert.equal(opening.location, "main");
+  });
+
+  test("records movements with the sign of their direction", async () => {
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1.2, quantity: 25 });
+
+    const { movement: receipt } = await inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 10, unitCost: 1 });
+    const { movement: sale, item } = await inventory.recordMovement({ ingredientId: "flour", type: "staff-meal", quantity: 2 });
+
+    assert.equal(receipt.quantity, 10);
+    assert.equal(sale.quantity, -2);
+    assert.equal(item.quantity, 33);
+    assert.deepEqual(item.ledgerBalance, { quantity: 33, locations: { main: 33 } });
+  });
+
+  test("refuses movements it cannot record", async () => {
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1.2, quantity: 25 });
+
+    await assert.rejects(inventory.recordMovement({ ingredientId: "rye", type: "receipt", quantity: 1 }), /Ingredient "rye" not found/);
+    await assert.rejects(inventory.recordMovement({ ingredientId: "flour", type: "gift", quantity: 1 }), /Unknown movement type "gift"/);
+    await assert.rejects(inventory.recordMovement({ ingredientId: "flour", type: "sale", quantity: -1 }), /positive numbers/);
+    await assert.rejects(inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 0 }), /other than zero/);
+    await assert.rejects(
+      inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 1, location: "bar" }),
+      /location/i
+    );
+    assert.equal((await data.loadMovements({ ingredientId: "flour" })).length, 1);
+  });
+
+  test("loads movements oldest first, filtered", async () => {
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1.2, quantity: 25 });
+    await inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 10, unitCost: 1, date: "2026-03-02" });
+    await inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 5, unitCost: 1, date: "2026-03-01" });
+    await inventory.recordMovement({ ingredientId: "flour", type: "sale", quantity: 1, date: "2026-03-03" });
+
+    const receipts = await data.loadMovements({ ingredientId: "flour", type: "receipt" });
+    assert.deepEqual(receipts.map((movement) => movement.date), ["2026-03-01", "2026-03-02"]);
+    assert.deepEqual(
+      (await data.loadMovements({ from: "2026-03-02", to: "2026-03-03" })).map((movement) => movement.type),
+      ["receipt", "sale"]
+    );
+    assert.equal((await data.loadMovements({ location: "main" })).length, 4);
+  });
+
+  test("dates the opening balance of an item stored before the ledger ahead of its first movements", async () => {
+    const storage = await data.getStorage();
+    await storage.put("ingredients", "flour", { id: "flour", name: "Flour", unit: "kg", unitPrice: 2, quantity: 5 });
+
+    await inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 5, unitCost: 3, lotNumber: "L1", date: "2026-01-10" });
+    await inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 5, unitCost: 4, lotNumber: "L2" });
+    const { movement } = await inventory.recordMovement({ ingredientId: "flour", type: "production", quantity: 6, method: "fifo" });
+
+    const ledger = await data.loadMovements({ ingredientId: "flour" });
+    assert.deepEqual(ledger.map((entry) => entry.type), ["opening", "receipt", "receipt", "production"]);
+    assert.equal(ledger[0].date, "2026-01-10");
+    assert.equal(ledger[0].quantity, 5);
+    // Five from the opening stock at 2, one from L1 at 3
+    assert.equal(movement.unitCost, Math.round((13 / 6) * 1e6) / 1e6);
+    const { lots } = inventory.costingCalculator.costMovements(ledger, "fifo");
+    assert.deepEqual(lots.map((lot) => [lot.lotNumber, lot.quantity]), [["L1", 4], ["L2", 5]]);
+    assert.equal((await data.getIngredient("flour")).quantity, 9);
+  });
+});
+
+describe("stock takes", () => {
+  let data;
+  let inventory;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1, quantity: 20, category: "Dry goods", storageArea: "Dry Store" });
+    await data.saveIngredient({ name: "Cream", unit: "l", unitPrice: 3, quantity: 4, category: "Dairy", storageArea: "Fridge" });
+    await data.saveIngredient({ name: "Basil", unit: "kg", unitPrice: 10, quantity: 1, category: "Produce" });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("lays the count sheet out by storage area", async () => {
+    const sheet = inventory.buildCountSheet(await data.loadIngredients());
+    assert.deepEqual(sheet.map((line) => [line.storageArea, line.name, line.expected]), [
+      ["Fridge", "Cream", 4],
+      ["Dry Store", "Flour", 20],
+      ["Unassigned", "Basil", 1],
+    ]);
+    assert.deepEqual(
+      inventory.buildCountSheet(await data.loadIngredients(), { storageArea: "fridge" }).map((line) => line.name),
+      ["Cream"]
+    );
+  });
+
+  test("compares counts with stock on hand", async () => {
+    const sheet = inventory.buildCountSheet(await data.loadIngredients());
+    const { lines, uncounted, totals } = inventory.compareCounts(sheet, { cream: "3 1/2", flour: 21, basil: "" });
+
+    assert.deepEqual(lines.map((line) => [line.name, line.counted, line.variance]), [
+      ["Cream", 3.5, -0.5],
+      ["Flour", 21, 1],
+    ]);
+    assert.deepEqual(uncounted.map((line) => line.name), ["Basil"]);
+    assert.equal(totals.varianceValue, -0.5);
+    assert.throws(() => inventory.compareCounts(sheet, { saffron: 1 }), /Not on the count sheet: saffron/);
+    assert.throws(() => inventory.compareCounts(sheet, { cream: "lots" }), /Invalid count "lots"/);
+  });
+
+  test("posts adjustments for the differences and saves the count", async () => {
+    const stockTake = await inventory.postStockTake({ cream: 3.5, flour: 20 }, { user: "ana" });
+
+    assert.equal(stockTake.adjustments, 1);
+    assert.deepEqual(stockTake.movements.map((movement) => [movement.type, movement.ingredientId, movement.quantity]), [
+      ["adjustment", "cream", -0.5],
+    ]);
+    assert.equal(stockTake.movements[0].reference, stockTake.id);
+    assert.equal((await data.getIngredient("cream")).quantity, 3.5);
+    assert.deepEqual(stockTake.uncounted, ["Basil"]);
+
+    const [saved] = await data.loadStockTakes();
+    assert.equal(saved.id, stockTake.id);
+    assert.equal(saved.user, "ana");
+
+    await assert.rejects(inventory.postStockTake({}), /No counted quantities to post/);
+  });
+});
+
+describe("inventory valuation", () => {
+  let data;
+  let inventory;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1, quantity: 10 });
+    const storage = await data.getStorage();
+    await storage.put("ingredients", "salt", { id: "salt", name: "Salt", unit: "kg", unitPrice: 0.5, quantity: 4 });
+    await inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 10, unitCost: 2 });
+    await inventory.recordMovement({ ingredientId: "flour", type: "sale", quantity: 15, method: "fifo" });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("costs stock going out by the costing method", async () => {
+    const [sale] = await data.loadMovements({ type: "sale" });
+    // Ten from the opening stock at 1, five from the receipt at 2
+    assert.equal(sale.unitCost, Math.round((20 / 15) * 1e6) / 1e6);
+  });
+
+  test("values what is left by the costing method", async () => {
+    const items = await data.loadIngredients();
+    const movements = await data.loadMovements();
+
+    const fifo = inventory.valueInventory(items, movements, "fifo");
+    assert.equal(fifo.get("flour").quantity, 5);
+    assert.equal(fifo.get("flour").value, 10);
+    assert.deepEqual(fifo.get("flour").locations, { main: { quantity: 5, value: 10, unitCost: 2 } });
+    assert.equal(inventory.valueInventory(items, movements, "weighted-average").get("flour").value, 7.5);
+    // Items with no ledger are valued at their catalogue price
+    assert.equal(fifo.get("salt").value, 2);
+
+    const { costs } = await inventory.getValuation("last-price");
+    assert.equal(costs.get("flour").value, 10);
+  });
+});
+
+describe("stock lots", () => {
+  let data;
+  let inventory;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+    await data.saveIngredient({ name: "Cream", unit: "l", unitPrice: 3 });
+    await data.saveRecipe({
+      name: "Panna Cotta",
+      portions: 10,
+      ingredients: [{ ingredientId: "cream", name: "Cream", quantity: 1, unit: "l" }],
+    });
+    await inventory.recordMovement({
+      ingredientId: "cream",
+      type: "receipt",
+      quantity: 4,
+      unitCost: 3,
+      lotNumber: "L-100",
+      expiryDate: "2026-12-01",
+      supplier: "Dairy Co",
+      date: "2026-10-01",
+    });
+    await inventory.recordMovement({
+      ingredientId: "cream",
+      type: "receipt",
+      quantity: 4,
+      unitCost: 4,
+      lotNumber: "L-200",
+      expiryDate: "2026-11-01",
+      date: "2026-10-02",
+    });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("lists lots in the order the costing method uses them", async () => {
+    const lots = await inventory.getLots("fefo");
+    assert.deepEqual(lots.map((lot) => [lot.lotNumber, lot.useOrder, lot.quantity]), [
+      ["L-200", 1, 4],
+      ["L-100", 2, 4],
+    ]);
+    assert.deepEqual((await inventory.getLots("fifo")).map((lot) => lot.lotNumber), ["L-100", "L-200"]);
+  });
+
+  test("takes stock from a named lot only while it has some left", async () => {
+    const { movement } = await inventory.recordMovement({ ingredientId: "cream", type: "waste", quantity: 1, lot: "L-100", method: "fefo" });
+    assert.equal(movement.unitCost, 3);
+
+    await assert.rejects(
+      inventory.recordMovement({ ingredientId: "cream", type: "waste", quantity: 1, lot: "L-999" }),
+      /No stock left in lot "L-999" of Cream/
+    );
+    await assert.rejects(
+      inventory.recordMovement({ ingredientId: "cream", type: "receipt", quantity: 1, lot: "L-100" }),
+      /only be chosen for stock going out/
+    );
+  });
+
+  test("traces a lot to the batches that used it", async () => {
+    await inventory.recordDepletion({ type: "production", recipeId: "panna-cotta", batches: 5, method: "fifo" });
+
+    const [trace] = await inventory.getLotTrace("L-100");
+    assert.equal(trace.supplier, "Dairy Co");
+    assert.equal(trace.received, 4);
+    assert.equal(trace.remaining, 0);
+    assert.deepEqual(trace.recipes, ["Panna Cotta"]);
+    assert.deepEqual(trace.uses.map((use) => [use.type, use.quantity]), [["production", 4]]);
+
+    const [other] = await inventory.getLotTrace("L-200", { ingredientId: "cream" });
+    assert.equal(other.remaining, 3);
+  });
+});
+
+describe("waste logging", () => {
+  let data;
+  let inventory;
+  let waste;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+    waste = new WasteService(data, inventory);
+    await data.saveIngredient({ name: "Tomato", unit: "kg", unitPrice: 2, quantity: 10 });
+    await inventory.recordMovement({ ingredientId: "tomato", type: "receipt", quantity: 10, unitCost: 3 });
+    await data.saveRecipe({ ...SOUP });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("takes item waste out of stock at the cost of the lot it draws", async () => {
+    const { entry, movements } = await waste.logWaste({ ingredientId: "tomato", quantity: 2, reason: "spoilage", station: " Grill ", method: "fifo" });
+
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].wasteReason, "spoilage");
+    // The opening balance of 10 at the catalogue price goes first
+    assert.equal(entry.cost, 4);
+    assert.equal(entry.station, "Grill");
+    assert.equal((await data.getIngredient("tomato")).quantity, 18);
+  });
+
+  test("costs recipe waste without taking its ingredients out again", async () => {
+    const { entry, movements, warnings } = await waste.logWaste({ recipeId: "tomato-soup", quantity: 4, reason: "over-production", method: "fifo" });
+
+    assert.deepEqual(movements, []);
+    assert.equal(entry.stockDeducted, false);
+    assert.equal(entry.lines[0].quantity, 1.25);
+    assert.equal(entry.cost, 2.5);
+    assert.deepEqual(warnings, ['"Basil" is not in the ingredient catalogue; its cost is left out']);
+    assert.equal((await data.getIngredient("tomato")).quantity, 20);
+    assert.equal((await waste.getWasteLog({})).length, 1);
+  });
+
+  test("takes recipe waste out of stock once when asked to", async () => {
+    const { movements } = await waste.logWaste({ recipeId: "tomato-soup", quantity: 4, reason: "over-production", deductStock: true });
+
+    assert.deepEqual(movements.map((movement) => movement.quantity), [-1.25]);
+    assert.equal((await data.getIngredient("tomato")).quantity, 18.75);
+    assert.equal((await data.loadMovements({ type: "waste" })).length, 1);
+    assert.equal((await waste.getWasteLog({})).length, 1);
+  });
+
+  test("ranks waste cost by reason against the cost of goods", async () => {
+    await waste.logWaste({ ingredientId: "tomato", quantity: 2, reason: "spoilage", method: "fifo" });
+    await waste.logWaste({ recipeId: "tomato-soup", quantity: 4, reason: "over-production", method: "fifo" });
+
+    const report = await waste.getWasteReport({ from: today, to: today, method: "fifo" });
+    assert.equal(report.entries, 2);
+    assert.equal(report.wasteCost, 6.5);
+    assert.deepEqual(report.byReason.map((group) => [group.reason, group.cost, group.share]), [
+      ["spoilage", 4, 61.538462],
+      ["over-production", 2.5, 38.461538],
+    ]);
+    assert.deepEqual(report.byStation.map((group) => group.station), ["Unassigned"]);
+  });
+
+  test("refuses entries it cannot log", async () => {
+    await assert.rejects(waste.logWaste({ ingredientId: "tomato", recipeId: "tomato-soup", quantity: 1, reason: "spoilage" }), /either a stock item or a recipe/);
+    await assert.rejects(waste.logWaste({ ingredientId: "tomato", quantity: 1, reason: "boredom" }), /Unknown waste reason "boredom"/);
+    await assert.rejects(waste.logWaste({ ingredientId: "tomato", quantity: 1, reason: "spoilage", shift: "night" }), /Unknown shift "night"/);
+    await assert.rejects(waste.logWaste({ recipeId: "tomato-soup", quantity: 1, reason: "spoilage", lot: "L-1" }), /only be chosen for waste of a stock item/);
+    await assert.rejects(waste.logWaste({ ingredientId: "tomato", quantity: 0, reason: "spoilage" }), /greater than zero/);
+    assert.equal((await data.loadMovements({ type: "waste" })).length, 0);
+  });
+});
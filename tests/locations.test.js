@@ -0,0 +1,86 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+// Locations are read once, when their configuration is first imported
+process.env.FOOD_SYSTEM_LOCATIONS = "main=Main kitchen,bakery=Bakery";
+const { InventoryService } = await import("../src/services/InventoryService.js");
+const { openData, closeData } = await import("./helpers.js");
+
+describe("stock transfers", () => {
+  let data;
+  let inventory;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 2 });
+    await inventory.recordMovement({
+      ingredientId: "flour",
+      type: "receipt",
+      quantity: 10,
+      unitCost: 1.5,
+      lotNumber: "F-1",
+      expiryDate: "2027-03-01",
+      supplier: "Mill",
+      date: "2026-10-01",
+    });
+    await inventory.recordMovement({ ingredientId: "flour", type: "receipt", quantity: 5, unitCost: 2.5, lotNumber: "F-2", date: "2026-10-02" });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("moves stock lot by lot at the source's cost", async () => {
+    const result = await inventory.transferStock({ ingredientId: "flour", quantity: 12, from: "main", to: "bakery", method: "fifo", user: "ana" });
+
+    assert.equal(result.value, 20);
+    assert.deepEqual(
+      result.movements.map((movement) => [movement.location, movement.quantity, movement.unitCost, movement.lotNumber]),
+      [
+        ["main", -10, 1.5, "F-1"],
+        ["bakery", 10, 1.5, "F-1"],
+        ["main", -2, 2.5, "F-2"],
+        ["bakery", 2, 2.5, "F-2"],
+      ]
+    );
+    assert.ok(result.movements.every((movement) => movement.reference === result.reference && movement.reason === "Main kitchen to Bakery"));
+
+    const item = await data.getIngredient("flour");
+    assert.equal(item.quantity, 15);
+    assert.equal(inventory.stockAt(item, "main").quantity, 3);
+    assert.equal(inventory.stockAt(item, "bakery").quantity, 12);
+
+    const [arrived] = await inventory.getLots("fifo", "bakery");
+    assert.deepEqual([arrived.lotNumber, arrived.expiryDate, arrived.supplier, arrived.quantity], ["F-1", "2027-03-01", "Mill", 10]);
+  });
+
+  test("values both sides at the weighted average cost", async () => {
+    const result = await inventory.transferStock({ ingredientId: "flour", quantity: 3, from: "main", to: "bakery", method: "weighted-average" });
+
+    // (10 × 1.5 + 5 × 2.5) / 15, to six places
+    assert.deepEqual(result.movements.map((movement) => movement.unitCost), [1.833333, 1.833333]);
+    assert.equal(result.value, 5.499999);
+  });
+
+  test("takes stock from the lot named", async () => {
+    const result = await inventory.transferStock({ ingredientId: "flour", quantity: 1, from: "main", to: "bakery", lot: "F-2", method: "fifo" });
+    assert.deepEqual(result.movements.map((movement) => [movement.quantity, movement.lotNumber]), [
+      [-1, "F-2"],
+      [1, "F-2"],
+    ]);
+  });
+
+  test("refuses transfers it cannot make", async () => {
+    const transfer = { ingredientId: "flour", quantity: 1, from: "main", to: "bakery" };
+    await assert.rejects(inventory.transferStock({ ...transfer, to: "main" }), /only be transferred to another location/);
+    await assert.rejects(inventory.transferStock({ ...transfer, to: "cellar" }), /Unknown location "cellar"/);
+    await assert.rejects(inventory.transferStock({ ...transfer, quantity: 0 }), /greater than zero/);
+    await assert.rejects(inventory.transferStock({ ...transfer, quantity: 16 }), /Only 15 kg of Flour at Main kitchen/);
+    await assert.rejects(inventory.transferStock({ ...transfer, from: "bakery", to: "main" }), /Only 0 kg of Flour at Bakery/);
+    await assert.rejects(inventory.transferStock({ ...transfer, lot: "F-9" }), /No stock left in lot "F-9" of Flour at Main kitchen/);
+    await assert.rejects(inventory.transferStock({ ...transfer, ingredientId: "rye" }), /Ingredient "rye" not found/);
+
+    assert.equal((await data.loadMovements({ type: "transfer" })).length, 0);
+  });
+});
@@ -0,0 +1,328 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { InventoryService } from "../src/services/InventoryService.js";
+import { PurchaseOrderService } from "../src/services/PurchaseOrderService.js";
+import { ParLevelService } from "../src/services/ParLevelService.js";
+import { openData, closeData } from "./helpers.js";
+
+describe("purchase orders", () => {
+  let data;
+  let orders;
+
+  beforeEach(async () => {
+    data = await openData();
+    orders = new PurchaseOrderService(data, new InventoryService(data));
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1 });
+    await data.saveIngredient({ name: "Cream", unit: "l", unitPrice: 3 });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  const draft = () =>
+    orders.create({
+      supplier: "Mill & Dairy",
+      lines: [
+        { ingredientId: "flour", quantity: 20 },
+        { ingredientId: "cream", quantity: 6, unitPrice: 2.5 },
+      ],
+      user: "ana",
+    });
+
+  test("creates a draft priced from the catalogue unless a price is given", async () => {
+    const order = await draft();
+
+    assert.equal(order.status, "draft");
+    assert.deepEqual(order.lines.map((line) => [line.name, line.quantity, line.unitPrice]), [
+      ["Flour", 20, 1],
+      ["Cream", 6, 2.5],
+    ]);
+    assert.equal(order.orderedValue, 35);
+    assert.deepEqual((await orders.get(order.id)).history.map((entry) => [entry.status, entry.user]), [["draft", "ana"]]);
+
+    await assert.rejects(orders.create({ supplier: " ", lines: [{ ingredientId: "flour", quantity: 1 }] }), /needs a supplier/);
+    await assert.rejects(orders.create({ supplier: "Mill", lines: [{ ingredientId: "rye", quantity: 1 }] }), /Ingredient "rye" not found/);
+    await assert.rejects(
+      orders.create({ supplier: "Mill", lines: [{ ingredientId: "flour", quantity: 1 }, { ingredientId: "flour", quantity: 2 }] }),
+      /Flour is on the order more than once/
+    );
+  });
+
+  test("receives deliveries into stock once the order is sent, flagging deviations", async () => {
+    const order = await draft();
+    await assert.rejects(orders.receive(order.id, [{ ingredientId: "flour", quantity: 1 }]), /still a draft/);
+
+    await orders.send(order.id);
+    await assert.rejects(orders.send(order.id), /only drafts can be sent/);
+
+    const first = await orders.receive(order.id, [{ ingredientId: "flour", quantity: 10, unitPrice: 1.2, lotNumber: "M-1" }]);
+    assert.equal(first.order.status, "partially-received");
+    assert.deepEqual(first.movements.map((movement) => [movement.type, movement.quantity, movement.unitCost, movement.reference]), [
+      ["receipt", 10, 1.2, order.id],
+    ]);
+    assert.deepEqual(first.deviations.map((deviation) => [deviation.type, deviation.name]), [
+      ["price", "Flour"],
+      ["short", "Flour"],
+      ["short", "Cream"],
+    ]);
+    assert.equal((await data.getIngredient("flour")).quantity, 10);
+
+    const second = await orders.receive(order.id, [
+      { ingredientId: "flour", quantity: 10 },
+      { ingredientId: "cream", quantity: 6 },
+    ]);
+    assert.equal(second.order.status, "received");
+    assert.deepEqual(second.deviations, []);
+    assert.equal((await data.getIngredient("flour")).quantity, 20);
+    assert.equal((await data.getIngredient("cream")).quantity, 6);
+    assert.equal(second.order.receivedValue, 37);
+
+    await assert.rejects(orders.receive(order.id, [{ ingredientId: "salt", quantity: 1 }]), /is received/);
+  });
+
+  test("refuses deliveries of items not on the order", async () => {
+    const order = await draft();
+    await orders.send(order.id);
+
+    await assert.rejects(orders.receive(order.id, [{ ingredientId: "salt", quantity: 1 }]), /"salt" is not on purchase order/);
+    await assert.rejects(orders.receive(order.id, []), /Nothing delivered/);
+    assert.equal((await data.loadMovements({ type: "receipt" })).length, 0);
+  });
+
+  test("closes an order, checking the invoice against what was received", async () => {
+    const order = await draft();
+    await orders.send(order.id);
+    await orders.receive(order.id, [{ ingredientId: "flour", quantity: 20 }]);
+
+    const { order: closed, deviations } = await orders.close(order.id, { invoiceNumber: "INV-7", invoiceTotal: 25 });
+    assert.equal(closed.status, "closed");
+    assert.equal(closed.invoice.number, "INV-7");
+    assert.deepEqual(deviations.map((deviation) => deviation.type), ["invoice", "short"]);
+    assert.equal(deviations[0].valueDifference, 5);
+    assert.match(orders.describeDeviation(deviations[1]), /Cream: short delivery, 0 of 6 received/);
+
+    await assert.rejects(orders.close(order.id), /already closed/);
+  });
+
+  test("receives concurrent deliveries of the same order one after the other", async () => {
+    const order = await draft();
+    await orders.send(order.id);
+
+    await Promise.all([
+      orders.receive(order.id, [{ ingredientId: "flour", quantity: 10 }]),
+      orders.receive(order.id, [{ ingredientId: "flour", quantity: 10 }, { ingredientId: "cream", quantity: 6 }]),
+    ]);
+
+    const saved = await orders.get(order.id);
+    assert.equal(saved.status, "received");
+    assert.equal(saved.receipts.length, 2);
+    assert.equal(saved.lines[0].received, 20);
+    assert.equal((await data.getIngredient("flour")).quantity, 20);
+  });
+
+  test("posts a delivery once when saving the order fails and it is retried", async () => {
+    const order = await draft();
+    await orders.send(order.id);
+
+    const savePurchaseOrder = data.savePurchaseOrder;
+    data.savePurchaseOrder = async () => {
+      throw new Error("Failed to save purchase order: disk full");
+    };
+    await assert.rejects(orders.receive(order.id, [{ ingredientId: "flour", quantity: 20 }]), /disk full/);
+    data.savePurchaseOrder = savePurchaseOrder;
+    assert.deepEqual(await data.loadMovements({ type: "receipt" }), []);
+
+    await orders.receive(order.id, [{ ingredientId: "flour", quantity: 20 }]);
+    assert.equal((await orders.get(order.id)).lines[0].received, 20);
+    assert.equal((await data.getIngredient("flour")).quantity, 20);
+  });
+
+  test("leaves the order as it was when posting the delivery fails", async () => {
+    const order = await draft();
+    await orders.send(order.id);
+
+    const appendMovements = data.appendMovements;
+    data.appendMovements = async () => {
+      throw new Error("Failed to record stock movements: disk full");
+    };
+    await assert.rejects(orders.receive(order.id, [{ ingredientId: "flour", quantity: 20 }]), /disk full/);
+    data.appendMovements = appendMovements;
+
+    const unchanged = await orders.get(order.id);
+    assert.equal(unchanged.status, "sent");
+    assert.equal(unchanged.lines[0].received, 0);
+    assert.deepEqual(unchanged.receipts, []);
+  });
+
+  test("refuses a delivery of an item no longer in the catalogue before posting any of it", async () => {
+    const order = await draft();
+    await orders.send(order.id);
+    await (await data.getStorage()).remove("ingredients", "cream");
+
+    await assert.rejects(
+      orders.receive(order.id, [{ ingredientId: "flour", quantity: 20 }, { ingredientId: "cream", quantity: 6 }]),
+      /Cream: ingredient "cream" is no longer in the catalogue/
+    );
+    assert.deepEqual(await data.loadMovements({ type: "receipt" }), []);
+    assert.equal((await orders.get(order.id)).status, "sent");
+  });
+});
+
+describe("suppliers", () => {
+  let data;
+  let suppliers;
+
+  beforeEach(async () => {
+    data = await openData();
+    suppliers = new PurchaseOrderService(data, new InventoryService(data)).supplierService;
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1, parLevel: 20, maxLevel: 45, quantity: 5 });
+    await data.saveIngredient({ name: "Cream", unit: "l", unitPrice: 3, parLevel: 6, quantity: 1 });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("saves suppliers whose products are in the catalogue", async () => {
+    const saved = await suppliers.save({
+      name: "Mill Co",
+      deliveryDays: ["mon", "thu"],
+      products: [{ ingredientId: "flour", supplierCode: "F-25", packSize: 25, packPrice: 20 }],
+    });
+    assert.equal(saved.id, "mill-co");
+    assert.equal(saved.leadTimeDays, 1);
+    assert.equal((await suppliers.get("mill-co")).products[0].supplierCode, "F-25");
+
+    await assert.rejects(suppliers.save({ name: "Mill Co", deliveryDays: ["someday"] }), /Invalid supplier: deliveryDays\.0/);
+    await assert.rejects(
+      suppliers.save({ name: "Rye Co", products: [{ ingredientId: "rye", packSize: 1, packPrice: 2 }] }),
+      /Ingredient "rye" not found/
+    );
+  });
+
+  test("ranks offers by preference, then price", () => {
+    const mill = { id: "mill", name: "Mill", products: [{ ingredientId: "flour", packSize: 25, packPrice: 20 }] };
+    const baker = { id: "baker", name: "Baker", products: [{ ingredientId: "flour", packSize: 10, packPrice: 9, preferred: true }] };
+    const item = { id: "flour", name: "Flour", unit: "kg", unitPrice: 1 };
+
+    assert.deepEqual(suppliers.findOffers("flour", [baker, mill]).map((offer) => [offer.supplier.id, offer.unitPrice]), [
+      ["mill", 0.8],
+      ["baker", 0.9],
+    ]);
+    assert.deepEqual(suppliers.rankOffers(item, [mill, baker], "preferred").map((offer) => offer.supplier.id), ["baker", "mill"]);
+    assert.deepEqual(suppliers.rankOffers(item, [mill, baker], "cheapest").map((offer) => offer.supplier.id), ["mill", "baker"]);
+  });
+
+  test("works out the next delivery day after the lead time", () => {
+    // 2026-10-19 is a Monday
+    const monday = new Date("2026-10-19T09:00:00Z");
+    assert.equal(suppliers.nextDeliveryDate({ leadTimeDays: 1, deliveryDays: ["thu"] }, monday), "2026-10-22");
+    assert.equal(suppliers.nextDeliveryDate({ leadTimeDays: 0, deliveryDays: [] }, monday), "2026-10-19");
+  });
+
+  test("plans orders in whole packs, moving items off orders below a minimum", async () => {
+    await data.saveIngredient({ name: "Butter", unit: "kg", unitPrice: 4, parLevel: 2, quantity: 0 });
+    await suppliers.save({
+      name: "Mill Co",
+      products: [{ ingredientId: "flour", packSize: 25, packPrice: 20 }],
+    });
+    await suppliers.save({
+      name: "Dairy Co",
+      minimumOrderValue: 100,
+      products: [{ ingredientId: "cream", packSize: 1, packPrice: 2.5 }],
+    });
+    await suppliers.save({
+      name: "Cash & Carry",
+      products: [
+        { ingredientId: "butter", packSize: 1, packPrice: 4 },
+        { ingredientId: "cream", packSize: 1, packPrice: 3 },
+        { ingredientId: "flour", packSize: 25, packPrice: 30 },
+      ],
+    });
+
+    const plan = await suppliers.planReorder({ choice: "cheapest" });
+    assert.deepEqual(
+      plan.orders.map((order) => [order.supplier, order.value, order.lines.map((line) => [line.name, line.packs, line.quantity])]),
+      [
+        ["Cash & Carry", 23, [["Butter", 2, 2], ["Cream", 5, 5]]],
+        ["Mill Co", 40, [["Flour", 2, 50]]],
+      ]
+    );
+    assert.deepEqual(suppliers.describePlan(plan), ["Cream: ordered from Cash & Carry instead, Dairy Co has a minimum order of 100"]);
+    assert.deepEqual(
+      (await suppliers.planReorder({ supplier: "dairy co", choice: "cheapest" })).orders.map((order) => [order.supplier, order.belowMinimum]),
+      [["Dairy Co", true]]
+    );
+  });
+});
+
+describe("par level suggestions", () => {
+  let data;
+  let pars;
+
+  // Two units sold every day for the four weeks up to today
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const today = new Date("2026-10-19T12:00:00Z");
+  const sales = (ingredientId, days = 28) =>
+    Array.from({ length: days }, (_, offset) => {
+      const date = new Date(today.getTime() - offset * DAY_MS).toISOString().split("T")[0];
+      return {
+        id: `sale-${date}`,
+        type: "sale",
+        date,
+        ingredientId,
+        location: "main",
+        quantity: -2,
+        unit: "kg",
+        unitCost: 1,
+        createdAt: `${date}T12:00:00.000Z`,
+      };
+    });
+  const mill = { id: "mill", name: "Mill", leadTimeDays: 2, deliveryDays: ["mon"], products: [{ ingredientId: "flour", packSize: 1, packPrice: 1 }] };
+
+  beforeEach(async () => {
+    data = await openData();
+    pars = new ParLevelService(data);
+    await data.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1, quantity: 100 });
+    await data.saveIngredient({ name: "Salt", unit: "kg", unitPrice: 1, quantity: 100 });
+    await data.saveSupplier(structuredClone(mill));
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("covers usage over the supplier's lead time and order cycle plus safety stock", async () => {
+    const items = [{ id: "flour", name: "Flour", quantity: 5 }, { id: "salt", name: "Salt", quantity: 5 }];
+    const movements = [...sales("flour"), ...sales("salt", 10)];
+    const [flour, salt] = pars.suggest(items, movements, [mill], { today, days: 28, safetyDays: 1 });
+
+    assert.equal(flour.suggestion.supplier, "Mill");
+    assert.equal(flour.suggestion.usagePerDay, 2);
+    // 2 days' lead time and a weekly order cycle at 2 a day, plus a day of safety stock
+    assert.equal(flour.suggestion.parLevel, 6);
+    assert.equal(flour.suggestion.maxLevel, 20);
+    assert.equal(flour.suggestion.orderQuantity, 15);
+    assert.equal(salt.suggestion, null);
+    assert.equal(salt.reason, "10 days of history, 14 needed");
+
+    assert.throws(() => pars.suggest(items, movements, [mill], { days: 7 }), /at least 14/);
+    assert.throws(() => pars.suggest(items, movements, [mill], { serviceLevel: 100 }), /Service level/);
+  });
+
+  test("accepts suggestions, leaving levels entered by hand alone", async () => {
+    await data.appendMovements([...sales("flour").reverse(), ...sales("salt").reverse()]);
+    await pars.override("salt", { parLevel: 3, maxLevel: 9 });
+
+    const { accepted, skipped } = await pars.accept({ days: 28, safetyDays: 1 });
+    assert.deepEqual(accepted.map((item) => [item.id, item.parSource]), [["flour", "forecast"]]);
+    assert.deepEqual(skipped, [{ id: "salt", name: "Salt", reason: "Par level entered by hand" }]);
+    assert.equal((await data.getIngredient("salt")).parLevel, 3);
+
+    const named = await pars.accept({ ids: ["salt"], days: 28, safetyDays: 1 });
+    assert.equal(named.accepted[0].parSource, "forecast");
+    await assert.rejects(pars.accept({ ids: ["rye"] }), /Ingredient "rye" not found/);
+    await assert.rejects(pars.override("flour", { parLevel: 10, maxLevel: 5 }), /max level must be at least the par level/);
+  });
+});
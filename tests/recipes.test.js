@@ -0,0 +1,82 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ReportService } from "../src/services/ReportService.js";
+import { openData, closeData } from "./helpers.js";
+
+const line = (name, quantity) => ({ name, quantity, unit: "kg", unitPrice: 2, purchaseUnit: "kg" });
+
+describe("recipe versions", () => {
+  let data;
+
+  beforeEach(async () => {
+    data = await openData();
+    await data.saveRecipe({ name: "Tomato Soup", portions: 4, ingredients: [line("Tomato", 1)] }, "First draft");
+    await data.saveRecipe({ id: "tomato-soup", name: "Tomato Soup", portions: 6, ingredients: [line("Tomato", 1.5)] });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("keeps one current record and every saved version", async () => {
+    const current = await data.loadRecipe("tomato-soup");
+    assert.equal(current.version, 2);
+    assert.equal(current.portions, 6);
+
+    const versions = await data.listRecipeVersions("tomato-soup");
+    assert.deepEqual(versions.map(({ version, portions, note }) => [version, portions, note]), [
+      [1, 4, "First draft"],
+      [2, 6, ""],
+    ]);
+    assert.equal((await data.loadRecipeVersion("tomato-soup", 1)).portions, 4);
+    assert.deepEqual((await data.listRecipes()).map(({ id, version }) => [id, version]), [["tomato-soup", 2]]);
+  });
+
+  test("rolls back by saving the old version again", async () => {
+    await data.rollbackRecipe("tomato-soup", 1);
+    const current = await data.loadRecipe("tomato-soup");
+    assert.equal(current.version, 3);
+    assert.equal(current.portions, 4);
+    assert.equal((await data.listRecipeVersions("tomato-soup"))[2].note, "Rolled back to version 1");
+  });
+
+  test("deletes a recipe with its versions", async () => {
+    await data.deleteRecipe("tomato-soup");
+    await assert.rejects(data.loadRecipe("tomato-soup"), /Recipe "tomato-soup" not found/);
+    assert.deepEqual(await data.listRecipeVersions("tomato-soup"), []);
+  });
+});
+
+describe("recipe diffs", () => {
+  test("lists added, removed and changed lines with their cost impact", () => {
+    const before = { name: "Tomato Soup", version: 1, portions: 4, ingredients: [line("Tomato", 1), line("Basil", 0.1)] };
+    const after = { name: "Tomato Soup", version: 2, portions: 6, ingredients: [line("Tomato", 1.5), line("Onion", 0.5)] };
+    const diff = new ReportService().generateRecipeDiff(before, after);
+    assert.deepEqual(diff.added.map((row) => row.name), ["Onion"]);
+    assert.deepEqual(diff.removed.map((row) => row.name), ["Basil"]);
+    assert.deepEqual(diff.changed.map((row) => row.changes), [["quantity 1 kg → 1.5 kg"]]);
+    assert.deepEqual(diff.fieldChanges, [{ field: "portions", from: 4, to: 6 }]);
+  });
+});
+
+describe("recipes saved before versioning", () => {
+  let data;
+
+  beforeEach(async () => {
+    data = await openData();
+    const storage = await data.getStorage();
+    const legacy = { name: "Caesar Salad", portions: 2, ingredients: [line("Romaine", 0.5)] };
+    await storage.put("recipes", "caesar-salad-1700000000000", { ...legacy, createdAt: "2023-11-14T22:13:20.000Z" });
+    await storage.put("recipes", "caesar-salad-1700000500000", { ...legacy, portions: 3, createdAt: "2023-11-14T22:21:40.000Z" });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("are listed under a key they can be loaded by", async () => {
+    const [listed] = await data.listRecipes();
+    assert.equal(listed.id, "caesar-salad-1700000500000");
+    assert.equal((await data.loadRecipe(listed.id)).portions, 3);
+  });
+});
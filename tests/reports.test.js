@@ -0,0 +1,149 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { ReportService } from "../src/services/ReportService.js";
+import { PdfReport } from "../src/utils/pdf.js";
+
+/**
+ * Content streams of a PDF, inflated
+ * @param {Buffer} pdf - PDF file contents
+ * @returns {string} - Page contents, latin1
+ */
+function pageContents(pdf) {
+  const text = pdf.toString("latin1");
+  const contents = [];
+  for (const match of text.matchAll(/\/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/g)) {
+    const start = match.index + match[0].length;
+    contents.push(zlib.inflateSync(pdf.subarray(start, start + Number(match[1]))).toString("latin1"));
+  }
+  return contents.join("\n");
+}
+
+describe("ReportService", () => {
+  const reports = new ReportService();
+
+  test("drills an escandallo down into its sub-recipes", () => {
+    const subRecipes = {
+      stock: {
+        name: "Chicken Stock",
+        yieldQuantity: 4,
+        yieldUnit: "l",
+        ingredients: [
+          { name: "Bones", quantity: 2, unit: "kg", unitPrice: 1, purchaseUnit: "kg" },
+          { recipeRef: "mirepoix", name: "Mirepoix", quantity: 1, unit: "kg" },
+        ],
+      },
+      mirepoix: {
+        name: "Mirepoix",
+        yieldQuantity: 1,
+        yieldUnit: "kg",
+        ingredients: [{ name: "Onion", quantity: 1, unit: "kg", unitPrice: 1.5, purchaseUnit: "kg" }],
+      },
+    };
+    const report = reports.generateEscandallo(
+      {
+        name: "Chicken Soup",
+        portions: 4,
+        ingredients: [{ recipeRef: "stock", name: "Chicken Stock", quantity: 2, unit: "l" }],
+      },
+      { subRecipes }
+    );
+    assert.equal(report.ingredients[0].isSubRecipe, true);
+    assert.deepEqual(
+      report.subRecipes.map((row) => [row.level, row.name, row.quantity]),
+      [
+        [1, "Chicken Stock", "2.00"],
+        [2, "Bones", "1.00"],
+        [2, "Mirepoix", "0.50"],
+        [3, "Onion", "0.50"],
+      ]
+    );
+  });
+
+  test("traces cost drift to the line whose price moved most", () => {
+    const recipe = {
+      name: "Beurre Blanc",
+      portions: 4,
+      ingredients: [
+        { ingredientId: "butter", quantity: 1, unit: "kg" },
+        { ingredientId: "shallot", quantity: 0.2, unit: "kg" },
+      ],
+    };
+    const priced = (butter, shallot) => ({
+      catalogue: {
+        butter: { id: "butter", name: "Butter", unit: "kg", unitPrice: butter },
+        shallot: { id: "shallot", name: "Shallot", unit: "kg", unitPrice: shallot },
+      },
+    });
+    const drift = reports.generateCostDrift(recipe, [
+      { date: "2026-08-01", context: priced(8, 3) },
+      { date: "2026-09-01", context: priced(10, 3) },
+      { date: "2026-10-01", context: priced(10, 4) },
+    ]);
+    assert.equal(drift.from, "2026-08-01");
+    assert.equal(drift.to, "2026-10-01");
+    assert.match(drift.rows[1].driver, /^Butter \(\+/);
+    assert.match(drift.rows[2].driver, /^Shallot \(\+/);
+    assert.match(drift.mainDriver, /^Butter/);
+  });
+});
+
+describe("PDF output", () => {
+  const paper = { width: 595, height: 842 };
+
+  test("writes a well-formed file with a header and numbered pages", () => {
+    const report = new PdfReport({ title: "Stock ≥ par", business: "Casa Lucía", paper, generated: "Generated 19/10/2026" });
+    report.heading("Dry store");
+    report.table(
+      [{ label: "Item" }, { label: "Qty", align: "right" }],
+      Array.from({ length: 60 }, (_, index) => [`Item ${index + 1}`, String(index)])
+    );
+    const pdf = report.toBuffer();
+    const text = pdf.toString("latin1");
+
+    assert.equal(text.slice(0, 8), "%PDF-1.4");
+    assert.ok(text.endsWith("%%EOF\n"));
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    assert.equal(text.slice(startxref, startxref + 4), "xref");
+    assert.match(text, /\/Count 2 /);
+
+    const contents = pageContents(pdf);
+    assert.match(contents, /\(Casa Luc\\355a\) Tj/);
+    assert.match(contents, /\(Stock >= par\) Tj/);
+    assert.match(contents, /\(Page 1 of 2\) Tj/);
+    assert.match(contents, /\(Page 2 of 2\) Tj/);
+    assert.match(contents, /\(Item 60\) Tj/);
+    // The header row starts the table again on the second page
+    assert.equal(contents.match(/\(Item\) Tj/g).length, 2);
+  });
+
+  test("writes characters outside WinAnsi as stand-ins", () => {
+    const report = new PdfReport({ title: "Prices", paper });
+    report.paragraph("Crème brûlée → 5 € (≈ 4.8) ✓\u200b ŵ 漢");
+    const contents = pageContents(report.toBuffer());
+    assert.match(contents, /\(Cr\\350me br\\373l\\351e -> 5 \\200 \\\(~ 4\.8\\\) x w \?\) Tj/);
+  });
+
+  test("shortens what does not fit with an ellipsis", () => {
+    const { doc } = new PdfReport({ title: "Widths", paper });
+    const fitted = doc.fit("Extra virgin olive oil, first cold pressing", 60, 8);
+    assert.ok(fitted.endsWith("…"));
+    assert.ok(doc.widthOf(fitted, 8) <= 60);
+    assert.equal(doc.fit("Oil", 60, 8), "Oil");
+    assert.deepEqual(doc.wrap("one two three", doc.widthOf("one two", 8), 8), ["one two", "three"]);
+  });
+
+  test("lays out reports by type", async () => {
+    const reports = new ReportService();
+    const escandallo = reports.generateEscandallo({
+      name: "Tomato Soup",
+      portions: 4,
+      ingredients: [{ name: "Tomato", quantity: 1, unit: "kg", unitPrice: 2, purchaseUnit: "kg" }],
+    });
+    const pdf = await reports.exportToPDF(escandallo, "escandallo");
+    assert.equal(pdf.subarray(0, 5).toString("latin1"), "%PDF-");
+    assert.match(pageContents(pdf), /\(Escandallo: Tomato Soup\) Tj/);
+
+    await assert.rejects(reports.exportToPDF(escandallo, "poster"), /No PDF layout for "poster" reports/);
+  });
+});
@@ -0,0 +1,249 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { SalesService } from "../src/services/SalesService.js";
+import { InventoryService } from "../src/services/InventoryService.js";
+import { WasteService } from "../src/services/WasteService.js";
+import { FoodCostService } from "../src/services/FoodCostService.js";
+import { DashboardService } from "../src/services/DashboardService.js";
+import { openData, closeData, today } from "./helpers.js";
+
+// 1 kg of tomato at 80% yield makes 4 portions: 0.3125 kg as purchased per portion
+const SOUP = {
+  name: "Tomato Soup",
+  portions: 4,
+  ingredients: [{ ingredientId: "tomato", name: "Tomato", quantity: 1, unit: "kg", yieldPercentage: 80 }],
+};
+
+describe("POS sales", () => {
+  let data;
+  let sales;
+
+  beforeEach(async () => {
+    data = await openData();
+    sales = new SalesService(data);
+    await data.saveIngredient({ name: "Tomato", unit: "kg", unitPrice: 2, quantity: 10 });
+    await data.saveRecipe({ ...SOUP });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("reads an export through a column mapping and adds up each item per day", async () => {
+    const lines = sales.readCsv(
+      "Day;Code;Dish;Qty;Net\n05/10/2026;101;Tomato Soup;3;19,50\n05/10/2026;101;Tomato Soup;1;6,50\n05/10/2026;;Garlic Bread;2;8\n",
+      {
+        columns: { date: "Day", plu: "Code", name: "Dish", quantity: "Qty", revenue: "Net" },
+        delimiter: ";",
+        dateFormat: "DD/MM/YYYY",
+        decimal: ",",
+      }
+    );
+    assert.equal(lines[0].date, "2026-10-05");
+    assert.equal(lines[0].revenue, 19.5);
+
+    const imported = await sales.importSales(lines, { source: "pos.csv" });
+    assert.deepEqual(imported.days.map(({ date, items, quantity, revenue }) => ({ date, items, quantity, revenue })), [
+      { date: "2026-10-05", items: 2, quantity: 6, revenue: 34 },
+    ]);
+    assert.deepEqual(imported.unmapped.map((item) => item.code), ["101", "garlic-bread"]);
+
+    const again = await sales.importSales(lines);
+    assert.equal(again.days[0].replaced, true);
+    assert.equal((await sales.getSales()).length, 1);
+  });
+
+  test("reads amounts with the decimal separator given", () => {
+    const csv = 'date,item,quantity,revenue\n2026-10-05,Soup,"1,234","€1,234.50"\n2026-10-05,Bread,2,n/a\n';
+    const [soup, bread] = sales.readCsv(csv);
+    assert.equal(soup.quantity, 1234);
+    assert.equal(soup.revenue, 1234.5);
+    assert.equal(bread.revenue, "n/a");
+
+    assert.equal(sales.parseAmount("1.234,50", ","), 1234.5);
+    assert.equal(sales.parseAmount("12,50", ","), 12.5);
+    assert.equal(sales.parseAmount("1,234", "."), 1234);
+    assert.equal(sales.parseAmount("-3.5"), -3.5);
+    assert.equal(sales.parseAmount(""), null);
+    assert.throws(() => sales.readCsv(csv, { decimal: ";" }), /Unknown decimal separator ";"/);
+  });
+
+  test("adds up covers per day, where the export has them", async () => {
+    const lines = sales.readCsv("date,item,quantity,revenue,covers\n2026-10-05,Soup,3,19.5,2\n2026-10-05,Bread,2,8,1\n2026-10-06,Soup,1,6.5,\n");
+    const imported = await sales.importSales([
+      ...lines,
+      ...sales.readJson({ date: "2026-10-07", covers: 12, items: [{ name: "Soup", quantity: 9, revenue: 58.5 }, { name: "Bread", quantity: 4, revenue: 16 }] }),
+    ]);
+    assert.deepEqual(imported.days.map((day) => [day.date, day.covers]), [
+      ["2026-10-05", 3],
+      ["2026-10-06", null],
+      ["2026-10-07", 12],
+    ]);
+    assert.equal((await sales.getSales({ from: "2026-10-07" }))[0].covers, 12);
+
+    await assert.rejects(
+      sales.importSales([{ row: 2, date: "2026-10-05", name: "Soup", quantity: 1, revenue: 6, covers: "lots" }]),
+      /line 2: covers "lots" is not a number of at least 0/
+    );
+  });
+
+  test("reads a day of items from JSON", () => {
+    const lines = sales.readJson({ date: "2026-10-05", location: "main", items: [{ plu: "101", quantity: 2, revenue: 13 }, { name: "Bread", quantity: 1, revenue: 2 }] });
+    assert.deepEqual(lines.map(({ row, date, location, plu }) => [row, date, location, plu]), [
+      [1, "2026-10-05", "main", "101"],
+      [2, "2026-10-05", "main", undefined],
+    ]);
+    assert.throws(() => sales.readJson([42]), /list of lines or days with items/);
+  });
+
+  test("refuses an export without the columns it needs, and lines it cannot read", async () => {
+    assert.throws(() => sales.readCsv("date,item,quantity\n2026-10-05,Soup,1\n"), /No "revenue" column/);
+    assert.throws(() => sales.readCsv("date,item,quantity,revenue\n", { dateFormat: "YY/MM/DD" }), /Unknown date format/);
+
+    await assert.rejects(
+      sales.importSales([
+        { row: 2, date: "05/10/2026", name: "Soup", quantity: 1, revenue: 6 },
+        { row: 3, date: "2026-10-05", name: "Soup", quantity: "two", revenue: 6, location: "cellar" },
+      ]),
+      /2 of 2 sales lines could not be read: line 2: date "05\/10\/2026" is not a date; line 3: quantity "two" is not a number, unknown location "cellar"/
+    );
+    assert.deepEqual(await sales.getSales(), []);
+  });
+
+  test("maps menu items to recipes by PLU, else by name", async () => {
+    await sales.mapItem({ plu: "101", recipeId: "tomato-soup" });
+    await sales.mapItem({ name: "Soup of the Day", recipeId: "tomato-soup" });
+    await assert.rejects(sales.mapItem({ plu: "102", recipeId: "missing" }), /Recipe "missing" not found/);
+
+    await sales.importSales([
+      { row: 2, date: "2026-10-05", plu: "101", name: "Tomato Soup", quantity: 3, revenue: 19.5 },
+      { row: 3, date: "2026-10-05", plu: "900", name: "Soup of the Day", quantity: 1, revenue: 6.5 },
+      { row: 4, date: "2026-10-05", name: "Garlic Bread", quantity: 2, revenue: 8 },
+    ]);
+    const items = await sales.getItemSales();
+    assert.deepEqual(
+      items.map(({ code, recipeId }) => [code, recipeId]),
+      [["101", "tomato-soup"], ["garlic-bread", null], ["900", "tomato-soup"]]
+    );
+
+    const { recipes, unmapped, warnings } = await sales.getRecipeSales();
+    assert.equal(recipes.length, 1);
+    assert.equal(recipes[0].soldQty, 4);
+    assert.equal(recipes[0].price, 6.5);
+    assert.deepEqual(unmapped.map((item) => item.name), ["Garlic Bread"]);
+    assert.match(warnings[0], /1 menu item not mapped to a recipe: Garlic Bread/);
+  });
+});
+
+describe("food cost reconciliation", () => {
+  let data;
+  let inventory;
+  let sales;
+  let foodCost;
+
+  beforeEach(async () => {
+    data = await openData();
+    inventory = new InventoryService(data);
+    sales = new SalesService(data);
+    foodCost = new FoodCostService(data, inventory, sales);
+    await data.saveIngredient({ name: "Tomato", unit: "kg", unitPrice: 2, quantity: 10 });
+    await data.saveRecipe({ ...SOUP });
+    await sales.mapItem({ plu: "101", recipeId: "tomato-soup" });
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("reconciles sales with the stock used and the waste recorded", async () => {
+    await sales.importSales([{ row: 2, date: today, plu: "101", name: "Tomato Soup", quantity: 8, revenue: 52 }]);
+    await inventory.recordDepletion({ type: "sale", recipeId: "tomato-soup", portions: 8 });
+    // Four portions made and thrown away: their stock went out with the production
+    await inventory.recordDepletion({ type: "production", recipeId: "tomato-soup", portions: 4 });
+    await new WasteService(data, inventory).logWaste({ recipeId: "tomato-soup", quantity: 4, reason: "over-production" });
+
+    const reconciliation = await foodCost.getReconciliation({ from: today, to: today, method: "fifo" });
+    const [tomato] = reconciliation.ingredients;
+    assert.equal(tomato.theoreticalQuantity, 2.5);
+    assert.equal(tomato.actualQuantity, 3.75);
+    assert.equal(tomato.recordedLossQuantity, 1.25);
+    assert.equal(tomato.theoreticalCost, 5);
+    assert.equal(tomato.actualCost, 7.5);
+    assert.equal(tomato.unexplained, 0);
+    assert.equal(reconciliation.revenue, 52);
+    assert.equal(reconciliation.theoreticalFoodCostPercent, 9.615385);
+    assert.match(reconciliation.warnings[0], /No stock take in the period/);
+  });
+
+  test("shows stock a count finds missing as unexplained variance", async () => {
+    await sales.importSales([{ row: 2, date: today, plu: "101", name: "Tomato Soup", quantity: 4, revenue: 26 }]);
+    await inventory.recordDepletion({ type: "sale", recipeId: "tomato-soup", portions: 4 });
+    await inventory.postStockTake({ tomato: 8 });
+
+    const reconciliation = await foodCost.getReconciliation({ from: today, to: today, method: "fifo" });
+    const [tomato] = reconciliation.ingredients;
+    assert.equal(tomato.varianceQuantity, 0.75);
+    assert.equal(tomato.recordedLoss, 0);
+    assert.equal(tomato.unexplained, 1.5);
+    assert.equal(reconciliation.stockTakes, 1);
+    assert.deepEqual(reconciliation.categories.map((category) => [category.category, category.variancePercent]), [["Other", 60]]);
+    assert.deepEqual(reconciliation.warnings, []);
+  });
+});
+
+describe("dashboard", () => {
+  let data;
+  let dashboard;
+
+  beforeEach(async () => {
+    data = await openData();
+    dashboard = new DashboardService(data);
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("sums up sales, stock alerts and cost changes", async () => {
+    await data.saveIngredient({ name: "Tomato", unit: "kg", unitPrice: 2, quantity: 10, parLevel: 12 });
+    await data.saveRecipe({ ...SOUP });
+    await data.recordPriceChange("tomato", { unitPrice: 1.6, effectiveDate: "2026-09-01" });
+    await data.recordPriceChange("tomato", { unitPrice: 2, previousUnitPrice: 1.6, effectiveDate: "2026-10-01" });
+    const sales = new SalesService(data);
+    await sales.mapItem({ plu: "101", recipeId: "tomato-soup" });
+    await sales.importSales([
+      { row: 2, date: "2026-09-30", plu: "101", name: "Tomato Soup", quantity: 9, revenue: 58.5 },
+      { row: 3, date: "2026-10-05", plu: "101", name: "Tomato Soup", quantity: 2, revenue: 13, covers: 3 },
+      { row: 4, date: "2026-10-19", plu: "101", name: "Tomato Soup", quantity: 4, revenue: 26 },
+      { row: 5, date: "2026-10-19", name: "Bread", quantity: 1, revenue: 3 },
+    ]);
+
+    const result = await dashboard.getDashboard({ today: "2026-10-19" });
+    assert.deepEqual(result.sales.today, { days: 1, revenue: 29, quantity: 5, covers: null });
+    assert.deepEqual(result.sales.monthToDate, { days: 2, revenue: 42, quantity: 7, covers: 3 });
+    assert.equal(result.sales.lastSaleDate, "2026-10-19");
+    assert.equal(result.sales.bestSeller.name, "Tomato Soup");
+    assert.equal(result.sales.bestSeller.soldQty, 6);
+    // 6 portions at 0.65625 against the 39 the soup took
+    assert.equal(result.sales.foodCostPercent, 10.096154);
+    assert.deepEqual(result.warnings, ["1 menu item not mapped to a recipe: Bread"]);
+
+    assert.deepEqual(result.lowStock.map((item) => [item.id, item.orderQuantity]), [["tomato", 2]]);
+    assert.equal(result.costTrends.since, "2026-09-19");
+    assert.deepEqual(result.costTrends.ingredients.map((item) => [item.id, item.previous, item.current, item.changePercent]), [
+      ["tomato", 1.6, 2, 25],
+    ]);
+    assert.deepEqual(result.costTrends.recipes.map((recipe) => [recipe.id, recipe.changePercent]), [["tomato-soup", 25]]);
+    assert.equal(result.openOrders, 0);
+  });
+
+  test("shows no figures rather than zeros without data", async () => {
+    const result = await dashboard.getDashboard({ today: "2026-10-19" });
+    assert.equal(result.sales.today, null);
+    assert.equal(result.sales.monthToDate, null);
+    assert.equal(result.sales.lastSaleDate, null);
+    assert.equal(result.sales.bestSeller, null);
+    assert.equal(result.sales.foodCostPercent, null);
+    assert.deepEqual(result.lowStock, []);
+  });
+});
@@ -0,0 +1,197 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import DataService from "../src/services/DataService.js";
+import { startServer } from "../src/server/index.js";
+import { openData, closeData } from "./helpers.js";
+
+/**
+ * Send a request to the test server
+ * @param {http.Server} server - Listening server
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, sent as is
+ * @param {Object} options - { body, headers }; a body is sent as JSON unless a Content-Type is given
+ * @returns {Promise<Object>} - { status, headers, text, json }
+ */
+function request(server, method, path, { body, headers = {} } = {}) {
+  const { port } = server.address();
+  const content = body === undefined || typeof body === "string" ? body : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port,
+        agent: false,
+        method,
+        path,
+        headers: {
+          ...(content !== undefined && { "Content-Type": "application/json" }),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          const text = Buffer.concat(chunks).toString("utf8");
+          const json = (res.headers["content-type"] || "").startsWith("application/json") ? JSON.parse(text) : null;
+          resolve({ status: res.statusCode, headers: res.headers, text, json });
+        });
+      }
+    );
+    req.on("error", reject);
+    req.end(content);
+  });
+}
+
+let server;
+
+before(async () => {
+  await openData(DataService);
+  server = await startServer({ host: "127.0.0.1", port: 0 });
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await closeData(DataService);
+});
+
+describe("HTTP API", () => {
+  test("lists its endpoints and settings", async () => {
+    const index = await request(server, "GET", "/api");
+    assert.equal(index.status, 200);
+    assert.ok(index.json.data.some((route) => route.method === "GET" && route.path === "/api/settings"));
+
+    const settings = await request(server, "GET", "/api/settings");
+    assert.equal(settings.status, 200);
+    assert.equal(typeof settings.json.data.currency.symbol, "string");
+  });
+
+  test("adds and reads back an ingredient", async () => {
+    const created = await request(server, "POST", "/api/ingredients", {
+      body: { name: "Plain Flour", unit: "kg", unitPrice: 1.2 },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.json.data.id, "plain-flour");
+
+    const read = await request(server, "GET", "/api/ingredients/plain-flour");
+    assert.equal(read.json.data.unitPrice, 1.2);
+
+    const again = await request(server, "POST", "/api/ingredients", { body: { name: "Plain Flour", unit: "kg", unitPrice: 1 } });
+    assert.equal(again.status, 409);
+  });
+
+  test("sets the stock at a location and values it by the costing method", async () => {
+    await request(server, "POST", "/api/ingredients", { body: { name: "Rye Flour", unit: "kg", unitPrice: 2 } });
+    await request(server, "POST", "/api/inventory/movements", {
+      body: { item: "rye-flour", type: "receipt", quantity: 4, "unit-cost": 1.5 },
+    });
+
+    const edited = await request(server, "PUT", "/api/ingredients/rye-flour", { body: { quantity: 3, location: "main" } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.json.data.quantity, 3);
+
+    const held = await request(server, "GET", "/api/inventory?location=main");
+    assert.equal(held.json.data.find((item) => item.id === "rye-flour").quantity, 3);
+
+    // Three of the four received at 1.5 are left, not 3 × the unit price of 2
+    const valuation = await request(server, "GET", "/api/inventory/valuation?location=main");
+    assert.equal(valuation.json.data.items.find((item) => item.id === "rye-flour").value, 4.5);
+
+    const elsewhere = await request(server, "PUT", "/api/ingredients/rye-flour", { body: { quantity: 3, location: "cellar" } });
+    assert.equal(elsewhere.status, 400);
+    assert.match(elsewhere.json.error.details[0], /location: must be one of main/);
+  });
+
+  test("answers unknown paths, methods and bodies with JSON errors", async () => {
+    assert.equal((await request(server, "GET", "/api/nothing")).status, 404);
+
+    const wrongMethod = await request(server, "DELETE", "/api/settings", { body: {} });
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.allow, "GET");
+
+    const badJson = await request(server, "POST", "/api/ingredients", { body: "{ name" });
+    assert.equal(badJson.status, 400);
+    assert.match(badJson.json.error.message, /Invalid JSON body/);
+
+    const invalid = await request(server, "POST", "/api/ingredients", { body: { name: "Salt" } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.json.error.details.length > 0);
+  });
+
+  test("refuses IDs that are not a single plain key", async () => {
+    for (const path of ["/api/ingredients/..%2F..%2Fsecret", "/api/ingredients/..%5Csecret", "/api/ingredients/a%2Fb"]) {
+      const response = await request(server, "GET", path);
+      assert.equal(response.status, 400, path);
+      assert.match(response.json.error.message, /does not give a valid ID/);
+    }
+  });
+
+  test("answers only to local and allowed host names", async () => {
+    const rebound = await request(server, "GET", "/api/settings", { headers: { Host: "evil.example:3000" } });
+    assert.equal(rebound.status, 403);
+    assert.match(rebound.json.error.message, /Host "evil\.example:3000" is not allowed/);
+
+    for (const host of ["localhost:3000", "127.0.0.1", "[::1]:3000"]) {
+      assert.equal((await request(server, "GET", "/api/settings", { headers: { Host: host } })).status, 200, host);
+    }
+  });
+
+  test("refuses changes from other origins or not sent as JSON", async () => {
+    const body = { name: "Sea Salt", unit: "kg", unitPrice: 2 };
+
+    const crossSite = await request(server, "POST", "/api/ingredients", {
+      body,
+      headers: { Origin: "https://evil.example" },
+    });
+    assert.equal(crossSite.status, 403);
+
+    const opaque = await request(server, "POST", "/api/ingredients", { body, headers: { Origin: "null" } });
+    assert.equal(opaque.status, 403);
+
+    const form = await request(server, "POST", "/api/ingredients", {
+      body: JSON.stringify(body),
+      headers: { "Content-Type": "text/plain" },
+    });
+    assert.equal(form.status, 415);
+    assert.equal(await DataService.getIngredient("sea-salt"), null);
+
+    const { port } = server.address();
+    const sameOrigin = await request(server, "POST", "/api/ingredients", {
+      body,
+      headers: { Origin: `http://127.0.0.1:${port}` },
+    });
+    assert.equal(sameOrigin.status, 201);
+  });
+});
+
+describe("browser UI", () => {
+  test("serves the page and its scripts", async () => {
+    const page = await request(server, "GET", "/");
+    assert.equal(page.status, 200);
+    assert.equal(page.headers["content-type"], "text/html; charset=utf-8");
+    assert.match(page.text, /<html/i);
+
+    const script = await request(server, "GET", "/app/main.js");
+    assert.equal(script.status, 200);
+    assert.equal(script.headers["content-type"], "text/javascript; charset=utf-8");
+
+    const head = await request(server, "HEAD", "/styles.css");
+    assert.equal(head.status, 200);
+    assert.equal(head.text, "");
+  });
+
+  test("never serves files outside the web directory", async () => {
+    for (const path of ["/..%2Fserver%2Findex.js", "/%2E%2E/%2E%2E/package.json", "/app/..%2F..%2F..%2Fpackage.json", "/nothing.html"]) {
+      const response = await request(server, "GET", path);
+      assert.equal(response.status, 404, path);
+      assert.doesNotMatch(response.text, /import|"name"/, path);
+    }
+  });
+
+  test("refuses changes to static files", async () => {
+    const response = await request(server, "POST", "/index.html", { body: {} });
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.allow, "GET, HEAD");
+  });
+});
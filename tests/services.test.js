@@ -0,0 +1,319 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { JsonStorage } from "../src/services/storage/JsonStorage.js";
+import { SqliteStorage } from "../src/services/storage/SqliteStorage.js";
+import { isValidKey } from "../src/services/storage/StorageBackend.js";
+import { migrateStorage } from "../src/services/storage/index.js";
+import { withFileLock, writeJsonAtomic } from "../src/services/storage/atomic.js";
+import { openData, closeData, today } from "./helpers.js";
+
+// better-sqlite3 is an optional dependency
+const noSqlite = await import("better-sqlite3").then(
+  () => false,
+  () => "better-sqlite3 is not installed"
+);
+
+describe("storage keys", () => {
+  test("accepts plain and grouped keys", () => {
+    assert.ok(isValidKey("olive-oil"));
+    assert.ok(isValidKey("bechamel/3"));
+    assert.ok(isValidKey("olive-oil/receipt-2026-10-19T10-00-00-000Z-a1b2"));
+    assert.ok(isValidKey("bechamel/"));
+  });
+
+  test("rejects keys that could leave the collection", () => {
+    for (const key of ["", "..", "../x", "a/../../x", "/etc/passwd", "a\\b", "a.json", "a b", "a//b", null]) {
+      assert.equal(isValidKey(key), false, `${JSON.stringify(key)} should be rejected`);
+    }
+  });
+});
+
+describe("JsonStorage", () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "foodsystem-test-"));
+    storage = new JsonStorage({ recipes: path.join(root, "recipes") }, path.join(root, "quarantine"));
+    await storage.init();
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test("stores records under their key", async () => {
+    await storage.put("recipes", "bechamel/1", { name: "Bechamel" });
+    assert.deepEqual(await storage.get("recipes", "bechamel/1"), { name: "Bechamel" });
+    assert.deepEqual(
+      (await storage.list("recipes", { prefix: "bechamel/" })).map(({ key }) => key),
+      ["bechamel/1"]
+    );
+  });
+
+  test("refuses keys outside the collection directory", async () => {
+    await fs.writeJson(path.join(root, "secret.json"), { secret: true });
+
+    await assert.rejects(storage.get("recipes", "../secret"), /Invalid record key/);
+    await assert.rejects(storage.put("recipes", "../secret", {}), /Invalid record key/);
+    await assert.rejects(storage.remove("recipes", "../"), /Invalid record key/);
+    await assert.rejects(storage.withLock("recipes", "../secret", async () => {}), /Invalid record key/);
+    assert.deepEqual(await fs.readJson(path.join(root, "secret.json")), { secret: true });
+  });
+
+  test("skips files no key maps to when listing", async () => {
+    await storage.put("recipes", "bechamel", { name: "Bechamel" });
+    await fs.writeJson(path.join(root, "recipes", "salt (fine).json"), { name: "Salt" });
+
+    assert.deepEqual(
+      (await storage.list("recipes")).map(({ key }) => key),
+      ["bechamel"]
+    );
+  });
+});
+
+describe("SqliteStorage", { skip: noSqlite }, () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "foodsystem-test-"));
+    storage = new SqliteStorage(path.join(root, "foodsystem.db"));
+    await storage.init();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await fs.remove(root);
+  });
+
+  test("stores records under their key and lists them by prefix", async () => {
+    await storage.put("recipes", "bechamel/1", { name: "Bechamel", createdAt: "2026-01-01T00:00:00.000Z" });
+    await storage.put("recipes", "bechamel/2", { name: "Bechamel", createdAt: "2026-02-01T00:00:00.000Z" });
+    await storage.put("recipes", "bechamels", { name: "Not a version" });
+
+    assert.deepEqual(await storage.get("recipes", "bechamel/1"), { name: "Bechamel", createdAt: "2026-01-01T00:00:00.000Z" });
+    assert.equal(await storage.get("recipes", "bechamel/3"), null);
+    assert.deepEqual(
+      (await storage.list("recipes", { prefix: "bechamel/", newestFirst: true })).map(({ key }) => key),
+      ["bechamel/2", "bechamel/1"]
+    );
+  });
+
+  test("searches by name and category", async () => {
+    await storage.put("ingredients", "cream", { name: "Double cream", category: "Dairy" });
+    await storage.put("ingredients", "flour", { name: "Flour", category: "Dry goods" });
+
+    assert.deepEqual(
+      (await storage.list("ingredients", { search: "dairy" })).map(({ key }) => key),
+      ["cream"]
+    );
+    assert.equal((await storage.list("ingredients", { limit: 1 })).length, 1);
+  });
+
+  test("removes a record or a whole group", async () => {
+    await storage.put("recipes", "bechamel/1", { name: "Bechamel" });
+    await storage.put("recipes", "bechamel/2", { name: "Bechamel" });
+    await storage.put("recipes", "gravy", { name: "Gravy" });
+
+    await storage.remove("recipes", "bechamel/");
+    assert.deepEqual(
+      (await storage.list("recipes")).map(({ key }) => key),
+      ["gravy"]
+    );
+    await storage.remove("recipes", "gravy");
+    assert.equal(await storage.count("recipes"), 0);
+  });
+
+  test("quarantines corrupted records", async () => {
+    storage.db
+      .prepare("INSERT INTO records (collection, key, data) VALUES (?, ?, ?)")
+      .run("recipes", "broken", "{ not json");
+
+    assert.equal(await storage.get("recipes", "broken"), null);
+    assert.equal(storage.quarantined.length, 1);
+    assert.equal(storage.quarantined[0].key, "broken");
+    assert.equal(storage.db.prepare("SELECT COUNT(*) AS total FROM quarantine").get().total, 1);
+    assert.equal(await storage.count("recipes"), 0);
+  });
+
+  test("refuses lock keys outside the locks directory", async () => {
+    await assert.rejects(storage.withLock("recipes", "../secret", async () => {}), /Invalid record key/);
+  });
+});
+
+describe("migrateStorage", { skip: noSqlite }, () => {
+  test("copies every record from JSON files into SQLite", async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), "foodsystem-test-"));
+    const source = new JsonStorage(
+      { recipes: path.join(root, "recipes"), ingredients: path.join(root, "ingredients") },
+      path.join(root, "quarantine")
+    );
+    const target = new SqliteStorage(path.join(root, "foodsystem.db"));
+    try {
+      await source.init();
+      await target.init();
+      await source.put("recipes", "bechamel/1", { name: "Bechamel" });
+      await source.put("recipes", "gravy", { name: "Gravy" });
+      await source.put("ingredients", "flour", { name: "Flour" });
+
+      const counts = await migrateStorage(source, target, ["recipes", "ingredients"]);
+
+      assert.deepEqual(counts, { recipes: 2, ingredients: 1 });
+      assert.deepEqual(await target.get("recipes", "bechamel/1"), { name: "Bechamel" });
+      assert.deepEqual(await target.get("ingredients", "flour"), { name: "Flour" });
+    } finally {
+      await target.close();
+      await fs.remove(root);
+    }
+  });
+});
+
+describe("running ledger balance", () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = await openData();
+  });
+
+  afterEach(async () => {
+    await closeData(dataService);
+  });
+
+  const receipt = (ingredientId, quantity) => ({
+    id: `receipt-${quantity}`,
+    type: "receipt",
+    date: today,
+    ingredientId,
+    location: "main",
+    quantity,
+    unit: "kg",
+    unitCost: 1,
+    createdAt: new Date().toISOString(),
+  });
+
+  test("keeps the balance on the item as movements are appended", async () => {
+    await dataService.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1, quantity: 10 });
+    const [item] = await dataService.appendMovements([receipt("flour", 5)]);
+
+    assert.equal(item.quantity, 15);
+    assert.equal(item.ledgerBalance.quantity, 15);
+    assert.equal((await dataService.loadMovements({ ingredientId: "flour" })).length, 2);
+  });
+
+  test("does not let a stale copy of the item overwrite its stock", async () => {
+    await dataService.saveIngredient({ name: "Flour", unit: "kg", unitPrice: 1, quantity: 10 });
+    const stale = await dataService.getIngredient("flour");
+    await dataService.appendMovements([receipt("flour", 5)]);
+
+    await dataService.saveIngredient({ ...stale, unitPrice: 2 });
+    const saved = await dataService.getIngredient("flour");
+    assert.equal(saved.unitPrice, 2);
+    assert.equal(saved.quantity, 15);
+  });
+
+  test("sums the ledger of items stored before the balance was kept", async () => {
+    const storage = await dataService.getStorage();
+    await storage.put("ingredients", "flour", { id: "flour", name: "Flour", unit: "kg", unitPrice: 1, quantity: 3 });
+    await dataService.putMovement(storage, receipt("flour", 3));
+
+    const [item] = await dataService.appendMovements([receipt("flour", 4)]);
+    assert.equal(item.quantity, 7);
+    assert.deepEqual(item.ledgerBalance, { quantity: 7, locations: { main: 7 } });
+  });
+});
+
+describe("atomic writes and locks", () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "foodsystem-test-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test("replaces a file without leaving temporary files behind", async () => {
+    const file = path.join(root, "recipes", "bechamel.json");
+    await writeJsonAtomic(file, { name: "Bechamel", portions: 4 });
+    await writeJsonAtomic(file, { name: "Bechamel", portions: 6 });
+
+    assert.deepEqual(await fs.readJson(file), { name: "Bechamel", portions: 6 });
+    assert.deepEqual(await fs.readdir(path.join(root, "recipes")), ["bechamel.json"]);
+  });
+
+  test("runs one holder of a lock at a time", async () => {
+    const lockPath = path.join(root, ".locks", "recipes", "bechamel.lock");
+    const events = [];
+    const hold = (name) =>
+      withFileLock(lockPath, async () => {
+        events.push(`${name} in`);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        events.push(`${name} out`);
+      }, { retryDelay: 5 });
+
+    await Promise.all([hold("a"), hold("b")]);
+    // Either may get the lock first, but never both at once
+    const [first, second] = events[0] === "a in" ? ["a", "b"] : ["b", "a"];
+    assert.deepEqual(events, [`${first} in`, `${first} out`, `${second} in`, `${second} out`]);
+    assert.equal(await fs.pathExists(lockPath), false);
+  });
+
+  test("gives up on a held lock and breaks a stale one", async () => {
+    const lockPath = path.join(root, "bechamel.lock");
+    await fs.writeFile(lockPath, "other-host:1");
+
+    await assert.rejects(
+      withFileLock(lockPath, async () => {}, { timeout: 30, retryDelay: 5 }),
+      /Timed out waiting for lock bechamel\.lock held by other-host:1/
+    );
+
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, old, old);
+    assert.equal(await withFileLock(lockPath, async () => "ran", { timeout: 30, retryDelay: 5 }), "ran");
+  });
+
+  test("releases the lock when the holder fails", async () => {
+    const lockPath = path.join(root, "bechamel.lock");
+    await assert.rejects(
+      withFileLock(lockPath, async () => {
+        throw new Error("boom");
+      }),
+      /boom/
+    );
+    assert.equal(await fs.pathExists(lockPath), false);
+  });
+});
+
+describe("catalogue item updates", () => {
+  let data;
+
+  beforeEach(async () => {
+    data = await openData();
+  });
+
+  afterEach(async () => {
+    await closeData(data);
+  });
+
+  test("changes an item under its lock, keeping its stock", async () => {
+    await data.saveIngredient({ name: "Butter", unit: "kg", unitPrice: 8, quantity: 5 });
+    await Promise.all([
+      data.updateIngredient("butter", (item) => {
+        item.unitPrice = 9;
+      }),
+      data.updateIngredient("butter", (item) => {
+        item.supplier = "Dairy Co";
+      }),
+    ]);
+    const item = await data.getIngredient("butter");
+    assert.equal(item.unitPrice, 9);
+    assert.equal(item.supplier, "Dairy Co");
+    assert.equal(item.quantity, 5);
+    await assert.rejects(data.updateIngredient("margarine", () => {}), /Ingredient "margarine" not found/);
+  });
+});
@@ -0,0 +1,63 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { RecipeValidator } from "../src/core/validators/RecipeValidator.js";
+
+const fields = (result) => result.errors.map((error) => error.field);
+
+describe("RecipeValidator", () => {
+  const validator = new RecipeValidator();
+  const recipe = (ingredients, extra = {}) => ({ name: "Tomato soup", portions: 4, ingredients, ...extra });
+
+  test("accepts priced and pack lines", () => {
+    const result = validator.validateRecipe(
+      recipe([
+        { name: "Tomato", quantity: 1, unit: "kg", unitPrice: 2, purchaseUnit: "kg" },
+        { name: "Olive oil", quantity: 50, unit: "ml", packPrice: 18, packSize: 1, packUnit: "l", packCount: 12 },
+      ])
+    );
+    assert.equal(result.isValid, true);
+    assert.equal(result.value.category, "Other");
+    assert.equal(result.value.ingredients[1].packCount, 12);
+    assert.equal(result.value.ingredients[0].packCount, 1);
+  });
+
+  test("refuses lines with no price", () => {
+    const result = validator.validateRecipe(recipe([{ name: "Basil", quantity: 10, unit: "g" }]));
+    assert.equal(result.isValid, false);
+    assert.deepEqual(fields(result), ["ingredients.0"]);
+  });
+
+  test("needs the pack size and unit with a pack price", () => {
+    const result = validator.validateIngredient({ name: "Flour", quantity: 500, unit: "g", packPrice: 12 });
+    assert.equal(result.isValid, false);
+    assert.match(result.errors[0].message, /packSize/);
+  });
+
+  test("accepts sub-recipe lines", () => {
+    const result = validator.validateRecipe(recipe([{ name: "Stock", quantity: 1, unit: "l", recipeRef: "chicken-stock" }]));
+    assert.equal(result.isValid, true);
+  });
+
+  test("needs a yield unit with a yield quantity", () => {
+    const result = validator.validateRecipe(
+      recipe([{ name: "Bones", quantity: 2, unit: "kg", unitPrice: 1 }], { yieldQuantity: 4 })
+    );
+    assert.equal(result.isValid, false);
+    assert.deepEqual(fields(result), ["yieldUnit"]);
+  });
+
+  test("accepts catalogue lines", () => {
+    const result = validator.validateRecipe(recipe([{ name: "Salt", quantity: 5, unit: "g", ingredientId: "salt" }]));
+    assert.equal(result.isValid, true);
+  });
+
+  test("validates catalogue items and keeps fields it does not know", () => {
+    const valid = validator.validateCatalogueItem({ name: "Cream", unit: "l", unitPrice: 4, locations: { main: { quantity: 2 } } });
+    assert.equal(valid.isValid, true);
+    assert.equal(valid.value.defaultYield, 100);
+    assert.deepEqual(valid.value.locations, { main: { quantity: 2 } });
+
+    const invalid = validator.validateCatalogueItem({ name: "Cream", unit: "l", unitPrice: 4, allergens: ["Nuts?"] });
+    assert.equal(invalid.isValid, false);
+  });
+});